@@ -10,7 +10,10 @@ require('dotenv').config();
 
 const connectDB = require('./src/config/db.config');
 const { errorHandler } = require('./src/middleware/error.middleware');
+const { requestContext } = require('./src/middleware/requestContext.middleware');
 const logger = require('./src/utils/logger');
+const permissionService = require('./src/services/permission.service');
+const waitlistService = require('./src/services/waitlist.service');
 
 // Import routes
 const userRoutes = require('./src/routes/user.route');
@@ -25,13 +28,25 @@ const enrollmentRoutes = require('./src/routes/enrollment.route');
 const assignmentRoutes = require('./src/routes/assignment.route');
 const submissionRoutes = require('./src/routes/submission.route');
 const courseGradeRoutes = require('./src/routes/courseGrade.route');
+const roleRoutes = require('./src/routes/role.route');
+const auditLogRoutes = require('./src/routes/auditLog.route');
+const serviceAccountRoutes = require('./src/routes/serviceAccount.route');
+const guardianRoutes = require('./src/routes/guardian.route');
+const calendarRoutes = require('./src/routes/calendar.route');
 
 const app = express();
 const PORT = process.env.PORT || 5000;
 const API_VERSION = process.env.API_VERSION || 'v1';
 
-// Connect to MongoDB
-connectDB();
+// Connect to MongoDB, then make sure the built-in roles exist
+connectDB()
+  .then(() => permissionService.ensureSystemRoles())
+  .catch(error => logger.error('Error creating system roles:', error));
+
+// Pass expired waitlist offers on; tests run the sweep themselves
+if (process.env.NODE_ENV !== 'test') {
+  waitlistService.startSweep();
+}
 
 // Security middleware
 app.use(helmet());
@@ -61,9 +76,11 @@ const limiter = rateLimit({
   legacyHeaders: false,
 });
 
-// Only apply limiter to unauthenticated requests
+// Only apply limiter to unauthenticated requests. Auth endpoints (login,
+// refresh, password reset) are always limited so an arbitrary Authorization
+// header cannot be used to skip it.
 app.use((req, res, next) => {
-  if (req.headers.authorization) return next();
+  if (req.headers.authorization && !req.path.startsWith(`/api/${API_VERSION}/auth/`)) return next();
   return limiter(req, res, next);
 });
 
@@ -74,6 +91,10 @@ app.use(morgan('combined', { stream: { write: message => logger.info(message.tri
 app.use(express.json({ limit: '10mb' }));
 app.use(express.urlencoded({ extended: true, limit: '10mb' }));
 
+// Request context (actor, IP, user agent) for the audit log; opened after body
+// parsing, which would otherwise resume the request outside of it
+app.use(requestContext);
+
 // Health check endpoint
 app.get('/health', (req, res) => {
   res.status(200).json({
@@ -109,6 +130,11 @@ const swaggerOptions = {
           type: 'http',
           scheme: 'bearer',
           bearerFormat: 'JWT'
+        },
+        apiKeyAuth: {
+          type: 'apiKey',
+          in: 'header',
+          name: 'X-API-Key'
         }
       }
     },
@@ -139,6 +165,11 @@ app.use(`/api/${API_VERSION}/enrollments`, enrollmentRoutes);
 app.use(`/api/${API_VERSION}/assignments`, assignmentRoutes);
 app.use(`/api/${API_VERSION}/submissions`, submissionRoutes);
 app.use(`/api/${API_VERSION}/course-grades`, courseGradeRoutes);
+app.use(`/api/${API_VERSION}/roles`, roleRoutes);
+app.use(`/api/${API_VERSION}/audit-logs`, auditLogRoutes);
+app.use(`/api/${API_VERSION}/service-accounts`, serviceAccountRoutes);
+app.use(`/api/${API_VERSION}/guardians`, guardianRoutes);
+app.use(`/api/${API_VERSION}/calendar`, calendarRoutes);
 
 // 404 handler
 app.use('*', (req, res) => {
@@ -0,0 +1,31 @@
+/**
+ * Class attendance settings read from the environment
+ */
+
+const { toInt } = require('./auth.config');
+
+const ATTENDANCE_STATUSES = ['present', 'late', 'absent', 'excused'];
+
+// Statuses counted as attended; excused sessions are left out of the percentage
+const ATTENDED_STATUSES = ['present', 'late'];
+
+/**
+ * Get attendance configuration
+ * @returns {Object} Attendance configuration
+ */
+const getAttendanceConfig = () => ({
+  // How long each self check-in code is valid before the next one replaces it
+  codeStepSeconds: Math.max(10, toInt(process.env.ATTENDANCE_CODE_STEP_SECONDS, 30)),
+  // Default length of the self check-in window
+  checkInMinutes: toInt(process.env.ATTENDANCE_CHECK_IN_MINUTES, 15),
+  // Check-ins after this many minutes past the start are marked late
+  lateAfterMinutes: toInt(process.env.ATTENDANCE_LATE_AFTER_MINUTES, 10),
+  // Attendance percentage below which a student is flagged
+  lowThreshold: toInt(process.env.ATTENDANCE_LOW_THRESHOLD, 75)
+});
+
+module.exports = {
+  ATTENDANCE_STATUSES,
+  ATTENDED_STATUSES,
+  getAttendanceConfig
+};
@@ -0,0 +1,65 @@
+/**
+ * Authentication settings read from the environment
+ */
+
+const parseList = (value) => (value || '')
+  .split(',')
+  .map(item => item.trim())
+  .filter(Boolean);
+
+const toInt = (value, fallback) => {
+  const parsed = parseInt(value, 10);
+  return Number.isNaN(parsed) ? fallback : parsed;
+};
+
+/**
+ * Get authentication configuration
+ * @returns {Object} Authentication configuration
+ */
+const getAuthConfig = () => ({
+  twoFactor: {
+    issuer: process.env.TWO_FACTOR_ISSUER || 'Smart Campus',
+    // Roles that may enroll in two-factor authentication
+    allowedRoles: parseList(process.env.TWO_FACTOR_ALLOWED_ROLES || 'admin,faculty'),
+    // Roles that must complete enrollment before they can sign in
+    requiredRoles: parseList(process.env.TWO_FACTOR_REQUIRED_ROLES),
+    challengeExpiresIn: process.env.TWO_FACTOR_CHALLENGE_EXPIRES_IN || '5m',
+    maxChallengeAttempts: toInt(process.env.TWO_FACTOR_MAX_ATTEMPTS, 5),
+    recoveryCodeCount: 10
+  },
+  lockout: {
+    // Consecutive failures on one account before it is locked
+    maxAttempts: toInt(process.env.LOGIN_MAX_ATTEMPTS, 5),
+    lockDurationMinutes: toInt(process.env.LOGIN_LOCK_DURATION_MINUTES, 15),
+    // Failures allowed before progressive delays start; each further failure doubles the delay
+    delayAfterAttempts: toInt(process.env.LOGIN_DELAY_AFTER_ATTEMPTS, 2),
+    baseDelaySeconds: toInt(process.env.LOGIN_BASE_DELAY_SECONDS, 2),
+    maxDelaySeconds: toInt(process.env.LOGIN_MAX_DELAY_SECONDS, 60),
+    // Failures from one IP address (any account) within the window before it is blocked
+    ipMaxAttempts: toInt(process.env.LOGIN_IP_MAX_ATTEMPTS, 20),
+    ipWindowMinutes: toInt(process.env.LOGIN_IP_WINDOW_MINUTES, 15),
+    ipBlockMinutes: toInt(process.env.LOGIN_IP_BLOCK_MINUTES, 15)
+  },
+  impersonation: {
+    tokenTtlMinutes: toInt(process.env.IMPERSONATION_TTL_MINUTES, 30),
+    // Write requests allowed while impersonating, as "METHOD /api/v1/path" prefixes;
+    // logout and ending the impersonation are always allowed
+    allowedWrites: parseList(process.env.IMPERSONATION_ALLOWED_WRITES)
+  },
+  apiKeys: {
+    // Lifetime of a key created without an explicit expiry; 0 means keys do not expire
+    defaultLifetimeDays: toInt(process.env.API_KEY_DEFAULT_LIFETIME_DAYS, 90),
+    // Longest lifetime that may be requested; 0 means no limit
+    maxLifetimeDays: toInt(process.env.API_KEY_MAX_LIFETIME_DAYS, 365),
+    // How long the old key keeps working after a rotation
+    rotationGraceHours: toInt(process.env.API_KEY_ROTATION_GRACE_HOURS, 24),
+    // Deprecated shared secret for POST /users/admin, replaced by API keys
+    legacyAdminToken: process.env.ADMIN_TOKEN || null
+  }
+});
+
+module.exports = {
+  getAuthConfig,
+  parseList,
+  toInt
+};
@@ -0,0 +1,29 @@
+/**
+ * Profile picture settings read from the environment
+ */
+
+const { toInt } = require('./auth.config');
+
+/**
+ * Get avatar configuration
+ * @returns {Object} Avatar configuration
+ */
+const getAvatarConfig = () => ({
+  folder: process.env.AVATAR_FOLDER || 'smart-campus/avatars',
+  maxSizeBytes: toInt(process.env.AVATAR_MAX_SIZE_MB, 2) * 1024 * 1024,
+  // Uploads stay pending until a moderator approves them; the previous picture is shown meanwhile
+  requireApproval: process.env.AVATAR_REQUIRE_APPROVAL === 'true',
+  // Square edge lengths in pixels. The original is stored at the largest size,
+  // the others are delivered by Cloudinary from it on request
+  variants: {
+    large: 512,
+    medium: 256,
+    small: 64
+  },
+  // Variant copied to the plain `avatar` field that the rest of the API returns
+  defaultVariant: 'medium'
+});
+
+module.exports = {
+  getAvatarConfig
+};
@@ -0,0 +1,18 @@
+/**
+ * Timetable calendar feed settings read from the environment
+ */
+
+/**
+ * Get calendar configuration
+ * @returns {Object} Calendar configuration
+ */
+const getCalendarConfig = () => ({
+  // Time zone of course schedules and event times (IANA name, e.g. Europe/London)
+  timezone: process.env.CAMPUS_TIMEZONE || 'UTC',
+  // How far back feeds include assignment deadlines and events
+  pastDays: parseInt(process.env.CALENDAR_FEED_PAST_DAYS, 10) || 30
+});
+
+module.exports = {
+  getCalendarConfig
+};
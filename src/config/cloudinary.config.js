@@ -16,6 +16,7 @@ cloudinary.config({
  * @param {string} options.public_id - Public ID for the image
  * @param {Array} options.allowed_formats - Allowed image formats
  * @param {number} options.max_size - Maximum file size in bytes
+ * @param {Array} options.transformation - Incoming transformation applied before the image is stored
  * @returns {Promise<Object>} Upload result
  */
 const uploadImage = async (file, options = {}) => {
@@ -24,7 +25,11 @@ const uploadImage = async (file, options = {}) => {
       folder = 'smart-campus/events',
       public_id = null,
       allowed_formats = ['jpg', 'jpeg', 'png', 'gif', 'webp'],
-      max_size = 5 * 1024 * 1024 // 5MB
+      max_size = 5 * 1024 * 1024, // 5MB
+      transformation = [
+        { quality: 'auto:good' },
+        { fetch_format: 'auto' }
+      ]
     } = options;
 
     // Validate file size
@@ -42,10 +47,7 @@ const uploadImage = async (file, options = {}) => {
     const uploadOptions = {
       folder,
       resource_type: 'image',
-      transformation: [
-        { quality: 'auto:good' },
-        { fetch_format: 'auto' }
-      ]
+      transformation
     };
 
     if (public_id) {
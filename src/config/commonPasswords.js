@@ -0,0 +1,24 @@
+/**
+ * Common-password blocklist
+ *
+ * Frequently used and breached passwords, lower-case. Passwords are also
+ * checked with trailing digits and symbols removed, so "Welcome2024!" matches
+ * "welcome".
+ */
+module.exports = new Set([
+  '123456', '1234567', '12345678', '123456789', '1234567890', '0987654321', '111111', '000000',
+  '121212', '123123', '654321', '666666', '696969', '7777777', '888888', '987654321',
+  'password', 'passw0rd', 'p@ssword', 'p@ssw0rd', 'pass', 'passwd', 'passcode', 'password1',
+  'qwerty', 'qwertyuiop', 'qwerty123', 'asdfgh', 'asdfghjkl', 'zxcvbn', 'zxcvbnm', '1q2w3e4r',
+  '1qaz2wsx', 'qazwsx', 'abc', 'abcd', 'abcdef', 'abcdefg', 'abcdefgh', 'abc123',
+  'letmein', 'welcome', 'admin', 'administrator', 'root', 'login', 'master', 'secret',
+  'changeme', 'default', 'guest', 'test', 'tester', 'testing', 'temp', 'temporary',
+  'iloveyou', 'love', 'lovely', 'loveme', 'princess', 'sunshine', 'shadow', 'starwars',
+  'dragon', 'monkey', 'football', 'baseball', 'soccer', 'hockey', 'basketball', 'superman',
+  'batman', 'trustno1', 'whatever', 'freedom', 'hello', 'hellokitty', 'charlie', 'michael',
+  'jennifer', 'jordan', 'hunter', 'ranger', 'buster', 'thomas', 'robert', 'daniel',
+  'killer', 'pepper', 'cheese', 'summer', 'winter', 'spring', 'autumn', 'flower',
+  'computer', 'internet', 'samsung', 'google', 'mustang', 'harley', 'ninja', 'pokemon',
+  'student', 'students', 'faculty', 'teacher', 'school', 'college', 'university', 'campus',
+  'smartcampus', 'smart', 'education', 'library', 'semester', 'exam', 'grades', 'homework'
+]);
@@ -0,0 +1,55 @@
+/**
+ * Course staff roles and capabilities
+ *
+ * The faculty member a course is assigned to leads it and holds every
+ * capability. Co-instructors, teaching assistants and graders are added to
+ * a course's staff and hold the capabilities of their staff role. Course
+ * grades are entered and submitted by the lead only; approving and
+ * finalizing them stays with the grades.approve and grades.finalize
+ * permissions.
+ */
+
+const COURSE_CAPABILITIES = {
+  'course.edit': 'Edit course details, schedule and publishing',
+  'course.delete': 'Delete the course',
+  'course.staff': 'Add, change and remove course staff',
+  'materials.edit': 'Add and remove course materials',
+  'assignments.manage': 'Create, edit, publish and delete assignments',
+  'submissions.view': 'View student submissions',
+  'submissions.grade': 'Grade, return, verify and check submissions',
+  'roster.view': 'View enrolled students, the waitlist and attendance',
+  'attendance.take': 'Schedule class sessions, take roll call and run self check-in',
+  'grades.submit': 'Enter and submit course grades'
+};
+
+const COURSE_STAFF_ROLES = {
+  co_instructor: {
+    displayName: 'Co-instructor',
+    capabilities: ['course.edit', 'materials.edit', 'assignments.manage', 'submissions.view', 'submissions.grade', 'roster.view', 'attendance.take']
+  },
+  teaching_assistant: {
+    displayName: 'Teaching Assistant',
+    capabilities: ['materials.edit', 'submissions.view', 'submissions.grade', 'roster.view', 'attendance.take']
+  },
+  grader: {
+    displayName: 'Grader',
+    capabilities: ['submissions.view', 'submissions.grade']
+  }
+};
+
+// Holders of courses.manage for the course's department run the course without teaching it
+const MANAGER_CAPABILITIES = Object.keys(COURSE_CAPABILITIES).filter(capability => capability !== 'grades.submit');
+
+/**
+ * Capabilities of a course staff role
+ * @param {string} role - Staff role
+ * @returns {Array} Capability names, empty for unknown roles
+ */
+const getStaffRoleCapabilities = (role) => (COURSE_STAFF_ROLES[role] ? COURSE_STAFF_ROLES[role].capabilities : []);
+
+module.exports = {
+  COURSE_CAPABILITIES,
+  COURSE_STAFF_ROLES,
+  MANAGER_CAPABILITIES,
+  getStaffRoleCapabilities
+};
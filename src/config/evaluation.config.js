@@ -0,0 +1,41 @@
+/**
+ * Course evaluation settings read from the environment, and the question
+ * set forms start from when none is given
+ */
+
+const { toInt } = require('./auth.config');
+
+// Likert answers run from 1 (strongly disagree) to 5 (strongly agree)
+const LIKERT_SCALE = [1, 2, 3, 4, 5];
+
+const QUESTION_TYPES = ['likert', 'text'];
+
+const DEFAULT_EVALUATION_QUESTIONS = [
+  { prompt: 'The course objectives were made clear', type: 'likert', required: true },
+  { prompt: 'The instructor explained the material clearly', type: 'likert', required: true },
+  { prompt: 'The instructor was available and helpful outside class', type: 'likert', required: true },
+  { prompt: 'Assignments and assessments reflected what was taught', type: 'likert', required: true },
+  { prompt: 'Feedback on my work was timely and useful', type: 'likert', required: true },
+  { prompt: 'Overall, this was a worthwhile course', type: 'likert', required: true },
+  { prompt: 'What worked well in this course?', type: 'text', required: false },
+  { prompt: 'What could be improved?', type: 'text', required: false }
+];
+
+/**
+ * Get evaluation configuration
+ * @returns {Object} Evaluation configuration
+ */
+const getEvaluationConfig = () => ({
+  // Reports with fewer responses show only the count, so no answer can be traced to a student
+  minResponses: Math.max(1, toInt(process.env.EVALUATION_MIN_RESPONSES, 5)),
+  // Default window around the course's end date when a form gives none
+  opensDaysBeforeEnd: toInt(process.env.EVALUATION_OPENS_DAYS_BEFORE_END, 14),
+  closesDaysAfterEnd: toInt(process.env.EVALUATION_CLOSES_DAYS_AFTER_END, 14)
+});
+
+module.exports = {
+  LIKERT_SCALE,
+  QUESTION_TYPES,
+  DEFAULT_EVALUATION_QUESTIONS,
+  getEvaluationConfig
+};
@@ -0,0 +1,121 @@
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const nodemailer = require('nodemailer');
+const logger = require('../utils/logger');
+
+let mailTransport = null;
+
+/**
+ * Read mail settings from the environment
+ * @returns {Object} Mail configuration
+ */
+const getMailConfig = () => ({
+  transport: (process.env.MAIL_TRANSPORT || (process.env.NODE_ENV === 'production' ? 'smtp' : 'file')).toLowerCase(),
+  from: process.env.MAIL_FROM || 'Smart Campus <no-reply@smartcampus.com>',
+  appUrl: (process.env.APP_URL || process.env.CORS_ORIGIN || 'http://localhost:3000').replace(/\/$/, ''),
+  outboxDir: process.env.MAIL_OUTBOX_DIR || path.join(__dirname, '../../tmp/mail-outbox'),
+  smtp: {
+    host: process.env.SMTP_HOST,
+    port: parseInt(process.env.SMTP_PORT, 10) || 587,
+    secure: process.env.SMTP_SECURE === 'true',
+    user: process.env.SMTP_USER,
+    password: process.env.SMTP_PASSWORD
+  }
+});
+
+/**
+ * SMTP transport backed by nodemailer
+ * @param {Object} config - Mail configuration
+ * @returns {Object} Transport with a send(message) method
+ */
+const createSmtpTransport = (config) => {
+  if (!config.smtp.host) {
+    throw new Error('SMTP_HOST must be set when MAIL_TRANSPORT is smtp');
+  }
+
+  const transporter = nodemailer.createTransport({
+    host: config.smtp.host,
+    port: config.smtp.port,
+    secure: config.smtp.secure,
+    auth: config.smtp.user ? { user: config.smtp.user, pass: config.smtp.password } : undefined
+  });
+
+  return {
+    name: 'smtp',
+    async send(message) {
+      const info = await transporter.sendMail(message);
+      return { messageId: info.messageId };
+    }
+  };
+};
+
+/**
+ * File/outbox transport for development and tests. Every message is written
+ * as JSON into the outbox directory and kept in memory so tests can read it back.
+ * @param {Object} config - Mail configuration
+ * @returns {Object} Transport with send(message), messages and clear()
+ */
+const createFileTransport = (config) => {
+  const messages = [];
+
+  return {
+    name: 'file',
+    messages,
+    async send(message) {
+      const messageId = `${Date.now()}-${crypto.randomBytes(6).toString('hex')}`;
+      const entry = { messageId, createdAt: new Date().toISOString(), ...message };
+
+      messages.push(entry);
+
+      await fs.promises.mkdir(config.outboxDir, { recursive: true });
+      await fs.promises.writeFile(
+        path.join(config.outboxDir, `${messageId}.json`),
+        JSON.stringify(entry, null, 2)
+      );
+
+      return { messageId };
+    },
+    clear() {
+      messages.length = 0;
+    }
+  };
+};
+
+/**
+ * Get (and lazily create) the configured mail transport
+ * @returns {Object} Mail transport
+ */
+const getMailTransport = () => {
+  if (!mailTransport) {
+    const config = getMailConfig();
+
+    if (config.transport === 'smtp') {
+      mailTransport = createSmtpTransport(config);
+    } else if (config.transport === 'file') {
+      mailTransport = createFileTransport(config);
+    } else {
+      throw new Error(`Unknown MAIL_TRANSPORT: ${config.transport}`);
+    }
+
+    logger.info(`Mail transport initialised: ${mailTransport.name}`);
+  }
+
+  return mailTransport;
+};
+
+/**
+ * Replace the active transport (used by tests and custom integrations)
+ * @param {Object|null} transport - Transport with a send(message) method, or null to reset
+ */
+const setMailTransport = (transport) => {
+  mailTransport = transport;
+};
+
+module.exports = {
+  getMailConfig,
+  getMailTransport,
+  setMailTransport,
+  createSmtpTransport,
+  createFileTransport
+};
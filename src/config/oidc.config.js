@@ -0,0 +1,78 @@
+/**
+ * OpenID Connect single sign-on settings read from the environment
+ *
+ * SSO is enabled once OIDC_ISSUER and OIDC_CLIENT_ID are set. Claims of the
+ * ID token are mapped onto new accounts: the role claim (a string or list)
+ * is translated through OIDC_ROLE_MAP, the department claim is matched
+ * against department codes and names, and the student/faculty ID claims
+ * fill the matching identifier.
+ */
+const logger = require('../utils/logger');
+const { toInt } = require('./auth.config');
+
+// Accounts created from the IdP can only get these roles; admins are always local
+const PROVISIONABLE_ROLES = ['student', 'faculty'];
+
+const DEFAULT_ROLE_MAP = {
+  student: 'student',
+  students: 'student',
+  faculty: 'faculty',
+  staff: 'faculty'
+};
+
+/**
+ * Read a JSON object from the environment
+ * @param {string} name - Variable name
+ * @param {Object} fallback - Value when unset or invalid
+ * @returns {Object} Parsed value
+ */
+const readJson = (name, fallback) => {
+  if (!process.env[name]) return fallback;
+  try {
+    return JSON.parse(process.env[name]);
+  } catch (error) {
+    logger.warn(`Ignoring ${name}: not valid JSON`);
+    return fallback;
+  }
+};
+
+/**
+ * Get OpenID Connect configuration
+ * @returns {Object} OIDC configuration
+ */
+const getOidcConfig = () => ({
+  enabled: !!(process.env.OIDC_ISSUER && process.env.OIDC_CLIENT_ID),
+  providerName: process.env.OIDC_PROVIDER_NAME || 'Campus SSO',
+  issuer: (process.env.OIDC_ISSUER || '').replace(/\/+$/, ''),
+  clientId: process.env.OIDC_CLIENT_ID,
+  // Optional for public clients, which rely on PKCE alone
+  clientSecret: process.env.OIDC_CLIENT_SECRET || null,
+  redirectUri: process.env.OIDC_REDIRECT_URI,
+  scope: process.env.OIDC_SCOPES || 'openid email profile',
+  stateTtlMinutes: toInt(process.env.OIDC_STATE_TTL_MINUTES, 10),
+  clockToleranceSeconds: 60,
+  // Create accounts on first sign-in
+  jitProvisioning: process.env.OIDC_JIT_PROVISIONING !== 'false',
+  // Link to an existing local account with the same (IdP-verified) email
+  autoLinkByEmail: process.env.OIDC_AUTO_LINK_BY_EMAIL === 'true',
+  // Skip our two-factor step because the IdP already enforces one
+  trustProviderTwoFactor: process.env.OIDC_TRUST_PROVIDER_2FA === 'true',
+  claims: {
+    email: process.env.OIDC_EMAIL_CLAIM || 'email',
+    firstName: process.env.OIDC_FIRST_NAME_CLAIM || 'given_name',
+    lastName: process.env.OIDC_LAST_NAME_CLAIM || 'family_name',
+    role: process.env.OIDC_ROLE_CLAIM || 'groups',
+    department: process.env.OIDC_DEPARTMENT_CLAIM || 'department',
+    studentId: process.env.OIDC_STUDENT_ID_CLAIM || 'student_id',
+    facultyId: process.env.OIDC_FACULTY_ID_CLAIM || 'employee_id'
+  },
+  // IdP role/group value -> account role
+  roleMap: readJson('OIDC_ROLE_MAP', DEFAULT_ROLE_MAP),
+  // Role for users whose claims match nothing in the map; empty refuses them
+  defaultRole: process.env.OIDC_DEFAULT_ROLE || ''
+});
+
+module.exports = {
+  PROVISIONABLE_ROLES,
+  getOidcConfig
+};
@@ -0,0 +1,72 @@
+/**
+ * Password policies per role
+ *
+ * Each role's policy is the default policy with the role's overrides applied.
+ * Both can be adjusted without a code change through JSON environment
+ * variables: PASSWORD_POLICY_DEFAULT and PASSWORD_POLICY_<ROLE>
+ * (e.g. PASSWORD_POLICY_ADMIN='{"minLength":14,"maxAgeDays":60}').
+ */
+const logger = require('../utils/logger');
+
+const DEFAULT_POLICY = {
+  minLength: 8,
+  maxLength: 128,
+  requireUppercase: true,
+  requireLowercase: true,
+  requireDigit: true,
+  requireSymbol: false,
+  // Reject passwords from the common-password blocklist
+  blockCommon: true,
+  // Number of previous passwords that may not be reused
+  historyCount: 5,
+  // Days before a password must be changed at the next login; 0 disables expiry
+  maxAgeDays: 0
+};
+
+const ROLE_POLICIES = {
+  admin: {
+    minLength: 12,
+    requireSymbol: true,
+    historyCount: 10,
+    maxAgeDays: 90
+  },
+  faculty: {
+    minLength: 10,
+    maxAgeDays: 180
+  },
+  student: {},
+  guardian: {}
+};
+
+/**
+ * Read a JSON policy override from the environment
+ * @param {string} name - Variable name
+ * @returns {Object} Overrides (empty if unset or invalid)
+ */
+const readOverride = (name) => {
+  if (!process.env[name]) return {};
+  try {
+    return JSON.parse(process.env[name]);
+  } catch (error) {
+    logger.warn(`Ignoring ${name}: not valid JSON`);
+    return {};
+  }
+};
+
+/**
+ * Get the password policy for a role
+ * @param {string} role - User role
+ * @returns {Object} Password policy
+ */
+const getPasswordPolicy = (role) => ({
+  ...DEFAULT_POLICY,
+  ...readOverride('PASSWORD_POLICY_DEFAULT'),
+  ...(ROLE_POLICIES[role] || {}),
+  ...(role ? readOverride(`PASSWORD_POLICY_${role.toUpperCase()}`) : {})
+});
+
+module.exports = {
+  DEFAULT_POLICY,
+  ROLE_POLICIES,
+  getPasswordPolicy
+};
@@ -0,0 +1,91 @@
+/**
+ * Permission catalogue and built-in roles
+ *
+ * Permissions are named `<area>.<action>`. Roles bundle permissions and are
+ * granted to users through role assignments, optionally scoped to a
+ * department. Every account also receives the permissions listed for its
+ * base `role` field (admin, faculty, student, guardian) institution-wide.
+ */
+
+const WILDCARD = '*';
+
+const PERMISSIONS = {
+  'users.read': 'View user accounts',
+  'users.create': 'Create user accounts',
+  'users.update': 'Edit user accounts',
+  'users.deactivate': 'Activate and deactivate user accounts',
+  'users.unlock': 'Unlock accounts locked after failed logins',
+  'users.export': 'Export user lists',
+  'users.impersonate': 'Act as another user for support',
+  'users.create_admin': 'Create administrator accounts',
+  'users.personal_data': 'Export and erase the personal data held about a user',
+  'users.moderate_avatars': 'Approve and remove profile pictures',
+  'courses.manage': 'Create and edit courses',
+  'timetable.override_clashes': 'Schedule and enroll despite timetable clashes, giving a reason',
+  'enrollments.manage': 'Manage student enrollments',
+  'enrollments.waive_prerequisites': 'Waive course prerequisites for a student',
+  'grades.approve': 'Approve submitted course grades',
+  'grades.finalize': 'Finalize approved course grades',
+  'roles.manage': 'Manage roles and role assignments',
+  'audit.read': 'View and export the audit log',
+  'service_accounts.manage': 'Manage service accounts and their API keys',
+  'guardians.manage': 'Link guardians to students and record consent'
+};
+
+// Permissions implied by the account's base role, always institution-wide
+const BASE_ROLE_PERMISSIONS = {
+  admin: [WILDCARD],
+  faculty: [],
+  student: [],
+  guardian: []
+};
+
+// Roles created on startup if missing; admins may edit their permissions but not delete them
+const SYSTEM_ROLES = [
+  {
+    name: 'department_head',
+    displayName: 'Department Head',
+    description: 'Manages staff, courses and grade approval within a department',
+    permissions: ['users.read', 'users.deactivate', 'courses.manage', 'enrollments.manage', 'grades.approve']
+  },
+  {
+    name: 'registrar',
+    displayName: 'Registrar',
+    description: 'Maintains student records, enrollments and final grades',
+    permissions: ['users.read', 'users.update', 'users.deactivate', 'users.unlock', 'users.export', 'enrollments.manage', 'grades.finalize']
+  }
+];
+
+/**
+ * Check whether a permission name (or `<area>.*` / `*` pattern) is known
+ * @param {string} permission - Permission name or pattern
+ * @returns {boolean} True if the permission can be granted
+ */
+const isKnownPermission = (permission) => {
+  if (permission === WILDCARD) return true;
+  if (permission.endsWith('.*')) {
+    const area = permission.slice(0, -1);
+    return Object.keys(PERMISSIONS).some(name => name.startsWith(area));
+  }
+  return Object.prototype.hasOwnProperty.call(PERMISSIONS, permission);
+};
+
+/**
+ * Check whether a granted permission (or pattern) covers a required permission
+ * @param {string} granted - Granted permission or pattern
+ * @param {string} required - Permission being checked
+ * @returns {boolean} True if the grant covers the requirement
+ */
+const permissionMatches = (granted, required) => {
+  if (granted === WILDCARD || granted === required) return true;
+  return granted.endsWith('.*') && required.startsWith(granted.slice(0, -1));
+};
+
+module.exports = {
+  WILDCARD,
+  PERMISSIONS,
+  BASE_ROLE_PERMISSIONS,
+  SYSTEM_ROLES,
+  isKnownPermission,
+  permissionMatches
+};
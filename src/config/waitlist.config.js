@@ -0,0 +1,20 @@
+/**
+ * Course waitlist settings read from the environment
+ */
+
+const { toInt } = require('./auth.config');
+
+/**
+ * Get waitlist configuration
+ * @returns {Object} Waitlist configuration
+ */
+const getWaitlistConfig = () => ({
+  // How long a promoted student holds the freed seat before it is offered to the next in line
+  claimWindowHours: toInt(process.env.WAITLIST_CLAIM_WINDOW_HOURS, 48),
+  // How often expired offers are closed and their seats offered on; 0 turns the sweep off
+  sweepIntervalMinutes: toInt(process.env.WAITLIST_SWEEP_INTERVAL_MINUTES, 15)
+});
+
+module.exports = {
+  getWaitlistConfig
+};
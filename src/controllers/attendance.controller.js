@@ -0,0 +1,185 @@
+const attendanceService = require('../services/attendance.service');
+const { ResponseHandler } = require('../utils/responseHandler');
+const logger = require('../utils/logger');
+
+/**
+ * Attendance Controller
+ */
+class AttendanceController {
+  /**
+   * Generate the sessions of a course from its schedules
+   * @param {Object} req - Express request object
+   * @param {Object} res - Express response object
+   */
+  async generateSessions(req, res) {
+    try {
+      const result = await attendanceService.generateSessions(req.params.courseId, req.body, req.user);
+
+      return ResponseHandler.success(res, 201, 'Attendance sessions generated successfully', result);
+    } catch (error) {
+      logger.error('Generate attendance sessions error:', error);
+      return ResponseHandler.error(res, error.statusCode || 400, error.message);
+    }
+  }
+
+  /**
+   * List the sessions of a course
+   * @param {Object} req - Express request object
+   * @param {Object} res - Express response object
+   */
+  async getSessions(req, res) {
+    try {
+      const sessions = await attendanceService.getSessions(req.params.courseId, req.user, req.query);
+
+      return ResponseHandler.success(res, 200, 'Attendance sessions retrieved successfully', sessions);
+    } catch (error) {
+      logger.error('Get attendance sessions error:', error);
+      return ResponseHandler.error(res, error.statusCode || 500, error.message);
+    }
+  }
+
+  /**
+   * Cancel or restore a session
+   * @param {Object} req - Express request object
+   * @param {Object} res - Express response object
+   */
+  async updateSession(req, res) {
+    try {
+      const session = await attendanceService.updateSessionStatus(
+        req.params.courseId,
+        req.params.sessionId,
+        req.body.status,
+        req.user
+      );
+
+      return ResponseHandler.success(res, 200, 'Attendance session updated successfully', session);
+    } catch (error) {
+      logger.error('Update attendance session error:', error);
+      return ResponseHandler.error(res, error.statusCode || 400, error.message);
+    }
+  }
+
+  /**
+   * Record roll call for a session
+   * @param {Object} req - Express request object
+   * @param {Object} res - Express response object
+   */
+  async recordAttendance(req, res) {
+    try {
+      const session = await attendanceService.recordAttendance(
+        req.params.courseId,
+        req.params.sessionId,
+        req.body.records,
+        req.user
+      );
+
+      return ResponseHandler.success(res, 200, 'Attendance recorded successfully', session);
+    } catch (error) {
+      logger.error('Record attendance error:', error);
+      return ResponseHandler.error(res, error.statusCode || 400, error.message);
+    }
+  }
+
+  /**
+   * Open self check-in for a session
+   * @param {Object} req - Express request object
+   * @param {Object} res - Express response object
+   */
+  async openCheckIn(req, res) {
+    try {
+      const checkIn = await attendanceService.openCheckIn(
+        req.params.courseId,
+        req.params.sessionId,
+        req.body.minutes,
+        req.user
+      );
+
+      return ResponseHandler.success(res, 201, 'Check-in opened successfully', checkIn);
+    } catch (error) {
+      logger.error('Open check-in error:', error);
+      return ResponseHandler.error(res, error.statusCode || 400, error.message);
+    }
+  }
+
+  /**
+   * Current check-in code of a session
+   * @param {Object} req - Express request object
+   * @param {Object} res - Express response object
+   */
+  async getCheckInCode(req, res) {
+    try {
+      const checkIn = await attendanceService.getCheckInCode(req.params.courseId, req.params.sessionId, req.user);
+
+      return ResponseHandler.success(res, 200, 'Check-in code retrieved successfully', checkIn);
+    } catch (error) {
+      logger.error('Get check-in code error:', error);
+      return ResponseHandler.error(res, error.statusCode || 500, error.message);
+    }
+  }
+
+  /**
+   * Close self check-in for a session
+   * @param {Object} req - Express request object
+   * @param {Object} res - Express response object
+   */
+  async closeCheckIn(req, res) {
+    try {
+      await attendanceService.closeCheckIn(req.params.courseId, req.params.sessionId, req.user);
+
+      return ResponseHandler.success(res, 200, 'Check-in closed successfully');
+    } catch (error) {
+      logger.error('Close check-in error:', error);
+      return ResponseHandler.error(res, error.statusCode || 500, error.message);
+    }
+  }
+
+  /**
+   * Check in to a session with its current code
+   * @param {Object} req - Express request object
+   * @param {Object} res - Express response object
+   */
+  async checkIn(req, res) {
+    try {
+      const result = await attendanceService.checkIn(req.params.courseId, req.body, req.user);
+
+      return ResponseHandler.success(res, 200, 'Checked in successfully', result);
+    } catch (error) {
+      logger.error('Check-in error:', error);
+      return ResponseHandler.error(res, error.statusCode || 400, error.message);
+    }
+  }
+
+  /**
+   * Attendance report of a course
+   * @param {Object} req - Express request object
+   * @param {Object} res - Express response object
+   */
+  async getReport(req, res) {
+    try {
+      const report = await attendanceService.getReport(req.params.courseId, req.user, req.query);
+
+      return ResponseHandler.success(res, 200, 'Attendance report retrieved successfully', report);
+    } catch (error) {
+      logger.error('Get attendance report error:', error);
+      return ResponseHandler.error(res, error.statusCode || 500, error.message);
+    }
+  }
+
+  /**
+   * The requesting student's attendance in a course
+   * @param {Object} req - Express request object
+   * @param {Object} res - Express response object
+   */
+  async getMyAttendance(req, res) {
+    try {
+      const attendance = await attendanceService.getStudentAttendance(req.params.courseId, req.user);
+
+      return ResponseHandler.success(res, 200, 'Attendance retrieved successfully', attendance);
+    } catch (error) {
+      logger.error('Get my attendance error:', error);
+      return ResponseHandler.error(res, error.statusCode || 500, error.message);
+    }
+  }
+}
+
+module.exports = new AttendanceController();
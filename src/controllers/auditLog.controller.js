@@ -0,0 +1,92 @@
+const auditService = require('../services/audit.service');
+const { ResponseHandler } = require('../utils/responseHandler');
+const logger = require('../utils/logger');
+
+const EXPORT_CONTENT_TYPES = {
+  json: 'application/json',
+  csv: 'text/csv; charset=utf-8',
+  xlsx: 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet'
+};
+
+/**
+ * Pick the audit log filters from the query string
+ * @param {Object} query - Express query object
+ * @returns {Object} Filters
+ */
+const getFilters = (query) => ({
+  actor: query.actor,
+  entityType: query.entityType,
+  entityId: query.entityId,
+  action: query.action,
+  from: query.from,
+  to: query.to
+});
+
+/**
+ * Audit Log Controller
+ */
+class AuditLogController {
+  /**
+   * List audit log entries
+   * @param {Object} req - Express request object
+   * @param {Object} res - Express response object
+   */
+  async getAuditLogs(req, res) {
+    try {
+      const pagination = {
+        page: parseInt(req.query.page) || 1,
+        limit: parseInt(req.query.limit) || 20
+      };
+
+      const result = await auditService.getAuditLogs(getFilters(req.query), pagination);
+
+      return ResponseHandler.success(res, 200, 'Audit log retrieved successfully', result.entries, result.pagination);
+    } catch (error) {
+      logger.error('Get audit logs error:', error);
+      return ResponseHandler.error(res, 500, 'Failed to retrieve audit log');
+    }
+  }
+
+  /**
+   * Get one audit log entry
+   * @param {Object} req - Express request object
+   * @param {Object} res - Express response object
+   */
+  async getAuditLogById(req, res) {
+    try {
+      const entry = await auditService.getAuditLogById(req.params.entryId);
+
+      return ResponseHandler.success(res, 200, 'Audit log entry retrieved successfully', entry);
+    } catch (error) {
+      logger.error('Get audit log entry error:', error);
+      return ResponseHandler.error(res, error.statusCode || 400, error.message);
+    }
+  }
+
+  /**
+   * Stream matching audit log entries as JSON, CSV or XLSX
+   * @param {Object} req - Express request object
+   * @param {Object} res - Express response object
+   */
+  async exportAuditLogs(req, res) {
+    try {
+      const { format = 'csv' } = req.query;
+
+      if (format !== 'json') {
+        res.attachment(`audit-log-${new Date().toISOString().slice(0, 10)}.${format}`);
+      }
+      res.status(200).type(EXPORT_CONTENT_TYPES[format]);
+
+      await auditService.exportAuditLogs(res, format, getFilters(req.query));
+    } catch (error) {
+      logger.error('Export audit logs error:', error);
+      // Once streaming has started the status line is gone; abort so the client sees a truncated download
+      if (res.headersSent) {
+        return res.destroy(error);
+      }
+      return ResponseHandler.error(res, 500, 'Failed to export audit log');
+    }
+  }
+}
+
+module.exports = new AuditLogController();
@@ -1,7 +1,18 @@
 const userService = require('../services/user.service');
+const sessionService = require('../services/session.service');
+const twoFactorService = require('../services/twoFactor.service');
+const permissionService = require('../services/permission.service');
+const impersonationService = require('../services/impersonation.service');
+const passwordPolicyService = require('../services/passwordPolicy.service');
+const oidcService = require('../services/oidc.service');
+const avatarService = require('../services/avatar.service');
+const { getOidcConfig } = require('../config/oidc.config');
 const { ResponseHandler } = require('../utils/responseHandler');
 const logger = require('../utils/logger');
 
+// Password policy errors list every broken rule so forms can show them together
+const policyViolations = error => (error.violations ? { violations: error.violations } : null);
+
 /**
  * Authentication Controller
  */
@@ -16,10 +27,16 @@ class AuthController {
       const userData = req.body;
       const user = await userService.createUser(userData);
 
+      try {
+        await userService.sendVerificationEmail(user._id);
+      } catch (mailError) {
+        logger.error('Failed to send verification email after registration:', mailError);
+      }
+
       return ResponseHandler.success(res, 201, 'User registered successfully', user);
     } catch (error) {
       logger.error('Registration error:', error);
-      return ResponseHandler.error(res, 400, error.message);
+      return ResponseHandler.error(res, 400, error.message, policyViolations(error));
     }
   }
 
@@ -31,12 +48,225 @@ class AuthController {
   async login(req, res) {
     try {
       const { email, password } = req.body;
-      const result = await userService.authenticateUser(email, password);
+      const result = await userService.authenticateUser(email, password, {
+        ipAddress: req.ip,
+        userAgent: req.get('User-Agent')
+      });
+
+      if (result.twoFactorRequired) {
+        return ResponseHandler.success(res, 200, 'Two-factor authentication required', result);
+      }
+      if (result.twoFactorSetupRequired) {
+        return ResponseHandler.success(res, 200, 'Two-factor enrollment required', result);
+      }
+      if (result.passwordChangeRequired) {
+        return ResponseHandler.success(res, 200, 'Password change required', result);
+      }
 
       return ResponseHandler.success(res, 200, 'Login successful', result);
     } catch (error) {
       logger.error('Login error:', error);
-      return ResponseHandler.error(res, 401, error.message);
+      if (error.retryAfter) {
+        res.set('Retry-After', String(error.retryAfter));
+      }
+      return ResponseHandler.error(res, error.statusCode || 401, error.message);
+    }
+  }
+
+  /**
+   * Whether single sign-on is available, for the login page
+   * @param {Object} req - Express request object
+   * @param {Object} res - Express response object
+   */
+  async getSsoStatus(req, res) {
+    const { enabled, providerName } = getOidcConfig();
+
+    return ResponseHandler.success(res, 200, 'Single sign-on status retrieved successfully', {
+      enabled,
+      provider: enabled ? providerName : null
+    });
+  }
+
+  /**
+   * Start single sign-on: returns the identity provider URL to send the browser to
+   * @param {Object} req - Express request object
+   * @param {Object} res - Express response object
+   */
+  async startSsoLogin(req, res) {
+    try {
+      const result = await oidcService.createAuthorizationRequest('login');
+
+      return ResponseHandler.success(res, 200, 'Redirect to the identity provider to sign in', result);
+    } catch (error) {
+      logger.error('SSO login start error:', error);
+      return ResponseHandler.error(res, error.statusCode || 500, error.message);
+    }
+  }
+
+  /**
+   * Finish single sign-on with the code and state the identity provider returned
+   * @param {Object} req - Express request object
+   * @param {Object} res - Express response object
+   */
+  async completeSsoLogin(req, res) {
+    try {
+      // The IdP may redirect to the API (query) or the frontend may forward the values (body)
+      const { code, state } = req.method === 'GET' ? req.query : req.body;
+      const result = await oidcService.handleCallback(code, state, {
+        ipAddress: req.ip,
+        userAgent: req.get('User-Agent')
+      });
+
+      if (result.linked) {
+        return ResponseHandler.success(res, 200, 'Single sign-on linked to your account', result.user);
+      }
+      if (result.twoFactorRequired) {
+        return ResponseHandler.success(res, 200, 'Two-factor authentication required', result);
+      }
+      if (result.twoFactorSetupRequired) {
+        return ResponseHandler.success(res, 200, 'Two-factor enrollment required', result);
+      }
+      return ResponseHandler.success(res, 200, 'Login successful', result);
+    } catch (error) {
+      logger.error('SSO callback error:', error);
+      if (error.retryAfter) {
+        res.set('Retry-After', String(error.retryAfter));
+      }
+      return ResponseHandler.error(res, error.statusCode || 401, error.message);
+    }
+  }
+
+  /**
+   * Start linking the identity provider to the signed-in account
+   * @param {Object} req - Express request object
+   * @param {Object} res - Express response object
+   */
+  async startSsoLink(req, res) {
+    try {
+      const result = await oidcService.createAuthorizationRequest('link', req.user);
+
+      return ResponseHandler.success(res, 200, 'Redirect to the identity provider to link your account', result);
+    } catch (error) {
+      logger.error('SSO link start error:', error);
+      return ResponseHandler.error(res, error.statusCode || 500, error.message);
+    }
+  }
+
+  /**
+   * Unlink the identity provider from the signed-in account
+   * @param {Object} req - Express request object
+   * @param {Object} res - Express response object
+   */
+  async unlinkSso(req, res) {
+    try {
+      const user = await oidcService.unlinkIdentity(req.user._id, {
+        ipAddress: req.ip,
+        userAgent: req.get('User-Agent')
+      });
+
+      return ResponseHandler.success(res, 200, 'Single sign-on unlinked from your account', user);
+    } catch (error) {
+      logger.error('SSO unlink error:', error);
+      return ResponseHandler.error(res, error.statusCode || 400, error.message);
+    }
+  }
+
+  /**
+   * Complete login with a TOTP or recovery code
+   * @param {Object} req - Express request object
+   * @param {Object} res - Express response object
+   */
+  async verifyTwoFactor(req, res) {
+    try {
+      const { twoFactorToken, code, recoveryCode } = req.body;
+      const context = { ipAddress: req.ip, userAgent: req.get('User-Agent') };
+
+      const user = await twoFactorService.verifyLoginChallenge(twoFactorToken, { code, recoveryCode }, context);
+      const result = await userService.completeLogin(user, context, { method: twoFactorService.getLoginMethod(twoFactorToken) });
+
+      return ResponseHandler.success(res, 200, result.passwordChangeRequired ? 'Password change required' : 'Login successful', result);
+    } catch (error) {
+      logger.error('Two-factor verification error:', error);
+      return ResponseHandler.error(res, error.statusCode || 401, error.message);
+    }
+  }
+
+  /**
+   * Start two-factor enrollment (returns secret and otpauth URI)
+   * @param {Object} req - Express request object
+   * @param {Object} res - Express response object
+   */
+  async setupTwoFactor(req, res) {
+    try {
+      const result = await twoFactorService.beginEnrollment(req.user._id);
+
+      return ResponseHandler.success(res, 200, 'Scan the secret with your authenticator app and confirm with a code', result);
+    } catch (error) {
+      logger.error('Two-factor setup error:', error);
+      return ResponseHandler.error(res, error.statusCode || 400, error.message);
+    }
+  }
+
+  /**
+   * Confirm two-factor enrollment. When enrollment was forced at login,
+   * this also completes that login.
+   * @param {Object} req - Express request object
+   * @param {Object} res - Express response object
+   */
+  async enableTwoFactor(req, res) {
+    try {
+      const context = { ipAddress: req.ip, userAgent: req.get('User-Agent') };
+      const { user, recoveryCodes } = await twoFactorService.confirmEnrollment(req.user._id, req.body.code, context);
+
+      let data = { recoveryCodes };
+      if (req.twoFactorSetup) {
+        const method = twoFactorService.getLoginMethod(req.body.twoFactorToken);
+        data = { ...data, ...(await userService.completeLogin(user, context, { method })) };
+      }
+
+      return ResponseHandler.success(res, 200, 'Two-factor authentication enabled. Store the recovery codes somewhere safe', data);
+    } catch (error) {
+      logger.error('Two-factor enable error:', error);
+      return ResponseHandler.error(res, error.statusCode || 400, error.message);
+    }
+  }
+
+  /**
+   * Disable two-factor authentication
+   * @param {Object} req - Express request object
+   * @param {Object} res - Express response object
+   */
+  async disableTwoFactor(req, res) {
+    try {
+      const { password, code } = req.body;
+      await twoFactorService.disable(req.user._id, password, code, {
+        ipAddress: req.ip,
+        userAgent: req.get('User-Agent')
+      });
+
+      return ResponseHandler.success(res, 200, 'Two-factor authentication disabled');
+    } catch (error) {
+      logger.error('Two-factor disable error:', error);
+      return ResponseHandler.error(res, error.statusCode || 400, error.message);
+    }
+  }
+
+  /**
+   * Replace the recovery codes
+   * @param {Object} req - Express request object
+   * @param {Object} res - Express response object
+   */
+  async regenerateRecoveryCodes(req, res) {
+    try {
+      const recoveryCodes = await twoFactorService.regenerateRecoveryCodes(req.user._id, req.body.code, {
+        ipAddress: req.ip,
+        userAgent: req.get('User-Agent')
+      });
+
+      return ResponseHandler.success(res, 200, 'Recovery codes regenerated', { recoveryCodes });
+    } catch (error) {
+      logger.error('Recovery code regeneration error:', error);
+      return ResponseHandler.error(res, error.statusCode || 400, error.message);
     }
   }
 
@@ -48,7 +278,10 @@ class AuthController {
   async refreshToken(req, res) {
     try {
       const { refreshToken } = req.body;
-      const result = await userService.refreshAccessToken(refreshToken);
+      const result = await userService.refreshAccessToken(refreshToken, {
+        ipAddress: req.ip,
+        userAgent: req.get('User-Agent')
+      });
 
       return ResponseHandler.success(res, 200, 'Token refreshed successfully', result);
     } catch (error) {
@@ -65,7 +298,12 @@ class AuthController {
   async logout(req, res) {
     try {
       const userId = req.user._id;
-      await userService.logoutUser(userId);
+      // Logging out of an impersonation ends it rather than the user's own sessions
+      if (req.impersonation) {
+        await impersonationService.stopImpersonation(req.sessionId);
+      } else {
+        await userService.logoutUser(userId, req.sessionId);
+      }
 
       return ResponseHandler.success(res, 200, 'Logout successful');
     } catch (error) {
@@ -74,6 +312,90 @@ class AuthController {
     }
   }
 
+  /**
+   * End the current impersonation session
+   * @param {Object} req - Express request object
+   * @param {Object} res - Express response object
+   */
+  async stopImpersonation(req, res) {
+    try {
+      if (!req.impersonation) {
+        return ResponseHandler.error(res, 400, 'You are not impersonating a user');
+      }
+
+      await impersonationService.stopImpersonation(req.sessionId);
+
+      return ResponseHandler.success(res, 200, 'Impersonation ended');
+    } catch (error) {
+      logger.error('Stop impersonation error:', error);
+      return ResponseHandler.error(res, error.statusCode || 500, error.message);
+    }
+  }
+
+  /**
+   * List the permission grants of the current user
+   * @param {Object} req - Express request object
+   * @param {Object} res - Express response object
+   */
+  async getPermissions(req, res) {
+    try {
+      const grants = await permissionService.getGrants(req.user);
+
+      return ResponseHandler.success(res, 200, 'Permissions retrieved successfully', grants);
+    } catch (error) {
+      logger.error('Get permissions error:', error);
+      return ResponseHandler.error(res, 500, 'Failed to retrieve permissions');
+    }
+  }
+
+  /**
+   * List the active sessions of the current user
+   * @param {Object} req - Express request object
+   * @param {Object} res - Express response object
+   */
+  async getSessions(req, res) {
+    try {
+      const sessions = await sessionService.listSessions(req.user._id, req.sessionId);
+
+      return ResponseHandler.success(res, 200, 'Sessions retrieved successfully', sessions);
+    } catch (error) {
+      logger.error('Get sessions error:', error);
+      return ResponseHandler.error(res, 500, 'Failed to retrieve sessions');
+    }
+  }
+
+  /**
+   * Revoke one session of the current user
+   * @param {Object} req - Express request object
+   * @param {Object} res - Express response object
+   */
+  async revokeSession(req, res) {
+    try {
+      await sessionService.revokeSession(req.user._id, req.params.sessionId, 'user_revoked');
+
+      return ResponseHandler.success(res, 200, 'Session revoked successfully');
+    } catch (error) {
+      logger.error('Revoke session error:', error);
+      return ResponseHandler.error(res, error.statusCode || 400, error.message);
+    }
+  }
+
+  /**
+   * Revoke all sessions of the current user except the one making the request
+   * @param {Object} req - Express request object
+   * @param {Object} res - Express response object
+   */
+  async revokeOtherSessions(req, res) {
+    try {
+      const revoked = await sessionService.revokeAllSessions(req.user._id, 'user_revoked', req.sessionId);
+
+      return ResponseHandler.success(res, 200, 'Other sessions revoked successfully', { revoked });
+    } catch (error) {
+      logger.error('Revoke other sessions error:', error);
+      return ResponseHandler.error(res, 500, 'Failed to revoke sessions');
+    }
+  }
+
   /**
    * Get current user profile
    * @param {Object} req - Express request object
@@ -84,7 +406,12 @@ class AuthController {
       const userId = req.user._id;
       const user = await userService.getUserById(userId);
 
-      return ResponseHandler.success(res, 200, 'Profile retrieved successfully', user);
+      // Lets the UI show a banner while an admin is acting as this user
+      const impersonation = req.impersonation
+        ? { active: true, impersonator: req.impersonation.impersonator, expiresAt: req.impersonation.expiresAt }
+        : null;
+
+      return ResponseHandler.success(res, 200, 'Profile retrieved successfully', { ...user.toJSON(), impersonation });
     } catch (error) {
       logger.error('Get profile error:', error);
       return ResponseHandler.error(res, 500, 'Failed to retrieve profile');
@@ -109,6 +436,47 @@ class AuthController {
     }
   }
 
+  /**
+   * Upload a new avatar for the current user
+   * @param {Object} req - Express request object
+   * @param {Object} res - Express response object
+   */
+  async uploadAvatar(req, res) {
+    try {
+      const result = await avatarService.uploadAvatar(req.user._id, req.file, {
+        ipAddress: req.ip,
+        userAgent: req.get('User-Agent')
+      });
+      const message = result.pendingApproval
+        ? 'Avatar uploaded and awaiting approval'
+        : 'Avatar updated successfully';
+
+      return ResponseHandler.success(res, 200, message, result);
+    } catch (error) {
+      logger.error('Upload avatar error:', error);
+      return ResponseHandler.error(res, error.statusCode || 400, error.message);
+    }
+  }
+
+  /**
+   * Remove the current user's avatar
+   * @param {Object} req - Express request object
+   * @param {Object} res - Express response object
+   */
+  async removeAvatar(req, res) {
+    try {
+      await avatarService.removeOwnAvatar(req.user._id, {
+        ipAddress: req.ip,
+        userAgent: req.get('User-Agent')
+      });
+
+      return ResponseHandler.success(res, 200, 'Avatar removed successfully');
+    } catch (error) {
+      logger.error('Remove avatar error:', error);
+      return ResponseHandler.error(res, error.statusCode || 400, error.message);
+    }
+  }
+
   /**
    * Change user password
    * @param {Object} req - Express request object
@@ -123,7 +491,7 @@ class AuthController {
       return ResponseHandler.success(res, 200, 'Password changed successfully');
     } catch (error) {
       logger.error('Change password error:', error);
-      return ResponseHandler.error(res, 400, error.message);
+      return ResponseHandler.error(res, 400, error.message, policyViolations(error));
     }
   }
 
@@ -135,15 +503,72 @@ class AuthController {
   async forgotPassword(req, res) {
     try {
       const { email } = req.body;
-      
-      // TODO: Implement email service to send reset link
-      // For now, just return success message
-      logger.info(`Password reset requested for email: ${email}`);
-
-      return ResponseHandler.success(res, 200, 'Password reset email sent successfully');
+      await userService.requestPasswordReset(email);
     } catch (error) {
+      // Only existing accounts get as far as sending mail, so a failure must
+      // not change the response either
       logger.error('Forgot password error:', error);
-      return ResponseHandler.error(res, 500, 'Failed to send reset email');
+    }
+
+    // Same response whether or not the account exists
+    return ResponseHandler.success(res, 200, 'If an account exists for this email, a password reset link has been sent');
+  }
+
+  /**
+   * Reset password with the token from the reset email
+   * @param {Object} req - Express request object
+   * @param {Object} res - Express response object
+   */
+  async resetPasswordWithToken(req, res) {
+    try {
+      const { token } = req.params;
+      const { newPassword } = req.body;
+
+      await userService.resetPasswordWithToken(token, newPassword, {
+        ipAddress: req.ip,
+        userAgent: req.get('User-Agent')
+      });
+
+      return ResponseHandler.success(res, 200, 'Password reset successfully');
+    } catch (error) {
+      logger.error('Reset password with token error:', error);
+      return ResponseHandler.error(res, error.statusCode || 400, error.message, policyViolations(error));
+    }
+  }
+
+  /**
+   * Replace a temporary or expired password with the token issued at login
+   * @param {Object} req - Express request object
+   * @param {Object} res - Express response object
+   */
+  async changeExpiredPassword(req, res) {
+    try {
+      const { passwordChangeToken, newPassword } = req.body;
+      const result = await userService.changeExpiredPassword(passwordChangeToken, newPassword, {
+        ipAddress: req.ip,
+        userAgent: req.get('User-Agent')
+      });
+
+      return ResponseHandler.success(res, 200, 'Password changed successfully', result);
+    } catch (error) {
+      logger.error('Change expired password error:', error);
+      return ResponseHandler.error(res, error.statusCode || 400, error.message, policyViolations(error));
+    }
+  }
+
+  /**
+   * Get the password policy for a role (defaults to student)
+   * @param {Object} req - Express request object
+   * @param {Object} res - Express response object
+   */
+  async getPasswordPolicy(req, res) {
+    try {
+      const result = passwordPolicyService.describePolicy(req.query.role || 'student');
+
+      return ResponseHandler.success(res, 200, 'Password policy retrieved successfully', result);
+    } catch (error) {
+      logger.error('Get password policy error:', error);
+      return ResponseHandler.error(res, 500, error.message);
     }
   }
 
@@ -162,7 +587,7 @@ class AuthController {
       return ResponseHandler.success(res, 200, result.message, result.user);
     } catch (error) {
       logger.error('Admin reset password error:', error);
-      return ResponseHandler.error(res, error.statusCode || 400, error.message);
+      return ResponseHandler.error(res, error.statusCode || 400, error.message, policyViolations(error));
     }
   }
 
@@ -174,15 +599,15 @@ class AuthController {
   async verifyEmail(req, res) {
     try {
       const { token } = req.params;
-      
-      // TODO: Implement email verification
-      // For now, just return success message
-      logger.info(`Email verification with token: ${token}`);
+      const user = await userService.verifyEmailToken(token);
 
-      return ResponseHandler.success(res, 200, 'Email verified successfully');
+      return ResponseHandler.success(res, 200, 'Email verified successfully', {
+        email: user.email,
+        isEmailVerified: user.isEmailVerified
+      });
     } catch (error) {
       logger.error('Email verification error:', error);
-      return ResponseHandler.error(res, 400, error.message);
+      return ResponseHandler.error(res, error.statusCode || 400, error.message);
     }
   }
 
@@ -194,16 +619,15 @@ class AuthController {
   async resendVerification(req, res) {
     try {
       const { email } = req.body;
-      
-      // TODO: Implement email service to resend verification
-      // For now, just return success message
-      logger.info(`Verification email resent to: ${email}`);
-
-      return ResponseHandler.success(res, 200, 'Verification email sent successfully');
+      await userService.resendVerificationEmail(email);
     } catch (error) {
+      // Only unverified accounts get as far as sending mail, so a failure must
+      // not change the response either
       logger.error('Resend verification error:', error);
-      return ResponseHandler.error(res, 500, 'Failed to send verification email');
     }
+
+    // Same response whether or not the account exists or is already verified
+    return ResponseHandler.success(res, 200, 'If the account exists and is unverified, a verification email has been sent');
   }
 }
 
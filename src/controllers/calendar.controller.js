@@ -0,0 +1,100 @@
+const calendarService = require('../services/calendar.service');
+const { ResponseHandler } = require('../utils/responseHandler');
+const logger = require('../utils/logger');
+
+/**
+ * Calendar Controller
+ */
+class CalendarController {
+  /**
+   * Get the signed-in user's calendar feed
+   * @param {Object} req - Express request object
+   * @param {Object} res - Express response object
+   */
+  async getFeed(req, res) {
+    try {
+      const feed = await calendarService.getFeed(req.user._id);
+
+      return ResponseHandler.success(res, 200, 'Calendar feed retrieved successfully', feed);
+    } catch (error) {
+      logger.error('Get calendar feed error:', error);
+      return ResponseHandler.error(res, 500, 'Failed to retrieve calendar feed');
+    }
+  }
+
+  /**
+   * Create (or replace) the signed-in user's calendar feed URL
+   * @param {Object} req - Express request object
+   * @param {Object} res - Express response object
+   */
+  async createFeed(req, res) {
+    try {
+      const { token, createdAt } = await calendarService.createFeed(req.user);
+      const url = `${req.protocol}://${req.get('host')}${req.baseUrl}/feeds/${token}.ics`;
+
+      return ResponseHandler.success(res, 201, 'Calendar feed created successfully', {
+        url,
+        webcalUrl: url.replace(/^https?:/, 'webcal:'),
+        createdAt
+      });
+    } catch (error) {
+      logger.error('Create calendar feed error:', error);
+      return ResponseHandler.error(res, error.statusCode || 500, error.message);
+    }
+  }
+
+  /**
+   * Revoke the signed-in user's calendar feed URL
+   * @param {Object} req - Express request object
+   * @param {Object} res - Express response object
+   */
+  async revokeFeed(req, res) {
+    try {
+      await calendarService.revokeFeed(req.user._id);
+
+      return ResponseHandler.success(res, 200, 'Calendar feed revoked successfully');
+    } catch (error) {
+      logger.error('Revoke calendar feed error:', error);
+      return ResponseHandler.error(res, error.statusCode || 500, error.message);
+    }
+  }
+
+  /**
+   * Revoke another user's calendar feed URL
+   * @param {Object} req - Express request object
+   * @param {Object} res - Express response object
+   */
+  async revokeUserFeed(req, res) {
+    try {
+      await calendarService.revokeFeed(req.params.userId);
+
+      return ResponseHandler.success(res, 200, 'Calendar feed revoked successfully');
+    } catch (error) {
+      logger.error('Revoke user calendar feed error:', error);
+      return ResponseHandler.error(res, error.statusCode || 500, error.message);
+    }
+  }
+
+  /**
+   * Serve a calendar feed as iCalendar
+   * @param {Object} req - Express request object
+   * @param {Object} res - Express response object
+   */
+  async renderFeed(req, res) {
+    try {
+      const calendar = await calendarService.renderFeed(req.params.token);
+
+      return res
+        .set('Content-Type', 'text/calendar; charset=utf-8')
+        .set('Content-Disposition', 'inline; filename="timetable.ics"')
+        .set('Cache-Control', 'private, max-age=300')
+        .status(200)
+        .send(calendar);
+    } catch (error) {
+      logger.error('Render calendar feed error:', error);
+      return ResponseHandler.error(res, error.statusCode || 500, error.statusCode ? error.message : 'Failed to render calendar feed');
+    }
+  }
+}
+
+module.exports = new CalendarController();
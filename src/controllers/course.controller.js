@@ -1,8 +1,27 @@
 const courseService = require('../services/course.service');
+const clashService = require('../services/clash.service');
+const waitlistService = require('../services/waitlist.service');
+const rolloverService = require('../services/rollover.service');
 const { ResponseHandler } = require('../utils/responseHandler');
 const logger = require('../utils/logger');
 const Course = require('../models/course.model');
 
+// Fields that change when and where a course is taught, or by whom
+const TIMETABLE_FIELDS = ['schedule', 'location', 'faculty', 'year', 'semester', 'status'];
+
+// Admins may proceed despite timetable clashes by giving a reason
+const clashOverride = req => (req.body.clashOverrideReason ? { user: req.user, reason: req.body.clashOverrideReason } : null);
+
+// Target term of a rollover
+const rolloverTarget = ({ year, semester, startDate, endDate }) => ({ year, semester, startDate, endDate });
+
+// Timetable conflicts and missing prerequisites are returned with the error
+const errorDetails = (error) => {
+  if (error.conflicts) return { conflicts: error.conflicts };
+  if (error.missingPrerequisites) return { missingPrerequisites: error.missingPrerequisites };
+  return null;
+};
+
 /**
  * Course Controller
  */
@@ -74,14 +93,22 @@ class CourseController {
    */
   async createCourse(req, res) {
     try {
-      req.body.createdBy = req?.user?._id;
-      const course = await Course.create(req.body);
+      const { clashOverrideReason, ...courseData } = req.body;
+      courseData.createdBy = req?.user?._id;
+
+      const conflicts = await clashService.findTeachingClashes(courseData);
+      const overridden = await clashService.assertNoClashes(conflicts, clashOverride(req), courseData.department);
+
+      const course = await Course.create(courseData);
+      if (overridden) {
+        await clashService.recordOverride('Course', course._id, conflicts, clashOverrideReason);
+      }
       await course.populate('faculty', 'firstName lastName email department');
       await course.populate('program', 'name level duration semesters department');
       await course.populate('department', 'name');
       res.status(201).json({ success: true, data: course });
     } catch (err) {
-      res.status(400).json({ success: false, error: err.message });
+      res.status(err.statusCode || 400).json({ success: false, error: err.message, ...errorDetails(err) });
     }
   }
 
@@ -93,7 +120,31 @@ class CourseController {
   async updateCourse(req, res) {
     try {
       const { courseId } = req.params;
-      const updateData = req.body;
+      // Staff are changed through the course's staff endpoints
+      const { clashOverrideReason, staff, ...updateData } = req.body;
+
+      const existing = await Course.findById(courseId);
+      if (!existing) {
+        return ResponseHandler.notFound(res, 'Course not found');
+      }
+
+      // Co-instructors may edit the course but not hand it to another faculty member
+      if (updateData.faculty && updateData.faculty.toString() !== existing.faculty.toString() &&
+          !(req.courseCapabilities || []).includes('course.staff')) {
+        return ResponseHandler.forbidden(res, 'Only the course\'s faculty or course managers can change its faculty');
+      }
+      if (updateData.faculty) {
+        // A staff member who takes over the course leads it rather than staying on its staff
+        updateData.$pull = { staff: { user: updateData.faculty } };
+      }
+
+      let conflicts = [];
+      let overridden = false;
+      if (TIMETABLE_FIELDS.some(field => updateData[field] !== undefined)) {
+        conflicts = await clashService.findTeachingClashes({ ...existing.toObject(), ...updateData });
+        overridden = await clashService.assertNoClashes(conflicts, clashOverride(req), existing.department);
+      }
+
       let course = await Course.findByIdAndUpdate(
         courseId,
         updateData,
@@ -102,13 +153,16 @@ class CourseController {
       if (!course) {
         return ResponseHandler.notFound(res, 'Course not found');
       }
+      if (overridden) {
+        await clashService.recordOverride('Course', course._id, conflicts, clashOverrideReason);
+      }
       await course.populate('faculty', 'firstName lastName email department');
       await course.populate('program', 'name level duration semesters department');
       await course.populate('department', 'name');
       return ResponseHandler.success(res, 200, 'Course updated successfully', course);
     } catch (error) {
       logger.error('Update course error:', error);
-      return ResponseHandler.error(res, 400, error.message);
+      return ResponseHandler.error(res, error.statusCode || 400, error.message, errorDetails(error));
     }
   }
 
@@ -142,12 +196,15 @@ class CourseController {
     try {
       const { courseId } = req.params;
       const { studentId } = req.body;
-      const course = await courseService.enrollStudent(courseId, studentId);
+      const result = await courseService.enrollStudent(courseId, studentId, clashOverride(req));
 
-      return ResponseHandler.success(res, 200, 'Student enrolled successfully', course);
+      if (result.waitlist) {
+        return ResponseHandler.success(res, 202, 'Course is full; student added to the waitlist', result.waitlist);
+      }
+      return ResponseHandler.success(res, 200, 'Student enrolled successfully', result.course);
     } catch (error) {
       logger.error('Enroll student error:', error);
-      return ResponseHandler.error(res, 400, error.message);
+      return ResponseHandler.error(res, error.statusCode || 400, error.message, errorDetails(error));
     }
   }
 
@@ -169,44 +226,6 @@ class CourseController {
     }
   }
 
-  /**
-   * Add course material
-   * @param {Object} req - Express request object
-   * @param {Object} res - Express response object
-   */
-  async addCourseMaterial(req, res) {
-    try {
-      const { courseId } = req.params;
-      const materialData = {
-        ...req.body,
-        uploadedBy: req.user._id
-      };
-      const course = await courseService.addCourseMaterial(courseId, materialData);
-
-      return ResponseHandler.success(res, 200, 'Material added successfully', course);
-    } catch (error) {
-      logger.error('Add course material error:', error);
-      return ResponseHandler.error(res, 400, error.message);
-    }
-  }
-
-  /**
-   * Remove course material
-   * @param {Object} req - Express request object
-   * @param {Object} res - Express response object
-   */
-  async removeCourseMaterial(req, res) {
-    try {
-      const { courseId, materialId } = req.params;
-      const course = await courseService.removeCourseMaterial(courseId, materialId);
-
-      return ResponseHandler.success(res, 200, 'Material removed successfully', course);
-    } catch (error) {
-      logger.error('Remove course material error:', error);
-      return ResponseHandler.error(res, 400, error.message);
-    }
-  }
-
   /**
    * Add course assignment
    * @param {Object} req - Express request object
@@ -511,14 +530,16 @@ class CourseController {
       const studentId = req.user._id;
 
       const course = await courseService.getCourseById(courseId);
-      const isEnrolled = course.students.some(student => student._id.toString() === studentId.toString());
+      const isEnrolled = course.isStudentEnrolled(studentId);
+      const waitlist = isEnrolled ? null : await waitlistService.getPosition(course._id, studentId);
 
       return ResponseHandler.success(res, 200, 'Enrollment status retrieved successfully', {
         courseId,
         isEnrolled,
         isAvailable: course.isAvailable,
-        currentStudents: course.currentStudents,
-        maxStudents: course.maxStudents
+        currentStudents: course.currentEnrollment,
+        maxStudents: course.maxStudents,
+        waitlist
       });
     } catch (error) {
       logger.error('Get enrollment status error:', error);
@@ -529,6 +550,75 @@ class CourseController {
     }
   }
 
+  /**
+   * Get the waitlist of a course
+   * @param {Object} req - Express request object
+   * @param {Object} res - Express response object
+   */
+  async getWaitlist(req, res) {
+    try {
+      const waitlist = await waitlistService.getWaitlist(req.params.courseId, req.user);
+
+      return ResponseHandler.success(res, 200, 'Waitlist retrieved successfully', waitlist);
+    } catch (error) {
+      logger.error('Get waitlist error:', error);
+      return ResponseHandler.error(res, error.statusCode || 500, error.message);
+    }
+  }
+
+  /**
+   * Leave the waitlist of a course
+   * @param {Object} req - Express request object
+   * @param {Object} res - Express response object
+   */
+  async leaveWaitlist(req, res) {
+    try {
+      await waitlistService.leaveWaitlist(req.params.courseId, req.user._id);
+
+      return ResponseHandler.success(res, 200, 'Removed from the waitlist successfully');
+    } catch (error) {
+      logger.error('Leave waitlist error:', error);
+      return ResponseHandler.error(res, error.statusCode || 500, error.message);
+    }
+  }
+
+  /**
+   * Copy a course into a new year and semester
+   * @param {Object} req - Express request object
+   * @param {Object} res - Express response object
+   */
+  async rolloverCourse(req, res) {
+    try {
+      const report = await rolloverService.rolloverCourse(req.params.courseId, rolloverTarget(req.body), req.user);
+
+      return ResponseHandler.success(res, 201, 'Course rolled over successfully', report);
+    } catch (error) {
+      logger.error('Rollover course error:', error);
+      return ResponseHandler.error(res, error.statusCode || 500, error.message);
+    }
+  }
+
+  /**
+   * Copy every course of a department or program in one term into a new year and semester
+   * @param {Object} req - Express request object
+   * @param {Object} res - Express response object
+   */
+  async rolloverCourses(req, res) {
+    try {
+      const { department, program, fromYear, fromSemester } = req.body;
+      const report = await rolloverService.rolloverCourses(
+        { department, program, fromYear: Number(fromYear), fromSemester: Number(fromSemester) },
+        rolloverTarget(req.body),
+        req.user
+      );
+
+      return ResponseHandler.success(res, 201, `${report.summary.created} course(s) rolled over successfully`, report);
+    } catch (error) {
+      logger.error('Rollover courses error:', error);
+      return ResponseHandler.error(res, error.statusCode || 500, error.message);
+    }
+  }
+
   /**
    * Get all courses a student is enrolled in
    * @param {Object} req - Express request object
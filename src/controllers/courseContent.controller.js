@@ -0,0 +1,177 @@
+const courseContentService = require('../services/courseContent.service');
+const { ResponseHandler } = require('../utils/responseHandler');
+const logger = require('../utils/logger');
+
+/**
+ * Course Content Controller
+ */
+class CourseContentController {
+  /**
+   * Course outline with what is unlocked for the requesting user
+   * @param {Object} req - Express request object
+   * @param {Object} res - Express response object
+   */
+  async getOutline(req, res) {
+    try {
+      const outline = await courseContentService.getOutline(req.params.courseId, req.user);
+
+      return ResponseHandler.success(res, 200, 'Course outline retrieved successfully', outline);
+    } catch (error) {
+      logger.error('Get course outline error:', error);
+      return ResponseHandler.error(res, error.statusCode || 500, error.message);
+    }
+  }
+
+  /**
+   * Create a module of a course
+   * @param {Object} req - Express request object
+   * @param {Object} res - Express response object
+   */
+  async createModule(req, res) {
+    try {
+      const courseModule = await courseContentService.createModule(req.params.courseId, req.body, req.user._id);
+
+      return ResponseHandler.success(res, 201, 'Module created successfully', courseModule);
+    } catch (error) {
+      logger.error('Create course module error:', error);
+      return ResponseHandler.error(res, error.statusCode || 400, error.message);
+    }
+  }
+
+  /**
+   * Update a module
+   * @param {Object} req - Express request object
+   * @param {Object} res - Express response object
+   */
+  async updateModule(req, res) {
+    try {
+      const { courseId, moduleId } = req.params;
+      const courseModule = await courseContentService.updateModule(courseId, moduleId, req.body);
+
+      return ResponseHandler.success(res, 200, 'Module updated successfully', courseModule);
+    } catch (error) {
+      logger.error('Update course module error:', error);
+      return ResponseHandler.error(res, error.statusCode || 400, error.message);
+    }
+  }
+
+  /**
+   * Delete an empty module
+   * @param {Object} req - Express request object
+   * @param {Object} res - Express response object
+   */
+  async deleteModule(req, res) {
+    try {
+      const { courseId, moduleId } = req.params;
+      await courseContentService.deleteModule(courseId, moduleId);
+
+      return ResponseHandler.success(res, 200, 'Module deleted successfully');
+    } catch (error) {
+      logger.error('Delete course module error:', error);
+      return ResponseHandler.error(res, error.statusCode || 500, error.message);
+    }
+  }
+
+  /**
+   * Add a material to a module
+   * @param {Object} req - Express request object
+   * @param {Object} res - Express response object
+   */
+  async createMaterial(req, res) {
+    try {
+      const material = await courseContentService.createMaterial(req.params.courseId, req.body, req.user._id);
+
+      return ResponseHandler.success(res, 201, 'Material added successfully', material);
+    } catch (error) {
+      logger.error('Add course material error:', error);
+      return ResponseHandler.error(res, error.statusCode || 400, error.message);
+    }
+  }
+
+  /**
+   * Open a material
+   * @param {Object} req - Express request object
+   * @param {Object} res - Express response object
+   */
+  async getMaterial(req, res) {
+    try {
+      const { courseId, materialId } = req.params;
+      const material = await courseContentService.getMaterial(courseId, materialId, req.user);
+
+      return ResponseHandler.success(res, 200, 'Material retrieved successfully', material);
+    } catch (error) {
+      logger.error('Get course material error:', error);
+      return ResponseHandler.error(res, error.statusCode || 500, error.message);
+    }
+  }
+
+  /**
+   * Update a material or move it to another module
+   * @param {Object} req - Express request object
+   * @param {Object} res - Express response object
+   */
+  async updateMaterial(req, res) {
+    try {
+      const { courseId, materialId } = req.params;
+      const material = await courseContentService.updateMaterial(courseId, materialId, req.body);
+
+      return ResponseHandler.success(res, 200, 'Material updated successfully', material);
+    } catch (error) {
+      logger.error('Update course material error:', error);
+      return ResponseHandler.error(res, error.statusCode || 400, error.message);
+    }
+  }
+
+  /**
+   * Replace a material's file with a new version
+   * @param {Object} req - Express request object
+   * @param {Object} res - Express response object
+   */
+  async replaceMaterialFile(req, res) {
+    try {
+      const { courseId, materialId } = req.params;
+      const material = await courseContentService.replaceMaterialFile(courseId, materialId, req.body, req.user._id);
+
+      return ResponseHandler.success(res, 201, 'Material file replaced successfully', material);
+    } catch (error) {
+      logger.error('Replace course material file error:', error);
+      return ResponseHandler.error(res, error.statusCode || 400, error.message);
+    }
+  }
+
+  /**
+   * Delete a material
+   * @param {Object} req - Express request object
+   * @param {Object} res - Express response object
+   */
+  async deleteMaterial(req, res) {
+    try {
+      const { courseId, materialId } = req.params;
+      await courseContentService.deleteMaterial(courseId, materialId);
+
+      return ResponseHandler.success(res, 200, 'Material removed successfully');
+    } catch (error) {
+      logger.error('Remove course material error:', error);
+      return ResponseHandler.error(res, error.statusCode || 500, error.message);
+    }
+  }
+
+  /**
+   * Which enrolled students have opened a material
+   * @param {Object} req - Express request object
+   * @param {Object} res - Express response object
+   */
+  async getMaterialViews(req, res) {
+    try {
+      const { courseId, materialId } = req.params;
+      const views = await courseContentService.getMaterialViews(courseId, materialId);
+
+      return ResponseHandler.success(res, 200, 'Material views retrieved successfully', views);
+    } catch (error) {
+      logger.error('Get course material views error:', error);
+      return ResponseHandler.error(res, error.statusCode || 500, error.message);
+    }
+  }
+}
+
+module.exports = new CourseContentController();
@@ -110,6 +110,34 @@ class CourseGradeController {
     }
   }
 
+  /**
+   * Approve a submitted course grade
+   */
+  async approveCourseGrade(req, res) {
+    try {
+      const courseGrade = await courseGradeService.approveCourseGrade(req.params.gradeId, req.user._id);
+
+      return ResponseHandler.success(res, 200, 'Course grade approved successfully', courseGrade);
+    } catch (error) {
+      logger.error('Approve course grade error:', error);
+      return ResponseHandler.error(res, error.statusCode || 400, error.message);
+    }
+  }
+
+  /**
+   * Finalize an approved course grade
+   */
+  async finalizeCourseGrade(req, res) {
+    try {
+      const courseGrade = await courseGradeService.finalizeCourseGrade(req.params.gradeId, req.user._id);
+
+      return ResponseHandler.success(res, 200, 'Course grade finalized successfully', courseGrade);
+    } catch (error) {
+      logger.error('Finalize course grade error:', error);
+      return ResponseHandler.error(res, error.statusCode || 400, error.message);
+    }
+  }
+
   /**
    * Bulk submit course grades
    */
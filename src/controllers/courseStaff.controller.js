@@ -0,0 +1,76 @@
+const courseStaffService = require('../services/courseStaff.service');
+const { ResponseHandler } = require('../utils/responseHandler');
+const logger = require('../utils/logger');
+
+/**
+ * Course Staff Controller
+ */
+class CourseStaffController {
+  /**
+   * List the staff of a course, with the requesting user's capabilities in it
+   * @param {Object} req - Express request object
+   * @param {Object} res - Express response object
+   */
+  async getStaff(req, res) {
+    try {
+      const staff = await courseStaffService.getStaff(req.params.courseId, req.user);
+
+      return ResponseHandler.success(res, 200, 'Course staff retrieved successfully', staff);
+    } catch (error) {
+      logger.error('Get course staff error:', error);
+      return ResponseHandler.error(res, error.statusCode || 500, error.message);
+    }
+  }
+
+  /**
+   * Add a faculty member to the staff of a course
+   * @param {Object} req - Express request object
+   * @param {Object} res - Express response object
+   */
+  async addStaff(req, res) {
+    try {
+      const staff = await courseStaffService.addStaff(req.params.courseId, req.body, req.user);
+
+      return ResponseHandler.success(res, 201, 'Staff member added successfully', staff);
+    } catch (error) {
+      logger.error('Add course staff error:', error);
+      return ResponseHandler.error(res, error.statusCode || 400, error.message);
+    }
+  }
+
+  /**
+   * Change the role of a staff member
+   * @param {Object} req - Express request object
+   * @param {Object} res - Express response object
+   */
+  async updateStaff(req, res) {
+    try {
+      const { courseId, userId } = req.params;
+      const staff = await courseStaffService.updateStaff(courseId, userId, req.body.role, req.user);
+
+      return ResponseHandler.success(res, 200, 'Staff role updated successfully', staff);
+    } catch (error) {
+      logger.error('Update course staff error:', error);
+      return ResponseHandler.error(res, error.statusCode || 400, error.message);
+    }
+  }
+
+  /**
+   * Remove a member from the staff of a course
+   * @param {Object} req - Express request object
+   * @param {Object} res - Express response object
+   */
+  async removeStaff(req, res) {
+    try {
+      const { courseId, userId } = req.params;
+      await courseStaffService.removeStaff(courseId, userId, req.user);
+
+      return ResponseHandler.success(res, 200, 'Staff member removed successfully');
+    } catch (error) {
+      logger.error('Remove course staff error:', error);
+      return ResponseHandler.error(res, error.statusCode || 500, error.message);
+    }
+  }
+}
+
+module.exports = new CourseStaffController();
@@ -2,6 +2,16 @@ const enrollmentService = require('../services/enrollment.service');
 const { ResponseHandler } = require('../utils/responseHandler');
 const logger = require('../utils/logger');
 
+// Admins may proceed despite timetable clashes by giving a reason
+const clashOverride = req => (req.body.clashOverrideReason ? { user: req.user, reason: req.body.clashOverrideReason } : null);
+
+// Timetable conflicts and missing prerequisites are returned with the error
+const errorDetails = (error) => {
+  if (error.conflicts) return { conflicts: error.conflicts };
+  if (error.missingPrerequisites) return { missingPrerequisites: error.missingPrerequisites };
+  return null;
+};
+
 /**
  * Create a new enrollment
  * @route POST /api/enrollments
@@ -13,7 +23,7 @@ const createEnrollment = async (req, res) => {
     return ResponseHandler.success(res, 201, 'Enrollment created successfully', result);
   } catch (error) {
     logger.error('Error in createEnrollment controller:', error);
-    return ResponseHandler.error(res, 400, error.message);
+    return ResponseHandler.error(res, 400, error.message, errorDetails(error));
   }
 };
 
@@ -99,7 +109,7 @@ const updateEnrollment = async (req, res) => {
     if (error.message === 'Enrollment not found') {
       return ResponseHandler.error(res, 404, 'Enrollment not found');
     }
-    return ResponseHandler.error(res, 400, error.message);
+    return ResponseHandler.error(res, 400, error.message, errorDetails(error));
   }
 };
 
@@ -131,7 +141,9 @@ const addCourseToEnrollment = async (req, res) => {
     const result = await enrollmentService.addCourseToEnrollment(
       req.params.id,
       req.body.courseId,
-      req.user._id
+      req.user._id,
+      req.body.sectionId,
+      clashOverride(req)
     );
     return ResponseHandler.success(res, 200, 'Course added to enrollment successfully', result);
   } catch (error) {
@@ -139,7 +151,8 @@ const addCourseToEnrollment = async (req, res) => {
     if (error.message === 'Enrollment not found') {
       return ResponseHandler.error(res, 404, 'Enrollment not found');
     }
-    return ResponseHandler.error(res, 400, error.message);
+    // A full section or a timetable clash is reported as a conflict
+    return ResponseHandler.error(res, error.statusCode || 400, error.message, errorDetails(error));
   }
 };
 
@@ -165,6 +178,62 @@ const removeCourseFromEnrollment = async (req, res) => {
   }
 };
 
+/**
+ * Check the enrollment's student against the prerequisites of a course
+ * @route GET /api/enrollments/:id/prerequisites/:courseId
+ * @access Private (Admin, Faculty, Student)
+ */
+const checkCoursePrerequisites = async (req, res) => {
+  try {
+    const result = await enrollmentService.checkCoursePrerequisites(req.params.id, req.params.courseId, req.user);
+    return ResponseHandler.success(res, 200, 'Prerequisites checked successfully', result);
+  } catch (error) {
+    logger.error('Error in checkCoursePrerequisites controller:', error);
+    return ResponseHandler.error(res, error.statusCode || 400, error.message);
+  }
+};
+
+/**
+ * Waive the missing prerequisites of a course for the enrollment's student
+ * @route POST /api/enrollments/:id/prerequisite-waivers
+ * @access Private (Advisor, Admin)
+ */
+const waivePrerequisites = async (req, res) => {
+  try {
+    const result = await enrollmentService.waivePrerequisites(
+      req.params.id,
+      req.body.courseId,
+      req.user,
+      req.body.reason
+    );
+    return ResponseHandler.success(res, 201, 'Prerequisites waived successfully', result);
+  } catch (error) {
+    logger.error('Error in waivePrerequisites controller:', error);
+    return ResponseHandler.error(res, error.statusCode || 400, error.message);
+  }
+};
+
+/**
+ * Move the student to another section of an enrolled course
+ * @route PATCH /api/enrollments/:id/courses/:courseId/section
+ * @access Private (Admin, Faculty)
+ */
+const changeSection = async (req, res) => {
+  try {
+    const result = await enrollmentService.changeSection(
+      req.params.id,
+      req.params.courseId,
+      req.body.sectionId,
+      req.user._id,
+      clashOverride(req)
+    );
+    return ResponseHandler.success(res, 200, 'Section changed successfully', result);
+  } catch (error) {
+    logger.error('Error in changeSection controller:', error);
+    return ResponseHandler.error(res, error.statusCode || 400, error.message, errorDetails(error));
+  }
+};
+
 /**
  * Update enrollment status
  * @route PATCH /api/enrollments/:id/status
@@ -380,6 +449,9 @@ module.exports = {
   deleteEnrollment,
   addCourseToEnrollment,
   removeCourseFromEnrollment,
+  changeSection,
+  checkCoursePrerequisites,
+  waivePrerequisites,
   updateEnrollmentStatus,
   updateGPA,
   addDocumentToEnrollment,
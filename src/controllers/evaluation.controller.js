@@ -0,0 +1,90 @@
+const evaluationService = require('../services/evaluation.service');
+const { ResponseHandler } = require('../utils/responseHandler');
+const logger = require('../utils/logger');
+
+/**
+ * Evaluation Controller
+ */
+class EvaluationController {
+  /**
+   * Get the evaluation of a course
+   * @param {Object} req - Express request object
+   * @param {Object} res - Express response object
+   */
+  async getEvaluation(req, res) {
+    try {
+      const evaluation = await evaluationService.getEvaluation(req.params.courseId, req.user);
+
+      return ResponseHandler.success(res, 200, 'Course evaluation retrieved successfully', evaluation);
+    } catch (error) {
+      logger.error('Get course evaluation error:', error);
+      return ResponseHandler.error(res, error.statusCode || 500, error.message);
+    }
+  }
+
+  /**
+   * Create or change the evaluation form of a course
+   * @param {Object} req - Express request object
+   * @param {Object} res - Express response object
+   */
+  async saveForm(req, res) {
+    try {
+      const form = await evaluationService.saveForm(req.params.courseId, req.body, req.user._id);
+
+      return ResponseHandler.success(res, 200, 'Course evaluation saved successfully', form);
+    } catch (error) {
+      logger.error('Save course evaluation error:', error);
+      return ResponseHandler.error(res, error.statusCode || 400, error.message);
+    }
+  }
+
+  /**
+   * Delete the evaluation form of a course
+   * @param {Object} req - Express request object
+   * @param {Object} res - Express response object
+   */
+  async deleteForm(req, res) {
+    try {
+      await evaluationService.deleteForm(req.params.courseId);
+
+      return ResponseHandler.success(res, 200, 'Course evaluation deleted successfully');
+    } catch (error) {
+      logger.error('Delete course evaluation error:', error);
+      return ResponseHandler.error(res, error.statusCode || 500, error.message);
+    }
+  }
+
+  /**
+   * Answer the evaluation of a course
+   * @param {Object} req - Express request object
+   * @param {Object} res - Express response object
+   */
+  async submitResponse(req, res) {
+    try {
+      const result = await evaluationService.submitResponse(req.params.courseId, req.body.answers, req.user);
+
+      return ResponseHandler.success(res, 201, 'Thank you, your evaluation has been recorded anonymously', result);
+    } catch (error) {
+      logger.error('Submit course evaluation error:', error);
+      return ResponseHandler.error(res, error.statusCode || 400, error.message);
+    }
+  }
+
+  /**
+   * Aggregated report of a course evaluation
+   * @param {Object} req - Express request object
+   * @param {Object} res - Express response object
+   */
+  async getReport(req, res) {
+    try {
+      const report = await evaluationService.getReport(req.params.courseId);
+
+      return ResponseHandler.success(res, 200, 'Course evaluation report retrieved successfully', report);
+    } catch (error) {
+      logger.error('Get course evaluation report error:', error);
+      return ResponseHandler.error(res, error.statusCode || 500, error.message);
+    }
+  }
+}
+
+module.exports = new EvaluationController();
@@ -0,0 +1,162 @@
+const guardianService = require('../services/guardian.service');
+const { ResponseHandler } = require('../utils/responseHandler');
+const logger = require('../utils/logger');
+
+/**
+ * Guardian Controller
+ */
+class GuardianController {
+  /**
+   * List guardian links
+   * @param {Object} req - Express request object
+   * @param {Object} res - Express response object
+   */
+  async getLinks(req, res) {
+    try {
+      const { guardian, student, status } = req.query;
+      const links = await guardianService.listLinks({ guardian, student, status });
+
+      return ResponseHandler.success(res, 200, 'Guardian links retrieved successfully', links);
+    } catch (error) {
+      logger.error('Get guardian links error:', error);
+      return ResponseHandler.error(res, 500, 'Failed to retrieve guardian links');
+    }
+  }
+
+  /**
+   * List the signed-in student's guardians or guardian's students
+   * @param {Object} req - Express request object
+   * @param {Object} res - Express response object
+   */
+  async getOwnLinks(req, res) {
+    try {
+      const links = await guardianService.getOwnLinks(req.user);
+
+      return ResponseHandler.success(res, 200, 'Guardian links retrieved successfully', links);
+    } catch (error) {
+      logger.error('Get own guardian links error:', error);
+      return ResponseHandler.error(res, 500, 'Failed to retrieve guardian links');
+    }
+  }
+
+  /**
+   * Link a guardian to a student
+   * @param {Object} req - Express request object
+   * @param {Object} res - Express response object
+   */
+  async createLink(req, res) {
+    try {
+      const link = await guardianService.createLink(req.body, req.user);
+
+      return ResponseHandler.success(res, 201, 'Guardian linked successfully', link);
+    } catch (error) {
+      logger.error('Create guardian link error:', error);
+      return ResponseHandler.error(res, error.statusCode || 400, error.message);
+    }
+  }
+
+  /**
+   * Grant or withdraw consent for a guardian link
+   * @param {Object} req - Express request object
+   * @param {Object} res - Express response object
+   */
+  async setConsent(req, res) {
+    try {
+      const link = await guardianService.setConsent(req.params.linkId, req.user, req.body);
+      const message = req.body.granted ? 'Consent granted successfully' : 'Consent withdrawn successfully';
+
+      return ResponseHandler.success(res, 200, message, link);
+    } catch (error) {
+      logger.error('Update guardian consent error:', error);
+      return ResponseHandler.error(res, error.statusCode || 400, error.message);
+    }
+  }
+
+  /**
+   * List the guardian's linked students
+   * @param {Object} req - Express request object
+   * @param {Object} res - Express response object
+   */
+  async getLinkedStudents(req, res) {
+    try {
+      const students = await guardianService.getLinkedStudents(req.user._id);
+
+      return ResponseHandler.success(res, 200, 'Linked students retrieved successfully', students);
+    } catch (error) {
+      logger.error('Get linked students error:', error);
+      return ResponseHandler.error(res, 500, 'Failed to retrieve linked students');
+    }
+  }
+
+  /**
+   * Get a linked student's final course grades
+   * @param {Object} req - Express request object
+   * @param {Object} res - Express response object
+   */
+  async getStudentGrades(req, res) {
+    try {
+      const { semester, academicYear } = req.query;
+      const grades = await guardianService.getStudentGrades(req.user._id, req.params.studentId, { semester, academicYear });
+
+      return ResponseHandler.success(res, 200, 'Course grades retrieved successfully', grades);
+    } catch (error) {
+      logger.error('Get guardian student grades error:', error);
+      return ResponseHandler.error(res, error.statusCode || 400, error.message);
+    }
+  }
+
+  /**
+   * Get a linked student's submission statuses
+   * @param {Object} req - Express request object
+   * @param {Object} res - Express response object
+   */
+  async getStudentSubmissions(req, res) {
+    try {
+      const submissions = await guardianService.getStudentSubmissions(req.user._id, req.params.studentId);
+
+      return ResponseHandler.success(res, 200, 'Submissions retrieved successfully', submissions);
+    } catch (error) {
+      logger.error('Get guardian student submissions error:', error);
+      return ResponseHandler.error(res, error.statusCode || 400, error.message);
+    }
+  }
+
+  /**
+   * Get a linked student's enrollments and financial status
+   * @param {Object} req - Express request object
+   * @param {Object} res - Express response object
+   */
+  async getStudentEnrollments(req, res) {
+    try {
+      const enrollments = await guardianService.getStudentEnrollments(req.user._id, req.params.studentId);
+
+      return ResponseHandler.success(res, 200, 'Enrollments retrieved successfully', enrollments);
+    } catch (error) {
+      logger.error('Get guardian student enrollments error:', error);
+      return ResponseHandler.error(res, error.statusCode || 400, error.message);
+    }
+  }
+
+  /**
+   * Get published notices addressed to guardians
+   * @param {Object} req - Express request object
+   * @param {Object} res - Express response object
+   */
+  async getNotices(req, res) {
+    try {
+      const pagination = {
+        page: parseInt(req.query.page) || 1,
+        limit: parseInt(req.query.limit) || 20
+      };
+
+      const result = await guardianService.getNotices(pagination);
+
+      return ResponseHandler.success(res, 200, 'Notices retrieved successfully', result.notices, result.pagination);
+    } catch (error) {
+      logger.error('Get guardian notices error:', error);
+      return ResponseHandler.error(res, 500, 'Failed to retrieve notices');
+    }
+  }
+}
+
+module.exports = new GuardianController();
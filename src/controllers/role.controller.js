@@ -0,0 +1,153 @@
+const permissionService = require('../services/permission.service');
+const { ResponseHandler } = require('../utils/responseHandler');
+const logger = require('../utils/logger');
+
+/**
+ * Role Controller
+ */
+class RoleController {
+  /**
+   * List the permission catalogue
+   * @param {Object} req - Express request object
+   * @param {Object} res - Express response object
+   */
+  async getPermissions(req, res) {
+    return ResponseHandler.success(res, 200, 'Permissions retrieved successfully', permissionService.listPermissions());
+  }
+
+  /**
+   * List roles
+   * @param {Object} req - Express request object
+   * @param {Object} res - Express response object
+   */
+  async getRoles(req, res) {
+    try {
+      const roles = await permissionService.listRoles();
+
+      return ResponseHandler.success(res, 200, 'Roles retrieved successfully', roles);
+    } catch (error) {
+      logger.error('Get roles error:', error);
+      return ResponseHandler.error(res, 500, 'Failed to retrieve roles');
+    }
+  }
+
+  /**
+   * Get a role by ID
+   * @param {Object} req - Express request object
+   * @param {Object} res - Express response object
+   */
+  async getRoleById(req, res) {
+    try {
+      const role = await permissionService.getRoleById(req.params.roleId);
+
+      return ResponseHandler.success(res, 200, 'Role retrieved successfully', role);
+    } catch (error) {
+      logger.error('Get role error:', error);
+      return ResponseHandler.error(res, error.statusCode || 400, error.message);
+    }
+  }
+
+  /**
+   * Create a role
+   * @param {Object} req - Express request object
+   * @param {Object} res - Express response object
+   */
+  async createRole(req, res) {
+    try {
+      const role = await permissionService.createRole(req.body, req.user._id);
+
+      return ResponseHandler.success(res, 201, 'Role created successfully', role);
+    } catch (error) {
+      logger.error('Create role error:', error);
+      return ResponseHandler.error(res, error.statusCode || 400, error.message);
+    }
+  }
+
+  /**
+   * Update a role
+   * @param {Object} req - Express request object
+   * @param {Object} res - Express response object
+   */
+  async updateRole(req, res) {
+    try {
+      const role = await permissionService.updateRole(req.params.roleId, req.body, req.user._id);
+
+      return ResponseHandler.success(res, 200, 'Role updated successfully', role);
+    } catch (error) {
+      logger.error('Update role error:', error);
+      return ResponseHandler.error(res, error.statusCode || 400, error.message);
+    }
+  }
+
+  /**
+   * Delete a role
+   * @param {Object} req - Express request object
+   * @param {Object} res - Express response object
+   */
+  async deleteRole(req, res) {
+    try {
+      await permissionService.deleteRole(req.params.roleId);
+
+      return ResponseHandler.success(res, 200, 'Role deleted successfully');
+    } catch (error) {
+      logger.error('Delete role error:', error);
+      return ResponseHandler.error(res, error.statusCode || 400, error.message);
+    }
+  }
+
+  /**
+   * List the role assignments of a user
+   * @param {Object} req - Express request object
+   * @param {Object} res - Express response object
+   */
+  async getUserRoles(req, res) {
+    try {
+      const assignments = await permissionService.listUserAssignments(req.params.userId);
+
+      return ResponseHandler.success(res, 200, 'Role assignments retrieved successfully', assignments);
+    } catch (error) {
+      logger.error('Get user roles error:', error);
+      return ResponseHandler.error(res, error.statusCode || 400, error.message);
+    }
+  }
+
+  /**
+   * Assign a role to a user
+   * @param {Object} req - Express request object
+   * @param {Object} res - Express response object
+   */
+  async assignRole(req, res) {
+    try {
+      const assignment = await permissionService.assignRole(req.params.userId, req.body, req.user._id, {
+        ipAddress: req.ip,
+        userAgent: req.get('User-Agent')
+      });
+
+      return ResponseHandler.success(res, 201, 'Role assigned successfully', assignment);
+    } catch (error) {
+      logger.error('Assign role error:', error);
+      return ResponseHandler.error(res, error.statusCode || 400, error.message);
+    }
+  }
+
+  /**
+   * Remove a role assignment from a user
+   * @param {Object} req - Express request object
+   * @param {Object} res - Express response object
+   */
+  async revokeRole(req, res) {
+    try {
+      await permissionService.revokeAssignment(req.params.userId, req.params.assignmentId, req.user._id, {
+        ipAddress: req.ip,
+        userAgent: req.get('User-Agent')
+      });
+
+      return ResponseHandler.success(res, 200, 'Role assignment removed successfully');
+    } catch (error) {
+      logger.error('Revoke role error:', error);
+      return ResponseHandler.error(res, error.statusCode || 400, error.message);
+    }
+  }
+}
+
+module.exports = new RoleController();
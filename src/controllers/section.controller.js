@@ -0,0 +1,99 @@
+const sectionService = require('../services/section.service');
+const { ResponseHandler } = require('../utils/responseHandler');
+const logger = require('../utils/logger');
+
+// Admins may proceed despite timetable clashes by giving a reason
+const clashOverride = req => (req.body.clashOverrideReason ? { user: req.user, reason: req.body.clashOverrideReason } : null);
+const clashReport = error => (error.conflicts ? { conflicts: error.conflicts } : null);
+
+/**
+ * Section Controller
+ */
+class SectionController {
+  /**
+   * List the sections of a course
+   * @param {Object} req - Express request object
+   * @param {Object} res - Express response object
+   */
+  async getSections(req, res) {
+    try {
+      const sections = await sectionService.getSections(req.params.courseId, { status: req.query.status });
+
+      return ResponseHandler.success(res, 200, 'Sections retrieved successfully', sections);
+    } catch (error) {
+      logger.error('Get sections error:', error);
+      return ResponseHandler.error(res, error.statusCode || 500, error.message);
+    }
+  }
+
+  /**
+   * Create a section of a course
+   * @param {Object} req - Express request object
+   * @param {Object} res - Express response object
+   */
+  async createSection(req, res) {
+    try {
+      const { clashOverrideReason, ...sectionData } = req.body;
+      const section = await sectionService.createSection(req.params.courseId, sectionData, req.user._id, clashOverride(req));
+
+      return ResponseHandler.success(res, 201, 'Section created successfully', section);
+    } catch (error) {
+      logger.error('Create section error:', error);
+      return ResponseHandler.error(res, error.statusCode || 400, error.message, clashReport(error));
+    }
+  }
+
+  /**
+   * Update a section
+   * @param {Object} req - Express request object
+   * @param {Object} res - Express response object
+   */
+  async updateSection(req, res) {
+    try {
+      const { courseId, sectionId } = req.params;
+      const { clashOverrideReason, ...updateData } = req.body;
+      const section = await sectionService.updateSection(courseId, sectionId, updateData, clashOverride(req));
+
+      return ResponseHandler.success(res, 200, 'Section updated successfully', section);
+    } catch (error) {
+      logger.error('Update section error:', error);
+      return ResponseHandler.error(res, error.statusCode || 400, error.message, clashReport(error));
+    }
+  }
+
+  /**
+   * Delete a section
+   * @param {Object} req - Express request object
+   * @param {Object} res - Express response object
+   */
+  async deleteSection(req, res) {
+    try {
+      const { courseId, sectionId } = req.params;
+      await sectionService.deleteSection(courseId, sectionId);
+
+      return ResponseHandler.success(res, 200, 'Section deleted successfully');
+    } catch (error) {
+      logger.error('Delete section error:', error);
+      return ResponseHandler.error(res, error.statusCode || 400, error.message);
+    }
+  }
+
+  /**
+   * Seats, assignments and grades of a course, per section and in total
+   * @param {Object} req - Express request object
+   * @param {Object} res - Express response object
+   */
+  async getCourseRollup(req, res) {
+    try {
+      const { semester, academicYear } = req.query;
+      const rollup = await sectionService.getCourseRollup(req.params.courseId, req.user, { semester, academicYear });
+
+      return ResponseHandler.success(res, 200, 'Course summary retrieved successfully', rollup);
+    } catch (error) {
+      logger.error('Get course roll-up error:', error);
+      return ResponseHandler.error(res, error.statusCode || 400, error.message);
+    }
+  }
+}
+
+module.exports = new SectionController();
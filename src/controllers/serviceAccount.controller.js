@@ -0,0 +1,122 @@
+const serviceAccountService = require('../services/serviceAccount.service');
+const { ResponseHandler } = require('../utils/responseHandler');
+const logger = require('../utils/logger');
+
+/**
+ * Service Account Controller
+ */
+class ServiceAccountController {
+  /**
+   * List service accounts
+   * @param {Object} req - Express request object
+   * @param {Object} res - Express response object
+   */
+  async getServiceAccounts(req, res) {
+    try {
+      const accounts = await serviceAccountService.listServiceAccounts();
+
+      return ResponseHandler.success(res, 200, 'Service accounts retrieved successfully', accounts);
+    } catch (error) {
+      logger.error('Get service accounts error:', error);
+      return ResponseHandler.error(res, 500, 'Failed to retrieve service accounts');
+    }
+  }
+
+  /**
+   * Get a service account with its keys
+   * @param {Object} req - Express request object
+   * @param {Object} res - Express response object
+   */
+  async getServiceAccountById(req, res) {
+    try {
+      const account = await serviceAccountService.getServiceAccount(req.params.accountId);
+
+      return ResponseHandler.success(res, 200, 'Service account retrieved successfully', account);
+    } catch (error) {
+      logger.error('Get service account error:', error);
+      return ResponseHandler.error(res, error.statusCode || 400, error.message);
+    }
+  }
+
+  /**
+   * Create a service account
+   * @param {Object} req - Express request object
+   * @param {Object} res - Express response object
+   */
+  async createServiceAccount(req, res) {
+    try {
+      const account = await serviceAccountService.createServiceAccount(req.body, req.user);
+
+      return ResponseHandler.success(res, 201, 'Service account created successfully', account);
+    } catch (error) {
+      logger.error('Create service account error:', error);
+      return ResponseHandler.error(res, error.statusCode || 400, error.message);
+    }
+  }
+
+  /**
+   * Update a service account (deactivating it revokes its keys)
+   * @param {Object} req - Express request object
+   * @param {Object} res - Express response object
+   */
+  async updateServiceAccount(req, res) {
+    try {
+      const account = await serviceAccountService.updateServiceAccount(req.params.accountId, req.body, req.user);
+
+      return ResponseHandler.success(res, 200, 'Service account updated successfully', account);
+    } catch (error) {
+      logger.error('Update service account error:', error);
+      return ResponseHandler.error(res, error.statusCode || 400, error.message);
+    }
+  }
+
+  /**
+   * Create an API key; the key itself is only returned in this response
+   * @param {Object} req - Express request object
+   * @param {Object} res - Express response object
+   */
+  async createApiKey(req, res) {
+    try {
+      const result = await serviceAccountService.createApiKey(req.params.accountId, req.body, req.user);
+
+      return ResponseHandler.success(res, 201, 'API key created. Store it now; it will not be shown again', result);
+    } catch (error) {
+      logger.error('Create API key error:', error);
+      return ResponseHandler.error(res, error.statusCode || 400, error.message);
+    }
+  }
+
+  /**
+   * Rotate an API key
+   * @param {Object} req - Express request object
+   * @param {Object} res - Express response object
+   */
+  async rotateApiKey(req, res) {
+    try {
+      const result = await serviceAccountService.rotateApiKey(req.params.accountId, req.params.keyId, req.body, req.user);
+
+      return ResponseHandler.success(res, 201, 'API key rotated. Store the new key now; it will not be shown again', result);
+    } catch (error) {
+      logger.error('Rotate API key error:', error);
+      return ResponseHandler.error(res, error.statusCode || 400, error.message);
+    }
+  }
+
+  /**
+   * Revoke an API key
+   * @param {Object} req - Express request object
+   * @param {Object} res - Express response object
+   */
+  async revokeApiKey(req, res) {
+    try {
+      const apiKey = await serviceAccountService.revokeApiKey(req.params.accountId, req.params.keyId, req.user);
+
+      return ResponseHandler.success(res, 200, 'API key revoked successfully', apiKey);
+    } catch (error) {
+      logger.error('Revoke API key error:', error);
+      return ResponseHandler.error(res, error.statusCode || 400, error.message);
+    }
+  }
+}
+
+module.exports = new ServiceAccountController();
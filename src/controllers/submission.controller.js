@@ -12,7 +12,7 @@ class SubmissionController {
       ResponseHandler.success(res, 201, 'Submission created successfully', submission);
     } catch (error) {
       logger.error('Error in createSubmission controller:', error);
-      ResponseHandler.error(res, error.status || 500, error.message);
+      ResponseHandler.error(res, error.statusCode || 500, error.message);
     }
   }
   
@@ -25,7 +25,7 @@ class SubmissionController {
       ResponseHandler.success(res, 200, 'Submissions retrieved successfully', result);
     } catch (error) {
       logger.error('Error in getSubmissions controller:', error);
-      ResponseHandler.error(res, error.status || 500, error.message);
+      ResponseHandler.error(res, error.statusCode || 500, error.message);
     }
   }
   
@@ -38,7 +38,7 @@ class SubmissionController {
       ResponseHandler.success(res, 200, 'Submission retrieved successfully', submission);
     } catch (error) {
       logger.error('Error in getSubmissionById controller:', error);
-      ResponseHandler.error(res, error.status || 500, error.message);
+      ResponseHandler.error(res, error.statusCode || 500, error.message);
     }
   }
   
@@ -47,11 +47,11 @@ class SubmissionController {
    */
   async updateSubmission(req, res) {
     try {
-      const submission = await submissionService.updateSubmission(req.params.id, req.body, req.user._id);
+      const submission = await submissionService.updateSubmission(req.params.id, req.body, req.user);
       ResponseHandler.success(res, 200, 'Submission updated successfully', submission);
     } catch (error) {
       logger.error('Error in updateSubmission controller:', error);
-      ResponseHandler.error(res, error.status || 500, error.message);
+      ResponseHandler.error(res, error.statusCode || 500, error.message);
     }
   }
   
@@ -60,11 +60,11 @@ class SubmissionController {
    */
   async deleteSubmission(req, res) {
     try {
-      const result = await submissionService.deleteSubmission(req.params.id, req.user._id);
+      const result = await submissionService.deleteSubmission(req.params.id, req.user);
       ResponseHandler.success(res, 200, 'Submission deleted successfully', result);
     } catch (error) {
       logger.error('Error in deleteSubmission controller:', error);
-      ResponseHandler.error(res, error.status || 500, error.message);
+      ResponseHandler.error(res, error.statusCode || 500, error.message);
     }
   }
   
@@ -73,11 +73,11 @@ class SubmissionController {
    */
   async addFileToSubmission(req, res) {
     try {
-      const submission = await submissionService.addFileToSubmission(req.params.id, req.body, req.user._id);
+      const submission = await submissionService.addFileToSubmission(req.params.id, req.body, req.user);
       ResponseHandler.success(res, 200, 'File added to submission successfully', submission);
     } catch (error) {
       logger.error('Error in addFileToSubmission controller:', error);
-      ResponseHandler.error(res, error.status || 500, error.message);
+      ResponseHandler.error(res, error.statusCode || 500, error.message);
     }
   }
   
@@ -86,11 +86,11 @@ class SubmissionController {
    */
   async removeFileFromSubmission(req, res) {
     try {
-      const submission = await submissionService.removeFileFromSubmission(req.params.id, req.body.fileUrl, req.user._id);
+      const submission = await submissionService.removeFileFromSubmission(req.params.id, req.body.fileUrl, req.user);
       ResponseHandler.success(res, 200, 'File removed from submission successfully', submission);
     } catch (error) {
       logger.error('Error in removeFileFromSubmission controller:', error);
-      ResponseHandler.error(res, error.status || 500, error.message);
+      ResponseHandler.error(res, error.statusCode || 500, error.message);
     }
   }
   
@@ -99,11 +99,11 @@ class SubmissionController {
    */
   async gradeSubmission(req, res) {
     try {
-      const submission = await submissionService.gradeSubmission(req.params.id, req.body, req.user._id);
+      const submission = await submissionService.gradeSubmission(req.params.id, req.body, req.user);
       ResponseHandler.success(res, 200, 'Submission graded successfully', submission);
     } catch (error) {
       logger.error('Error in gradeSubmission controller:', error);
-      ResponseHandler.error(res, error.status || 500, error.message);
+      ResponseHandler.error(res, error.statusCode || 500, error.message);
     }
   }
   
@@ -112,11 +112,11 @@ class SubmissionController {
    */
   async returnSubmissionForRevision(req, res) {
     try {
-      const submission = await submissionService.returnSubmissionForRevision(req.params.id, req.body.feedback, req.user._id);
+      const submission = await submissionService.returnSubmissionForRevision(req.params.id, req.body.feedback, req.user);
       ResponseHandler.success(res, 200, 'Submission returned for revision successfully', submission);
     } catch (error) {
       logger.error('Error in returnSubmissionForRevision controller:', error);
-      ResponseHandler.error(res, error.status || 500, error.message);
+      ResponseHandler.error(res, error.statusCode || 500, error.message);
     }
   }
   
@@ -125,11 +125,11 @@ class SubmissionController {
    */
   async markSubmissionAsLate(req, res) {
     try {
-      const submission = await submissionService.markSubmissionAsLate(req.params.id, req.body.penalty, req.user._id);
+      const submission = await submissionService.markSubmissionAsLate(req.params.id, req.body.penalty, req.user);
       ResponseHandler.success(res, 200, 'Submission marked as late successfully', submission);
     } catch (error) {
       logger.error('Error in markSubmissionAsLate controller:', error);
-      ResponseHandler.error(res, error.status || 500, error.message);
+      ResponseHandler.error(res, error.statusCode || 500, error.message);
     }
   }
   
@@ -138,11 +138,11 @@ class SubmissionController {
    */
   async checkPlagiarism(req, res) {
     try {
-      const submission = await submissionService.checkPlagiarism(req.params.id, req.body, req.user._id);
+      const submission = await submissionService.checkPlagiarism(req.params.id, req.body, req.user);
       ResponseHandler.success(res, 200, 'Plagiarism check completed successfully', submission);
     } catch (error) {
       logger.error('Error in checkPlagiarism controller:', error);
-      ResponseHandler.error(res, error.status || 500, error.message);
+      ResponseHandler.error(res, error.statusCode || 500, error.message);
     }
   }
   
@@ -151,11 +151,11 @@ class SubmissionController {
    */
   async verifySubmission(req, res) {
     try {
-      const submission = await submissionService.verifySubmission(req.params.id, req.body.notes, req.user._id);
+      const submission = await submissionService.verifySubmission(req.params.id, req.body.notes, req.user);
       ResponseHandler.success(res, 200, 'Submission verified successfully', submission);
     } catch (error) {
       logger.error('Error in verifySubmission controller:', error);
-      ResponseHandler.error(res, error.status || 500, error.message);
+      ResponseHandler.error(res, error.statusCode || 500, error.message);
     }
   }
   
@@ -168,7 +168,7 @@ class SubmissionController {
       ResponseHandler.success(res, 200, 'Assignment submissions retrieved successfully', submissions);
     } catch (error) {
       logger.error('Error in getSubmissionsByAssignment controller:', error);
-      ResponseHandler.error(res, error.status || 500, error.message);
+      ResponseHandler.error(res, error.statusCode || 500, error.message);
     }
   }
   
@@ -184,7 +184,7 @@ class SubmissionController {
       });
     } catch (error) {
       logger.error('Error in getSubmissionsByStudent controller:', error);
-      ResponseHandler.error(res, error.status || 500, error.message);
+      ResponseHandler.error(res, error.statusCode || 500, error.message);
     }
   }
 
@@ -205,7 +205,7 @@ class SubmissionController {
       ResponseHandler.success(res, 200, 'Faculty submissions retrieved successfully', result);
     } catch (error) {
       logger.error('Error in getSubmissionsByFaculty controller:', error);
-      ResponseHandler.error(res, error.status || 500, error.message);
+      ResponseHandler.error(res, error.statusCode || 500, error.message);
     }
   }
   
@@ -218,7 +218,7 @@ class SubmissionController {
       ResponseHandler.success(res, 200, 'Submission statistics retrieved successfully', stats);
     } catch (error) {
       logger.error('Error in getSubmissionStats controller:', error);
-      ResponseHandler.error(res, error.status || 500, error.message);
+      ResponseHandler.error(res, error.statusCode || 500, error.message);
     }
   }
   
@@ -227,11 +227,11 @@ class SubmissionController {
    */
   async bulkOperation(req, res) {
     try {
-      const result = await submissionService.bulkOperation(req.body, req.user._id);
+      const result = await submissionService.bulkOperation(req.body, req.user);
       ResponseHandler.success(res, 200, 'Bulk operation completed successfully', result);
     } catch (error) {
       logger.error('Error in bulkOperation controller:', error);
-      ResponseHandler.error(res, error.status || 500, error.message);
+      ResponseHandler.error(res, error.statusCode || 500, error.message);
     }
   }
   
@@ -244,7 +244,7 @@ class SubmissionController {
       ResponseHandler.success(res, 200, 'Late submissions retrieved successfully', submissions);
     } catch (error) {
       logger.error('Error in getLateSubmissions controller:', error);
-      ResponseHandler.error(res, error.status || 500, error.message);
+      ResponseHandler.error(res, error.statusCode || 500, error.message);
     }
   }
   
@@ -257,7 +257,7 @@ class SubmissionController {
       ResponseHandler.success(res, 200, 'Ungraded submissions retrieved successfully', submissions);
     } catch (error) {
       logger.error('Error in getUngradedSubmissions controller:', error);
-      ResponseHandler.error(res, error.status || 500, error.message);
+      ResponseHandler.error(res, error.statusCode || 500, error.message);
     }
   }
   
@@ -270,7 +270,7 @@ class SubmissionController {
       ResponseHandler.success(res, 200, 'Plagiarism flagged submissions retrieved successfully', submissions);
     } catch (error) {
       logger.error('Error in getPlagiarismFlaggedSubmissions controller:', error);
-      ResponseHandler.error(res, error.status || 500, error.message);
+      ResponseHandler.error(res, error.statusCode || 500, error.message);
     }
   }
   
@@ -283,7 +283,7 @@ class SubmissionController {
       ResponseHandler.success(res, 200, 'My submissions retrieved successfully', result);
     } catch (error) {
       logger.error('Error in getMySubmissions controller:', error);
-      ResponseHandler.error(res, error.status || 500, error.message);
+      ResponseHandler.error(res, error.statusCode || 500, error.message);
     }
   }
   
@@ -297,7 +297,7 @@ class SubmissionController {
       ResponseHandler.success(res, 200, 'My graded submissions retrieved successfully', result);
     } catch (error) {
       logger.error('Error in getMyGradedSubmissions controller:', error);
-      ResponseHandler.error(res, error.status || 500, error.message);
+      ResponseHandler.error(res, error.statusCode || 500, error.message);
     }
   }
   
@@ -311,7 +311,7 @@ class SubmissionController {
       ResponseHandler.success(res, 200, 'My late submissions retrieved successfully', result);
     } catch (error) {
       logger.error('Error in getMyLateSubmissions controller:', error);
-      ResponseHandler.error(res, error.status || 500, error.message);
+      ResponseHandler.error(res, error.statusCode || 500, error.message);
     }
   }
   
@@ -324,7 +324,7 @@ class SubmissionController {
       ResponseHandler.success(res, 200, 'Submissions search completed successfully', result);
     } catch (error) {
       logger.error('Error in searchSubmissions controller:', error);
-      ResponseHandler.error(res, error.status || 500, error.message);
+      ResponseHandler.error(res, error.statusCode || 500, error.message);
     }
   }
   
@@ -338,7 +338,7 @@ class SubmissionController {
       ResponseHandler.success(res, 200, `Submissions with status ${req.params.status} retrieved successfully`, result);
     } catch (error) {
       logger.error('Error in getSubmissionsByStatus controller:', error);
-      ResponseHandler.error(res, error.status || 500, error.message);
+      ResponseHandler.error(res, error.statusCode || 500, error.message);
     }
   }
   
@@ -352,7 +352,7 @@ class SubmissionController {
       ResponseHandler.success(res, 200, `Submissions with grade ${req.params.grade} retrieved successfully`, result);
     } catch (error) {
       logger.error('Error in getSubmissionsByGrade controller:', error);
-      ResponseHandler.error(res, error.status || 500, error.message);
+      ResponseHandler.error(res, error.statusCode || 500, error.message);
     }
   }
   
@@ -365,7 +365,7 @@ class SubmissionController {
       ResponseHandler.success(res, 200, 'Submission history retrieved successfully', submission.submissionHistory);
     } catch (error) {
       logger.error('Error in getSubmissionHistory controller:', error);
-      ResponseHandler.error(res, error.status || 500, error.message);
+      ResponseHandler.error(res, error.statusCode || 500, error.message);
     }
   }
   
@@ -379,7 +379,7 @@ class SubmissionController {
       ResponseHandler.success(res, 200, 'Submission summary retrieved successfully', summary);
     } catch (error) {
       logger.error('Error in getSubmissionSummary controller:', error);
-      ResponseHandler.error(res, error.status || 500, error.message);
+      ResponseHandler.error(res, error.statusCode || 500, error.message);
     }
   }
   
@@ -393,7 +393,7 @@ class SubmissionController {
       ResponseHandler.success(res, 200, 'Final score calculated successfully', { finalScore });
     } catch (error) {
       logger.error('Error in calculateFinalScore controller:', error);
-      ResponseHandler.error(res, error.status || 500, error.message);
+      ResponseHandler.error(res, error.statusCode || 500, error.message);
     }
   }
 }
@@ -1,7 +1,33 @@
 const userService = require('../services/user.service');
+const twoFactorService = require('../services/twoFactor.service');
+const loginProtectionService = require('../services/loginProtection.service');
+const userExportService = require('../services/userExport.service');
+const userImportService = require('../services/userImport.service');
+const impersonationService = require('../services/impersonation.service');
+const privacyService = require('../services/privacy.service');
+const avatarService = require('../services/avatar.service');
 const { ResponseHandler } = require('../utils/responseHandler');
 const logger = require('../utils/logger');
 
+const EXPORT_CONTENT_TYPES = {
+  json: 'application/json',
+  csv: 'text/csv; charset=utf-8',
+  xlsx: 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet'
+};
+
+// Status changes get the same checks as the toggle-status route; the rest
+// of the update goes through updateUser
+const applyUpdate = async (userId, isActive, updateData, actor) => {
+  let user = null;
+  if (isActive !== undefined) {
+    user = (await userService.setActive(userId, isActive, actor)).user;
+  }
+  if (!user || Object.keys(updateData).length > 0) {
+    user = await userService.updateUser(userId, updateData, actor);
+  }
+  return user;
+};
+
 /**
  * User Controller
  */
@@ -113,6 +139,38 @@ class UserController {
     }
   }
 
+  /**
+   * Create students and faculty from an uploaded CSV or XLSX sheet. Dry runs
+   * return a per-row validation report; commits return a credentials sheet.
+   * @param {Object} req - Express request object
+   * @param {Object} res - Express response object
+   */
+  async importUsers(req, res) {
+    try {
+      const dryRun = req.query.dryRun !== 'false';
+      const { role, credentialsFormat = 'xlsx' } = req.query;
+
+      const result = await userImportService.importUsers(req.file, { dryRun, role }, req.user);
+
+      if (result.dryRun) {
+        return ResponseHandler.success(res, 200, 'Import validation completed', result);
+      }
+
+      const sheet = await userImportService.buildCredentialsSheet(result.credentials, credentialsFormat);
+
+      res.attachment(`user-import-credentials-${new Date().toISOString().slice(0, 10)}.${credentialsFormat}`);
+      res.set({
+        'Cache-Control': 'no-store',
+        'X-Import-Created': String(result.summary.created),
+        'X-Import-Failed': String(result.summary.failed)
+      });
+      return res.status(201).type(EXPORT_CONTENT_TYPES[credentialsFormat]).send(sheet);
+    } catch (error) {
+      logger.error('Import users error:', error);
+      return ResponseHandler.error(res, error.statusCode || 400, error.message, error.report);
+    }
+  }
+
   /**
    * Update user
    * @param {Object} req - Express request object
@@ -121,16 +179,18 @@ class UserController {
   async updateUser(req, res) {
     try {
       const { userId } = req.params;
-      const updateData = req.body;
-      const user = await userService.updateUser(userId, updateData);
+      const { isActive, ...updateData } = req.body;
+      userService.assertUpdatableFields(updateData, req.user);
+
+      const user = await applyUpdate(userId, isActive, updateData, req.user);
 
       return ResponseHandler.success(res, 200, 'User updated successfully', user);
     } catch (error) {
       logger.error('Update user error:', error);
-      if (error.message === 'User not found') {
+      if (error.message === 'User not found' || error.message === 'Target user not found') {
         return ResponseHandler.notFound(res, 'User not found');
       }
-      return ResponseHandler.error(res, 400, error.message);
+      return ResponseHandler.error(res, error.statusCode || 400, error.message);
     }
   }
 
@@ -196,17 +256,17 @@ class UserController {
     try {
       const { userId } = req.params;
       const { isActive } = req.body;
-      
-      const user = await userService.updateUser(userId, { isActive });
-      const status = isActive ? 'activated' : 'deactivated';
 
-      return ResponseHandler.success(res, 200, `User ${status} successfully`, user);
+      // Same checks as the dedicated activate and deactivate routes
+      const result = await userService.setActive(userId, isActive, req.user);
+
+      return ResponseHandler.success(res, 200, result.message, result.user);
     } catch (error) {
       logger.error('Toggle user status error:', error);
-      if (error.message === 'User not found') {
+      if (error.message === 'Target user not found') {
         return ResponseHandler.notFound(res, 'User not found');
       }
-      return ResponseHandler.error(res, 400, error.message);
+      return ResponseHandler.error(res, error.statusCode || 400, error.message);
     }
   }
 
@@ -218,9 +278,7 @@ class UserController {
   async deactivateUser(req, res) {
     try {
       const { userId } = req.params;
-      const adminUserId = req.user._id;
-
-      const result = await userService.deactivateUser(userId, adminUserId);
+      const result = await userService.deactivateUser(userId, req.user);
 
       return ResponseHandler.success(res, 200, result.message, result.user);
     } catch (error) {
@@ -229,6 +287,155 @@ class UserController {
     }
   }
 
+  /**
+   * Unlock an account locked by failed logins (admin only)
+   * @param {Object} req - Express request object
+   * @param {Object} res - Express response object
+   */
+  async unlockUser(req, res) {
+    try {
+      const { userId } = req.params;
+      const user = await loginProtectionService.unlockAccount(userId, req.user, {
+        ipAddress: req.ip,
+        userAgent: req.get('User-Agent')
+      });
+
+      return ResponseHandler.success(res, 200, 'User unlocked successfully', user);
+    } catch (error) {
+      logger.error('Unlock user error:', error);
+      return ResponseHandler.error(res, error.statusCode || 400, error.message);
+    }
+  }
+
+  /**
+   * Start impersonating a user
+   * @param {Object} req - Express request object
+   * @param {Object} res - Express response object
+   */
+  async impersonateUser(req, res) {
+    try {
+      if (req.impersonation) {
+        return ResponseHandler.error(res, 400, 'End the current impersonation first');
+      }
+
+      const result = await impersonationService.startImpersonation(req.params.userId, req.user, req.body.reason, {
+        ipAddress: req.ip,
+        userAgent: req.get('User-Agent')
+      });
+
+      return ResponseHandler.success(res, 201, 'Impersonation started', result);
+    } catch (error) {
+      logger.error('Impersonate user error:', error);
+      return ResponseHandler.error(res, error.statusCode || 400, error.message);
+    }
+  }
+
+  /**
+   * Export everything held about a user as JSON or a ZIP archive
+   * @param {Object} req - Express request object
+   * @param {Object} res - Express response object
+   */
+  async exportPersonalData(req, res) {
+    try {
+      const { format = 'json' } = req.query;
+      const dataPackage = await privacyService.exportPersonalData(req.params.userId, format);
+
+      if (format === 'zip') {
+        res.attachment(`personal-data-${req.params.userId}.zip`);
+        res.status(200).type('application/zip');
+        return await privacyService.writeZip(res, dataPackage);
+      }
+
+      return ResponseHandler.success(res, 200, 'Personal data exported successfully', dataPackage);
+    } catch (error) {
+      logger.error('Export personal data error:', error);
+      if (res.headersSent) {
+        return res.destroy(error);
+      }
+      return ResponseHandler.error(res, error.statusCode || 400, error.message);
+    }
+  }
+
+  /**
+   * Erase a user's personal data, keeping their academic records
+   * @param {Object} req - Express request object
+   * @param {Object} res - Express response object
+   */
+  async erasePersonalData(req, res) {
+    try {
+      const result = await privacyService.eraseUser(req.params.userId, req.user, req.body.reason);
+      return ResponseHandler.success(res, 200, 'Personal data erased successfully', result);
+    } catch (error) {
+      logger.error('Erase personal data error:', error);
+      return ResponseHandler.error(res, error.statusCode || 400, error.message);
+    }
+  }
+
+  /**
+   * List avatars awaiting approval or currently shown, for moderation
+   * @param {Object} req - Express request object
+   * @param {Object} res - Express response object
+   */
+  async getAvatars(req, res) {
+    try {
+      const pagination = {
+        page: parseInt(req.query.page) || 1,
+        limit: parseInt(req.query.limit) || 20
+      };
+
+      const result = await avatarService.listAvatars({ status: req.query.status }, pagination);
+
+      return ResponseHandler.success(res, 200, 'Avatars retrieved successfully', result.users, result.pagination);
+    } catch (error) {
+      logger.error('Get avatars error:', error);
+      return ResponseHandler.error(res, 500, 'Failed to retrieve avatars');
+    }
+  }
+
+  /**
+   * Approve, reject or remove a user's avatar
+   * @param {Object} req - Express request object
+   * @param {Object} res - Express response object
+   */
+  async moderateAvatar(req, res) {
+    try {
+      const result = await avatarService.moderateAvatar(req.params.userId, req.user, req.body, {
+        ipAddress: req.ip,
+        userAgent: req.get('User-Agent')
+      });
+      const messages = {
+        approve: 'Avatar approved successfully',
+        reject: 'Avatar rejected successfully',
+        remove: 'Avatar removed successfully'
+      };
+
+      return ResponseHandler.success(res, 200, messages[req.body.decision], result);
+    } catch (error) {
+      logger.error('Moderate avatar error:', error);
+      return ResponseHandler.error(res, error.statusCode || 400, error.message);
+    }
+  }
+
+  /**
+   * Reset two-factor authentication for a user (admin only)
+   * @param {Object} req - Express request object
+   * @param {Object} res - Express response object
+   */
+  async resetTwoFactor(req, res) {
+    try {
+      const { userId } = req.params;
+      await twoFactorService.adminReset(userId, req.user._id, {
+        ipAddress: req.ip,
+        userAgent: req.get('User-Agent')
+      });
+
+      return ResponseHandler.success(res, 200, 'Two-factor authentication reset successfully');
+    } catch (error) {
+      logger.error('Reset two-factor error:', error);
+      return ResponseHandler.error(res, error.statusCode || 400, error.message);
+    }
+  }
+
   /**
    * Activate user (admin only)
    * @param {Object} req - Express request object
@@ -237,9 +444,7 @@ class UserController {
   async activateUser(req, res) {
     try {
       const { userId } = req.params;
-      const adminUserId = req.user._id;
-
-      const result = await userService.activateUser(userId, adminUserId);
+      const result = await userService.activateUser(userId, req.user);
 
       return ResponseHandler.success(res, 200, result.message, result.user);
     } catch (error) {
@@ -255,18 +460,21 @@ class UserController {
    */
   async bulkUpdateUsers(req, res) {
     try {
-      const { userIds, updateData } = req.body;
+      const { userIds } = req.body;
+      const { isActive, ...updateData } = req.body.updateData || {};
       
       if (!Array.isArray(userIds) || userIds.length === 0) {
         return ResponseHandler.error(res, 400, 'User IDs array is required');
       }
 
+      userService.assertUpdatableFields(updateData, req.user);
+
       const results = [];
       const errors = [];
 
       for (const userId of userIds) {
         try {
-          const user = await userService.updateUser(userId, updateData);
+          const user = await applyUpdate(userId, isActive, updateData, req.user);
           results.push(user);
         } catch (error) {
           errors.push({ userId, error: error.message });
@@ -281,6 +489,9 @@ class UserController {
       return ResponseHandler.success(res, 200, 'Bulk update completed', response);
     } catch (error) {
       logger.error('Bulk update users error:', error);
+      if (error.statusCode) {
+        return ResponseHandler.error(res, error.statusCode, error.message);
+      }
       return ResponseHandler.error(res, 500, 'Failed to perform bulk update');
     }
   }
@@ -322,38 +533,32 @@ class UserController {
   }
 
   /**
-   * Export users (CSV/JSON)
+   * Export users as CSV, XLSX or JSON, streamed straight to the response
    * @param {Object} req - Express request object
    * @param {Object} res - Express response object
    */
   async exportUsers(req, res) {
     try {
-      const { format = 'json', role, department } = req.query;
-
-      const filters = {
-        role,
-        department,
-        isActive: true
-      };
-
-      const pagination = {
-        page: 1,
-        limit: 1000, // Large limit for export
-        sortBy: 'firstName',
-        sortOrder: 'asc'
-      };
+      const { format = 'json', role, department, status, columns } = req.query;
 
-      const result = await userService.getUsers(filters, pagination);
+      const selectedColumns = userExportService.resolveColumns(columns);
+      const query = await userExportService.buildQuery({ role, department, status });
 
-      if (format === 'csv') {
-        // TODO: Implement CSV export
-        return ResponseHandler.error(res, 501, 'CSV export not implemented yet');
+      if (format !== 'json') {
+        res.attachment(`users-${new Date().toISOString().slice(0, 10)}.${format}`);
       }
+      res.status(200).type(EXPORT_CONTENT_TYPES[format]);
 
-      // Return users data with pagination at the same level
-      return ResponseHandler.success(res, 200, 'Users exported successfully', result.users, result.pagination);
+      await userExportService.exportUsers(res, format, query, selectedColumns);
     } catch (error) {
       logger.error('Export users error:', error);
+      // Once streaming has started the status line is gone; abort so the client sees a truncated download
+      if (res.headersSent) {
+        return res.destroy(error);
+      }
+      if (error.statusCode) {
+        return ResponseHandler.error(res, error.statusCode, error.message);
+      }
       return ResponseHandler.error(res, 500, 'Failed to export users');
     }
   }
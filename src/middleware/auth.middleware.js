@@ -1,29 +1,96 @@
+const crypto = require('crypto');
 const { verifyToken, getTokenFromHeader } = require('../utils/jwt');
 const User = require('../models/user.model');
+const sessionService = require('../services/session.service');
+const twoFactorService = require('../services/twoFactor.service');
+const permissionService = require('../services/permission.service');
+const impersonationService = require('../services/impersonation.service');
+const serviceAccountService = require('../services/serviceAccount.service');
+const guardianService = require('../services/guardian.service');
+const courseStaffService = require('../services/courseStaff.service');
+const { getAuthConfig } = require('../config/auth.config');
+const { setActor } = require('../utils/requestContext');
 const { ResponseHandler } = require('../utils/responseHandler');
 const logger = require('../utils/logger');
 
 /**
- * Middleware to verify JWT token and attach user to request
+ * Attach the service account behind an API key to the request. Its
+ * permissions are exactly the key's scopes.
+ */
+const authenticateApiKey = async (req, res, next, key) => {
+  const result = await serviceAccountService.authenticateApiKey(key, { ipAddress: req.ip });
+  if (!result) {
+    return ResponseHandler.unauthorized(res, 'Invalid or expired API key');
+  }
+
+  req.user = result.principal;
+  req.sessionId = null;
+  req.impersonation = null;
+  req.permissionGrants = result.grants;
+  setActor(result.principal);
+  next();
+};
+
+/**
+ * Middleware to verify JWT token (or service account API key) and attach user to request
  */
 const authenticate = async (req, res, next) => {
   try {
     const token = getTokenFromHeader(req.headers.authorization);
-    
+
+    // API keys may be sent as a bearer token or in X-API-Key
+    const apiKey = req.headers['x-api-key'] || (serviceAccountService.isApiKey(token) ? token : null);
+    if (apiKey) {
+      return await authenticateApiKey(req, res, next, apiKey);
+    }
+
     if (!token) {
       return ResponseHandler.unauthorized(res, 'Access token required');
     }
 
     const decoded = verifyToken(token);
+
+    // Two-factor challenge tokens are not access tokens
+    if (decoded.purpose) {
+      return ResponseHandler.unauthorized(res, 'Invalid token');
+    }
+
     const user = await User.findById(decoded.userId).select('-password').lean();
     
     if (!user || !user.isActive) {
       return ResponseHandler.unauthorized(res, 'Invalid or inactive user');
     }
 
+    // Tokens issued for a session stop working once it is revoked
+    if (decoded.sessionId && !(await sessionService.isSessionActive(decoded.sessionId))) {
+      return ResponseHandler.unauthorized(res, 'Session has been revoked');
+    }
+
+    // Impersonation tokens act as the user but stay attributable to the admin
+    let impersonation = null;
+    if (decoded.impersonatorId) {
+      impersonation = await impersonationService.resolveImpersonation(decoded);
+      if (!impersonation) {
+        return ResponseHandler.unauthorized(res, 'Impersonation session has ended');
+      }
+      if (!impersonationService.isRequestAllowed(req)) {
+        logger.warn(`Blocked ${req.method} ${req.originalUrl} by ${impersonation.impersonator.email} while impersonating ${user.email}`);
+        return ResponseHandler.forbidden(res, 'This action is not allowed while impersonating a user');
+      }
+    }
+
+    // Guardians only ever read; they may still manage their own account under /auth
+    if (user.role === 'guardian' && !guardianService.isRequestAllowed(req)) {
+      logger.warn(`Blocked ${req.method} ${req.originalUrl} by guardian ${user.email}`);
+      return ResponseHandler.forbidden(res, 'Guardian accounts are read-only');
+    }
+
     // Add id field for compatibility with controllers
     user.id = user._id;
     req.user = user;
+    req.sessionId = decoded.sessionId || null;
+    req.impersonation = impersonation;
+    setActor(user, impersonation && impersonation.impersonator);
     next();
   } catch (error) {
     logger.error('Authentication error:', error);
@@ -31,17 +98,68 @@ const authenticate = async (req, res, next) => {
   }
 };
 
-const authenticateAdmin = async (req, res, next) => {
+/**
+ * Middleware for two-factor enrollment: accepts a normal access token, or the
+ * setup token returned by login when the user's role requires two-factor
+ * authentication and they have not enrolled yet.
+ */
+const authenticateTwoFactorSetup = async (req, res, next) => {
+  if (req.headers.authorization) {
+    return authenticate(req, res, next);
+  }
+
   try {
-    const token = req.headers['x-admin-token'];
-    if (!token) {
-      return ResponseHandler.unauthorized(res, 'Admin token required');
+    const { twoFactorToken } = req.body;
+    if (!twoFactorToken) {
+      return ResponseHandler.unauthorized(res, 'Access token required');
     }
 
-    if (token !== process.env.ADMIN_TOKEN) {
+    const user = await twoFactorService.resolveChallenge(twoFactorToken, twoFactorService.CHALLENGE_PURPOSES.SETUP);
+
+    req.user = { _id: user._id, id: user._id, email: user.email, role: user.role };
+    req.twoFactorSetup = true;
+    setActor(req.user);
+    next();
+  } catch (error) {
+    logger.error('Two-factor setup authentication error:', error);
+    return ResponseHandler.unauthorized(res, error.message);
+  }
+};
+
+/**
+ * Middleware for routes integration scripts used to call with the shared
+ * `x-admin-token` secret. The header still works, with a deprecation warning,
+ * and grants only `users.create_admin`; otherwise this is `authenticate`, so
+ * API keys and bearer tokens are accepted.
+ */
+const authenticateAdmin = async (req, res, next) => {
+  const token = req.headers['x-admin-token'];
+  if (!token) {
+    return authenticate(req, res, next);
+  }
+
+  try {
+    const expected = getAuthConfig().apiKeys.legacyAdminToken;
+    const matches = !!expected && token.length === expected.length &&
+      crypto.timingSafeEqual(Buffer.from(token), Buffer.from(expected));
+    if (!matches) {
       return ResponseHandler.unauthorized(res, 'Invalid admin token');
     }
 
+    logger.warn(`Deprecated x-admin-token used for ${req.method} ${req.originalUrl} from ${req.ip}; switch to a service account API key`);
+    res.set('Deprecation', 'true');
+
+    req.user = {
+      _id: null,
+      id: null,
+      email: 'service:legacy-admin-token',
+      role: 'service',
+      isServiceAccount: true,
+      apiKey: null,
+      grants: [{ permission: 'users.create_admin', department: null, role: 'legacy_admin_token' }]
+    };
+    req.permissionGrants = req.user.grants;
+    setActor(req.user);
     next();
   } catch (error) {
     logger.error('Admin authentication error:', error);
@@ -52,8 +170,11 @@ const authenticateAdmin = async (req, res, next) => {
 /**
  * Middleware to check if user has required role
  * @param {string|Array} roles - Required role(s)
+ * @param {Object} [options] - Options
+ * @param {string} [options.permission] - Permission that lets an API key in
+ *   instead; only institution-wide key scopes count
  */
-const authorize = (roles) => {
+const authorize = (roles, options = {}) => {
   return (req, res, next) => {
     if (!req.user) {
       return ResponseHandler.unauthorized(res, 'Authentication required');
@@ -62,6 +183,11 @@ const authorize = (roles) => {
     const userRole = req.user.role;
     const requiredRoles = Array.isArray(roles) ? roles : [roles];
 
+    if (req.user.isServiceAccount && options.permission &&
+      permissionService.grantsAllow(req.permissionGrants || [], options.permission)) {
+      return next();
+    }
+
     if (!requiredRoles.includes(userRole)) {
       logger.warn(`User ${req.user.email} attempted to access restricted resource. Role: ${userRole}, Required: ${requiredRoles.join(', ')}`);
       return ResponseHandler.forbidden(res, 'Insufficient permissions');
@@ -71,6 +197,45 @@ const authorize = (roles) => {
   };
 };
 
+/**
+ * Middleware to check if user holds a named permission
+ * @param {string} permission - Required permission (e.g. 'grades.approve')
+ * @param {Object} [options] - Options
+ * @param {Function} [options.department] - Resolves the department the target
+ *   resource belongs to (`async (req) => departmentId`); department-scoped
+ *   grants only count when it matches. Without it, only institution-wide
+ *   grants satisfy the check.
+ */
+const requirePermission = (permission, options = {}) => {
+  return async (req, res, next) => {
+    try {
+      if (!req.user) {
+        return ResponseHandler.unauthorized(res, 'Authentication required');
+      }
+
+      if (!req.permissionGrants) {
+        req.permissionGrants = await permissionService.getGrants(req.user);
+      }
+
+      const department = options.department ? await options.department(req) : null;
+
+      if (!permissionService.grantsAllow(req.permissionGrants, permission, department)) {
+        logger.warn(`User ${req.user.email} attempted to access restricted resource. Required permission: ${permission}`);
+        return ResponseHandler.forbidden(res, 'Insufficient permissions');
+      }
+
+      next();
+    } catch (error) {
+      logger.error('Permission check error:', error);
+      // Scope resolvers may reject with a client error (e.g. unknown department)
+      if (error.statusCode) {
+        return ResponseHandler.error(res, error.statusCode, error.message);
+      }
+      return ResponseHandler.error(res, 500, 'Error checking permissions');
+    }
+  };
+};
+
 /**
  * Middleware to check if user is admin
  */
@@ -123,45 +288,59 @@ const canAccessOwnResource = (resourceUserIdField = 'userId') => {
 };
 
 /**
- * Middleware to check if user can access course (enrolled student, instructor, or admin)
+ * Load the course named in the request and the requesting user's
+ * capabilities in it (see courseStaff.config) onto `req.course` and
+ * `req.courseCapabilities`
+ * @returns {Promise<boolean>} False if a response has been sent
  */
-const canAccessCourse = async (req, res, next) => {
-  try {
-    if (!req.user) {
-      return ResponseHandler.unauthorized(res, 'Authentication required');
-    }
+const loadCourseCapabilities = async (req, res) => {
+  if (!req.user) {
+    ResponseHandler.unauthorized(res, 'Authentication required');
+    return false;
+  }
 
-    const courseId = req.params.courseId || req.body.courseId;
-    if (!courseId) {
-      return ResponseHandler.badRequest(res, 'Course ID required');
-    }
+  const courseId = req.params.courseId || req.body.courseId;
+  if (!courseId) {
+    ResponseHandler.badRequest(res, 'Course ID required');
+    return false;
+  }
 
-    const Course = require('../models/course.model');
-    const course = await Course.findById(courseId);
-    
-    if (!course) {
-      return ResponseHandler.notFound(res, 'Course not found');
-    }
+  const Course = require('../models/course.model');
+  const course = await Course.findById(courseId);
+  if (!course) {
+    ResponseHandler.notFound(res, 'Course not found');
+    return false;
+  }
 
-    // Admin can access any course
-    if (req.user.role === 'admin') {
-      req.course = course;
+  req.course = course;
+  req.courseCapabilities = await courseStaffService.getCapabilities(course, req.user);
+  return true;
+};
+
+/**
+ * Middleware to check if user can access course (teaching staff, course
+ * managers, or an enrolled student)
+ */
+const canAccessCourse = async (req, res, next) => {
+  try {
+    if (!await loadCourseCapabilities(req, res)) return;
+
+    if (req.courseCapabilities.length > 0) {
       return next();
     }
 
-    // Instructor can access their own courses
-    if (req.user.role === 'faculty' && course.instructor.toString() === req.user._id.toString()) {
-      req.course = course;
+    // Section faculty teach part of the course
+    const Section = require('../models/section.model');
+    if (await Section.exists({ course: req.course._id, faculty: req.user._id })) {
       return next();
     }
 
     // Student can access courses they're enrolled in
-    if (req.user.role === 'student' && course.students.includes(req.user._id)) {
-      req.course = course;
+    if (req.user.role === 'student' && req.course.isStudentEnrolled(req.user._id)) {
       return next();
     }
 
-    logger.warn(`User ${req.user.email} attempted to access course ${courseId} without permission`);
+    logger.warn(`User ${req.user.email} attempted to access course ${req.course._id} without permission`);
     return ResponseHandler.forbidden(res, 'Access denied to this course');
   } catch (error) {
     logger.error('Course access check error:', error);
@@ -170,50 +349,39 @@ const canAccessCourse = async (req, res, next) => {
 };
 
 /**
- * Middleware to check if user can modify course (instructor or admin)
+ * Middleware to check if user holds a capability in the course: its
+ * faculty, course staff whose role includes it, or course managers
+ * @param {string} capability - Required capability (e.g. 'submissions.grade')
  */
-const canModifyCourse = async (req, res, next) => {
-  try {
-    if (!req.user) {
-      return ResponseHandler.unauthorized(res, 'Authentication required');
-    }
-
-    const courseId = req.params.courseId || req.body.courseId;
-    if (!courseId) {
-      return ResponseHandler.badRequest(res, 'Course ID required');
-    }
-
-    const Course = require('../models/course.model');
-    const course = await Course.findById(courseId);
-    
-    if (!course) {
-      return ResponseHandler.notFound(res, 'Course not found');
-    }
-
-    // Admin can modify any course
-    if (req.user.role === 'admin') {
-      req.course = course;
-      return next();
-    }
-
-    // Instructor can only modify their own courses
-    if (req.user.role === 'faculty' && course.instructor.toString() === req.user._id.toString()) {
-      req.course = course;
-      return next();
+const requireCourseCapability = (capability) => {
+  return async (req, res, next) => {
+    try {
+      if (!await loadCourseCapabilities(req, res)) return;
+
+      if (!req.courseCapabilities.includes(capability)) {
+        logger.warn(`User ${req.user.email} attempted ${capability} in course ${req.course._id} without permission`);
+        return ResponseHandler.forbidden(res, 'Your role in this course does not allow this');
+      }
+
+      next();
+    } catch (error) {
+      logger.error('Course capability check error:', error);
+      return ResponseHandler.error(res, 500, 'Error checking course permissions');
     }
-
-    logger.warn(`User ${req.user.email} attempted to modify course ${courseId} without permission`);
-    return ResponseHandler.forbidden(res, 'Only course instructor or admin can modify this course');
-  } catch (error) {
-    logger.error('Course modification check error:', error);
-    return ResponseHandler.error(res, 500, 'Error checking course modification permissions');
-  }
+  };
 };
 
+/**
+ * Middleware to check if user can modify course details
+ */
+const canModifyCourse = requireCourseCapability('course.edit');
+
 module.exports = {
   authenticateAdmin,
   authenticate,
+  authenticateTwoFactorSetup,
   authorize,
+  requirePermission,
   requireAdmin,
   requireFaculty,
   requireStudent,
@@ -221,5 +389,6 @@ module.exports = {
   requireStudentOrFaculty,
   canAccessOwnResource,
   canAccessCourse,
-  canModifyCourse
+  canModifyCourse,
+  requireCourseCapability
 }; 
\ No newline at end of file
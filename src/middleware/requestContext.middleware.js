@@ -0,0 +1,18 @@
+const { runWithContext } = require('../utils/requestContext');
+
+/**
+ * Middleware to open a request context for the rest of the request; the
+ * authenticated user is added to it by the auth middleware
+ */
+const requestContext = (req, res, next) => {
+  runWithContext({
+    ipAddress: req.ip,
+    userAgent: req.get('User-Agent') || null,
+    method: req.method,
+    path: req.originalUrl
+  }, next);
+};
+
+module.exports = {
+  requestContext
+};
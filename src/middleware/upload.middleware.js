@@ -2,6 +2,8 @@ const multer = require('multer');
 const path = require('path');
 const fs = require('fs');
 const { uploadImage, deleteImage } = require('../config/cloudinary.config');
+const { getAvatarConfig } = require('../config/avatar.config');
+const { bindContext } = require('../utils/requestContext');
 const logger = require('../utils/logger');
 
 // Configure multer for file upload
@@ -44,12 +46,12 @@ const upload = multer({
 /**
  * Middleware for single image upload
  */
-const uploadSingleImage = upload.single('image');
+const uploadSingleImage = bindContext(upload.single('image'));
 
 /**
  * Middleware for multiple image uploads
  */
-const uploadMultipleImages = upload.array('images', 5); // Max 5 images
+const uploadMultipleImages = bindContext(upload.array('images', 5)); // Max 5 images
 
 /**
  * Middleware to handle image upload and Cloudinary integration
@@ -181,6 +183,89 @@ const handleMultipleImageUpload = (options = {}) => {
   };
 };
 
+// Spreadsheets are parsed straight from memory and never written to disk
+const spreadsheetUpload = multer({
+  storage: multer.memoryStorage(),
+  limits: {
+    fileSize: 5 * 1024 * 1024 // 5MB limit
+  },
+  fileFilter: (req, file, cb) => {
+    const extension = path.extname(file.originalname).toLowerCase();
+    if (['.csv', '.xlsx'].includes(extension)) {
+      return cb(null, true);
+    }
+    cb(new Error('Only CSV and XLSX files are allowed!'), false);
+  }
+});
+
+/**
+ * Middleware to accept a single CSV or XLSX upload into req.file (in memory)
+ * @param {string} fieldName - Form field name for the file
+ */
+const handleSpreadsheetUpload = (fieldName = 'file') => {
+  const uploadSpreadsheet = bindContext(spreadsheetUpload.single(fieldName));
+
+  return (req, res, next) => {
+    uploadSpreadsheet(req, res, (err) => {
+      if (err) {
+        logger.error('Spreadsheet upload error:', err);
+        return res.status(400).json({
+          success: false,
+          message: err.message
+        });
+      }
+
+      if (!req.file) {
+        return res.status(400).json({
+          success: false,
+          message: `A CSV or XLSX file is required in the "${fieldName}" field`
+        });
+      }
+
+      next();
+    });
+  };
+};
+
+/**
+ * Middleware to accept a single avatar image into req.file (on disk). The
+ * Cloudinary upload is left to the avatar service, which checks the content
+ * and removes the temporary file.
+ * @param {string} fieldName - Form field name for the image
+ */
+const handleAvatarUpload = (fieldName = 'avatar') => {
+  const { maxSizeBytes } = getAvatarConfig();
+  const uploadAvatar = bindContext(multer({
+    storage,
+    limits: { fileSize: maxSizeBytes, files: 1 },
+    fileFilter
+  }).single(fieldName));
+
+  return (req, res, next) => {
+    uploadAvatar(req, res, (err) => {
+      if (err) {
+        logger.error('Avatar upload error:', err);
+        const message = err.code === 'LIMIT_FILE_SIZE'
+          ? `Avatar images cannot exceed ${maxSizeBytes / (1024 * 1024)}MB`
+          : err.message;
+        return res.status(400).json({
+          success: false,
+          message
+        });
+      }
+
+      if (!req.file) {
+        return res.status(400).json({
+          success: false,
+          message: `An image file is required in the "${fieldName}" field`
+        });
+      }
+
+      next();
+    });
+  };
+};
+
 /**
  * Middleware to delete image from Cloudinary
  * @param {string} publicIdField - Field name containing the public ID
@@ -210,5 +295,7 @@ module.exports = {
   uploadMultipleImages,
   handleImageUpload,
   handleMultipleImageUpload,
+  handleSpreadsheetUpload,
+  handleAvatarUpload,
   deleteImageFromCloudinary
 }; 
\ No newline at end of file
@@ -0,0 +1,70 @@
+/**
+ * Prepare waitlist entries for the unique index on open entries:
+ * - set `open` on entries written before the flag existed
+ * - close duplicate open entries of a student in a course, keeping an
+ *   offered entry (it holds a seat) or else the one that joined first;
+ *   the others are marked withdrawn
+ * - replace the old unique index, filtered on a status range, with the
+ *   one declared on the model
+ *
+ * Usage: node src/migrations/closeDuplicateWaitlistEntries.js
+ */
+const runMigration = require('./runMigration');
+const WaitlistEntry = require('../models/waitlistEntry.model');
+const logger = require('../utils/logger');
+
+// MongoDB error codes for a missing collection and a missing index
+const NAMESPACE_NOT_FOUND = 26;
+const INDEX_NOT_FOUND = 27;
+
+const OLD_INDEX = 'course_1_student_1';
+
+/**
+ * @returns {Promise<Object>} { backfilled, closed }
+ */
+const closeDuplicateWaitlistEntries = async () => {
+  let backfilled = 0;
+  const statuses = await WaitlistEntry.distinct('status', { open: { $exists: false } });
+  for (const status of statuses) {
+    const result = await WaitlistEntry.collection.updateMany(
+      { status, open: { $exists: false } },
+      { $set: { open: WaitlistEntry.isOpenStatus(status) } }
+    );
+    backfilled += result.modifiedCount;
+  }
+
+  const duplicates = await WaitlistEntry.aggregate([
+    { $match: { open: true } },
+    { $sort: { createdAt: 1, _id: 1 } },
+    { $group: { _id: { course: '$course', student: '$student' }, entries: { $push: { _id: '$_id', status: '$status' } } } },
+    { $match: { 'entries.1': { $exists: true } } }
+  ]);
+
+  const closing = duplicates.flatMap(({ entries }) => {
+    const kept = entries.find(entry => entry.status === 'offered') || entries[0];
+    return entries.filter(entry => entry !== kept).map(entry => entry._id);
+  });
+  if (closing.length > 0) {
+    await WaitlistEntry.updateMany({ _id: { $in: closing } }, { status: 'withdrawn', closedAt: new Date() });
+  }
+
+  try {
+    await WaitlistEntry.collection.dropIndex(OLD_INDEX);
+    logger.info(`Dropped old waitlist index: ${OLD_INDEX}`);
+  } catch (error) {
+    if (error.code !== NAMESPACE_NOT_FOUND && error.code !== INDEX_NOT_FOUND) {
+      logger.error(`Error dropping waitlist index ${OLD_INDEX}:`, error);
+      throw error;
+    }
+  }
+  await WaitlistEntry.createIndexes();
+
+  logger.info(`Waitlist entries: set open on ${backfilled}, closed ${closing.length} duplicates`);
+  return { backfilled, closed: closing.length };
+};
+
+if (require.main === module) {
+  runMigration('closeDuplicateWaitlistEntries', closeDuplicateWaitlistEntries);
+}
+
+module.exports = closeDuplicateWaitlistEntries;
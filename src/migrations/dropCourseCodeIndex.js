@@ -0,0 +1,38 @@
+/**
+ * Drop the unique index on `code` alone (`code_1`) from databases created
+ * before course rollover. It stops a course running again in a later term;
+ * codes are now unique within a year and semester.
+ *
+ * Usage: node src/migrations/dropCourseCodeIndex.js
+ */
+const runMigration = require('./runMigration');
+const logger = require('../utils/logger');
+
+// MongoDB error codes for a missing collection and a missing index
+const NAMESPACE_NOT_FOUND = 26;
+const INDEX_NOT_FOUND = 27;
+
+/**
+ * @param {Object} db - Native database handle
+ * @returns {Promise<boolean>} Whether the index was dropped
+ */
+const dropCourseCodeIndex = async (db) => {
+  try {
+    await db.collection('courses').dropIndex('code_1');
+    logger.info('Dropped old courses index: code_1');
+    return true;
+  } catch (error) {
+    if (error.code === NAMESPACE_NOT_FOUND || error.code === INDEX_NOT_FOUND) {
+      logger.info('Old courses index code_1 not found; nothing to drop');
+      return false;
+    }
+    logger.error('Error dropping courses index code_1:', error);
+    throw error;
+  }
+};
+
+if (require.main === module) {
+  runMigration('dropCourseCodeIndex', dropCourseCodeIndex);
+}
+
+module.exports = dropCourseCodeIndex;
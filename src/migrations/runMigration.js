@@ -0,0 +1,25 @@
+const mongoose = require('mongoose');
+require('dotenv').config();
+const logger = require('../utils/logger');
+
+/**
+ * Run a one-off migration from the command line against MONGODB_URI, then
+ * disconnect. The process exits with 1 when the migration fails.
+ * @param {string} name - Migration name for the logs
+ * @param {Function} migrate - Called with the native database handle
+ */
+const runMigration = async (name, migrate) => {
+  try {
+    await mongoose.connect(process.env.MONGODB_URI, {});
+    logger.info(`Running migration ${name}`);
+    await migrate(mongoose.connection.db);
+    logger.info(`Migration ${name} finished`);
+  } catch (error) {
+    logger.error(`Migration ${name} failed:`, error);
+    process.exitCode = 1;
+  } finally {
+    await mongoose.disconnect();
+  }
+};
+
+module.exports = runMigration;
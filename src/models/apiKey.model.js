@@ -0,0 +1,111 @@
+const mongoose = require('mongoose');
+const { isKnownPermission } = require('../config/permissions.config');
+const auditPlugin = require('./plugins/audit.plugin');
+
+/**
+ * An API key of a service account. Only a SHA-256 hash of the key is stored;
+ * `prefix` is the visible start of the key so it can be recognised in lists.
+ * Scopes are permission names, optionally limited to one department like
+ * role assignments.
+ */
+const apiKeySchema = new mongoose.Schema({
+  serviceAccount: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'ServiceAccount',
+    required: [true, 'Service account is required']
+  },
+  name: {
+    type: String,
+    required: [true, 'Key name is required'],
+    trim: true,
+    maxlength: [100, 'Key name cannot exceed 100 characters']
+  },
+  prefix: {
+    type: String,
+    required: true
+  },
+  keyHash: {
+    type: String,
+    required: true,
+    unique: true,
+    select: false
+  },
+  scopes: {
+    type: [String],
+    validate: [
+      {
+        validator: scopes => scopes.length > 0,
+        message: 'At least one scope is required'
+      },
+      {
+        validator: scopes => scopes.every(isKnownPermission),
+        message: 'API key contains unknown scopes'
+      }
+    ]
+  },
+  department: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Department',
+    default: null
+  },
+  expiresAt: {
+    type: Date,
+    default: null
+  },
+  lastUsedAt: {
+    type: Date,
+    default: null
+  },
+  lastUsedIp: {
+    type: String,
+    trim: true
+  },
+  // Set on the key that replaced this one during rotation
+  replacedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'ApiKey',
+    default: null
+  },
+  revokedAt: {
+    type: Date,
+    default: null
+  },
+  revokedReason: {
+    type: String,
+    enum: ['revoked', 'account_deactivated'],
+    default: null
+  },
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }
+}, {
+  timestamps: true,
+  toJSON: { virtuals: true },
+  toObject: { virtuals: true }
+});
+
+// Indexes for better performance
+apiKeySchema.index({ serviceAccount: 1, revokedAt: 1 });
+
+// Virtual for active state
+apiKeySchema.virtual('isActive').get(function () {
+  return !this.revokedAt && (!this.expiresAt || this.expiresAt > new Date());
+});
+
+// Instance method to revoke the key
+apiKeySchema.methods.revoke = function (reason = 'revoked') {
+  if (!this.revokedAt) {
+    this.revokedAt = new Date();
+    this.revokedReason = reason;
+  }
+  return this.save();
+};
+
+// Usage bookkeeping is not worth an audit entry; the hash is never copied into the log
+apiKeySchema.plugin(auditPlugin, {
+  ignore: ['lastUsedAt', 'lastUsedIp'],
+  redact: ['keyHash']
+});
+
+module.exports = mongoose.model('ApiKey', apiKeySchema);
@@ -1,4 +1,5 @@
 const mongoose = require('mongoose');
+const auditPlugin = require('./plugins/audit.plugin');
 
 const assignmentSchema = new mongoose.Schema({
   title: {
@@ -17,6 +18,12 @@ const assignmentSchema = new mongoose.Schema({
     ref: 'Course',
     required: [true, 'Course is required']
   },
+  // Section the assignment is set for; null sets it for every section of the course
+  section: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Section',
+    default: null
+  },
   faculty: {
     type: mongoose.Schema.Types.ObjectId,
     ref: 'User',
@@ -193,6 +200,7 @@ const assignmentSchema = new mongoose.Schema({
 
 // Indexes for better query performance
 assignmentSchema.index({ course: 1 });
+assignmentSchema.index({ section: 1 });
 assignmentSchema.index({ faculty: 1 });
 assignmentSchema.index({ status: 1 });
 assignmentSchema.index({ assignmentType: 1 });
@@ -400,4 +408,6 @@ assignmentSchema.methods.getSummary = function() {
   };
 };
 
+assignmentSchema.plugin(auditPlugin);
+
 module.exports = mongoose.model('Assignment', assignmentSchema); 
\ No newline at end of file
@@ -0,0 +1,127 @@
+const mongoose = require('mongoose');
+const auditPlugin = require('./plugins/audit.plugin');
+const { ATTENDANCE_STATUSES } = require('../config/attendance.config');
+
+/**
+ * One class meeting of a course, or of one of its sections, generated from
+ * the weekly schedule. Attendance is recorded per student by roll call or
+ * by self check-in with a rotating code while check-in is open.
+ */
+const attendanceSessionSchema = new mongoose.Schema({
+  course: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Course',
+    required: [true, 'Course is required']
+  },
+  // Section meeting, or null for a meeting of the whole course
+  section: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Section',
+    default: null
+  },
+  startsAt: {
+    type: Date,
+    required: [true, 'Start time is required']
+  },
+  endsAt: {
+    type: Date,
+    required: [true, 'End time is required']
+  },
+  type: {
+    type: String,
+    enum: ['Lecture', 'Lab', 'Tutorial', 'Discussion'],
+    default: 'Lecture'
+  },
+  // Cancelled sessions do not count towards attendance
+  status: {
+    type: String,
+    enum: ['scheduled', 'cancelled'],
+    default: 'scheduled'
+  },
+  checkIn: {
+    // Seed of the rotating check-in codes
+    secret: {
+      type: String,
+      select: false
+    },
+    opensAt: Date,
+    closesAt: Date,
+    openedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User'
+    }
+  },
+  records: [{
+    _id: false,
+    student: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      required: true
+    },
+    status: {
+      type: String,
+      enum: ATTENDANCE_STATUSES,
+      required: true
+    },
+    method: {
+      type: String,
+      enum: ['roll_call', 'check_in'],
+      required: true
+    },
+    note: {
+      type: String,
+      trim: true,
+      maxlength: [200, 'Note cannot exceed 200 characters']
+    },
+    recordedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User'
+    },
+    recordedAt: {
+      type: Date,
+      default: Date.now
+    }
+  }],
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  }
+}, {
+  timestamps: true,
+  toJSON: { virtuals: true },
+  toObject: { virtuals: true }
+});
+
+attendanceSessionSchema.index({ course: 1, section: 1, startsAt: 1 }, { unique: true });
+attendanceSessionSchema.index({ course: 1, 'checkIn.closesAt': 1 });
+attendanceSessionSchema.index({ 'records.student': 1 });
+
+// Instance method to check whether students can check themselves in
+attendanceSessionSchema.methods.isCheckInOpen = function(at = new Date()) {
+  return this.status === 'scheduled' &&
+    Boolean(this.checkIn && this.checkIn.opensAt && this.checkIn.closesAt) &&
+    this.checkIn.opensAt <= at && at < this.checkIn.closesAt;
+};
+
+// Instance method to get a student's attendance record
+attendanceSessionSchema.methods.getRecord = function(studentId) {
+  return this.records.find(record => record.student.toString() === studentId.toString()) || null;
+};
+
+// Instance method to record a student's attendance, replacing an earlier record
+attendanceSessionSchema.methods.setRecord = function(studentId, entry) {
+  const existing = this.getRecord(studentId);
+  if (existing) {
+    Object.assign(existing, entry, { recordedAt: new Date() });
+  } else {
+    this.records.push({ ...entry, student: studentId, recordedAt: new Date() });
+  }
+};
+
+// Check-in codes derive from the secret, so it is never copied into the log
+attendanceSessionSchema.plugin(auditPlugin, {
+  redact: ['checkIn.secret']
+});
+
+module.exports = mongoose.model('AttendanceSession', attendanceSessionSchema);
@@ -0,0 +1,168 @@
+const mongoose = require('mongoose');
+
+/**
+ * One entry of the central audit log: who changed which record, when, from
+ * where, and what the changed fields looked like before and after. Entries
+ * are written by the audit plugin on every model write and can never be
+ * modified or removed through the model.
+ */
+const auditLogSchema = new mongoose.Schema({
+  actor: {
+    user: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      default: null
+    },
+    email: {
+      type: String,
+      default: null
+    },
+    role: {
+      type: String,
+      default: null
+    },
+    // Set instead of `user` when the request was made with an API key
+    serviceAccount: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'ServiceAccount',
+      default: null
+    },
+    apiKey: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'ApiKey',
+      default: null
+    },
+    // Admin who was impersonating the actor
+    impersonatedBy: {
+      user: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User',
+        default: null
+      },
+      email: {
+        type: String,
+        default: null
+      }
+    }
+  },
+  action: {
+    type: String,
+    required: [true, 'Action is required'],
+    trim: true
+  },
+  entityType: {
+    type: String,
+    required: [true, 'Entity type is required']
+  },
+  // Null for bulk_update and bulk_delete entries, which summarise a write to
+  // more documents than are logged one by one
+  entityId: {
+    type: mongoose.Schema.Types.ObjectId,
+    default: null,
+    required: [function () { return !this.action || !this.action.startsWith('bulk_'); }, 'Entity ID is required']
+  },
+  // Changed fields only; sensitive values are redacted
+  changes: [{
+    _id: false,
+    path: {
+      type: String,
+      required: true
+    },
+    before: mongoose.Schema.Types.Mixed,
+    after: mongoose.Schema.Types.Mixed
+  }],
+  details: {
+    type: mongoose.Schema.Types.Mixed,
+    default: null
+  },
+  ipAddress: {
+    type: String,
+    default: null
+  },
+  userAgent: {
+    type: String,
+    default: null
+  },
+  request: {
+    method: String,
+    path: String
+  }
+}, {
+  timestamps: { createdAt: true, updatedAt: false },
+  toJSON: { virtuals: true },
+  toObject: { virtuals: true }
+});
+
+// Indexes for better performance
+auditLogSchema.index({ createdAt: -1 });
+auditLogSchema.index({ entityType: 1, entityId: 1, createdAt: -1 });
+auditLogSchema.index({ 'actor.user': 1, createdAt: -1 });
+auditLogSchema.index({ 'actor.impersonatedBy.user': 1, createdAt: -1 });
+auditLogSchema.index({ action: 1, createdAt: -1 });
+
+// The log is append-only (apart from pseudonymiseUser below)
+const rejectChange = function (next) {
+  next(new Error('Audit log entries cannot be modified or deleted'));
+};
+
+auditLogSchema.pre('save', function (next) {
+  if (!this.isNew) {
+    return rejectChange(next);
+  }
+  next();
+});
+
+auditLogSchema.pre([
+  'updateOne', 'updateMany', 'findOneAndUpdate', 'replaceOne', 'findOneAndReplace',
+  'deleteOne', 'deleteMany', 'findOneAndDelete'
+], rejectChange);
+
+auditLogSchema.pre('deleteOne', { document: true, query: false }, rejectChange);
+
+/**
+ * Pseudonymise an erased user's entries: the values in the diffs of entries
+ * about or by the user are redacted, the user's email is replaced wherever
+ * they acted or impersonated, and the IP address and user agent of their own
+ * requests are removed. This is the only sanctioned rewrite of the log, so it
+ * writes to the collection directly, past the append-only hooks.
+ * @param {string|ObjectId} userId - Erased user's ID
+ * @param {string} email - Pseudonymous email to record instead
+ * @returns {Promise<number>} Number of entries rewritten
+ */
+auditLogSchema.statics.pseudonymiseUser = async function (userId, email) {
+  const id = new mongoose.Types.ObjectId(userId);
+  const count = await this.countDocuments({
+    $or: [{ entityId: id }, { 'actor.user': id }, { 'actor.impersonatedBy.user': id }]
+  });
+
+  // Values that were empty stay empty, so a create still shows no `before`
+  const redact = value => ({ $cond: [{ $eq: [{ $ifNull: [value, null] }, null] }, null, '[REDACTED]'] });
+  await this.collection.updateMany(
+    { $or: [{ entityId: id }, { 'actor.user': id }], 'changes.0': { $exists: true } },
+    [{
+      $set: {
+        changes: {
+          $map: {
+            input: '$changes',
+            as: 'change',
+            in: { path: '$$change.path', before: redact('$$change.before'), after: redact('$$change.after') }
+          }
+        }
+      }
+    }]
+  );
+  await this.collection.updateMany({ 'actor.user': id }, { $set: { 'actor.email': email } });
+  // Network details of the user's own requests, including signed-out ones such as logins
+  await this.collection.updateMany(
+    { $or: [{ 'actor.user': id }, { entityId: id, 'actor.user': null }] },
+    { $set: { ipAddress: null, userAgent: null } }
+  );
+  await this.collection.updateMany(
+    { 'actor.impersonatedBy.user': id },
+    { $set: { 'actor.impersonatedBy.email': email } }
+  );
+
+  return count;
+};
+
+module.exports = mongoose.model('AuditLog', auditLogSchema);
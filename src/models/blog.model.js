@@ -1,4 +1,5 @@
 const mongoose = require('mongoose');
+const auditPlugin = require('./plugins/audit.plugin');
 
 const blogSchema = new mongoose.Schema({
   title: {
@@ -579,4 +580,6 @@ if (process.env.NODE_ENV !== 'production') {
   });
 }
 
+blogSchema.plugin(auditPlugin, { ignore: ['engagement.views'] });
+
 module.exports = mongoose.model('Blog', blogSchema); 
\ No newline at end of file
@@ -0,0 +1,36 @@
+const mongoose = require('mongoose');
+const auditPlugin = require('./plugins/audit.plugin');
+
+/**
+ * A user's secret iCalendar feed URL. Only a SHA-256 hash of the token in
+ * the URL is stored; each user has at most one feed. Deleting the feed
+ * revokes the URL, and creating a new one replaces it.
+ */
+const calendarFeedSchema = new mongoose.Schema({
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: [true, 'User is required'],
+    unique: true
+  },
+  tokenHash: {
+    type: String,
+    required: true,
+    unique: true,
+    select: false
+  },
+  lastAccessedAt: {
+    type: Date,
+    default: null
+  }
+}, {
+  timestamps: true
+});
+
+// Feed reads are not worth an audit entry; the hash is never copied into the log
+calendarFeedSchema.plugin(auditPlugin, {
+  ignore: ['lastAccessedAt'],
+  redact: ['tokenHash']
+});
+
+module.exports = mongoose.model('CalendarFeed', calendarFeedSchema);
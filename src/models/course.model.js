@@ -1,12 +1,14 @@
 const mongoose = require('mongoose');
+const auditPlugin = require('./plugins/audit.plugin');
+const { COURSE_STAFF_ROLES } = require('../config/courseStaff.config');
 
 const courseSchema = new mongoose.Schema({
   name: { type: String, required: true },
   title: { type: String },
+  // Unique within a year and semester, so a course can run again in later terms
   code: { 
     type: String, 
     required: true,
-    unique: true,
     trim: true,
     uppercase: true,
     match: [/^[A-Z]{2,4}\d{3,4}$/, 'Course code must be 2-4 letters followed by 3-4 numbers (e.g., CS101, MATH201)']
@@ -25,6 +27,18 @@ const courseSchema = new mongoose.Schema({
     max: [12, 'Semester cannot exceed 12']
   },
   faculty: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true },
+  // Co-instructors, teaching assistants and graders working under the course's faculty
+  staff: [{
+    _id: false,
+    user: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true },
+    role: {
+      type: String,
+      enum: Object.keys(COURSE_STAFF_ROLES),
+      required: true
+    },
+    addedBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
+    addedAt: { type: Date, default: Date.now }
+  }],
   description: { 
     type: String,
     trim: true,
@@ -42,6 +56,17 @@ const courseSchema = new mongoose.Schema({
     min: [2020, 'Year must be 2020 or later'],
     max: [2030, 'Year cannot exceed 2030']
   },
+  // First and last day of teaching; weekly schedule slots repeat between them
+  startDate: Date,
+  endDate: {
+    type: Date,
+    validate: {
+      validator: function(date) {
+        return !date || !this.startDate || date >= this.startDate;
+      },
+      message: 'End date must not be before the start date'
+    }
+  },
   maxStudents: { 
     type: Number, 
     required: true,
@@ -53,6 +78,13 @@ const courseSchema = new mongoose.Schema({
     default: 0,
     min: [0, 'Current enrollment cannot be negative']
   },
+  // Students holding a seat; currentEnrollment is kept in step with this list
+  students: [{
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }],
+  // Checked against the student's final grades on enrollment. Entries with the
+  // same group are alternatives; entries with isRequired false are only recommended.
   prerequisites: [{
     course: { type: mongoose.Schema.Types.ObjectId, ref: 'Course' },
     grade: { 
@@ -60,7 +92,8 @@ const courseSchema = new mongoose.Schema({
       enum: ['A', 'B', 'C', 'D', 'Pass'],
       default: 'C'
     },
-    isRequired: { type: Boolean, default: true }
+    isRequired: { type: Boolean, default: true },
+    group: { type: String, trim: true, maxlength: 30 }
   }],
   status: {
     type: String,
@@ -141,9 +174,11 @@ const courseSchema = new mongoose.Schema({
 });
 
 // Indexes for better query performance
+courseSchema.index({ code: 1, year: 1, semester: 1 }, { unique: true });
 courseSchema.index({ program: 1 });
 courseSchema.index({ department: 1 });
 courseSchema.index({ faculty: 1 });
+courseSchema.index({ 'staff.user': 1 });
 courseSchema.index({ status: 1 });
 courseSchema.index({ courseType: 1 });
 courseSchema.index({ semester: 1, year: 1 });
@@ -238,6 +273,17 @@ courseSchema.methods.canEnroll = function() {
   return this.status === 'active' && this.currentEnrollment < this.maxStudents;
 };
 
+// Instance method to check if a student holds a seat in the course
+courseSchema.methods.isStudentEnrolled = function(studentId) {
+  return this.students.some(student => (student._id || student).toString() === studentId.toString());
+};
+
+// Instance method to get a user's course staff role
+courseSchema.methods.getStaffRole = function(userId) {
+  const member = (this.staff || []).find(entry => (entry.user._id || entry.user).toString() === userId.toString());
+  return member ? member.role : null;
+};
+
 // Instance method to increment enrollment
 courseSchema.methods.incrementEnrollment = function() {
   if (this.currentEnrollment < this.maxStudents) {
@@ -256,19 +302,10 @@ courseSchema.methods.decrementEnrollment = function() {
   throw new Error('Current enrollment cannot be negative');
 };
 
-// Instance method to check prerequisites
-courseSchema.methods.checkPrerequisites = async function(studentId) {
-  if (!this.prerequisites || this.prerequisites.length === 0) {
-    return { canEnroll: true, missingPrerequisites: [] };
-  }
-
-  // This would need to be implemented with enrollment/grade records
-  // For now, returning a placeholder structure
-  return {
-    canEnroll: true,
-    missingPrerequisites: [],
-    message: 'Prerequisite checking requires enrollment system integration'
-  };
+// Instance method to check prerequisites against the student's final grades
+courseSchema.methods.checkPrerequisites = async function(studentId, waivers = []) {
+  const prerequisiteService = require('../services/prerequisite.service');
+  return prerequisiteService.checkPrerequisites(studentId, this, waivers);
 };
 
 // Instance method to activate course
@@ -322,4 +359,6 @@ courseSchema.methods.hasScheduleConflict = function(otherCourse) {
   return false;
 };
 
+courseSchema.plugin(auditPlugin);
+
 module.exports = mongoose.model('Course', courseSchema); 
\ No newline at end of file
@@ -1,4 +1,5 @@
 const mongoose = require('mongoose');
+const auditPlugin = require('./plugins/audit.plugin');
 
 const courseGradeSchema = new mongoose.Schema({
   student: {
@@ -11,6 +12,12 @@ const courseGradeSchema = new mongoose.Schema({
     ref: 'Course',
     required: [true, 'Course is required']
   },
+  // Section the student took, for courses taught in sections
+  section: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Section',
+    default: null
+  },
   faculty: {
     type: mongoose.Schema.Types.ObjectId,
     ref: 'User',
@@ -176,6 +183,7 @@ const courseGradeSchema = new mongoose.Schema({
 courseGradeSchema.index({ student: 1, course: 1, semester: 1, academicYear: 1 }, { unique: true });
 courseGradeSchema.index({ faculty: 1, semester: 1, academicYear: 1 });
 courseGradeSchema.index({ course: 1, semester: 1, academicYear: 1 });
+courseGradeSchema.index({ section: 1 });
 courseGradeSchema.index({ status: 1 });
 courseGradeSchema.index({ submittedAt: -1 });
 
@@ -236,8 +244,8 @@ courseGradeSchema.statics.getNumericalGrade = function(gradePoints) {
   return 0; // F
 };
 
-// Instance method to add grade history entry
-courseGradeSchema.methods.addHistoryEntry = function(action, performedBy, previousGrade = null, newGrade = null, comments = null) {
+// Instance method to record a grade history entry without saving
+courseGradeSchema.methods.recordHistoryEntry = function(action, performedBy, previousGrade = null, newGrade = null, comments = null) {
   this.gradeHistory.push({
     action,
     performedBy,
@@ -251,6 +259,12 @@ courseGradeSchema.methods.addHistoryEntry = function(action, performedBy, previo
     this.gradeHistory = this.gradeHistory.slice(-20);
   }
   
+  return this;
+};
+
+// Instance method to add grade history entry
+courseGradeSchema.methods.addHistoryEntry = function(action, performedBy, previousGrade = null, newGrade = null, comments = null) {
+  this.recordHistoryEntry(action, performedBy, previousGrade, newGrade, comments);
   return this.save();
 };
 
@@ -260,7 +274,7 @@ courseGradeSchema.methods.submitGrade = function(submittedBy) {
   this.submittedBy = submittedBy;
   this.submittedAt = new Date();
   
-  this.addHistoryEntry('submitted', submittedBy, null, this.finalGrade, 'Grade submitted');
+  this.recordHistoryEntry('submitted', submittedBy, null, this.finalGrade, 'Grade submitted');
   
   return this.save();
 };
@@ -271,7 +285,7 @@ courseGradeSchema.methods.approveGrade = function(approvedBy) {
   this.approvedBy = approvedBy;
   this.approvedAt = new Date();
   
-  this.addHistoryEntry('approved', approvedBy, null, this.finalGrade, 'Grade approved');
+  this.recordHistoryEntry('approved', approvedBy, null, this.finalGrade, 'Grade approved');
   
   return this.save();
 };
@@ -280,7 +294,7 @@ courseGradeSchema.methods.approveGrade = function(approvedBy) {
 courseGradeSchema.methods.finalizeGrade = function(finalizedBy) {
   this.status = 'final';
   
-  this.addHistoryEntry('finalized', finalizedBy, null, this.finalGrade, 'Grade finalized');
+  this.recordHistoryEntry('finalized', finalizedBy, null, this.finalGrade, 'Grade finalized');
   
   return this.save();
 };
@@ -374,4 +388,6 @@ courseGradeSchema.statics.findPendingApproval = function() {
     .sort({ submittedAt: 1 });
 };
 
+courseGradeSchema.plugin(auditPlugin, { ignore: ['gradeHistory'] });
+
 module.exports = mongoose.model('CourseGrade', courseGradeSchema); 
\ No newline at end of file
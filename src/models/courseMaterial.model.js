@@ -0,0 +1,131 @@
+const mongoose = require('mongoose');
+const auditPlugin = require('./plugins/audit.plugin');
+
+const MATERIAL_FILE_TYPES = ['pdf', 'doc', 'docx', 'ppt', 'pptx', 'video', 'image', 'other'];
+
+const versionSchema = new mongoose.Schema({
+  version: {
+    type: Number,
+    required: true,
+    min: 1
+  },
+  fileUrl: {
+    type: String,
+    required: [true, 'File URL is required'],
+    trim: true
+  },
+  fileName: {
+    type: String,
+    trim: true,
+    maxlength: [255, 'File name cannot exceed 255 characters']
+  },
+  fileType: {
+    type: String,
+    enum: MATERIAL_FILE_TYPES,
+    default: 'other'
+  },
+  fileSize: {
+    type: Number,
+    min: [0, 'File size cannot be negative']
+  },
+  // What changed from the previous version
+  note: {
+    type: String,
+    trim: true,
+    maxlength: [500, 'Version note cannot exceed 500 characters']
+  },
+  uploadedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  uploadedAt: {
+    type: Date,
+    default: Date.now
+  }
+}, { _id: false });
+
+/**
+ * A material is one file in a course module. Replacing the file adds a
+ * version; students are always given the latest one.
+ */
+const courseMaterialSchema = new mongoose.Schema({
+  course: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Course',
+    required: [true, 'Course is required']
+  },
+  module: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'CourseModule',
+    required: [true, 'Module is required']
+  },
+  title: {
+    type: String,
+    required: [true, 'Material title is required'],
+    trim: true,
+    maxlength: [100, 'Material title cannot exceed 100 characters']
+  },
+  description: {
+    type: String,
+    trim: true,
+    maxlength: [500, 'Material description cannot exceed 500 characters']
+  },
+  // Order within the module, starting at 0
+  position: {
+    type: Number,
+    default: 0,
+    min: [0, 'Position cannot be negative']
+  },
+  status: {
+    type: String,
+    enum: ['draft', 'published'],
+    default: 'draft'
+  },
+  // Locked for students until this moment, even inside a released module
+  releaseAt: Date,
+  // Oldest first; the last entry is the current file
+  versions: {
+    type: [versionSchema],
+    validate: {
+      validator: versions => versions.length > 0,
+      message: 'A material needs a file'
+    }
+  },
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  }
+}, {
+  timestamps: true,
+  toJSON: { virtuals: true },
+  toObject: { virtuals: true }
+});
+
+courseMaterialSchema.index({ course: 1, module: 1, position: 1 });
+
+// Virtual for the current file
+courseMaterialSchema.virtual('current').get(function() {
+  return this.versions && this.versions.length > 0 ? this.versions[this.versions.length - 1] : null;
+});
+
+// Instance method to check whether students can open the material
+courseMaterialSchema.methods.isReleased = function(at = new Date()) {
+  return this.status === 'published' && (!this.releaseAt || this.releaseAt <= at);
+};
+
+// Instance method to replace the file, keeping the previous versions
+courseMaterialSchema.methods.addVersion = function(file, uploadedBy) {
+  this.versions.push({
+    ...file,
+    version: this.versions.length + 1,
+    uploadedBy,
+    uploadedAt: new Date()
+  });
+  return this.save();
+};
+
+courseMaterialSchema.plugin(auditPlugin);
+
+module.exports = mongoose.model('CourseMaterial', courseMaterialSchema);
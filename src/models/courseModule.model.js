@@ -0,0 +1,63 @@
+const mongoose = require('mongoose');
+const auditPlugin = require('./plugins/audit.plugin');
+
+/**
+ * A module is one week or unit of a course's content. Students see a
+ * published module's materials once its release date has passed.
+ */
+const courseModuleSchema = new mongoose.Schema({
+  course: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Course',
+    required: [true, 'Course is required']
+  },
+  title: {
+    type: String,
+    required: [true, 'Module title is required'],
+    trim: true,
+    maxlength: [100, 'Module title cannot exceed 100 characters']
+  },
+  description: {
+    type: String,
+    trim: true,
+    maxlength: [1000, 'Module description cannot exceed 1000 characters']
+  },
+  week: {
+    type: Number,
+    min: [1, 'Week must be at least 1'],
+    max: [52, 'Week cannot exceed 52']
+  },
+  // Order within the course outline, starting at 0
+  position: {
+    type: Number,
+    default: 0,
+    min: [0, 'Position cannot be negative']
+  },
+  status: {
+    type: String,
+    enum: ['draft', 'published'],
+    default: 'draft'
+  },
+  // Locked for students until this moment; unset releases on publishing
+  releaseAt: Date,
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  }
+}, {
+  timestamps: true,
+  toJSON: { virtuals: true },
+  toObject: { virtuals: true }
+});
+
+courseModuleSchema.index({ course: 1, position: 1 });
+
+// Instance method to check whether students can open the module
+courseModuleSchema.methods.isReleased = function(at = new Date()) {
+  return this.status === 'published' && (!this.releaseAt || this.releaseAt <= at);
+};
+
+courseModuleSchema.plugin(auditPlugin);
+
+module.exports = mongoose.model('CourseModule', courseModuleSchema);
@@ -1,4 +1,5 @@
 const mongoose = require('mongoose');
+const auditPlugin = require('./plugins/audit.plugin');
 
 const departmentSchema = new mongoose.Schema({
   name: { 
@@ -178,4 +179,6 @@ departmentSchema.methods.deactivate = function() {
   return this.save();
 };
  
+departmentSchema.plugin(auditPlugin);
+
 module.exports = mongoose.model('Department', departmentSchema); 
\ No newline at end of file
@@ -1,4 +1,5 @@
 const mongoose = require('mongoose');
+const auditPlugin = require('./plugins/audit.plugin');
 
 const enrollmentSchema = new mongoose.Schema({
   student: { 
@@ -26,6 +27,48 @@ const enrollmentSchema = new mongoose.Schema({
     type: mongoose.Schema.Types.ObjectId, 
     ref: 'Course' 
   }],
+  // Section taken in each course that is taught in sections
+  sections: [{
+    _id: false,
+    course: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Course',
+      required: true
+    },
+    section: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Section',
+      required: true
+    }
+  }],
+  // Courses the student may take without meeting their prerequisites
+  prerequisiteWaivers: [{
+    course: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Course',
+      required: true
+    },
+    // Prerequisite courses that were missing when the waiver was granted
+    prerequisites: [{
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Course'
+    }],
+    reason: {
+      type: String,
+      required: true,
+      trim: true,
+      maxlength: 500
+    },
+    waivedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      required: true
+    },
+    waivedAt: {
+      type: Date,
+      default: Date.now
+    }
+  }],
   status: {
     type: String,
     enum: ['active', 'completed', 'dropped', 'suspended', 'graduated'],
@@ -115,7 +158,7 @@ const enrollmentSchema = new mongoose.Schema({
   auditTrail: [{
     action: {
       type: String,
-      enum: ['enrolled', 'course_added', 'course_dropped', 'status_changed', 'gpa_updated', 'document_uploaded'],
+      enum: ['enrolled', 'course_added', 'course_dropped', 'section_changed', 'prerequisite_waived', 'status_changed', 'gpa_updated', 'document_uploaded'],
       required: true
     },
     timestamp: {
@@ -164,6 +207,7 @@ enrollmentSchema.index({ enrollmentType: 1 });
 enrollmentSchema.index({ academicStanding: 1 });
 enrollmentSchema.index({ financialStatus: 1 });
 enrollmentSchema.index({ advisor: 1 });
+enrollmentSchema.index({ 'sections.section': 1 });
 enrollmentSchema.index({ enrolledAt: 1 });
 enrollmentSchema.index({ 'auditTrail.timestamp': -1 });
 
@@ -269,13 +313,19 @@ enrollmentSchema.methods.addAuditEntry = function(action, performedBy, details =
     performedBy,
     details
   });
+  // Also reported to the central audit log once saved
+  this.$locals.auditEvents = [...(this.$locals.auditEvents || []), { action, details: details || null }];
   return this.save();
 };
 
-enrollmentSchema.methods.addCourse = function(courseId, performedBy) {
+enrollmentSchema.methods.addCourse = function(courseId, performedBy, sectionId = null) {
   if (!this.courses.includes(courseId)) {
     this.courses.push(courseId);
-    this.addAuditEntry('course_added', performedBy, `Course ${courseId} added`);
+    if (sectionId) {
+      this.sections.push({ course: courseId, section: sectionId });
+    }
+    // addAuditEntry saves the enrollment
+    return this.addAuditEntry('course_added', performedBy, `Course ${courseId} added`);
   }
   return this.save();
 };
@@ -284,11 +334,23 @@ enrollmentSchema.methods.removeCourse = function(courseId, performedBy) {
   const index = this.courses.indexOf(courseId);
   if (index > -1) {
     this.courses.splice(index, 1);
-    this.addAuditEntry('course_dropped', performedBy, `Course ${courseId} removed`);
+    this.sections = this.sections.filter(entry => entry.course.toString() !== courseId.toString());
+    return this.addAuditEntry('course_dropped', performedBy, `Course ${courseId} removed`);
   }
   return this.save();
 };
 
+// Prerequisite waiver granted for a course, or null
+enrollmentSchema.methods.getPrerequisiteWaiver = function(courseId) {
+  return this.prerequisiteWaivers.find(waiver => waiver.course.toString() === courseId.toString()) || null;
+};
+
+// Section the student takes in a course, or null if the course has no sections
+enrollmentSchema.methods.getSection = function(courseId) {
+  const entry = this.sections.find(item => item.course.toString() === courseId.toString());
+  return entry ? entry.section : null;
+};
+
 enrollmentSchema.methods.updateStatus = function(newStatus, performedBy, details = '') {
   this.status = newStatus;
   if (newStatus === 'completed' || newStatus === 'graduated') {
@@ -372,4 +434,6 @@ enrollmentSchema.methods.calculateTotalCredits = async function() {
   return this.save();
 };
 
+enrollmentSchema.plugin(auditPlugin, { ignore: ['auditTrail'] });
+
 module.exports = mongoose.model('Enrollment', enrollmentSchema); 
\ No newline at end of file
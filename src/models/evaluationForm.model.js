@@ -0,0 +1,97 @@
+const mongoose = require('mongoose');
+const auditPlugin = require('./plugins/audit.plugin');
+const { QUESTION_TYPES } = require('../config/evaluation.config');
+
+const questionSchema = new mongoose.Schema({
+  prompt: {
+    type: String,
+    required: [true, 'Question prompt is required'],
+    trim: true,
+    maxlength: [300, 'Question prompt cannot exceed 300 characters']
+  },
+  type: {
+    type: String,
+    enum: QUESTION_TYPES,
+    required: true
+  },
+  required: {
+    type: Boolean,
+    default: true
+  }
+});
+
+/**
+ * The end-of-semester evaluation of a course. Enrolled students answer it
+ * once, anonymously, while it is open; responses are kept apart from the
+ * receipts recording who has answered.
+ */
+const evaluationFormSchema = new mongoose.Schema({
+  course: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Course',
+    required: [true, 'Course is required']
+  },
+  title: {
+    type: String,
+    required: [true, 'Title is required'],
+    trim: true,
+    maxlength: [150, 'Title cannot exceed 150 characters']
+  },
+  instructions: {
+    type: String,
+    trim: true,
+    maxlength: [1000, 'Instructions cannot exceed 1000 characters']
+  },
+  questions: {
+    type: [questionSchema],
+    validate: {
+      validator: questions => questions.length > 0,
+      message: 'An evaluation needs at least one question'
+    }
+  },
+  opensAt: {
+    type: Date,
+    required: [true, 'Opening date is required']
+  },
+  closesAt: {
+    type: Date,
+    required: [true, 'Closing date is required'],
+    validate: {
+      validator: function(date) {
+        return !this.opensAt || date > this.opensAt;
+      },
+      message: 'An evaluation must close after it opens'
+    }
+  },
+  status: {
+    type: String,
+    enum: ['draft', 'published'],
+    default: 'draft'
+  },
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  }
+}, {
+  timestamps: true,
+  toJSON: { virtuals: true },
+  toObject: { virtuals: true }
+});
+
+evaluationFormSchema.index({ course: 1 }, { unique: true });
+evaluationFormSchema.index({ status: 1, closesAt: 1 });
+
+// Instance method to check whether students can answer now
+evaluationFormSchema.methods.isOpen = function(at = new Date()) {
+  return this.status === 'published' && this.opensAt <= at && at < this.closesAt;
+};
+
+// Instance method to check whether the window is over
+evaluationFormSchema.methods.isClosed = function(at = new Date()) {
+  return this.closesAt <= at;
+};
+
+evaluationFormSchema.plugin(auditPlugin);
+
+module.exports = mongoose.model('EvaluationForm', evaluationFormSchema);
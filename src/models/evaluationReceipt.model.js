@@ -0,0 +1,24 @@
+const mongoose = require('mongoose');
+
+/**
+ * Records that a student has answered a course evaluation, so each student
+ * answers once. It does not say which response is theirs.
+ */
+const evaluationReceiptSchema = new mongoose.Schema({
+  form: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'EvaluationForm',
+    required: [true, 'Evaluation form is required']
+  },
+  student: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: [true, 'Student is required']
+  }
+}, {
+  timestamps: true
+});
+
+evaluationReceiptSchema.index({ form: 1, student: 1 }, { unique: true });
+
+module.exports = mongoose.model('EvaluationReceipt', evaluationReceiptSchema);
@@ -0,0 +1,48 @@
+const crypto = require('crypto');
+const mongoose = require('mongoose');
+
+/**
+ * One anonymous set of answers to a course evaluation. Nothing here points
+ * back to the student: the ID is random rather than an ObjectId, whose
+ * embedded timestamp could be matched against the student's receipt, and
+ * only the day of submission is kept.
+ */
+const evaluationResponseSchema = new mongoose.Schema({
+  _id: {
+    type: String,
+    default: () => crypto.randomUUID()
+  },
+  form: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'EvaluationForm',
+    required: [true, 'Evaluation form is required']
+  },
+  answers: [{
+    _id: false,
+    question: {
+      type: mongoose.Schema.Types.ObjectId,
+      required: true
+    },
+    rating: {
+      type: Number,
+      min: 1,
+      max: 5
+    },
+    text: {
+      type: String,
+      trim: true,
+      maxlength: [2000, 'Answers cannot exceed 2000 characters']
+    }
+  }],
+  // Midnight UTC of the day the response was given
+  submittedOn: {
+    type: Date,
+    required: true
+  }
+}, {
+  versionKey: false
+});
+
+evaluationResponseSchema.index({ form: 1 });
+
+module.exports = mongoose.model('EvaluationResponse', evaluationResponseSchema);
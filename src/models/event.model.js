@@ -1,4 +1,5 @@
 const mongoose = require('mongoose');
+const auditPlugin = require('./plugins/audit.plugin');
 
 const eventSchema = new mongoose.Schema({
   title: {
@@ -477,4 +478,6 @@ eventSchema.methods.addReview = function(userId, rating, comment) {
   return this.save();
 };
 
+eventSchema.plugin(auditPlugin, { ignore: ['statistics'] });
+
 module.exports = mongoose.model('Event', eventSchema); 
\ No newline at end of file
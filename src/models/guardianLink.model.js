@@ -0,0 +1,76 @@
+const mongoose = require('mongoose');
+const auditPlugin = require('./plugins/audit.plugin');
+
+/**
+ * Links a guardian account to a student. A link only gives the guardian
+ * read access to the student's records while it is `active`, which needs
+ * consent from the student or an administrator. Withdrawing consent revokes
+ * the link; it can be consented to again later.
+ */
+const guardianLinkSchema = new mongoose.Schema({
+  guardian: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: [true, 'Guardian is required']
+  },
+  student: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: [true, 'Student is required']
+  },
+  relationship: {
+    type: String,
+    enum: ['parent', 'legal_guardian', 'sponsor', 'other'],
+    default: 'parent'
+  },
+  status: {
+    type: String,
+    enum: ['pending', 'active', 'revoked'],
+    default: 'pending'
+  },
+  consent: {
+    grantedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      default: null
+    },
+    grantedAt: {
+      type: Date,
+      default: null
+    },
+    // Whether the student consented themselves or an administrator recorded it
+    method: {
+      type: String,
+      enum: ['student', 'admin'],
+      default: null
+    },
+    // e.g. reference to a signed consent form
+    note: {
+      type: String,
+      trim: true,
+      maxlength: [500, 'Consent note cannot exceed 500 characters']
+    }
+  },
+  revokedAt: {
+    type: Date,
+    default: null
+  },
+  revokedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    default: null
+  },
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }
+}, {
+  timestamps: true
+});
+
+guardianLinkSchema.index({ guardian: 1, student: 1 }, { unique: true });
+guardianLinkSchema.index({ student: 1, status: 1 });
+
+guardianLinkSchema.plugin(auditPlugin);
+
+module.exports = mongoose.model('GuardianLink', guardianLinkSchema);
@@ -0,0 +1,39 @@
+const mongoose = require('mongoose');
+
+/**
+ * Failed login counter for a client (currently keyed by IP address).
+ * Documents expire on their own once the window and any block have passed.
+ */
+const loginThrottleSchema = new mongoose.Schema({
+  key: {
+    type: String,
+    required: true,
+    unique: true
+  },
+  failures: {
+    type: Number,
+    default: 0
+  },
+  windowStartedAt: {
+    type: Date,
+    default: Date.now
+  },
+  lastFailureAt: {
+    type: Date,
+    default: Date.now
+  },
+  blockedUntil: {
+    type: Date,
+    default: null
+  },
+  expiresAt: {
+    type: Date,
+    required: true
+  }
+}, {
+  timestamps: true
+});
+
+loginThrottleSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+module.exports = mongoose.model('LoginThrottle', loginThrottleSchema);
@@ -0,0 +1,46 @@
+const mongoose = require('mongoose');
+
+/**
+ * A student having opened a course material. One entry per student and
+ * material; later opens bump the count and `lastViewedAt`.
+ */
+const materialViewSchema = new mongoose.Schema({
+  material: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'CourseMaterial',
+    required: [true, 'Material is required']
+  },
+  course: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Course',
+    required: [true, 'Course is required']
+  },
+  student: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: [true, 'Student is required']
+  },
+  // Version of the file the student last opened
+  version: {
+    type: Number,
+    min: 1
+  },
+  count: {
+    type: Number,
+    default: 1,
+    min: 1
+  },
+  firstViewedAt: {
+    type: Date,
+    default: Date.now
+  },
+  lastViewedAt: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+materialViewSchema.index({ material: 1, student: 1 }, { unique: true });
+materialViewSchema.index({ course: 1, student: 1 });
+
+module.exports = mongoose.model('MaterialView', materialViewSchema);
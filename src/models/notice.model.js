@@ -1,4 +1,5 @@
 const mongoose = require('mongoose');
+const auditPlugin = require('./plugins/audit.plugin');
 
 const noticeSchema = new mongoose.Schema({
   title: {
@@ -71,7 +72,7 @@ const noticeSchema = new mongoose.Schema({
     }],
     roles: [{
       type: String,
-      enum: ['admin', 'faculty', 'staff', 'student']
+      enum: ['admin', 'faculty', 'staff', 'student', 'guardian']
     }],
     specificUsers: [{
       type: mongoose.Schema.Types.ObjectId,
@@ -517,4 +518,6 @@ noticeSchema.pre('save', function(next) {
   next();
 });
 
+noticeSchema.plugin(auditPlugin, { ignore: ['statistics'] });
+
 module.exports = mongoose.model('Notice', noticeSchema); 
\ No newline at end of file
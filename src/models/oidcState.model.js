@@ -0,0 +1,44 @@
+const mongoose = require('mongoose');
+
+/**
+ * A pending OpenID Connect authorization request. It keeps the PKCE code
+ * verifier and nonce server-side until the IdP redirects back with the
+ * matching `state`, and is deleted when used.
+ */
+const oidcStateSchema = new mongoose.Schema({
+  state: {
+    type: String,
+    required: true,
+    unique: true
+  },
+  nonce: {
+    type: String,
+    required: true
+  },
+  codeVerifier: {
+    type: String,
+    required: true
+  },
+  // 'login' signs in; 'link' attaches the identity to `user`
+  purpose: {
+    type: String,
+    enum: ['login', 'link'],
+    default: 'login'
+  },
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    default: null
+  },
+  expiresAt: {
+    type: Date,
+    required: true
+  }
+}, {
+  timestamps: true
+});
+
+// Abandoned requests are purged by MongoDB
+oidcStateSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+module.exports = mongoose.model('OidcState', oidcStateSchema);
@@ -0,0 +1,221 @@
+const auditService = require('../../services/audit.service');
+
+// Bookkeeping fields that never make a write worth auditing on their own
+const DEFAULT_IGNORE = ['__v', 'createdAt', 'updatedAt'];
+
+// Query operations that touch a single document (the first match)
+const SINGLE_DOCUMENT_OPS = ['updateOne', 'findOneAndUpdate', 'replaceOne', 'findOneAndReplace', 'deleteOne', 'findOneAndDelete'];
+
+const UPDATE_OPS = ['updateOne', 'updateMany', 'findOneAndUpdate', 'replaceOne', 'findOneAndReplace'];
+const DELETE_OPS = ['deleteOne', 'deleteMany', 'findOneAndDelete'];
+
+// Larger updateMany/deleteMany writes get one summary entry, not one per document
+const MAX_ITEMIZED_DOCUMENTS = 100;
+
+const toPlain = doc => doc.toObject({ depopulate: true, flattenMaps: true, virtuals: false, getters: false, transform: false });
+
+/**
+ * Mongoose plugin that records every write of a model in the central audit
+ * log: creates, document saves, query updates and deletes, each with a diff
+ * of the changed fields. Documents may also queue domain events (e.g.
+ * `password_change`) in `$locals.auditEvents`; they are logged in place of
+ * the generic `update` entry once the save succeeds.
+ *
+ * Query writes made with the `auditRedact` option (e.g. erasing personal
+ * data) are logged with every changed value redacted, so the log does not
+ * keep what the write removed.
+ *
+ * @param {Object} schema - Mongoose schema
+ * @param {Object} [options] - Options
+ * @param {Array} [options.ignore] - Paths whose changes are not audited
+ * @param {Array} [options.redact] - Paths whose values are replaced by `[REDACTED]`
+ */
+const auditPlugin = (schema, options = {}) => {
+  const diffOptions = {
+    ignore: [...DEFAULT_IGNORE, ...(options.ignore || [])],
+    redact: options.redact || []
+  };
+
+  const buildEntry = (entityType, action, before, after, extra = {}, redactAll = false) => {
+    const changes = auditService.diff(before, after, { ...diffOptions, redactAll });
+    if (action === 'update' && changes.length === 0) return null;
+
+    return {
+      action,
+      entityType,
+      entityId: (after || before)._id,
+      changes,
+      ...extra
+    };
+  };
+
+  const recordChanges = async (...args) => {
+    const entry = buildEntry(...args);
+    if (entry) await auditService.record(entry);
+  };
+
+  // Only fetch the stored version when something other than bookkeeping changed
+  const rootsOf = paths => [...new Set(paths.map(path => path.split('.')[0]))];
+
+  schema.pre('save', async function () {
+    this.$locals.auditIsNew = this.isNew;
+    if (this.isNew) return;
+
+    const roots = rootsOf(this.modifiedPaths()).filter(root => !diffOptions.ignore.includes(root));
+    this.$locals.auditRoots = roots;
+    this.$locals.auditBefore = roots.length > 0
+      ? await this.constructor.findById(this._id).select(roots.join(' ')).lean()
+      : null;
+  });
+
+  schema.post('save', async function (doc) {
+    const entityType = doc.constructor.modelName;
+    const events = doc.$locals.auditEvents || [];
+    doc.$locals.auditEvents = [];
+
+    if (doc.$locals.auditIsNew) {
+      await recordChanges(entityType, 'create', null, toPlain(doc));
+    } else if (doc.$locals.auditRoots && doc.$locals.auditRoots.length > 0) {
+      const after = {};
+      const current = toPlain(doc);
+      doc.$locals.auditRoots.forEach(root => {
+        after[root] = current[root];
+      });
+      const before = { _id: doc._id, ...(doc.$locals.auditBefore || {}) };
+      after._id = doc._id;
+
+      if (events.length === 0) {
+        await recordChanges(entityType, 'update', before, after);
+      } else {
+        // The field changes belong to the first event of the save
+        const [first, ...rest] = events;
+        await recordChanges(entityType, first.action, before, after, first);
+        events.splice(0, events.length, ...rest);
+      }
+    }
+
+    for (const event of events) {
+      await auditService.record({ entityType, entityId: doc._id, ...event });
+    }
+  });
+
+  schema.post('insertMany', async function (docs) {
+    await auditService.recordMany(docs.map(doc => buildEntry(
+      this.modelName, 'create', null, typeof doc.toObject === 'function' ? toPlain(doc) : doc
+    )));
+  });
+
+  // Root paths an update writes, or null when the whole document is needed
+  // (replacements and aggregation pipelines)
+  const updatedRoots = query => {
+    const update = query.getUpdate();
+    if (!update || Array.isArray(update) || query.op === 'replaceOne' || query.op === 'findOneAndReplace') {
+      return null;
+    }
+
+    const paths = [];
+    Object.keys(update).forEach(key => {
+      if (key.startsWith('$')) {
+        paths.push(...Object.keys(update[key] || {}));
+      } else {
+        paths.push(key);
+      }
+    });
+    return rootsOf(paths);
+  };
+
+  // Query writes (including document deleteOne, which runs as a query): read the
+  // affected documents before and after the operation. Updates only read the
+  // fields they write; multi-document writes matching more than
+  // MAX_ITEMIZED_DOCUMENTS are logged as a single bulk entry instead.
+  schema.pre([...UPDATE_OPS, ...DELETE_OPS], async function () {
+    this._auditBulk = false;
+    this._auditSkip = false;
+    this._auditProjection = null;
+
+    if (UPDATE_OPS.includes(this.op)) {
+      const roots = updatedRoots(this);
+      if (roots) {
+        const audited = roots.filter(root => !diffOptions.ignore.includes(root));
+        if (audited.length === 0) {
+          this._auditSkip = true;
+          return;
+        }
+        this._auditProjection = ['_id', ...audited].join(' ');
+      }
+    }
+
+    const query = this.model.find(this.getFilter()).lean();
+    if (this._auditProjection) query.select(this._auditProjection);
+    if (SINGLE_DOCUMENT_OPS.includes(this.op)) {
+      query.sort(this.getOptions().sort || {}).limit(1);
+    } else {
+      query.limit(MAX_ITEMIZED_DOCUMENTS + 1);
+    }
+
+    const before = await query;
+    if (before.length > MAX_ITEMIZED_DOCUMENTS) {
+      this._auditBulk = true;
+      this._auditBefore = [];
+    } else {
+      this._auditBefore = before;
+    }
+  });
+
+  schema.post(UPDATE_OPS, async function (result) {
+    if (this._auditSkip) return;
+
+    if (this._auditBulk) {
+      await auditService.record({
+        action: 'bulk_update',
+        entityType: this.model.modelName,
+        details: {
+          matched: result && result.matchedCount,
+          modified: result && result.modifiedCount,
+          fields: this._auditProjection ? this._auditProjection.split(' ').slice(1) : null
+        }
+      });
+      return;
+    }
+
+    const before = this._auditBefore || [];
+    const ids = before.map(doc => doc._id);
+
+    // Upserts that created a document
+    if (ids.length === 0) {
+      const upsertedId = result && (result.upsertedId || (this.getOptions().upsert && result._id));
+      if (upsertedId) {
+        const created = await this.model.findById(upsertedId).lean();
+        if (created) await recordChanges(this.model.modelName, 'create', null, created);
+      }
+      return;
+    }
+
+    const afterQuery = this.model.find({ _id: { $in: ids } }).lean();
+    if (this._auditProjection) afterQuery.select(this._auditProjection);
+    const after = await afterQuery;
+    const afterById = new Map(after.map(doc => [doc._id.toString(), doc]));
+    const redactAll = Boolean(this.getOptions().auditRedact);
+
+    const entries = before
+      .filter(previous => afterById.has(previous._id.toString()))
+      .map(previous => buildEntry(this.model.modelName, 'update', previous, afterById.get(previous._id.toString()), {}, redactAll))
+      .filter(Boolean);
+    await auditService.recordMany(entries);
+  });
+
+  schema.post(DELETE_OPS, async function (result) {
+    if (this._auditBulk) {
+      await auditService.record({
+        action: 'bulk_delete',
+        entityType: this.model.modelName,
+        details: { deleted: result && result.deletedCount }
+      });
+      return;
+    }
+
+    await auditService.recordMany((this._auditBefore || []).map(previous => buildEntry(this.model.modelName, 'delete', previous, null)));
+  });
+};
+
+module.exports = auditPlugin;
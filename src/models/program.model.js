@@ -1,4 +1,5 @@
 const mongoose = require('mongoose');
+const auditPlugin = require('./plugins/audit.plugin');
 
 const programSchema = new mongoose.Schema({
   name: { 
@@ -58,4 +59,6 @@ const programSchema = new mongoose.Schema({
   }
 }, { timestamps: true });
 
+programSchema.plugin(auditPlugin);
+
 module.exports = mongoose.model('Program', programSchema); 
\ No newline at end of file
@@ -0,0 +1,57 @@
+const mongoose = require('mongoose');
+const { isKnownPermission } = require('../config/permissions.config');
+const auditPlugin = require('./plugins/audit.plugin');
+
+/**
+ * A named bundle of permissions that can be assigned to users, either
+ * institution-wide or within a single department (see RoleAssignment).
+ */
+const roleSchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: [true, 'Role name is required'],
+    unique: true,
+    trim: true,
+    lowercase: true,
+    maxlength: [50, 'Role name cannot exceed 50 characters'],
+    match: [/^[a-z][a-z0-9_]*$/, 'Role name may only contain lowercase letters, numbers and underscores']
+  },
+  displayName: {
+    type: String,
+    required: [true, 'Display name is required'],
+    trim: true,
+    maxlength: [100, 'Display name cannot exceed 100 characters']
+  },
+  description: {
+    type: String,
+    trim: true,
+    maxlength: [500, 'Description cannot exceed 500 characters']
+  },
+  permissions: {
+    type: [String],
+    default: [],
+    validate: {
+      validator: permissions => permissions.every(isKnownPermission),
+      message: 'Role contains unknown permissions'
+    }
+  },
+  // System roles are created on startup and cannot be deleted or renamed
+  isSystem: {
+    type: Boolean,
+    default: false
+  },
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  lastModifiedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }
+}, {
+  timestamps: true
+});
+
+roleSchema.plugin(auditPlugin);
+
+module.exports = mongoose.model('Role', roleSchema);
@@ -0,0 +1,56 @@
+const mongoose = require('mongoose');
+const auditPlugin = require('./plugins/audit.plugin');
+
+/**
+ * Grants a role to a user. Without a department the role's permissions
+ * apply institution-wide; with one they only apply to resources that
+ * belong to that department.
+ */
+const roleAssignmentSchema = new mongoose.Schema({
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: [true, 'User is required']
+  },
+  role: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Role',
+    required: [true, 'Role is required']
+  },
+  department: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Department',
+    default: null
+  },
+  assignedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  expiresAt: {
+    type: Date,
+    default: null
+  },
+  notes: {
+    type: String,
+    trim: true,
+    maxlength: [500, 'Notes cannot exceed 500 characters']
+  }
+}, {
+  timestamps: true
+});
+
+// Indexes for better performance
+roleAssignmentSchema.index({ user: 1, role: 1, department: 1 }, { unique: true });
+roleAssignmentSchema.index({ role: 1 });
+
+// Static method to find the assignments currently in effect for a user
+roleAssignmentSchema.statics.findActiveByUser = function (userId) {
+  return this.find({
+    user: userId,
+    $or: [{ expiresAt: null }, { expiresAt: { $gt: new Date() } }]
+  });
+};
+
+roleAssignmentSchema.plugin(auditPlugin);
+
+module.exports = mongoose.model('RoleAssignment', roleAssignmentSchema);
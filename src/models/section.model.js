@@ -0,0 +1,105 @@
+const mongoose = require('mongoose');
+const auditPlugin = require('./plugins/audit.plugin');
+
+/**
+ * A section is one taught group of a course with its own instructor,
+ * timetable, room and capacity. Courses without sections are taught as a
+ * single group using the course's own faculty, schedule and maxStudents.
+ */
+const sectionSchema = new mongoose.Schema({
+  course: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Course',
+    required: [true, 'Course is required']
+  },
+  // Short label unique within the course, e.g. 001 or A
+  code: {
+    type: String,
+    required: [true, 'Section code is required'],
+    trim: true,
+    uppercase: true,
+    match: [/^[A-Z0-9]{1,4}$/, 'Section code must be 1-4 letters or numbers (e.g., 001, A)']
+  },
+  faculty: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: [true, 'Faculty is required']
+  },
+  maxStudents: {
+    type: Number,
+    required: [true, 'Maximum students is required'],
+    min: [1, 'Maximum students must be at least 1'],
+    max: [500, 'Maximum students cannot exceed 500']
+  },
+  currentEnrollment: {
+    type: Number,
+    default: 0,
+    min: [0, 'Current enrollment cannot be negative']
+  },
+  location: {
+    building: {
+      type: String,
+      trim: true,
+      maxlength: 50
+    },
+    room: {
+      type: String,
+      trim: true,
+      maxlength: 20
+    }
+  },
+  schedule: [{
+    day: {
+      type: String,
+      enum: ['Monday', 'Tuesday', 'Wednesday', 'Thursday', 'Friday', 'Saturday', 'Sunday'],
+      required: true
+    },
+    startTime: {
+      type: String,
+      required: true,
+      match: [/^([01]?[0-9]|2[0-3]):[0-5][0-9]$/, 'Start time must be in HH:MM format']
+    },
+    endTime: {
+      type: String,
+      required: true,
+      match: [/^([01]?[0-9]|2[0-3]):[0-5][0-9]$/, 'End time must be in HH:MM format']
+    },
+    type: {
+      type: String,
+      enum: ['Lecture', 'Lab', 'Tutorial', 'Discussion'],
+      default: 'Lecture'
+    }
+  }],
+  status: {
+    type: String,
+    enum: ['active', 'cancelled'],
+    default: 'active'
+  },
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  }
+}, {
+  timestamps: true,
+  toJSON: { virtuals: true },
+  toObject: { virtuals: true }
+});
+
+sectionSchema.index({ course: 1, code: 1 }, { unique: true });
+sectionSchema.index({ faculty: 1 });
+sectionSchema.index({ course: 1, status: 1 });
+
+// Virtual for available seats
+sectionSchema.virtual('availableSeats').get(function() {
+  return Math.max(0, this.maxStudents - this.currentEnrollment);
+});
+
+// Virtual for section availability
+sectionSchema.virtual('isAvailable').get(function() {
+  return this.status === 'active' && this.currentEnrollment < this.maxStudents;
+});
+
+sectionSchema.plugin(auditPlugin);
+
+module.exports = mongoose.model('Section', sectionSchema);
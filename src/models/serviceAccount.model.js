@@ -0,0 +1,42 @@
+const mongoose = require('mongoose');
+const auditPlugin = require('./plugins/audit.plugin');
+
+/**
+ * A non-human caller of the API (integration script, sync job). Service
+ * accounts cannot sign in; they authenticate with API keys (see ApiKey),
+ * each carrying its own scopes.
+ */
+const serviceAccountSchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: [true, 'Service account name is required'],
+    unique: true,
+    trim: true,
+    lowercase: true,
+    maxlength: [50, 'Service account name cannot exceed 50 characters'],
+    match: [/^[a-z][a-z0-9_-]*$/, 'Service account name may only contain lowercase letters, numbers, hyphens and underscores']
+  },
+  description: {
+    type: String,
+    trim: true,
+    maxlength: [500, 'Description cannot exceed 500 characters']
+  },
+  isActive: {
+    type: Boolean,
+    default: true
+  },
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  lastModifiedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }
+}, {
+  timestamps: true
+});
+
+serviceAccountSchema.plugin(auditPlugin);
+
+module.exports = mongoose.model('ServiceAccount', serviceAccountSchema);
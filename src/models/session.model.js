@@ -0,0 +1,104 @@
+const mongoose = require('mongoose');
+
+/**
+ * A login session on one device. Each session owns a single rotating
+ * refresh token; `tokenId` is the id of the only refresh token that may
+ * still be exchanged. Presenting any older token of the session is treated
+ * as reuse and revokes the session.
+ *
+ * Impersonation sessions (`impersonatedBy` set) belong to the impersonated
+ * user but were started by an admin; they have no refresh token and expire
+ * after a short, fixed time.
+ */
+const sessionSchema = new mongoose.Schema({
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: [true, 'User is required']
+  },
+  tokenId: {
+    type: String,
+    required: true
+  },
+  rotationCount: {
+    type: Number,
+    default: 0
+  },
+  device: {
+    userAgent: {
+      type: String,
+      trim: true,
+      maxlength: 500
+    },
+    ipAddress: {
+      type: String,
+      trim: true
+    }
+  },
+  lastUsedAt: {
+    type: Date,
+    default: Date.now
+  },
+  lastUsedIp: {
+    type: String,
+    trim: true
+  },
+  expiresAt: {
+    type: Date,
+    required: true
+  },
+  impersonatedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    default: null
+  },
+  impersonationReason: {
+    type: String,
+    trim: true,
+    maxlength: 500
+  },
+  revokedAt: {
+    type: Date,
+    default: null
+  },
+  revokedReason: {
+    type: String,
+    enum: ['logout', 'user_revoked', 'reuse_detected', 'password_reset', 'account_deactivated', 'impersonation_ended'],
+    default: null
+  }
+}, {
+  timestamps: true,
+  toJSON: { virtuals: true },
+  toObject: { virtuals: true }
+});
+
+// Indexes for better performance
+sessionSchema.index({ user: 1, revokedAt: 1 });
+sessionSchema.index({ impersonatedBy: 1, revokedAt: 1 });
+// Expired sessions are purged by MongoDB
+sessionSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+// Virtual for active state
+sessionSchema.virtual('isActive').get(function () {
+  return !this.revokedAt && this.expiresAt > new Date();
+});
+
+// Instance method to revoke the session
+sessionSchema.methods.revoke = function (reason) {
+  if (!this.revokedAt) {
+    this.revokedAt = new Date();
+    this.revokedReason = reason;
+  }
+  return this.save();
+};
+
+// Static method to find the active sessions of a user
+sessionSchema.statics.findActiveByUser = function (userId) {
+  return this.find({
+    user: userId,
+    revokedAt: null,
+    expiresAt: { $gt: new Date() }
+  }).sort({ lastUsedAt: -1 });
+};
+
+module.exports = mongoose.model('Session', sessionSchema);
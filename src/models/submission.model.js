@@ -1,4 +1,5 @@
 const mongoose = require('mongoose');
+const auditPlugin = require('./plugins/audit.plugin');
 
 const submissionSchema = new mongoose.Schema({
   assignment: {
@@ -540,4 +541,6 @@ submissionSchema.methods.calculateFinalScore = function() {
   return Math.round(finalScore * 100) / 100;
 };
 
+submissionSchema.plugin(auditPlugin);
+
 module.exports = mongoose.model('Submission', submissionSchema);
\ No newline at end of file
@@ -1,5 +1,7 @@
 const mongoose = require('mongoose');
 const bcrypt = require('bcryptjs');
+const auditPlugin = require('./plugins/audit.plugin');
+const { getPasswordPolicy } = require('../config/passwordPolicy.config');
 
 const userSchema = new mongoose.Schema({
   firstName: {
@@ -30,7 +32,7 @@ const userSchema = new mongoose.Schema({
   },
   role: {
     type: String,
-    enum: ['admin', 'faculty', 'student'],
+    enum: ['admin', 'faculty', 'student', 'guardian'],
     default: 'student'
   },
   studentId: {
@@ -62,10 +64,36 @@ const userSchema = new mongoose.Schema({
     trim: true,
     match: [/^[\+]?[1-9][\d]{0,15}$/, 'Please enter a valid phone number']
   },
+  // URL of the approved profile picture, kept as a plain string for existing clients
   avatar: {
     type: String,
     default: null
   },
+  // Cloudinary asset behind `avatar` with its square size variants
+  avatarImage: {
+    publicId: String,
+    variants: {
+      large: String,
+      medium: String,
+      small: String
+    },
+    uploadedAt: Date,
+    approvedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User'
+    },
+    approvedAt: Date
+  },
+  // Upload awaiting moderation when approval is required
+  pendingAvatar: {
+    publicId: String,
+    variants: {
+      large: String,
+      medium: String,
+      small: String
+    },
+    uploadedAt: Date
+  },
   isActive: {
     type: Boolean,
     default: true
@@ -78,10 +106,6 @@ const userSchema = new mongoose.Schema({
     type: Date,
     default: null
   },
-  refreshToken: {
-    type: String,
-    default: null
-  },
   passwordResetToken: {
     type: String,
     default: null
@@ -99,11 +123,103 @@ const userSchema = new mongoose.Schema({
     type: Date,
     default: null
   },
+  // Two-factor authentication (TOTP)
+  twoFactor: {
+    enabled: {
+      type: Boolean,
+      default: false
+    },
+    enabledAt: {
+      type: Date,
+      default: null
+    },
+    secret: {
+      type: String,
+      select: false
+    },
+    // Secret issued during enrollment, promoted to `secret` once confirmed
+    pendingSecret: {
+      type: String,
+      select: false
+    },
+    // SHA-256 hashes of unused recovery codes
+    recoveryCodes: {
+      type: [String],
+      select: false
+    },
+    // Last accepted TOTP counter, so a code cannot be replayed
+    lastUsedCounter: {
+      type: Number,
+      select: false
+    },
+    // Current login challenge and its failed attempts
+    challengeId: {
+      type: String,
+      select: false
+    },
+    challengeFailures: {
+      type: Number,
+      default: 0,
+      select: false
+    }
+  },
+  // Failed login tracking and temporary lockout
+  failedLoginAttempts: {
+    type: Number,
+    default: 0
+  },
+  lastFailedLoginAt: {
+    type: Date,
+    default: null
+  },
+  lockUntil: {
+    type: Date,
+    default: null
+  },
   // Password tracking
   lastPasswordChanged: {
     type: Date,
     default: Date.now
   },
+  // Hashes of previous passwords, newest first, checked to prevent reuse
+  passwordHistory: {
+    type: [String],
+    default: [],
+    select: false
+  },
+  // Set for temporary passwords; the user must pick their own at the next login
+  mustChangePassword: {
+    type: Boolean,
+    default: false
+  },
+  // Single sign-on identities linked to this account
+  identities: [{
+    _id: false,
+    // Issuer URL of the identity provider
+    provider: {
+      type: String,
+      required: true
+    },
+    subject: {
+      type: String,
+      required: true
+    },
+    email: {
+      type: String,
+      lowercase: true,
+      trim: true
+    },
+    linkedAt: {
+      type: Date,
+      default: Date.now
+    }
+  }],
+  // Set when the user's personal data was erased; the pseudonymised account
+  // is kept so that enrollments and grades still resolve
+  erasedAt: {
+    type: Date,
+    default: null
+  },
   // Date of birth
   dateOfBirth: {
     type: Date,
@@ -182,7 +298,13 @@ const userSchema = new mongoose.Schema({
     action: {
       type: String,
       required: true,
-      enum: ['login', 'password_change', 'profile_update', 'email_verification', 'account_activation', 'account_deactivation']
+      enum: [
+        'login', 'password_change', 'password_reset', 'profile_update', 'email_verification',
+        'account_activation', 'account_deactivation', 'login_failed', 'account_locked', 'account_unlocked',
+        'two_factor_enabled', 'two_factor_disabled', 'two_factor_verified', 'two_factor_failed',
+        'two_factor_recovery_code_used', 'two_factor_recovery_codes_regenerated', 'two_factor_reset',
+        'role_assigned', 'role_revoked', 'sso_linked', 'sso_unlinked', 'avatar_updated', 'avatar_removed'
+      ]
     },
     timestamp: {
       type: Date,
@@ -251,6 +373,11 @@ userSchema.virtual('fullAddress').get(function () {
   return parts.join(', ');
 });
 
+// Virtual for temporary lockout state
+userSchema.virtual('isLocked').get(function () {
+  return !!this.lockUntil && this.lockUntil > new Date();
+});
+
 // Virtual for user identifier
 userSchema.virtual('identifier').get(function () {
   if (this.role === 'student' && this.studentId) {
@@ -266,17 +393,32 @@ userSchema.virtual('identifier').get(function () {
 userSchema.index({ role: 1 });
 userSchema.index({ isActive: 1 });
 userSchema.index({ department: 1 });
+userSchema.index(
+  { 'identities.provider': 1, 'identities.subject': 1 },
+  { unique: true, partialFilterExpression: { 'identities.subject': { $exists: true } } }
+);
 userSchema.index({ 'profile.gender': 1 });
 userSchema.index({ dateOfBirth: 1 });
 userSchema.index({ lastLogin: 1 });
 userSchema.index({ lastPasswordChanged: 1 });
 userSchema.index({ isEmailVerified: 1 });
+userSchema.index({ passwordResetToken: 1 });
+userSchema.index({ emailVerificationToken: 1 });
 
 // Pre-save middleware to hash password and track changes
 userSchema.pre('save', async function (next) {
   // Only hash the password if it has been modified (or is new)
   if (this.isModified('password')) {
     try {
+      // Keep the previous hash so it cannot be reused
+      if (!this.isNew) {
+        const stored = await this.constructor.findById(this._id).select('+password +passwordHistory').lean();
+        const { historyCount } = getPasswordPolicy(this.role);
+        if (stored && stored.password) {
+          this.passwordHistory = [stored.password, ...(stored.passwordHistory || [])].slice(0, historyCount);
+        }
+      }
+
       // Hash password with cost of 12
       const salt = await bcrypt.genSalt(12);
       this.password = await bcrypt.hash(this.password, salt);
@@ -322,6 +464,11 @@ userSchema.methods.isStudent = function () {
   return this.role === 'student';
 };
 
+// Instance method to check if user is a guardian
+userSchema.methods.isGuardian = function () {
+  return this.role === 'guardian';
+};
+
 // Static method to find by email
 userSchema.statics.findByEmail = function (email) {
   return this.findOne({ email: email.toLowerCase() });
@@ -359,8 +506,8 @@ userSchema.statics.findByAgeRange = function (minAge, maxAge) {
   });
 };
 
-// Instance method to add audit trail entry
-userSchema.methods.addAuditEntry = function (action, ipAddress = null, userAgent = null, details = null) {
+// Instance method to record an audit trail entry without saving
+userSchema.methods.recordAuditEntry = function (action, ipAddress = null, userAgent = null, details = null) {
   this.auditTrail.push({
     action,
     timestamp: new Date(),
@@ -369,18 +516,27 @@ userSchema.methods.addAuditEntry = function (action, ipAddress = null, userAgent
     details
   });
 
-  // Keep only last 50 audit entries to prevent unlimited growth
+  // Keep only last 50 audit entries to prevent unlimited growth; the full
+  // history is kept in the central audit log
   if (this.auditTrail.length > 50) {
     this.auditTrail = this.auditTrail.slice(-50);
   }
 
+  this.$locals.auditEvents = [...(this.$locals.auditEvents || []), { action, ipAddress, userAgent, details }];
+
+  return this;
+};
+
+// Instance method to add audit trail entry
+userSchema.methods.addAuditEntry = function (action, ipAddress = null, userAgent = null, details = null) {
+  this.recordAuditEntry(action, ipAddress, userAgent, details);
   return this.save();
 };
 
 // Instance method to update last login
 userSchema.methods.updateLastLogin = function (ipAddress = null, userAgent = null) {
   this.lastLogin = new Date();
-  this.addAuditEntry('login', ipAddress, userAgent);
+  this.recordAuditEntry('login', ipAddress, userAgent);
   return this.save();
 };
 
@@ -389,35 +545,47 @@ userSchema.methods.verifyEmail = function () {
   this.isEmailVerified = true;
   this.emailVerificationToken = null;
   this.emailVerificationExpires = null;
-  this.addAuditEntry('email_verification');
+  this.recordAuditEntry('email_verification');
   return this.save();
 };
 
-// Instance method to generate email verification token
+// Static method to hash one-time tokens; only the hash is stored
+userSchema.statics.hashToken = function (token) {
+  const crypto = require('crypto');
+  return crypto.createHash('sha256').update(String(token)).digest('hex');
+};
+
+// Instance method to generate email verification token.
+// Stores the hash and returns the plain token (caller must save).
 userSchema.methods.generateEmailVerificationToken = function () {
   const crypto = require('crypto');
-  this.emailVerificationToken = crypto.randomBytes(32).toString('hex');
+  const token = crypto.randomBytes(32).toString('hex');
+  this.emailVerificationToken = this.constructor.hashToken(token);
   this.emailVerificationExpires = new Date(Date.now() + 24 * 60 * 60 * 1000); // 24 hours
-  return this.save();
+  return token;
 };
 
 // Instance method to check if email verification token is valid
 userSchema.methods.isEmailVerificationTokenValid = function (token) {
-  return this.emailVerificationToken === token &&
+  return !!this.emailVerificationToken &&
+    this.emailVerificationToken === this.constructor.hashToken(token) &&
     this.emailVerificationExpires > new Date();
 };
 
-// Instance method to generate password reset token
+// Instance method to generate password reset token.
+// Stores the hash and returns the plain token (caller must save).
 userSchema.methods.generatePasswordResetToken = function () {
   const crypto = require('crypto');
-  this.passwordResetToken = crypto.randomBytes(32).toString('hex');
+  const token = crypto.randomBytes(32).toString('hex');
+  this.passwordResetToken = this.constructor.hashToken(token);
   this.passwordResetExpires = new Date(Date.now() + 60 * 60 * 1000); // 1 hour
-  return this.save();
+  return token;
 };
 
 // Instance method to check if password reset token is valid
 userSchema.methods.isPasswordResetTokenValid = function (token) {
-  return this.passwordResetToken === token &&
+  return !!this.passwordResetToken &&
+    this.passwordResetToken === this.constructor.hashToken(token) &&
     this.passwordResetExpires > new Date();
 };
 
@@ -428,6 +596,14 @@ userSchema.methods.clearPasswordResetToken = function () {
   return this.save();
 };
 
+// Static method to find a user by a one-time token that has not expired
+userSchema.statics.findByValidToken = function (tokenField, expiresField, token) {
+  return this.findOne({
+    [tokenField]: this.hashToken(token),
+    [expiresField]: { $gt: new Date() }
+  });
+};
+
 // Instance method to get recent audit entries
 userSchema.methods.getRecentAuditEntries = function (limit = 10) {
   return this.auditTrail
@@ -435,4 +611,10 @@ userSchema.methods.getRecentAuditEntries = function (limit = 10) {
     .slice(0, limit);
 };
 
+// Login bookkeeping is covered by the login/login_failed events; secrets are never copied into the log
+userSchema.plugin(auditPlugin, {
+  ignore: ['auditTrail', 'lastLogin', 'failedLoginAttempts', 'lastFailedLoginAt', 'twoFactor.lastUsedCounter', 'twoFactor.challengeId', 'twoFactor.challengeFailures'],
+  redact: ['password', 'passwordResetToken', 'emailVerificationToken', 'twoFactor.secret', 'twoFactor.pendingSecret', 'twoFactor.recoveryCodes', 'passwordHistory']
+});
+
 module.exports = mongoose.model('User', userSchema); 
\ No newline at end of file
@@ -0,0 +1,67 @@
+const mongoose = require('mongoose');
+
+// Statuses of entries still in the queue
+const OPEN_STATUSES = ['waiting', 'offered'];
+
+/**
+ * A student's place in the waitlist of a full course. Waiting students are
+ * served in the order they joined. When a seat frees up the next one is
+ * offered it and holds it until `offerExpiresAt`; an unclaimed offer expires
+ * and the seat moves on down the list.
+ */
+const waitlistEntrySchema = new mongoose.Schema({
+  course: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Course',
+    required: [true, 'Course is required']
+  },
+  student: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: [true, 'Student is required']
+  },
+  status: {
+    type: String,
+    enum: ['waiting', 'offered', 'enrolled', 'expired', 'withdrawn'],
+    default: 'waiting'
+  },
+  // Whether the status is one of OPEN_STATUSES; kept in step by the hooks
+  // below so the unique index can filter on it on any MongoDB version
+  open: {
+    type: Boolean,
+    default: true
+  },
+  offeredAt: Date,
+  offerExpiresAt: Date,
+  closedAt: Date
+}, {
+  timestamps: true
+});
+
+waitlistEntrySchema.index({ course: 1, status: 1, createdAt: 1 });
+waitlistEntrySchema.index({ student: 1, status: 1 });
+// A student has at most one open entry per course. Databases with duplicate
+// open entries need src/migrations/closeDuplicateWaitlistEntries.js first.
+waitlistEntrySchema.index(
+  { course: 1, student: 1 },
+  { unique: true, name: 'course_1_student_1_open', partialFilterExpression: { open: true } }
+);
+
+waitlistEntrySchema.statics.isOpenStatus = function (status) {
+  return OPEN_STATUSES.includes(status);
+};
+
+waitlistEntrySchema.pre('validate', function () {
+  this.open = OPEN_STATUSES.includes(this.status);
+});
+
+// Status changes made through query updates set `open` as well
+waitlistEntrySchema.pre(['updateOne', 'updateMany', 'findOneAndUpdate'], function () {
+  const update = this.getUpdate() || {};
+  const status = update.$set && update.$set.status !== undefined ? update.$set.status : update.status;
+  if (status !== undefined) {
+    this.set('open', OPEN_STATUSES.includes(status));
+  }
+});
+
+module.exports = mongoose.model('WaitlistEntry', waitlistEntrySchema);
@@ -39,6 +39,11 @@ const {
  *           type: string
  *           pattern: '^[0-9a-fA-F]{24}$'
  *           description: Course ID
+ *         section:
+ *           type: string
+ *           pattern: '^[0-9a-fA-F]{24}$'
+ *           nullable: true
+ *           description: Section the assignment is for; omit to set it for every section. Section faculty may only create assignments for their own section
  *         faculty:
  *           type: string
  *           pattern: '^[0-9a-fA-F]{24}$'
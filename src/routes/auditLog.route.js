@@ -0,0 +1,180 @@
+const express = require('express');
+const router = express.Router();
+const auditLogController = require('../controllers/auditLog.controller');
+const { authenticate, requirePermission } = require('../middleware/auth.middleware');
+const {
+  validateAuditLogQuery,
+  validateAuditLogExport,
+  validateAuditLogId
+} = require('../validation/auditLog.validation');
+
+/**
+ * @swagger
+ * components:
+ *   schemas:
+ *     AuditLogEntry:
+ *       type: object
+ *       properties:
+ *         actor:
+ *           type: object
+ *           description: User who made the change (empty for unauthenticated requests such as login)
+ *           properties:
+ *             user:
+ *               type: string
+ *             email:
+ *               type: string
+ *             role:
+ *               type: string
+ *         action:
+ *           type: string
+ *           description: create, update, delete, or a domain event such as password_change
+ *           example: update
+ *         entityType:
+ *           type: string
+ *           example: CourseGrade
+ *         entityId:
+ *           type: string
+ *         changes:
+ *           type: array
+ *           description: Changed fields; sensitive values are redacted
+ *           items:
+ *             type: object
+ *             properties:
+ *               path:
+ *                 type: string
+ *                 example: finalGrade
+ *               before:
+ *                 example: B+
+ *               after:
+ *                 example: A-
+ *         ipAddress:
+ *           type: string
+ *         userAgent:
+ *           type: string
+ *         createdAt:
+ *           type: string
+ *           format: date-time
+ *   parameters:
+ *     AuditLogActor:
+ *       in: query
+ *       name: actor
+ *       schema:
+ *         type: string
+ *       description: User ID or email of the user who made the change
+ *     AuditLogEntityType:
+ *       in: query
+ *       name: entityType
+ *       schema:
+ *         type: string
+ *       description: Model name (e.g. User, Enrollment, CourseGrade)
+ *     AuditLogEntityId:
+ *       in: query
+ *       name: entityId
+ *       schema:
+ *         type: string
+ *     AuditLogAction:
+ *       in: query
+ *       name: action
+ *       schema:
+ *         type: string
+ *       description: Action, or a comma-separated list of actions
+ *     AuditLogFrom:
+ *       in: query
+ *       name: from
+ *       schema:
+ *         type: string
+ *         format: date-time
+ *     AuditLogTo:
+ *       in: query
+ *       name: to
+ *       schema:
+ *         type: string
+ *         format: date-time
+ */
+
+/**
+ * @swagger
+ * /api/v1/audit-logs:
+ *   get:
+ *     summary: Search the audit log, newest first
+ *     tags: [Audit Log]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - $ref: '#/components/parameters/AuditLogActor'
+ *       - $ref: '#/components/parameters/AuditLogEntityType'
+ *       - $ref: '#/components/parameters/AuditLogEntityId'
+ *       - $ref: '#/components/parameters/AuditLogAction'
+ *       - $ref: '#/components/parameters/AuditLogFrom'
+ *       - $ref: '#/components/parameters/AuditLogTo'
+ *       - in: query
+ *         name: page
+ *         schema:
+ *           type: integer
+ *           default: 1
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           default: 20
+ *           maximum: 100
+ *     responses:
+ *       200:
+ *         description: Audit log retrieved successfully
+ *       403:
+ *         description: Forbidden - Missing audit.read permission
+ */
+router.get('/', authenticate, requirePermission('audit.read'), validateAuditLogQuery, auditLogController.getAuditLogs);
+
+/**
+ * @swagger
+ * /api/v1/audit-logs/export:
+ *   get:
+ *     summary: Export matching audit log entries
+ *     tags: [Audit Log]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: format
+ *         schema:
+ *           type: string
+ *           enum: [csv, xlsx, json]
+ *           default: csv
+ *       - $ref: '#/components/parameters/AuditLogActor'
+ *       - $ref: '#/components/parameters/AuditLogEntityType'
+ *       - $ref: '#/components/parameters/AuditLogEntityId'
+ *       - $ref: '#/components/parameters/AuditLogAction'
+ *       - $ref: '#/components/parameters/AuditLogFrom'
+ *       - $ref: '#/components/parameters/AuditLogTo'
+ *     responses:
+ *       200:
+ *         description: Audit log file (streamed)
+ *       403:
+ *         description: Forbidden - Missing audit.read permission
+ */
+router.get('/export', authenticate, requirePermission('audit.read'), validateAuditLogExport, auditLogController.exportAuditLogs);
+
+/**
+ * @swagger
+ * /api/v1/audit-logs/{entryId}:
+ *   get:
+ *     summary: Get an audit log entry
+ *     tags: [Audit Log]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: entryId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Audit log entry retrieved successfully
+ *       404:
+ *         description: Audit log entry not found
+ */
+router.get('/:entryId', authenticate, requirePermission('audit.read'), validateAuditLogId, auditLogController.getAuditLogById);
+
+module.exports = router;
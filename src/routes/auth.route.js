@@ -1,14 +1,23 @@
 const express = require('express');
 const router = express.Router();
 const authController = require('../controllers/auth.controller');
-const { authenticate, authorize } = require('../middleware/auth.middleware');
+const { authenticate, authenticateTwoFactorSetup, authorize } = require('../middleware/auth.middleware');
+const { handleAvatarUpload } = require('../middleware/upload.middleware');
 const {
   validateUserRegistration,
   validateUserLogin,
   validatePasswordChange,
   validateRefreshToken,
   validateForgotPassword,
-  validateResetPassword
+  validateResetPassword,
+  validateTokenPasswordReset,
+  validateExpiredPasswordChange,
+  validatePasswordPolicyQuery,
+  validateSsoCallback,
+  validateSessionId,
+  validateTwoFactorCode,
+  validateTwoFactorVerify,
+  validateTwoFactorDisable
 } = require('../validation/user.validation');
 
 /**
@@ -39,7 +48,7 @@ const {
  *                 type: string
  *               role:
  *                 type: string
- *                 enum: [admin, faculty, student]
+ *                 enum: [admin, faculty, student, guardian]
  *     responses:
  *       201:
  *         description: User registered successfully
@@ -70,12 +79,263 @@ router.post('/register', validateUserRegistration, authController.register);
  *                 type: string
  *     responses:
  *       200:
- *         description: Login successful
+ *         description: Login successful, or a twoFactorToken when a second step (twoFactorRequired) or enrollment (twoFactorSetupRequired) is needed
  *       401:
  *         description: Invalid credentials
  */
 router.post('/login', validateUserLogin, authController.login);
 
+/**
+ * @swagger
+ * /api/v1/auth/sso:
+ *   get:
+ *     summary: Whether single sign-on is available
+ *     tags: [Authentication]
+ *     security: []
+ *     responses:
+ *       200:
+ *         description: Single sign-on status and provider name
+ */
+router.get('/sso', authController.getSsoStatus);
+
+/**
+ * @swagger
+ * /api/v1/auth/sso/login:
+ *   post:
+ *     summary: Start single sign-on
+ *     description: Returns the identity provider authorization URL (authorization code flow with PKCE). Send the browser there; the provider redirects back to OIDC_REDIRECT_URI with a code and state.
+ *     tags: [Authentication]
+ *     security: []
+ *     responses:
+ *       200:
+ *         description: Authorization URL
+ *       404:
+ *         description: Single sign-on is not enabled
+ */
+router.post('/sso/login', authController.startSsoLogin);
+
+/**
+ * @swagger
+ * /api/v1/auth/sso/callback:
+ *   get:
+ *     summary: Finish single sign-on (identity provider redirect)
+ *     tags: [Authentication]
+ *     security: []
+ *     parameters:
+ *       - in: query
+ *         name: code
+ *         required: true
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: state
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Login successful (or identity linked, for a link request)
+ *       400:
+ *         description: Invalid or expired sign-in request
+ *       401:
+ *         description: The identity provider rejected the code or the ID token is invalid
+ *       403:
+ *         description: The identity is not allowed to sign in
+ *       409:
+ *         description: A local account with this email exists and must be linked first
+ *   post:
+ *     summary: Finish single sign-on (code and state forwarded by the frontend)
+ *     tags: [Authentication]
+ *     security: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - code
+ *               - state
+ *             properties:
+ *               code:
+ *                 type: string
+ *               state:
+ *                 type: string
+ *     responses:
+ *       200:
+ *         description: Login successful (or identity linked, for a link request)
+ */
+router.get('/sso/callback', validateSsoCallback, authController.completeSsoLogin);
+router.post('/sso/callback', validateSsoCallback, authController.completeSsoLogin);
+
+/**
+ * @swagger
+ * /api/v1/auth/sso/link:
+ *   post:
+ *     summary: Start linking single sign-on to the current account
+ *     description: Returns an authorization URL; finishing the flow at the callback links the identity instead of signing in.
+ *     tags: [Authentication]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Authorization URL
+ *   delete:
+ *     summary: Unlink single sign-on from the current account
+ *     tags: [Authentication]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Single sign-on unlinked
+ *       400:
+ *         description: The account is not linked
+ */
+router.post('/sso/link', authenticate, authController.startSsoLink);
+router.delete('/sso/link', authenticate, authController.unlinkSso);
+
+/**
+ * @swagger
+ * /api/v1/auth/2fa/verify:
+ *   post:
+ *     summary: Complete login with a TOTP code or a recovery code
+ *     tags: [Authentication]
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - twoFactorToken
+ *             properties:
+ *               twoFactorToken:
+ *                 type: string
+ *                 description: Token returned by login
+ *               code:
+ *                 type: string
+ *                 description: 6-digit code from the authenticator app
+ *               recoveryCode:
+ *                 type: string
+ *                 description: One-time recovery code (xxxxx-xxxxx)
+ *     responses:
+ *       200:
+ *         description: Login successful
+ *       401:
+ *         description: Invalid code or expired token
+ */
+router.post('/2fa/verify', validateTwoFactorVerify, authController.verifyTwoFactor);
+
+/**
+ * @swagger
+ * /api/v1/auth/2fa/setup:
+ *   post:
+ *     summary: Start two-factor enrollment
+ *     description: Returns a secret and otpauth URI for the authenticator app. Accepts a bearer token, or the twoFactorToken from a login that requires enrollment.
+ *     tags: [Authentication]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               twoFactorToken:
+ *                 type: string
+ *     responses:
+ *       200:
+ *         description: Secret and otpauth URI
+ *       403:
+ *         description: Two-factor authentication is not available for this role
+ */
+router.post('/2fa/setup', authenticateTwoFactorSetup, authController.setupTwoFactor);
+
+/**
+ * @swagger
+ * /api/v1/auth/2fa/enable:
+ *   post:
+ *     summary: Confirm two-factor enrollment with a code
+ *     description: Returns one-time recovery codes. When used with a login twoFactorToken it also returns access and refresh tokens.
+ *     tags: [Authentication]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - code
+ *             properties:
+ *               code:
+ *                 type: string
+ *               twoFactorToken:
+ *                 type: string
+ *     responses:
+ *       200:
+ *         description: Two-factor authentication enabled
+ *       400:
+ *         description: Invalid code
+ */
+router.post('/2fa/enable', authenticateTwoFactorSetup, validateTwoFactorCode, authController.enableTwoFactor);
+
+/**
+ * @swagger
+ * /api/v1/auth/2fa/disable:
+ *   post:
+ *     summary: Disable two-factor authentication
+ *     tags: [Authentication]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - password
+ *               - code
+ *             properties:
+ *               password:
+ *                 type: string
+ *               code:
+ *                 type: string
+ *     responses:
+ *       200:
+ *         description: Two-factor authentication disabled
+ *       403:
+ *         description: Two-factor authentication is required for this role
+ */
+router.post('/2fa/disable', authenticate, validateTwoFactorDisable, authController.disableTwoFactor);
+
+/**
+ * @swagger
+ * /api/v1/auth/2fa/recovery-codes:
+ *   post:
+ *     summary: Replace the recovery codes
+ *     tags: [Authentication]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - code
+ *             properties:
+ *               code:
+ *                 type: string
+ *     responses:
+ *       200:
+ *         description: New recovery codes
+ */
+router.post('/2fa/recovery-codes', authenticate, validateTwoFactorCode, authController.regenerateRecoveryCodes);
+
 /**
  * @swagger
  * /api/v1/auth/refresh:
@@ -95,9 +355,9 @@ router.post('/login', validateUserLogin, authController.login);
  *                 type: string
  *     responses:
  *       200:
- *         description: Token refreshed successfully
+ *         description: Token refreshed successfully; the refresh token is rotated and the old one is no longer valid
  *       401:
- *         description: Invalid refresh token
+ *         description: Invalid refresh token, or a rotated token was reused and the session was revoked
  */
 router.post('/refresh', validateRefreshToken, authController.refreshToken);
 
@@ -105,7 +365,7 @@ router.post('/refresh', validateRefreshToken, authController.refreshToken);
  * @swagger
  * /api/v1/auth/logout:
  *   post:
- *     summary: Logout user
+ *     summary: Logout user (revokes the current session)
  *     tags: [Authentication]
  *     security:
  *       - bearerAuth: []
@@ -115,11 +375,94 @@ router.post('/refresh', validateRefreshToken, authController.refreshToken);
  */
 router.post('/logout', authenticate, authController.logout);
 
+/**
+ * @swagger
+ * /api/v1/auth/impersonation/stop:
+ *   post:
+ *     summary: End the current impersonation
+ *     description: Called with the impersonation token; the token stops working immediately.
+ *     tags: [Authentication]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Impersonation ended
+ *       400:
+ *         description: Not impersonating a user
+ */
+router.post('/impersonation/stop', authenticate, authController.stopImpersonation);
+
+/**
+ * @swagger
+ * /api/v1/auth/permissions:
+ *   get:
+ *     summary: List the permissions of the current user
+ *     description: Each grant names a permission and the department it is limited to (null for institution-wide grants).
+ *     tags: [Authentication]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Permissions retrieved successfully
+ */
+router.get('/permissions', authenticate, authController.getPermissions);
+
+/**
+ * @swagger
+ * /api/v1/auth/sessions:
+ *   get:
+ *     summary: List active sessions (one per device) of the current user
+ *     tags: [Authentication]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Sessions retrieved successfully; the calling session is flagged as current
+ */
+router.get('/sessions', authenticate, authController.getSessions);
+
+/**
+ * @swagger
+ * /api/v1/auth/sessions:
+ *   delete:
+ *     summary: Revoke all sessions except the current one
+ *     tags: [Authentication]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Other sessions revoked successfully
+ */
+router.delete('/sessions', authenticate, authController.revokeOtherSessions);
+
+/**
+ * @swagger
+ * /api/v1/auth/sessions/{sessionId}:
+ *   delete:
+ *     summary: Revoke one session of the current user
+ *     tags: [Authentication]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: sessionId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Session revoked successfully
+ *       404:
+ *         description: Session not found
+ */
+router.delete('/sessions/:sessionId', authenticate, validateSessionId, authController.revokeSession);
+
 /**
  * @swagger
  * /api/v1/auth/profile:
  *   get:
  *     summary: Get current user profile
+ *     description: While an admin is impersonating the user, `impersonation` names the admin and the expiry (null otherwise).
  *     tags: [Authentication]
  *     security:
  *       - bearerAuth: []
@@ -160,6 +503,58 @@ router.get('/profile', authenticate, authController.getProfile);
  */
 router.put('/profile', authenticate, authController.updateProfile);
 
+/**
+ * @swagger
+ * /api/v1/auth/profile/avatar:
+ *   put:
+ *     summary: Upload or replace the current user's avatar
+ *     description: |
+ *       Accepts a JPEG, PNG, GIF or WebP image (checked by content, 2MB by default).
+ *       The image is cropped to a square around the detected face and served in
+ *       `large` (512px), `medium` (256px) and `small` (64px) variants; `avatar`
+ *       holds the medium one. The previous picture is deleted. When
+ *       AVATAR_REQUIRE_APPROVAL is on, the upload is kept in `pendingAvatar` and the
+ *       current picture stays until a moderator approves it.
+ *     tags: [Authentication]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         multipart/form-data:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - avatar
+ *             properties:
+ *               avatar:
+ *                 type: string
+ *                 format: binary
+ *     responses:
+ *       200:
+ *         description: Avatar updated, or uploaded and awaiting approval
+ *       400:
+ *         description: Missing file, file too large or not a supported image
+ */
+router.put('/profile/avatar', authenticate, handleAvatarUpload('avatar'), authController.uploadAvatar);
+
+/**
+ * @swagger
+ * /api/v1/auth/profile/avatar:
+ *   delete:
+ *     summary: Remove the current user's avatar
+ *     description: Removes the avatar and any upload awaiting approval, and deletes the images.
+ *     tags: [Authentication]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Avatar removed successfully
+ *       404:
+ *         description: The user does not have an avatar
+ */
+router.delete('/profile/avatar', authenticate, authController.removeAvatar);
+
 /**
  * @swagger
  * /api/v1/auth/change-password:
@@ -210,10 +605,97 @@ router.post('/change-password', authenticate, validatePasswordChange, authContro
  *                 type: string
  *     responses:
  *       200:
- *         description: Password reset email sent successfully
+ *         description: Reset link sent if the account exists
  */
 router.post('/forgot-password', validateForgotPassword, authController.forgotPassword);
 
+/**
+ * @swagger
+ * /api/v1/auth/reset-password/{token}:
+ *   post:
+ *     summary: Reset password with the token from the reset email
+ *     tags: [Authentication]
+ *     parameters:
+ *       - in: path
+ *         name: token
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - newPassword
+ *               - confirmPassword
+ *             properties:
+ *               newPassword:
+ *                 type: string
+ *               confirmPassword:
+ *                 type: string
+ *     responses:
+ *       200:
+ *         description: Password reset successfully
+ *       400:
+ *         description: Invalid or expired token
+ */
+router.post('/reset-password/:token', validateTokenPasswordReset, authController.resetPasswordWithToken);
+
+/**
+ * @swagger
+ * /api/v1/auth/expired-password:
+ *   post:
+ *     summary: Replace a temporary or expired password and finish signing in
+ *     description: Uses the passwordChangeToken returned by a login that responded with passwordChangeRequired.
+ *     tags: [Authentication]
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - passwordChangeToken
+ *               - newPassword
+ *               - confirmPassword
+ *             properties:
+ *               passwordChangeToken:
+ *                 type: string
+ *               newPassword:
+ *                 type: string
+ *               confirmPassword:
+ *                 type: string
+ *     responses:
+ *       200:
+ *         description: Password changed; returns the user with tokens
+ *       400:
+ *         description: Password does not meet the policy
+ *       401:
+ *         description: Invalid or expired password change token
+ */
+router.post('/expired-password', validateExpiredPasswordChange, authController.changeExpiredPassword);
+
+/**
+ * @swagger
+ * /api/v1/auth/password-policy:
+ *   get:
+ *     summary: Get the password rules for a role
+ *     tags: [Authentication]
+ *     parameters:
+ *       - in: query
+ *         name: role
+ *         schema:
+ *           type: string
+ *           enum: [admin, faculty, student, guardian]
+ *           default: student
+ *     responses:
+ *       200:
+ *         description: Password policy retrieved successfully
+ */
+router.get('/password-policy', validatePasswordPolicyQuery, authController.getPasswordPolicy);
+
 /**
  * @swagger
  * /api/v1/auth/reset-password:
@@ -270,6 +752,8 @@ router.post('/reset-password', authenticate, authorize(['admin']), validateReset
  *     responses:
  *       200:
  *         description: Email verified successfully
+ *       400:
+ *         description: Invalid or expired token
  */
 router.get('/verify-email/:token', authController.verifyEmail);
 
@@ -292,7 +776,7 @@ router.get('/verify-email/:token', authController.verifyEmail);
  *                 type: string
  *     responses:
  *       200:
- *         description: Verification email sent successfully
+ *         description: Verification email sent if the account exists and is unverified
  */
 router.post('/resend-verification', validateForgotPassword, authController.resendVerification);
 
@@ -24,6 +24,7 @@ const {
 // Import middleware
 const { authenticate } = require('../middleware/auth.middleware');
 const { authorize } = require('../middleware/auth.middleware');
+const { bindContext } = require('../utils/requestContext');
 const fs = require('fs');
 
 // Configure multer for blog cover images
@@ -752,7 +753,7 @@ router.get('/:id', authenticate, validateBlogId, getBlogById);
 router.post('/', 
   authenticate, 
   authorize(['admin', 'moderator', 'author']), 
-  upload.single('coverImage'),
+  bindContext(upload.single('coverImage')),
   validateBlogCreation, 
   createBlog
 );
@@ -860,7 +861,7 @@ router.post('/',
 router.put('/:id', 
   authenticate, 
   authorize(['admin', 'moderator', 'author']), 
-  upload.single('coverImage'),
+  bindContext(upload.single('coverImage')),
   validateBlogId,
   validateBlogUpdate, 
   updateBlog
@@ -0,0 +1,135 @@
+const express = require('express');
+const router = express.Router();
+const calendarController = require('../controllers/calendar.controller');
+const { authenticate, requireStudentOrFaculty, requirePermission } = require('../middleware/auth.middleware');
+const permissionService = require('../services/permission.service');
+const { validateUserId } = require('../validation/user.validation');
+
+// Department of the user whose feed is revoked, so department-scoped grants can revoke their own users' feeds
+const targetUserDepartment = (req) => permissionService.getUserDepartment(req.params.userId);
+
+/**
+ * @swagger
+ * components:
+ *   schemas:
+ *     CalendarFeed:
+ *       type: object
+ *       properties:
+ *         active:
+ *           type: boolean
+ *         createdAt:
+ *           type: string
+ *           format: date-time
+ *           nullable: true
+ *         lastAccessedAt:
+ *           type: string
+ *           format: date-time
+ *           nullable: true
+ */
+
+/**
+ * @swagger
+ * /api/v1/calendar/feed:
+ *   get:
+ *     summary: Get the current user's calendar feed
+ *     description: Whether a feed URL is active and when it was last read. The URL itself is only shown when it is created.
+ *     tags: [Calendar]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Calendar feed retrieved successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/CalendarFeed'
+ *   post:
+ *     summary: Create a secret calendar feed URL
+ *     description: |
+ *       Returns an iCalendar URL to subscribe to from a calendar app. Students get their course
+ *       and section meetings, assignment deadlines and registered events; faculty get the meetings
+ *       they teach, the deadlines of their assignments and their events. Creating a new URL
+ *       revokes the previous one.
+ *     tags: [Calendar]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       201:
+ *         description: Calendar feed created successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 url:
+ *                   type: string
+ *                 webcalUrl:
+ *                   type: string
+ *                 createdAt:
+ *                   type: string
+ *                   format: date-time
+ *       403:
+ *         description: Only students and faculty have calendar feeds
+ *   delete:
+ *     summary: Revoke the current user's calendar feed URL
+ *     tags: [Calendar]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Calendar feed revoked successfully
+ *       404:
+ *         description: No calendar feed found
+ */
+router.get('/feed', authenticate, calendarController.getFeed);
+router.post('/feed', authenticate, requireStudentOrFaculty, calendarController.createFeed);
+router.delete('/feed', authenticate, calendarController.revokeFeed);
+
+/**
+ * @swagger
+ * /api/v1/calendar/feeds/{token}.ics:
+ *   get:
+ *     summary: iCalendar feed
+ *     description: Public URL authenticated by its secret token, for calendar apps to subscribe to
+ *     tags: [Calendar]
+ *     parameters:
+ *       - in: path
+ *         name: token
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Timetable in iCalendar format
+ *         content:
+ *           text/calendar:
+ *             schema:
+ *               type: string
+ *       404:
+ *         description: Calendar feed not found or revoked
+ */
+router.get('/feeds/:token.ics', calendarController.renderFeed);
+
+/**
+ * @swagger
+ * /api/v1/calendar/feeds/{userId}:
+ *   delete:
+ *     summary: Revoke a user's calendar feed URL
+ *     tags: [Calendar]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: userId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Calendar feed revoked successfully
+ *       404:
+ *         description: No calendar feed found
+ */
+router.delete('/feeds/:userId', authenticate, validateUserId, requirePermission('users.update', { department: targetUserDepartment }), calendarController.revokeUserFeed);
+
+module.exports = router;
@@ -1,7 +1,13 @@
 const express = require('express');
 const router = express.Router();
 const courseController = require('../controllers/course.controller');
-const { authenticate, requireFacultyOrAdmin, canAccessCourse, canModifyCourse } = require('../middleware/auth.middleware');
+const sectionController = require('../controllers/section.controller');
+const courseStaffController = require('../controllers/courseStaff.controller');
+const courseContentController = require('../controllers/courseContent.controller');
+const evaluationController = require('../controllers/evaluation.controller');
+const attendanceController = require('../controllers/attendance.controller');
+const { authenticate, requireFacultyOrAdmin, requireStudent, requirePermission, canAccessCourse, canModifyCourse, requireCourseCapability } = require('../middleware/auth.middleware');
+const permissionService = require('../services/permission.service');
 const {
   validateCourseCreation,
   validateCourseUpdate,
@@ -9,11 +15,99 @@ const {
   validateCourseQuery,
   validateCourseEnrollment,
   validateCourseMaterial,
+  validateCourseMaterialUpdate,
+  validateMaterialVersion,
+  validateMaterialId,
+  validateCourseModule,
+  validateCourseModuleUpdate,
+  validateModuleId,
   validateCourseAssignment,
   validateAssignmentSubmission,
-  validateAssignmentGrading
+  validateAssignmentGrading,
+  validateSectionCreation,
+  validateSectionUpdate,
+  validateSectionId,
+  validateCourseRollupQuery,
+  validateCourseRollover,
+  validateBulkCourseRollover,
+  validateCourseStaff,
+  validateCourseStaffUpdate,
+  validateEvaluationForm,
+  validateEvaluationResponse,
+  validateAttendanceGeneration,
+  validateAttendanceSessionQuery,
+  validateAttendanceSessionId,
+  validateAttendanceSessionUpdate,
+  validateAttendanceRecords,
+  validateCheckInWindow,
+  validateCheckIn,
+  validateAttendanceReportQuery
 } = require('../validation/course.validation');
-const { validateStudentId } = require('../validation/user.validation');
+const { validateStudentId, validateUserId } = require('../validation/user.validation');
+
+// Department of the course, so department-scoped grants can manage their own courses' sections
+const courseDepartment = (req) => permissionService.getCourseDepartment(req.params.courseId);
+
+// Department being rolled over, given directly or through one of its programs
+const rolloverDepartment = (req) => (req.body.department || permissionService.getProgramDepartment(req.body.program));
+
+/**
+ * @swagger
+ * components:
+ *   schemas:
+ *     TimetableConflict:
+ *       type: object
+ *       description: |
+ *         One timetable clash. Returned in `error.conflicts` with a 409 when a change would
+ *         double-book a student, faculty member or room. Admins can repeat the request with
+ *         `clashOverrideReason` to proceed; the override is written to the audit log.
+ *       properties:
+ *         type:
+ *           type: string
+ *           enum: [student, faculty, room]
+ *         resource:
+ *           type: string
+ *           description: Student ID, faculty ID or room ("Building - Room")
+ *         day:
+ *           type: string
+ *           example: Monday
+ *         message:
+ *           type: string
+ *           example: Room Science Hall - 101 is already booked for CS201 on Monday 09:00-10:30
+ *         meeting:
+ *           $ref: '#/components/schemas/TimetableMeeting'
+ *         conflictsWith:
+ *           $ref: '#/components/schemas/TimetableMeeting'
+ *     TimetableMeeting:
+ *       type: object
+ *       properties:
+ *         course:
+ *           type: object
+ *           properties:
+ *             _id:
+ *               type: string
+ *             code:
+ *               type: string
+ *             name:
+ *               type: string
+ *         section:
+ *           type: object
+ *           nullable: true
+ *           properties:
+ *             _id:
+ *               type: string
+ *             code:
+ *               type: string
+ *         startTime:
+ *           type: string
+ *           example: '09:00'
+ *         endTime:
+ *           type: string
+ *           example: '10:30'
+ *         type:
+ *           type: string
+ *           enum: [Lecture, Lab, Tutorial, Discussion]
+ */
 
 /**
  * @swagger
@@ -139,14 +233,170 @@ router.get('/:courseId', authenticate, validateCourseId, canAccessCourse, course
  *                 type: integer
  *               maxStudents:
  *                 type: integer
+ *               startDate:
+ *                 type: string
+ *                 format: date
+ *                 description: First day of teaching; weekly schedule slots repeat from here in calendar feeds
+ *               endDate:
+ *                 type: string
+ *                 format: date
+ *                 description: Last day of teaching
+ *               clashOverrideReason:
+ *                 type: string
+ *                 description: Proceed despite timetable clashes (timetable.override_clashes permission)
  *     responses:
  *       201:
  *         description: Course created successfully
  *       400:
  *         description: Validation error
+ *       403:
+ *         description: Not allowed to override timetable clashes
+ *       409:
+ *         description: The faculty member or room is already booked at that time (see error.conflicts, TimetableConflict)
  */
 router.post('/', authenticate, requireFacultyOrAdmin, validateCourseCreation, courseController.createCourse);
 
+/**
+ * @swagger
+ * components:
+ *   schemas:
+ *     RolloverTarget:
+ *       type: object
+ *       required: [year, semester, startDate]
+ *       properties:
+ *         year:
+ *           type: integer
+ *         semester:
+ *           type: integer
+ *         startDate:
+ *           type: string
+ *           format: date
+ *           description: First day of teaching in the new term; assignment due dates move by the gap from the old start date
+ *         endDate:
+ *           type: string
+ *           format: date
+ *           description: Last day of teaching; defaults to the old end date moved by the same gap
+ *     CourseRolloverReport:
+ *       type: object
+ *       properties:
+ *         source:
+ *           type: object
+ *         course:
+ *           type: object
+ *           description: The new draft course
+ *         copied:
+ *           type: object
+ *           properties:
+ *             schedule:
+ *               type: integer
+ *               description: Weekly meetings copied
+ *             sections:
+ *               type: array
+ *               items:
+ *                 type: object
+ *             assignments:
+ *               type: array
+ *               items:
+ *                 type: object
+ *         skipped:
+ *           type: array
+ *           items:
+ *             type: object
+ *             properties:
+ *               type:
+ *                 type: string
+ *                 enum: [schedule, section, assignment]
+ *               id:
+ *                 type: string
+ *               label:
+ *                 type: string
+ *               reason:
+ *                 type: string
+ */
+
+/**
+ * @swagger
+ * /api/v1/courses/rollover:
+ *   post:
+ *     summary: Roll the courses of a department or program over into a new term
+ *     description: |
+ *       Copies every course of the department or program in the source year and semester,
+ *       as for a single course. Courses that already exist in the target term, or that
+ *       cannot be copied, are listed under skipped. Requires courses.manage for the department.
+ *     tags: [Courses]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             allOf:
+ *               - $ref: '#/components/schemas/RolloverTarget'
+ *               - type: object
+ *                 required: [fromYear, fromSemester]
+ *                 properties:
+ *                   department:
+ *                     type: string
+ *                   program:
+ *                     type: string
+ *                   fromYear:
+ *                     type: integer
+ *                   fromSemester:
+ *                     type: integer
+ *     responses:
+ *       201:
+ *         description: Courses rolled over; one report per new course, plus the courses skipped
+ *       400:
+ *         description: Validation error
+ *       403:
+ *         description: Forbidden - Missing courses.manage permission
+ */
+router.post('/rollover', authenticate, validateBulkCourseRollover, requirePermission('courses.manage', { department: rolloverDepartment }), courseController.rolloverCourses);
+
+/**
+ * @swagger
+ * /api/v1/courses/{courseId}/rollover:
+ *   post:
+ *     summary: Roll a course over into a new term
+ *     description: |
+ *       Creates a draft copy of the course in the target year and semester with its
+ *       syllabus, grading policy, schedule and active sections. Assignments are recreated
+ *       as hidden drafts with due dates moved by the gap between the old and new start
+ *       dates. Schedules that would clash in the new term, and assignments whose moved due
+ *       date has passed, are skipped and reported. Available to the course's faculty and
+ *       holders of courses.manage for the course's department.
+ *     tags: [Courses]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: courseId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/RolloverTarget'
+ *     responses:
+ *       201:
+ *         description: Course rolled over successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/CourseRolloverReport'
+ *       403:
+ *         description: Not teaching the course and missing courses.manage permission
+ *       404:
+ *         description: Course not found
+ *       409:
+ *         description: The course already exists in the target term
+ */
+router.post('/:courseId/rollover', authenticate, validateCourseId, validateCourseRollover, courseController.rolloverCourse);
+
 /**
  * @swagger
  * /api/v1/courses/{courseId}:
@@ -187,15 +437,30 @@ router.post('/', authenticate, requireFacultyOrAdmin, validateCourseCreation, co
  *                 type: integer
  *               maxStudents:
  *                 type: integer
+ *               startDate:
+ *                 type: string
+ *                 format: date
+ *                 description: First day of teaching; weekly schedule slots repeat from here in calendar feeds
+ *               endDate:
+ *                 type: string
+ *                 format: date
+ *                 description: Last day of teaching
  *               isActive:
  *                 type: boolean
  *               isPublished:
  *                 type: boolean
+ *               clashOverrideReason:
+ *                 type: string
+ *                 description: Proceed despite timetable clashes (timetable.override_clashes permission)
  *     responses:
  *       200:
  *         description: Course updated successfully
+ *       403:
+ *         description: Not allowed to override timetable clashes
  *       404:
  *         description: Course not found
+ *       409:
+ *         description: The faculty member or room is already booked at that time (see error.conflicts, TimetableConflict)
  */
 router.put('/:courseId', authenticate, validateCourseId, canModifyCourse, validateCourseUpdate, courseController.updateCourse);
 
@@ -219,7 +484,7 @@ router.put('/:courseId', authenticate, validateCourseId, canModifyCourse, valida
  *       404:
  *         description: Course not found
  */
-router.delete('/:courseId', authenticate, validateCourseId, canModifyCourse, courseController.deleteCourse);
+router.delete('/:courseId', authenticate, validateCourseId, requireCourseCapability('course.delete'), courseController.deleteCourse);
 
 /**
  * @swagger
@@ -246,9 +511,22 @@ router.delete('/:courseId', authenticate, validateCourseId, canModifyCourse, cou
  *             properties:
  *               studentId:
  *                 type: string
+ *               clashOverrideReason:
+ *                 type: string
+ *                 description: Proceed despite timetable clashes (timetable.override_clashes permission)
  *     responses:
  *       200:
  *         description: Student enrolled successfully
+ *       202:
+ *         description: Course is full; student added to the waitlist (data is a WaitlistPosition)
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/WaitlistPosition'
+ *       403:
+ *         description: Not allowed to override timetable clashes
+ *       409:
+ *         description: The course clashes with the student's timetable (see error.conflicts, TimetableConflict)
  */
 router.post('/:courseId/enroll', authenticate, validateCourseId, validateCourseEnrollment, courseController.enrollStudent);
 
@@ -279,54 +557,126 @@ router.post('/:courseId/enroll', authenticate, validateCourseId, validateCourseE
  *                 type: string
  *     responses:
  *       200:
- *         description: Student removed successfully
+ *         description: Student removed successfully; the freed seat is offered to the next student on the waitlist
  */
 router.post('/:courseId/remove-student', authenticate, validateCourseId, validateCourseEnrollment, courseController.removeStudent);
 
 /**
  * @swagger
- * /api/v1/courses/{courseId}/materials:
- *   post:
- *     summary: Add course material
- *     tags: [Courses]
- *     security:
- *       - bearerAuth: []
- *     parameters:
- *       - in: path
- *         name: courseId
- *         required: true
- *         schema:
+ * components:
+ *   schemas:
+ *     CourseMaterialFile:
+ *       type: object
+ *       properties:
+ *         version:
+ *           type: integer
+ *         fileUrl:
  *           type: string
- *     requestBody:
- *       required: true
- *       content:
- *         application/json:
- *           schema:
+ *         fileName:
+ *           type: string
+ *         fileType:
+ *           type: string
+ *           enum: [pdf, doc, docx, ppt, pptx, video, image, other]
+ *         fileSize:
+ *           type: integer
+ *         note:
+ *           type: string
+ *         uploadedBy:
+ *           type: string
+ *         uploadedAt:
+ *           type: string
+ *           format: date-time
+ *     CourseOutlineMaterial:
+ *       type: object
+ *       properties:
+ *         _id:
+ *           type: string
+ *         module:
+ *           type: string
+ *         title:
+ *           type: string
+ *         description:
+ *           type: string
+ *         position:
+ *           type: integer
+ *         releaseAt:
+ *           type: string
+ *           format: date-time
+ *           nullable: true
+ *           description: When the material unlocks, counting its module's release date
+ *         unlocked:
+ *           type: boolean
+ *         file:
+ *           nullable: true
+ *           description: Current version; withheld from students until unlocked
+ *           allOf:
+ *             - $ref: '#/components/schemas/CourseMaterialFile'
+ *         status:
+ *           type: string
+ *           enum: [draft, published]
+ *           description: Only for course staff who edit materials
+ *         versions:
+ *           type: array
+ *           description: Every version, oldest first; only for course staff who edit materials
+ *           items:
+ *             $ref: '#/components/schemas/CourseMaterialFile'
+ *         viewed:
+ *           type: boolean
+ *           description: Only for students
+ *         viewedAt:
+ *           type: string
+ *           format: date-time
+ *           nullable: true
+ *     CourseOutline:
+ *       type: object
+ *       properties:
+ *         course:
+ *           type: object
+ *         modules:
+ *           type: array
+ *           items:
  *             type: object
- *             required:
- *               - title
- *               - fileUrl
  *             properties:
+ *               _id:
+ *                 type: string
  *               title:
  *                 type: string
  *               description:
  *                 type: string
- *               fileUrl:
- *                 type: string
- *               fileType:
+ *               week:
+ *                 type: integer
+ *               position:
+ *                 type: integer
+ *               releaseAt:
  *                 type: string
- *                 enum: [pdf, doc, docx, ppt, pptx, video, image, other]
- *     responses:
- *       200:
- *         description: Material added successfully
+ *                 format: date-time
+ *                 nullable: true
+ *               unlocked:
+ *                 type: boolean
+ *               materials:
+ *                 type: array
+ *                 items:
+ *                   $ref: '#/components/schemas/CourseOutlineMaterial'
+ *         summary:
+ *           type: object
+ *           properties:
+ *             modules:
+ *               type: integer
+ *             materials:
+ *               type: integer
+ *             unlocked:
+ *               type: integer
+ *             viewed:
+ *               type: integer
+ *               description: Only for students
  */
-router.post('/:courseId/materials', authenticate, validateCourseId, canModifyCourse, validateCourseMaterial, courseController.addCourseMaterial);
 
 /**
  * @swagger
- * /api/v1/courses/{courseId}/materials/{materialId}:
- *   delete:
- *     summary: Remove course material
+ * /api/v1/courses/{courseId}/outline:
+ *   get:
+ *     summary: Course outline
+ *     description: Modules in order with their materials and what is unlocked. Course staff who edit materials also see drafts and every file version; students see which materials they have opened.
  *     tags: [Courses]
  *     security:
  *       - bearerAuth: []
@@ -336,22 +686,23 @@ router.post('/:courseId/materials', authenticate, validateCourseId, canModifyCou
  *         required: true
  *         schema:
  *           type: string
- *       - in: path
- *         name: materialId
- *         required: true
- *         schema:
- *           type: string
  *     responses:
  *       200:
- *         description: Material removed successfully
+ *         description: Course outline retrieved successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/CourseOutline'
+ *       403:
+ *         description: Access denied to this course
  */
-router.delete('/:courseId/materials/:materialId', authenticate, validateCourseId, canModifyCourse, courseController.removeCourseMaterial);
+router.get('/:courseId/outline', authenticate, validateCourseId, canAccessCourse, courseContentController.getOutline);
 
 /**
  * @swagger
- * /api/v1/courses/{courseId}/assignments:
+ * /api/v1/courses/{courseId}/modules:
  *   post:
- *     summary: Add course assignment
+ *     summary: Create a module (week or unit) of a course
  *     tags: [Courses]
  *     security:
  *       - bearerAuth: []
@@ -367,32 +718,37 @@ router.delete('/:courseId/materials/:materialId', authenticate, validateCourseId
  *         application/json:
  *           schema:
  *             type: object
- *             required:
- *               - title
- *               - description
- *               - dueDate
- *               - totalPoints
+ *             required: [title]
  *             properties:
  *               title:
  *                 type: string
  *               description:
  *                 type: string
- *               dueDate:
+ *               week:
+ *                 type: integer
+ *               position:
+ *                 type: integer
+ *                 description: Order in the outline; defaults to after the last module
+ *               status:
+ *                 type: string
+ *                 enum: [draft, published]
+ *                 default: draft
+ *               releaseAt:
  *                 type: string
  *                 format: date-time
- *               totalPoints:
- *                 type: integer
  *     responses:
- *       200:
- *         description: Assignment added successfully
+ *       201:
+ *         description: Module created successfully
+ *       403:
+ *         description: Your role in this course does not allow this
  */
-router.post('/:courseId/assignments', authenticate, validateCourseId, canModifyCourse, validateCourseAssignment, courseController.addCourseAssignment);
+router.post('/:courseId/modules', authenticate, validateCourseId, requireCourseCapability('materials.edit'), validateCourseModule, courseContentController.createModule);
 
 /**
  * @swagger
- * /api/v1/courses/{courseId}/assignments/{assignmentId}/submit:
- *   post:
- *     summary: Submit assignment
+ * /api/v1/courses/{courseId}/modules/{moduleId}:
+ *   put:
+ *     summary: Update, reorder, publish or schedule a module
  *     tags: [Courses]
  *     security:
  *       - bearerAuth: []
@@ -403,7 +759,7 @@ router.post('/:courseId/assignments', authenticate, validateCourseId, canModifyC
  *         schema:
  *           type: string
  *       - in: path
- *         name: assignmentId
+ *         name: moduleId
  *         required: true
  *         schema:
  *           type: string
@@ -413,22 +769,29 @@ router.post('/:courseId/assignments', authenticate, validateCourseId, canModifyC
  *         application/json:
  *           schema:
  *             type: object
- *             required:
- *               - fileUrl
  *             properties:
- *               fileUrl:
+ *               title:
+ *                 type: string
+ *               description:
+ *                 type: string
+ *               week:
+ *                 type: integer
+ *               position:
+ *                 type: integer
+ *               status:
+ *                 type: string
+ *                 enum: [draft, published]
+ *               releaseAt:
  *                 type: string
+ *                 format: date-time
+ *                 nullable: true
  *     responses:
  *       200:
- *         description: Assignment submitted successfully
- */
-router.post('/:courseId/assignments/:assignmentId/submit', authenticate, validateCourseId, validateAssignmentSubmission, courseController.submitAssignment);
-
-/**
- * @swagger
- * /api/v1/courses/{courseId}/assignments/{assignmentId}/grade/{studentId}:
- *   post:
- *     summary: Grade assignment
+ *         description: Module updated successfully
+ *       404:
+ *         description: Module not found in this course
+ *   delete:
+ *     summary: Delete an empty module
  *     tags: [Courses]
  *     security:
  *       - bearerAuth: []
@@ -439,12 +802,30 @@ router.post('/:courseId/assignments/:assignmentId/submit', authenticate, validat
  *         schema:
  *           type: string
  *       - in: path
- *         name: assignmentId
+ *         name: moduleId
  *         required: true
  *         schema:
  *           type: string
+ *     responses:
+ *       200:
+ *         description: Module deleted successfully
+ *       409:
+ *         description: The module still holds materials
+ */
+router.put('/:courseId/modules/:moduleId', authenticate, validateCourseId, requireCourseCapability('materials.edit'), validateCourseModuleUpdate, courseContentController.updateModule);
+router.delete('/:courseId/modules/:moduleId', authenticate, validateCourseId, validateModuleId, requireCourseCapability('materials.edit'), courseContentController.deleteModule);
+
+/**
+ * @swagger
+ * /api/v1/courses/{courseId}/materials:
+ *   post:
+ *     summary: Add a material to a module
+ *     tags: [Courses]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
  *       - in: path
- *         name: studentId
+ *         name: courseId
  *         required: true
  *         schema:
  *           type: string
@@ -455,229 +836,410 @@ router.post('/:courseId/assignments/:assignmentId/submit', authenticate, validat
  *           schema:
  *             type: object
  *             required:
- *               - grade
+ *               - module
+ *               - title
+ *               - fileUrl
  *             properties:
- *               grade:
- *                 type: number
- *               feedback:
+ *               module:
+ *                 type: string
+ *               title:
+ *                 type: string
+ *               description:
+ *                 type: string
+ *               fileUrl:
+ *                 type: string
+ *               fileName:
+ *                 type: string
+ *               fileType:
+ *                 type: string
+ *                 enum: [pdf, doc, docx, ppt, pptx, video, image, other]
+ *               fileSize:
+ *                 type: integer
+ *               position:
+ *                 type: integer
+ *                 description: Order in the module; defaults to after the last material
+ *               status:
  *                 type: string
+ *                 enum: [draft, published]
+ *                 default: draft
+ *               releaseAt:
+ *                 type: string
+ *                 format: date-time
  *     responses:
- *       200:
- *         description: Assignment graded successfully
+ *       201:
+ *         description: Material added successfully
+ *       404:
+ *         description: Module not found in this course
  */
-router.post('/:courseId/assignments/:assignmentId/grade/:studentId', authenticate, validateCourseId, canModifyCourse, validateAssignmentGrading, courseController.gradeAssignment);
+router.post('/:courseId/materials', authenticate, validateCourseId, requireCourseCapability('materials.edit'), validateCourseMaterial, courseContentController.createMaterial);
 
 /**
  * @swagger
- * /api/v1/courses/instructor/{instructorId}:
+ * /api/v1/courses/{courseId}/materials/{materialId}:
  *   get:
- *     summary: Get courses by instructor
+ *     summary: Open a material
+ *     description: Students are given the current file of unlocked materials only, and the open is recorded against them
  *     tags: [Courses]
  *     security:
  *       - bearerAuth: []
  *     parameters:
  *       - in: path
- *         name: instructorId
+ *         name: courseId
+ *         required: true
+ *         schema:
+ *           type: string
+ *       - in: path
+ *         name: materialId
  *         required: true
  *         schema:
  *           type: string
  *     responses:
  *       200:
- *         description: Courses retrieved successfully
- */
-router.get('/instructor/:instructorId', authenticate, courseController.getCoursesByInstructor);
-
-/**
- * @swagger
- * /api/v1/courses/faculty/{facultyId}:
- *   get:
- *     summary: Get courses assigned to a specific faculty
+ *         description: Material retrieved successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/CourseOutlineMaterial'
+ *       403:
+ *         description: The material is not unlocked yet
+ *       404:
+ *         description: Material not found in this course
+ *   put:
+ *     summary: Update, reorder, publish or schedule a material, or move it to another module
  *     tags: [Courses]
  *     security:
  *       - bearerAuth: []
  *     parameters:
  *       - in: path
- *         name: facultyId
+ *         name: courseId
  *         required: true
  *         schema:
  *           type: string
- *         description: ID of the faculty member
- *     responses:
- *       200:
- *         description: Courses retrieved successfully
- *         content:
- *           application/json:
- *             schema:
- *               type: object
- *               properties:
- *                 success:
- *                   type: boolean
- *                 message:
- *                   type: string
- *                 data:
- *                   type: array
- *                   items:
- *                     $ref: '#/components/schemas/Course'
- *       404:
- *         description: Faculty not found
- *       500:
- *         description: Internal server error
+ *       - in: path
+ *         name: materialId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               module:
+ *                 type: string
+ *               title:
+ *                 type: string
+ *               description:
+ *                 type: string
+ *               position:
+ *                 type: integer
+ *               status:
+ *                 type: string
+ *                 enum: [draft, published]
+ *               releaseAt:
+ *                 type: string
+ *                 format: date-time
+ *                 nullable: true
+ *     responses:
+ *       200:
+ *         description: Material updated successfully
+ *   delete:
+ *     summary: Remove a material with its versions and view history
+ *     tags: [Courses]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: courseId
+ *         required: true
+ *         schema:
+ *           type: string
+ *       - in: path
+ *         name: materialId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Material removed successfully
  */
-router.get('/faculty/:facultyId', authenticate, courseController.getCoursesByFaculty);
+router.get('/:courseId/materials/:materialId', authenticate, validateCourseId, validateMaterialId, canAccessCourse, courseContentController.getMaterial);
+router.put('/:courseId/materials/:materialId', authenticate, validateCourseId, requireCourseCapability('materials.edit'), validateCourseMaterialUpdate, courseContentController.updateMaterial);
+router.delete('/:courseId/materials/:materialId', authenticate, validateCourseId, validateMaterialId, requireCourseCapability('materials.edit'), courseContentController.deleteMaterial);
 
 /**
  * @swagger
- * /api/v1/courses/faculty/{facultyId}/students:
- *   get:
- *     summary: Get all students enrolled in faculty's courses
+ * /api/v1/courses/{courseId}/materials/{materialId}/versions:
+ *   post:
+ *     summary: Replace a material's file
+ *     description: The new file becomes the current version; previous versions are kept
  *     tags: [Courses]
  *     security:
  *       - bearerAuth: []
  *     parameters:
  *       - in: path
- *         name: facultyId
+ *         name: courseId
  *         required: true
  *         schema:
  *           type: string
- *         description: ID of the faculty member
- *       - in: query
- *         name: page
- *         schema:
- *           type: integer
- *           default: 1
- *         description: Page number for pagination
- *       - in: query
- *         name: limit
- *         schema:
- *           type: integer
- *           default: 10
- *         description: Number of students per page
- *       - in: query
- *         name: sortBy
- *         schema:
- *           type: string
- *           enum: [firstName, lastName, email, studentId, gpa]
- *           default: firstName
- *         description: Field to sort by
- *       - in: query
- *         name: sortOrder
+ *       - in: path
+ *         name: materialId
+ *         required: true
  *         schema:
  *           type: string
- *           enum: [asc, desc]
- *           default: asc
- *         description: Sort order
- *       - in: query
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required: [fileUrl]
+ *             properties:
+ *               fileUrl:
+ *                 type: string
+ *               fileName:
+ *                 type: string
+ *               fileType:
+ *                 type: string
+ *                 enum: [pdf, doc, docx, ppt, pptx, video, image, other]
+ *               fileSize:
+ *                 type: integer
+ *               note:
+ *                 type: string
+ *                 description: What changed from the previous version
+ *     responses:
+ *       201:
+ *         description: Material file replaced successfully
+ */
+router.post('/:courseId/materials/:materialId/versions', authenticate, validateCourseId, requireCourseCapability('materials.edit'), validateMaterialVersion, courseContentController.replaceMaterialFile);
+
+/**
+ * @swagger
+ * /api/v1/courses/{courseId}/materials/{materialId}/views:
+ *   get:
+ *     summary: Which enrolled students have opened a material
+ *     tags: [Courses]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
  *         name: courseId
+ *         required: true
  *         schema:
  *           type: string
- *         description: Filter by specific course ID
- *       - in: query
- *         name: search
+ *       - in: path
+ *         name: materialId
+ *         required: true
  *         schema:
  *           type: string
- *         description: Search students by name, email, or student ID
- *       - in: query
- *         name: status
+ *     responses:
+ *       200:
+ *         description: Material views retrieved successfully; entries marked outdated opened an earlier version
+ *       403:
+ *         description: Your role in this course does not allow this
+ */
+router.get('/:courseId/materials/:materialId/views', authenticate, validateCourseId, validateMaterialId, requireCourseCapability('roster.view'), courseContentController.getMaterialViews);
+
+/**
+ * @swagger
+ * /api/v1/courses/{courseId}/assignments:
+ *   post:
+ *     summary: Add course assignment
+ *     tags: [Courses]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: courseId
+ *         required: true
  *         schema:
  *           type: string
- *           enum: [active, completed, dropped, suspended, graduated]
- *           default: active
- *         description: Filter by enrollment status
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - title
+ *               - description
+ *               - dueDate
+ *               - totalPoints
+ *             properties:
+ *               title:
+ *                 type: string
+ *               description:
+ *                 type: string
+ *               dueDate:
+ *                 type: string
+ *                 format: date-time
+ *               totalPoints:
+ *                 type: integer
  *     responses:
  *       200:
- *         description: Students retrieved successfully
- *         content:
- *           application/json:
- *             schema:
- *               type: object
- *               properties:
- *                 success:
- *                   type: boolean
- *                 message:
- *                   type: string
- *                 data:
- *                   type: array
- *                   items:
- *                     type: object
- *                     properties:
- *                       _id:
- *                         type: string
- *                       firstName:
- *                         type: string
- *                       lastName:
- *                         type: string
- *                       email:
- *                         type: string
- *                       studentId:
- *                         type: string
- *                       department:
- *                         type: object
- *                       courses:
- *                         type: array
- *                         items:
- *                           type: object
- *                           properties:
- *                             _id:
- *                               type: string
- *                             title:
- *                               type: string
- *                             code:
- *                               type: string
- *                       totalCredits:
- *                         type: number
- *                       gpa:
- *                         type: number
- *                       enrollmentStatus:
- *                         type: string
- *                       enrollmentType:
- *                         type: string
- *                 pagination:
- *                   type: object
- *                   properties:
- *                     page:
- *                       type: integer
- *                     limit:
- *                       type: integer
- *                     total:
- *                       type: integer
- *                     pages:
- *                       type: integer
- *                 summary:
- *                   type: object
- *                   properties:
- *                     totalStudents:
- *                       type: integer
- *                     totalCourses:
- *                       type: integer
- *                     averageStudentsPerCourse:
- *                       type: number
- *       404:
- *         description: Faculty not found
- *       500:
- *         description: Internal server error
+ *         description: Assignment added successfully
  */
-router.get('/faculty/:facultyId/students', authenticate, courseController.getStudentsByFaculty);
+router.post('/:courseId/assignments', authenticate, validateCourseId, requireCourseCapability('assignments.manage'), validateCourseAssignment, courseController.addCourseAssignment);
 
 /**
  * @swagger
- * /api/v1/courses/faculty/{facultyId}/students/aggregated:
- *   get:
- *     summary: Get faculty students data using efficient aggregation pipeline
+ * /api/v1/courses/{courseId}/assignments/{assignmentId}/submit:
+ *   post:
+ *     summary: Submit assignment
  *     tags: [Courses]
  *     security:
  *       - bearerAuth: []
  *     parameters:
  *       - in: path
- *         name: facultyId
+ *         name: courseId
  *         required: true
  *         schema:
  *           type: string
- *         description: ID of the faculty member
- *       - in: query
- *         name: page
+ *       - in: path
+ *         name: assignmentId
+ *         required: true
  *         schema:
- *           type: integer
- *           default: 1
+ *           type: string
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - fileUrl
+ *             properties:
+ *               fileUrl:
+ *                 type: string
+ *     responses:
+ *       200:
+ *         description: Assignment submitted successfully
+ */
+router.post('/:courseId/assignments/:assignmentId/submit', authenticate, validateCourseId, validateAssignmentSubmission, courseController.submitAssignment);
+
+/**
+ * @swagger
+ * /api/v1/courses/{courseId}/assignments/{assignmentId}/grade/{studentId}:
+ *   post:
+ *     summary: Grade assignment
+ *     tags: [Courses]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: courseId
+ *         required: true
+ *         schema:
+ *           type: string
+ *       - in: path
+ *         name: assignmentId
+ *         required: true
+ *         schema:
+ *           type: string
+ *       - in: path
+ *         name: studentId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - grade
+ *             properties:
+ *               grade:
+ *                 type: number
+ *               feedback:
+ *                 type: string
+ *     responses:
+ *       200:
+ *         description: Assignment graded successfully
+ */
+router.post('/:courseId/assignments/:assignmentId/grade/:studentId', authenticate, validateCourseId, requireCourseCapability('submissions.grade'), validateAssignmentGrading, courseController.gradeAssignment);
+
+/**
+ * @swagger
+ * /api/v1/courses/instructor/{instructorId}:
+ *   get:
+ *     summary: Get courses by instructor
+ *     tags: [Courses]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: instructorId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Courses retrieved successfully
+ */
+router.get('/instructor/:instructorId', authenticate, courseController.getCoursesByInstructor);
+
+/**
+ * @swagger
+ * /api/v1/courses/faculty/{facultyId}:
+ *   get:
+ *     summary: Get courses assigned to a specific faculty
+ *     tags: [Courses]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: facultyId
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: ID of the faculty member
+ *     responses:
+ *       200:
+ *         description: Courses retrieved successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                 message:
+ *                   type: string
+ *                 data:
+ *                   type: array
+ *                   items:
+ *                     $ref: '#/components/schemas/Course'
+ *       404:
+ *         description: Faculty not found
+ *       500:
+ *         description: Internal server error
+ */
+router.get('/faculty/:facultyId', authenticate, courseController.getCoursesByFaculty);
+
+/**
+ * @swagger
+ * /api/v1/courses/faculty/{facultyId}/students:
+ *   get:
+ *     summary: Get all students enrolled in faculty's courses
+ *     tags: [Courses]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: facultyId
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: ID of the faculty member
+ *       - in: query
+ *         name: page
+ *         schema:
+ *           type: integer
+ *           default: 1
  *         description: Page number for pagination
  *       - in: query
  *         name: limit
@@ -689,7 +1251,7 @@ router.get('/faculty/:facultyId/students', authenticate, courseController.getStu
  *         name: sortBy
  *         schema:
  *           type: string
- *           enum: [firstName, lastName, email, studentId, gpa, totalCredits, courseCount]
+ *           enum: [firstName, lastName, email, studentId, gpa]
  *           default: firstName
  *         description: Field to sort by
  *       - in: query
@@ -718,7 +1280,7 @@ router.get('/faculty/:facultyId/students', authenticate, courseController.getStu
  *         description: Filter by enrollment status
  *     responses:
  *       200:
- *         description: Faculty students data retrieved successfully
+ *         description: Students retrieved successfully
  *         content:
  *           application/json:
  *             schema:
@@ -745,10 +1307,6 @@ router.get('/faculty/:facultyId/students', authenticate, courseController.getStu
  *                         type: string
  *                       department:
  *                         type: object
- *                       phone:
- *                         type: string
- *                       avatar:
- *                         type: string
  *                       courses:
  *                         type: array
  *                         items:
@@ -760,30 +1318,14 @@ router.get('/faculty/:facultyId/students', authenticate, courseController.getStu
  *                               type: string
  *                             code:
  *                               type: string
- *                             courseType:
- *                               type: string
- *                             creditHours:
- *                               type: number
- *                             semester:
- *                               type: number
- *                             year:
- *                               type: number
- *                             currentEnrollment:
- *                               type: number
- *                             maxStudents:
- *                               type: number
  *                       totalCredits:
  *                         type: number
- *                       courseCount:
+ *                       gpa:
  *                         type: number
  *                       enrollmentStatus:
  *                         type: string
  *                       enrollmentType:
  *                         type: string
- *                       gpa:
- *                         type: number
- *                       cgpa:
- *                         type: number
  *                 pagination:
  *                   type: object
  *                   properties:
@@ -804,81 +1346,973 @@ router.get('/faculty/:facultyId/students', authenticate, courseController.getStu
  *                       type: integer
  *                     averageStudentsPerCourse:
  *                       type: number
- *                     faculty:
- *                       type: object
- *                       properties:
- *                         _id:
- *                           type: string
- *                         firstName:
- *                           type: string
- *                         lastName:
- *                           type: string
- *                         email:
- *                           type: string
- *                         facultyId:
- *                           type: string
- *                         department:
- *                           type: object
  *       404:
  *         description: Faculty not found
  *       500:
  *         description: Internal server error
  */
-router.get('/faculty/:facultyId/students/aggregated', authenticate, courseController.getFacultyStudentsAggregated);
+router.get('/faculty/:facultyId/students', authenticate, courseController.getStudentsByFaculty);
+
+/**
+ * @swagger
+ * /api/v1/courses/faculty/{facultyId}/students/aggregated:
+ *   get:
+ *     summary: Get faculty students data using efficient aggregation pipeline
+ *     tags: [Courses]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: facultyId
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: ID of the faculty member
+ *       - in: query
+ *         name: page
+ *         schema:
+ *           type: integer
+ *           default: 1
+ *         description: Page number for pagination
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           default: 10
+ *         description: Number of students per page
+ *       - in: query
+ *         name: sortBy
+ *         schema:
+ *           type: string
+ *           enum: [firstName, lastName, email, studentId, gpa, totalCredits, courseCount]
+ *           default: firstName
+ *         description: Field to sort by
+ *       - in: query
+ *         name: sortOrder
+ *         schema:
+ *           type: string
+ *           enum: [asc, desc]
+ *           default: asc
+ *         description: Sort order
+ *       - in: query
+ *         name: courseId
+ *         schema:
+ *           type: string
+ *         description: Filter by specific course ID
+ *       - in: query
+ *         name: search
+ *         schema:
+ *           type: string
+ *         description: Search students by name, email, or student ID
+ *       - in: query
+ *         name: status
+ *         schema:
+ *           type: string
+ *           enum: [active, completed, dropped, suspended, graduated]
+ *           default: active
+ *         description: Filter by enrollment status
+ *     responses:
+ *       200:
+ *         description: Faculty students data retrieved successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                 message:
+ *                   type: string
+ *                 data:
+ *                   type: array
+ *                   items:
+ *                     type: object
+ *                     properties:
+ *                       _id:
+ *                         type: string
+ *                       firstName:
+ *                         type: string
+ *                       lastName:
+ *                         type: string
+ *                       email:
+ *                         type: string
+ *                       studentId:
+ *                         type: string
+ *                       department:
+ *                         type: object
+ *                       phone:
+ *                         type: string
+ *                       avatar:
+ *                         type: string
+ *                       courses:
+ *                         type: array
+ *                         items:
+ *                           type: object
+ *                           properties:
+ *                             _id:
+ *                               type: string
+ *                             title:
+ *                               type: string
+ *                             code:
+ *                               type: string
+ *                             courseType:
+ *                               type: string
+ *                             creditHours:
+ *                               type: number
+ *                             semester:
+ *                               type: number
+ *                             year:
+ *                               type: number
+ *                             currentEnrollment:
+ *                               type: number
+ *                             maxStudents:
+ *                               type: number
+ *                       totalCredits:
+ *                         type: number
+ *                       courseCount:
+ *                         type: number
+ *                       enrollmentStatus:
+ *                         type: string
+ *                       enrollmentType:
+ *                         type: string
+ *                       gpa:
+ *                         type: number
+ *                       cgpa:
+ *                         type: number
+ *                 pagination:
+ *                   type: object
+ *                   properties:
+ *                     page:
+ *                       type: integer
+ *                     limit:
+ *                       type: integer
+ *                     total:
+ *                       type: integer
+ *                     pages:
+ *                       type: integer
+ *                 summary:
+ *                   type: object
+ *                   properties:
+ *                     totalStudents:
+ *                       type: integer
+ *                     totalCourses:
+ *                       type: integer
+ *                     averageStudentsPerCourse:
+ *                       type: number
+ *                     faculty:
+ *                       type: object
+ *                       properties:
+ *                         _id:
+ *                           type: string
+ *                         firstName:
+ *                           type: string
+ *                         lastName:
+ *                           type: string
+ *                         email:
+ *                           type: string
+ *                         facultyId:
+ *                           type: string
+ *                         department:
+ *                           type: object
+ *       404:
+ *         description: Faculty not found
+ *       500:
+ *         description: Internal server error
+ */
+router.get('/faculty/:facultyId/students/aggregated', authenticate, courseController.getFacultyStudentsAggregated);
+
+/**
+ * @swagger
+ * /api/v1/courses/department/{department}:
+ *   get:
+ *     summary: Get courses by department
+ *     tags: [Courses]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: department
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Courses retrieved successfully
+ */
+router.get('/department/:department', authenticate, courseController.getCoursesByDepartment);
+
+/**
+ * @swagger
+ * /api/v1/courses/available:
+ *   get:
+ *     summary: Get available courses
+ *     tags: [Courses]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Available courses retrieved successfully
+ */
+router.get('/available', authenticate, courseController.getAvailableCourses);
+
+/**
+ * @swagger
+ * /api/v1/courses/stats:
+ *   get:
+ *     summary: Get course statistics
+ *     tags: [Courses]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Course statistics retrieved successfully
+ */
+router.get('/stats', authenticate, requireFacultyOrAdmin, courseController.getCourseStats);
+
+/**
+ * @swagger
+ * /api/v1/courses/{courseId}/toggle-publish:
+ *   patch:
+ *     summary: Publish/Unpublish course
+ *     tags: [Courses]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: courseId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - isPublished
+ *             properties:
+ *               isPublished:
+ *                 type: boolean
+ *     responses:
+ *       200:
+ *         description: Course publish status updated successfully
+ */
+router.patch('/:courseId/toggle-publish', authenticate, validateCourseId, canModifyCourse, courseController.toggleCoursePublish);
+
+/**
+ * @swagger
+ * /api/v1/courses/{courseId}/toggle-status:
+ *   patch:
+ *     summary: Activate/Deactivate course
+ *     tags: [Courses]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: courseId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - isActive
+ *             properties:
+ *               isActive:
+ *                 type: boolean
+ *     responses:
+ *       200:
+ *         description: Course status updated successfully
+ */
+router.patch('/:courseId/toggle-status', authenticate, validateCourseId, canModifyCourse, courseController.toggleCourseStatus);
+
+/**
+ * @swagger
+ * /api/v1/courses/search:
+ *   get:
+ *     summary: Search courses
+ *     tags: [Courses]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: q
+ *         required: true
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: department
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: semester
+ *         schema:
+ *           type: string
+ *           enum: [Fall, Spring, Summer, Winter]
+ *       - in: query
+ *         name: year
+ *         schema:
+ *           type: integer
+ *     responses:
+ *       200:
+ *         description: Search completed successfully
+ */
+router.get('/search', authenticate, courseController.searchCourses);
+
+/**
+ * @swagger
+ * components:
+ *   schemas:
+ *     WaitlistPosition:
+ *       type: object
+ *       properties:
+ *         status:
+ *           type: string
+ *           enum: [waiting, offered]
+ *           description: offered means a seat is held for the student until offerExpiresAt; enrolling claims it
+ *         position:
+ *           type: integer
+ *           nullable: true
+ *           description: Place in line among waiting students (1 is next), null once a seat is offered
+ *         waiting:
+ *           type: integer
+ *           description: Students waiting for the course
+ *         offerExpiresAt:
+ *           type: string
+ *           format: date-time
+ *           nullable: true
+ *         joinedAt:
+ *           type: string
+ *           format: date-time
+ */
+
+/**
+ * @swagger
+ * /api/v1/courses/{courseId}/enrollment-status:
+ *   get:
+ *     summary: Get course enrollment status for current user
+ *     description: Includes the user's place on the waitlist when they are waiting for a seat
+ *     tags: [Courses]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: courseId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Enrollment status retrieved successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 data:
+ *                   type: object
+ *                   properties:
+ *                     isEnrolled:
+ *                       type: boolean
+ *                     isAvailable:
+ *                       type: boolean
+ *                     currentStudents:
+ *                       type: integer
+ *                     maxStudents:
+ *                       type: integer
+ *                     waitlist:
+ *                       nullable: true
+ *                       allOf:
+ *                         - $ref: '#/components/schemas/WaitlistPosition'
+ */
+router.get('/:courseId/enrollment-status', authenticate, validateCourseId, courseController.getEnrollmentStatus);
+
+/**
+ * @swagger
+ * /api/v1/courses/{courseId}/waitlist:
+ *   get:
+ *     summary: Get the waitlist of a course
+ *     description: Students holding an offered seat and students waiting in order. Open to the course's teaching staff and holders of courses.manage.
+ *     tags: [Courses]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: courseId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Waitlist retrieved successfully
+ *       403:
+ *         description: Not teaching or managing the course
+ *       404:
+ *         description: Course not found
+ *   delete:
+ *     summary: Leave the waitlist of a course
+ *     description: A seat offered to the student passes to the next student in line
+ *     tags: [Courses]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: courseId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Removed from the waitlist successfully
+ *       404:
+ *         description: Student is not on the waitlist for this course
+ */
+router.get('/:courseId/waitlist', authenticate, validateCourseId, courseController.getWaitlist);
+router.delete('/:courseId/waitlist', authenticate, requireStudent, validateCourseId, courseController.leaveWaitlist);
+
+/**
+ * @swagger
+ * components:
+ *   schemas:
+ *     CourseStaff:
+ *       type: object
+ *       properties:
+ *         roles:
+ *           type: array
+ *           description: Staff roles and the capabilities each grants
+ *           items:
+ *             type: object
+ *             properties:
+ *               name:
+ *                 type: string
+ *               displayName:
+ *                 type: string
+ *               capabilities:
+ *                 type: array
+ *                 items:
+ *                   type: string
+ *         faculty:
+ *           type: object
+ *           description: The course's lead faculty member, who holds every capability
+ *         staff:
+ *           type: array
+ *           items:
+ *             type: object
+ *             properties:
+ *               user:
+ *                 type: object
+ *               role:
+ *                 type: string
+ *                 enum: [co_instructor, teaching_assistant, grader]
+ *               capabilities:
+ *                 type: array
+ *                 items:
+ *                   type: string
+ *               addedAt:
+ *                 type: string
+ *                 format: date-time
+ *         capabilities:
+ *           type: array
+ *           description: The requesting user's capabilities in the course
+ *           items:
+ *             type: string
+ */
+
+/**
+ * @swagger
+ * /api/v1/courses/{courseId}/staff:
+ *   get:
+ *     summary: List the staff of a course
+ *     description: Co-instructors, teaching assistants and graders with their capabilities, and the requesting user's own capabilities in the course
+ *     tags: [Courses]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: courseId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Course staff retrieved successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/CourseStaff'
+ *       403:
+ *         description: Access denied to this course
+ *   post:
+ *     summary: Add a faculty member to the staff of a course
+ *     description: Available to the course's faculty and holders of courses.manage for the course's department
+ *     tags: [Courses]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: courseId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required: [userId, role]
+ *             properties:
+ *               userId:
+ *                 type: string
+ *               role:
+ *                 type: string
+ *                 enum: [co_instructor, teaching_assistant, grader]
+ *     responses:
+ *       201:
+ *         description: Staff member added successfully
+ *       400:
+ *         description: Not an active faculty account, or already the course's faculty
+ *       403:
+ *         description: Your role in this course does not allow this
+ *       409:
+ *         description: Already on the staff of the course
+ */
+router.get('/:courseId/staff', authenticate, validateCourseId, canAccessCourse, courseStaffController.getStaff);
+router.post('/:courseId/staff', authenticate, validateCourseId, requireCourseCapability('course.staff'), validateCourseStaff, courseStaffController.addStaff);
+
+/**
+ * @swagger
+ * /api/v1/courses/{courseId}/staff/{userId}:
+ *   put:
+ *     summary: Change the role of a staff member
+ *     tags: [Courses]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: courseId
+ *         required: true
+ *         schema:
+ *           type: string
+ *       - in: path
+ *         name: userId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required: [role]
+ *             properties:
+ *               role:
+ *                 type: string
+ *                 enum: [co_instructor, teaching_assistant, grader]
+ *     responses:
+ *       200:
+ *         description: Staff role updated successfully
+ *       404:
+ *         description: User is not on the staff of this course
+ *   delete:
+ *     summary: Remove a member from the staff of a course
+ *     tags: [Courses]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: courseId
+ *         required: true
+ *         schema:
+ *           type: string
+ *       - in: path
+ *         name: userId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Staff member removed successfully
+ *       404:
+ *         description: User is not on the staff of this course
+ */
+router.put('/:courseId/staff/:userId', authenticate, validateCourseId, validateUserId, requireCourseCapability('course.staff'), validateCourseStaffUpdate, courseStaffController.updateStaff);
+router.delete('/:courseId/staff/:userId', authenticate, validateCourseId, validateUserId, requireCourseCapability('course.staff'), courseStaffController.removeStaff);
+
+/**
+ * @swagger
+ * /api/v1/courses/{courseId}/evaluation:
+ *   get:
+ *     summary: Get the evaluation of a course
+ *     description: Students get the questions and whether they have answered. The course's teaching staff and course managers also get the response count and rate.
+ *     tags: [Courses]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: courseId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Course evaluation retrieved successfully
+ *       404:
+ *         description: This course has no evaluation
+ *   put:
+ *     summary: Create or change the evaluation form of a course
+ *     description: New forms start from the default question set and a window around the course's end date. Questions cannot change once students have responded.
+ *     tags: [Courses]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: courseId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               title:
+ *                 type: string
+ *               instructions:
+ *                 type: string
+ *               questions:
+ *                 type: array
+ *                 items:
+ *                   type: object
+ *                   required: [prompt, type]
+ *                   properties:
+ *                     prompt:
+ *                       type: string
+ *                     type:
+ *                       type: string
+ *                       enum: [likert, text]
+ *                     required:
+ *                       type: boolean
+ *                       default: true
+ *               opensAt:
+ *                 type: string
+ *                 format: date-time
+ *               closesAt:
+ *                 type: string
+ *                 format: date-time
+ *               status:
+ *                 type: string
+ *                 enum: [draft, published]
+ *     responses:
+ *       200:
+ *         description: Course evaluation saved successfully
+ *       403:
+ *         description: Requires courses.manage for the course's department
+ *       409:
+ *         description: Questions cannot change once students have responded
+ *   delete:
+ *     summary: Delete the evaluation form of a course before anyone has responded
+ *     tags: [Courses]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: courseId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Course evaluation deleted successfully
+ *       409:
+ *         description: Students have already responded
+ */
+router.get('/:courseId/evaluation', authenticate, validateCourseId, canAccessCourse, evaluationController.getEvaluation);
+router.put('/:courseId/evaluation', authenticate, validateCourseId, requirePermission('courses.manage', { department: courseDepartment }), validateEvaluationForm, evaluationController.saveForm);
+router.delete('/:courseId/evaluation', authenticate, validateCourseId, requirePermission('courses.manage', { department: courseDepartment }), evaluationController.deleteForm);
+
+/**
+ * @swagger
+ * /api/v1/courses/{courseId}/evaluation/responses:
+ *   post:
+ *     summary: Answer the evaluation of a course
+ *     description: Enrolled students answer once while the evaluation is open. The answers are stored without any link to the student.
+ *     tags: [Courses]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: courseId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required: [answers]
+ *             properties:
+ *               answers:
+ *                 type: array
+ *                 items:
+ *                   type: object
+ *                   required: [question]
+ *                   properties:
+ *                     question:
+ *                       type: string
+ *                     rating:
+ *                       type: integer
+ *                       minimum: 1
+ *                       maximum: 5
+ *                     text:
+ *                       type: string
+ *     responses:
+ *       201:
+ *         description: Evaluation recorded anonymously
+ *       403:
+ *         description: Only students enrolled in the course can evaluate it
+ *       409:
+ *         description: Already answered, or the evaluation is not open
+ */
+router.post('/:courseId/evaluation/responses', authenticate, requireStudent, validateCourseId, validateEvaluationResponse, evaluationController.submitResponse);
+
+/**
+ * @swagger
+ * /api/v1/courses/{courseId}/evaluation/report:
+ *   get:
+ *     summary: Aggregated report of a closed course evaluation
+ *     description: Likert questions report their mean and distribution, free-text questions their comments in alphabetical order. With fewer responses than EVALUATION_MIN_RESPONSES only the count is given, and questions answered by fewer students are hidden.
+ *     tags: [Courses]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: courseId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Course evaluation report retrieved successfully
+ *       403:
+ *         description: Your role in this course does not allow this
+ *       409:
+ *         description: The evaluation has not closed yet
+ */
+router.get('/:courseId/evaluation/report', authenticate, validateCourseId, requireCourseCapability('course.edit'), evaluationController.getReport);
+
+/**
+ * @swagger
+ * /api/v1/courses/{courseId}/attendance:
+ *   get:
+ *     summary: Attendance report of a course
+ *     description: Attendance of each enrolled student over the sessions held so far. A session counts once attendance has been recorded for it; students without a record are absent and excused sessions are left out. Students below ATTENDANCE_LOW_THRESHOLD percent are flagged. Section faculty see their own sections' students.
+ *     tags: [Courses]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: courseId
+ *         required: true
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: lowOnly
+ *         schema:
+ *           type: boolean
+ *         description: Only list flagged students
+ *     responses:
+ *       200:
+ *         description: Attendance report retrieved successfully
+ *       403:
+ *         description: Only the course's teaching staff or course managers can view its attendance
+ */
+router.get('/:courseId/attendance', authenticate, validateCourseId, validateAttendanceReportQuery, attendanceController.getReport);
+
+/**
+ * @swagger
+ * /api/v1/courses/{courseId}/attendance/me:
+ *   get:
+ *     summary: The requesting student's attendance in a course
+ *     tags: [Courses]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: courseId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Attendance retrieved successfully
+ *       403:
+ *         description: You are not enrolled in this course
+ */
+router.get('/:courseId/attendance/me', authenticate, requireStudent, validateCourseId, attendanceController.getMyAttendance);
 
 /**
  * @swagger
- * /api/v1/courses/department/{department}:
- *   get:
- *     summary: Get courses by department
+ * /api/v1/courses/{courseId}/attendance/check-in:
+ *   post:
+ *     summary: Check in to a session with its current code
+ *     description: The code rotates every ATTENDANCE_CODE_STEP_SECONDS while check-in is open; the previous and next codes are also accepted. Students checking in more than ATTENDANCE_LATE_AFTER_MINUTES after the session starts are marked late.
  *     tags: [Courses]
  *     security:
  *       - bearerAuth: []
  *     parameters:
  *       - in: path
- *         name: department
+ *         name: courseId
  *         required: true
  *         schema:
  *           type: string
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required: [code]
+ *             properties:
+ *               code:
+ *                 type: string
+ *                 example: '493027'
+ *               sessionId:
+ *                 type: string
+ *                 description: Session from a scanned QR code; without it the code is matched against the course's open sessions
  *     responses:
  *       200:
- *         description: Courses retrieved successfully
+ *         description: Checked in successfully
+ *       400:
+ *         description: Invalid or expired check-in code
+ *       403:
+ *         description: Only students enrolled in the course can check in
  */
-router.get('/department/:department', authenticate, courseController.getCoursesByDepartment);
+router.post('/:courseId/attendance/check-in', authenticate, requireStudent, validateCourseId, validateCheckIn, attendanceController.checkIn);
 
 /**
  * @swagger
- * /api/v1/courses/available:
+ * /api/v1/courses/{courseId}/attendance/sessions:
  *   get:
- *     summary: Get available courses
+ *     summary: List the sessions of a course with their attendance counts
  *     tags: [Courses]
  *     security:
  *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: courseId
+ *         required: true
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: from
+ *         schema:
+ *           type: string
+ *           format: date-time
+ *       - in: query
+ *         name: to
+ *         schema:
+ *           type: string
+ *           format: date-time
+ *       - in: query
+ *         name: section
+ *         schema:
+ *           type: string
  *     responses:
  *       200:
- *         description: Available courses retrieved successfully
+ *         description: Attendance sessions retrieved successfully
+ *       403:
+ *         description: Only the course's teaching staff or course managers can view its attendance
+ *   post:
+ *     summary: Generate sessions from the weekly schedules of the course and its sections
+ *     description: Creates one session per scheduled meeting between from and to, which default to the course's start and end dates. Times are in CAMPUS_TIMEZONE. Sessions that already exist are left alone, so this can be repeated after a schedule changes.
+ *     tags: [Courses]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: courseId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               from:
+ *                 type: string
+ *                 format: date
+ *               to:
+ *                 type: string
+ *                 format: date
+ *     responses:
+ *       201:
+ *         description: Attendance sessions generated successfully
+ *       400:
+ *         description: The course has no start and end date
+ *       403:
+ *         description: Your role in this course does not allow this
  */
-router.get('/available', authenticate, courseController.getAvailableCourses);
+router.get('/:courseId/attendance/sessions', authenticate, validateCourseId, validateAttendanceSessionQuery, attendanceController.getSessions);
+router.post('/:courseId/attendance/sessions', authenticate, validateCourseId, validateAttendanceGeneration, attendanceController.generateSessions);
 
 /**
  * @swagger
- * /api/v1/courses/stats:
- *   get:
- *     summary: Get course statistics
+ * /api/v1/courses/{courseId}/attendance/sessions/{sessionId}:
+ *   patch:
+ *     summary: Cancel or restore a session
+ *     description: Cancelled sessions do not count towards attendance.
  *     tags: [Courses]
  *     security:
  *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: courseId
+ *         required: true
+ *         schema:
+ *           type: string
+ *       - in: path
+ *         name: sessionId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required: [status]
+ *             properties:
+ *               status:
+ *                 type: string
+ *                 enum: [scheduled, cancelled]
  *     responses:
  *       200:
- *         description: Course statistics retrieved successfully
+ *         description: Attendance session updated successfully
+ *       403:
+ *         description: You cannot take attendance for this session
  */
-router.get('/stats', authenticate, requireFacultyOrAdmin, courseController.getCourseStats);
+router.patch('/:courseId/attendance/sessions/:sessionId', authenticate, validateCourseId, validateAttendanceSessionId, validateAttendanceSessionUpdate, attendanceController.updateSession);
 
 /**
  * @swagger
- * /api/v1/courses/{courseId}/toggle-publish:
- *   patch:
- *     summary: Publish/Unpublish course
+ * /api/v1/courses/{courseId}/attendance/sessions/{sessionId}/records:
+ *   put:
+ *     summary: Record roll call for a session
+ *     description: Open to the faculty teaching the session and to course staff whose role includes attendance.take. Entries replace any earlier record of the same student, including self check-ins.
  *     tags: [Courses]
  *     security:
  *       - bearerAuth: []
@@ -888,28 +2322,48 @@ router.get('/stats', authenticate, requireFacultyOrAdmin, courseController.getCo
  *         required: true
  *         schema:
  *           type: string
+ *       - in: path
+ *         name: sessionId
+ *         required: true
+ *         schema:
+ *           type: string
  *     requestBody:
  *       required: true
  *       content:
  *         application/json:
  *           schema:
  *             type: object
- *             required:
- *               - isPublished
+ *             required: [records]
  *             properties:
- *               isPublished:
- *                 type: boolean
+ *               records:
+ *                 type: array
+ *                 items:
+ *                   type: object
+ *                   required: [student, status]
+ *                   properties:
+ *                     student:
+ *                       type: string
+ *                     status:
+ *                       type: string
+ *                       enum: [present, late, absent, excused]
+ *                     note:
+ *                       type: string
  *     responses:
  *       200:
- *         description: Course publish status updated successfully
+ *         description: Attendance recorded successfully
+ *       400:
+ *         description: Some students do not attend this session
+ *       409:
+ *         description: The session is cancelled
  */
-router.patch('/:courseId/toggle-publish', authenticate, validateCourseId, canModifyCourse, courseController.toggleCoursePublish);
+router.put('/:courseId/attendance/sessions/:sessionId/records', authenticate, validateCourseId, validateAttendanceSessionId, validateAttendanceRecords, attendanceController.recordAttendance);
 
 /**
  * @swagger
- * /api/v1/courses/{courseId}/toggle-status:
- *   patch:
- *     summary: Activate/Deactivate course
+ * /api/v1/courses/{courseId}/attendance/sessions/{sessionId}/check-in:
+ *   post:
+ *     summary: Open self check-in for a session
+ *     description: Returns the current code and a QR payload to show in class. Reopening replaces the previous codes.
  *     tags: [Courses]
  *     security:
  *       - bearerAuth: []
@@ -919,61 +2373,248 @@ router.patch('/:courseId/toggle-publish', authenticate, validateCourseId, canMod
  *         required: true
  *         schema:
  *           type: string
+ *       - in: path
+ *         name: sessionId
+ *         required: true
+ *         schema:
+ *           type: string
  *     requestBody:
- *       required: true
  *       content:
  *         application/json:
  *           schema:
  *             type: object
- *             required:
- *               - isActive
  *             properties:
- *               isActive:
- *                 type: boolean
+ *               minutes:
+ *                 type: integer
+ *                 minimum: 1
+ *                 maximum: 240
+ *                 description: How long check-in stays open, defaulting to ATTENDANCE_CHECK_IN_MINUTES
+ *     responses:
+ *       201:
+ *         description: Check-in opened successfully
+ *       409:
+ *         description: The session is cancelled
+ *   get:
+ *     summary: Current check-in code of a session
+ *     description: Poll this to refresh the code on screen before expiresAt.
+ *     tags: [Courses]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: courseId
+ *         required: true
+ *         schema:
+ *           type: string
+ *       - in: path
+ *         name: sessionId
+ *         required: true
+ *         schema:
+ *           type: string
  *     responses:
  *       200:
- *         description: Course status updated successfully
+ *         description: Check-in code retrieved successfully
+ *       409:
+ *         description: Check-in is not open for this session
+ *   delete:
+ *     summary: Close self check-in for a session
+ *     tags: [Courses]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: courseId
+ *         required: true
+ *         schema:
+ *           type: string
+ *       - in: path
+ *         name: sessionId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Check-in closed successfully
  */
-router.patch('/:courseId/toggle-status', authenticate, validateCourseId, canModifyCourse, courseController.toggleCourseStatus);
+router.post('/:courseId/attendance/sessions/:sessionId/check-in', authenticate, validateCourseId, validateAttendanceSessionId, validateCheckInWindow, attendanceController.openCheckIn);
+router.get('/:courseId/attendance/sessions/:sessionId/check-in', authenticate, validateCourseId, validateAttendanceSessionId, attendanceController.getCheckInCode);
+router.delete('/:courseId/attendance/sessions/:sessionId/check-in', authenticate, validateCourseId, validateAttendanceSessionId, attendanceController.closeCheckIn);
 
 /**
  * @swagger
- * /api/v1/courses/search:
+ * /api/v1/courses/{courseId}/sections:
  *   get:
- *     summary: Search courses
+ *     summary: List the sections of a course
  *     tags: [Courses]
  *     security:
  *       - bearerAuth: []
  *     parameters:
- *       - in: query
- *         name: q
+ *       - in: path
+ *         name: courseId
  *         required: true
  *         schema:
  *           type: string
  *       - in: query
- *         name: department
+ *         name: status
  *         schema:
  *           type: string
- *       - in: query
- *         name: semester
+ *           enum: [active, cancelled]
+ *     responses:
+ *       200:
+ *         description: Sections retrieved successfully
+ *       404:
+ *         description: Course not found
+ */
+router.get('/:courseId/sections', authenticate, validateCourseId, sectionController.getSections);
+
+/**
+ * @swagger
+ * /api/v1/courses/{courseId}/sections:
+ *   post:
+ *     summary: Add a section to a course
+ *     description: |
+ *       Each section has its own faculty, schedule, room and capacity. Once a course has
+ *       active sections, students are enrolled into a section rather than the course as a
+ *       whole. Requires the courses.manage permission, institution-wide or for the
+ *       course's department.
+ *     tags: [Courses]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: courseId
+ *         required: true
  *         schema:
  *           type: string
- *           enum: [Fall, Spring, Summer, Winter]
- *       - in: query
- *         name: year
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - code
+ *               - faculty
+ *               - maxStudents
+ *             properties:
+ *               code:
+ *                 type: string
+ *                 example: '001'
+ *               faculty:
+ *                 type: string
+ *               maxStudents:
+ *                 type: integer
+ *                 example: 100
+ *               location:
+ *                 type: object
+ *                 properties:
+ *                   building:
+ *                     type: string
+ *                   room:
+ *                     type: string
+ *               schedule:
+ *                 type: array
+ *                 items:
+ *                   type: object
+ *                   properties:
+ *                     day:
+ *                       type: string
+ *                       example: Monday
+ *                     startTime:
+ *                       type: string
+ *                       example: '09:00'
+ *                     endTime:
+ *                       type: string
+ *                       example: '10:30'
+ *                     type:
+ *                       type: string
+ *                       enum: [Lecture, Lab, Tutorial, Discussion]
+ *               clashOverrideReason:
+ *                 type: string
+ *                 description: Proceed despite timetable clashes (timetable.override_clashes permission)
+ *     responses:
+ *       201:
+ *         description: Section created successfully
+ *       403:
+ *         description: Forbidden - Missing courses.manage permission, or not allowed to override timetable clashes
+ *       409:
+ *         description: A section with this code already exists, or the faculty member or room is already booked (see error.conflicts, TimetableConflict)
+ */
+router.post('/:courseId/sections', authenticate, validateCourseId, requirePermission('courses.manage', { department: courseDepartment }), validateSectionCreation, sectionController.createSection);
+
+/**
+ * @swagger
+ * /api/v1/courses/{courseId}/sections/{sectionId}:
+ *   put:
+ *     summary: Update a section
+ *     description: |
+ *       Capacity cannot be lowered below the students already enrolled. Set `status` to
+ *       `cancelled` to close a section that already has history. Requires the
+ *       courses.manage permission, institution-wide or for the course's department.
+ *     tags: [Courses]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: courseId
+ *         required: true
  *         schema:
- *           type: integer
+ *           type: string
+ *       - in: path
+ *         name: sectionId
+ *         required: true
+ *         schema:
+ *           type: string
  *     responses:
  *       200:
- *         description: Search completed successfully
+ *         description: Section updated successfully
+ *       400:
+ *         description: Validation error or capacity below current enrollment
+ *       404:
+ *         description: Section not found in this course
+ *       409:
+ *         description: The faculty member or room is already booked at that time (see error.conflicts, TimetableConflict)
  */
-router.get('/search', authenticate, courseController.searchCourses);
+router.put('/:courseId/sections/:sectionId', authenticate, validateCourseId, requirePermission('courses.manage', { department: courseDepartment }), validateSectionUpdate, sectionController.updateSection);
 
 /**
  * @swagger
- * /api/v1/courses/{courseId}/enrollment-status:
+ * /api/v1/courses/{courseId}/sections/{sectionId}:
+ *   delete:
+ *     summary: Delete a section
+ *     description: Only sections without students, assignments or grades can be deleted; cancel the others.
+ *     tags: [Courses]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: courseId
+ *         required: true
+ *         schema:
+ *           type: string
+ *       - in: path
+ *         name: sectionId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Section deleted successfully
+ *       409:
+ *         description: The section has students, assignments or grades
+ */
+router.delete('/:courseId/sections/:sectionId', authenticate, validateCourseId, validateSectionId, requirePermission('courses.manage', { department: courseDepartment }), sectionController.deleteSection);
+
+/**
+ * @swagger
+ * /api/v1/courses/{courseId}/roll-up:
  *   get:
- *     summary: Get course enrollment status for current user
+ *     summary: Course summary across sections
+ *     description: |
+ *       Capacity, enrollment, assignment counts and grade distribution for each section
+ *       and for the course as a whole. Course-wide assignments count towards every
+ *       section. Available to the course's faculty, section faculty and holders of
+ *       courses.manage for the course's department.
  *     tags: [Courses]
  *     security:
  *       - bearerAuth: []
@@ -983,11 +2624,26 @@ router.get('/search', authenticate, courseController.searchCourses);
  *         required: true
  *         schema:
  *           type: string
+ *       - in: query
+ *         name: semester
+ *         schema:
+ *           type: integer
+ *         description: Only count grades from this semester
+ *       - in: query
+ *         name: academicYear
+ *         schema:
+ *           type: string
+ *           example: 2024-2025
+ *         description: Only count grades from this academic year
  *     responses:
  *       200:
- *         description: Enrollment status retrieved successfully
+ *         description: Course summary retrieved successfully
+ *       403:
+ *         description: Forbidden - Not teaching the course and missing courses.manage permission
+ *       404:
+ *         description: Course not found
  */
-router.get('/:courseId/enrollment-status', authenticate, validateCourseId, courseController.getEnrollmentStatus);
+router.get('/:courseId/roll-up', authenticate, validateCourseId, validateCourseRollupQuery, sectionController.getCourseRollup);
 
 /**
  * @swagger
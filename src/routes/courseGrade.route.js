@@ -1,9 +1,13 @@
 const express = require('express');
 const router = express.Router();
 const courseGradeController = require('../controllers/courseGrade.controller');
-const { authenticate, authorize } = require('../middleware/auth.middleware');
+const { authenticate, authorize, requirePermission } = require('../middleware/auth.middleware');
+const permissionService = require('../services/permission.service');
 const { validateCourseGrade, validateCourseGradeUpdate } = require('../validation/courseGrade.validation');
 
+// Department of the grade's course, so department heads can approve grades in their department
+const gradeDepartment = (req) => permissionService.getCourseGradeDepartment(req.params.gradeId);
+
 /**
  * @swagger
  * components:
@@ -180,6 +184,11 @@ router.get('/faculty',
  *           type: string
  *         description: Academic year filter
  *       - in: query
+ *         name: section
+ *         schema:
+ *           type: string
+ *         description: Section ID filter. Section faculty only ever see their own sections
+ *       - in: query
  *         name: status
  *         schema:
  *           type: string
@@ -191,7 +200,7 @@ router.get('/faculty',
  *       401:
  *         description: Unauthorized
  *       403:
- *         description: Forbidden - faculty can only view grades for their own courses
+ *         description: Forbidden - faculty can only view grades for their own courses or sections
  *       404:
  *         description: Course not found
  */
@@ -274,6 +283,74 @@ router.post('/:gradeId/submit',
   courseGradeController.submitCourseGrade
 );
 
+/**
+ * @swagger
+ * /api/v1/course-grades/{gradeId}/approve:
+ *   post:
+ *     summary: Approve a submitted course grade
+ *     description: Requires the grades.approve permission, institution-wide or for the course's department.
+ *     tags: [Course Grades]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: gradeId
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Course grade ID
+ *     responses:
+ *       200:
+ *         description: Course grade approved successfully
+ *       400:
+ *         description: Grade has not been submitted
+ *       401:
+ *         description: Unauthorized
+ *       403:
+ *         description: Forbidden - Missing grades.approve permission
+ *       404:
+ *         description: Grade not found
+ */
+router.post('/:gradeId/approve',
+  authenticate,
+  requirePermission('grades.approve', { department: gradeDepartment }),
+  courseGradeController.approveCourseGrade
+);
+
+/**
+ * @swagger
+ * /api/v1/course-grades/{gradeId}/finalize:
+ *   post:
+ *     summary: Finalize an approved course grade
+ *     description: Requires the grades.finalize permission, institution-wide or for the course's department.
+ *     tags: [Course Grades]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: gradeId
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Course grade ID
+ *     responses:
+ *       200:
+ *         description: Course grade finalized successfully
+ *       400:
+ *         description: Grade has not been approved
+ *       401:
+ *         description: Unauthorized
+ *       403:
+ *         description: Forbidden - Missing grades.finalize permission
+ *       404:
+ *         description: Grade not found
+ */
+router.post('/:gradeId/finalize',
+  authenticate,
+  requirePermission('grades.finalize', { department: gradeDepartment }),
+  courseGradeController.finalizeCourseGrade
+);
+
 /**
  * @swagger
  * /api/v1/course-grades/course/{courseId}/bulk-submit:
@@ -8,6 +8,8 @@ const {
   validateEnrollmentId,
   validateEnrollmentQuery,
   validateCourseEnrollment,
+  validateSectionChange,
+  validatePrerequisiteWaiver,
   validateEnrollmentStatusUpdate,
   validateGPAUpdate,
   validateDocumentUpload,
@@ -160,7 +162,7 @@ const {
 router.post(
   '/',
   authenticate,
-  authorize(['admin', 'faculty']),
+  authorize(['admin', 'faculty'], { permission: 'enrollments.manage' }),
   validateEnrollmentCreation,
   enrollmentController.createEnrollment
 );
@@ -271,7 +273,7 @@ router.post(
 router.get(
   '/',
   authenticate,
-  authorize(['admin', 'faculty', 'student']),
+  authorize(['admin', 'faculty', 'student'], { permission: 'enrollments.manage' }),
   validateEnrollmentQuery,
   enrollmentController.getEnrollments
 );
@@ -313,7 +315,7 @@ router.get(
 router.get(
   '/:id',
   authenticate,
-  authorize(['admin', 'faculty', 'student']),
+  authorize(['admin', 'faculty', 'student'], { permission: 'enrollments.manage' }),
   validateEnrollmentId,
   enrollmentController.getEnrollmentById
 );
@@ -363,7 +365,7 @@ router.get(
 router.put(
   '/:id',
   authenticate,
-  authorize(['admin', 'faculty']),
+  authorize(['admin', 'faculty'], { permission: 'enrollments.manage' }),
   validateEnrollmentId,
   validateEnrollmentUpdate,
   enrollmentController.updateEnrollment
@@ -404,7 +406,7 @@ router.put(
 router.delete(
   '/:id',
   authenticate,
-  authorize(['admin']),
+  authorize(['admin'], { permission: 'enrollments.manage' }),
   validateEnrollmentId,
   enrollmentController.deleteEnrollment
 );
@@ -436,11 +438,38 @@ router.delete(
  *               courseId:
  *                 type: string
  *                 description: Course ID to add
+ *               sectionId:
+ *                 type: string
+ *                 description: Section to join; required when the course is taught in sections
+ *               clashOverrideReason:
+ *                 type: string
+ *                 description: Proceed despite timetable clashes (timetable.override_clashes permission)
  *     responses:
  *       200:
  *         description: Course added to enrollment successfully
  *       400:
- *         description: Student cannot enroll in this course
+ *         description: Student cannot enroll in this course, is missing prerequisites (see error.missingPrerequisites), or a section is required
+ *       403:
+ *         description: Not allowed to override timetable clashes
+ *       409:
+ *         description: The section is full, or the course clashes with the student's timetable (see error.conflicts)
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                   example: false
+ *                 message:
+ *                   type: string
+ *                 error:
+ *                   type: object
+ *                   properties:
+ *                     conflicts:
+ *                       type: array
+ *                       items:
+ *                         $ref: '#/components/schemas/TimetableConflict'
  *       404:
  *         description: Enrollment or course not found
  *       401:
@@ -449,7 +478,7 @@ router.delete(
 router.post(
   '/:id/courses',
   authenticate,
-  authorize(['admin', 'faculty']),
+  authorize(['admin', 'faculty'], { permission: 'enrollments.manage' }),
   validateEnrollmentId,
   validateCourseEnrollment,
   enrollmentController.addCourseToEnrollment
@@ -492,6 +521,229 @@ router.delete(
   enrollmentController.removeCourseFromEnrollment
 );
 
+/**
+ * @swagger
+ * /api/enrollments/{id}/courses/{courseId}/section:
+ *   patch:
+ *     summary: Move the student to another section of an enrolled course
+ *     description: Takes a seat in the new section and gives back the seat in the old one.
+ *     tags: [Enrollments]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Enrollment ID
+ *       - in: path
+ *         name: courseId
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Course ID
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - sectionId
+ *             properties:
+ *               sectionId:
+ *                 type: string
+ *               clashOverrideReason:
+ *                 type: string
+ *                 description: Proceed despite timetable clashes (timetable.override_clashes permission)
+ *     responses:
+ *       200:
+ *         description: Section changed successfully
+ *       400:
+ *         description: The student is not enrolled in the course or is already in the section
+ *       403:
+ *         description: Not allowed to override timetable clashes
+ *       404:
+ *         description: Enrollment or section not found
+ *       409:
+ *         description: The section is full, or it clashes with the student's timetable (see error.conflicts)
+ */
+router.patch(
+  '/:id/courses/:courseId/section',
+  authenticate,
+  authorize(['admin', 'faculty']),
+  validateEnrollmentId,
+  validateSectionChange,
+  enrollmentController.changeSection
+);
+
+/**
+ * @swagger
+ * /api/enrollments/{id}/prerequisites/{courseId}:
+ *   get:
+ *     summary: Check the student against the prerequisites of a course
+ *     description: |
+ *       Compares the prerequisites of the course with the student's final course grades.
+ *       Prerequisites that share a group are alternatives. Returns the missing, recommended
+ *       and satisfied requirements, any waiver recorded on the enrollment, and an
+ *       explanation of what is missing. Students can only check their own enrollments.
+ *     tags: [Enrollments]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Enrollment ID
+ *       - in: path
+ *         name: courseId
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Course ID
+ *     responses:
+ *       200:
+ *         description: Prerequisites checked successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 data:
+ *                   type: object
+ *                   properties:
+ *                     canEnroll:
+ *                       type: boolean
+ *                     missingPrerequisites:
+ *                       type: array
+ *                       items:
+ *                         $ref: '#/components/schemas/PrerequisiteRequirement'
+ *                     recommendedPrerequisites:
+ *                       type: array
+ *                       items:
+ *                         $ref: '#/components/schemas/PrerequisiteRequirement'
+ *                     satisfiedPrerequisites:
+ *                       type: array
+ *                       items:
+ *                         $ref: '#/components/schemas/PrerequisiteRequirement'
+ *                     waiver:
+ *                       type: object
+ *                       nullable: true
+ *                     message:
+ *                       type: string
+ *                       nullable: true
+ *                       example: 'Missing prerequisites for CS301: CS201 with C or better (final grade D); one of MATH101 with B or better or MATH110 with a passing grade'
+ *       403:
+ *         description: Students can only check their own enrollment
+ *       404:
+ *         description: Enrollment or course not found
+ */
+router.get(
+  '/:id/prerequisites/:courseId',
+  authenticate,
+  authorize(['admin', 'faculty', 'student']),
+  validateEnrollmentId,
+  enrollmentController.checkCoursePrerequisites
+);
+
+/**
+ * @swagger
+ * components:
+ *   schemas:
+ *     PrerequisiteRequirement:
+ *       type: object
+ *       description: One prerequisite, or a group of alternatives of which any one is enough
+ *       properties:
+ *         group:
+ *           type: string
+ *           nullable: true
+ *         met:
+ *           type: boolean
+ *         options:
+ *           type: array
+ *           items:
+ *             type: object
+ *             properties:
+ *               course:
+ *                 type: object
+ *                 properties:
+ *                   _id:
+ *                     type: string
+ *                   code:
+ *                     type: string
+ *                   name:
+ *                     type: string
+ *               minimumGrade:
+ *                 type: string
+ *                 enum: [A, B, C, D, Pass]
+ *               met:
+ *                 type: boolean
+ *               grade:
+ *                 type: string
+ *                 nullable: true
+ *                 description: Best final grade the student has in the course
+ */
+
+/**
+ * @swagger
+ * /api/enrollments/{id}/prerequisite-waivers:
+ *   post:
+ *     summary: Waive the missing prerequisites of a course for the student
+ *     description: |
+ *       Lets the student enroll in the course without meeting its prerequisites. Only the
+ *       student's advisor or holders of the enrollments.waive_prerequisites permission can
+ *       grant a waiver. The waiver, the prerequisites it covers and the reason are recorded
+ *       on the enrollment.
+ *     tags: [Enrollments]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Enrollment ID
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - courseId
+ *               - reason
+ *             properties:
+ *               courseId:
+ *                 type: string
+ *               reason:
+ *                 type: string
+ *                 minLength: 5
+ *                 maxLength: 400
+ *     responses:
+ *       201:
+ *         description: Prerequisites waived successfully
+ *       400:
+ *         description: Validation error, or the student already meets the prerequisites
+ *       403:
+ *         description: Not the student's advisor and missing enrollments.waive_prerequisites
+ *       404:
+ *         description: Enrollment or course not found
+ *       409:
+ *         description: The prerequisites of this course are already waived
+ */
+router.post(
+  '/:id/prerequisite-waivers',
+  authenticate,
+  authorize(['admin', 'faculty']),
+  validateEnrollmentId,
+  validatePrerequisiteWaiver,
+  enrollmentController.waivePrerequisites
+);
+
 /**
  * @swagger
  * /api/enrollments/{id}/status:
@@ -764,7 +1016,7 @@ router.get(
 router.get(
   '/program/:programId',
   authenticate,
-  authorize(['admin', 'faculty']),
+  authorize(['admin', 'faculty'], { permission: 'enrollments.manage' }),
   enrollmentController.getEnrollmentsByProgram
 );
 
@@ -832,7 +1084,7 @@ router.get(
 router.get(
   '/stats',
   authenticate,
-  authorize(['admin', 'faculty']),
+  authorize(['admin', 'faculty'], { permission: 'enrollments.manage' }),
   enrollmentController.getEnrollmentStats
 );
 
@@ -880,7 +1132,7 @@ router.get(
 router.post(
   '/bulk',
   authenticate,
-  authorize(['admin']),
+  authorize(['admin'], { permission: 'enrollments.manage' }),
   validateBulkEnrollmentOperation,
   enrollmentController.bulkEnrollmentOperation
 );
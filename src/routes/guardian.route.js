@@ -0,0 +1,269 @@
+const express = require('express');
+const router = express.Router();
+const guardianController = require('../controllers/guardian.controller');
+const { authenticate, authorize, requirePermission } = require('../middleware/auth.middleware');
+const permissionService = require('../services/permission.service');
+const {
+  validateGuardianLinkCreation,
+  validateGuardianLinkQuery,
+  validateGuardianConsent,
+  validateLinkedStudentId
+} = require('../validation/guardian.validation');
+
+// Department of the student being linked, so department-scoped grants can link their own students
+const linkedStudentDepartment = (req) => permissionService.getUserDepartment(req.body.studentId);
+
+const requireGuardian = authorize('guardian');
+
+/**
+ * @swagger
+ * /api/v1/guardians/links:
+ *   get:
+ *     summary: List guardian links
+ *     tags: [Guardians]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: guardian
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: student
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: status
+ *         schema:
+ *           type: string
+ *           enum: [pending, active, revoked]
+ *     responses:
+ *       200:
+ *         description: Guardian links retrieved successfully
+ *       403:
+ *         description: Forbidden - Missing guardians.manage permission
+ */
+router.get('/links', authenticate, requirePermission('guardians.manage'), validateGuardianLinkQuery, guardianController.getLinks);
+
+/**
+ * @swagger
+ * /api/v1/guardians/links:
+ *   post:
+ *     summary: Link a guardian account to a student
+ *     description: |
+ *       The link stays pending until the student consents, unless `consentGiven` records
+ *       consent obtained by the administration (e.g. a signed form referenced in
+ *       `consentNote`). Requires the guardians.manage permission, institution-wide or
+ *       for the student's department.
+ *     tags: [Guardians]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - guardianId
+ *               - studentId
+ *             properties:
+ *               guardianId:
+ *                 type: string
+ *               studentId:
+ *                 type: string
+ *               relationship:
+ *                 type: string
+ *                 enum: [parent, legal_guardian, sponsor, other]
+ *                 default: parent
+ *               consentGiven:
+ *                 type: boolean
+ *                 default: false
+ *               consentNote:
+ *                 type: string
+ *                 example: Consent form CF-2024-031 signed by the student
+ *     responses:
+ *       201:
+ *         description: Guardian linked successfully
+ *       400:
+ *         description: The users are not a guardian and a student
+ *       409:
+ *         description: Guardian is already linked to this student
+ */
+router.post('/links', authenticate, validateGuardianLinkCreation, requirePermission('guardians.manage', { department: linkedStudentDepartment }), guardianController.createLink);
+
+/**
+ * @swagger
+ * /api/v1/guardians/links/mine:
+ *   get:
+ *     summary: List your guardian links
+ *     description: Students see their guardians; guardians see the students they are linked to, including pending and revoked links.
+ *     tags: [Guardians]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Guardian links retrieved successfully
+ *       403:
+ *         description: Forbidden - Students and guardians only
+ */
+router.get('/links/mine', authenticate, authorize(['student', 'guardian']), guardianController.getOwnLinks);
+
+/**
+ * @swagger
+ * /api/v1/guardians/links/{linkId}/consent:
+ *   patch:
+ *     summary: Grant or withdraw consent for a guardian link
+ *     description: |
+ *       The linked student can always grant or withdraw consent. Other users need the
+ *       guardians.manage permission for the student's department. Withdrawing consent
+ *       revokes the guardian's access immediately.
+ *     tags: [Guardians]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: linkId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - granted
+ *             properties:
+ *               granted:
+ *                 type: boolean
+ *               note:
+ *                 type: string
+ *     responses:
+ *       200:
+ *         description: Consent updated successfully
+ *       403:
+ *         description: Forbidden - Not the student and missing guardians.manage permission
+ *       404:
+ *         description: Guardian link not found
+ */
+router.patch('/links/:linkId/consent', authenticate, validateGuardianConsent, guardianController.setConsent);
+
+/**
+ * @swagger
+ * /api/v1/guardians/students:
+ *   get:
+ *     summary: List the students you are linked to (guardians only)
+ *     tags: [Guardians]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Linked students retrieved successfully
+ *       403:
+ *         description: Forbidden - Guardians only
+ */
+router.get('/students', authenticate, requireGuardian, guardianController.getLinkedStudents);
+
+/**
+ * @swagger
+ * /api/v1/guardians/students/{studentId}/grades:
+ *   get:
+ *     summary: Get a linked student's final course grades (guardians only)
+ *     tags: [Guardians]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: studentId
+ *         required: true
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: semester
+ *         schema:
+ *           type: integer
+ *       - in: query
+ *         name: academicYear
+ *         schema:
+ *           type: string
+ *           example: 2024-2025
+ *     responses:
+ *       200:
+ *         description: Course grades retrieved successfully
+ *       403:
+ *         description: Forbidden - Not actively linked to this student
+ */
+router.get('/students/:studentId/grades', authenticate, requireGuardian, validateLinkedStudentId, guardianController.getStudentGrades);
+
+/**
+ * @swagger
+ * /api/v1/guardians/students/{studentId}/submissions:
+ *   get:
+ *     summary: Get a linked student's submission statuses (guardians only)
+ *     tags: [Guardians]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: studentId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Submissions retrieved successfully
+ *       403:
+ *         description: Forbidden - Not actively linked to this student
+ */
+router.get('/students/:studentId/submissions', authenticate, requireGuardian, validateLinkedStudentId, guardianController.getStudentSubmissions);
+
+/**
+ * @swagger
+ * /api/v1/guardians/students/{studentId}/enrollments:
+ *   get:
+ *     summary: Get a linked student's enrollments and financial status (guardians only)
+ *     tags: [Guardians]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: studentId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Enrollments retrieved successfully
+ *       403:
+ *         description: Forbidden - Not actively linked to this student
+ */
+router.get('/students/:studentId/enrollments', authenticate, requireGuardian, validateLinkedStudentId, guardianController.getStudentEnrollments);
+
+/**
+ * @swagger
+ * /api/v1/guardians/notices:
+ *   get:
+ *     summary: Get published notices addressed to guardians (guardians only)
+ *     tags: [Guardians]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: page
+ *         schema:
+ *           type: integer
+ *           default: 1
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           default: 20
+ *     responses:
+ *       200:
+ *         description: Notices retrieved successfully
+ */
+router.get('/notices', authenticate, requireGuardian, guardianController.getNotices);
+
+module.exports = router;
@@ -0,0 +1,190 @@
+const express = require('express');
+const router = express.Router();
+const roleController = require('../controllers/role.controller');
+const { authenticate, requirePermission } = require('../middleware/auth.middleware');
+const {
+  validateRoleCreation,
+  validateRoleUpdate,
+  validateRoleId
+} = require('../validation/role.validation');
+
+/**
+ * @swagger
+ * components:
+ *   schemas:
+ *     Role:
+ *       type: object
+ *       properties:
+ *         name:
+ *           type: string
+ *           description: Unique identifier (lowercase letters, numbers and underscores)
+ *           example: department_head
+ *         displayName:
+ *           type: string
+ *           example: Department Head
+ *         description:
+ *           type: string
+ *         permissions:
+ *           type: array
+ *           items:
+ *             type: string
+ *           description: Permission names, `<area>.*` patterns or `*`
+ *           example: [grades.approve, users.deactivate]
+ *         isSystem:
+ *           type: boolean
+ *           description: Built-in roles cannot be renamed or deleted
+ */
+
+/**
+ * @swagger
+ * /api/v1/roles/permissions:
+ *   get:
+ *     summary: List the permission catalogue
+ *     tags: [Roles]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Permissions retrieved successfully
+ *       403:
+ *         description: Forbidden - Missing roles.manage permission
+ */
+router.get('/permissions', authenticate, requirePermission('roles.manage'), roleController.getPermissions);
+
+/**
+ * @swagger
+ * /api/v1/roles:
+ *   get:
+ *     summary: List roles with the number of users holding each
+ *     tags: [Roles]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Roles retrieved successfully
+ *       403:
+ *         description: Forbidden - Missing roles.manage permission
+ */
+router.get('/', authenticate, requirePermission('roles.manage'), roleController.getRoles);
+
+/**
+ * @swagger
+ * /api/v1/roles:
+ *   post:
+ *     summary: Create a role
+ *     tags: [Roles]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - name
+ *               - displayName
+ *               - permissions
+ *             properties:
+ *               name:
+ *                 type: string
+ *               displayName:
+ *                 type: string
+ *               description:
+ *                 type: string
+ *               permissions:
+ *                 type: array
+ *                 items:
+ *                   type: string
+ *     responses:
+ *       201:
+ *         description: Role created successfully
+ *       400:
+ *         description: Validation error
+ *       403:
+ *         description: Forbidden - Missing roles.manage permission
+ *       409:
+ *         description: Role with this name already exists
+ */
+router.post('/', authenticate, requirePermission('roles.manage'), validateRoleCreation, roleController.createRole);
+
+/**
+ * @swagger
+ * /api/v1/roles/{roleId}:
+ *   get:
+ *     summary: Get a role by ID
+ *     tags: [Roles]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: roleId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Role retrieved successfully
+ *       404:
+ *         description: Role not found
+ */
+router.get('/:roleId', authenticate, requirePermission('roles.manage'), validateRoleId, roleController.getRoleById);
+
+/**
+ * @swagger
+ * /api/v1/roles/{roleId}:
+ *   put:
+ *     summary: Update a role
+ *     description: Changes to permissions take effect on the next request of every user holding the role.
+ *     tags: [Roles]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: roleId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/Role'
+ *     responses:
+ *       200:
+ *         description: Role updated successfully
+ *       400:
+ *         description: Validation error or system role renamed
+ *       404:
+ *         description: Role not found
+ */
+router.put('/:roleId', authenticate, requirePermission('roles.manage'), validateRoleUpdate, roleController.updateRole);
+
+/**
+ * @swagger
+ * /api/v1/roles/{roleId}:
+ *   delete:
+ *     summary: Delete a role that is not assigned to anyone
+ *     tags: [Roles]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: roleId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Role deleted successfully
+ *       400:
+ *         description: System roles cannot be deleted
+ *       404:
+ *         description: Role not found
+ *       409:
+ *         description: Role is still assigned to users
+ */
+router.delete('/:roleId', authenticate, requirePermission('roles.manage'), validateRoleId, roleController.deleteRole);
+
+module.exports = router;
@@ -0,0 +1,257 @@
+const express = require('express');
+const router = express.Router();
+const serviceAccountController = require('../controllers/serviceAccount.controller');
+const { authenticate, requirePermission } = require('../middleware/auth.middleware');
+const {
+  validateServiceAccountCreation,
+  validateServiceAccountUpdate,
+  validateServiceAccountId,
+  validateApiKeyCreation,
+  validateApiKeyRotation,
+  validateApiKeyId
+} = require('../validation/serviceAccount.validation');
+
+/**
+ * @swagger
+ * components:
+ *   schemas:
+ *     ApiKey:
+ *       type: object
+ *       properties:
+ *         name:
+ *           type: string
+ *         prefix:
+ *           type: string
+ *           description: Visible start of the key
+ *           example: sck_1a2b3c4d
+ *         scopes:
+ *           type: array
+ *           items:
+ *             type: string
+ *           description: Permission names or `<area>.*` patterns
+ *           example: [users.read, users.create]
+ *         department:
+ *           type: string
+ *           description: Limits the scopes to one department
+ *         expiresAt:
+ *           type: string
+ *           format: date-time
+ *         lastUsedAt:
+ *           type: string
+ *           format: date-time
+ *         lastUsedIp:
+ *           type: string
+ *         revokedAt:
+ *           type: string
+ *           format: date-time
+ */
+
+/**
+ * @swagger
+ * /api/v1/service-accounts:
+ *   get:
+ *     summary: List service accounts
+ *     tags: [Service Accounts]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Service accounts retrieved successfully
+ *       403:
+ *         description: Forbidden - Missing service_accounts.manage permission
+ */
+router.get('/', authenticate, requirePermission('service_accounts.manage'), serviceAccountController.getServiceAccounts);
+
+/**
+ * @swagger
+ * /api/v1/service-accounts:
+ *   post:
+ *     summary: Create a service account
+ *     tags: [Service Accounts]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - name
+ *             properties:
+ *               name:
+ *                 type: string
+ *                 example: sis-sync
+ *               description:
+ *                 type: string
+ *     responses:
+ *       201:
+ *         description: Service account created successfully
+ *       409:
+ *         description: Name already in use
+ */
+router.post('/', authenticate, requirePermission('service_accounts.manage'), validateServiceAccountCreation, serviceAccountController.createServiceAccount);
+
+/**
+ * @swagger
+ * /api/v1/service-accounts/{accountId}:
+ *   get:
+ *     summary: Get a service account with its API keys
+ *     tags: [Service Accounts]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: accountId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Service account retrieved successfully
+ *       404:
+ *         description: Service account not found
+ */
+router.get('/:accountId', authenticate, requirePermission('service_accounts.manage'), validateServiceAccountId, serviceAccountController.getServiceAccountById);
+
+/**
+ * @swagger
+ * /api/v1/service-accounts/{accountId}:
+ *   patch:
+ *     summary: Update or deactivate a service account
+ *     description: Deactivating an account revokes all of its keys.
+ *     tags: [Service Accounts]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: accountId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               description:
+ *                 type: string
+ *               isActive:
+ *                 type: boolean
+ *     responses:
+ *       200:
+ *         description: Service account updated successfully
+ */
+router.patch('/:accountId', authenticate, requirePermission('service_accounts.manage'), validateServiceAccountUpdate, serviceAccountController.updateServiceAccount);
+
+/**
+ * @swagger
+ * /api/v1/service-accounts/{accountId}/keys:
+ *   post:
+ *     summary: Create an API key
+ *     description: The key is returned once in this response. Send it as `Authorization Bearer <key>` or `X-API-Key`. You can only grant scopes you hold yourself.
+ *     tags: [Service Accounts]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: accountId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - name
+ *               - scopes
+ *             properties:
+ *               name:
+ *                 type: string
+ *               scopes:
+ *                 type: array
+ *                 items:
+ *                   type: string
+ *               department:
+ *                 type: string
+ *               expiresInDays:
+ *                 type: integer
+ *     responses:
+ *       201:
+ *         description: API key created
+ *       400:
+ *         description: Scope cannot be given to a key, or expiry too long
+ *       403:
+ *         description: Scopes the caller does not hold
+ */
+router.post('/:accountId/keys', authenticate, requirePermission('service_accounts.manage'), validateApiKeyCreation, serviceAccountController.createApiKey);
+
+/**
+ * @swagger
+ * /api/v1/service-accounts/{accountId}/keys/{keyId}/rotate:
+ *   post:
+ *     summary: Rotate an API key
+ *     description: Issues a new key with the same scopes. The old key keeps working for the grace period (API_KEY_ROTATION_GRACE_HOURS unless given).
+ *     tags: [Service Accounts]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: accountId
+ *         required: true
+ *         schema:
+ *           type: string
+ *       - in: path
+ *         name: keyId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               expiresInDays:
+ *                 type: integer
+ *               gracePeriodHours:
+ *                 type: integer
+ *                 minimum: 0
+ *                 maximum: 168
+ *     responses:
+ *       201:
+ *         description: API key rotated
+ */
+router.post('/:accountId/keys/:keyId/rotate', authenticate, requirePermission('service_accounts.manage'), validateApiKeyRotation, serviceAccountController.rotateApiKey);
+
+/**
+ * @swagger
+ * /api/v1/service-accounts/{accountId}/keys/{keyId}:
+ *   delete:
+ *     summary: Revoke an API key
+ *     tags: [Service Accounts]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: accountId
+ *         required: true
+ *         schema:
+ *           type: string
+ *       - in: path
+ *         name: keyId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: API key revoked successfully
+ */
+router.delete('/:accountId/keys/:keyId', authenticate, requirePermission('service_accounts.manage'), validateApiKeyId, serviceAccountController.revokeApiKey);
+
+module.exports = router;
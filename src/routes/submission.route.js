@@ -601,7 +601,7 @@ router.delete(
  *       401:
  *         description: Unauthorized
  *       403:
- *         description: Forbidden - only faculty can grade
+ *         description: Forbidden - only the assignment's faculty or course staff who grade
  *       404:
  *         description: Submission not found
  */
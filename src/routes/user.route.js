@@ -1,16 +1,34 @@
 const express = require('express');
 const router = express.Router();
 const userController = require('../controllers/user.controller');
-const { authenticate, requireAdmin, canAccessOwnResource, authenticateAdmin } = require('../middleware/auth.middleware');
+const roleController = require('../controllers/role.controller');
+const { authenticate, requireAdmin, requirePermission, canAccessOwnResource, authenticateAdmin } = require('../middleware/auth.middleware');
+const permissionService = require('../services/permission.service');
+const userExportService = require('../services/userExport.service');
+const { handleSpreadsheetUpload } = require('../middleware/upload.middleware');
 const { ResponseHandler } = require('../utils/responseHandler');
 const {
   validateUserRegistration,
   validateUserUpdate,
   validateUserId,
   validateUserQuery,
+  validateUserExport,
+  validateUserImport,
+  validateImpersonation,
+  validatePersonalDataExport,
+  validatePersonalDataErasure,
+  validateAvatarQuery,
+  validateAvatarModeration,
   validateAdminRegistration,
   validateBulkUserCreation
 } = require('../validation/user.validation');
+const { validateRoleAssignment, validateAssignmentId } = require('../validation/role.validation');
+
+// Department of the target user, so department-scoped roles can act on their own department's users
+const targetUserDepartment = (req) => permissionService.getUserDepartment(req.params.userId);
+
+// Department being exported, so department-scoped grants can export their own department
+const exportDepartment = (req) => userExportService.resolveDepartment(req.query.department);
 
 /**
  * @swagger
@@ -35,7 +53,7 @@ const {
  *         name: role
  *         schema:
  *           type: string
- *           enum: [admin, faculty, student]
+ *           enum: [admin, faculty, student, guardian]
  *       - in: query
  *         name: department
  *         schema:
@@ -54,6 +72,103 @@ const {
  */
 router.get('/', authenticate, requireAdmin, validateUserQuery, userController.getUsers);
 
+/**
+ * @swagger
+ * /api/v1/users/export:
+ *   get:
+ *     summary: Export users (CSV/XLSX/JSON)
+ *     description: >
+ *       Streams every matching user without buffering the collection. Requires the
+ *       users.export permission; department-scoped grants may export their own
+ *       department by passing it as the department filter.
+ *     tags: [Users]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: format
+ *         schema:
+ *           type: string
+ *           enum: [json, csv, xlsx]
+ *           default: json
+ *       - in: query
+ *         name: role
+ *         schema:
+ *           type: string
+ *           enum: [admin, faculty, student, guardian]
+ *       - in: query
+ *         name: department
+ *         schema:
+ *           type: string
+ *         description: Department ID, code or name
+ *       - in: query
+ *         name: status
+ *         schema:
+ *           type: string
+ *           enum: [active, inactive, all]
+ *           default: active
+ *       - in: query
+ *         name: columns
+ *         schema:
+ *           type: string
+ *         description: >
+ *           Comma-separated columns from id, identifier, firstName, lastName, email, role,
+ *           studentId, facultyId, department, departmentCode, phone, isActive,
+ *           isEmailVerified, lastLogin, createdAt. Defaults to identifier, firstName,
+ *           lastName, email, role, department, isActive, createdAt.
+ *     responses:
+ *       200:
+ *         description: Users exported successfully
+ *         content:
+ *           text/csv: {}
+ *           application/vnd.openxmlformats-officedocument.spreadsheetml.sheet: {}
+ *           application/json: {}
+ *       400:
+ *         description: Validation error or unknown column
+ *       403:
+ *         description: Forbidden - Missing users.export permission
+ *       404:
+ *         description: Department not found
+ */
+router.get('/export', authenticate, validateUserExport, requirePermission('users.export', { department: exportDepartment }), userController.exportUsers);
+
+/**
+ * @swagger
+ * /api/v1/users/avatars:
+ *   get:
+ *     summary: List avatars for moderation
+ *     description: |
+ *       `pending` lists uploads awaiting approval, oldest first (only used when
+ *       AVATAR_REQUIRE_APPROVAL is on). `active` lists the avatars currently shown,
+ *       newest first. Requires the users.moderate_avatars permission institution-wide.
+ *     tags: [Users]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: status
+ *         schema:
+ *           type: string
+ *           enum: [pending, active]
+ *           default: pending
+ *       - in: query
+ *         name: page
+ *         schema:
+ *           type: integer
+ *           default: 1
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           default: 20
+ *     responses:
+ *       200:
+ *         description: Avatars retrieved successfully
+ *       403:
+ *         description: Forbidden - Missing users.moderate_avatars permission
+ */
+router.get('/avatars', authenticate, validateAvatarQuery, requirePermission('users.moderate_avatars'), userController.getAvatars);
+
 /**
  * @swagger
  * /api/v1/users/{userId}:
@@ -106,7 +221,7 @@ router.get('/:userId', authenticate, validateUserId, canAccessOwnResource('userI
  *                 type: string
  *               role:
  *                 type: string
- *                 enum: [admin, faculty, student]
+ *                 enum: [admin, faculty, student, guardian]
  *     responses:
  *       201:
  *         description: User created successfully
@@ -149,7 +264,7 @@ router.post('/', authenticate, requireAdmin, validateUserRegistration, userContr
  *                       description: User's last name
  *                     role:
  *                       type: string
- *                       enum: [admin, faculty, student]
+ *                       enum: [admin, faculty, student, guardian]
  *                       description: User's role
  *                     department:
  *                       type: string
@@ -190,11 +305,72 @@ router.post('/', authenticate, requireAdmin, validateUserRegistration, userContr
  */
 router.post('/bulk', authenticate, requireAdmin, validateBulkUserCreation, userController.createBulkUsers);
 
+/**
+ * @swagger
+ * /api/v1/users/import:
+ *   post:
+ *     summary: Create students or faculty from a CSV/XLSX file
+ *     description: >
+ *       Columns (header names are case-insensitive): First Name, Last Name, Email,
+ *       Role, Student ID, Faculty ID, Department (code) and Phone. First and last
+ *       name are required; rows without an email get a generated campus address.
+ *       A dry run (the default) returns per-row validation errors without creating
+ *       anything. A commit (dryRun=false) is refused if any row is invalid, and
+ *       otherwise returns a credentials sheet with each user's temporary password.
+ *     tags: [Users]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: dryRun
+ *         schema:
+ *           type: boolean
+ *           default: true
+ *       - in: query
+ *         name: role
+ *         schema:
+ *           type: string
+ *           enum: [student, faculty]
+ *         description: Role for rows that do not have a Role column
+ *       - in: query
+ *         name: credentialsFormat
+ *         schema:
+ *           type: string
+ *           enum: [xlsx, csv]
+ *           default: xlsx
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         multipart/form-data:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - file
+ *             properties:
+ *               file:
+ *                 type: string
+ *                 format: binary
+ *     responses:
+ *       200:
+ *         description: Dry run report with per-row errors
+ *       201:
+ *         description: Users created; the body is the credentials sheet
+ *         content:
+ *           application/vnd.openxmlformats-officedocument.spreadsheetml.sheet: {}
+ *           text/csv: {}
+ *       400:
+ *         description: Invalid file, or rows with validation errors (report in `error`)
+ *       403:
+ *         description: Forbidden - Missing users.create permission
+ */
+router.post('/import', authenticate, requirePermission('users.create'), validateUserImport, handleSpreadsheetUpload('file'), userController.importUsers);
+
 /**
  * @swagger
  * /api/v1/users/admin:
  *   post:
  *     summary: Create new admin account (Super Admin only)
+ *     description: Requires users.create_admin. The legacy x-admin-token header is still accepted but deprecated; use a service account API key instead.
  *     tags: [Users]
  *     security:
  *       - bearerAuth: []
@@ -240,7 +416,7 @@ router.post('/bulk', authenticate, requireAdmin, validateBulkUserCreation, userC
  *       403:
  *         description: Forbidden - Insufficient permissions
  */
-router.post('/admin', authenticateAdmin, validateAdminRegistration, userController.createAdmin);
+router.post('/admin', authenticateAdmin, requirePermission('users.create_admin'), validateAdminRegistration, userController.createAdmin);
 
 /**
  * @swagger
@@ -273,11 +449,22 @@ router.post('/admin', authenticateAdmin, validateAdminRegistration, userControll
  *                 type: string
  *               phone:
  *                 type: string
+ *               role:
+ *                 type: string
+ *                 description: Admin only
+ *               studentId:
+ *                 type: string
+ *                 description: Admin only
+ *               facultyId:
+ *                 type: string
+ *                 description: Admin only
  *               isActive:
  *                 type: boolean
  *     responses:
  *       200:
  *         description: User updated successfully
+ *       400:
+ *         description: Validation error or a field that cannot be changed here
  *       404:
  *         description: User not found
  */
@@ -319,7 +506,7 @@ router.delete('/:userId', authenticate, requireAdmin, validateUserId, userContro
  *         required: true
  *         schema:
  *           type: string
- *           enum: [admin, faculty, student]
+ *           enum: [admin, faculty, student, guardian]
  *     responses:
  *       200:
  *         description: Users retrieved successfully
@@ -384,14 +571,19 @@ router.get('/stats', authenticate, requireAdmin, userController.getUserStats);
  *     responses:
  *       200:
  *         description: User status updated successfully
+ *       400:
+ *         description: Admin accounts and your own account cannot be deactivated
+ *       403:
+ *         description: Requires users.deactivate for the user's department, or institution-wide for admin accounts
  */
-router.patch('/:userId/toggle-status', authenticate, requireAdmin, validateUserId, userController.toggleUserStatus);
+router.patch('/:userId/toggle-status', authenticate, validateUserId, requirePermission('users.deactivate', { department: targetUserDepartment }), userController.toggleUserStatus);
 
 /**
  * @swagger
  * /api/v1/users/{userId}/deactivate:
  *   patch:
- *     summary: Deactivate user (admin only)
+ *     summary: Deactivate user
+ *     description: Requires the users.deactivate permission, institution-wide or for the user's department.
  *     tags: [Users]
  *     security:
  *       - bearerAuth: []
@@ -411,15 +603,16 @@ router.patch('/:userId/toggle-status', authenticate, requireAdmin, validateUserI
  *       401:
  *         description: Unauthorized
  *       403:
- *         description: Forbidden - Only admin users can deactivate users
+ *         description: Forbidden - Missing users.deactivate permission
  */
-router.patch('/:userId/deactivate', authenticate, requireAdmin, validateUserId, userController.deactivateUser);
+router.patch('/:userId/deactivate', authenticate, validateUserId, requirePermission('users.deactivate', { department: targetUserDepartment }), userController.deactivateUser);
 
 /**
  * @swagger
  * /api/v1/users/{userId}/activate:
  *   patch:
- *     summary: Activate user (admin only)
+ *     summary: Activate user
+ *     description: Requires the users.deactivate permission, institution-wide or for the user's department.
  *     tags: [Users]
  *     security:
  *       - bearerAuth: []
@@ -439,18 +632,55 @@ router.patch('/:userId/deactivate', authenticate, requireAdmin, validateUserId,
  *       401:
  *         description: Unauthorized
  *       403:
- *         description: Forbidden - Only admin users can activate users
+ *         description: Forbidden - Missing users.deactivate permission
  */
-router.patch('/:userId/activate', authenticate, requireAdmin, validateUserId, userController.activateUser);
+router.patch('/:userId/activate', authenticate, validateUserId, requirePermission('users.deactivate', { department: targetUserDepartment }), userController.activateUser);
 
 /**
  * @swagger
- * /api/v1/users/bulk-update:
+ * /api/v1/users/{userId}/unlock:
  *   patch:
- *     summary: Bulk update users
+ *     summary: Unlock an account locked by failed logins
+ *     description: Requires the users.unlock permission, institution-wide or for the user's department.
+ *     tags: [Users]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: userId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: User unlocked successfully
+ *       403:
+ *         description: Forbidden - Missing users.unlock permission
+ *       404:
+ *         description: User not found
+ */
+router.patch('/:userId/unlock', authenticate, validateUserId, requirePermission('users.unlock', { department: targetUserDepartment }), userController.unlockUser);
+
+/**
+ * @swagger
+ * /api/v1/users/{userId}/impersonate:
+ *   post:
+ *     summary: Start acting as a user
+ *     description: |
+ *       Returns a short-lived access token for the user (no refresh token). While it is
+ *       used, only reads are allowed (plus writes listed in IMPERSONATION_ALLOWED_WRITES),
+ *       `GET /auth/profile` reports the impersonation, and every change is recorded in
+ *       the audit log under the admin. End it with `POST /auth/impersonation/stop`.
+ *       Requires the users.impersonate permission, institution-wide or for the user's department.
  *     tags: [Users]
  *     security:
  *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: userId
+ *         required: true
+ *         schema:
+ *           type: string
  *     requestBody:
  *       required: true
  *       content:
@@ -458,78 +688,337 @@ router.patch('/:userId/activate', authenticate, requireAdmin, validateUserId, us
  *           schema:
  *             type: object
  *             required:
- *               - userIds
- *               - updateData
+ *               - reason
  *             properties:
- *               userIds:
- *                 type: array
- *                 items:
- *                   type: string
- *               updateData:
- *                 type: object
+ *               reason:
+ *                 type: string
+ *                 example: Student reports missing assignments on their dashboard
  *     responses:
- *       200:
- *         description: Bulk update completed
+ *       201:
+ *         description: Impersonation started
+ *       403:
+ *         description: Forbidden - Missing users.impersonate permission, or the user is an administrator
+ *       404:
+ *         description: User not found
  */
-router.patch('/bulk-update', authenticate, requireAdmin, userController.bulkUpdateUsers);
+router.post('/:userId/impersonate', authenticate, validateUserId, requirePermission('users.impersonate', { department: targetUserDepartment }), validateImpersonation, userController.impersonateUser);
 
 /**
  * @swagger
- * /api/v1/users/search:
+ * /api/v1/users/{userId}/personal-data:
  *   get:
- *     summary: Search users
+ *     summary: Export everything held about a user
+ *     description: |
+ *       Collects the account, sessions, role assignments, guardian links, enrollments, submissions,
+ *       course grades, event registrations and reviews, notice likes, bookmarks and
+ *       comments, blog posts and comments, and the user's audit log entries. `zip`
+ *       returns one JSON file per section plus a manifest. Each export is recorded
+ *       in the audit log. Requires the users.personal_data permission, institution-wide
+ *       or for the user's department.
  *     tags: [Users]
  *     security:
  *       - bearerAuth: []
  *     parameters:
- *       - in: query
- *         name: q
+ *       - in: path
+ *         name: userId
  *         required: true
  *         schema:
  *           type: string
  *       - in: query
- *         name: role
+ *         name: format
  *         schema:
  *           type: string
- *           enum: [admin, faculty, student]
- *       - in: query
- *         name: department
+ *           enum: [json, zip]
+ *           default: json
+ *     responses:
+ *       200:
+ *         description: Personal data exported successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *           application/zip:
+ *             schema:
+ *               type: string
+ *               format: binary
+ *       403:
+ *         description: Forbidden - Missing users.personal_data permission
+ *       404:
+ *         description: User not found
+ */
+router.get('/:userId/personal-data', authenticate, validateUserId, validatePersonalDataExport, requirePermission('users.personal_data', { department: targetUserDepartment }), userController.exportPersonalData);
+
+/**
+ * @swagger
+ * /api/v1/users/{userId}/personal-data/erase:
+ *   post:
+ *     summary: Erase a user's personal data
+ *     description: |
+ *       Pseudonymises the account (name, email, contact details, profile, address, avatar,
+ *       linked SSO identities), deactivates it, signs it out everywhere and revokes its
+ *       guardian links. Comments and review texts the user wrote are removed, as are
+ *       the IP addresses on their submissions. Enrollments, submissions and course grades are kept for transcripts,
+ *       as are student and faculty IDs. The audit log records the erasure without the
+ *       erased values. Administrator accounts cannot be erased. Requires the
+ *       users.personal_data permission, institution-wide or for the user's department.
+ *     tags: [Users]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: userId
+ *         required: true
  *         schema:
  *           type: string
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - reason
+ *             properties:
+ *               reason:
+ *                 type: string
+ *                 example: Erasure request REQ-2024-117 after graduation
  *     responses:
  *       200:
- *         description: Search completed successfully
+ *         description: Personal data erased successfully
+ *       403:
+ *         description: Forbidden - Missing users.personal_data permission, or the user is an administrator
+ *       404:
+ *         description: User not found
+ *       409:
+ *         description: The user has already been erased
  */
-router.get('/search', authenticate, requireAdmin, userController.searchUsers);
+router.post('/:userId/personal-data/erase', authenticate, validateUserId, requirePermission('users.personal_data', { department: targetUserDepartment }), validatePersonalDataErasure, userController.erasePersonalData);
 
 /**
  * @swagger
- * /api/v1/users/export:
+ * /api/v1/users/{userId}/avatar:
+ *   patch:
+ *     summary: Moderate a user's avatar
+ *     description: |
+ *       `approve` publishes the upload awaiting approval and deletes the previous picture.
+ *       `reject` discards the upload awaiting approval. `remove` takes down the avatar
+ *       currently shown. Rejections and removals need a reason, which is kept in the
+ *       user's audit trail. Requires the users.moderate_avatars permission,
+ *       institution-wide or for the user's department.
+ *     tags: [Users]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: userId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - decision
+ *             properties:
+ *               decision:
+ *                 type: string
+ *                 enum: [approve, reject, remove]
+ *               reason:
+ *                 type: string
+ *                 example: Picture does not show the account holder
+ *     responses:
+ *       200:
+ *         description: Avatar moderated successfully
+ *       403:
+ *         description: Forbidden - Missing users.moderate_avatars permission
+ *       404:
+ *         description: User not found, or no avatar to moderate
+ */
+router.patch('/:userId/avatar', authenticate, validateUserId, requirePermission('users.moderate_avatars', { department: targetUserDepartment }), validateAvatarModeration, userController.moderateAvatar);
+
+/**
+ * @swagger
+ * /api/v1/users/{userId}/2fa/reset:
+ *   post:
+ *     summary: Reset two-factor authentication for a user (admin only)
+ *     description: Clears the user's authenticator secret and recovery codes and signs them out of every device. They enroll again at next login if their role requires it.
+ *     tags: [Users]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: userId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Two-factor authentication reset successfully
+ *       400:
+ *         description: Two-factor authentication is not enabled for this user
+ *       403:
+ *         description: Forbidden - Admin access required
+ */
+router.post('/:userId/2fa/reset', authenticate, requireAdmin, validateUserId, userController.resetTwoFactor);
+
+/**
+ * @swagger
+ * /api/v1/users/{userId}/roles:
  *   get:
- *     summary: Export users (CSV/JSON)
+ *     summary: List the role assignments of a user
+ *     tags: [Users]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: userId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Role assignments retrieved successfully
+ *       403:
+ *         description: Forbidden - Missing roles.manage permission
+ *       404:
+ *         description: User not found
+ */
+router.get('/:userId/roles', authenticate, validateUserId, requirePermission('roles.manage'), roleController.getUserRoles);
+
+/**
+ * @swagger
+ * /api/v1/users/{userId}/roles:
+ *   post:
+ *     summary: Assign a role to a user
+ *     description: Without departmentId the role applies institution-wide; with it, only to resources of that department.
+ *     tags: [Users]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: userId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - roleId
+ *             properties:
+ *               roleId:
+ *                 type: string
+ *               departmentId:
+ *                 type: string
+ *               expiresAt:
+ *                 type: string
+ *                 format: date-time
+ *               notes:
+ *                 type: string
+ *     responses:
+ *       201:
+ *         description: Role assigned successfully
+ *       403:
+ *         description: Forbidden - Missing roles.manage permission
+ *       404:
+ *         description: User, role or department not found
+ *       409:
+ *         description: Role is already assigned for this scope
+ */
+router.post('/:userId/roles', authenticate, validateRoleAssignment, requirePermission('roles.manage'), roleController.assignRole);
+
+/**
+ * @swagger
+ * /api/v1/users/{userId}/roles/{assignmentId}:
+ *   delete:
+ *     summary: Remove a role assignment from a user
+ *     tags: [Users]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: userId
+ *         required: true
+ *         schema:
+ *           type: string
+ *       - in: path
+ *         name: assignmentId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Role assignment removed successfully
+ *       403:
+ *         description: Forbidden - Missing roles.manage permission
+ *       404:
+ *         description: Role assignment not found
+ */
+router.delete('/:userId/roles/:assignmentId', authenticate, validateAssignmentId, requirePermission('roles.manage'), roleController.revokeRole);
+
+/**
+ * @swagger
+ * /api/v1/users/bulk-update:
+ *   patch:
+ *     summary: Bulk update users
+ *     tags: [Users]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - userIds
+ *               - updateData
+ *             properties:
+ *               userIds:
+ *                 type: array
+ *                 items:
+ *                   type: string
+ *               updateData:
+ *                 type: object
+ *     responses:
+ *       200:
+ *         description: Bulk update completed
+ */
+router.patch('/bulk-update', authenticate, requireAdmin, userController.bulkUpdateUsers);
+
+/**
+ * @swagger
+ * /api/v1/users/search:
+ *   get:
+ *     summary: Search users
  *     tags: [Users]
  *     security:
  *       - bearerAuth: []
  *     parameters:
  *       - in: query
- *         name: format
+ *         name: q
+ *         required: true
  *         schema:
  *           type: string
- *           enum: [json, csv]
- *           default: json
  *       - in: query
  *         name: role
  *         schema:
  *           type: string
- *           enum: [admin, faculty, student]
+ *           enum: [admin, faculty, student, guardian]
  *       - in: query
  *         name: department
  *         schema:
  *           type: string
  *     responses:
  *       200:
- *         description: Users exported successfully
+ *         description: Search completed successfully
  */
-router.get('/export', authenticate, requireAdmin, userController.exportUsers);
+router.get('/search', authenticate, requireAdmin, userController.searchUsers);
 
 module.exports = router; 
\ No newline at end of file
@@ -1,6 +1,8 @@
 const Assignment = require('../models/assignment.model');
 const Course = require('../models/course.model');
 const User = require('../models/user.model');
+const sectionService = require('./section.service');
+const courseStaffService = require('./courseStaff.service');
 const { ResponseHandler } = require('../utils/responseHandler');
 const logger = require('../utils/logger');
 const createError = require('../utils/createError');
@@ -8,6 +10,17 @@ const { uploadImage, deleteImage } = require('../config/cloudinary.config');
 const { default: mongoose } = require('mongoose');
 
 class AssignmentService {
+  /**
+   * Check that a user may manage an assignment: its faculty or creator, or
+   * course staff whose role includes assignments.manage
+   */
+  async assertCanManage(assignment, userId, message) {
+    const id = userId.toString();
+    if (assignment.faculty.toString() === id || assignment.createdBy.toString() === id) return;
+
+    await courseStaffService.assertCapability(assignment.course, userId, 'assignments.manage', message);
+  }
+
   /**
    * Create a new assignment
    */
@@ -25,17 +38,23 @@ class AssignmentService {
         throw createError(404, 'User not found');
       }
 
-      // Check permissions: admin can create any assignment, faculty can create for their courses
+      const section = assignmentData.section
+        ? await sectionService.getSection(course._id, assignmentData.section)
+        : null;
+
+      // Check permissions: admin can create any assignment, course faculty and staff managing
+      // assignments for the whole course, and section faculty for their own section
       const isAdmin = user.role === 'admin';
-      const isCourseFaculty = course.faculty.toString() === userId.toString();
+      const scope = await sectionService.getTeachingScope(course, userId);
       
-      if (!isAdmin && !isCourseFaculty) {
+      if (!isAdmin && !sectionService.teachesSection(scope, section && section._id) &&
+          !await courseStaffService.hasCapability(course, user, 'assignments.manage')) {
         throw createError(403, 'Only course faculty or admin can create assignments for this course');
       }
 
-      // Set faculty to course faculty if not provided
+      // Set faculty to the section's or course's faculty if not provided
       if (!assignmentData.faculty) {
-        assignmentData.faculty = course.faculty;
+        assignmentData.faculty = section ? section.faculty : course.faculty;
       }
 
       // Validate that faculty exists and is actually a faculty member
@@ -81,8 +100,15 @@ class AssignmentService {
         throw createError(404, 'Course not found');
       }
 
-      // Verify that the faculty is assigned to this course
-      if (course.faculty.toString() !== facultyId.toString()) {
+      const section = assignmentData.section
+        ? await sectionService.getSection(course._id, assignmentData.section)
+        : null;
+
+      // Verify that the faculty is assigned to this course, or to the section the assignment is for,
+      // or is on the course's staff with a role that manages assignments
+      const scope = await sectionService.getTeachingScope(course, facultyId);
+      if (!sectionService.teachesSection(scope, section && section._id) &&
+          !await courseStaffService.hasCapability(course, facultyId, 'assignments.manage')) {
         throw createError(403, 'You are not authorized to create assignments for this course. Only the assigned faculty can create assignments.');
       }
 
@@ -265,7 +291,9 @@ class AssignmentService {
         // Note: Student enrollment should be checked through the enrollment model
         // For now, students can access published assignments
       } else if (user.role === 'faculty') {
-        if (assignment.faculty.toString() !== user._id.toString() && assignment.status !== 'published') {
+        // Unpublished assignments are visible to their faculty and the course's staff
+        if (assignment.faculty._id.toString() !== user._id.toString() && assignment.status !== 'published' &&
+            (await courseStaffService.getCapabilities(assignment.course._id, user)).length === 0) {
           throw createError(403, 'Access denied');
         }
       }
@@ -288,9 +316,7 @@ class AssignmentService {
       }
 
       // Check permissions
-      if (assignment.faculty.toString() !== userId.toString() && assignment.createdBy.toString() !== userId.toString()) {
-        throw createError(403, 'Only assignment creator or faculty can update this assignment');
-      }
+      await this.assertCanManage(assignment, userId, 'Only assignment creator, faculty or course staff can update this assignment');
 
       // Validate grading criteria points match total points if both are provided
       if (updateData.gradingCriteria && updateData.totalPoints) {
@@ -323,9 +349,7 @@ class AssignmentService {
       }
 
       // Check permissions
-      if (assignment.faculty.toString() !== userId.toString() && assignment.createdBy.toString() !== userId.toString()) {
-        throw createError(403, 'Only assignment creator or faculty can delete this assignment');
-      }
+      await this.assertCanManage(assignment, userId, 'Only assignment creator, faculty or course staff can delete this assignment');
 
       // Delete associated files from Cloudinary
       if (assignment.files && assignment.files.length > 0) {
@@ -359,9 +383,7 @@ class AssignmentService {
       }
 
       // Check permissions
-      if (assignment.faculty.toString() !== userId.toString() && assignment.createdBy.toString() !== userId.toString()) {
-        throw createError(403, 'Only assignment creator or faculty can add files');
-      }
+      await this.assertCanManage(assignment, userId, 'Only assignment creator, faculty or course staff can add files');
 
       // Upload file to Cloudinary if file buffer is provided
       let fileUrl = fileData.fileUrl;
@@ -397,9 +419,7 @@ class AssignmentService {
       }
 
       // Check permissions
-      if (assignment.faculty.toString() !== userId.toString() && assignment.createdBy.toString() !== userId.toString()) {
-        throw createError(403, 'Only assignment creator or faculty can remove files');
-      }
+      await this.assertCanManage(assignment, userId, 'Only assignment creator, faculty or course staff can remove files');
 
       // Find the file
       const file = assignment.files.find(f => f.fileUrl === fileUrl);
@@ -436,9 +456,7 @@ class AssignmentService {
       }
 
       // Check permissions
-      if (assignment.faculty.toString() !== userId.toString() && assignment.createdBy.toString() !== userId.toString()) {
-        throw createError(403, 'Only assignment creator or faculty can update status');
-      }
+      await this.assertCanManage(assignment, userId, 'Only assignment creator, faculty or course staff can update status');
 
       // Update status based on the new status
       switch (status) {
@@ -481,16 +499,23 @@ class AssignmentService {
         throw createError(404, 'Course not found');
       }
 
+      const filter = { course: courseId };
+
       if (user.role === 'student') {
         // Note: Student enrollment should be checked through the enrollment model
         // For now, students can access course assignments
+        // Students see course-wide assignments and those for their own section
+        const sectionId = await sectionService.getStudentSection(user._id, courseId);
+        filter.section = { $in: [null, sectionId] };
       } else if (user.role === 'faculty') {
-        if (course.faculty.toString() !== user._id.toString()) {
+        const scope = await sectionService.getTeachingScope(course, user._id);
+        if (!scope) {
           throw createError(403, 'Access denied - not course faculty');
         }
+        if (!scope.allSections) {
+          filter.section = { $in: [null, ...scope.sectionIds] };
+        }
       }
-
-      const filter = { course: courseId };
       
       // Students can only see published assignments
       if (user.role === 'student') {
@@ -646,9 +671,10 @@ class AssignmentService {
 
       const enrolledCourseIds = enrollment.courses.map(course => course._id);
 
-      // Build filter object for assignments
+      // Build filter object for assignments; section assignments only reach that section's students
       const filter = {
         course: { $in: enrolledCourseIds },
+        section: { $in: [null, ...(enrollment.sections || []).map(entry => entry.section)] },
         status: 'published',
         isVisible: true
       };
@@ -827,10 +853,13 @@ class AssignmentService {
       const enrolledCourseIds = studentEnrollment.courses.map(course => course);
 
       // Stage 1: Match assignments that are in enrolled courses and active
+      const enrolledSectionIds = (studentEnrollment.sections || []).map(entry => entry.section);
+
       pipeline.push({
         $match: {
           $and: [
             { course: { $in: enrolledCourseIds } },
+            { section: { $in: [null, ...enrolledSectionIds] } },
             { status: 'published' },
           ]
         }
@@ -1097,9 +1126,7 @@ class AssignmentService {
 
       // Check permissions for all assignments
       for (const assignment of assignments) {
-        if (assignment.faculty.toString() !== userId.toString() && assignment.createdBy.toString() !== userId.toString()) {
-          throw createError(403, `No permission to modify assignment: ${assignment._id}`);
-        }
+        await this.assertCanManage(assignment, userId, `No permission to modify assignment: ${assignment._id}`);
       }
 
       let result;
@@ -0,0 +1,626 @@
+const Course = require('../models/course.model');
+const Section = require('../models/section.model');
+const Enrollment = require('../models/enrollment.model');
+const AttendanceSession = require('../models/attendanceSession.model');
+const sectionService = require('./section.service');
+const courseStaffService = require('./courseStaff.service');
+const { ATTENDED_STATUSES, getAttendanceConfig } = require('../config/attendance.config');
+const { getCalendarConfig } = require('../config/calendar.config');
+const { nextWeekday } = require('../utils/ical');
+const { zonedTime } = require('../utils/timezone');
+const totp = require('../utils/totp');
+const createError = require('../utils/createError');
+const logger = require('../utils/logger');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const MINUTE_MS = 60 * 1000;
+
+const SESSION_FIELDS = 'course section startsAt endsAt type status checkIn.opensAt checkIn.closesAt records';
+
+const round = (value) => Math.round(value * 10) / 10;
+
+/**
+ * Attendance Service Class
+ *
+ * Generates class sessions from the weekly schedules of a course and its
+ * sections, records attendance by roll call or self check-in, and turns the
+ * records into attendance percentages for reports and course grades. A
+ * session counts once any attendance has been recorded for it; students
+ * without a record are then absent, and excused sessions are left out.
+ */
+class AttendanceService {
+  /**
+   * Load a course or fail with 404
+   * @param {string} courseId - Course ID
+   * @returns {Promise<Object>} Course document
+   */
+  async findCourse(courseId) {
+    const course = await Course.findById(courseId);
+    if (!course) {
+      throw createError(404, 'Course not found');
+    }
+    return course;
+  }
+
+  /**
+   * Get one session of a course
+   * @param {string} courseId - Course ID
+   * @param {string} sessionId - Session ID
+   * @param {boolean} [withSecret] - Also load the check-in secret
+   * @returns {Promise<Object>} Session document
+   */
+  async findSession(courseId, sessionId, withSecret = false) {
+    const query = AttendanceSession.findOne({ _id: sessionId, course: courseId });
+    const session = await (withSecret ? query.select('+checkIn.secret') : query);
+    if (!session) {
+      throw createError(404, 'Session not found in this course');
+    }
+    return session;
+  }
+
+  /**
+   * Make sure a user can take attendance for a session: the faculty
+   * teaching it, or course staff whose role includes attendance.take
+   * @param {Object} course - Course document
+   * @param {Object} user - Requesting user
+   * @param {string|null} sectionId - Section of the session
+   */
+  async assertCanTake(course, user, sectionId) {
+    const scope = await sectionService.getTeachingScope(course, user._id);
+    if (sectionService.teachesSection(scope, sectionId)) return;
+
+    await courseStaffService.assertCapability(course, user, 'attendance.take', 'You cannot take attendance for this session');
+  }
+
+  /**
+   * Sections whose attendance a user may see, or null for all of them
+   * @param {Object} course - Course document
+   * @param {Object} user - Requesting user
+   * @returns {Promise<Array|null>} Section IDs, or null for the whole course
+   */
+  async getViewScope(course, user) {
+    if (await courseStaffService.hasCapability(course, user, 'roster.view')) return null;
+
+    const scope = await sectionService.getTeachingScope(course, user._id);
+    if (!scope) {
+      throw createError(403, 'Only the course\'s teaching staff or course managers can view its attendance');
+    }
+    return scope.allSections ? null : scope.sectionIds;
+  }
+
+  /**
+   * Section each enrolled student takes, for courses taught in sections
+   * @param {Object} course - Course document
+   * @returns {Promise<Map>} Student ID -> section ID
+   */
+  async getSectionMap(course) {
+    const enrollments = await Enrollment.find({ 'sections.course': course._id })
+      .select('student sections')
+      .sort({ enrolledAt: 1 });
+
+    // Later enrollments replace earlier ones, matching sectionService.getStudentSection
+    const sections = new Map();
+    enrollments.forEach(enrollment => {
+      sections.set(enrollment.student.toString(), enrollment.getSection(course._id));
+    });
+    return sections;
+  }
+
+  /**
+   * Whether a session is one the student should attend
+   * @param {Object} session - Session
+   * @param {Object|null} sectionId - Student's section
+   * @returns {boolean} True if the session applies to the student
+   */
+  appliesTo(session, sectionId) {
+    return !session.section || (Boolean(sectionId) && session.section.toString() === sectionId.toString());
+  }
+
+  /**
+   * Create the sessions of a course and its active sections from their
+   * weekly schedules. Sessions that already exist are left alone.
+   * @param {string} courseId - Course ID
+   * @param {Object} range - { from, to }, defaulting to the course's term
+   * @param {Object} user - Requesting user
+   * @returns {Promise<Object>} { created, existing }
+   */
+  async generateSessions(courseId, range, user) {
+    try {
+      const course = await this.findCourse(courseId);
+      await courseStaffService.assertCapability(course, user, 'attendance.take', 'You cannot schedule sessions for this course');
+
+      const from = range.from || course.startDate;
+      const to = range.to || course.endDate;
+      if (!from || !to) {
+        throw createError(400, 'The course has no start and end date; give from and to');
+      }
+      if (to < from) {
+        throw createError(400, 'The end of the range must not be before its start');
+      }
+
+      const { timezone } = getCalendarConfig();
+      const until = new Date(Date.UTC(to.getUTCFullYear(), to.getUTCMonth(), to.getUTCDate()));
+      const sections = await Section.find({ course: course._id, status: 'active' });
+      const owners = [{ section: null, schedule: course.schedule }, ...sections.map(section => ({ section: section._id, schedule: section.schedule }))];
+
+      let created = 0;
+      let existing = 0;
+      for (const owner of owners) {
+        for (const meeting of owner.schedule || []) {
+          for (let day = nextWeekday(from, meeting.day); day <= until; day = new Date(day.getTime() + 7 * DAY_MS)) {
+            const startsAt = zonedTime(day, meeting.startTime, timezone);
+            const result = await AttendanceSession.updateOne(
+              { course: course._id, section: owner.section, startsAt },
+              {
+                $setOnInsert: {
+                  endsAt: zonedTime(day, meeting.endTime, timezone),
+                  type: meeting.type || 'Lecture',
+                  status: 'scheduled',
+                  createdBy: user._id
+                }
+              },
+              { upsert: true }
+            );
+            if (result.upsertedCount > 0) {
+              created += 1;
+            } else {
+              existing += 1;
+            }
+          }
+        }
+      }
+
+      logger.info(`${created} attendance session(s) generated for course ${course.code}`);
+      return { created, existing };
+    } catch (error) {
+      logger.error('Error generating attendance sessions:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Count a session's records by status
+   * @param {Object} session - Session
+   * @returns {Object} { present, late, absent, excused }
+   */
+  countRecords(session) {
+    return session.records.reduce((counts, record) => {
+      counts[record.status] += 1;
+      return counts;
+    }, { present: 0, late: 0, absent: 0, excused: 0 });
+  }
+
+  /**
+   * Sessions of a course, limited to the sections the user teaches
+   * @param {string} courseId - Course ID
+   * @param {Object} user - Requesting user
+   * @param {Object} filters - { from, to, section }
+   * @returns {Promise<Array>} Sessions with record counts
+   */
+  async getSessions(courseId, user, filters = {}) {
+    try {
+      const course = await this.findCourse(courseId);
+      const sectionIds = await this.getViewScope(course, user);
+
+      const query = { course: course._id };
+      if (sectionIds) {
+        query.section = { $in: filters.section ? sectionIds.filter(id => id.toString() === filters.section) : sectionIds };
+      } else if (filters.section) {
+        query.section = filters.section;
+      }
+      if (filters.from || filters.to) {
+        query.startsAt = {};
+        if (filters.from) query.startsAt.$gte = filters.from;
+        if (filters.to) query.startsAt.$lte = filters.to;
+      }
+
+      const sessions = await AttendanceSession.find(query)
+        .select(SESSION_FIELDS)
+        .populate('section', 'code')
+        .sort({ startsAt: 1 });
+
+      const now = new Date();
+      return sessions.map(session => ({
+        _id: session._id,
+        section: session.section,
+        startsAt: session.startsAt,
+        endsAt: session.endsAt,
+        type: session.type,
+        status: session.status,
+        checkInOpen: session.isCheckInOpen(now),
+        counts: this.countRecords(session)
+      }));
+    } catch (error) {
+      logger.error('Error getting attendance sessions:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Cancel a session, or restore a cancelled one
+   * @param {string} courseId - Course ID
+   * @param {string} sessionId - Session ID
+   * @param {string} status - scheduled or cancelled
+   * @param {Object} user - Requesting user
+   * @returns {Promise<Object>} Updated session
+   */
+  async updateSessionStatus(courseId, sessionId, status, user) {
+    try {
+      const course = await this.findCourse(courseId);
+      const session = await this.findSession(course._id, sessionId);
+      await this.assertCanTake(course, user, session.section);
+
+      session.status = status;
+      if (status === 'cancelled' && session.isCheckInOpen()) {
+        session.checkIn.closesAt = new Date();
+      }
+      await session.save();
+
+      logger.info(`Attendance session ${session._id} of course ${course.code} ${status}`);
+      return session;
+    } catch (error) {
+      logger.error('Error updating attendance session:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Record roll call for a session
+   * @param {string} courseId - Course ID
+   * @param {string} sessionId - Session ID
+   * @param {Array} records - [{ student, status, note }]
+   * @param {Object} user - Requesting user
+   * @returns {Promise<Object>} Updated session
+   */
+  async recordAttendance(courseId, sessionId, records, user) {
+    try {
+      const course = await this.findCourse(courseId);
+      const session = await this.findSession(course._id, sessionId);
+      await this.assertCanTake(course, user, session.section);
+
+      if (session.status === 'cancelled') {
+        throw createError(409, 'Attendance cannot be taken for a cancelled session');
+      }
+
+      const sections = session.section ? await this.getSectionMap(course) : null;
+      const outsiders = records.filter(record => !course.isStudentEnrolled(record.student) ||
+        (sections && !this.appliesTo(session, sections.get(record.student.toString()))));
+      if (outsiders.length > 0) {
+        throw createError(400, `${outsiders.length} student(s) do not attend this session`);
+      }
+
+      records.forEach(record => {
+        session.setRecord(record.student, {
+          status: record.status,
+          method: 'roll_call',
+          note: record.note,
+          recordedBy: user._id
+        });
+      });
+      await session.save();
+
+      logger.info(`Roll call recorded for ${records.length} student(s) in session ${session._id} of course ${course.code}`);
+      return session;
+    } catch (error) {
+      logger.error('Error recording attendance:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Current check-in code of a session, for display on screen or as a QR code
+   * @param {Object} session - Session with its check-in secret
+   * @returns {Object} { code, expiresAt, closesAt, qrPayload }
+   */
+  describeCheckIn(session) {
+    const { codeStepSeconds } = getAttendanceConfig();
+    const now = Date.now();
+    const stepMs = codeStepSeconds * 1000;
+    const code = totp.generateCode(session.checkIn.secret, { timestamp: now, stepSeconds: codeStepSeconds });
+
+    return {
+      session: session._id,
+      code,
+      expiresAt: new Date((Math.floor(now / stepMs) + 1) * stepMs),
+      closesAt: session.checkIn.closesAt,
+      qrPayload: JSON.stringify({ type: 'attendance', course: session.course, session: session._id, code })
+    };
+  }
+
+  /**
+   * Open self check-in for a session
+   * @param {string} courseId - Course ID
+   * @param {string} sessionId - Session ID
+   * @param {number} [minutes] - How long check-in stays open
+   * @param {Object} user - Requesting user
+   * @returns {Promise<Object>} Current check-in code
+   */
+  async openCheckIn(courseId, sessionId, minutes, user) {
+    try {
+      const course = await this.findCourse(courseId);
+      const session = await this.findSession(course._id, sessionId, true);
+      await this.assertCanTake(course, user, session.section);
+
+      if (session.status === 'cancelled') {
+        throw createError(409, 'Check-in cannot open for a cancelled session');
+      }
+
+      const now = new Date();
+      session.checkIn = {
+        secret: totp.generateSecret(),
+        opensAt: now,
+        closesAt: new Date(now.getTime() + (minutes || getAttendanceConfig().checkInMinutes) * MINUTE_MS),
+        openedBy: user._id
+      };
+      await session.save();
+
+      logger.info(`Check-in opened for session ${session._id} of course ${course.code} until ${session.checkIn.closesAt.toISOString()}`);
+      return this.describeCheckIn(session);
+    } catch (error) {
+      logger.error('Error opening check-in:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Current check-in code of a session with check-in open
+   * @param {string} courseId - Course ID
+   * @param {string} sessionId - Session ID
+   * @param {Object} user - Requesting user
+   * @returns {Promise<Object>} Current check-in code
+   */
+  async getCheckInCode(courseId, sessionId, user) {
+    try {
+      const course = await this.findCourse(courseId);
+      const session = await this.findSession(course._id, sessionId, true);
+      await this.assertCanTake(course, user, session.section);
+
+      if (!session.isCheckInOpen()) {
+        throw createError(409, 'Check-in is not open for this session');
+      }
+      return this.describeCheckIn(session);
+    } catch (error) {
+      logger.error('Error getting check-in code:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Close self check-in for a session
+   * @param {string} courseId - Course ID
+   * @param {string} sessionId - Session ID
+   * @param {Object} user - Requesting user
+   */
+  async closeCheckIn(courseId, sessionId, user) {
+    try {
+      const course = await this.findCourse(courseId);
+      const session = await this.findSession(course._id, sessionId);
+      await this.assertCanTake(course, user, session.section);
+
+      if (session.isCheckInOpen()) {
+        session.checkIn.closesAt = new Date();
+        await session.save();
+      }
+
+      logger.info(`Check-in closed for session ${session._id} of course ${course.code}`);
+    } catch (error) {
+      logger.error('Error closing check-in:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Check in to a session with its current code. Without a session ID the
+   * code is matched against every session of the course open for check-in.
+   * @param {string} courseId - Course ID
+   * @param {Object} data - { code, sessionId }
+   * @param {Object} user - Student checking in
+   * @returns {Promise<Object>} { session, status, checkedInAt }
+   */
+  async checkIn(courseId, { code, sessionId }, user) {
+    try {
+      const course = await this.findCourse(courseId);
+      if (!course.isStudentEnrolled(user._id)) {
+        throw createError(403, 'Only students enrolled in the course can check in');
+      }
+
+      const now = new Date();
+      const query = { course: course._id, status: 'scheduled', 'checkIn.opensAt': { $lte: now }, 'checkIn.closesAt': { $gt: now } };
+      if (sessionId) query._id = sessionId;
+      const open = await AttendanceSession.find(query).select('+checkIn.secret');
+
+      const studentSection = open.some(session => session.section)
+        ? await sectionService.getStudentSection(user._id, course._id)
+        : null;
+      const { codeStepSeconds, lateAfterMinutes } = getAttendanceConfig();
+      const session = open.find(candidate => this.appliesTo(candidate, studentSection) &&
+        totp.verifyCode(candidate.checkIn.secret, code, { timestamp: now.getTime(), stepSeconds: codeStepSeconds }) !== null);
+      if (!session) {
+        throw createError(400, 'Invalid or expired check-in code');
+      }
+
+      const existing = session.getRecord(user._id);
+      if (existing && existing.status !== 'absent') {
+        // Checking in twice, or after staff marked the student, changes nothing
+        return { session: session._id, status: existing.status, checkedInAt: existing.recordedAt };
+      }
+
+      const status = now > new Date(session.startsAt.getTime() + lateAfterMinutes * MINUTE_MS) ? 'late' : 'present';
+      session.setRecord(user._id, { status, method: 'check_in', recordedBy: user._id });
+      await session.save();
+
+      logger.info(`Student ${user._id} checked in to session ${session._id} of course ${course.code} (${status})`);
+      return { session: session._id, status, checkedInAt: session.getRecord(user._id).recordedAt };
+    } catch (error) {
+      logger.error('Error checking in:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Attendance of one student over the sessions that count
+   * @param {Array} sessions - Counted sessions of the course
+   * @param {string} studentId - Student ID
+   * @param {string|null} sectionId - Student's section
+   * @returns {Object} { sessions, present, late, absent, excused, percentage }
+   */
+  summarize(sessions, studentId, sectionId) {
+    const summary = { sessions: 0, present: 0, late: 0, absent: 0, excused: 0 };
+    sessions
+      .filter(session => this.appliesTo(session, sectionId))
+      .forEach(session => {
+        const record = session.getRecord(studentId);
+        summary.sessions += 1;
+        summary[record ? record.status : 'absent'] += 1;
+      });
+
+    const counted = summary.sessions - summary.excused;
+    const attended = ATTENDED_STATUSES.reduce((total, status) => total + summary[status], 0);
+    summary.percentage = counted > 0 ? round((attended / counted) * 100) : null;
+    return summary;
+  }
+
+  /**
+   * Sessions of a course that count towards attendance: held, not
+   * cancelled, and with attendance recorded
+   * @param {Object} course - Course document
+   * @returns {Promise<Array>} Sessions
+   */
+  async getCountedSessions(course) {
+    return AttendanceSession.find({
+      course: course._id,
+      status: 'scheduled',
+      startsAt: { $lte: new Date() },
+      'records.0': { $exists: true }
+    }).select(SESSION_FIELDS).sort({ startsAt: 1 });
+  }
+
+  /**
+   * Attendance percentage of every enrolled student, for course grades
+   * @param {Object|string} course - Course document or ID
+   * @returns {Promise<Map>} Student ID -> percentage, for students with counted sessions
+   */
+  async getAttendancePercentages(course) {
+    const resolved = course.students ? course : await this.findCourse(course);
+    const [sessions, sections] = await Promise.all([this.getCountedSessions(resolved), this.getSectionMap(resolved)]);
+
+    const percentages = new Map();
+    resolved.students.forEach(studentId => {
+      const { percentage } = this.summarize(sessions, studentId, sections.get(studentId.toString()) || null);
+      if (percentage !== null) {
+        percentages.set(studentId.toString(), percentage);
+      }
+    });
+    return percentages;
+  }
+
+  /**
+   * Attendance percentage of one student, for their course grade
+   * @param {Object} course - Course document
+   * @param {string} studentId - Student ID
+   * @returns {Promise<number|null>} Percentage, or null before any session counts
+   */
+  async getAttendancePercentage(course, studentId) {
+    const [sessions, section] = await Promise.all([
+      this.getCountedSessions(course),
+      sectionService.getStudentSection(studentId, course._id)
+    ]);
+    return this.summarize(sessions, studentId, section).percentage;
+  }
+
+  /**
+   * Attendance report of a course, flagging students below the threshold
+   * @param {string} courseId - Course ID
+   * @param {Object} user - Requesting user
+   * @param {Object} filters - { lowOnly }
+   * @returns {Promise<Object>} { course, threshold, sessions, students, summary }
+   */
+  async getReport(courseId, user, filters = {}) {
+    try {
+      const course = await this.findCourse(courseId);
+      const sectionIds = await this.getViewScope(course, user);
+      await course.populate('students', 'firstName lastName email studentId');
+
+      const [sessions, sections] = await Promise.all([this.getCountedSessions(course), this.getSectionMap(course)]);
+      const { lowThreshold } = getAttendanceConfig();
+
+      let students = course.students.map(student => {
+        const section = sections.get(student._id.toString()) || null;
+        const summary = this.summarize(sessions, student._id, section);
+        return {
+          student,
+          section,
+          ...summary,
+          lowAttendance: summary.percentage !== null && summary.percentage < lowThreshold
+        };
+      });
+
+      // Section faculty see the students of their own sections
+      if (sectionIds) {
+        students = students.filter(entry => sectionService.teachesSection({ allSections: false, sectionIds }, entry.section));
+      }
+
+      const total = students.length;
+      const flagged = students.filter(entry => entry.lowAttendance).length;
+      if (filters.lowOnly) {
+        students = students.filter(entry => entry.lowAttendance);
+      }
+
+      return {
+        course: { _id: course._id, code: course.code, name: course.name },
+        threshold: lowThreshold,
+        sessions: sessions.length,
+        students,
+        summary: { students: total, flagged }
+      };
+    } catch (error) {
+      logger.error('Error getting attendance report:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * A student's own attendance in a course
+   * @param {string} courseId - Course ID
+   * @param {Object} user - Student
+   * @returns {Promise<Object>} Summary with each counted session
+   */
+  async getStudentAttendance(courseId, user) {
+    try {
+      const course = await this.findCourse(courseId);
+      if (!course.isStudentEnrolled(user._id)) {
+        throw createError(403, 'You are not enrolled in this course');
+      }
+
+      const [sessions, section] = await Promise.all([
+        this.getCountedSessions(course),
+        sectionService.getStudentSection(user._id, course._id)
+      ]);
+      const { lowThreshold } = getAttendanceConfig();
+      const summary = this.summarize(sessions, user._id, section);
+
+      return {
+        course: { _id: course._id, code: course.code, name: course.name },
+        ...summary,
+        threshold: lowThreshold,
+        lowAttendance: summary.percentage !== null && summary.percentage < lowThreshold,
+        history: sessions
+          .filter(session => this.appliesTo(session, section))
+          .map(session => {
+            const record = session.getRecord(user._id);
+            return {
+              session: session._id,
+              startsAt: session.startsAt,
+              type: session.type,
+              status: record ? record.status : 'absent'
+            };
+          })
+      };
+    } catch (error) {
+      logger.error('Error getting student attendance:', error);
+      throw error;
+    }
+  }
+}
+
+module.exports = new AttendanceService();
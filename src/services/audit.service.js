@@ -0,0 +1,352 @@
+const { once } = require('events');
+const mongoose = require('mongoose');
+const ExcelJS = require('exceljs');
+const AuditLog = require('../models/auditLog.model');
+const { getContext } = require('../utils/requestContext');
+const { formatRow } = require('../utils/csv');
+const createError = require('../utils/createError');
+const logger = require('../utils/logger');
+
+const REDACTED = '[REDACTED]';
+
+// Longer strings (e.g. blog bodies) are cut down before they are stored
+const MAX_VALUE_LENGTH = 1000;
+
+const EXPORT_COLUMNS = [
+  { header: 'Timestamp', key: 'timestamp', width: 24, value: entry => entry.createdAt },
+  { header: 'Action', key: 'action', width: 22, value: entry => entry.action },
+  { header: 'Entity Type', key: 'entityType', width: 16, value: entry => entry.entityType },
+  { header: 'Entity ID', key: 'entityId', width: 26, value: entry => (entry.entityId ? entry.entityId.toString() : '') },
+  { header: 'Actor', key: 'actor', width: 30, value: entry => entry.actor.email },
+  { header: 'Actor Role', key: 'actorRole', width: 12, value: entry => entry.actor.role },
+  { header: 'Impersonated By', key: 'impersonatedBy', width: 30, value: entry => (entry.actor.impersonatedBy ? entry.actor.impersonatedBy.email : null) },
+  { header: 'IP Address', key: 'ipAddress', width: 16, value: entry => entry.ipAddress },
+  { header: 'User Agent', key: 'userAgent', width: 40, value: entry => entry.userAgent },
+  {
+    header: 'Changes',
+    key: 'changes',
+    width: 60,
+    value: entry => entry.changes
+      .map(change => `${change.path}: ${JSON.stringify(change.before)} -> ${JSON.stringify(change.after)}`)
+      .join('; ')
+  }
+];
+
+const isPlainObject = value => value !== null && typeof value === 'object' && value.constructor === Object;
+
+// Missing fields and empty arrays compare equal, so defaults are not reported as changes
+const comparable = value => (value == null || (Array.isArray(value) && value.length === 0) ? null : JSON.stringify(value));
+
+/**
+ * Audit Service Class
+ *
+ * Writes and queries the central audit log. Model writes are recorded by the
+ * audit plugin; actor, IP address and user agent come from the request
+ * context, so services do not need to pass them along.
+ */
+class AuditService {
+  /**
+   * Convert a stored value into a JSON-safe form for comparison and storage
+   * @param {*} value - Field value
+   * @returns {*} Normalized value
+   */
+  normalizeValue(value) {
+    if (value === undefined || value === null) return null;
+    if (value instanceof Date) return value.toISOString();
+    if (value instanceof mongoose.Types.ObjectId) return value.toString();
+    if (Buffer.isBuffer(value)) return '[binary]';
+    if (Array.isArray(value)) return value.map(item => this.normalizeValue(item));
+    if (isPlainObject(value)) {
+      const result = {};
+      Object.keys(value).forEach(key => {
+        result[key] = this.normalizeValue(value[key]);
+      });
+      return result;
+    }
+    if (typeof value === 'string' && value.length > MAX_VALUE_LENGTH) {
+      return `${value.slice(0, MAX_VALUE_LENGTH)}...`;
+    }
+    return value;
+  }
+
+  /**
+   * Flatten a document into dotted paths; arrays are kept whole
+   * @param {Object} source - Plain document
+   * @param {string} [prefix] - Path prefix
+   * @param {Object} [target] - Accumulator
+   * @returns {Object} Values by path
+   */
+  flatten(source, prefix = '', target = {}) {
+    Object.keys(source || {}).forEach(key => {
+      const path = prefix ? `${prefix}.${key}` : key;
+      const value = source[key];
+      if (isPlainObject(value) && Object.keys(value).length > 0) {
+        this.flatten(value, path, target);
+      } else {
+        target[path] = value;
+      }
+    });
+    return target;
+  }
+
+  /**
+   * Compare two versions of a document
+   * @param {Object|null} before - Previous version (null when created)
+   * @param {Object|null} after - New version (null when deleted)
+   * @param {Object} [options] - { ignore, redact } path lists; `redactAll` redacts every value
+   * @returns {Array} Changes ({ path, before, after })
+   */
+  diff(before, after, options = {}) {
+    const { ignore = [], redact = [], redactAll = false } = options;
+    const matches = (path, list) => list.some(entry => path === entry || path.startsWith(`${entry}.`));
+
+    const previous = this.flatten(this.normalizeValue(before) || {});
+    const current = this.flatten(this.normalizeValue(after) || {});
+    const paths = [...new Set([...Object.keys(previous), ...Object.keys(current)])];
+
+    return paths
+      .filter(path => path !== '_id' && !matches(path, ignore))
+      .filter(path => comparable(previous[path]) !== comparable(current[path]))
+      .sort()
+      .map(path => {
+        const redacted = redactAll || matches(path, redact);
+        return {
+          path,
+          before: before && previous[path] != null ? (redacted ? REDACTED : previous[path]) : null,
+          after: after && current[path] != null ? (redacted ? REDACTED : current[path]) : null
+        };
+      });
+  }
+
+  /**
+   * Shape an entry for the log, filling in who made the request and from where
+   * @param {Object} entry - { action, entityType, entityId, changes, details, ipAddress, userAgent }
+   * @param {Object} context - Request context
+   * @returns {Object} Audit log document
+   */
+  toLogEntry(entry, context) {
+    return {
+      actor: context.actor || {},
+      action: entry.action,
+      entityType: entry.entityType,
+      entityId: entry.entityId || null,
+      changes: entry.changes || [],
+      details: entry.details || null,
+      ipAddress: context.ipAddress || entry.ipAddress || null,
+      userAgent: context.userAgent || entry.userAgent || null,
+      request: context.method ? { method: context.method, path: context.path } : undefined
+    };
+  }
+
+  /**
+   * Append an entry to the audit log. Failures are logged rather than thrown
+   * so that auditing never breaks the write being audited.
+   * @param {Object} entry - { action, entityType, entityId, changes, details, ipAddress, userAgent }
+   * @returns {Promise<Object|null>} Created entry
+   */
+  async record(entry) {
+    try {
+      return await AuditLog.create(this.toLogEntry(entry, getContext() || {}));
+    } catch (error) {
+      logger.error(`Error recording audit entry (${entry.entityType} ${entry.action}):`, error);
+      return null;
+    }
+  }
+
+  /**
+   * Append several entries in one write, e.g. for a multi-document update.
+   * Failures are logged rather than thrown, as for record.
+   * @param {Array} entries - Entries as for record
+   * @returns {Promise<Array>} Created entries
+   */
+  async recordMany(entries) {
+    if (entries.length === 0) return [];
+
+    try {
+      const context = getContext() || {};
+      return await AuditLog.insertMany(entries.map(entry => this.toLogEntry(entry, context)), { ordered: false });
+    } catch (error) {
+      logger.error(`Error recording ${entries.length} audit entries (${entries[0].entityType}):`, error);
+      return [];
+    }
+  }
+
+  /**
+   * Build the MongoDB query for the audit log filters
+   * @param {Object} filters - { actor, entityType, entityId, action, from, to }
+   * @returns {Object} MongoDB query
+   */
+  buildQuery(filters = {}) {
+    const { actor, entityType, entityId, action, from, to } = filters;
+
+    const query = {};
+    // An actor filter also matches what they did while impersonating someone
+    if (actor) {
+      query.$or = mongoose.isValidObjectId(actor)
+        ? [{ 'actor.user': actor }, { 'actor.impersonatedBy.user': actor }, { 'actor.serviceAccount': actor }]
+        : [{ 'actor.email': String(actor).toLowerCase() }, { 'actor.impersonatedBy.email': String(actor).toLowerCase() }];
+    }
+    if (entityType) query.entityType = entityType;
+    if (entityId) query.entityId = entityId;
+    if (action) {
+      const actions = String(action).split(',').map(item => item.trim()).filter(Boolean);
+      query.action = actions.length === 1 ? actions[0] : { $in: actions };
+    }
+    if (from || to) {
+      query.createdAt = {};
+      if (from) query.createdAt.$gte = new Date(from);
+      if (to) query.createdAt.$lte = new Date(to);
+    }
+
+    return query;
+  }
+
+  /**
+   * List audit log entries, newest first
+   * @param {Object} filters - Filter options
+   * @param {Object} pagination - Pagination options
+   * @returns {Promise<Object>} Entries with pagination info
+   */
+  async getAuditLogs(filters = {}, pagination = {}) {
+    try {
+      const { page = 1, limit = 20 } = pagination;
+      const query = this.buildQuery(filters);
+
+      const [entries, total] = await Promise.all([
+        AuditLog.find(query)
+          .sort({ createdAt: -1, _id: -1 })
+          .skip((page - 1) * limit)
+          .limit(limit)
+          .lean(),
+        AuditLog.countDocuments(query)
+      ]);
+
+      return {
+        entries,
+        pagination: {
+          page,
+          limit,
+          total,
+          pages: Math.ceil(total / limit)
+        }
+      };
+    } catch (error) {
+      logger.error('Error getting audit logs:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Get one audit log entry
+   * @param {string} entryId - Entry ID
+   * @returns {Promise<Object>} Entry
+   */
+  async getAuditLogById(entryId) {
+    try {
+      const entry = await AuditLog.findById(entryId).lean();
+      if (!entry) {
+        throw createError(404, 'Audit log entry not found');
+      }
+      return entry;
+    } catch (error) {
+      logger.error('Error getting audit log entry:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Open a cursor over the entries to export
+   * @param {Object} query - MongoDB query
+   * @returns {Object} Mongoose query cursor
+   */
+  createCursor(query) {
+    return AuditLog.find(query).sort({ createdAt: -1, _id: -1 }).lean().cursor();
+  }
+
+  /**
+   * Write a chunk, waiting for the client to drain if the buffer is full.
+   * A client that disconnects never drains, so closing ends the wait too.
+   * @param {Object} stream - Writable stream
+   * @param {string} chunk - Data to write
+   * @returns {Promise<boolean>} False once the stream is closed
+   */
+  async write(stream, chunk) {
+    if (stream.destroyed) return false;
+    if (stream.write(chunk)) return true;
+
+    const controller = new AbortController();
+    try {
+      return await Promise.race([
+        once(stream, 'drain', { signal: controller.signal }).then(() => true),
+        once(stream, 'close', { signal: controller.signal }).then(() => false)
+      ]);
+    } finally {
+      controller.abort();
+    }
+  }
+
+  /**
+   * Stream matching entries as CSV, XLSX or a JSON response envelope
+   * @param {Object} stream - Writable stream (the HTTP response)
+   * @param {string} format - csv, xlsx or json
+   * @param {Object} filters - Filter options
+   * @returns {Promise<number>} Number of entries written
+   */
+  async exportAuditLogs(stream, format, filters = {}) {
+    const query = this.buildQuery(filters);
+    let count = 0;
+    let workbook = null;
+    let worksheet = null;
+    let writeEntry;
+
+    if (format === 'xlsx') {
+      workbook = new ExcelJS.stream.xlsx.WorkbookWriter({ stream, useStyles: true });
+      worksheet = workbook.addWorksheet('Audit Log');
+      worksheet.columns = EXPORT_COLUMNS.map(({ header, key, width }) => ({ header, key, width }));
+      worksheet.getRow(1).font = { bold: true };
+
+      writeEntry = entry => {
+        const row = {};
+        EXPORT_COLUMNS.forEach(column => {
+          row[column.key] = column.value(entry) ?? null;
+        });
+        worksheet.addRow(row).commit();
+        return true;
+      };
+    } else if (format === 'csv') {
+      await this.write(stream, formatRow(EXPORT_COLUMNS.map(column => column.header)));
+      writeEntry = entry => this.write(stream, formatRow(EXPORT_COLUMNS.map(column => column.value(entry))));
+    } else {
+      await this.write(stream, `{"success":true,"message":"Audit log exported successfully","timestamp":"${new Date().toISOString()}","data":[`);
+      writeEntry = entry => this.write(stream, `${count > 0 ? ',' : ''}${JSON.stringify(entry)}`);
+    }
+
+    // Stop when the client goes away, and close the cursor either way
+    const cursor = this.createCursor(query);
+    try {
+      for await (const entry of cursor) {
+        if (stream.destroyed || !await writeEntry(entry)) break;
+        count += 1;
+      }
+    } finally {
+      await cursor.close();
+    }
+
+    if (stream.destroyed) {
+      logger.warn(`Audit log export (${format}) stopped after ${count} entries: the client disconnected`);
+      return count;
+    }
+
+    if (workbook) {
+      worksheet.commit();
+      await workbook.commit();
+    } else {
+      stream.end(format === 'csv' ? undefined : ']}');
+    }
+
+    logger.info(`Exported ${count} audit log entries as ${format}`);
+    return count;
+  }
+}
+
+module.exports = new AuditService();
@@ -0,0 +1,320 @@
+const fs = require('fs');
+const User = require('../models/user.model');
+const { uploadImage, deleteImage, getImageUrl } = require('../config/cloudinary.config');
+const { getAvatarConfig } = require('../config/avatar.config');
+const createError = require('../utils/createError');
+const logger = require('../utils/logger');
+
+// Leading bytes of the image formats accepted as profile pictures
+const IMAGE_SIGNATURES = [
+  { format: 'jpeg', matches: (bytes) => bytes[0] === 0xff && bytes[1] === 0xd8 && bytes[2] === 0xff },
+  { format: 'png', matches: (bytes) => bytes.subarray(0, 8).equals(Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a])) },
+  { format: 'gif', matches: (bytes) => bytes.subarray(0, 4).toString('ascii') === 'GIF8' },
+  { format: 'webp', matches: (bytes) => bytes.subarray(0, 4).toString('ascii') === 'RIFF' && bytes.subarray(8, 12).toString('ascii') === 'WEBP' }
+];
+
+const MODERATION_SELECT = 'firstName lastName email role department avatar avatarImage pendingAvatar';
+
+/**
+ * Avatar Service Class
+ *
+ * Handles profile picture uploads. Images are checked by content, cropped
+ * to a square around the detected face and stored once on Cloudinary; the
+ * size variants are delivery URLs derived from that asset. Replacing or
+ * removing a picture deletes the old asset. When approval is required,
+ * uploads wait in `pendingAvatar` until a moderator approves them.
+ */
+class AvatarService {
+  /**
+   * Detect the image format from the file content
+   * @param {string} filePath - Path of the uploaded file
+   * @returns {Promise<string|null>} Image format, or null if not a supported image
+   */
+  async detectImageFormat(filePath) {
+    const handle = await fs.promises.open(filePath, 'r');
+    try {
+      const bytes = Buffer.alloc(12);
+      const { bytesRead } = await handle.read(bytes, 0, bytes.length, 0);
+      if (bytesRead < bytes.length) return null;
+
+      const signature = IMAGE_SIGNATURES.find(candidate => candidate.matches(bytes));
+      return signature ? signature.format : null;
+    } finally {
+      await handle.close();
+    }
+  }
+
+  /**
+   * Build the square size variants of an uploaded avatar
+   * @param {string} publicId - Cloudinary public ID
+   * @returns {Object} Variant URLs keyed by size name
+   */
+  buildVariants(publicId) {
+    const { variants } = getAvatarConfig();
+
+    return Object.fromEntries(Object.entries(variants).map(([name, size]) => [
+      name,
+      getImageUrl(publicId, {
+        width: size,
+        height: size,
+        crop: 'fill',
+        gravity: 'face',
+        quality: 'auto',
+        fetch_format: 'auto'
+      })
+    ]));
+  }
+
+  /**
+   * Delete replaced avatar assets. Failures are logged and do not fail the request.
+   * @param {Array<string>} publicIds - Cloudinary public IDs
+   */
+  async deleteAssets(publicIds) {
+    for (const publicId of publicIds.filter(Boolean)) {
+      try {
+        await deleteImage(publicId);
+      } catch (error) {
+        logger.warn(`Could not delete avatar asset ${publicId}: ${error.message}`);
+      }
+    }
+  }
+
+  /**
+   * Make an uploaded avatar the user's live picture
+   * @param {Object} user - User document
+   * @param {Object} image - { publicId, variants, uploadedAt }
+   * @param {Object} approvedBy - Moderator, if the image went through moderation
+   * @returns {string|undefined} Public ID of the replaced asset
+   */
+  applyAvatar(user, image, approvedBy = null) {
+    const { defaultVariant } = getAvatarConfig();
+    const previous = user.avatarImage && user.avatarImage.publicId;
+
+    user.avatarImage = {
+      publicId: image.publicId,
+      variants: image.variants,
+      uploadedAt: image.uploadedAt,
+      approvedBy: approvedBy ? approvedBy._id : undefined,
+      approvedAt: approvedBy ? new Date() : undefined
+    };
+    user.avatar = image.variants[defaultVariant];
+
+    return previous;
+  }
+
+  /**
+   * Upload a new avatar for a user, replacing the current one
+   * @param {string} userId - User ID
+   * @param {Object} file - Multer file saved to disk
+   * @param {Object} context - { ipAddress, userAgent }
+   * @returns {Promise<Object>} { avatar, avatarImage, pendingAvatar, pendingApproval }
+   */
+  async uploadAvatar(userId, file, context = {}) {
+    const config = getAvatarConfig();
+    let uploaded = null;
+
+    try {
+      if (file.size > config.maxSizeBytes) {
+        throw createError(400, `Avatar images cannot exceed ${config.maxSizeBytes / (1024 * 1024)}MB`);
+      }
+
+      // The extension and MIME type come from the client, so check the content as well
+      if (!await this.detectImageFormat(file.path)) {
+        throw createError(400, 'The uploaded file is not a JPEG, PNG, GIF or WebP image');
+      }
+
+      const user = await User.findById(userId);
+      if (!user) {
+        throw createError(404, 'User not found');
+      }
+
+      const largest = Math.max(...Object.values(config.variants));
+      const result = await uploadImage(file, {
+        folder: config.folder,
+        public_id: `user-${user._id}-${Date.now()}`,
+        max_size: config.maxSizeBytes,
+        transformation: [
+          { width: largest, height: largest, crop: 'fill', gravity: 'face' },
+          { quality: 'auto:good' }
+        ]
+      });
+      uploaded = result.public_id;
+
+      const image = {
+        publicId: result.public_id,
+        variants: this.buildVariants(result.public_id),
+        uploadedAt: new Date()
+      };
+
+      let replaced;
+      if (config.requireApproval) {
+        replaced = user.pendingAvatar && user.pendingAvatar.publicId;
+        user.pendingAvatar = image;
+      } else {
+        replaced = this.applyAvatar(user, image);
+      }
+
+      user.recordAuditEntry(
+        'avatar_updated',
+        context.ipAddress,
+        context.userAgent,
+        config.requireApproval ? 'Awaiting approval' : null
+      );
+      await user.save();
+      uploaded = null;
+
+      await this.deleteAssets([replaced]);
+
+      logger.info(`Avatar ${config.requireApproval ? 'submitted for approval' : 'updated'} for ${user.email}`);
+      return {
+        avatar: user.avatar,
+        avatarImage: user.avatarImage,
+        pendingAvatar: user.pendingAvatar,
+        pendingApproval: config.requireApproval
+      };
+    } catch (error) {
+      logger.error('Error uploading avatar:', error);
+      // Do not leave an orphaned asset behind if the user could not be updated
+      if (uploaded) {
+        await this.deleteAssets([uploaded]);
+      }
+      throw error;
+    } finally {
+      await fs.promises.unlink(file.path).catch(() => {});
+    }
+  }
+
+  /**
+   * Remove the user's own avatar, including any upload awaiting approval
+   * @param {string} userId - User ID
+   * @param {Object} context - { ipAddress, userAgent }
+   */
+  async removeOwnAvatar(userId, context = {}) {
+    try {
+      const user = await User.findById(userId);
+      if (!user) {
+        throw createError(404, 'User not found');
+      }
+
+      const assets = [
+        user.avatarImage && user.avatarImage.publicId,
+        user.pendingAvatar && user.pendingAvatar.publicId
+      ];
+      if (!user.avatar && !assets.some(Boolean)) {
+        throw createError(404, 'You do not have an avatar');
+      }
+
+      user.avatar = null;
+      user.avatarImage = undefined;
+      user.pendingAvatar = undefined;
+      user.recordAuditEntry('avatar_removed', context.ipAddress, context.userAgent);
+      await user.save();
+
+      await this.deleteAssets(assets);
+
+      logger.info(`Avatar removed by ${user.email}`);
+    } catch (error) {
+      logger.error('Error removing avatar:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * List avatars for moderation
+   * @param {Object} filters - { status: 'pending' | 'active' }
+   * @param {Object} pagination - { page, limit }
+   * @returns {Promise<Object>} Users with pagination info
+   */
+  async listAvatars(filters = {}, pagination = {}) {
+    try {
+      const { status = 'pending' } = filters;
+      const { page = 1, limit = 20 } = pagination;
+
+      const query = status === 'pending'
+        ? { 'pendingAvatar.publicId': { $exists: true } }
+        : { 'avatarImage.publicId': { $exists: true } };
+      const sortField = status === 'pending' ? 'pendingAvatar.uploadedAt' : 'avatarImage.uploadedAt';
+
+      const [users, total] = await Promise.all([
+        User.find(query)
+          .select(MODERATION_SELECT)
+          .sort({ [sortField]: status === 'pending' ? 1 : -1, _id: 1 })
+          .skip((page - 1) * limit)
+          .limit(limit)
+          .lean(),
+        User.countDocuments(query)
+      ]);
+
+      return {
+        users,
+        pagination: {
+          page,
+          limit,
+          total,
+          pages: Math.ceil(total / limit)
+        }
+      };
+    } catch (error) {
+      logger.error('Error listing avatars:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Approve or reject a pending avatar, or take down a live one
+   * @param {string} userId - User whose avatar is moderated
+   * @param {Object} moderator - User making the decision
+   * @param {Object} decision - { decision: 'approve' | 'reject' | 'remove', reason }
+   * @param {Object} context - { ipAddress, userAgent }
+   * @returns {Promise<Object>} User's avatar fields after the decision
+   */
+  async moderateAvatar(userId, moderator, { decision, reason }, context = {}) {
+    try {
+      const user = await User.findById(userId);
+      if (!user) {
+        throw createError(404, 'User not found');
+      }
+
+      let assets;
+      if (decision === 'approve' || decision === 'reject') {
+        if (!user.pendingAvatar || !user.pendingAvatar.publicId) {
+          throw createError(404, 'This user has no avatar awaiting approval');
+        }
+
+        if (decision === 'approve') {
+          assets = [this.applyAvatar(user, user.pendingAvatar, moderator)];
+          user.recordAuditEntry('avatar_updated', context.ipAddress, context.userAgent, `Approved by ${moderator.email}`);
+        } else {
+          assets = [user.pendingAvatar.publicId];
+          user.recordAuditEntry('avatar_removed', context.ipAddress, context.userAgent, `Rejected by ${moderator.email}: ${reason}`);
+        }
+        user.pendingAvatar = undefined;
+      } else {
+        if (!user.avatar) {
+          throw createError(404, 'This user does not have an avatar');
+        }
+
+        assets = [user.avatarImage && user.avatarImage.publicId];
+        user.avatar = null;
+        user.avatarImage = undefined;
+        user.recordAuditEntry('avatar_removed', context.ipAddress, context.userAgent, `Removed by ${moderator.email}: ${reason}`);
+      }
+
+      await user.save();
+      await this.deleteAssets(assets);
+
+      logger.info(`Avatar of ${user.email} ${decision === 'approve' ? 'approved' : decision === 'reject' ? 'rejected' : 'removed'} by ${moderator.email}`);
+      return {
+        _id: user._id,
+        avatar: user.avatar,
+        avatarImage: user.avatarImage,
+        pendingAvatar: user.pendingAvatar
+      };
+    } catch (error) {
+      logger.error('Error moderating avatar:', error);
+      throw error;
+    }
+  }
+}
+
+module.exports = new AvatarService();
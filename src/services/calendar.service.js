@@ -0,0 +1,303 @@
+const crypto = require('crypto');
+const CalendarFeed = require('../models/calendarFeed.model');
+const Course = require('../models/course.model');
+const Section = require('../models/section.model');
+const Enrollment = require('../models/enrollment.model');
+const Assignment = require('../models/assignment.model');
+const Event = require('../models/event.model');
+const { getCalendarConfig } = require('../config/calendar.config');
+const { buildCalendar, formatUtc, nextWeekday, weekdayCode } = require('../utils/ical');
+const createError = require('../utils/createError');
+const logger = require('../utils/logger');
+
+// Roles that have a timetable to publish
+const FEED_ROLES = ['student', 'faculty'];
+
+// Assignment states in which the deadline still means something to students
+const STUDENT_ASSIGNMENT_STATUSES = ['published'];
+
+// Registrations that put an event in the attendee's calendar
+const ATTENDING_STATUSES = ['registered', 'attended'];
+
+// Feed reads are written at most once a minute per feed
+const LAST_ACCESSED_INTERVAL_MS = 60 * 1000;
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const COURSE_FIELDS = 'code name title startDate endDate schedule location faculty status';
+
+const placeLabel = (location) => {
+  if (!location) return null;
+  return [location.venue, location.building, location.room].filter(Boolean).join(', ') || null;
+};
+
+/**
+ * Calendar Service Class
+ *
+ * Publishes each student's and faculty member's timetable as an iCalendar
+ * feed behind a secret URL, so it can be subscribed to from Google Calendar
+ * or a phone. Students get the weekly meetings of their courses and
+ * sections, the deadlines of their assignments and the events they
+ * registered for; faculty get the meetings they teach, the deadlines of the
+ * assignments they set and their events. Weekly meetings repeat between the
+ * course's startDate and endDate; courses without term dates are left out.
+ */
+class CalendarService {
+  /**
+   * Hash a feed token for storage and lookup
+   * @param {string} token - Plain feed token
+   * @returns {string} SHA-256 hex digest
+   */
+  hashToken(token) {
+    return crypto.createHash('sha256').update(String(token)).digest('hex');
+  }
+
+  /**
+   * The user's feed, without its token
+   * @param {string} userId - User ID
+   * @returns {Promise<Object>} { active, createdAt, lastAccessedAt }
+   */
+  async getFeed(userId) {
+    const feed = await CalendarFeed.findOne({ user: userId }).lean();
+    return {
+      active: Boolean(feed),
+      createdAt: feed ? feed.createdAt : null,
+      lastAccessedAt: feed ? feed.lastAccessedAt : null
+    };
+  }
+
+  /**
+   * Create a feed for the user, replacing (and so revoking) any previous URL.
+   * The token is only returned here.
+   * @param {Object} user - Requesting user
+   * @returns {Promise<Object>} { token, createdAt }
+   */
+  async createFeed(user) {
+    try {
+      if (!FEED_ROLES.includes(user.role)) {
+        throw createError(403, 'Calendar feeds are available to students and faculty');
+      }
+
+      const token = crypto.randomBytes(32).toString('base64url');
+      await CalendarFeed.deleteOne({ user: user._id });
+      const feed = await CalendarFeed.create({ user: user._id, tokenHash: this.hashToken(token) });
+
+      logger.info(`Calendar feed created for user ${user.email}`);
+      return { token, createdAt: feed.createdAt };
+    } catch (error) {
+      logger.error('Error creating calendar feed:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Revoke a user's feed URL
+   * @param {string} userId - User ID
+   */
+  async revokeFeed(userId) {
+    try {
+      const result = await CalendarFeed.deleteOne({ user: userId });
+      if (result.deletedCount === 0) {
+        throw createError(404, 'No calendar feed found');
+      }
+      logger.info(`Calendar feed revoked for user ${userId}`);
+    } catch (error) {
+      logger.error('Error revoking calendar feed:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Render the feed behind a token
+   * @param {string} token - Feed token from the URL
+   * @returns {Promise<string>} iCalendar text
+   */
+  async renderFeed(token) {
+    try {
+      const feed = await CalendarFeed.findOne({ tokenHash: this.hashToken(token) })
+        .populate('user', 'firstName lastName role isActive');
+      if (!feed || !feed.user || !feed.user.isActive || !FEED_ROLES.includes(feed.user.role)) {
+        throw createError(404, 'Calendar feed not found');
+      }
+
+      if (!feed.lastAccessedAt || Date.now() - feed.lastAccessedAt.getTime() > LAST_ACCESSED_INTERVAL_MS) {
+        await CalendarFeed.updateOne({ _id: feed._id }, { lastAccessedAt: new Date() });
+      }
+
+      const user = feed.user;
+      const events = user.role === 'faculty'
+        ? await this.getTeachingEvents(user._id)
+        : await this.getStudentEvents(user._id);
+
+      const { timezone } = getCalendarConfig();
+      return buildCalendar({
+        name: `${user.firstName} ${user.lastName} - ${user.role === 'faculty' ? 'Teaching timetable' : 'Timetable'}`,
+        timezone,
+        events
+      });
+    } catch (error) {
+      logger.error('Error rendering calendar feed:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Calendar entries of a student
+   * @param {string} studentId - Student user ID
+   * @returns {Promise<Array>} Calendar events
+   */
+  async getStudentEvents(studentId) {
+    const [enrollments, rosterCourses] = await Promise.all([
+      Enrollment.find({ student: studentId, status: 'active' }).select('courses sections').lean(),
+      Course.find({ students: studentId }).select('_id').lean()
+    ]);
+
+    const courseIds = [...new Set([
+      ...enrollments.flatMap(enrollment => enrollment.courses.map(id => id.toString())),
+      ...rosterCourses.map(course => course._id.toString())
+    ])];
+    const sectionIds = enrollments.flatMap(enrollment => (enrollment.sections || []).map(entry => entry.section));
+
+    const [courses, sections] = await Promise.all([
+      Course.find({ _id: { $in: courseIds }, status: 'active' }).select(COURSE_FIELDS).lean(),
+      Section.find({ _id: { $in: sectionIds }, status: 'active' }).lean()
+    ]);
+    const coursesById = new Map(courses.map(course => [course._id.toString(), course]));
+
+    const assignments = await Assignment.find({
+      course: { $in: courses.map(course => course._id) },
+      section: { $in: [null, ...sectionIds] },
+      status: { $in: STUDENT_ASSIGNMENT_STATUSES },
+      isVisible: true,
+      dueDate: { $gte: this.horizon() }
+    }).select('title dueDate extendedDueDate course').lean();
+
+    return [
+      ...courses.flatMap(course => this.meetingEvents(course)),
+      ...sections
+        .filter(section => coursesById.has(section.course.toString()))
+        .flatMap(section => this.meetingEvents(coursesById.get(section.course.toString()), section)),
+      ...assignments.flatMap(assignment => this.deadlineEvents(assignment, coursesById.get(assignment.course.toString()))),
+      ...await this.attendedEvents(studentId)
+    ];
+  }
+
+  /**
+   * Calendar entries of a faculty member
+   * @param {string} facultyId - Faculty user ID
+   * @returns {Promise<Array>} Calendar events
+   */
+  async getTeachingEvents(facultyId) {
+    const [taughtCourses, sections] = await Promise.all([
+      Course.find({ faculty: facultyId, status: 'active' }).select(COURSE_FIELDS).lean(),
+      Section.find({ faculty: facultyId, status: 'active' }).lean()
+    ]);
+
+    const sectionCourses = await Course.find({
+      _id: { $in: sections.map(section => section.course) },
+      status: 'active'
+    }).select(COURSE_FIELDS).lean();
+    const coursesById = new Map([...taughtCourses, ...sectionCourses].map(course => [course._id.toString(), course]));
+
+    const assignments = await Assignment.find({
+      faculty: facultyId,
+      course: { $in: [...coursesById.keys()] },
+      status: { $ne: 'archived' },
+      dueDate: { $gte: this.horizon() }
+    }).select('title dueDate extendedDueDate course').lean();
+
+    return [
+      ...taughtCourses.flatMap(course => this.meetingEvents(course)),
+      ...sections
+        .filter(section => coursesById.has(section.course.toString()))
+        .flatMap(section => this.meetingEvents(coursesById.get(section.course.toString()), section)),
+      ...assignments.flatMap(assignment => this.deadlineEvents(assignment, coursesById.get(assignment.course.toString()))),
+      ...await this.attendedEvents(facultyId)
+    ];
+  }
+
+  /**
+   * Earliest date of past deadlines and events still included in feeds
+   * @returns {Date} Horizon
+   */
+  horizon() {
+    return new Date(Date.now() - getCalendarConfig().pastDays * DAY_MS);
+  }
+
+  /**
+   * Weekly meetings of a course, or of one of its sections, across the term
+   * @param {Object} course - Course
+   * @param {Object} [section] - Section of the course
+   * @returns {Array} Recurring calendar events
+   */
+  meetingEvents(course, section = null) {
+    if (!course.startDate || !course.endDate) return [];
+
+    const owner = section || course;
+    const label = section ? `${course.code} (section ${section.code})` : course.code;
+    const until = new Date(Date.UTC(
+      course.endDate.getUTCFullYear(), course.endDate.getUTCMonth(), course.endDate.getUTCDate(), 23, 59, 59
+    ));
+
+    return (owner.schedule || [])
+      .map((meeting, index) => ({ meeting, index, day: nextWeekday(course.startDate, meeting.day) }))
+      .filter(({ day }) => day <= until)
+      .map(({ meeting, index, day }) => ({
+        uid: `${owner._id}-${index}@smart-campus`,
+        summary: `${label} ${meeting.type || 'Lecture'}: ${course.name || course.title}`,
+        start: { day, time: meeting.startTime },
+        end: { day, time: meeting.endTime },
+        rrule: `FREQ=WEEKLY;BYDAY=${weekdayCode(meeting.day)};UNTIL=${formatUtc(until)}`,
+        location: owner.location && owner.location.building
+          ? [owner.location.building, owner.location.room].filter(Boolean).join(' - ')
+          : null
+      }));
+  }
+
+  /**
+   * Deadline of an assignment, and its extended deadline if there is one
+   * @param {Object} assignment - Assignment
+   * @param {Object} course - Course of the assignment
+   * @returns {Array} Calendar events
+   */
+  deadlineEvents(assignment, course) {
+    const prefix = course ? `${course.code} ` : '';
+    const deadline = (suffix, date, label) => ({
+      uid: `${assignment._id}-${suffix}@smart-campus`,
+      summary: `${prefix}${label}: ${assignment.title}`,
+      start: { date },
+      end: { date }
+    });
+
+    const events = [deadline('due', assignment.dueDate, 'Due')];
+    if (assignment.extendedDueDate) {
+      events.push(deadline('extended', assignment.extendedDueDate, 'Extended deadline'));
+    }
+    return events;
+  }
+
+  /**
+   * Events a user registered for or attended
+   * @param {string} userId - User ID
+   * @returns {Promise<Array>} Calendar events
+   */
+  async attendedEvents(userId) {
+    const events = await Event.find({
+      attendees: { $elemMatch: { user: userId, status: { $in: ATTENDING_STATUSES } } },
+      status: { $ne: 'draft' },
+      endDate: { $gte: this.horizon() }
+    }).select('title shortDescription startDate endDate startTime endTime location status').lean();
+
+    return events.map(event => ({
+      uid: `${event._id}@smart-campus`,
+      summary: event.title,
+      start: { day: event.startDate, time: event.startTime },
+      end: { day: event.endDate, time: event.endTime },
+      location: placeLabel(event.location),
+      description: event.shortDescription || null,
+      status: event.status === 'cancelled' ? 'CANCELLED' : 'CONFIRMED'
+    }));
+  }
+}
+
+module.exports = new CalendarService();
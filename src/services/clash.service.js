@@ -0,0 +1,289 @@
+const Course = require('../models/course.model');
+const Section = require('../models/section.model');
+const Enrollment = require('../models/enrollment.model');
+const permissionService = require('./permission.service');
+const auditService = require('./audit.service');
+const createError = require('../utils/createError');
+const logger = require('../utils/logger');
+
+// Courses in these states hold their timetable slots
+const SCHEDULED_COURSE_STATUSES = ['active', 'draft'];
+
+const BOOKING_COURSE_FIELDS = 'code name title year semester status faculty location schedule';
+
+/**
+ * Minutes since midnight for an HH:MM time
+ * @param {string} time - Time in HH:MM format
+ * @returns {number} Minutes
+ */
+const toMinutes = (time) => {
+  const [hours, minutes] = time.split(':').map(Number);
+  return hours * 60 + minutes;
+};
+
+/**
+ * Check whether two meetings overlap. Back-to-back meetings do not clash.
+ * @param {Object} a - { day, startTime, endTime }
+ * @param {Object} b - { day, startTime, endTime }
+ * @returns {boolean} True if the meetings overlap
+ */
+const overlaps = (a, b) => a.day === b.day &&
+  toMinutes(a.startTime) < toMinutes(b.endTime) &&
+  toMinutes(b.startTime) < toMinutes(a.endTime);
+
+/**
+ * Room of a course or section, if both building and room are known
+ * @param {Object} location - { building, room }
+ * @returns {string|null} Room label
+ */
+const roomLabel = (location) => (location && location.building && location.room
+  ? `${location.building} - ${location.room}`
+  : null);
+
+/**
+ * The meetings a course or one of its sections holds, with who teaches them and where
+ * @param {Object} course - Course (document, lean object or unsaved data)
+ * @param {Object} [section] - Section of the course
+ * @returns {Object} { course, section, faculty, location, meetings }
+ */
+const toBooking = (course, section = null) => {
+  const owner = section || course;
+  return {
+    course: { _id: course._id || null, code: course.code, name: course.name || course.title },
+    section: section ? { _id: section._id || null, code: section.code } : null,
+    faculty: owner.faculty ? (owner.faculty._id || owner.faculty) : null,
+    location: owner.location && owner.location.building && owner.location.room
+      ? { building: owner.location.building, room: owner.location.room }
+      : null,
+    meetings: (owner.schedule || []).filter(meeting => meeting && meeting.day && meeting.startTime && meeting.endTime)
+  };
+};
+
+const bookingLabel = (booking) => (booking.section
+  ? `${booking.course.code} section ${booking.section.code}`
+  : booking.course.code);
+
+const meetingSummary = (booking, meeting) => ({
+  course: booking.course,
+  section: booking.section,
+  startTime: meeting.startTime,
+  endTime: meeting.endTime,
+  type: meeting.type || 'Lecture'
+});
+
+/**
+ * Clash Service Class
+ *
+ * Detects timetable clashes for students, faculty and rooms. A course's own
+ * schedule is taught by the course faculty in the course's room; a section's
+ * schedule by the section faculty in the section's room. Faculty and rooms
+ * are only compared against courses of the same year and semester; students
+ * against the courses in their active enrollments.
+ *
+ * Each clash is reported as
+ * `{ type, resource, day, message, meeting, conflictsWith }` where `type` is
+ * student, faculty or room. Clashes block the change with a 409 unless a user
+ * holding `timetable.override_clashes` overrides them with a reason, which is
+ * written to the audit log.
+ */
+class ClashService {
+  /**
+   * Compare candidate bookings with existing ones
+   * @param {Array} candidates - Bookings being added or changed
+   * @param {Array} existing - Bookings already in the timetable
+   * @param {string} type - student, faculty or room
+   * @param {string} resource - Student ID, faculty ID or room label
+   * @returns {Array} Conflict reports
+   */
+  compare(candidates, existing, type, resource) {
+    const subject = { student: 'Student', faculty: 'Faculty member', room: `Room ${resource}` }[type];
+    const conflicts = [];
+
+    candidates.forEach(candidate => {
+      candidate.meetings.forEach(meeting => {
+        existing.forEach(booking => {
+          booking.meetings.filter(other => overlaps(meeting, other)).forEach(other => {
+            conflicts.push({
+              type,
+              resource: resource.toString(),
+              day: meeting.day,
+              message: `${subject} is already booked for ${bookingLabel(booking)} on ${other.day} ${other.startTime}-${other.endTime}`,
+              meeting: meetingSummary(candidate, meeting),
+              conflictsWith: meetingSummary(booking, other)
+            });
+          });
+        });
+      });
+    });
+
+    return conflicts;
+  }
+
+  /**
+   * Scheduled bookings of a faculty member or room in a term
+   * @param {Object} match - { faculty } or { 'location.building', 'location.room' }
+   * @param {Object} term - { year, semester }
+   * @param {Object} exclude - { course, section } being changed, left out of the comparison
+   * @returns {Promise<Array>} Bookings
+   */
+  async findBookings(match, term, exclude = {}) {
+    const courseQuery = {
+      ...match,
+      year: term.year,
+      semester: term.semester,
+      status: { $in: SCHEDULED_COURSE_STATUSES },
+      'schedule.0': { $exists: true }
+    };
+    if (exclude.course) courseQuery._id = { $ne: exclude.course };
+
+    const sectionQuery = { ...match, status: 'active', 'schedule.0': { $exists: true } };
+    if (exclude.section) sectionQuery._id = { $ne: exclude.section };
+
+    const [courses, sections] = await Promise.all([
+      Course.find(courseQuery).select(BOOKING_COURSE_FIELDS).lean(),
+      Section.find(sectionQuery)
+        .select('code faculty location schedule course')
+        .populate('course', BOOKING_COURSE_FIELDS)
+        .lean()
+    ]);
+
+    const sectionBookings = sections
+      .filter(section => section.course &&
+        section.course.year === term.year &&
+        section.course.semester === term.semester &&
+        SCHEDULED_COURSE_STATUSES.includes(section.course.status))
+      .map(section => toBooking(section.course, section));
+
+    return [...courses.map(course => toBooking(course)), ...sectionBookings];
+  }
+
+  /**
+   * Faculty and room clashes of a course's own schedule, or of one of its sections
+   * @param {Object} course - Course document or the data of a course being created
+   * @param {Object} [section] - Section document or data, when checking a section
+   * @returns {Promise<Array>} Conflict reports
+   */
+  async findTeachingClashes(course, section = null) {
+    try {
+      if (!SCHEDULED_COURSE_STATUSES.includes(course.status || 'active')) return [];
+      if (section && section.status === 'cancelled') return [];
+
+      const candidate = toBooking(course, section);
+      if (candidate.meetings.length === 0) return [];
+
+      const term = { year: Number(course.year), semester: Number(course.semester) };
+      const exclude = section ? { section: section._id } : { course: course._id };
+      const conflicts = [];
+
+      if (candidate.faculty) {
+        const bookings = await this.findBookings({ faculty: candidate.faculty }, term, exclude);
+        conflicts.push(...this.compare([candidate], bookings, 'faculty', candidate.faculty));
+      }
+
+      if (candidate.location) {
+        const bookings = await this.findBookings({
+          'location.building': candidate.location.building,
+          'location.room': candidate.location.room
+        }, term, exclude);
+        conflicts.push(...this.compare([candidate], bookings, 'room', roomLabel(candidate.location)));
+      }
+
+      return conflicts;
+    } catch (error) {
+      logger.error('Error checking teaching clashes:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Clashes between a course (and section) a student is joining and the
+   * courses in the student's active enrollments
+   * @param {string} studentId - Student user ID
+   * @param {Object} course - Course being joined
+   * @param {Object} [section] - Section being joined
+   * @returns {Promise<Array>} Conflict reports
+   */
+  async findStudentClashes(studentId, course, section = null) {
+    try {
+      // The course-wide schedule is attended along with the section's own
+      const candidates = [toBooking(course)];
+      if (section) candidates.push(toBooking(course, section));
+      if (candidates.every(candidate => candidate.meetings.length === 0)) return [];
+
+      const enrollments = await Enrollment.find({ student: studentId, status: 'active' })
+        .select('courses sections')
+        .lean();
+
+      const courseId = course._id.toString();
+      const courseIds = [...new Set(enrollments
+        .flatMap(enrollment => enrollment.courses.map(id => id.toString()))
+        .filter(id => id !== courseId))];
+      const sectionIds = enrollments
+        .flatMap(enrollment => enrollment.sections || [])
+        .filter(entry => courseIds.includes(entry.course.toString()))
+        .map(entry => entry.section);
+
+      const [courses, sections] = await Promise.all([
+        Course.find({ _id: { $in: courseIds } }).select(BOOKING_COURSE_FIELDS).lean(),
+        Section.find({ _id: { $in: sectionIds }, status: 'active' }).select('code faculty location schedule course').lean()
+      ]);
+
+      const coursesById = new Map(courses.map(item => [item._id.toString(), item]));
+      const existing = [
+        ...courses.map(item => toBooking(item)),
+        ...sections
+          .filter(item => coursesById.has(item.course.toString()))
+          .map(item => toBooking(coursesById.get(item.course.toString()), item))
+      ];
+
+      return this.compare(candidates, existing, 'student', studentId);
+    } catch (error) {
+      logger.error('Error checking student clashes:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Block a change that causes clashes, unless they are overridden
+   * @param {Array} conflicts - Conflict reports
+   * @param {Object|null} override - { user, reason } from a user asking to override
+   * @param {Object} department - Department of the course, for department-scoped grants
+   * @returns {Promise<boolean>} True if clashes were overridden
+   * @throws {Error} 409 with `conflicts`, or 403 if the user may not override
+   */
+  async assertNoClashes(conflicts, override, department) {
+    if (conflicts.length === 0) return false;
+
+    if (!override) {
+      const more = conflicts.length > 1 ? ` (and ${conflicts.length - 1} more)` : '';
+      const error = createError(409, `Timetable clash: ${conflicts[0].message}${more}`);
+      error.conflicts = conflicts;
+      throw error;
+    }
+
+    const allowed = await permissionService.hasPermission(override.user, 'timetable.override_clashes', { department });
+    if (!allowed) {
+      throw createError(403, 'You are not allowed to override timetable clashes');
+    }
+    return true;
+  }
+
+  /**
+   * Record an overridden clash in the audit log
+   * @param {string} entityType - Course, Section or Enrollment
+   * @param {string} entityId - ID of the changed record
+   * @param {Array} conflicts - Conflict reports that were overridden
+   * @param {string} reason - Reason given for the override
+   */
+  async recordOverride(entityType, entityId, conflicts, reason) {
+    await auditService.record({
+      action: 'timetable_clash_overridden',
+      entityType,
+      entityId,
+      details: { reason, conflicts }
+    });
+    logger.warn(`Timetable clash overridden on ${entityType} ${entityId}: ${reason}`);
+  }
+}
+
+module.exports = new ClashService();
@@ -1,5 +1,8 @@
 const Course = require('../models/course.model');
 const User = require('../models/user.model');
+const clashService = require('./clash.service');
+const prerequisiteService = require('./prerequisite.service');
+const waitlistService = require('./waitlist.service');
 const logger = require('../utils/logger');
 const mongoose = require('mongoose'); // Added for getStudentsByFaculty
 
@@ -14,8 +17,12 @@ class CourseService {
    */
   async createCourse(courseData) {
     try {
-      // Check if course code already exists
-      const existingCourse = await Course.findOne({ code: courseData.code });
+      // Check if course code already exists in the same term
+      const existingCourse = await Course.findOne({
+        code: String(courseData.code).toUpperCase(),
+        year: courseData.year,
+        semester: courseData.semester
+      });
       if (existingCourse) {
         throw new Error('Course with this code already exists');
       }
@@ -142,9 +149,12 @@ class CourseService {
         throw new Error('Course not found');
       }
 
-      // Check if course code is being updated and if it already exists
-      if (updateData.code && updateData.code !== course.code) {
-        const existingCourse = await Course.findOne({ code: updateData.code });
+      // Check if the course code or term is being updated and the code already exists in that term
+      const code = updateData.code ? String(updateData.code).toUpperCase() : course.code;
+      const year = updateData.year !== undefined ? Number(updateData.year) : course.year;
+      const semester = updateData.semester !== undefined ? Number(updateData.semester) : course.semester;
+      if (code !== course.code || year !== course.year || semester !== course.semester) {
+        const existingCourse = await Course.findOne({ _id: { $ne: course._id }, code, year, semester });
         if (existingCourse) {
           throw new Error('Course code already exists');
         }
@@ -195,12 +205,14 @@ class CourseService {
   }
 
   /**
-   * Enroll student in course
+   * Enroll student in course. When the course is full the student joins its
+   * waitlist instead.
    * @param {string} courseId - Course ID
    * @param {string} studentId - Student ID
-   * @returns {Promise<Object>} Updated course
+   * @param {Object|null} override - { user, reason } to proceed despite timetable clashes
+   * @returns {Promise<Object>} { course } once enrolled, or { waitlist } with the student's waitlist position
    */
-  async enrollStudent(courseId, studentId) {
+  async enrollStudent(courseId, studentId, override = null) {
     try {
       const course = await Course.findById(courseId);
       if (!course) {
@@ -213,8 +225,8 @@ class CourseService {
         throw new Error('Student not found or invalid role');
       }
 
-      // Check if course is available
-      if (!course.isAvailable) {
+      // Check if course is open; full courses take students onto the waitlist
+      if (course.status !== 'active') {
         throw new Error('Course is not available for enrollment');
       }
 
@@ -223,15 +235,32 @@ class CourseService {
         throw new Error('Student is already enrolled in this course');
       }
 
-      // Enroll student
-      await course.addStudent(studentId);
+      // Check prerequisites, honouring waivers on the student's active enrollments
+      const waivers = await prerequisiteService.getActiveWaivers(student._id);
+      await prerequisiteService.assertPrerequisites(student._id, course, waivers);
+
+      // Check the course against the student's timetable
+      const conflicts = await clashService.findStudentClashes(student._id, course);
+      const overridden = await clashService.assertNoClashes(conflicts, override, course.department);
+
+      // Enroll student, or queue them if no seat is free for them
+      const enrolled = await waitlistService.takeSeat(course, student._id);
+      if (!enrolled) {
+        const waitlist = await waitlistService.joinWaitlist(course, student._id);
+        logger.info(`Course ${course.code} is full; student ${student.email} waitlisted at position ${waitlist.position}`);
+        return { waitlist };
+      }
+
+      if (overridden) {
+        await clashService.recordOverride('Course', course._id, conflicts, override.reason);
+      }
 
       // Populate faculty and students
-      await course.populate('faculty', 'firstName lastName email department');
-      await course.populate('students', 'firstName lastName email studentId');
+      await enrolled.populate('faculty', 'firstName lastName email department');
+      await enrolled.populate('students', 'firstName lastName email studentId');
 
       logger.info(`Student ${student.email} enrolled in course ${course.code}`);
-      return course;
+      return { course: enrolled };
     } catch (error) {
       logger.error('Error enrolling student:', error);
       throw error;
@@ -239,7 +268,8 @@ class CourseService {
   }
 
   /**
-   * Remove student from course
+   * Remove student from course. The freed seat is offered to the next
+   * student on the waitlist.
    * @param {string} courseId - Course ID
    * @param {string} studentId - Student ID
    * @returns {Promise<Object>} Updated course
@@ -252,78 +282,23 @@ class CourseService {
       }
 
       // Remove student
-      await course.removeStudent(studentId);
+      const updated = await waitlistService.releaseSeat(course._id, studentId);
+      if (!updated) {
+        throw new Error('Student is not enrolled in this course');
+      }
 
       // Populate faculty and students
-      await course.populate('faculty', 'firstName lastName email department');
-      await course.populate('students', 'firstName lastName email studentId');
+      await updated.populate('faculty', 'firstName lastName email department');
+      await updated.populate('students', 'firstName lastName email studentId');
 
       logger.info(`Student removed from course ${course.code}`);
-      return course;
+      return updated;
     } catch (error) {
       logger.error('Error removing student:', error);
       throw error;
     }
   }
 
-  /**
-   * Add course material
-   * @param {string} courseId - Course ID
-   * @param {Object} materialData - Material data
-   * @returns {Promise<Object>} Updated course
-   */
-  async addCourseMaterial(courseId, materialData) {
-    try {
-      const course = await Course.findById(courseId);
-      if (!course) {
-        throw new Error('Course not found');
-      }
-
-      // Add material
-      course.materials.push(materialData);
-      await course.save();
-
-      // Populate faculty
-      await course.populate('faculty', 'firstName lastName email department');
-
-      logger.info(`Material added to course ${course.code}`);
-      return course;
-    } catch (error) {
-      logger.error('Error adding course material:', error);
-      throw error;
-    }
-  }
-
-  /**
-   * Remove course material
-   * @param {string} courseId - Course ID
-   * @param {string} materialId - Material ID
-   * @returns {Promise<Object>} Updated course
-   */
-  async removeCourseMaterial(courseId, materialId) {
-    try {
-      const course = await Course.findById(courseId);
-      if (!course) {
-        throw new Error('Course not found');
-      }
-
-      // Remove material
-      course.materials = course.materials.filter(
-        material => material._id.toString() !== materialId
-      );
-      await course.save();
-
-      // Populate faculty
-      await course.populate('faculty', 'firstName lastName email department');
-
-      logger.info(`Material removed from course ${course.code}`);
-      return course;
-    } catch (error) {
-      logger.error('Error removing course material:', error);
-      throw error;
-    }
-  }
-
   /**
    * Add course assignment
    * @param {string} courseId - Course ID
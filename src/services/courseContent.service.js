@@ -0,0 +1,456 @@
+const Course = require('../models/course.model');
+const CourseModule = require('../models/courseModule.model');
+const CourseMaterial = require('../models/courseMaterial.model');
+const MaterialView = require('../models/materialView.model');
+const courseStaffService = require('./courseStaff.service');
+const createError = require('../utils/createError');
+const logger = require('../utils/logger');
+
+// Fields of a module or material that can be changed after creation
+const MODULE_FIELDS = ['title', 'description', 'week', 'position', 'status', 'releaseAt'];
+const MATERIAL_FIELDS = ['title', 'description', 'module', 'position', 'status', 'releaseAt'];
+
+// Fields describing one uploaded file
+const FILE_FIELDS = ['fileUrl', 'fileName', 'fileType', 'fileSize', 'note'];
+
+const pick = (data, fields) => fields.reduce((picked, field) => {
+  if (data[field] !== undefined) picked[field] = data[field];
+  return picked;
+}, {});
+
+const byPosition = (a, b) => a.position - b.position || a.createdAt - b.createdAt;
+
+// The later of two optional release dates
+const latestRelease = (...dates) => dates.filter(Boolean).sort((a, b) => b - a)[0] || null;
+
+/**
+ * Course Content Service Class
+ *
+ * Manages the modules a course's content is organised in and the versioned
+ * materials inside them. Course staff whose role includes materials.edit
+ * see and change everything; everyone else with access to the course sees
+ * published content, unlocked once its module's and its own release dates
+ * have passed. Students' opens of each material are tracked.
+ */
+class CourseContentService {
+  /**
+   * Load a course or fail with 404
+   * @param {string} courseId - Course ID
+   * @returns {Promise<Object>} Course document
+   */
+  async findCourse(courseId) {
+    const course = await Course.findById(courseId);
+    if (!course) {
+      throw createError(404, 'Course not found');
+    }
+    return course;
+  }
+
+  /**
+   * Get one module of a course
+   * @param {string} courseId - Course ID
+   * @param {string} moduleId - Module ID
+   * @returns {Promise<Object>} Module document
+   */
+  async getModule(courseId, moduleId) {
+    const courseModule = await CourseModule.findOne({ _id: moduleId, course: courseId });
+    if (!courseModule) {
+      throw createError(404, 'Module not found in this course');
+    }
+    return courseModule;
+  }
+
+  /**
+   * Get one material of a course
+   * @param {string} courseId - Course ID
+   * @param {string} materialId - Material ID
+   * @returns {Promise<Object>} Material document
+   */
+  async findMaterial(courseId, materialId) {
+    const material = await CourseMaterial.findOne({ _id: materialId, course: courseId });
+    if (!material) {
+      throw createError(404, 'Material not found in this course');
+    }
+    return material;
+  }
+
+  /**
+   * Position after the last module of a course or material of a module
+   * @param {Object} Model - CourseModule or CourseMaterial
+   * @param {Object} filter - Siblings of the new entry
+   * @returns {Promise<number>} Position
+   */
+  async nextPosition(Model, filter) {
+    const last = await Model.findOne(filter).sort({ position: -1 }).select('position');
+    return last ? last.position + 1 : 0;
+  }
+
+  /**
+   * Create a module of a course
+   * @param {string} courseId - Course ID
+   * @param {Object} moduleData - { title, description, week, position, status, releaseAt }
+   * @param {string} userId - User creating the module
+   * @returns {Promise<Object>} Created module
+   */
+  async createModule(courseId, moduleData, userId) {
+    try {
+      const course = await this.findCourse(courseId);
+      const data = pick(moduleData, MODULE_FIELDS);
+      if (data.position === undefined) {
+        data.position = await this.nextPosition(CourseModule, { course: course._id });
+      }
+
+      const courseModule = await CourseModule.create({ ...data, course: course._id, createdBy: userId });
+
+      logger.info(`Module "${courseModule.title}" created for course ${course.code}`);
+      return courseModule;
+    } catch (error) {
+      logger.error('Error creating course module:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Update a module
+   * @param {string} courseId - Course ID
+   * @param {string} moduleId - Module ID
+   * @param {Object} updateData - Fields to change
+   * @returns {Promise<Object>} Updated module
+   */
+  async updateModule(courseId, moduleId, updateData) {
+    try {
+      const courseModule = await this.getModule(courseId, moduleId);
+      courseModule.set(pick(updateData, MODULE_FIELDS));
+      await courseModule.save();
+
+      logger.info(`Module ${courseModule._id} of course ${courseId} updated`);
+      return courseModule;
+    } catch (error) {
+      logger.error('Error updating course module:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Delete an empty module
+   * @param {string} courseId - Course ID
+   * @param {string} moduleId - Module ID
+   */
+  async deleteModule(courseId, moduleId) {
+    try {
+      const courseModule = await this.getModule(courseId, moduleId);
+
+      const materials = await CourseMaterial.countDocuments({ module: courseModule._id });
+      if (materials > 0) {
+        throw createError(409, `Module still holds ${materials} material(s); move or delete them first`);
+      }
+
+      await courseModule.deleteOne();
+      logger.info(`Module ${courseModule._id} deleted from course ${courseId}`);
+    } catch (error) {
+      logger.error('Error deleting course module:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Add a material to a module
+   * @param {string} courseId - Course ID
+   * @param {Object} materialData - Material fields and its first file
+   * @param {string} userId - User uploading the material
+   * @returns {Promise<Object>} Created material
+   */
+  async createMaterial(courseId, materialData, userId) {
+    try {
+      const course = await this.findCourse(courseId);
+      const courseModule = await this.getModule(course._id, materialData.module);
+
+      const data = pick(materialData, MATERIAL_FIELDS);
+      if (data.position === undefined) {
+        data.position = await this.nextPosition(CourseMaterial, { module: courseModule._id });
+      }
+
+      const material = await CourseMaterial.create({
+        ...data,
+        course: course._id,
+        module: courseModule._id,
+        versions: [{ ...pick(materialData, FILE_FIELDS), version: 1, uploadedBy: userId }],
+        createdBy: userId
+      });
+
+      logger.info(`Material "${material.title}" added to course ${course.code}`);
+      return material;
+    } catch (error) {
+      logger.error('Error adding course material:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Update a material's details, or move it to another module
+   * @param {string} courseId - Course ID
+   * @param {string} materialId - Material ID
+   * @param {Object} updateData - Fields to change
+   * @returns {Promise<Object>} Updated material
+   */
+  async updateMaterial(courseId, materialId, updateData) {
+    try {
+      const material = await this.findMaterial(courseId, materialId);
+      const changes = pick(updateData, MATERIAL_FIELDS);
+
+      if (changes.module && changes.module.toString() !== material.module.toString()) {
+        await this.getModule(courseId, changes.module);
+        if (changes.position === undefined) {
+          changes.position = await this.nextPosition(CourseMaterial, { module: changes.module });
+        }
+      }
+
+      material.set(changes);
+      await material.save();
+
+      logger.info(`Material ${material._id} of course ${courseId} updated`);
+      return material;
+    } catch (error) {
+      logger.error('Error updating course material:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Replace a material's file, keeping the previous versions
+   * @param {string} courseId - Course ID
+   * @param {string} materialId - Material ID
+   * @param {Object} file - { fileUrl, fileName, fileType, fileSize, note }
+   * @param {string} userId - User uploading the file
+   * @returns {Promise<Object>} Updated material
+   */
+  async replaceMaterialFile(courseId, materialId, file, userId) {
+    try {
+      const material = await this.findMaterial(courseId, materialId);
+      await material.addVersion(pick(file, FILE_FIELDS), userId);
+
+      logger.info(`Material ${material._id} of course ${courseId} replaced with version ${material.current.version}`);
+      return material;
+    } catch (error) {
+      logger.error('Error replacing course material file:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Delete a material with its versions and view history
+   * @param {string} courseId - Course ID
+   * @param {string} materialId - Material ID
+   */
+  async deleteMaterial(courseId, materialId) {
+    try {
+      const material = await this.findMaterial(courseId, materialId);
+
+      await MaterialView.deleteMany({ material: material._id });
+      await material.deleteOne();
+
+      logger.info(`Material ${material._id} deleted from course ${courseId}`);
+    } catch (error) {
+      logger.error('Error deleting course material:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Describe a material for a course outline or a single view
+   * @param {Object} material - Material document
+   * @param {Object} context - { editor, moduleReleaseAt, moduleReleased, view, now }
+   * @returns {Object} Material summary
+   */
+  describeMaterial(material, { editor, moduleReleaseAt, moduleReleased, view, now }) {
+    const unlocked = moduleReleased && material.isReleased(now);
+    const summary = {
+      _id: material._id,
+      module: material.module,
+      title: material.title,
+      description: material.description,
+      position: material.position,
+      releaseAt: latestRelease(moduleReleaseAt, material.releaseAt),
+      unlocked,
+      // Locked files are withheld from students
+      file: unlocked || editor ? material.current : null
+    };
+
+    if (editor) {
+      summary.status = material.status;
+      summary.versions = material.versions;
+    }
+    if (view !== undefined) {
+      summary.viewed = Boolean(view);
+      summary.viewedAt = view ? view.lastViewedAt : null;
+    }
+    return summary;
+  }
+
+  /**
+   * Course outline: modules in order with their materials. Course staff
+   * who edit materials see drafts and every version; everyone else sees
+   * published content, and students see what they have opened.
+   * @param {string} courseId - Course ID
+   * @param {Object} user - Requesting user
+   * @returns {Promise<Object>} { course, modules, summary }
+   */
+  async getOutline(courseId, user) {
+    try {
+      const course = await this.findCourse(courseId);
+      const editor = await courseStaffService.hasCapability(course, user, 'materials.edit');
+      const now = new Date();
+
+      const visible = editor ? {} : { status: 'published' };
+      const [modules, materials] = await Promise.all([
+        CourseModule.find({ course: course._id, ...visible }),
+        CourseMaterial.find({ course: course._id, ...visible })
+      ]);
+
+      let views = null;
+      if (user.role === 'student') {
+        const entries = await MaterialView.find({ course: course._id, student: user._id }).lean();
+        views = new Map(entries.map(entry => [entry.material.toString(), entry]));
+      }
+
+      const outline = modules.sort(byPosition).map(courseModule => {
+        const moduleReleased = courseModule.isReleased(now);
+        const moduleMaterials = materials
+          .filter(material => material.module.toString() === courseModule._id.toString())
+          .sort(byPosition)
+          .map(material => this.describeMaterial(material, {
+            editor,
+            moduleReleaseAt: courseModule.releaseAt,
+            moduleReleased,
+            view: views ? views.get(material._id.toString()) || null : undefined,
+            now
+          }));
+
+        return {
+          _id: courseModule._id,
+          title: courseModule.title,
+          description: courseModule.description,
+          week: courseModule.week,
+          position: courseModule.position,
+          ...(editor ? { status: courseModule.status } : {}),
+          releaseAt: courseModule.releaseAt || null,
+          unlocked: moduleReleased,
+          materials: moduleMaterials
+        };
+      });
+
+      const listed = outline.flatMap(courseModule => courseModule.materials);
+      const summary = {
+        modules: outline.length,
+        materials: listed.length,
+        unlocked: listed.filter(material => material.unlocked).length
+      };
+      if (views) {
+        summary.viewed = listed.filter(material => material.viewed).length;
+      }
+
+      return {
+        course: { _id: course._id, code: course.code, name: course.name },
+        modules: outline,
+        summary
+      };
+    } catch (error) {
+      logger.error('Error getting course outline:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Open a material. Students are only given unlocked materials, and the
+   * open is recorded against them.
+   * @param {string} courseId - Course ID
+   * @param {string} materialId - Material ID
+   * @param {Object} user - Requesting user
+   * @returns {Promise<Object>} Material summary
+   */
+  async getMaterial(courseId, materialId, user) {
+    try {
+      const course = await this.findCourse(courseId);
+      const material = await this.findMaterial(course._id, materialId);
+      const courseModule = await this.getModule(course._id, material.module);
+      const editor = await courseStaffService.hasCapability(course, user, 'materials.edit');
+      const now = new Date();
+
+      if (!editor && (courseModule.status !== 'published' || material.status !== 'published')) {
+        throw createError(404, 'Material not found in this course');
+      }
+
+      const context = { editor, moduleReleaseAt: courseModule.releaseAt, moduleReleased: courseModule.isReleased(now), now };
+      const summary = this.describeMaterial(material, context);
+      if (!editor && !summary.unlocked) {
+        throw createError(403, `This material unlocks on ${summary.releaseAt.toISOString()}`);
+      }
+
+      if (user.role === 'student') {
+        const view = await MaterialView.findOneAndUpdate(
+          { material: material._id, student: user._id },
+          {
+            $inc: { count: 1 },
+            $set: { lastViewedAt: now, version: material.current.version },
+            $setOnInsert: { course: course._id, firstViewedAt: now }
+          },
+          { upsert: true, new: true }
+        );
+        return this.describeMaterial(material, { ...context, view });
+      }
+
+      return summary;
+    } catch (error) {
+      logger.error('Error getting course material:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Which enrolled students have opened a material
+   * @param {string} courseId - Course ID
+   * @param {string} materialId - Material ID
+   * @returns {Promise<Object>} { material, viewed, notViewed, summary }
+   */
+  async getMaterialViews(courseId, materialId) {
+    try {
+      const course = await this.findCourse(courseId);
+      const material = await this.findMaterial(course._id, materialId);
+      await course.populate('students', 'firstName lastName email studentId');
+
+      const views = await MaterialView.find({ material: material._id }).lean();
+      const byStudent = new Map(views.map(view => [view.student.toString(), view]));
+
+      const viewed = [];
+      const notViewed = [];
+      course.students.forEach(student => {
+        const view = byStudent.get(student._id.toString());
+        if (view) {
+          viewed.push({
+            student,
+            count: view.count,
+            version: view.version,
+            firstViewedAt: view.firstViewedAt,
+            lastViewedAt: view.lastViewedAt,
+            // Opened before the current file was uploaded
+            outdated: view.version < material.current.version
+          });
+        } else {
+          notViewed.push(student);
+        }
+      });
+
+      return {
+        material: { _id: material._id, title: material.title, version: material.current.version },
+        viewed,
+        notViewed,
+        summary: { enrolled: course.students.length, viewed: viewed.length }
+      };
+    } catch (error) {
+      logger.error('Error getting course material views:', error);
+      throw error;
+    }
+  }
+}
+
+module.exports = new CourseContentService();
@@ -4,6 +4,8 @@ const Course = require('../models/course.model');
 const Assignment = require('../models/assignment.model');
 const Submission = require('../models/submission.model');
 const Enrollment = require('../models/enrollment.model');
+const sectionService = require('./section.service');
+const attendanceService = require('./attendance.service');
 const createError = require('../utils/createError');
 const logger = require('../utils/logger');
 
@@ -22,7 +24,10 @@ class CourseGradeService {
         throw createError(404, 'Course not found');
       }
 
-      if (course.faculty.toString() !== facultyId.toString()) {
+      // Section faculty grade only the students in their section
+      const section = await sectionService.getStudentSection(gradeData.student, course._id);
+      const scope = await sectionService.getTeachingScope(course, facultyId);
+      if (!sectionService.teachesSection(scope, section)) {
         throw createError(403, 'You are not authorized to grade this course');
       }
 
@@ -53,9 +58,16 @@ class CourseGradeService {
       const credits = gradeData.credits || course.creditHours;
 
       const qualityPoints = gradePoints * credits;
+
+      // Attendance comes from the session records unless given
+      const attendance = gradeData.attendance !== undefined
+        ? gradeData.attendance
+        : await attendanceService.getAttendancePercentage(course, gradeData.student);
       
       const courseGrade = new CourseGrade({
         ...gradeData,
+        ...(attendance !== null && { attendance }),
+        section,
         faculty: facultyId,
         gradePoints,
         numericalGrade,
@@ -138,11 +150,22 @@ class CourseGradeService {
         throw createError(404, 'Course not found');
       }
 
-      if (course.faculty.toString() !== facultyId.toString()) {
+      const scope = await sectionService.getTeachingScope(course, facultyId);
+      if (!scope) {
         throw createError(403, 'You are not authorized to view grades for this course');
       }
 
       const query = { course: courseId };
+
+      // Section faculty only see their own sections
+      if (filters.section) {
+        if (!sectionService.teachesSection(scope, filters.section)) {
+          throw createError(403, 'You are not authorized to view grades for this section');
+        }
+        query.section = filters.section;
+      } else if (!scope.allSections) {
+        query.section = { $in: scope.sectionIds };
+      }
       
       if (filters.semester) query.semester = filters.semester;
       if (filters.academicYear) query.academicYear = filters.academicYear;
@@ -151,6 +174,7 @@ class CourseGradeService {
       const grades = await CourseGrade.find(query)
         .populate('student', 'firstName lastName studentId email')
         .populate('course', 'name code creditHours')
+        .populate('section', 'code')
         .sort({ 'student.firstName': 1 });
 
       logger.info(`Course grades retrieved for course: ${courseId}`);
@@ -246,6 +270,54 @@ class CourseGradeService {
     }
   }
 
+  /**
+   * Approve a submitted course grade
+   */
+  async approveCourseGrade(gradeId, userId) {
+    try {
+      const courseGrade = await CourseGrade.findById(gradeId);
+      if (!courseGrade) {
+        throw createError(404, 'Course grade not found');
+      }
+
+      if (courseGrade.status !== 'submitted') {
+        throw createError(400, 'Only submitted grades can be approved');
+      }
+
+      await courseGrade.approveGrade(userId);
+
+      logger.info(`Course grade approved: ${gradeId} by user: ${userId}`);
+      return courseGrade;
+    } catch (error) {
+      logger.error('Error approving course grade:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Finalize an approved course grade
+   */
+  async finalizeCourseGrade(gradeId, userId) {
+    try {
+      const courseGrade = await CourseGrade.findById(gradeId);
+      if (!courseGrade) {
+        throw createError(404, 'Course grade not found');
+      }
+
+      if (courseGrade.status !== 'approved') {
+        throw createError(400, 'Only approved grades can be finalized');
+      }
+
+      await courseGrade.finalizeGrade(userId);
+
+      logger.info(`Course grade finalized: ${gradeId} by user: ${userId}`);
+      return courseGrade;
+    } catch (error) {
+      logger.error('Error finalizing course grade:', error);
+      throw error;
+    }
+  }
+
   /**
    * Bulk submit course grades
    */
@@ -330,12 +402,14 @@ class CourseGradeService {
         status: 'active'
       }).populate('student', 'firstName lastName studentId');
 
+      // Attendance percentages from the session records
+      const attendance = await attendanceService.getAttendancePercentages(course);
+
       const results = [];
 
       for (const enrollment of enrollments) {
         try {
           const studentGrades = [];
-          let totalWeight = 0;
 
           // Calculate grades for each assignment
           for (const assignment of assignments) {
@@ -346,7 +420,6 @@ class CourseGradeService {
 
             if (submission && submission.status === 'graded') {
               const weight = assignment.weight || (100 / assignments.length);
-              totalWeight += weight;
 
               studentGrades.push({
                 assignment: assignment._id,
@@ -359,16 +432,6 @@ class CourseGradeService {
           }
 
           if (studentGrades.length > 0) {
-            // Calculate weighted average
-            let weightedSum = 0;
-            studentGrades.forEach(grade => {
-              weightedSum += (grade.grade / grade.maxPoints) * grade.weight;
-            });
-
-            const finalNumericalGrade = totalWeight > 0 ? (weightedSum / totalWeight) * 100 : 0;
-            const finalLetterGrade = this.getLetterGrade(finalNumericalGrade);
-            const gradePoints = CourseGrade.getGradePoints(finalLetterGrade);
-
             // Create or update course grade
             const existingGrade = await CourseGrade.findOne({
               student: enrollment.student._id,
@@ -377,6 +440,20 @@ class CourseGradeService {
               academicYear
             });
 
+            // Without attendance records, keep any attendance entered by hand
+            const recorded = attendance.get(enrollment.student._id.toString());
+            const studentAttendance = recorded !== undefined ? recorded : (existingGrade ? existingGrade.attendance : undefined);
+
+            // Weighted average as in CourseGrade#calculateWeightedGrade, where
+            // attendance and participation entered by hand weigh 10% each
+            const finalNumericalGrade = new CourseGrade({
+              assignmentGrades: studentGrades,
+              attendance: studentAttendance,
+              participation: existingGrade ? existingGrade.participation : undefined
+            }).calculateWeightedGrade();
+            const finalLetterGrade = this.getLetterGrade(finalNumericalGrade);
+            const gradePoints = CourseGrade.getGradePoints(finalLetterGrade);
+
             const gradeData = {
               student: enrollment.student._id,
               course: courseId,
@@ -388,6 +465,7 @@ class CourseGradeService {
               gradePoints,
               credits: course.creditHours || 3, // Default to 3 credits if not specified
               assignmentGrades: studentGrades,
+              attendance: studentAttendance,
               status: 'draft'
             };
 
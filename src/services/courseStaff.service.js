@@ -0,0 +1,235 @@
+const mongoose = require('mongoose');
+const Course = require('../models/course.model');
+const User = require('../models/user.model');
+const permissionService = require('./permission.service');
+const {
+  COURSE_CAPABILITIES,
+  COURSE_STAFF_ROLES,
+  MANAGER_CAPABILITIES,
+  getStaffRoleCapabilities
+} = require('../config/courseStaff.config');
+const createError = require('../utils/createError');
+const logger = require('../utils/logger');
+
+const STAFF_POPULATE = { path: 'staff.user', select: 'firstName lastName email' };
+
+/**
+ * Course Staff Service Class
+ *
+ * Resolves what a user may do in a course. The course's faculty member
+ * holds every capability; co-instructors, teaching assistants and graders
+ * hold the capabilities of their staff role; holders of courses.manage for
+ * the course's department hold every capability except submitting course
+ * grades. Capabilities are listed in courseStaff.config.
+ */
+class CourseStaffService {
+  /**
+   * Load a course unless a course document is given
+   * @param {Object|string} course - Course document or ID
+   * @returns {Promise<Object>} Course document
+   */
+  async resolveCourse(course) {
+    if (course && course.staff && course.department) return course;
+
+    const courseId = course && course._id ? course._id : course;
+    const found = mongoose.isValidObjectId(courseId) ? await Course.findById(courseId) : null;
+    if (!found) {
+      throw createError(404, 'Course not found');
+    }
+    return found;
+  }
+
+  /**
+   * Load a user unless a user with a role is given
+   * @param {Object|string} user - User document or ID
+   * @returns {Promise<Object|null>} User with role
+   */
+  async resolveUser(user) {
+    if (user && user.role) return user;
+    return User.findById(user && user._id ? user._id : user).select('role isActive');
+  }
+
+  /**
+   * Capabilities a user holds in a course
+   * @param {Object|string} course - Course document or ID
+   * @param {Object|string} user - User document or ID
+   * @returns {Promise<Array>} Capability names
+   */
+  async getCapabilities(course, user) {
+    const resolved = await this.resolveCourse(course);
+    const member = await this.resolveUser(user);
+    if (!member) return [];
+
+    const userId = member._id.toString();
+    if (resolved.faculty && (resolved.faculty._id || resolved.faculty).toString() === userId) {
+      return Object.keys(COURSE_CAPABILITIES);
+    }
+
+    const capabilities = new Set();
+    const staffEntry = (resolved.staff || []).find(entry => (entry.user._id || entry.user).toString() === userId);
+    if (staffEntry) {
+      getStaffRoleCapabilities(staffEntry.role).forEach(capability => capabilities.add(capability));
+    }
+
+    if (await permissionService.hasPermission(member, 'courses.manage', { department: resolved.department })) {
+      MANAGER_CAPABILITIES.forEach(capability => capabilities.add(capability));
+    }
+
+    return [...capabilities];
+  }
+
+  /**
+   * Check whether a user holds a capability in a course
+   * @param {Object|string} course - Course document or ID
+   * @param {Object|string} user - User document or ID
+   * @param {string} capability - Required capability
+   * @returns {Promise<boolean>} True if allowed
+   */
+  async hasCapability(course, user, capability) {
+    const capabilities = await this.getCapabilities(course, user);
+    return capabilities.includes(capability);
+  }
+
+  /**
+   * Throw 403 unless a user holds a capability in a course
+   * @param {Object|string} course - Course document or ID
+   * @param {Object|string} user - User document or ID
+   * @param {string} capability - Required capability
+   * @param {string} [message] - Error message
+   */
+  async assertCapability(course, user, capability, message) {
+    if (!await this.hasCapability(course, user, capability)) {
+      throw createError(403, message || `Your role in this course does not allow this (${capability})`);
+    }
+  }
+
+  /**
+   * List the staff roles and their capabilities
+   * @returns {Array} Roles
+   */
+  listRoles() {
+    return Object.entries(COURSE_STAFF_ROLES).map(([name, role]) => ({
+      name,
+      displayName: role.displayName,
+      capabilities: role.capabilities
+    }));
+  }
+
+  /**
+   * Staff of a course, with the current user's own capabilities
+   * @param {string} courseId - Course ID
+   * @param {Object} user - Requesting user
+   * @returns {Promise<Object>} { roles, faculty, staff, capabilities }
+   */
+  async getStaff(courseId, user) {
+    try {
+      const course = await this.resolveCourse(courseId);
+      await course.populate([STAFF_POPULATE, { path: 'faculty', select: 'firstName lastName email' }]);
+
+      return {
+        roles: this.listRoles(),
+        faculty: course.faculty,
+        staff: course.staff.map(entry => ({
+          user: entry.user,
+          role: entry.role,
+          capabilities: getStaffRoleCapabilities(entry.role),
+          addedAt: entry.addedAt
+        })),
+        capabilities: await this.getCapabilities(course, user)
+      };
+    } catch (error) {
+      logger.error('Error getting course staff:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Add a faculty member to the staff of a course
+   * @param {string} courseId - Course ID
+   * @param {Object} data - { userId, role }
+   * @param {Object} actor - Requesting user
+   * @returns {Promise<Object>} Staff of the course
+   */
+  async addStaff(courseId, { userId, role }, actor) {
+    try {
+      const course = await this.resolveCourse(courseId);
+
+      const member = await User.findById(userId).select('firstName lastName email role isActive');
+      if (!member || !member.isActive) {
+        throw createError(404, 'User not found');
+      }
+      if (member.role !== 'faculty') {
+        throw createError(400, 'Only faculty accounts can join a course\'s staff');
+      }
+      if (course.faculty.toString() === member._id.toString()) {
+        throw createError(400, 'The course\'s faculty already leads it');
+      }
+      if (course.getStaffRole(member._id)) {
+        throw createError(409, `${member.firstName} ${member.lastName} is already on the staff of ${course.code}`);
+      }
+
+      course.staff.push({ user: member._id, role, addedBy: actor._id });
+      await course.save();
+
+      logger.info(`${member.email} added to course ${course.code} as ${role} by ${actor.email}`);
+      return this.getStaff(course._id, actor);
+    } catch (error) {
+      logger.error('Error adding course staff:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Change the staff role of a member of a course
+   * @param {string} courseId - Course ID
+   * @param {string} userId - Staff member's user ID
+   * @param {string} role - New staff role
+   * @param {Object} actor - Requesting user
+   * @returns {Promise<Object>} Staff of the course
+   */
+  async updateStaff(courseId, userId, role, actor) {
+    try {
+      const course = await this.resolveCourse(courseId);
+
+      const entry = course.staff.find(member => member.user.toString() === userId.toString());
+      if (!entry) {
+        throw createError(404, 'User is not on the staff of this course');
+      }
+
+      entry.role = role;
+      await course.save();
+
+      logger.info(`Staff role of user ${userId} in course ${course.code} changed to ${role} by ${actor.email}`);
+      return this.getStaff(course._id, actor);
+    } catch (error) {
+      logger.error('Error updating course staff:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Remove a member from the staff of a course
+   * @param {string} courseId - Course ID
+   * @param {string} userId - Staff member's user ID
+   * @param {Object} actor - Requesting user
+   */
+  async removeStaff(courseId, userId, actor) {
+    try {
+      const course = await this.resolveCourse(courseId);
+
+      const before = course.staff.length;
+      course.staff = course.staff.filter(member => member.user.toString() !== userId.toString());
+      if (course.staff.length === before) {
+        throw createError(404, 'User is not on the staff of this course');
+      }
+      await course.save();
+
+      logger.info(`User ${userId} removed from the staff of course ${course.code} by ${actor.email}`);
+    } catch (error) {
+      logger.error('Error removing course staff:', error);
+      throw error;
+    }
+  }
+}
+
+module.exports = new CourseStaffService();
@@ -2,6 +2,11 @@ const Enrollment = require('../models/enrollment.model');
 const User = require('../models/user.model');
 const Program = require('../models/program.model');
 const Course = require('../models/course.model');
+const sectionService = require('./section.service');
+const clashService = require('./clash.service');
+const prerequisiteService = require('./prerequisite.service');
+const waitlistService = require('./waitlist.service');
+const permissionService = require('./permission.service');
 const createError = require('../utils/createError');
 const logger = require('../utils/logger');
 const { ResponseHandler } = require('../utils/responseHandler');
@@ -74,12 +79,15 @@ class EnrollmentService {
         }
       }
 
-      // Check if courses exist (if provided)
+      // Check if courses exist (if provided) and the student meets their prerequisites
       if (enrollmentData.courses && enrollmentData.courses.length > 0) {
         const courseValidation = await this.validateCourseIds(enrollmentData.courses);
         if (!courseValidation.valid) {
           throw createError(404, courseValidation.error);
         }
+        for (const course of courseValidation.courses) {
+          await prerequisiteService.assertPrerequisites(student._id, course);
+        }
       }
 
       // Check for duplicate enrollment in the same program, semester, and academic year
@@ -273,12 +281,16 @@ class EnrollmentService {
         throw createError(404, 'Enrollment not found');
       }
 
-      // Check if courses exist (if being updated)
+      // Check if courses exist (if being updated) and the prerequisites of added ones
       if (updateData.courses && updateData.courses.length > 0) {
         const courseValidation = await this.validateCourseIds(updateData.courses);
         if (!courseValidation.valid) {
           throw createError(404, courseValidation.error);
         }
+        const addedCourses = courseValidation.courses.filter(course => !enrollment.courses.includes(course._id));
+        for (const course of addedCourses) {
+          await prerequisiteService.assertPrerequisites(enrollment.student, course, enrollment.prerequisiteWaivers);
+        }
       }
 
       // Check if advisor exists (if being updated)
@@ -371,9 +383,13 @@ class EnrollmentService {
   }
 
   /**
-   * Add course to enrollment
+   * Add course to enrollment. A seat in the course is taken as part of the
+   * change (409 when the course is full); courses taught in sections also
+   * need a section with a free seat. Timetable clashes with
+   * the student's other courses block the change unless overridden.
+   * @param {Object|null} override - { user, reason } to proceed despite clashes
    */
-  async addCourseToEnrollment(enrollmentId, courseId, lastModifiedBy) {
+  async addCourseToEnrollment(enrollmentId, courseId, lastModifiedBy, sectionId = null, override = null) {
     try {
       const enrollment = await Enrollment.findById(enrollmentId);
       if (!enrollment) {
@@ -391,16 +407,50 @@ class EnrollmentService {
         throw createError(400, 'Student cannot enroll in this course');
       }
 
-      await enrollment.addCourse(courseId, lastModifiedBy);
+      await prerequisiteService.assertPrerequisites(enrollment.student, course, enrollment.prerequisiteWaivers);
+
+      if (!sectionId && await sectionService.hasSections(courseId)) {
+        throw createError(400, 'This course is taught in sections; a sectionId is required');
+      }
+
+      const requestedSection = sectionId ? await sectionService.getSection(courseId, sectionId) : null;
+      const conflicts = await clashService.findStudentClashes(enrollment.student, course, requestedSection);
+      const overridden = await clashService.assertNoClashes(conflicts, override, course.department);
+
+      // Take a seat in the course unless the student already holds one
+      const heldSeat = course.isStudentEnrolled(enrollment.student);
+      if (!heldSeat && !await waitlistService.takeSeat(course, enrollment.student)) {
+        throw createError(409, `Course ${course.code} is full`);
+      }
+
+      let section = null;
+      try {
+        section = requestedSection ? await sectionService.reserveSeat(courseId, sectionId) : null;
+        await enrollment.addCourse(courseId, lastModifiedBy, section ? section._id : null);
+      } catch (error) {
+        // Give the seats back if the enrollment could not be saved
+        if (section) {
+          await sectionService.releaseSeat(section._id);
+        }
+        if (!heldSeat) {
+          await waitlistService.releaseSeat(course._id, enrollment.student);
+        }
+        throw error;
+      }
       await enrollment.calculateTotalCredits();
 
+      if (overridden) {
+        await clashService.recordOverride('Enrollment', enrollment._id, conflicts, override.reason);
+      }
+
       const updatedEnrollment = await Enrollment.findById(enrollmentId)
         .populate('student', 'name email studentId')
         .populate('program', 'name code')
         .populate('courses', 'name code creditHours')
+        .populate('sections.section', 'code faculty schedule location')
         .populate('advisor', 'name email');
 
-      logger.info(`Course added to enrollment: ${courseId} to enrollment: ${enrollmentId}`);
+      logger.info(`Course added to enrollment: ${courseId}${section ? ` (section ${section.code})` : ''} to enrollment: ${enrollmentId}`);
 
       return {
         success: true,
@@ -414,7 +464,7 @@ class EnrollmentService {
   }
 
   /**
-   * Remove course from enrollment
+   * Remove course from enrollment, giving back the student's course and section seats
    */
   async removeCourseFromEnrollment(enrollmentId, courseId, lastModifiedBy) {
     try {
@@ -423,13 +473,24 @@ class EnrollmentService {
         throw createError(404, 'Enrollment not found');
       }
 
+      const wasEnrolled = enrollment.courses.includes(courseId);
+      const sectionId = wasEnrolled ? enrollment.getSection(courseId) : null;
+
       await enrollment.removeCourse(courseId, lastModifiedBy);
+      if (sectionId) {
+        await sectionService.releaseSeat(sectionId);
+      }
+      // The freed course seat goes to the next student on the waitlist
+      if (wasEnrolled) {
+        await waitlistService.releaseSeat(courseId, enrollment.student);
+      }
       await enrollment.calculateTotalCredits();
 
       const updatedEnrollment = await Enrollment.findById(enrollmentId)
         .populate('student', 'name email studentId')
         .populate('program', 'name code')
         .populate('courses', 'name code creditHours')
+        .populate('sections.section', 'code faculty schedule location')
         .populate('advisor', 'name email');
 
       logger.info(`Course removed from enrollment: ${courseId} from enrollment: ${enrollmentId}`);
@@ -445,6 +506,151 @@ class EnrollmentService {
     }
   }
 
+  /**
+   * Check the student of an enrollment against the prerequisites of a course.
+   * Students may only check their own enrollments.
+   */
+  async checkCoursePrerequisites(enrollmentId, courseId, user) {
+    try {
+      const enrollment = await Enrollment.findById(enrollmentId);
+      if (!enrollment) {
+        throw createError(404, 'Enrollment not found');
+      }
+
+      if (user.role === 'student' && enrollment.student.toString() !== user._id.toString()) {
+        throw createError(403, 'You can only check prerequisites for your own enrollment');
+      }
+
+      const course = await Course.findById(courseId);
+      if (!course) {
+        throw createError(404, 'Course not found');
+      }
+
+      return await prerequisiteService.checkPrerequisites(enrollment.student, course, enrollment.prerequisiteWaivers);
+    } catch (error) {
+      logger.error('Error checking course prerequisites:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Waive the missing prerequisites of a course for a student. Only the
+   * student's advisor or holders of enrollments.waive_prerequisites may do so;
+   * the waiver and its reason are recorded on the enrollment.
+   */
+  async waivePrerequisites(enrollmentId, courseId, user, reason) {
+    try {
+      const enrollment = await Enrollment.findById(enrollmentId);
+      if (!enrollment) {
+        throw createError(404, 'Enrollment not found');
+      }
+
+      const course = await Course.findById(courseId);
+      if (!course) {
+        throw createError(404, 'Course not found');
+      }
+
+      const isAdvisor = enrollment.advisor && enrollment.advisor.toString() === user._id.toString();
+      if (!isAdvisor && !await permissionService.hasPermission(user, 'enrollments.waive_prerequisites', { department: course.department })) {
+        throw createError(403, 'Only the student\'s advisor or an administrator can waive prerequisites');
+      }
+
+      if (enrollment.getPrerequisiteWaiver(course._id)) {
+        throw createError(409, `Prerequisites of ${course.code} are already waived for this enrollment`);
+      }
+
+      const result = await prerequisiteService.checkPrerequisites(enrollment.student, course);
+      if (result.missingPrerequisites.length === 0) {
+        throw createError(400, `The student already meets the prerequisites of ${course.code}`);
+      }
+
+      enrollment.prerequisiteWaivers.push({
+        course: course._id,
+        prerequisites: result.missingPrerequisites.flatMap(requirement => requirement.options.map(option => option.course._id)),
+        reason,
+        waivedBy: user._id
+      });
+      enrollment.lastModifiedBy = user._id;
+      await enrollment.addAuditEntry('prerequisite_waived', user._id, `Prerequisites of ${course.code} waived: ${reason}`.slice(0, 500));
+
+      logger.info(`Prerequisites of ${course.code} waived on enrollment ${enrollmentId} by ${user.email}`);
+
+      return {
+        success: true,
+        data: enrollment.getPrerequisiteWaiver(course._id),
+        message: 'Prerequisites waived successfully'
+      };
+    } catch (error) {
+      logger.error('Error waiving prerequisites:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Move a student to another section of a course they are enrolled in
+   * @param {Object|null} override - { user, reason } to proceed despite timetable clashes
+   */
+  async changeSection(enrollmentId, courseId, sectionId, lastModifiedBy, override = null) {
+    try {
+      const enrollment = await Enrollment.findById(enrollmentId);
+      if (!enrollment) {
+        throw createError(404, 'Enrollment not found');
+      }
+
+      if (!enrollment.courses.includes(courseId)) {
+        throw createError(400, 'The student is not enrolled in this course');
+      }
+
+      const currentSectionId = enrollment.getSection(courseId);
+      if (currentSectionId && currentSectionId.toString() === sectionId.toString()) {
+        throw createError(400, 'The student is already in this section');
+      }
+
+      const [course, requestedSection] = await Promise.all([
+        Course.findById(courseId),
+        sectionService.getSection(courseId, sectionId)
+      ]);
+      const conflicts = await clashService.findStudentClashes(enrollment.student, course, requestedSection);
+      const overridden = await clashService.assertNoClashes(conflicts, override, course.department);
+
+      const section = await sectionService.reserveSeat(courseId, sectionId);
+
+      try {
+        enrollment.sections = enrollment.sections.filter(entry => entry.course.toString() !== courseId.toString());
+        enrollment.sections.push({ course: courseId, section: section._id });
+        enrollment.lastModifiedBy = lastModifiedBy;
+        await enrollment.addAuditEntry('section_changed', lastModifiedBy, `Moved to section ${section.code} of course ${courseId}`);
+      } catch (error) {
+        await sectionService.releaseSeat(section._id);
+        throw error;
+      }
+
+      if (currentSectionId) {
+        await sectionService.releaseSeat(currentSectionId);
+      }
+
+      if (overridden) {
+        await clashService.recordOverride('Enrollment', enrollment._id, conflicts, override.reason);
+      }
+
+      const updatedEnrollment = await Enrollment.findById(enrollmentId)
+        .populate('student', 'name email studentId')
+        .populate('courses', 'name code creditHours')
+        .populate('sections.section', 'code faculty schedule location');
+
+      logger.info(`Enrollment ${enrollmentId} moved to section ${section.code} of course ${courseId}`);
+
+      return {
+        success: true,
+        data: updatedEnrollment,
+        message: 'Section changed successfully'
+      };
+    } catch (error) {
+      logger.error('Error changing section:', error);
+      throw error;
+    }
+  }
+
   /**
    * Update enrollment status
    */
@@ -0,0 +1,361 @@
+const Course = require('../models/course.model');
+const EvaluationForm = require('../models/evaluationForm.model');
+const EvaluationResponse = require('../models/evaluationResponse.model');
+const EvaluationReceipt = require('../models/evaluationReceipt.model');
+const courseStaffService = require('./courseStaff.service');
+const {
+  LIKERT_SCALE,
+  DEFAULT_EVALUATION_QUESTIONS,
+  getEvaluationConfig
+} = require('../config/evaluation.config');
+const createError = require('../utils/createError');
+const logger = require('../utils/logger');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Fields of a form that can be set by course managers
+const FORM_FIELDS = ['title', 'instructions', 'questions', 'opensAt', 'closesAt', 'status'];
+
+const startOfDay = (date) => new Date(Date.UTC(date.getUTCFullYear(), date.getUTCMonth(), date.getUTCDate()));
+
+const round = (value) => Math.round(value * 100) / 100;
+
+// Compare question sets by what students are asked, ignoring generated IDs
+const sameQuestions = (current, next) => JSON.stringify(current.map(({ prompt, type, required }) => ({ prompt, type, required: required !== false })))
+  === JSON.stringify(next.map(({ prompt, type, required }) => ({ prompt, type, required: required !== false })));
+
+/**
+ * Evaluation Service Class
+ *
+ * Runs end-of-semester course evaluations. Course managers set up one form
+ * per course; enrolled students answer it once, anonymously, while it is
+ * open. A receipt records that a student has answered and the response is
+ * stored without any link to them. Reports aggregate the responses and hide
+ * everything but the count when too few students answered to keep them
+ * anonymous.
+ */
+class EvaluationService {
+  /**
+   * Load a course or fail with 404
+   * @param {string} courseId - Course ID
+   * @returns {Promise<Object>} Course document
+   */
+  async findCourse(courseId) {
+    const course = await Course.findById(courseId);
+    if (!course) {
+      throw createError(404, 'Course not found');
+    }
+    return course;
+  }
+
+  /**
+   * Load the evaluation form of a course or fail with 404
+   * @param {string} courseId - Course ID
+   * @returns {Promise<Object>} Evaluation form
+   */
+  async findForm(courseId) {
+    const form = await EvaluationForm.findOne({ course: courseId });
+    if (!form) {
+      throw createError(404, 'This course has no evaluation');
+    }
+    return form;
+  }
+
+  /**
+   * Default evaluation window around the end of the course's term
+   * @param {Object} course - Course document
+   * @returns {Object} { opensAt, closesAt }
+   */
+  defaultWindow(course) {
+    if (!course.endDate) {
+      throw createError(400, 'The course has no end date; give opensAt and closesAt');
+    }
+
+    const { opensDaysBeforeEnd, closesDaysAfterEnd } = getEvaluationConfig();
+    return {
+      opensAt: new Date(course.endDate.getTime() - opensDaysBeforeEnd * DAY_MS),
+      closesAt: new Date(course.endDate.getTime() + closesDaysAfterEnd * DAY_MS)
+    };
+  }
+
+  /**
+   * Create or change the evaluation form of a course. Questions are fixed
+   * once the first response is in.
+   * @param {string} courseId - Course ID
+   * @param {Object} formData - { title, instructions, questions, opensAt, closesAt, status }
+   * @param {string} userId - User setting up the form
+   * @returns {Promise<Object>} Evaluation form with its response count
+   */
+  async saveForm(courseId, formData, userId) {
+    try {
+      const course = await this.findCourse(courseId);
+      const changes = FORM_FIELDS.reduce((picked, field) => {
+        if (formData[field] !== undefined) picked[field] = formData[field];
+        return picked;
+      }, {});
+
+      let form = await EvaluationForm.findOne({ course: course._id });
+      if (!form) {
+        const dates = changes.opensAt && changes.closesAt ? {} : this.defaultWindow(course);
+        form = new EvaluationForm({
+          title: `${course.code} course evaluation`,
+          questions: DEFAULT_EVALUATION_QUESTIONS,
+          ...dates,
+          course: course._id,
+          createdBy: userId
+        });
+      } else if (changes.questions && sameQuestions(form.questions, changes.questions)) {
+        // Keep the question IDs existing answers refer to
+        delete changes.questions;
+      } else if (changes.questions) {
+        const responses = await EvaluationResponse.countDocuments({ form: form._id });
+        if (responses > 0) {
+          throw createError(409, 'Questions cannot change once students have responded');
+        }
+      }
+
+      form.set(changes);
+      await form.save();
+
+      logger.info(`Evaluation of course ${course.code} saved (${form.status})`);
+      return this.describeForm(form, course);
+    } catch (error) {
+      logger.error('Error saving course evaluation:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Delete the evaluation form of a course before anyone has responded
+   * @param {string} courseId - Course ID
+   */
+  async deleteForm(courseId) {
+    try {
+      const form = await this.findForm(courseId);
+
+      const responses = await EvaluationResponse.countDocuments({ form: form._id });
+      if (responses > 0) {
+        throw createError(409, 'An evaluation cannot be deleted once students have responded');
+      }
+
+      await EvaluationReceipt.deleteMany({ form: form._id });
+      await form.deleteOne();
+
+      logger.info(`Evaluation of course ${courseId} deleted`);
+    } catch (error) {
+      logger.error('Error deleting course evaluation:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Evaluation form as seen by course staff and managers
+   * @param {Object} form - Evaluation form
+   * @param {Object} course - Course document
+   * @returns {Promise<Object>} Form with response count and rate
+   */
+  async describeForm(form, course) {
+    const responses = await EvaluationResponse.countDocuments({ form: form._id });
+    const enrolled = course.students.length;
+
+    return {
+      ...form.toJSON(),
+      open: form.isOpen(),
+      responses,
+      enrolled,
+      responseRate: enrolled > 0 ? round(responses / enrolled) : 0
+    };
+  }
+
+  /**
+   * Evaluation of a course. Students get the questions and whether they
+   * have answered; course staff and managers also get the response count.
+   * @param {string} courseId - Course ID
+   * @param {Object} user - Requesting user
+   * @returns {Promise<Object>} Evaluation
+   */
+  async getEvaluation(courseId, user) {
+    try {
+      const course = await this.findCourse(courseId);
+      const form = await this.findForm(course._id);
+
+      if (await courseStaffService.hasCapability(course, user, 'course.edit')) {
+        return this.describeForm(form, course);
+      }
+
+      if (form.status !== 'published') {
+        throw createError(404, 'This course has no evaluation');
+      }
+
+      const submitted = user.role === 'student'
+        ? Boolean(await EvaluationReceipt.exists({ form: form._id, student: user._id }))
+        : false;
+
+      return {
+        _id: form._id,
+        course: form.course,
+        title: form.title,
+        instructions: form.instructions,
+        questions: form.questions,
+        opensAt: form.opensAt,
+        closesAt: form.closesAt,
+        open: form.isOpen(),
+        submitted
+      };
+    } catch (error) {
+      logger.error('Error getting course evaluation:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Check answers against a form's questions
+   * @param {Object} form - Evaluation form
+   * @param {Array} answers - [{ question, rating, text }]
+   * @returns {Array} Answers to store
+   */
+  checkAnswers(form, answers) {
+    const byQuestion = new Map(answers.map(answer => [answer.question.toString(), answer]));
+    if (byQuestion.size !== answers.length) {
+      throw createError(400, 'Each question can only be answered once');
+    }
+
+    const known = new Set(form.questions.map(question => question._id.toString()));
+    if ([...byQuestion.keys()].some(questionId => !known.has(questionId))) {
+      throw createError(400, 'Answers must belong to this evaluation\'s questions');
+    }
+
+    return form.questions.reduce((stored, question) => {
+      const answer = byQuestion.get(question._id.toString());
+      const text = answer && typeof answer.text === 'string' ? answer.text.trim() : '';
+      const given = answer && (question.type === 'likert' ? answer.rating !== undefined && answer.rating !== null : text.length > 0);
+
+      if (!given) {
+        if (question.required) {
+          throw createError(400, `An answer is required for "${question.prompt}"`);
+        }
+        return stored;
+      }
+
+      if (question.type === 'likert') {
+        const rating = Number(answer.rating);
+        if (!LIKERT_SCALE.includes(rating)) {
+          throw createError(400, `Rate "${question.prompt}" from ${LIKERT_SCALE[0]} to ${LIKERT_SCALE[LIKERT_SCALE.length - 1]}`);
+        }
+        stored.push({ question: question._id, rating });
+      } else {
+        stored.push({ question: question._id, text });
+      }
+      return stored;
+    }, []);
+  }
+
+  /**
+   * Answer a course evaluation as an enrolled student
+   * @param {string} courseId - Course ID
+   * @param {Array} answers - [{ question, rating, text }]
+   * @param {Object} user - Answering student
+   * @returns {Promise<Object>} { submitted }
+   */
+  async submitResponse(courseId, answers, user) {
+    try {
+      const course = await this.findCourse(courseId);
+      if (!course.isStudentEnrolled(user._id)) {
+        throw createError(403, 'Only students enrolled in the course can evaluate it');
+      }
+
+      const form = await this.findForm(course._id);
+      if (!form.isOpen()) {
+        throw createError(409, form.isClosed() ? 'This evaluation has closed' : 'This evaluation is not open yet');
+      }
+
+      const stored = this.checkAnswers(form, answers);
+
+      try {
+        await EvaluationReceipt.create({ form: form._id, student: user._id });
+      } catch (error) {
+        if (error.code === 11000) {
+          throw createError(409, 'You have already answered this evaluation');
+        }
+        throw error;
+      }
+
+      try {
+        await EvaluationResponse.create({ form: form._id, answers: stored, submittedOn: startOfDay(new Date()) });
+      } catch (error) {
+        // Let the student try again
+        await EvaluationReceipt.deleteOne({ form: form._id, student: user._id });
+        throw error;
+      }
+
+      logger.info(`Evaluation response recorded for course ${course.code}`);
+      return { submitted: true };
+    } catch (error) {
+      logger.error('Error submitting course evaluation:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Aggregated report of a closed evaluation. With fewer responses than
+   * the configured minimum only the count is given; a question answered by
+   * fewer students than the minimum is hidden the same way.
+   * @param {string} courseId - Course ID
+   * @returns {Promise<Object>} Report
+   */
+  async getReport(courseId) {
+    try {
+      const course = await this.findCourse(courseId);
+      const form = await this.findForm(course._id);
+      if (!form.isClosed()) {
+        throw createError(409, `The report is available once the evaluation closes on ${form.closesAt.toISOString()}`);
+      }
+
+      const { minResponses } = getEvaluationConfig();
+      const responses = await EvaluationResponse.find({ form: form._id }).select('answers').lean();
+      const enrolled = course.students.length;
+
+      const report = {
+        form: { _id: form._id, title: form.title, opensAt: form.opensAt, closesAt: form.closesAt },
+        course: { _id: course._id, code: course.code, name: course.name },
+        responses: responses.length,
+        enrolled,
+        responseRate: enrolled > 0 ? round(responses.length / enrolled) : 0,
+        minResponses,
+        suppressed: responses.length < minResponses,
+        questions: []
+      };
+      if (report.suppressed) {
+        return report;
+      }
+
+      const answers = responses.flatMap(response => response.answers);
+      report.questions = form.questions.map(question => {
+        const given = answers.filter(answer => answer.question.toString() === question._id.toString());
+        const summary = { _id: question._id, prompt: question.prompt, type: question.type, answered: given.length };
+
+        if (given.length < minResponses) {
+          return { ...summary, suppressed: true };
+        }
+
+        if (question.type === 'likert') {
+          const distribution = LIKERT_SCALE.reduce((counts, value) => ({ ...counts, [value]: 0 }), {});
+          given.forEach(answer => { distribution[answer.rating] += 1; });
+          const total = given.reduce((sum, answer) => sum + answer.rating, 0);
+          return { ...summary, suppressed: false, mean: round(total / given.length), distribution };
+        }
+
+        // Sorted, so the order says nothing about when each was given
+        const comments = given.map(answer => answer.text).sort((a, b) => a.localeCompare(b));
+        return { ...summary, suppressed: false, comments };
+      });
+
+      return report;
+    } catch (error) {
+      logger.error('Error getting course evaluation report:', error);
+      throw error;
+    }
+  }
+}
+
+module.exports = new EvaluationService();
@@ -0,0 +1,330 @@
+const GuardianLink = require('../models/guardianLink.model');
+const User = require('../models/user.model');
+const CourseGrade = require('../models/courseGrade.model');
+const Submission = require('../models/submission.model');
+const Enrollment = require('../models/enrollment.model');
+const Notice = require('../models/notice.model');
+const permissionService = require('./permission.service');
+const createError = require('../utils/createError');
+const logger = require('../utils/logger');
+
+const READ_METHODS = ['GET', 'HEAD', 'OPTIONS'];
+
+const LINK_POPULATE = [
+  { path: 'guardian', select: 'firstName lastName email' },
+  { path: 'student', select: 'firstName lastName email studentId' }
+];
+
+/**
+ * Guardian Service Class
+ *
+ * Manages guardian-student links and serves the read-only views guardians
+ * get of their linked students: final course grades, submission statuses,
+ * enrollment financial status and notices addressed to guardians. Guardian
+ * accounts cannot write anything outside their own account.
+ */
+class GuardianService {
+  /**
+   * Check whether a guardian may make a request
+   * @param {Object} req - Express request object
+   * @returns {boolean} True for reads and for changes to the guardian's own account
+   */
+  isRequestAllowed(req) {
+    if (READ_METHODS.includes(req.method)) return true;
+
+    const prefix = `/api/${process.env.API_VERSION || 'v1'}/auth/`;
+    return req.originalUrl.startsWith(prefix);
+  }
+
+  /**
+   * Load a user and check their role
+   * @param {string} userId - User ID
+   * @param {string} role - Expected role
+   * @param {string} label - Name used in error messages
+   * @returns {Promise<Object>} User document
+   */
+  async findUserWithRole(userId, role, label) {
+    const user = await User.findById(userId).select('firstName lastName email role isActive department');
+    if (!user) {
+      throw createError(404, `${label} not found`);
+    }
+    if (user.role !== role) {
+      throw createError(400, `${label} must be a ${role} account`);
+    }
+    return user;
+  }
+
+  /**
+   * Link a guardian to a student
+   * @param {Object} linkData - { guardianId, studentId, relationship, consentGiven, consentNote }
+   * @param {Object} admin - User creating the link
+   * @returns {Promise<Object>} Created link
+   */
+  async createLink(linkData, admin) {
+    try {
+      const { guardianId, studentId, relationship, consentGiven = false, consentNote } = linkData;
+
+      const [guardian, student] = await Promise.all([
+        this.findUserWithRole(guardianId, 'guardian', 'Guardian'),
+        this.findUserWithRole(studentId, 'student', 'Student')
+      ]);
+
+      if (await GuardianLink.exists({ guardian: guardian._id, student: student._id })) {
+        throw createError(409, 'Guardian is already linked to this student');
+      }
+
+      // Without consent recorded by the admin, the student has to consent before the link is used
+      const link = await GuardianLink.create({
+        guardian: guardian._id,
+        student: student._id,
+        relationship,
+        status: consentGiven ? 'active' : 'pending',
+        consent: consentGiven
+          ? { grantedBy: admin._id, grantedAt: new Date(), method: 'admin', note: consentNote }
+          : { note: consentNote },
+        createdBy: admin._id
+      });
+
+      logger.info(`Guardian ${guardian.email} linked to student ${student.email} (${link.status})`);
+      return link.populate(LINK_POPULATE);
+    } catch (error) {
+      logger.error('Error creating guardian link:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * List guardian links
+   * @param {Object} filters - { guardian, student, status }
+   * @returns {Promise<Array>} Links
+   */
+  async listLinks(filters = {}) {
+    try {
+      const query = {};
+      if (filters.guardian) query.guardian = filters.guardian;
+      if (filters.student) query.student = filters.student;
+      if (filters.status) query.status = filters.status;
+
+      return await GuardianLink.find(query)
+        .populate(LINK_POPULATE)
+        .sort({ createdAt: -1 })
+        .lean();
+    } catch (error) {
+      logger.error('Error listing guardian links:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * List the links of the signed-in student or guardian
+   * @param {Object} user - Student or guardian
+   * @returns {Promise<Array>} Links
+   */
+  async getOwnLinks(user) {
+    const field = user.role === 'guardian' ? 'guardian' : 'student';
+    return this.listLinks({ [field]: user._id });
+  }
+
+  /**
+   * Grant or withdraw consent for a link. The linked student may always do
+   * this; anyone else needs guardians.manage for the student's department.
+   * @param {string} linkId - Link ID
+   * @param {Object} user - User recording the decision
+   * @param {Object} decision - { granted, note }
+   * @returns {Promise<Object>} Updated link
+   */
+  async setConsent(linkId, user, decision) {
+    try {
+      const { granted, note } = decision;
+
+      const link = await GuardianLink.findById(linkId);
+      if (!link) {
+        throw createError(404, 'Guardian link not found');
+      }
+
+      const isStudent = link.student.toString() === user._id.toString();
+      if (!isStudent) {
+        const department = await permissionService.getUserDepartment(link.student);
+        const allowed = await permissionService.hasPermission(user, 'guardians.manage', { department });
+        if (!allowed) {
+          throw createError(403, 'Only the student or an administrator can manage consent for this link');
+        }
+      }
+
+      if (granted) {
+        link.status = 'active';
+        link.consent = {
+          grantedBy: user._id,
+          grantedAt: new Date(),
+          method: isStudent ? 'student' : 'admin',
+          note
+        };
+        link.revokedAt = null;
+        link.revokedBy = null;
+      } else {
+        if (link.status === 'revoked') {
+          throw createError(400, 'Consent has already been withdrawn for this link');
+        }
+        link.status = 'revoked';
+        link.revokedAt = new Date();
+        link.revokedBy = user._id;
+      }
+
+      await link.save();
+
+      logger.info(`Guardian link ${link._id} ${granted ? 'consented to' : 'revoked'} by ${user.email}`);
+      return link.populate(LINK_POPULATE);
+    } catch (error) {
+      logger.error('Error updating guardian consent:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Make sure a guardian has an active link to a student
+   * @param {string} guardianId - Guardian user ID
+   * @param {string} studentId - Student user ID
+   */
+  async assertActiveLink(guardianId, studentId) {
+    const linked = await GuardianLink.exists({ guardian: guardianId, student: studentId, status: 'active' });
+    if (!linked) {
+      throw createError(403, 'You are not linked to this student');
+    }
+  }
+
+  /**
+   * List the students a guardian is actively linked to
+   * @param {string} guardianId - Guardian user ID
+   * @returns {Promise<Array>} Students with the relationship
+   */
+  async getLinkedStudents(guardianId) {
+    try {
+      const links = await GuardianLink.find({ guardian: guardianId, status: 'active' })
+        .populate({
+          path: 'student',
+          select: 'firstName lastName studentId department',
+          populate: { path: 'department', select: 'name code' }
+        })
+        .lean();
+
+      return links
+        .filter(link => link.student)
+        .map(link => ({ ...link.student, relationship: link.relationship }));
+    } catch (error) {
+      logger.error('Error getting linked students:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Final course grades of a linked student
+   * @param {string} guardianId - Guardian user ID
+   * @param {string} studentId - Student user ID
+   * @param {Object} filters - { semester, academicYear }
+   * @returns {Promise<Array>} Course grades
+   */
+  async getStudentGrades(guardianId, studentId, filters = {}) {
+    try {
+      await this.assertActiveLink(guardianId, studentId);
+
+      // Grades still in review may change, so guardians only see final results
+      const query = { student: studentId, status: 'final' };
+      if (filters.semester) query.semester = filters.semester;
+      if (filters.academicYear) query.academicYear = filters.academicYear;
+
+      return await CourseGrade.find(query)
+        .select('course semester academicYear finalGrade numericalGrade gradePoints credits status')
+        .populate('course', 'name code creditHours')
+        .sort({ academicYear: -1, semester: -1 })
+        .lean();
+    } catch (error) {
+      logger.error('Error getting grades for guardian:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Submission statuses of a linked student
+   * @param {string} guardianId - Guardian user ID
+   * @param {string} studentId - Student user ID
+   * @returns {Promise<Array>} Submissions without their content
+   */
+  async getStudentSubmissions(guardianId, studentId) {
+    try {
+      await this.assertActiveLink(guardianId, studentId);
+
+      return await Submission.find({ student: studentId })
+        .select('assignment submissionNumber submittedAt status isLate')
+        .populate('assignment', 'title dueDate course')
+        .sort({ submittedAt: -1 })
+        .lean();
+    } catch (error) {
+      logger.error('Error getting submissions for guardian:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Enrollments of a linked student with their financial status
+   * @param {string} guardianId - Guardian user ID
+   * @param {string} studentId - Student user ID
+   * @returns {Promise<Array>} Enrollments
+   */
+  async getStudentEnrollments(guardianId, studentId) {
+    try {
+      await this.assertActiveLink(guardianId, studentId);
+
+      return await Enrollment.find({ student: studentId })
+        .select('program semester academicYear status financialStatus')
+        .populate('program', 'name code')
+        .sort({ academicYear: -1, semester: -1 })
+        .lean();
+    } catch (error) {
+      logger.error('Error getting enrollments for guardian:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Published notices addressed to guardians
+   * @param {Object} pagination - { page, limit }
+   * @returns {Promise<Object>} Notices with pagination info
+   */
+  async getNotices(pagination = {}) {
+    try {
+      const { page = 1, limit = 20 } = pagination;
+      const now = new Date();
+      const query = {
+        status: 'published',
+        'targetAudience.roles': 'guardian',
+        publishDate: { $lte: now },
+        $or: [{ expiryDate: null }, { expiryDate: { $gt: now } }]
+      };
+
+      const [notices, total] = await Promise.all([
+        Notice.find(query)
+          .select('title summary content type category priority publishDate expiryDate attachments author.name')
+          .sort({ publishDate: -1, _id: -1 })
+          .skip((page - 1) * limit)
+          .limit(limit)
+          .lean(),
+        Notice.countDocuments(query)
+      ]);
+
+      return {
+        notices,
+        pagination: {
+          page,
+          limit,
+          total,
+          pages: Math.ceil(total / limit)
+        }
+      };
+    } catch (error) {
+      logger.error('Error getting guardian notices:', error);
+      throw error;
+    }
+  }
+}
+
+module.exports = new GuardianService();
@@ -0,0 +1,171 @@
+const crypto = require('crypto');
+const Session = require('../models/session.model');
+const User = require('../models/user.model');
+const auditService = require('./audit.service');
+const { getAuthConfig } = require('../config/auth.config');
+const { generateToken } = require('../utils/jwt');
+const createError = require('../utils/createError');
+const logger = require('../utils/logger');
+
+const READ_METHODS = ['GET', 'HEAD', 'OPTIONS'];
+
+/**
+ * Impersonation Service Class
+ *
+ * Lets support staff act as another user to see what they see. An
+ * impersonation is a short-lived session of the target user that records the
+ * admin who started it; its access token carries `impersonatorId`. Only reads
+ * are allowed unless a write is listed in IMPERSONATION_ALLOWED_WRITES.
+ */
+class ImpersonationService {
+  /**
+   * Start impersonating a user
+   * @param {string} userId - User to impersonate
+   * @param {Object} impersonator - Admin starting the impersonation
+   * @param {string} reason - Why the impersonation is needed
+   * @param {Object} context - Request context ({ ipAddress, userAgent })
+   * @returns {Promise<Object>} Access token, expiry and the impersonated user
+   */
+  async startImpersonation(userId, impersonator, reason, context = {}) {
+    try {
+      if (impersonator._id.toString() === userId.toString()) {
+        throw createError(400, 'You cannot impersonate yourself');
+      }
+
+      const user = await User.findById(userId).select('firstName lastName email role isActive');
+      if (!user) {
+        throw createError(404, 'User not found');
+      }
+      if (!user.isActive) {
+        throw createError(400, 'Inactive users cannot be impersonated');
+      }
+      if (user.role === 'admin') {
+        throw createError(403, 'Administrators cannot be impersonated');
+      }
+
+      const { tokenTtlMinutes } = getAuthConfig().impersonation;
+      const session = await Session.create({
+        user: user._id,
+        tokenId: crypto.randomUUID(),
+        impersonatedBy: impersonator._id,
+        impersonationReason: reason,
+        device: {
+          userAgent: context.userAgent,
+          ipAddress: context.ipAddress
+        },
+        lastUsedIp: context.ipAddress,
+        expiresAt: new Date(Date.now() + tokenTtlMinutes * 60 * 1000)
+      });
+
+      const accessToken = generateToken({
+        userId: user._id,
+        email: user.email,
+        role: user.role,
+        sessionId: session._id,
+        impersonatorId: impersonator._id
+      }, process.env.JWT_SECRET, `${tokenTtlMinutes}m`);
+
+      await auditService.record({
+        action: 'impersonation_started',
+        entityType: 'User',
+        entityId: user._id,
+        details: { sessionId: session._id, reason, expiresAt: session.expiresAt }
+      });
+
+      logger.info(`Admin ${impersonator.email} started impersonating ${user.email} (session ${session._id})`);
+      return {
+        accessToken,
+        expiresAt: session.expiresAt,
+        user: {
+          id: user._id,
+          firstName: user.firstName,
+          lastName: user.lastName,
+          email: user.email,
+          role: user.role
+        }
+      };
+    } catch (error) {
+      logger.error('Error starting impersonation:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * End an impersonation session
+   * @param {string} sessionId - Impersonation session ID
+   * @returns {Promise<boolean>} Success status
+   */
+  async stopImpersonation(sessionId) {
+    try {
+      const session = await Session.findOne({ _id: sessionId, impersonatedBy: { $ne: null } });
+      if (!session) {
+        throw createError(400, 'Not an impersonation session');
+      }
+
+      await session.revoke('impersonation_ended');
+
+      await auditService.record({
+        action: 'impersonation_ended',
+        entityType: 'User',
+        entityId: session.user,
+        details: { sessionId: session._id }
+      });
+
+      logger.info(`Impersonation session ${session._id} ended`);
+      return true;
+    } catch (error) {
+      logger.error('Error stopping impersonation:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Load the admin behind an impersonation token
+   * @param {Object} decoded - Decoded access token with `impersonatorId`
+   * @returns {Promise<Object|null>} Impersonation details, or null if no longer valid
+   */
+  async resolveImpersonation(decoded) {
+    const [session, impersonator] = await Promise.all([
+      Session.findOne({ _id: decoded.sessionId, impersonatedBy: decoded.impersonatorId }).select('expiresAt').lean(),
+      User.findById(decoded.impersonatorId).select('firstName lastName email role isActive').lean()
+    ]);
+
+    if (!session || !impersonator || !impersonator.isActive) {
+      return null;
+    }
+
+    return {
+      sessionId: session._id,
+      expiresAt: session.expiresAt,
+      impersonator: {
+        _id: impersonator._id,
+        id: impersonator._id,
+        firstName: impersonator.firstName,
+        lastName: impersonator.lastName,
+        email: impersonator.email,
+        role: impersonator.role
+      }
+    };
+  }
+
+  /**
+   * Check whether a request may be made while impersonating
+   * @param {Object} req - Express request object
+   * @returns {boolean} True for reads, logout, ending the impersonation and configured writes
+   */
+  isRequestAllowed(req) {
+    if (READ_METHODS.includes(req.method)) return true;
+
+    const prefix = `/api/${process.env.API_VERSION || 'v1'}`;
+    const allowed = [
+      `POST ${prefix}/auth/logout`,
+      `POST ${prefix}/auth/impersonation/stop`,
+      ...getAuthConfig().impersonation.allowedWrites
+    ];
+
+    const target = `${req.method} ${req.originalUrl.split('?')[0]}`;
+    return allowed.some(entry => target === entry || target.startsWith(`${entry}/`));
+  }
+}
+
+module.exports = new ImpersonationService();
@@ -0,0 +1,217 @@
+const User = require('../models/user.model');
+const LoginThrottle = require('../models/loginThrottle.model');
+const permissionService = require('./permission.service');
+const auditService = require('./audit.service');
+const { getAuthConfig } = require('../config/auth.config');
+const createError = require('../utils/createError');
+const logger = require('../utils/logger');
+
+const MINUTE = 60 * 1000;
+
+/**
+ * Build an error that tells the client when to retry
+ * @param {number} statusCode - HTTP status
+ * @param {string} message - Error message
+ * @param {Date} retryAt - Time the client may retry
+ * @returns {Error} Error with statusCode and retryAfter (seconds)
+ */
+const createRetryError = (statusCode, message, retryAt) => {
+  const error = createError(statusCode, message);
+  error.retryAfter = Math.max(1, Math.ceil((retryAt - Date.now()) / 1000));
+  return error;
+};
+
+/**
+ * Login Protection Service Class
+ *
+ * Tracks failed logins per account and per IP address. Accounts get
+ * progressively longer delays between attempts and are locked temporarily
+ * after too many consecutive failures; IP addresses are blocked after too
+ * many failures across any accounts within a window.
+ */
+class LoginProtectionService {
+  /**
+   * Delay required before the next attempt after `failures` consecutive failures
+   * @param {number} failures - Consecutive failed attempts
+   * @returns {number} Delay in milliseconds
+   */
+  getDelayMs(failures) {
+    const { delayAfterAttempts, baseDelaySeconds, maxDelaySeconds } = getAuthConfig().lockout;
+    if (failures <= delayAfterAttempts) return 0;
+
+    const seconds = baseDelaySeconds * 2 ** (failures - delayAfterAttempts - 1);
+    return Math.min(seconds, maxDelaySeconds) * 1000;
+  }
+
+  /**
+   * Reject the attempt if the IP address is blocked
+   * @param {string} ipAddress - Client IP address
+   */
+  async assertIpAllowed(ipAddress) {
+    if (!ipAddress) return;
+
+    const throttle = await LoginThrottle.findOne({ key: `ip:${ipAddress}` }).lean();
+    if (throttle && throttle.blockedUntil && throttle.blockedUntil > new Date()) {
+      throw createRetryError(429, 'Too many failed login attempts from this address. Please try again later.', throttle.blockedUntil);
+    }
+  }
+
+  /**
+   * Reject the attempt if the account is locked or still in its delay period
+   * @param {Object} user - User document
+   */
+  assertAccountAllowed(user) {
+    if (user.isLocked) {
+      throw createRetryError(423, 'Account is temporarily locked due to too many failed login attempts', user.lockUntil);
+    }
+
+    const delayMs = this.getDelayMs(user.failedLoginAttempts);
+    if (delayMs && user.lastFailedLoginAt) {
+      const retryAt = new Date(user.lastFailedLoginAt.getTime() + delayMs);
+      if (retryAt > new Date()) {
+        throw createRetryError(429, 'Too many failed login attempts. Please wait before trying again.', retryAt);
+      }
+    }
+  }
+
+  /**
+   * Record a failed attempt against the IP address and, if known, the account
+   * @param {Object|null} user - User document, or null for unknown emails
+   * @param {Object} context - Request context ({ ipAddress, userAgent })
+   */
+  async recordFailure(user, context = {}) {
+    try {
+      const { maxAttempts, lockDurationMinutes } = getAuthConfig().lockout;
+
+      await this.recordIpFailure(context.ipAddress);
+
+      if (!user) return;
+
+      const now = new Date();
+
+      // A lock that has run out starts a fresh count
+      await User.updateOne({ _id: user._id, lockUntil: { $lte: now } }, { $set: { failedLoginAttempts: 0, lockUntil: null } });
+
+      // Counted in a single update so parallel guesses cannot all read the same count
+      const counted = await User.findOneAndUpdate(
+        { _id: user._id },
+        { $inc: { failedLoginAttempts: 1 }, $set: { lastFailedLoginAt: now } },
+        { new: true, projection: 'failedLoginAttempts lockUntil' }
+      ).lean();
+      if (!counted) return;
+
+      const events = [{ action: 'login_failed', details: `Failed attempt ${counted.failedLoginAttempts}` }];
+
+      if (counted.failedLoginAttempts >= maxAttempts) {
+        // Only the attempt that sets the lock records it
+        const lockUntil = new Date(now.getTime() + lockDurationMinutes * MINUTE);
+        const locked = await User.updateOne(
+          { _id: user._id, $or: [{ lockUntil: null }, { lockUntil: { $lte: now } }] },
+          { $set: { lockUntil } }
+        );
+        if (locked.modifiedCount > 0) {
+          events.push({ action: 'account_locked', details: `Locked until ${lockUntil.toISOString()}` });
+          logger.warn(`Account locked after ${counted.failedLoginAttempts} failed logins: ${user.email}`);
+        }
+      }
+
+      const entries = events.map(event => ({ ...event, timestamp: now, ipAddress: context.ipAddress, userAgent: context.userAgent }));
+      await User.updateOne({ _id: user._id }, { $push: { auditTrail: { $each: entries, $slice: -50 } } });
+      for (const entry of entries) {
+        await auditService.record({ entityType: 'User', entityId: user._id, ...entry });
+      }
+    } catch (error) {
+      logger.error('Error recording failed login:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Count a failure for an IP address within the sliding window
+   * @param {string} ipAddress - Client IP address
+   */
+  async recordIpFailure(ipAddress) {
+    if (!ipAddress) return;
+
+    const { ipMaxAttempts, ipWindowMinutes, ipBlockMinutes } = getAuthConfig().lockout;
+    const now = new Date();
+    const key = `ip:${ipAddress}`;
+
+    let throttle = await LoginThrottle.findOne({ key });
+    if (!throttle || throttle.windowStartedAt < new Date(now - ipWindowMinutes * MINUTE)) {
+      throttle = throttle || new LoginThrottle({ key });
+      throttle.failures = 0;
+      throttle.windowStartedAt = now;
+      throttle.blockedUntil = null;
+    }
+
+    throttle.failures += 1;
+    throttle.lastFailureAt = now;
+
+    if (throttle.failures >= ipMaxAttempts) {
+      throttle.blockedUntil = new Date(now.getTime() + ipBlockMinutes * MINUTE);
+      logger.warn(`Login blocked for IP ${ipAddress} after ${throttle.failures} failures`);
+    }
+
+    throttle.expiresAt = new Date(Math.max(
+      throttle.windowStartedAt.getTime() + ipWindowMinutes * MINUTE,
+      throttle.blockedUntil ? throttle.blockedUntil.getTime() : 0
+    ));
+    await throttle.save();
+  }
+
+  /**
+   * Clear the account's failure count after a successful password check
+   * @param {Object} user - User document
+   */
+  async recordSuccess(user) {
+    if (!user.failedLoginAttempts && !user.lockUntil) return;
+
+    user.failedLoginAttempts = 0;
+    user.lastFailedLoginAt = null;
+    user.lockUntil = null;
+    await user.save();
+  }
+
+  /**
+   * Unlock an account (requires users.unlock)
+   * @param {string} userId - User ID to unlock
+   * @param {Object|string} actor - Requesting user or API key principal (`req.user`), or a user ID
+   * @param {Object} context - Request context ({ ipAddress, userAgent })
+   * @returns {Promise<Object>} Updated user
+   */
+  async unlockAccount(userId, actor, context = {}) {
+    try {
+      const adminUser = await permissionService.resolveActor(actor);
+      if (!adminUser) {
+        throw createError(404, 'Admin user not found');
+      }
+
+      const user = await User.findById(userId);
+      if (!user) {
+        throw createError(404, 'Target user not found');
+      }
+
+      if (!(await permissionService.hasPermission(adminUser, 'users.unlock', { department: user.department }))) {
+        throw createError(403, 'You do not have permission to unlock this account');
+      }
+
+      user.failedLoginAttempts = 0;
+      user.lastFailedLoginAt = null;
+      user.lockUntil = null;
+      user.recordAuditEntry('account_unlocked', context.ipAddress, context.userAgent, `Unlocked by ${adminUser.email}`);
+      await user.save();
+
+      logger.info(`Account unlocked by ${adminUser.email}: ${user.email}`);
+
+      const userResponse = user.toObject();
+      delete userResponse.password;
+      return userResponse;
+    } catch (error) {
+      logger.error('Error unlocking account:', error);
+      throw error;
+    }
+  }
+}
+
+module.exports = new LoginProtectionService();
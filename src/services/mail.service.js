@@ -0,0 +1,98 @@
+const { getMailConfig, getMailTransport } = require('../config/mail.config');
+const { renderTemplate } = require('../utils/mailTemplates');
+const logger = require('../utils/logger');
+
+/**
+ * Mail Service Class
+ */
+class MailService {
+  /**
+   * Render a template and deliver it through the configured transport
+   * @param {string} to - Recipient address
+   * @param {string} templateName - Template name
+   * @param {Object} data - Template data
+   * @returns {Promise<Object>} Transport result with messageId
+   */
+  async sendTemplate(to, templateName, data = {}) {
+    try {
+      const { from } = getMailConfig();
+      const { subject, text, html } = renderTemplate(templateName, data);
+
+      const result = await getMailTransport().send({
+        from,
+        to,
+        subject,
+        text,
+        html,
+        template: templateName
+      });
+
+      logger.info(`Email "${templateName}" sent to ${to} (${result.messageId})`);
+      return result;
+    } catch (error) {
+      logger.error(`Error sending "${templateName}" email:`, error);
+      throw error;
+    }
+  }
+
+  /**
+   * Send the password reset link
+   * @param {Object} user - User document
+   * @param {string} token - Password reset token
+   * @returns {Promise<Object>} Transport result
+   */
+  async sendPasswordReset(user, token) {
+    const { appUrl } = getMailConfig();
+    return this.sendTemplate(user.email, 'passwordReset', {
+      firstName: user.firstName,
+      resetUrl: `${appUrl}/reset-password/${token}`,
+      expiresInMinutes: Math.round((user.passwordResetExpires - Date.now()) / 60000)
+    });
+  }
+
+  /**
+   * Notify a user that their password changed
+   * @param {Object} user - User document
+   * @returns {Promise<Object>} Transport result
+   */
+  async sendPasswordChanged(user) {
+    return this.sendTemplate(user.email, 'passwordChanged', {
+      firstName: user.firstName
+    });
+  }
+
+  /**
+   * Send the email verification link
+   * @param {Object} user - User document
+   * @param {string} token - Email verification token
+   * @returns {Promise<Object>} Transport result
+   */
+  async sendEmailVerification(user, token) {
+    const { appUrl } = getMailConfig();
+    return this.sendTemplate(user.email, 'emailVerification', {
+      firstName: user.firstName,
+      verifyUrl: `${appUrl}/verify-email/${token}`,
+      expiresInHours: Math.round((user.emailVerificationExpires - Date.now()) / 3600000)
+    });
+  }
+
+  /**
+   * Tell a waitlisted student that a seat is being held for them
+   * @param {Object} user - Student user document
+   * @param {Object} course - Course document
+   * @param {Date} expiresAt - When the held seat passes to the next student
+   * @returns {Promise<Object>} Transport result
+   */
+  async sendWaitlistOffer(user, course, expiresAt) {
+    const { appUrl } = getMailConfig();
+    return this.sendTemplate(user.email, 'waitlistSeatOffered', {
+      firstName: user.firstName,
+      courseCode: course.code,
+      courseName: course.name || course.title,
+      claimUrl: `${appUrl}/courses/${course._id}`,
+      expiresAt: expiresAt.toUTCString()
+    });
+  }
+}
+
+module.exports = new MailService();
@@ -0,0 +1,440 @@
+const crypto = require('crypto');
+const axios = require('axios');
+const jwt = require('jsonwebtoken');
+const User = require('../models/user.model');
+const Department = require('../models/department.model');
+const OidcState = require('../models/oidcState.model');
+const userService = require('./user.service');
+const passwordPolicyService = require('./passwordPolicy.service');
+const loginProtectionService = require('./loginProtection.service');
+const { getOidcConfig, PROVISIONABLE_ROLES } = require('../config/oidc.config');
+const createError = require('../utils/createError');
+const logger = require('../utils/logger');
+
+// Provider metadata and signing keys are refetched after this long
+const METADATA_TTL_MS = 60 * 60 * 1000;
+const HTTP_TIMEOUT_MS = 10000;
+
+// Asymmetric algorithms accepted for ID tokens; HS* would make the client secret a signing key
+const SUPPORTED_ALGORITHMS = ['RS256', 'RS384', 'RS512', 'PS256', 'PS384', 'PS512', 'ES256', 'ES384', 'ES512'];
+
+const base64url = buffer => buffer.toString('base64url');
+
+/**
+ * Read a claim, allowing dotted paths for nested claims (e.g. `realm_access.roles`)
+ * @param {Object} claims - ID token claims
+ * @param {string} path - Claim name or path
+ * @returns {*} Claim value
+ */
+const readClaim = (claims, path) => path.split('.').reduce((value, key) => (value == null ? undefined : value[key]), claims);
+
+/**
+ * OpenID Connect Service Class
+ *
+ * Single sign-on with the campus identity provider using the authorization
+ * code flow with PKCE. The PKCE verifier and nonce stay server-side in
+ * OidcState until the IdP redirects back. Identities are matched by issuer
+ * and subject; unknown users are provisioned just in time from their claims.
+ */
+class OidcService {
+  constructor() {
+    this.metadataCache = null;
+    this.jwksCache = null;
+  }
+
+  /**
+   * Get the configuration, failing when SSO is not set up
+   * @returns {Object} OIDC configuration
+   */
+  getConfig() {
+    const config = getOidcConfig();
+    if (!config.enabled) {
+      throw createError(404, 'Single sign-on is not enabled');
+    }
+    return config;
+  }
+
+  /**
+   * Fetch (and cache) the provider's discovery document
+   * @param {Object} config - OIDC configuration
+   * @returns {Promise<Object>} Provider metadata
+   */
+  async getProviderMetadata(config) {
+    const cached = this.metadataCache;
+    if (cached && cached.issuer === config.issuer && Date.now() - cached.fetchedAt < METADATA_TTL_MS) {
+      return cached.metadata;
+    }
+
+    try {
+      const { data } = await axios.get(`${config.issuer}/.well-known/openid-configuration`, { timeout: HTTP_TIMEOUT_MS });
+      if (data.issuer !== config.issuer) {
+        throw new Error(`Discovery document issuer ${data.issuer} does not match ${config.issuer}`);
+      }
+
+      this.metadataCache = { issuer: config.issuer, metadata: data, fetchedAt: Date.now() };
+      return data;
+    } catch (error) {
+      logger.error('Error fetching OIDC provider metadata:', error);
+      throw createError(502, 'The identity provider is not reachable');
+    }
+  }
+
+  /**
+   * Find the provider key an ID token was signed with. An unknown key id
+   * triggers one refetch, since providers rotate keys.
+   * @param {Object} metadata - Provider metadata
+   * @param {string} [kid] - Key ID from the token header
+   * @returns {Promise<Object>} Public key
+   */
+  async getSigningKey(metadata, kid) {
+    const findKey = keys => keys.find(key => (kid ? key.kid === kid : key.use !== 'enc'));
+
+    const cached = this.jwksCache;
+    let keys = cached && cached.uri === metadata.jwks_uri && Date.now() - cached.fetchedAt < METADATA_TTL_MS
+      ? cached.keys
+      : null;
+
+    if (!keys || !findKey(keys)) {
+      try {
+        const { data } = await axios.get(metadata.jwks_uri, { timeout: HTTP_TIMEOUT_MS });
+        keys = data.keys || [];
+        this.jwksCache = { uri: metadata.jwks_uri, keys, fetchedAt: Date.now() };
+      } catch (error) {
+        logger.error('Error fetching OIDC signing keys:', error);
+        throw createError(502, 'The identity provider is not reachable');
+      }
+    }
+
+    const jwk = findKey(keys);
+    if (!jwk) {
+      throw createError(401, 'ID token was signed with an unknown key');
+    }
+    return crypto.createPublicKey({ key: jwk, format: 'jwk' });
+  }
+
+  /**
+   * Start an authorization request
+   * @param {string} purpose - 'login' or 'link'
+   * @param {Object} [user] - Signed-in user, when linking
+   * @returns {Promise<Object>} Authorization URL to send the browser to, and its expiry
+   */
+  async createAuthorizationRequest(purpose = 'login', user = null) {
+    try {
+      const config = this.getConfig();
+      const metadata = await this.getProviderMetadata(config);
+
+      const state = base64url(crypto.randomBytes(32));
+      const nonce = base64url(crypto.randomBytes(32));
+      const codeVerifier = base64url(crypto.randomBytes(32));
+      const codeChallenge = base64url(crypto.createHash('sha256').update(codeVerifier).digest());
+
+      const pending = await OidcState.create({
+        state,
+        nonce,
+        codeVerifier,
+        purpose,
+        user: user ? user._id : null,
+        expiresAt: new Date(Date.now() + config.stateTtlMinutes * 60 * 1000)
+      });
+
+      const url = new URL(metadata.authorization_endpoint);
+      url.search = new URLSearchParams({
+        response_type: 'code',
+        client_id: config.clientId,
+        redirect_uri: config.redirectUri,
+        scope: config.scope,
+        state,
+        nonce,
+        code_challenge: codeChallenge,
+        code_challenge_method: 'S256'
+      }).toString();
+
+      return {
+        provider: config.providerName,
+        authorizationUrl: url.toString(),
+        expiresAt: pending.expiresAt
+      };
+    } catch (error) {
+      logger.error('Error creating OIDC authorization request:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Exchange the authorization code for tokens
+   * @param {Object} config - OIDC configuration
+   * @param {Object} metadata - Provider metadata
+   * @param {string} code - Authorization code
+   * @param {string} codeVerifier - PKCE code verifier
+   * @returns {Promise<string>} ID token
+   */
+  async exchangeCode(config, metadata, code, codeVerifier) {
+    const params = new URLSearchParams({
+      grant_type: 'authorization_code',
+      code,
+      redirect_uri: config.redirectUri,
+      client_id: config.clientId,
+      code_verifier: codeVerifier
+    });
+    if (config.clientSecret) {
+      params.set('client_secret', config.clientSecret);
+    }
+
+    try {
+      const { data } = await axios.post(metadata.token_endpoint, params.toString(), {
+        headers: { 'Content-Type': 'application/x-www-form-urlencoded', Accept: 'application/json' },
+        timeout: HTTP_TIMEOUT_MS
+      });
+      if (!data.id_token) {
+        throw new Error('Token response has no id_token');
+      }
+      return data.id_token;
+    } catch (error) {
+      logger.error('Error exchanging OIDC authorization code:', error.response ? error.response.data : error);
+      throw createError(401, 'Sign-in with the identity provider failed');
+    }
+  }
+
+  /**
+   * Verify an ID token's signature, issuer, audience, expiry and nonce
+   * @param {Object} config - OIDC configuration
+   * @param {Object} metadata - Provider metadata
+   * @param {string} idToken - ID token
+   * @param {string} nonce - Nonce sent with the authorization request
+   * @returns {Promise<Object>} Verified claims
+   */
+  async verifyIdToken(config, metadata, idToken, nonce) {
+    const decoded = jwt.decode(idToken, { complete: true });
+    if (!decoded || !SUPPORTED_ALGORITHMS.includes(decoded.header.alg)) {
+      throw createError(401, 'ID token is invalid');
+    }
+
+    const key = await this.getSigningKey(metadata, decoded.header.kid);
+
+    let claims;
+    try {
+      claims = jwt.verify(idToken, key, {
+        algorithms: SUPPORTED_ALGORITHMS,
+        issuer: config.issuer,
+        audience: config.clientId,
+        clockTolerance: config.clockToleranceSeconds
+      });
+    } catch (error) {
+      logger.warn(`Rejected OIDC ID token: ${error.message}`);
+      throw createError(401, 'ID token is invalid');
+    }
+
+    if (claims.nonce !== nonce || !claims.sub) {
+      throw createError(401, 'ID token is invalid');
+    }
+
+    return claims;
+  }
+
+  /**
+   * Translate ID token claims into account fields
+   * @param {Object} config - OIDC configuration
+   * @param {Object} claims - Verified claims
+   * @returns {Object} { email, emailVerified, firstName, lastName, role, department, studentId, facultyId }
+   */
+  mapClaims(config, claims) {
+    const names = config.claims;
+    const rawRoles = readClaim(claims, names.role);
+    const values = (Array.isArray(rawRoles) ? rawRoles : [rawRoles]).filter(value => value != null).map(String);
+
+    const role = values
+      .map(value => config.roleMap[value])
+      .find(mapped => PROVISIONABLE_ROLES.includes(mapped)) ||
+      (PROVISIONABLE_ROLES.includes(config.defaultRole) ? config.defaultRole : null);
+
+    const email = readClaim(claims, names.email);
+    const text = value => (value == null ? undefined : String(value).trim());
+    const identifier = value => (value == null ? undefined : String(value).trim().toUpperCase());
+
+    return {
+      email: email ? String(email).toLowerCase() : null,
+      emailVerified: claims.email_verified === true,
+      firstName: text(readClaim(claims, names.firstName)) || text(claims.name) || 'User',
+      lastName: text(readClaim(claims, names.lastName)) || '-',
+      role,
+      department: text(readClaim(claims, names.department)),
+      studentId: identifier(readClaim(claims, names.studentId)),
+      facultyId: identifier(readClaim(claims, names.facultyId))
+    };
+  }
+
+  /**
+   * Create an account for a first-time SSO user
+   * @param {Object} config - OIDC configuration
+   * @param {Object} claims - Verified claims
+   * @returns {Promise<Object>} Created user document
+   */
+  async provisionUser(config, claims) {
+    const mapped = this.mapClaims(config, claims);
+    if (!mapped.email) {
+      throw createError(400, 'The identity provider did not share an email address');
+    }
+    if (!mapped.role) {
+      throw createError(403, 'Your identity provider account is not allowed to sign in here');
+    }
+
+    let department;
+    if (mapped.department) {
+      department = await Department.findOne({
+        $or: [{ code: mapped.department.toUpperCase() }, { name: mapped.department }]
+      }).select('_id').lean();
+      if (!department) {
+        logger.warn(`SSO department "${mapped.department}" for ${mapped.email} matches no department`);
+      }
+    }
+
+    // The account gets a random password nobody knows; the user signs in through SSO
+    // (or sets a local password with the forgot-password flow)
+    const user = new User({
+      firstName: mapped.firstName,
+      lastName: mapped.lastName,
+      email: mapped.email,
+      password: passwordPolicyService.generatePassword(mapped.role),
+      role: mapped.role,
+      department: department ? department._id : undefined,
+      studentId: mapped.role === 'student' ? mapped.studentId : undefined,
+      facultyId: mapped.role === 'faculty' ? mapped.facultyId : undefined,
+      isEmailVerified: mapped.emailVerified,
+      isActive: true,
+      identities: [{ provider: config.issuer, subject: claims.sub, email: mapped.email }]
+    });
+    await user.save();
+
+    logger.info(`SSO user provisioned: ${user.email} (${user.role})`);
+    return user;
+  }
+
+  /**
+   * Attach an IdP identity to an account
+   * @param {Object} config - OIDC configuration
+   * @param {Object} user - User document
+   * @param {Object} claims - Verified claims
+   * @param {Object} context - Request context ({ ipAddress, userAgent })
+   * @returns {Promise<Object>} Updated user document
+   */
+  async attachIdentity(config, user, claims, context = {}) {
+    if (user.identities.some(identity => identity.provider === config.issuer)) {
+      throw createError(409, `Your account is already linked to ${config.providerName}`);
+    }
+
+    const email = this.mapClaims(config, claims).email;
+    user.identities.push({ provider: config.issuer, subject: claims.sub, email });
+    user.recordAuditEntry('sso_linked', context.ipAddress, context.userAgent, `Linked ${config.providerName} identity ${email || claims.sub}`);
+    await user.save();
+
+    logger.info(`SSO identity linked to ${user.email}`);
+    return user;
+  }
+
+  /**
+   * Complete the flow after the IdP redirects back: sign in (provisioning the
+   * account if needed) or link the identity to the account that started it
+   * @param {string} code - Authorization code
+   * @param {string} state - State from the authorization request
+   * @param {Object} context - Request context ({ ipAddress, userAgent })
+   * @returns {Promise<Object>} Login result, or `{ linked: true, user }`
+   */
+  async handleCallback(code, state, context = {}) {
+    try {
+      const config = this.getConfig();
+
+      const pending = await OidcState.findOneAndDelete({ state, expiresAt: { $gt: new Date() } });
+      if (!pending) {
+        throw createError(400, 'Sign-in request is invalid or has expired');
+      }
+
+      const metadata = await this.getProviderMetadata(config);
+      const idToken = await this.exchangeCode(config, metadata, code, pending.codeVerifier);
+      const claims = await this.verifyIdToken(config, metadata, idToken, pending.nonce);
+
+      const linkedUser = await User.findOne({
+        identities: { $elemMatch: { provider: config.issuer, subject: claims.sub } }
+      });
+
+      if (pending.purpose === 'link') {
+        if (linkedUser) {
+          throw createError(409, 'This identity is already linked to an account');
+        }
+        const user = await User.findById(pending.user);
+        if (!user) {
+          throw createError(404, 'User not found');
+        }
+        await this.attachIdentity(config, user, claims, context);
+        return { linked: true, user: userService.toSafeObject(user) };
+      }
+
+      let user = linkedUser;
+      if (!user) {
+        const { email, emailVerified } = this.mapClaims(config, claims);
+        const existing = email ? await User.findByEmail(email) : null;
+
+        if (existing && config.autoLinkByEmail && emailVerified) {
+          user = await this.attachIdentity(config, existing, claims, context);
+        } else if (existing) {
+          throw createError(409, `An account with this email already exists. Sign in with your password and link ${config.providerName} from your profile`);
+        } else if (config.jitProvisioning) {
+          user = await this.provisionUser(config, claims);
+        } else {
+          throw createError(403, 'No account is linked to this identity');
+        }
+      }
+
+      if (!user.isActive) {
+        throw createError(401, 'Account is deactivated');
+      }
+
+      // A lockout after failed password guesses applies to every way of signing in
+      loginProtectionService.assertAccountAllowed(user);
+
+      // The IdP stands in for the password only, unless it is trusted to enforce a second factor
+      if (!config.trustProviderTwoFactor) {
+        const challenge = await userService.requestSecondFactor(user, { method: 'sso' });
+        if (challenge) {
+          return challenge;
+        }
+      }
+
+      return await userService.completeLogin(user, context, { method: 'sso' });
+    } catch (error) {
+      logger.error('Error completing OIDC sign-in:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Remove the IdP identity from an account
+   * @param {string} userId - User ID
+   * @param {Object} context - Request context ({ ipAddress, userAgent })
+   * @returns {Promise<Object>} Updated user
+   */
+  async unlinkIdentity(userId, context = {}) {
+    try {
+      const config = this.getConfig();
+
+      const user = await User.findById(userId);
+      if (!user) {
+        throw createError(404, 'User not found');
+      }
+      if (!user.identities.some(identity => identity.provider === config.issuer)) {
+        throw createError(400, `Your account is not linked to ${config.providerName}`);
+      }
+
+      user.identities = user.identities.filter(identity => identity.provider !== config.issuer);
+      user.recordAuditEntry('sso_unlinked', context.ipAddress, context.userAgent, `Unlinked ${config.providerName}`);
+      await user.save();
+
+      logger.info(`SSO identity unlinked from ${user.email}`);
+      return userService.toSafeObject(user);
+    } catch (error) {
+      logger.error('Error unlinking OIDC identity:', error);
+      throw error;
+    }
+  }
+}
+
+module.exports = new OidcService();
@@ -0,0 +1,197 @@
+const bcrypt = require('bcryptjs');
+const User = require('../models/user.model');
+const COMMON_PASSWORDS = require('../config/commonPasswords');
+const { getPasswordPolicy } = require('../config/passwordPolicy.config');
+const { generateToken, verifyToken } = require('../utils/jwt');
+const { generateTemporaryPassword } = require('../utils/password');
+const createError = require('../utils/createError');
+
+const PASSWORD_CHANGE_PURPOSE = 'password_change';
+const PASSWORD_CHANGE_TOKEN_EXPIRES_IN = '10m';
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * Password Policy Service Class
+ *
+ * Checks new passwords against the policy of the account's role (length,
+ * character classes, common-password blocklist, reuse of recent passwords)
+ * and decides when a password has to be changed at the next login.
+ */
+class PasswordPolicyService {
+  /**
+   * Get the policy for a role
+   * @param {string} role - User role
+   * @returns {Object} Password policy
+   */
+  getPolicy(role) {
+    return getPasswordPolicy(role);
+  }
+
+  /**
+   * Describe a role's policy as rules that can be shown next to a password field
+   * @param {string} role - User role
+   * @returns {Object} Policy and rule descriptions
+   */
+  describePolicy(role) {
+    const policy = this.getPolicy(role);
+    const rules = [`At least ${policy.minLength} characters`];
+    if (policy.requireUppercase) rules.push('At least one upper-case letter');
+    if (policy.requireLowercase) rules.push('At least one lower-case letter');
+    if (policy.requireDigit) rules.push('At least one number');
+    if (policy.requireSymbol) rules.push('At least one symbol');
+    if (policy.blockCommon) rules.push('Not a commonly used password');
+    if (policy.historyCount > 0) rules.push(`Not one of your last ${policy.historyCount} passwords`);
+    if (policy.maxAgeDays > 0) rules.push(`Must be changed every ${policy.maxAgeDays} days`);
+
+    return { role, policy, rules };
+  }
+
+  /**
+   * Check whether a password is on the common-password blocklist
+   * @param {string} password - Password
+   * @returns {boolean} True if the password is too common
+   */
+  isCommonPassword(password) {
+    const normalized = password.toLowerCase();
+    const stem = normalized.replace(/[\d\W_]+$/, '');
+    return COMMON_PASSWORDS.has(normalized) || (stem.length > 0 && COMMON_PASSWORDS.has(stem));
+  }
+
+  /**
+   * List the rules a password breaks, without the history check
+   * @param {string} password - Candidate password
+   * @param {Object} policy - Password policy
+   * @returns {Array<string>} Violations
+   */
+  getViolations(password, policy) {
+    const violations = [];
+    const value = String(password || '');
+
+    if (value.length < policy.minLength) violations.push(`must be at least ${policy.minLength} characters long`);
+    if (value.length > policy.maxLength) violations.push(`must be at most ${policy.maxLength} characters long`);
+    if (policy.requireUppercase && !/[A-Z]/.test(value)) violations.push('must contain an upper-case letter');
+    if (policy.requireLowercase && !/[a-z]/.test(value)) violations.push('must contain a lower-case letter');
+    if (policy.requireDigit && !/\d/.test(value)) violations.push('must contain a number');
+    if (policy.requireSymbol && !/[^A-Za-z0-9]/.test(value)) violations.push('must contain a symbol');
+    if (policy.blockCommon && value && this.isCommonPassword(value)) violations.push('is too common');
+
+    return violations;
+  }
+
+  /**
+   * Check whether a password matches the user's current or recent passwords
+   * @param {string} userId - User ID
+   * @param {string} password - Candidate password
+   * @param {number} historyCount - Number of previous passwords to check
+   * @returns {Promise<boolean>} True if the password was used recently
+   */
+  async isReused(userId, password, historyCount) {
+    const user = await User.findById(userId).select('+password +passwordHistory').lean();
+    if (!user) return false;
+
+    const hashes = [user.password, ...(user.passwordHistory || []).slice(0, historyCount)].filter(Boolean);
+    for (const hash of hashes) {
+      if (await bcrypt.compare(password, hash)) {
+        return true;
+      }
+    }
+    return false;
+  }
+
+  /**
+   * Reject a new password that breaks the policy for the account's role
+   * @param {string} password - Candidate password
+   * @param {Object} user - User (or new user data) with `role`, and `_id` for existing accounts
+   * @throws {Error} 400 listing every broken rule
+   */
+  async assertAcceptable(password, user) {
+    const policy = this.getPolicy(user.role);
+    const violations = this.getViolations(password, policy);
+
+    if (violations.length === 0 && user._id && await this.isReused(user._id, password, policy.historyCount)) {
+      violations.push(policy.historyCount > 0
+        ? `must not match any of your last ${policy.historyCount} passwords`
+        : 'must not match your current password');
+    }
+
+    if (violations.length > 0) {
+      const error = createError(400, `Password ${violations.join(', ')}`);
+      error.violations = violations;
+      throw error;
+    }
+  }
+
+  /**
+   * Generate a temporary password that satisfies a role's policy
+   * @param {string} role - User role
+   * @returns {string} Password
+   */
+  generatePassword(role) {
+    const { minLength } = this.getPolicy(role);
+    return generateTemporaryPassword(Math.max(12, minLength));
+  }
+
+  /**
+   * Whether the user's password is older than their role allows
+   * @param {Object} user - User document
+   * @returns {boolean} Expired status
+   */
+  isExpired(user) {
+    const { maxAgeDays } = this.getPolicy(user.role);
+    if (!maxAgeDays || !user.lastPasswordChanged) return false;
+    return Date.now() - new Date(user.lastPasswordChanged).getTime() > maxAgeDays * DAY_MS;
+  }
+
+  /**
+   * Why the user has to change their password before signing in, if they do
+   * @param {Object} user - User document
+   * @returns {string|null} 'reset' (temporary password), 'expired', or null
+   */
+  getChangeReason(user) {
+    if (user.mustChangePassword) return 'reset';
+    if (this.isExpired(user)) return 'expired';
+    return null;
+  }
+
+  /**
+   * Issue a short-lived token that only allows setting a new password. It
+   * stops working once the password has changed.
+   * @param {Object} user - User document
+   * @returns {string} Password change token
+   */
+  createChangeToken(user) {
+    return generateToken({
+      userId: user._id,
+      purpose: PASSWORD_CHANGE_PURPOSE,
+      passwordChangedAt: new Date(user.lastPasswordChanged).getTime()
+    }, process.env.JWT_SECRET, PASSWORD_CHANGE_TOKEN_EXPIRES_IN);
+  }
+
+  /**
+   * Resolve a password change token to its user
+   * @param {string} token - Password change token
+   * @returns {Promise<Object>} User document with password fields
+   */
+  async resolveChangeToken(token) {
+    let decoded;
+    try {
+      decoded = verifyToken(token);
+    } catch (error) {
+      throw createError(401, 'Password change token is invalid or has expired');
+    }
+
+    if (decoded.purpose !== PASSWORD_CHANGE_PURPOSE) {
+      throw createError(401, 'Password change token is invalid or has expired');
+    }
+
+    const user = await User.findById(decoded.userId).select('+password');
+    if (!user || !user.isActive || new Date(user.lastPasswordChanged).getTime() !== decoded.passwordChangedAt) {
+      throw createError(401, 'Password change token is invalid or has expired');
+    }
+
+    return user;
+  }
+}
+
+module.exports = new PasswordPolicyService();
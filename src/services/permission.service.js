@@ -0,0 +1,392 @@
+const mongoose = require('mongoose');
+const User = require('../models/user.model');
+const Role = require('../models/role.model');
+const RoleAssignment = require('../models/roleAssignment.model');
+const Department = require('../models/department.model');
+const Course = require('../models/course.model');
+const Program = require('../models/program.model');
+const CourseGrade = require('../models/courseGrade.model');
+const {
+  PERMISSIONS,
+  BASE_ROLE_PERMISSIONS,
+  SYSTEM_ROLES,
+  permissionMatches
+} = require('../config/permissions.config');
+const createError = require('../utils/createError');
+const logger = require('../utils/logger');
+
+const ROLE_FIELDS = ['name', 'displayName', 'description', 'permissions'];
+
+/**
+ * Permission Service Class
+ *
+ * Resolves what a user may do from their base account role plus any role
+ * assignments. A grant is `{ permission, department }`; grants without a
+ * department apply everywhere, scoped grants only to resources in that
+ * department. Service principals (API keys) hold exactly their key's scopes.
+ */
+class PermissionService {
+  /**
+   * List the permission catalogue
+   * @returns {Array} Permissions with descriptions
+   */
+  listPermissions() {
+    return Object.entries(PERMISSIONS).map(([name, description]) => ({ name, description }));
+  }
+
+  /**
+   * Create the built-in roles if they do not exist yet
+   */
+  async ensureSystemRoles() {
+    for (const role of SYSTEM_ROLES) {
+      await Role.updateOne(
+        { name: role.name },
+        { $setOnInsert: { ...role, isSystem: true } },
+        { upsert: true }
+      );
+    }
+  }
+
+  /**
+   * Get every permission grant in effect for a user
+   * @param {Object} user - User document or plain object
+   * @returns {Promise<Array>} Grants ({ permission, department, role })
+   */
+  async getGrants(user) {
+    if (user.isServiceAccount) {
+      return user.grants || [];
+    }
+
+    const grants = (BASE_ROLE_PERMISSIONS[user.role] || [])
+      .map(permission => ({ permission, department: null, role: user.role }));
+
+    const assignments = await RoleAssignment.findActiveByUser(user._id)
+      .populate('role', 'name permissions')
+      .lean();
+
+    for (const assignment of assignments) {
+      if (!assignment.role) continue;
+
+      const department = assignment.department ? assignment.department.toString() : null;
+      for (const permission of assignment.role.permissions) {
+        grants.push({ permission, department, role: assignment.role.name });
+      }
+    }
+
+    return grants;
+  }
+
+  /**
+   * Check a permission against a list of grants
+   * @param {Array} grants - Grants from getGrants
+   * @param {string} permission - Required permission
+   * @param {string|Object} [department] - Department the resource belongs to
+   * @returns {boolean} True if allowed
+   */
+  grantsAllow(grants, permission, department = null) {
+    const departmentId = department ? department.toString() : null;
+
+    return grants.some(grant => permissionMatches(grant.permission, permission)
+      && (!grant.department || grant.department === departmentId));
+  }
+
+  /**
+   * Check whether a user holds a permission
+   * @param {Object} user - User document or plain object
+   * @param {string} permission - Required permission
+   * @param {Object} [options] - Options
+   * @param {string|Object} [options.department] - Department the resource belongs to
+   * @returns {Promise<boolean>} True if allowed
+   */
+  async hasPermission(user, permission, options = {}) {
+    const grants = await this.getGrants(user);
+    return this.grantsAllow(grants, permission, options.department);
+  }
+
+  /**
+   * Load the account behind an acting user for permission checks. Service
+   * principals have no user record and are returned as they are.
+   * @param {Object|string} actor - Requesting user or principal (`req.user`), or a user ID
+   * @returns {Promise<Object|null>} User document or service principal
+   */
+  async resolveActor(actor) {
+    if (actor && actor.isServiceAccount) return actor;
+    return User.findById(actor && actor._id ? actor._id : actor);
+  }
+
+  /**
+   * Department of a user, for department-scoped checks
+   * @param {string} userId - User ID
+   * @returns {Promise<Object|null>} Department ID
+   */
+  async getUserDepartment(userId) {
+    if (!mongoose.isValidObjectId(userId)) return null;
+    const user = await User.findById(userId).select('department').lean();
+    return user ? user.department || null : null;
+  }
+
+  /**
+   * Department of a course, for department-scoped checks
+   * @param {string} courseId - Course ID
+   * @returns {Promise<Object|null>} Department ID
+   */
+  async getCourseDepartment(courseId) {
+    if (!mongoose.isValidObjectId(courseId)) return null;
+    const course = await Course.findById(courseId).select('department').lean();
+    return course ? course.department : null;
+  }
+
+  /**
+   * Department of a program, for department-scoped checks
+   * @param {string} programId - Program ID
+   * @returns {Promise<Object|null>} Department ID
+   */
+  async getProgramDepartment(programId) {
+    if (!mongoose.isValidObjectId(programId)) return null;
+    const program = await Program.findById(programId).select('department').lean();
+    return program ? program.department : null;
+  }
+
+  /**
+   * Department of the course a grade belongs to, for department-scoped checks
+   * @param {string} gradeId - Course grade ID
+   * @returns {Promise<Object|null>} Department ID
+   */
+  async getCourseGradeDepartment(gradeId) {
+    if (!mongoose.isValidObjectId(gradeId)) return null;
+    const grade = await CourseGrade.findById(gradeId).select('course').lean();
+    return grade ? this.getCourseDepartment(grade.course) : null;
+  }
+
+  /**
+   * List all roles with the number of users holding each
+   * @returns {Promise<Array>} Roles
+   */
+  async listRoles() {
+    try {
+      const [roles, counts] = await Promise.all([
+        Role.find().sort({ name: 1 }).lean(),
+        RoleAssignment.aggregate([{ $group: { _id: '$role', count: { $sum: 1 } } }])
+      ]);
+
+      const countByRole = new Map(counts.map(item => [item._id.toString(), item.count]));
+      return roles.map(role => ({ ...role, assignmentCount: countByRole.get(role._id.toString()) || 0 }));
+    } catch (error) {
+      logger.error('Error listing roles:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Get a role by ID
+   * @param {string} roleId - Role ID
+   * @returns {Promise<Object>} Role
+   */
+  async getRoleById(roleId) {
+    const role = await Role.findById(roleId);
+    if (!role) {
+      throw createError(404, 'Role not found');
+    }
+    return role;
+  }
+
+  /**
+   * Create a role
+   * @param {Object} roleData - Role data
+   * @param {string} userId - User creating the role
+   * @returns {Promise<Object>} Created role
+   */
+  async createRole(roleData, userId) {
+    try {
+      const existing = await Role.findOne({ name: roleData.name });
+      if (existing) {
+        throw createError(409, 'Role with this name already exists');
+      }
+
+      const role = new Role({ createdBy: userId, lastModifiedBy: userId });
+      ROLE_FIELDS.forEach(field => {
+        if (roleData[field] !== undefined) role[field] = roleData[field];
+      });
+      await role.save();
+
+      logger.info(`Role created: ${role.name}`);
+      return role;
+    } catch (error) {
+      logger.error('Error creating role:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Update a role
+   * @param {string} roleId - Role ID
+   * @param {Object} updateData - Fields to update
+   * @param {string} userId - User updating the role
+   * @returns {Promise<Object>} Updated role
+   */
+  async updateRole(roleId, updateData, userId) {
+    try {
+      const role = await this.getRoleById(roleId);
+
+      if (updateData.name !== undefined && updateData.name !== role.name) {
+        if (role.isSystem) {
+          throw createError(400, 'System roles cannot be renamed');
+        }
+        if (await Role.exists({ name: updateData.name })) {
+          throw createError(409, 'Role with this name already exists');
+        }
+      }
+
+      ROLE_FIELDS.forEach(field => {
+        if (updateData[field] !== undefined) role[field] = updateData[field];
+      });
+      role.lastModifiedBy = userId;
+      await role.save();
+
+      logger.info(`Role updated: ${role.name}`);
+      return role;
+    } catch (error) {
+      logger.error('Error updating role:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Delete a role that is no longer assigned to anyone
+   * @param {string} roleId - Role ID
+   */
+  async deleteRole(roleId) {
+    try {
+      const role = await this.getRoleById(roleId);
+      if (role.isSystem) {
+        throw createError(400, 'System roles cannot be deleted');
+      }
+
+      const assignmentCount = await RoleAssignment.countDocuments({ role: role._id });
+      if (assignmentCount > 0) {
+        throw createError(409, `Role is still assigned to ${assignmentCount} user(s)`);
+      }
+
+      await role.deleteOne();
+      logger.info(`Role deleted: ${role.name}`);
+    } catch (error) {
+      logger.error('Error deleting role:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * List a user's role assignments
+   * @param {string} userId - User ID
+   * @returns {Promise<Array>} Role assignments
+   */
+  async listUserAssignments(userId) {
+    try {
+      if (!(await User.exists({ _id: userId }))) {
+        throw createError(404, 'User not found');
+      }
+
+      return RoleAssignment.find({ user: userId })
+        .populate('role', 'name displayName permissions')
+        .populate('department', 'name code')
+        .populate('assignedBy', 'firstName lastName email')
+        .sort({ createdAt: 1 })
+        .lean();
+    } catch (error) {
+      logger.error('Error listing role assignments:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Assign a role to a user, optionally scoped to a department
+   * @param {string} userId - User receiving the role
+   * @param {Object} assignmentData - { roleId, departmentId, expiresAt, notes }
+   * @param {string} adminUserId - User making the assignment
+   * @param {Object} context - Request context ({ ipAddress, userAgent })
+   * @returns {Promise<Object>} Created assignment
+   */
+  async assignRole(userId, assignmentData, adminUserId, context = {}) {
+    try {
+      const { roleId, departmentId = null, expiresAt = null, notes } = assignmentData;
+
+      const [user, adminUser] = await Promise.all([User.findById(userId), User.findById(adminUserId)]);
+      if (!user) {
+        throw createError(404, 'User not found');
+      }
+      // Roles grant staff permissions, which guardian accounts must never hold
+      if (user.role === 'guardian') {
+        throw createError(400, 'Roles cannot be assigned to guardian accounts');
+      }
+
+      const role = await this.getRoleById(roleId);
+
+      let department = null;
+      if (departmentId) {
+        department = await Department.findById(departmentId);
+        if (!department) {
+          throw createError(404, 'Department not found');
+        }
+      }
+
+      if (await RoleAssignment.exists({ user: user._id, role: role._id, department: department ? department._id : null })) {
+        throw createError(409, 'Role is already assigned to this user for this scope');
+      }
+
+      const assignment = await RoleAssignment.create({
+        user: user._id,
+        role: role._id,
+        department: department ? department._id : null,
+        assignedBy: adminUserId,
+        expiresAt,
+        notes
+      });
+
+      const scope = department ? ` in ${department.name}` : '';
+      await user.addAuditEntry('role_assigned', context.ipAddress, context.userAgent, `${role.name}${scope} by ${adminUser ? adminUser.email : adminUserId}`);
+
+      logger.info(`Role ${role.name}${scope} assigned to ${user.email}`);
+      return assignment.populate([
+        { path: 'role', select: 'name displayName permissions' },
+        { path: 'department', select: 'name code' }
+      ]);
+    } catch (error) {
+      logger.error('Error assigning role:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Remove a role assignment from a user
+   * @param {string} userId - User ID
+   * @param {string} assignmentId - Role assignment ID
+   * @param {string} adminUserId - User removing the assignment
+   * @param {Object} context - Request context ({ ipAddress, userAgent })
+   */
+  async revokeAssignment(userId, assignmentId, adminUserId, context = {}) {
+    try {
+      const assignment = await RoleAssignment.findOne({ _id: assignmentId, user: userId })
+        .populate('role', 'name')
+        .populate('department', 'name');
+      if (!assignment) {
+        throw createError(404, 'Role assignment not found');
+      }
+
+      await assignment.deleteOne();
+
+      const [user, adminUser] = await Promise.all([User.findById(userId), User.findById(adminUserId)]);
+      const roleName = assignment.role ? assignment.role.name : 'deleted role';
+      const scope = assignment.department ? ` in ${assignment.department.name}` : '';
+      if (user) {
+        await user.addAuditEntry('role_revoked', context.ipAddress, context.userAgent, `${roleName}${scope} by ${adminUser ? adminUser.email : adminUserId}`);
+      }
+
+      logger.info(`Role ${roleName}${scope} revoked from user ${userId}`);
+    } catch (error) {
+      logger.error('Error revoking role assignment:', error);
+      throw error;
+    }
+  }
+}
+
+module.exports = new PermissionService();
@@ -0,0 +1,159 @@
+const Course = require('../models/course.model');
+const CourseGrade = require('../models/courseGrade.model');
+const Enrollment = require('../models/enrollment.model');
+const createError = require('../utils/createError');
+const logger = require('../utils/logger');
+
+// Lowest grade points that meet each minimum letter grade
+const MINIMUM_GRADE_POINTS = { A: 4.0, B: 3.0, C: 2.0, D: 1.0 };
+
+// Final grades that never count as completing a course
+const NON_PASSING_GRADES = ['F', 'I', 'W', 'NP'];
+
+const describeMinimum = (minimumGrade) => (minimumGrade === 'Pass' ? 'a passing grade' : `${minimumGrade} or better`);
+
+const describeOption = (option) => `${option.course.code} with ${describeMinimum(option.minimumGrade)}` +
+  (option.grade ? ` (final grade ${option.grade})` : '');
+
+const describeRequirement = (requirement) => (requirement.options.length === 1
+  ? describeOption(requirement.options[0])
+  : `one of ${requirement.options.map(describeOption).join(' or ')}`);
+
+/**
+ * Prerequisite Service Class
+ *
+ * Checks a course's prerequisites against the student's final course grades.
+ * Each prerequisite needs a final grade at or above its minimum (A, B, C, D
+ * or Pass). Prerequisites sharing a `group` are alternatives: any one of them
+ * satisfies the group. Prerequisites with `isRequired: false` are reported as
+ * recommendations but do not block enrollment. A waiver recorded on the
+ * enrollment lets the student enroll anyway.
+ */
+class PrerequisiteService {
+  /**
+   * Check whether a final grade meets a minimum grade
+   * @param {string} finalGrade - Letter grade (A+ ... F, P, NP, I, W)
+   * @param {string} minimumGrade - A, B, C, D or Pass
+   * @returns {boolean} True if the grade is good enough
+   */
+  meetsMinimum(finalGrade, minimumGrade) {
+    if (NON_PASSING_GRADES.includes(finalGrade)) return false;
+    if (minimumGrade === 'Pass') return true;
+    // Pass/fail grades only meet a Pass minimum
+    if (finalGrade === 'P') return false;
+    return CourseGrade.getGradePoints(finalGrade) >= MINIMUM_GRADE_POINTS[minimumGrade];
+  }
+
+  /**
+   * Check a student against the prerequisites of a course
+   * @param {string} studentId - Student user ID
+   * @param {Object} course - Course document
+   * @param {Array} waivers - Prerequisite waivers recorded on the student's enrollment
+   * @returns {Promise<Object>} { course, canEnroll, missingPrerequisites, recommendedPrerequisites, satisfiedPrerequisites, waiver, message }
+   */
+  async checkPrerequisites(studentId, course, waivers = []) {
+    try {
+      const prerequisites = (course.prerequisites || []).filter(prerequisite => prerequisite.course);
+      const prerequisiteIds = prerequisites.map(prerequisite => prerequisite.course._id || prerequisite.course);
+
+      // A prerequisite names one offering; a grade in any offering with the
+      // same code (e.g. last year's, before a rollover) counts
+      const courses = await Course.find({ _id: { $in: prerequisiteIds } }).select('code name').lean();
+      const offerings = await Course.find({ code: { $in: courses.map(item => item.code) } }).select('code').lean();
+      const grades = await CourseGrade.find({
+        student: studentId,
+        course: { $in: [...prerequisiteIds, ...offerings.map(offering => offering._id)] },
+        status: 'final'
+      })
+        .select('course finalGrade gradePoints')
+        .lean();
+
+      const coursesById = new Map(courses.map(item => [item._id.toString(), item]));
+      const codesById = new Map(offerings.map(offering => [offering._id.toString(), offering.code]));
+      const courseKey = id => codesById.get(id.toString()) || id.toString();
+
+      const options = prerequisites.map(prerequisite => {
+        const id = (prerequisite.course._id || prerequisite.course).toString();
+        const info = coursesById.get(id) || { _id: id, code: 'Unknown course', name: null };
+        const minimumGrade = prerequisite.grade || 'C';
+        const attempts = grades
+          .filter(grade => courseKey(grade.course) === courseKey(id))
+          .sort((a, b) => b.gradePoints - a.gradePoints);
+        const passing = attempts.find(grade => this.meetsMinimum(grade.finalGrade, minimumGrade));
+
+        return {
+          course: { _id: info._id, code: info.code, name: info.name },
+          minimumGrade,
+          group: prerequisite.group || null,
+          isRequired: prerequisite.isRequired !== false,
+          met: Boolean(passing),
+          grade: (passing || attempts[0] || {}).finalGrade || null
+        };
+      });
+
+      // Ungrouped prerequisites are requirements of their own
+      const groups = new Map();
+      options.forEach((option, index) => {
+        const key = option.group ? `group:${option.group}` : `course:${index}`;
+        groups.set(key, [...(groups.get(key) || []), option]);
+      });
+
+      const requirements = [...groups.values()].map(groupOptions => ({
+        group: groupOptions[0].group,
+        isRequired: groupOptions.some(option => option.isRequired),
+        met: groupOptions.some(option => option.met),
+        options: groupOptions.map(({ group, isRequired, ...option }) => option)
+      }));
+
+      const missing = requirements.filter(requirement => requirement.isRequired && !requirement.met);
+      const waiver = waivers.find(item => item.course.toString() === course._id.toString()) || null;
+
+      return {
+        course: { _id: course._id, code: course.code, name: course.name },
+        canEnroll: missing.length === 0 || Boolean(waiver),
+        missingPrerequisites: missing,
+        recommendedPrerequisites: requirements.filter(requirement => !requirement.isRequired && !requirement.met),
+        satisfiedPrerequisites: requirements.filter(requirement => requirement.met),
+        waiver,
+        message: missing.length > 0
+          ? `Missing prerequisites for ${course.code}: ${missing.map(describeRequirement).join('; ')}`
+          : null
+      };
+    } catch (error) {
+      logger.error('Error checking prerequisites:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Fail unless the student meets the prerequisites of a course or holds a waiver
+   * @param {string} studentId - Student user ID
+   * @param {Object} course - Course document
+   * @param {Array} waivers - Prerequisite waivers recorded on the student's enrollment
+   * @returns {Promise<Object>} Result of checkPrerequisites
+   * @throws {Error} 400 with `missingPrerequisites`
+   */
+  async assertPrerequisites(studentId, course, waivers = []) {
+    const result = await this.checkPrerequisites(studentId, course, waivers);
+    if (!result.canEnroll) {
+      const error = createError(400, result.message);
+      error.missingPrerequisites = result.missingPrerequisites;
+      throw error;
+    }
+    return result;
+  }
+
+  /**
+   * Prerequisite waivers on a student's active enrollments
+   * @param {string} studentId - Student user ID
+   * @returns {Promise<Array>} Waivers
+   */
+  async getActiveWaivers(studentId) {
+    const enrollments = await Enrollment.find({ student: studentId, status: 'active' })
+      .select('prerequisiteWaivers')
+      .lean();
+    return enrollments.flatMap(enrollment => enrollment.prerequisiteWaivers || []);
+  }
+}
+
+module.exports = new PrerequisiteService();
@@ -0,0 +1,304 @@
+const archiver = require('archiver');
+const User = require('../models/user.model');
+const Session = require('../models/session.model');
+const RoleAssignment = require('../models/roleAssignment.model');
+const GuardianLink = require('../models/guardianLink.model');
+const Enrollment = require('../models/enrollment.model');
+const Submission = require('../models/submission.model');
+const CourseGrade = require('../models/courseGrade.model');
+const Event = require('../models/event.model');
+const Notice = require('../models/notice.model');
+const Blog = require('../models/blog.model');
+const AuditLog = require('../models/auditLog.model');
+const auditService = require('./audit.service');
+const sessionService = require('./session.service');
+const avatarService = require('./avatar.service');
+const createError = require('../utils/createError');
+const logger = require('../utils/logger');
+
+// Name and address given to erased accounts; example.com never receives mail
+const ERASED_FIRST_NAME = 'Erased';
+const ERASED_LAST_NAME = 'User';
+const ERASED_EMAIL_DOMAIN = 'erased.example.com';
+
+// Replaces the text of comments written by an erased user
+const REMOVED_COMMENT = '[removed]';
+
+// Options for query writes that remove personal data; the audit log records
+// which fields changed but not their values
+const ERASURE_WRITE = { auditRedact: true };
+
+const sameId = (a, b) => Boolean(a) && a.toString() === b.toString();
+
+/**
+ * Privacy Service Class
+ *
+ * Answers data subject requests. An export collects everything held about a
+ * user into one package. An erasure pseudonymises the account and removes
+ * what the user wrote elsewhere, but keeps enrollments, submissions and
+ * course grades, which transcripts depend on; they keep pointing at the
+ * pseudonymised account. Audit log entries are kept, with the user's values,
+ * email and network details pseudonymised.
+ */
+class PrivacyService {
+  /**
+   * Collect everything held about a user
+   * @param {string} userId - User ID
+   * @returns {Promise<Object>} Data package ({ generatedAt, user, sections })
+   */
+  async buildDataPackage(userId) {
+    try {
+      const account = await User.findById(userId)
+        .select('-passwordResetToken -emailVerificationToken')
+        .populate('department', 'name code')
+        .lean();
+      if (!account) {
+        throw createError(404, 'User not found');
+      }
+
+      const [sessions, roleAssignments, guardianLinks, enrollments, submissions, grades, events, notices, blogPosts, commentedPosts, auditLog] = await Promise.all([
+        Session.find({ user: userId })
+          .select('device lastUsedAt lastUsedIp expiresAt impersonatedBy revokedAt revokedReason createdAt')
+          .sort({ createdAt: 1 })
+          .lean(),
+        RoleAssignment.find({ user: userId })
+          .populate('role', 'name displayName')
+          .populate('department', 'name code')
+          .lean(),
+        GuardianLink.find({ $or: [{ guardian: userId }, { student: userId }] })
+          .populate('guardian', 'firstName lastName email')
+          .populate('student', 'firstName lastName studentId')
+          .lean(),
+        Enrollment.find({ student: userId })
+          .populate('program', 'name code')
+          .populate('courses', 'name code')
+          .lean(),
+        Submission.find({ student: userId })
+          .populate('assignment', 'title course')
+          .lean(),
+        CourseGrade.find({ student: userId })
+          .populate('course', 'name code')
+          .lean(),
+        Event.find({ $or: [{ 'attendees.user': userId }, { 'reviews.user': userId }] })
+          .select('title startDate endDate attendees reviews')
+          .lean(),
+        Notice.find({
+          $or: [
+            { 'engagement.likes.userId': userId },
+            { 'engagement.bookmarks.userId': userId },
+            { 'engagement.comments.userId': userId }
+          ]
+        })
+          .select('title engagement')
+          .lean(),
+        Blog.find({ author: userId })
+          .select('title slug status publishedAt createdAt')
+          .lean(),
+        Blog.find({ 'comments.user': userId })
+          .select('title slug comments')
+          .lean(),
+        AuditLog.find({ $or: [{ entityId: userId }, { 'actor.user': userId }] })
+          .sort({ createdAt: 1 })
+          .lean()
+      ]);
+
+      const sections = {
+        account: [account],
+        sessions,
+        roleAssignments,
+        guardianLinks,
+        enrollments,
+        submissions,
+        grades,
+        events: events.map(event => ({
+          event: { _id: event._id, title: event.title, startDate: event.startDate, endDate: event.endDate },
+          registrations: event.attendees.filter(attendee => sameId(attendee.user, userId)),
+          reviews: event.reviews.filter(review => sameId(review.user, userId))
+        })),
+        notices: notices.map(notice => ({
+          notice: { _id: notice._id, title: notice.title },
+          likes: notice.engagement.likes.filter(like => sameId(like.userId, userId)),
+          bookmarks: notice.engagement.bookmarks.filter(bookmark => sameId(bookmark.userId, userId)),
+          comments: notice.engagement.comments.filter(comment => sameId(comment.userId, userId))
+        })),
+        blogPosts,
+        blogComments: commentedPosts.flatMap(post => post.comments
+          .filter(comment => sameId(comment.user, userId))
+          .map(comment => ({ post: { _id: post._id, title: post.title, slug: post.slug }, ...comment }))),
+        auditLog
+      };
+
+      return {
+        generatedAt: new Date(),
+        user: { _id: account._id, email: account.email, role: account.role },
+        sections
+      };
+    } catch (error) {
+      logger.error('Error building personal data package:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Build a user's data package and record the export in the audit log
+   * @param {string} userId - User ID
+   * @param {string} format - json or zip
+   * @returns {Promise<Object>} Data package
+   */
+  async exportPersonalData(userId, format) {
+    const dataPackage = await this.buildDataPackage(userId);
+
+    await auditService.record({
+      action: 'personal_data_exported',
+      entityType: 'User',
+      entityId: dataPackage.user._id,
+      details: { format }
+    });
+
+    logger.info(`Personal data of user ${dataPackage.user.email} exported as ${format}`);
+    return dataPackage;
+  }
+
+  /**
+   * Write a data package as a ZIP archive with one JSON file per section
+   * @param {Object} stream - Writable stream (the HTTP response)
+   * @param {Object} dataPackage - Package from buildDataPackage
+   * @returns {Promise<void>}
+   */
+  async writeZip(stream, dataPackage) {
+    const archive = archiver('zip', { zlib: { level: 9 } });
+    archive.pipe(stream);
+
+    const { sections, ...summary } = dataPackage;
+    const files = {};
+    Object.keys(sections).forEach(name => {
+      files[`${name}.json`] = sections[name].length;
+      archive.append(JSON.stringify(sections[name], null, 2), { name: `${name}.json` });
+    });
+    archive.append(JSON.stringify({ ...summary, files }, null, 2), { name: 'manifest.json' });
+
+    await archive.finalize();
+  }
+
+  /**
+   * Erase a user's personal data. The account is pseudonymised and
+   * deactivated rather than deleted so academic records stay intact.
+   * @param {string} userId - User to erase
+   * @param {Object} admin - Admin performing the erasure
+   * @param {string} reason - Why the data is erased (e.g. the request reference)
+   * @returns {Promise<Object>} Pseudonymised user and what was erased
+   */
+  async eraseUser(userId, admin, reason) {
+    try {
+      if (sameId(admin._id, userId)) {
+        throw createError(400, 'You cannot erase your own account');
+      }
+
+      const user = await User.findById(userId).select('email role erasedAt avatarImage pendingAvatar');
+      if (!user) {
+        throw createError(404, 'User not found');
+      }
+      if (user.role === 'admin') {
+        throw createError(403, 'Administrator accounts cannot be erased');
+      }
+      if (user.erasedAt) {
+        throw createError(409, 'This user has already been erased');
+      }
+
+      const pseudonym = `${ERASED_FIRST_NAME} ${ERASED_LAST_NAME}`;
+      const erasedEmail = `erased-${user._id}@${ERASED_EMAIL_DOMAIN}`;
+
+      await User.updateOne({ _id: user._id }, {
+        $set: {
+          firstName: ERASED_FIRST_NAME,
+          lastName: ERASED_LAST_NAME,
+          email: erasedEmail,
+          avatar: null,
+          identities: [],
+          isActive: false,
+          passwordResetToken: null,
+          passwordResetExpires: null,
+          emailVerificationToken: null,
+          emailVerificationExpires: null,
+          erasedAt: new Date(),
+          'auditTrail.$[].ipAddress': null,
+          'auditTrail.$[].userAgent': null
+        },
+        $unset: { phone: 1, dateOfBirth: 1, profile: 1, address: 1, avatarImage: 1, pendingAvatar: 1 }
+      }, ERASURE_WRITE);
+
+      await avatarService.deleteAssets([
+        user.avatarImage && user.avatarImage.publicId,
+        user.pendingAvatar && user.pendingAvatar.publicId
+      ]);
+
+      await sessionService.revokeAllSessions(user._id, 'account_deactivated');
+      await Session.updateMany({ user: user._id }, { $unset: { device: 1, lastUsedIp: 1 } });
+
+      await GuardianLink.updateMany(
+        { $or: [{ guardian: user._id }, { student: user._id }], status: { $ne: 'revoked' } },
+        { $set: { status: 'revoked', revokedAt: new Date(), revokedBy: admin._id } }
+      );
+
+      // Academic records are kept; only what the student typed and where they submitted from goes
+      const submissions = await Submission.updateMany(
+        { student: user._id },
+        { $unset: { studentComments: 1, ipAddress: 1, userAgent: 1 } },
+        ERASURE_WRITE
+      );
+
+      // Ratings still count towards the event's average; the review text is removed
+      const eventReviews = await Event.updateMany(
+        { 'reviews.user': user._id },
+        { $unset: { 'reviews.$[review].comment': 1 } },
+        { ...ERASURE_WRITE, arrayFilters: [{ 'review.user': user._id }] }
+      );
+
+      const noticeComments = await Notice.updateMany(
+        { 'engagement.comments.userId': user._id },
+        { $set: { 'engagement.comments.$[comment].userName': pseudonym, 'engagement.comments.$[comment].content': REMOVED_COMMENT } },
+        { ...ERASURE_WRITE, arrayFilters: [{ 'comment.userId': user._id }] }
+      );
+
+      const noticesAuthored = await Notice.updateMany(
+        { 'author.id': user._id },
+        { $set: { 'author.name': pseudonym, 'author.email': erasedEmail } },
+        ERASURE_WRITE
+      );
+
+      const blogComments = await Blog.updateMany(
+        { 'comments.user': user._id },
+        { $set: { 'comments.$[comment].content': REMOVED_COMMENT } },
+        { ...ERASURE_WRITE, arrayFilters: [{ 'comment.user': user._id }] }
+      );
+
+      const auditLogEntries = await AuditLog.pseudonymiseUser(user._id, erasedEmail);
+
+      const erased = {
+        submissions: submissions.modifiedCount,
+        eventReviews: eventReviews.modifiedCount,
+        noticeComments: noticeComments.modifiedCount,
+        noticesAuthored: noticesAuthored.modifiedCount,
+        blogComments: blogComments.modifiedCount,
+        auditLogEntries
+      };
+
+      await auditService.record({
+        action: 'personal_data_erased',
+        entityType: 'User',
+        entityId: user._id,
+        details: { reason, erased }
+      });
+
+      logger.info(`Personal data of user ${user._id} erased by admin ${admin.email}`);
+
+      const erasedUser = await User.findById(user._id).lean();
+      return { user: erasedUser, erased };
+    } catch (error) {
+      logger.error('Error erasing personal data:', error);
+      throw error;
+    }
+  }
+}
+
+module.exports = new PrivacyService();
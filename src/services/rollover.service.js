@@ -0,0 +1,350 @@
+const Course = require('../models/course.model');
+const Section = require('../models/section.model');
+const Assignment = require('../models/assignment.model');
+const CourseModule = require('../models/courseModule.model');
+const CourseMaterial = require('../models/courseMaterial.model');
+const courseStaffService = require('./courseStaff.service');
+const clashService = require('./clash.service');
+const createError = require('../utils/createError');
+const logger = require('../utils/logger');
+
+// Course fields copied as they are into the new term
+const COPIED_COURSE_FIELDS = [
+  'name', 'title', 'code', 'courseType', 'program', 'department', 'faculty', 'description',
+  'creditHours', 'maxStudents', 'prerequisites', 'location', 'syllabus'
+];
+
+// Assignment fields copied as they are into the new term
+const COPIED_ASSIGNMENT_FIELDS = [
+  'title', 'description', 'faculty', 'assignmentType', 'files', 'requirements',
+  'gradingCriteria', 'totalPoints', 'tags', 'difficulty', 'estimatedTime'
+];
+
+// Module and material fields copied as they are into the new term
+const COPIED_MODULE_FIELDS = ['title', 'description', 'week', 'position'];
+const COPIED_MATERIAL_FIELDS = ['title', 'description', 'position'];
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const termLabel = (year, semester) => `${year} semester ${semester}`;
+
+const pick = (source, fields) => fields.reduce((copy, field) => {
+  if (source[field] !== undefined) copy[field] = source[field];
+  return copy;
+}, {});
+
+/**
+ * Rollover Service Class
+ *
+ * Copies courses into a new year and semester: the course itself with its
+ * syllabus, grading policy and schedule, its active sections, its
+ * assignments as hidden drafts, and its modules and materials (the current
+ * file only) as drafts. Due and release dates keep their distance from the
+ * start of term, so they move by the gap between the old and new `startDate`.
+ * Nothing is copied over a course that already exists in the target term.
+ * Schedules that would clash in the new term are left out so the course can
+ * be re-timetabled. Each rolled-over course reports what was copied and what
+ * was skipped, and why.
+ */
+class RolloverService {
+  /**
+   * Check that a user may roll a course over: anyone who may edit it
+   * (its faculty, co-instructors and course managers)
+   * @param {Object} user - Requesting user
+   * @param {Object} course - Course being rolled over
+   */
+  async assertCanRollover(user, course) {
+    await courseStaffService.assertCapability(course, user, 'course.edit', 'Only the course\'s faculty or course managers can roll it over');
+  }
+
+  /**
+   * Roll one course over into a new term
+   * @param {string} courseId - Source course ID
+   * @param {Object} target - { year, semester, startDate, endDate }
+   * @param {Object} user - Requesting user
+   * @returns {Promise<Object>} Rollover report
+   */
+  async rolloverCourse(courseId, target, user) {
+    try {
+      const source = await Course.findById(courseId);
+      if (!source) {
+        throw createError(404, 'Course not found');
+      }
+      await this.assertCanRollover(user, source);
+
+      return await this.copyCourse(source, target, user);
+    } catch (error) {
+      logger.error('Error rolling over course:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Roll every course of a department or program in one term over into a new term
+   * @param {Object} scope - { department, program, fromYear, fromSemester }
+   * @param {Object} target - { year, semester, startDate, endDate }
+   * @param {Object} user - Requesting user
+   * @returns {Promise<Object>} { target, courses, skipped, summary }
+   */
+  async rolloverCourses(scope, target, user) {
+    try {
+      const query = {
+        year: scope.fromYear,
+        semester: scope.fromSemester,
+        status: { $ne: 'archived' }
+      };
+      if (scope.department) query.department = scope.department;
+      if (scope.program) query.program = scope.program;
+
+      const sources = await Course.find(query).sort({ code: 1 });
+      const courses = [];
+      const skipped = [];
+
+      for (const source of sources) {
+        try {
+          await this.assertCanRollover(user, source);
+          courses.push(await this.copyCourse(source, target, user));
+        } catch (error) {
+          // One course that cannot be copied does not stop the others
+          logger.warn(`Course ${source.code} not rolled over: ${error.message}`);
+          skipped.push({ source: this.describe(source), reason: error.message });
+        }
+      }
+
+      logger.info(`Rolled ${courses.length} of ${sources.length} courses over into ${termLabel(target.year, target.semester)}`);
+
+      return {
+        target: { year: target.year, semester: target.semester },
+        courses,
+        skipped,
+        summary: {
+          found: sources.length,
+          created: courses.length,
+          skipped: skipped.length,
+          sections: courses.reduce((sum, report) => sum + report.copied.sections.length, 0),
+          assignments: courses.reduce((sum, report) => sum + report.copied.assignments.length, 0)
+        }
+      };
+    } catch (error) {
+      logger.error('Error rolling over courses:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Copy a course, its sections and its assignments into the target term
+   * @param {Object} source - Source course document
+   * @param {Object} target - { year, semester, startDate, endDate }
+   * @param {Object} user - Requesting user
+   * @returns {Promise<Object>} { source, course, copied, skipped }
+   */
+  async copyCourse(source, target, user) {
+    const year = Number(target.year);
+    const semester = Number(target.semester);
+    if (source.year === year && source.semester === semester) {
+      throw createError(400, `${source.code} already runs in ${termLabel(year, semester)}`);
+    }
+
+    const existing = await Course.findOne({ code: source.code, year, semester }).select('_id');
+    if (existing) {
+      throw createError(409, `${source.code} already exists in ${termLabel(year, semester)}`);
+    }
+
+    const startDate = target.startDate ? new Date(target.startDate) : null;
+    const shiftMs = startDate && source.startDate ? startDate.getTime() - source.startDate.getTime() : null;
+    let endDate = target.endDate ? new Date(target.endDate) : null;
+    if (!endDate && shiftMs !== null && source.endDate) {
+      endDate = new Date(source.endDate.getTime() + shiftMs);
+    }
+
+    const skipped = [];
+    const data = {
+      ...pick(source.toObject(), COPIED_COURSE_FIELDS),
+      year,
+      semester,
+      startDate,
+      endDate,
+      // Opened for enrollment once the new term is ready
+      status: 'draft',
+      schedule: source.schedule.map(({ day, startTime, endTime, type }) => ({ day, startTime, endTime, type })),
+      createdBy: user._id
+    };
+
+    const conflicts = data.schedule.length > 0 ? await clashService.findTeachingClashes(data) : [];
+    if (conflicts.length > 0) {
+      data.schedule = [];
+      skipped.push({ type: 'schedule', label: source.code, reason: `Timetable clash: ${conflicts[0].message}` });
+    }
+
+    const course = await Course.create(data);
+    const sectionMap = await this.copySections(source, course, user, skipped);
+    const assignments = await this.copyAssignments(source, course, shiftMs, sectionMap, user, skipped);
+    const { modules, materials } = await this.copyContent(source, course, shiftMs, user, skipped);
+
+    logger.info(`Course ${source.code} rolled over into ${termLabel(year, semester)} by ${user.email}`);
+
+    return {
+      source: this.describe(source),
+      course: this.describe(course),
+      copied: {
+        schedule: course.schedule.length,
+        sections: [...sectionMap.values()].map(section => ({ _id: section._id, code: section.code })),
+        assignments,
+        modules,
+        materials
+      },
+      skipped
+    };
+  }
+
+  /**
+   * Copy the active sections of a course
+   * @returns {Promise<Map>} Old section ID -> new section
+   */
+  async copySections(source, course, user, skipped) {
+    const sectionMap = new Map();
+    const sections = await Section.find({ course: source._id, status: 'active' }).sort({ code: 1 });
+
+    for (const section of sections) {
+      const data = {
+        course: course._id,
+        code: section.code,
+        faculty: section.faculty,
+        maxStudents: section.maxStudents,
+        location: section.location,
+        schedule: section.schedule.map(({ day, startTime, endTime, type }) => ({ day, startTime, endTime, type })),
+        createdBy: user._id
+      };
+
+      try {
+        const conflicts = data.schedule.length > 0 ? await clashService.findTeachingClashes(course, data) : [];
+        if (conflicts.length > 0) {
+          data.schedule = [];
+          skipped.push({ type: 'schedule', label: `section ${section.code}`, reason: `Timetable clash: ${conflicts[0].message}` });
+        }
+        sectionMap.set(section._id.toString(), await Section.create(data));
+      } catch (error) {
+        skipped.push({ type: 'section', id: section._id, label: section.code, reason: error.message });
+      }
+    }
+
+    return sectionMap;
+  }
+
+  /**
+   * Recreate the assignments of a course as hidden drafts with shifted due dates
+   * @returns {Promise<Array>} Copied assignments
+   */
+  async copyAssignments(source, course, shiftMs, sectionMap, user, skipped) {
+    const assignments = await Assignment.find({ course: source._id, status: { $ne: 'archived' } }).sort({ dueDate: 1 });
+    const copied = [];
+
+    for (const assignment of assignments) {
+      const skip = reason => skipped.push({ type: 'assignment', id: assignment._id, label: assignment.title, reason });
+
+      if (shiftMs === null) {
+        skip('Due date cannot be shifted without a startDate for both terms');
+        continue;
+      }
+
+      const section = assignment.section ? sectionMap.get(assignment.section.toString()) : null;
+      if (assignment.section && !section) {
+        skip('Its section was not copied');
+        continue;
+      }
+
+      const dueDate = new Date(assignment.dueDate.getTime() + shiftMs);
+      if (dueDate <= new Date()) {
+        skip(`Shifted due date ${dueDate.toISOString().slice(0, 10)} is in the past`);
+        continue;
+      }
+
+      try {
+        const created = await Assignment.create({
+          ...pick(assignment.toObject(), COPIED_ASSIGNMENT_FIELDS),
+          course: course._id,
+          section: section ? section._id : null,
+          dueDate,
+          extendedDueDate: assignment.extendedDueDate ? new Date(assignment.extendedDueDate.getTime() + shiftMs) : undefined,
+          status: 'draft',
+          isVisible: false,
+          createdBy: user._id,
+          lastModifiedBy: user._id
+        });
+        copied.push({
+          _id: created._id,
+          title: created.title,
+          dueDate: created.dueDate,
+          shiftedByDays: Math.round(shiftMs / DAY_MS)
+        });
+      } catch (error) {
+        skip(error.message);
+      }
+    }
+
+    return copied;
+  }
+
+  /**
+   * Recreate the modules of a course and their materials as drafts, with
+   * release dates shifted like due dates. Materials start again from their
+   * current file. Without a shift, release dates are left for staff to set.
+   * @returns {Promise<Object>} { modules, materials } copied
+   */
+  async copyContent(source, course, shiftMs, user, skipped) {
+    const shift = date => (date && shiftMs !== null ? new Date(date.getTime() + shiftMs) : undefined);
+    const moduleMap = new Map();
+    const modules = [];
+    const materials = [];
+
+    const sourceModules = await CourseModule.find({ course: source._id }).sort({ position: 1 });
+    for (const courseModule of sourceModules) {
+      try {
+        const created = await CourseModule.create({
+          ...pick(courseModule.toObject(), COPIED_MODULE_FIELDS),
+          course: course._id,
+          status: 'draft',
+          releaseAt: shift(courseModule.releaseAt),
+          createdBy: user._id
+        });
+        moduleMap.set(courseModule._id.toString(), created);
+        modules.push({ _id: created._id, title: created.title, releaseAt: created.releaseAt || null });
+      } catch (error) {
+        skipped.push({ type: 'module', id: courseModule._id, label: courseModule.title, reason: error.message });
+      }
+    }
+
+    const sourceMaterials = await CourseMaterial.find({ course: source._id }).sort({ position: 1 });
+    for (const material of sourceMaterials) {
+      const courseModule = moduleMap.get(material.module.toString());
+      if (!courseModule) {
+        skipped.push({ type: 'material', id: material._id, label: material.title, reason: 'Its module was not copied' });
+        continue;
+      }
+
+      const { fileUrl, fileName, fileType, fileSize, uploadedBy } = material.current;
+      try {
+        const created = await CourseMaterial.create({
+          ...pick(material.toObject(), COPIED_MATERIAL_FIELDS),
+          course: course._id,
+          module: courseModule._id,
+          status: 'draft',
+          releaseAt: shift(material.releaseAt),
+          versions: [{ version: 1, fileUrl, fileName, fileType, fileSize, uploadedBy }],
+          createdBy: user._id
+        });
+        materials.push({ _id: created._id, title: created.title, module: courseModule._id, releaseAt: created.releaseAt || null });
+      } catch (error) {
+        skipped.push({ type: 'material', id: material._id, label: material.title, reason: error.message });
+      }
+    }
+
+    return { modules, materials };
+  }
+
+  describe(course) {
+    return { _id: course._id, code: course.code, year: course.year, semester: course.semester };
+  }
+}
+
+module.exports = new RolloverService();
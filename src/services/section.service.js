@@ -0,0 +1,396 @@
+const Section = require('../models/section.model');
+const Course = require('../models/course.model');
+const User = require('../models/user.model');
+const Enrollment = require('../models/enrollment.model');
+const Assignment = require('../models/assignment.model');
+const CourseGrade = require('../models/courseGrade.model');
+const courseStaffService = require('./courseStaff.service');
+const clashService = require('./clash.service');
+const createError = require('../utils/createError');
+const logger = require('../utils/logger');
+
+const SECTION_POPULATE = { path: 'faculty', select: 'firstName lastName email facultyId' };
+
+// Fields that change when and where a section is taught, or by whom
+const TIMETABLE_FIELDS = ['schedule', 'location', 'faculty', 'status'];
+
+// Letter grades counted in grade point averages
+const GPA_EXCLUDED_GRADES = ['I', 'W', 'P', 'NP'];
+
+/**
+ * Section Service Class
+ *
+ * Manages the sections a course is taught in and the seat counts behind
+ * section enrollment. The course's own faculty coordinates the course and
+ * teaches every section; a section's faculty teaches only that section.
+ */
+class SectionService {
+  /**
+   * Load a course or fail with 404
+   * @param {string} courseId - Course ID
+   * @returns {Promise<Object>} Course document
+   */
+  async findCourse(courseId) {
+    const course = await Course.findById(courseId);
+    if (!course) {
+      throw createError(404, 'Course not found');
+    }
+    return course;
+  }
+
+  /**
+   * Make sure a user can teach a section
+   * @param {string} facultyId - User ID
+   */
+  async assertFaculty(facultyId) {
+    const faculty = await User.findById(facultyId).select('role');
+    if (!faculty || faculty.role !== 'faculty') {
+      throw createError(400, 'Section faculty must be a faculty member');
+    }
+  }
+
+  /**
+   * Create a section of a course
+   * @param {string} courseId - Course ID
+   * @param {Object} sectionData - { code, faculty, maxStudents, schedule, location }
+   * @param {string} userId - User creating the section
+   * @param {Object|null} override - { user, reason } to proceed despite faculty or room clashes
+   * @returns {Promise<Object>} Created section
+   */
+  async createSection(courseId, sectionData, userId, override = null) {
+    try {
+      const course = await this.findCourse(courseId);
+      await this.assertFaculty(sectionData.faculty);
+
+      const conflicts = await clashService.findTeachingClashes(course, sectionData);
+      const overridden = await clashService.assertNoClashes(conflicts, override, course.department);
+
+      const section = await Section.create({
+        ...sectionData,
+        course: course._id,
+        currentEnrollment: 0,
+        createdBy: userId
+      });
+
+      if (overridden) {
+        await clashService.recordOverride('Section', section._id, conflicts, override.reason);
+      }
+
+      logger.info(`Section ${section.code} created for course ${course.code}`);
+      return section.populate(SECTION_POPULATE);
+    } catch (error) {
+      logger.error('Error creating section:', error);
+      if (error.code === 11000) {
+        throw createError(409, 'A section with this code already exists for this course');
+      }
+      throw error;
+    }
+  }
+
+  /**
+   * List the sections of a course
+   * @param {string} courseId - Course ID
+   * @param {Object} filters - { status }
+   * @returns {Promise<Array>} Sections
+   */
+  async getSections(courseId, filters = {}) {
+    try {
+      await this.findCourse(courseId);
+
+      const query = { course: courseId };
+      if (filters.status) query.status = filters.status;
+
+      return await Section.find(query)
+        .populate(SECTION_POPULATE)
+        .sort({ code: 1 });
+    } catch (error) {
+      logger.error('Error getting sections:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Get one section of a course
+   * @param {string} courseId - Course ID
+   * @param {string} sectionId - Section ID
+   * @returns {Promise<Object>} Section document
+   */
+  async getSection(courseId, sectionId) {
+    const section = await Section.findOne({ _id: sectionId, course: courseId });
+    if (!section) {
+      throw createError(404, 'Section not found in this course');
+    }
+    return section;
+  }
+
+  /**
+   * Update a section
+   * @param {string} courseId - Course ID
+   * @param {string} sectionId - Section ID
+   * @param {Object} updateData - Fields to change
+   * @param {Object|null} override - { user, reason } to proceed despite faculty or room clashes
+   * @returns {Promise<Object>} Updated section
+   */
+  async updateSection(courseId, sectionId, updateData, override = null) {
+    try {
+      const section = await this.getSection(courseId, sectionId);
+      const { course, currentEnrollment, createdBy, ...changes } = updateData;
+
+      if (changes.faculty && changes.faculty.toString() !== section.faculty.toString()) {
+        await this.assertFaculty(changes.faculty);
+      }
+
+      if (changes.maxStudents !== undefined && changes.maxStudents < section.currentEnrollment) {
+        throw createError(400, `Capacity cannot be below the ${section.currentEnrollment} students already enrolled`);
+      }
+
+      Object.assign(section, changes);
+
+      let conflicts = [];
+      let overridden = false;
+      if (TIMETABLE_FIELDS.some(field => changes[field] !== undefined)) {
+        const course = await this.findCourse(courseId);
+        conflicts = await clashService.findTeachingClashes(course, section);
+        overridden = await clashService.assertNoClashes(conflicts, override, course.department);
+      }
+
+      await section.save();
+
+      if (overridden) {
+        await clashService.recordOverride('Section', section._id, conflicts, override.reason);
+      }
+
+      logger.info(`Section ${section.code} of course ${courseId} updated`);
+      return section.populate(SECTION_POPULATE);
+    } catch (error) {
+      logger.error('Error updating section:', error);
+      if (error.code === 11000) {
+        throw createError(409, 'A section with this code already exists for this course');
+      }
+      throw error;
+    }
+  }
+
+  /**
+   * Delete a section that nothing refers to yet. Sections with students,
+   * assignments or grades are cancelled instead so their history is kept.
+   * @param {string} courseId - Course ID
+   * @param {string} sectionId - Section ID
+   */
+  async deleteSection(courseId, sectionId) {
+    try {
+      const section = await this.getSection(courseId, sectionId);
+
+      const [enrolled, assignments, grades] = await Promise.all([
+        Enrollment.exists({ 'sections.section': section._id }),
+        Assignment.exists({ section: section._id }),
+        CourseGrade.exists({ section: section._id })
+      ]);
+      if (enrolled || assignments || grades) {
+        throw createError(409, 'This section has students, assignments or grades; cancel it instead');
+      }
+
+      await section.deleteOne();
+      logger.info(`Section ${section.code} of course ${courseId} deleted`);
+    } catch (error) {
+      logger.error('Error deleting section:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Check whether a course is taught in sections
+   * @param {string} courseId - Course ID
+   * @returns {Promise<boolean>} True if the course has active sections
+   */
+  async hasSections(courseId) {
+    return Boolean(await Section.exists({ course: courseId, status: 'active' }));
+  }
+
+  /**
+   * Take a seat in a section. The count is checked and incremented in one
+   * update so concurrent enrollments cannot overfill the section.
+   * @param {string} courseId - Course ID
+   * @param {string} sectionId - Section ID
+   * @returns {Promise<Object>} Section after the seat was taken
+   */
+  async reserveSeat(courseId, sectionId) {
+    const section = await this.getSection(courseId, sectionId);
+    if (section.status !== 'active') {
+      throw createError(400, `Section ${section.code} is not open for enrollment`);
+    }
+
+    const updated = await Section.findOneAndUpdate(
+      { _id: section._id, status: 'active', $expr: { $lt: ['$currentEnrollment', '$maxStudents'] } },
+      { $inc: { currentEnrollment: 1 } },
+      { new: true }
+    );
+    if (!updated) {
+      throw createError(409, `Section ${section.code} is full`);
+    }
+    return updated;
+  }
+
+  /**
+   * Give back a seat in a section
+   * @param {string} sectionId - Section ID
+   */
+  async releaseSeat(sectionId) {
+    await Section.updateOne(
+      { _id: sectionId, currentEnrollment: { $gt: 0 } },
+      { $inc: { currentEnrollment: -1 } }
+    );
+  }
+
+  /**
+   * Which sections of a course a user teaches
+   * @param {Object} course - Course document
+   * @param {string} userId - User ID
+   * @returns {Promise<Object|null>} { allSections, sectionIds }, or null if the user does not teach the course
+   */
+  async getTeachingScope(course, userId) {
+    if (course.faculty && course.faculty.toString() === userId.toString()) {
+      return { allSections: true, sectionIds: [] };
+    }
+
+    const sections = await Section.find({ course: course._id, faculty: userId }).select('_id').lean();
+    if (sections.length === 0) {
+      return null;
+    }
+    return { allSections: false, sectionIds: sections.map(section => section._id) };
+  }
+
+  /**
+   * Check whether a teaching scope covers a section
+   * @param {Object|null} scope - Result of getTeachingScope
+   * @param {string|null} sectionId - Section ID
+   * @returns {boolean} True if the section is taught under the scope
+   */
+  teachesSection(scope, sectionId) {
+    if (!scope) return false;
+    if (scope.allSections) return true;
+    return Boolean(sectionId) && scope.sectionIds.some(id => id.toString() === sectionId.toString());
+  }
+
+  /**
+   * Section a student takes in a course, from their latest enrollment listing it
+   * @param {string} studentId - Student user ID
+   * @param {string} courseId - Course ID
+   * @returns {Promise<Object|null>} Section ID, or null
+   */
+  async getStudentSection(studentId, courseId) {
+    const enrollment = await Enrollment.findOne({ student: studentId, 'sections.course': courseId })
+      .select('sections')
+      .sort({ enrolledAt: -1 });
+    return enrollment ? enrollment.getSection(courseId) : null;
+  }
+
+  /**
+   * Course-level roll-up across sections: seats, assignments and grades per
+   * section and for the whole course. Open to the course's teaching staff
+   * and to holders of courses.manage for its department.
+   * @param {string} courseId - Course ID
+   * @param {Object} user - Requesting user
+   * @param {Object} filters - { semester, academicYear } for grades
+   * @returns {Promise<Object>} { course, sections, totals }
+   */
+  async getCourseRollup(courseId, user, filters = {}) {
+    try {
+      const course = await this.findCourse(courseId);
+
+      const scope = await this.getTeachingScope(course, user._id);
+      if (!scope) {
+        // Course staff whose role includes roster.view, and course managers
+        const allowed = await courseStaffService.hasCapability(course._id, user, 'roster.view');
+        if (!allowed) {
+          throw createError(403, 'Only the course\'s teaching staff or course managers can view this summary');
+        }
+      }
+
+      const gradeMatch = { course: course._id };
+      if (filters.semester) gradeMatch.semester = parseInt(filters.semester);
+      if (filters.academicYear) gradeMatch.academicYear = filters.academicYear;
+
+      const [sections, assignmentCounts, gradeGroups] = await Promise.all([
+        Section.find({ course: course._id }).populate(SECTION_POPULATE).sort({ code: 1 }).lean(),
+        Assignment.aggregate([
+          { $match: { course: course._id } },
+          { $group: { _id: '$section', count: { $sum: 1 } } }
+        ]),
+        CourseGrade.aggregate([
+          { $match: gradeMatch },
+          {
+            $group: {
+              _id: { section: '$section', finalGrade: '$finalGrade' },
+              count: { $sum: 1 },
+              gradePoints: { $sum: '$gradePoints' }
+            }
+          }
+        ])
+      ]);
+
+      const key = id => (id ? id.toString() : null);
+      const summarizeGrades = groups => {
+        const distribution = {};
+        let count = 0;
+        let counted = 0;
+        let points = 0;
+        groups.forEach(group => {
+          distribution[group._id.finalGrade] = (distribution[group._id.finalGrade] || 0) + group.count;
+          count += group.count;
+          if (!GPA_EXCLUDED_GRADES.includes(group._id.finalGrade)) {
+            counted += group.count;
+            points += group.gradePoints;
+          }
+        });
+        return {
+          count,
+          averageGradePoints: counted > 0 ? Math.round((points / counted) * 100) / 100 : null,
+          distribution
+        };
+      };
+
+      // Assignments without a section are set for every section
+      const courseWideAssignments = assignmentCounts
+        .filter(group => group._id === null)
+        .reduce((sum, group) => sum + group.count, 0);
+
+      const sectionSummaries = sections.map(section => ({
+        _id: section._id,
+        code: section.code,
+        status: section.status,
+        faculty: section.faculty,
+        schedule: section.schedule,
+        location: section.location,
+        maxStudents: section.maxStudents,
+        currentEnrollment: section.currentEnrollment,
+        availableSeats: Math.max(0, section.maxStudents - section.currentEnrollment),
+        assignments: courseWideAssignments + assignmentCounts
+          .filter(group => key(group._id) === key(section._id))
+          .reduce((sum, group) => sum + group.count, 0),
+        grades: summarizeGrades(gradeGroups.filter(group => key(group._id.section) === key(section._id)))
+      }));
+
+      const activeSections = sectionSummaries.filter(section => section.status === 'active');
+      const totals = {
+        sections: activeSections.length,
+        maxStudents: activeSections.reduce((sum, section) => sum + section.maxStudents, 0),
+        currentEnrollment: sectionSummaries.reduce((sum, section) => sum + section.currentEnrollment, 0),
+        availableSeats: activeSections.reduce((sum, section) => sum + section.availableSeats, 0),
+        assignments: assignmentCounts.reduce((sum, group) => sum + group.count, 0),
+        grades: summarizeGrades(gradeGroups)
+      };
+
+      return {
+        course: { _id: course._id, code: course.code, name: course.name, faculty: course.faculty },
+        sections: sectionSummaries,
+        totals
+      };
+    } catch (error) {
+      logger.error('Error building course roll-up:', error);
+      throw error;
+    }
+  }
+}
+
+module.exports = new SectionService();
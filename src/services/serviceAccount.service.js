@@ -0,0 +1,377 @@
+const crypto = require('crypto');
+const ServiceAccount = require('../models/serviceAccount.model');
+const ApiKey = require('../models/apiKey.model');
+const Department = require('../models/department.model');
+const permissionService = require('./permission.service');
+const { getAuthConfig } = require('../config/auth.config');
+const { WILDCARD, permissionMatches } = require('../config/permissions.config');
+const createError = require('../utils/createError');
+const logger = require('../utils/logger');
+
+// Every key starts with this so it can be told apart from a JWT
+const API_KEY_PREFIX = 'sck_';
+
+// Permissions that only make sense for a person and can never be given to a key
+const NON_DELEGABLE_PERMISSIONS = ['users.impersonate', 'service_accounts.manage'];
+
+// Usage is written at most once a minute per key
+const LAST_USED_INTERVAL_MS = 60 * 1000;
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * Service Account Service Class
+ *
+ * Manages service accounts and their API keys. A key is shown once when it
+ * is created; afterwards only its hash is kept. Keys authenticate like a
+ * bearer token and are limited to their scopes, which the admin creating
+ * them must hold themselves.
+ */
+class ServiceAccountService {
+  /**
+   * Hash an API key for storage and lookup
+   * @param {string} key - Plain API key
+   * @returns {string} SHA-256 hex digest
+   */
+  hashKey(key) {
+    return crypto.createHash('sha256').update(String(key)).digest('hex');
+  }
+
+  /**
+   * Check whether a bearer token looks like an API key rather than a JWT
+   * @param {string} token - Bearer token
+   * @returns {boolean} True for API keys
+   */
+  isApiKey(token) {
+    return typeof token === 'string' && token.startsWith(API_KEY_PREFIX);
+  }
+
+  /**
+   * Create a service account
+   * @param {Object} data - { name, description }
+   * @param {Object} admin - Admin creating the account
+   * @returns {Promise<Object>} Created service account
+   */
+  async createServiceAccount(data, admin) {
+    try {
+      const existing = await ServiceAccount.findOne({ name: String(data.name).toLowerCase() });
+      if (existing) {
+        throw createError(409, 'A service account with this name already exists');
+      }
+
+      const account = await ServiceAccount.create({
+        name: data.name,
+        description: data.description,
+        createdBy: admin._id,
+        lastModifiedBy: admin._id
+      });
+
+      logger.info(`Service account ${account.name} created by ${admin.email}`);
+      return account;
+    } catch (error) {
+      logger.error('Error creating service account:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * List service accounts with the number of active keys of each
+   * @returns {Promise<Array>} Service accounts
+   */
+  async listServiceAccounts() {
+    try {
+      const now = new Date();
+      const [accounts, counts] = await Promise.all([
+        ServiceAccount.find().sort({ name: 1 }).lean(),
+        ApiKey.aggregate([
+          { $match: { revokedAt: null, $or: [{ expiresAt: null }, { expiresAt: { $gt: now } }] } },
+          { $group: { _id: '$serviceAccount', count: { $sum: 1 } } }
+        ])
+      ]);
+
+      const countByAccount = new Map(counts.map(item => [item._id.toString(), item.count]));
+      return accounts.map(account => ({ ...account, activeKeyCount: countByAccount.get(account._id.toString()) || 0 }));
+    } catch (error) {
+      logger.error('Error listing service accounts:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Get a service account with all of its keys
+   * @param {string} accountId - Service account ID
+   * @returns {Promise<Object>} Service account with `keys`
+   */
+  async getServiceAccount(accountId) {
+    try {
+      const account = await ServiceAccount.findById(accountId).lean();
+      if (!account) {
+        throw createError(404, 'Service account not found');
+      }
+
+      const keys = await ApiKey.find({ serviceAccount: account._id })
+        .sort({ createdAt: -1 })
+        .populate('department', 'name code');
+
+      return { ...account, keys: keys.map(key => key.toJSON()) };
+    } catch (error) {
+      logger.error('Error getting service account:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Update a service account. Deactivating it revokes every key.
+   * @param {string} accountId - Service account ID
+   * @param {Object} data - { description, isActive }
+   * @param {Object} admin - Admin making the change
+   * @returns {Promise<Object>} Updated service account
+   */
+  async updateServiceAccount(accountId, data, admin) {
+    try {
+      const account = await ServiceAccount.findById(accountId);
+      if (!account) {
+        throw createError(404, 'Service account not found');
+      }
+
+      if (data.description !== undefined) account.description = data.description;
+      if (data.isActive !== undefined) account.isActive = data.isActive;
+      account.lastModifiedBy = admin._id;
+      await account.save();
+
+      if (!account.isActive) {
+        const keys = await ApiKey.find({ serviceAccount: account._id, revokedAt: null });
+        for (const key of keys) {
+          await key.revoke('account_deactivated');
+        }
+        logger.info(`Service account ${account.name} deactivated by ${admin.email}; ${keys.length} key(s) revoked`);
+      }
+
+      return account;
+    } catch (error) {
+      logger.error('Error updating service account:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Check that the requested scopes can be given to a key by this admin
+   * @param {Array} scopes - Requested scopes
+   * @param {string|null} department - Department the key is limited to
+   * @param {Object} admin - Admin creating the key
+   */
+  async assertScopesGrantable(scopes, department, admin) {
+    for (const scope of scopes) {
+      if (scope === WILDCARD || NON_DELEGABLE_PERMISSIONS.some(permission => permissionMatches(scope, permission))) {
+        throw createError(400, `Scope ${scope} cannot be given to an API key`);
+      }
+    }
+
+    const grants = await permissionService.getGrants(admin);
+    const missing = scopes.filter(scope => !permissionService.grantsAllow(grants, scope, department));
+    if (missing.length > 0) {
+      throw createError(403, `You cannot grant scopes you do not hold: ${missing.join(', ')}`);
+    }
+  }
+
+  /**
+   * Work out when a new key expires
+   * @param {number} [expiresInDays] - Requested lifetime
+   * @returns {Date|null} Expiry, or null for keys that do not expire
+   */
+  resolveExpiry(expiresInDays) {
+    const { defaultLifetimeDays, maxLifetimeDays } = getAuthConfig().apiKeys;
+    const days = expiresInDays !== undefined && expiresInDays !== null ? expiresInDays : defaultLifetimeDays;
+
+    if (maxLifetimeDays > 0 && (!days || days > maxLifetimeDays)) {
+      throw createError(400, `API keys may be valid for at most ${maxLifetimeDays} days`);
+    }
+
+    return days ? new Date(Date.now() + days * DAY_MS) : null;
+  }
+
+  /**
+   * Generate a new key and its stored fields
+   * @returns {Object} { key, prefix, keyHash }
+   */
+  generateKey() {
+    const prefix = `${API_KEY_PREFIX}${crypto.randomBytes(4).toString('hex')}`;
+    const key = `${prefix}_${crypto.randomBytes(32).toString('base64url')}`;
+    return { key, prefix, keyHash: this.hashKey(key) };
+  }
+
+  /**
+   * Create an API key for a service account
+   * @param {string} accountId - Service account ID
+   * @param {Object} data - { name, scopes, department, expiresInDays }
+   * @param {Object} admin - Admin creating the key
+   * @returns {Promise<Object>} The plain key (shown once) and the stored key
+   */
+  async createApiKey(accountId, data, admin) {
+    try {
+      const account = await ServiceAccount.findById(accountId);
+      if (!account) {
+        throw createError(404, 'Service account not found');
+      }
+      if (!account.isActive) {
+        throw createError(400, 'Cannot create keys for an inactive service account');
+      }
+
+      const scopes = [...new Set(data.scopes)];
+      const department = data.department || null;
+      if (department && !(await Department.exists({ _id: department }))) {
+        throw createError(404, 'Department not found');
+      }
+      await this.assertScopesGrantable(scopes, department, admin);
+
+      const { key, prefix, keyHash } = this.generateKey();
+      const apiKey = await ApiKey.create({
+        serviceAccount: account._id,
+        name: data.name,
+        prefix,
+        keyHash,
+        scopes,
+        department,
+        expiresAt: this.resolveExpiry(data.expiresInDays),
+        createdBy: admin._id
+      });
+
+      logger.info(`API key ${prefix} created for service account ${account.name} by ${admin.email}`);
+      return { key, apiKey: this.toSafeObject(apiKey) };
+    } catch (error) {
+      logger.error('Error creating API key:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Replace a key with a new one with the same scopes. The old key keeps
+   * working for the rotation grace period so callers can switch over.
+   * @param {string} accountId - Service account ID
+   * @param {string} keyId - API key ID
+   * @param {Object} options - { expiresInDays, gracePeriodHours }
+   * @param {Object} admin - Admin rotating the key
+   * @returns {Promise<Object>} The new plain key, the new key and the old key
+   */
+  async rotateApiKey(accountId, keyId, options, admin) {
+    try {
+      const oldKey = await ApiKey.findOne({ _id: keyId, serviceAccount: accountId });
+      if (!oldKey) {
+        throw createError(404, 'API key not found');
+      }
+      if (!oldKey.isActive || oldKey.replacedBy) {
+        throw createError(400, 'Only active keys that have not been rotated can be rotated');
+      }
+
+      await this.assertScopesGrantable(oldKey.scopes, oldKey.department, admin);
+
+      const { key, prefix, keyHash } = this.generateKey();
+      const newKey = await ApiKey.create({
+        serviceAccount: oldKey.serviceAccount,
+        name: oldKey.name,
+        prefix,
+        keyHash,
+        scopes: oldKey.scopes,
+        department: oldKey.department,
+        expiresAt: this.resolveExpiry(options.expiresInDays),
+        createdBy: admin._id
+      });
+
+      const graceHours = options.gracePeriodHours !== undefined
+        ? options.gracePeriodHours
+        : getAuthConfig().apiKeys.rotationGraceHours;
+      const graceEnd = new Date(Date.now() + graceHours * 60 * 60 * 1000);
+
+      oldKey.replacedBy = newKey._id;
+      if (graceHours <= 0) {
+        oldKey.revokedAt = new Date();
+        oldKey.revokedReason = 'revoked';
+      } else if (!oldKey.expiresAt || oldKey.expiresAt > graceEnd) {
+        oldKey.expiresAt = graceEnd;
+      }
+      await oldKey.save();
+
+      logger.info(`API key ${oldKey.prefix} rotated to ${prefix} by ${admin.email}`);
+      return { key, apiKey: this.toSafeObject(newKey), previousKey: this.toSafeObject(oldKey) };
+    } catch (error) {
+      logger.error('Error rotating API key:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Revoke a key immediately
+   * @param {string} accountId - Service account ID
+   * @param {string} keyId - API key ID
+   * @param {Object} admin - Admin revoking the key
+   * @returns {Promise<Object>} Revoked key
+   */
+  async revokeApiKey(accountId, keyId, admin) {
+    try {
+      const apiKey = await ApiKey.findOne({ _id: keyId, serviceAccount: accountId });
+      if (!apiKey) {
+        throw createError(404, 'API key not found');
+      }
+
+      await apiKey.revoke('revoked');
+
+      logger.info(`API key ${apiKey.prefix} revoked by ${admin.email}`);
+      return this.toSafeObject(apiKey);
+    } catch (error) {
+      logger.error('Error revoking API key:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Resolve an API key to the principal it acts as
+   * @param {string} key - Plain API key
+   * @param {Object} context - Request context ({ ipAddress })
+   * @returns {Promise<Object|null>} { principal, grants }, or null if the key is not usable
+   */
+  async authenticateApiKey(key, context = {}) {
+    const apiKey = await ApiKey.findOne({ keyHash: this.hashKey(key) }).populate('serviceAccount', 'name isActive');
+    if (!apiKey || !apiKey.isActive || !apiKey.serviceAccount || !apiKey.serviceAccount.isActive) {
+      return null;
+    }
+
+    // Record usage without a write on every request
+    const now = new Date();
+    if (!apiKey.lastUsedAt || now - apiKey.lastUsedAt > LAST_USED_INTERVAL_MS) {
+      await ApiKey.updateOne({ _id: apiKey._id }, { lastUsedAt: now, lastUsedIp: context.ipAddress });
+    }
+
+    const account = apiKey.serviceAccount;
+    const department = apiKey.department ? apiKey.department.toString() : null;
+    const grants = apiKey.scopes.map(permission => ({ permission, department, role: 'api_key' }));
+
+    return {
+      principal: {
+        _id: account._id,
+        id: account._id,
+        email: `service:${account.name}`,
+        firstName: account.name,
+        lastName: '',
+        role: 'service',
+        isActive: true,
+        isServiceAccount: true,
+        apiKey: apiKey._id,
+        grants
+      },
+      grants
+    };
+  }
+
+  /**
+   * Convert a key document to a plain object without its hash
+   * @param {Object} apiKey - API key document
+   * @returns {Object} API key object
+   */
+  toSafeObject(apiKey) {
+    const keyResponse = apiKey.toJSON();
+    delete keyResponse.keyHash;
+    return keyResponse;
+  }
+}
+
+module.exports = new ServiceAccountService();
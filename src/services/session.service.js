@@ -0,0 +1,248 @@
+const crypto = require('crypto');
+const Session = require('../models/session.model');
+const User = require('../models/user.model');
+const { generateToken, generateRefreshToken, verifyRefreshToken, decodeToken } = require('../utils/jwt');
+const createError = require('../utils/createError');
+const logger = require('../utils/logger');
+
+/**
+ * Session Service Class
+ */
+class SessionService {
+  /**
+   * Sign an access/refresh token pair for a session
+   * @param {Object} user - User document
+   * @param {Object} session - Session document
+   * @returns {Object} Tokens and refresh token expiry
+   */
+  issueTokens(user, session) {
+    const tokenPayload = {
+      userId: user._id,
+      email: user.email,
+      role: user.role,
+      sessionId: session._id
+    };
+
+    const accessToken = generateToken(tokenPayload);
+    const refreshToken = generateRefreshToken({
+      ...tokenPayload,
+      tokenId: session.tokenId
+    });
+
+    const { exp } = decodeToken(refreshToken);
+
+    return {
+      accessToken,
+      refreshToken,
+      refreshTokenExpiresAt: new Date(exp * 1000)
+    };
+  }
+
+  /**
+   * Start a new session for a device
+   * @param {Object} user - User document
+   * @param {Object} context - Request context ({ ipAddress, userAgent })
+   * @returns {Promise<Object>} Session and tokens
+   */
+  async createSession(user, context = {}) {
+    try {
+      const session = new Session({
+        user: user._id,
+        tokenId: crypto.randomUUID(),
+        device: {
+          userAgent: context.userAgent,
+          ipAddress: context.ipAddress
+        },
+        lastUsedIp: context.ipAddress,
+        // Placeholder until the refresh token is signed below
+        expiresAt: new Date()
+      });
+
+      const tokens = this.issueTokens(user, session);
+      session.expiresAt = tokens.refreshTokenExpiresAt;
+      await session.save();
+
+      logger.info(`Session ${session._id} started for user: ${user.email}`);
+      return {
+        session,
+        accessToken: tokens.accessToken,
+        refreshToken: tokens.refreshToken
+      };
+    } catch (error) {
+      logger.error('Error creating session:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Exchange a refresh token for a new pair, rotating the session's token.
+   * Presenting a token that was already rotated revokes the whole session.
+   * @param {string} refreshToken - Refresh token
+   * @param {Object} context - Request context ({ ipAddress, userAgent })
+   * @returns {Promise<Object>} New tokens
+   */
+  async rotateRefreshToken(refreshToken, context = {}) {
+    try {
+      let decoded;
+      try {
+        decoded = verifyRefreshToken(refreshToken);
+      } catch (error) {
+        throw createError(401, 'Invalid refresh token');
+      }
+
+      if (!decoded.sessionId || !decoded.tokenId) {
+        throw createError(401, 'Invalid refresh token');
+      }
+
+      const session = await Session.findById(decoded.sessionId);
+      if (!session || session.user.toString() !== decoded.userId || !session.isActive) {
+        throw createError(401, 'Session has expired or was revoked');
+      }
+
+      if (session.tokenId !== decoded.tokenId) {
+        await session.revoke('reuse_detected');
+        logger.warn(`Refresh token reuse detected for session ${session._id}; session revoked`);
+        throw createError(401, 'Refresh token reuse detected; session revoked');
+      }
+
+      const user = await User.findById(decoded.userId);
+      if (!user || !user.isActive) {
+        await session.revoke('account_deactivated');
+        throw createError(401, 'Invalid refresh token');
+      }
+
+      // Atomically claim the rotation so two concurrent refreshes with the
+      // same token cannot both succeed
+      const nextTokenId = crypto.randomUUID();
+      const claimed = await Session.findOneAndUpdate(
+        { _id: session._id, tokenId: decoded.tokenId, revokedAt: null },
+        {
+          $set: {
+            tokenId: nextTokenId,
+            lastUsedAt: new Date(),
+            lastUsedIp: context.ipAddress
+          },
+          $inc: { rotationCount: 1 }
+        },
+        { new: true }
+      );
+
+      if (!claimed) {
+        await Session.updateOne(
+          { _id: session._id, revokedAt: null },
+          { $set: { revokedAt: new Date(), revokedReason: 'reuse_detected' } }
+        );
+        logger.warn(`Concurrent refresh token reuse detected for session ${session._id}; session revoked`);
+        throw createError(401, 'Refresh token reuse detected; session revoked');
+      }
+
+      const tokens = this.issueTokens(user, claimed);
+      claimed.expiresAt = tokens.refreshTokenExpiresAt;
+      await claimed.save();
+
+      logger.info(`Token refreshed for user: ${user.email} (session ${claimed._id})`);
+      return {
+        accessToken: tokens.accessToken,
+        refreshToken: tokens.refreshToken
+      };
+    } catch (error) {
+      logger.error('Error rotating refresh token:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Check whether a session can still be used
+   * @param {string} sessionId - Session ID
+   * @returns {Promise<boolean>} Active status
+   */
+  async isSessionActive(sessionId) {
+    const session = await Session.exists({
+      _id: sessionId,
+      revokedAt: null,
+      expiresAt: { $gt: new Date() }
+    });
+    return !!session;
+  }
+
+  /**
+   * List the active sessions of a user
+   * @param {string} userId - User ID
+   * @param {string} currentSessionId - Session ID of the caller, flagged in the result
+   * @returns {Promise<Array>} Sessions
+   */
+  async listSessions(userId, currentSessionId = null) {
+    try {
+      // Impersonation sessions belong to the admin who started them
+      const sessions = await Session.findActiveByUser(userId)
+        .where({ impersonatedBy: null })
+        .select('-tokenId')
+        .lean();
+
+      return sessions.map(session => ({
+        id: session._id,
+        device: session.device,
+        createdAt: session.createdAt,
+        lastUsedAt: session.lastUsedAt,
+        lastUsedIp: session.lastUsedIp,
+        expiresAt: session.expiresAt,
+        current: !!currentSessionId && session._id.toString() === currentSessionId.toString()
+      }));
+    } catch (error) {
+      logger.error('Error listing sessions:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Revoke one session of a user
+   * @param {string} userId - Owner user ID
+   * @param {string} sessionId - Session ID
+   * @param {string} reason - Revocation reason
+   * @returns {Promise<boolean>} Success status
+   */
+  async revokeSession(userId, sessionId, reason = 'user_revoked') {
+    try {
+      const session = await Session.findOne({ _id: sessionId, user: userId });
+      if (!session) {
+        throw createError(404, 'Session not found');
+      }
+
+      await session.revoke(reason);
+
+      logger.info(`Session ${sessionId} revoked (${reason})`);
+      return true;
+    } catch (error) {
+      logger.error('Error revoking session:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Revoke every active session of a user, optionally keeping one
+   * @param {string} userId - User ID
+   * @param {string} reason - Revocation reason
+   * @param {string} exceptSessionId - Session ID to keep
+   * @returns {Promise<number>} Number of revoked sessions
+   */
+  async revokeAllSessions(userId, reason = 'user_revoked', exceptSessionId = null) {
+    try {
+      const query = { user: userId, revokedAt: null };
+      if (exceptSessionId) {
+        query._id = { $ne: exceptSessionId };
+      }
+
+      const result = await Session.updateMany(query, {
+        $set: { revokedAt: new Date(), revokedReason: reason }
+      });
+
+      logger.info(`Revoked ${result.modifiedCount} session(s) for user ${userId} (${reason})`);
+      return result.modifiedCount;
+    } catch (error) {
+      logger.error('Error revoking sessions:', error);
+      throw error;
+    }
+  }
+}
+
+module.exports = new SessionService();
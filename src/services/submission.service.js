@@ -1,11 +1,29 @@
 const Submission = require('../models/submission.model');
 const Assignment = require('../models/assignment.model');
 const User = require('../models/user.model');
+const courseStaffService = require('./courseStaff.service');
 const { uploadImage, deleteImage } = require('../config/cloudinary.config');
 const createError = require('../utils/createError');
 const logger = require('../utils/logger');
 
 class SubmissionService {
+  /**
+   * Check that a user works on the submissions of an assignment: its
+   * faculty, or course staff whose role includes the capability
+   * @param {Object|string} assignmentRef - Assignment or its ID
+   * @param {Object} user - Requesting user
+   * @param {string} capability - submissions.view, submissions.grade or assignments.manage
+   */
+  async assertAssignmentStaff(assignmentRef, user, capability) {
+    const assignment = await Assignment.findById(assignmentRef._id || assignmentRef).select('faculty course');
+    if (!assignment) {
+      throw createError(404, 'Assignment not found');
+    }
+    if (assignment.faculty.toString() === user._id.toString()) return;
+
+    await courseStaffService.assertCapability(assignment.course, user, capability, 'Access denied');
+  }
+
   /**
    * Create a new submission
    */
@@ -169,10 +187,7 @@ class SubmissionService {
       }
       
       if (user.role === 'faculty') {
-        const assignment = await Assignment.findById(submission.assignment._id);
-        if (assignment.faculty.toString() !== user._id.toString()) {
-          throw createError(403, 'Access denied');
-        }
+        await this.assertAssignmentStaff(submission.assignment, user, 'submissions.view');
       }
       
       return submission;
@@ -185,7 +200,7 @@ class SubmissionService {
   /**
    * Update submission
    */
-  async updateSubmission(submissionId, updateData, userId) {
+  async updateSubmission(submissionId, updateData, user) {
     try {
       const submission = await Submission.findById(submissionId);
       if (!submission) {
@@ -198,10 +213,7 @@ class SubmissionService {
       }
       
       if (user.role === 'faculty') {
-        const assignment = await Assignment.findById(submission.assignment);
-        if (assignment.faculty.toString() !== user._id.toString()) {
-          throw createError(403, 'Access denied');
-        }
+        await this.assertAssignmentStaff(submission.assignment, user, 'submissions.grade');
       }
       
       // Update fields
@@ -211,10 +223,10 @@ class SubmissionService {
         }
       });
       
-      submission.lastModifiedBy = userId;
+      submission.lastModifiedBy = user._id;
       await submission.save();
       
-      logger.info(`Submission updated: ${submissionId} by user: ${userId}`);
+      logger.info(`Submission updated: ${submissionId} by user: ${user._id}`);
       
       return submission;
     } catch (error) {
@@ -226,7 +238,7 @@ class SubmissionService {
   /**
    * Delete submission
    */
-  async deleteSubmission(submissionId, userId) {
+  async deleteSubmission(submissionId, user) {
     try {
       const submission = await Submission.findById(submissionId);
       if (!submission) {
@@ -239,10 +251,7 @@ class SubmissionService {
       }
       
       if (user.role === 'faculty') {
-        const assignment = await Assignment.findById(submission.assignment);
-        if (assignment.faculty.toString() !== user._id.toString()) {
-          throw createError(403, 'Access denied');
-        }
+        await this.assertAssignmentStaff(submission.assignment, user, 'assignments.manage');
       }
       
       // Delete files from Cloudinary
@@ -256,7 +265,7 @@ class SubmissionService {
       
       await Submission.findByIdAndDelete(submissionId);
       
-      logger.info(`Submission deleted: ${submissionId} by user: ${userId}`);
+      logger.info(`Submission deleted: ${submissionId} by user: ${user._id}`);
       
       return { message: 'Submission deleted successfully' };
     } catch (error) {
@@ -268,7 +277,7 @@ class SubmissionService {
   /**
    * Add file to submission
    */
-  async addFileToSubmission(submissionId, fileData, userId) {
+  async addFileToSubmission(submissionId, fileData, user) {
     try {
       const submission = await Submission.findById(submissionId);
       if (!submission) {
@@ -297,7 +306,7 @@ class SubmissionService {
         fileData.fileType
       );
       
-      logger.info(`File added to submission: ${submissionId} by user: ${userId}`);
+      logger.info(`File added to submission: ${submissionId} by user: ${user._id}`);
       
       return submission;
     } catch (error) {
@@ -309,7 +318,7 @@ class SubmissionService {
   /**
    * Remove file from submission
    */
-  async removeFileFromSubmission(submissionId, fileUrl, userId) {
+  async removeFileFromSubmission(submissionId, fileUrl, user) {
     try {
       const submission = await Submission.findById(submissionId);
       if (!submission) {
@@ -331,7 +340,7 @@ class SubmissionService {
       // Remove file from submission
       await submission.removeFile(fileUrl);
       
-      logger.info(`File removed from submission: ${submissionId} by user: ${userId}`);
+      logger.info(`File removed from submission: ${submissionId} by user: ${user._id}`);
       
       return submission;
     } catch (error) {
@@ -343,27 +352,24 @@ class SubmissionService {
   /**
    * Grade submission
    */
-  async gradeSubmission(submissionId, gradingData, userId) {
+  async gradeSubmission(submissionId, gradingData, user) {
     try {
       const submission = await Submission.findById(submissionId);
       if (!submission) {
         throw createError(404, 'Submission not found');
       }
       
-      // Check permissions (only faculty who created the assignment)
+      // Check permissions (the assignment's faculty, or course staff who grade)
       if (user.role === 'student') {
         throw createError(403, 'Students cannot grade submissions');
       }
       
-      const assignment = await Assignment.findById(submission.assignment);
-      if (assignment.faculty.toString() !== user._id.toString()) {
-        throw createError(403, 'Access denied');
-      }
+      await this.assertAssignmentStaff(submission.assignment, user, 'submissions.grade');
       
       // Grade the submission
-      await submission.gradeSubmission(gradingData, userId);
+      await submission.gradeSubmission(gradingData, user._id);
       
-      logger.info(`Submission graded: ${submissionId} by user: ${userId}`);
+      logger.info(`Submission graded: ${submissionId} by user: ${user._id}`);
       
       return submission;
     } catch (error) {
@@ -375,7 +381,7 @@ class SubmissionService {
   /**
    * Return submission for revision
    */
-  async returnSubmissionForRevision(submissionId, feedback, userId) {
+  async returnSubmissionForRevision(submissionId, feedback, user) {
     try {
       const submission = await Submission.findById(submissionId);
       if (!submission) {
@@ -387,15 +393,12 @@ class SubmissionService {
         throw createError(403, 'Students cannot return submissions');
       }
       
-      const assignment = await Assignment.findById(submission.assignment);
-      if (assignment.faculty.toString() !== user._id.toString()) {
-        throw createError(403, 'Access denied');
-      }
+      await this.assertAssignmentStaff(submission.assignment, user, 'submissions.grade');
       
       // Return submission for revision
-      await submission.returnForRevision(feedback, userId);
+      await submission.returnForRevision(feedback, user._id);
       
-      logger.info(`Submission returned for revision: ${submissionId} by user: ${userId}`);
+      logger.info(`Submission returned for revision: ${submissionId} by user: ${user._id}`);
       
       return submission;
     } catch (error) {
@@ -407,7 +410,7 @@ class SubmissionService {
   /**
    * Mark submission as late
    */
-  async markSubmissionAsLate(submissionId, penalty, userId) {
+  async markSubmissionAsLate(submissionId, penalty, user) {
     try {
       const submission = await Submission.findById(submissionId);
       if (!submission) {
@@ -419,15 +422,12 @@ class SubmissionService {
         throw createError(403, 'Students cannot mark submissions as late');
       }
       
-      const assignment = await Assignment.findById(submission.assignment);
-      if (assignment.faculty.toString() !== user._id.toString()) {
-        throw createError(403, 'Access denied');
-      }
+      await this.assertAssignmentStaff(submission.assignment, user, 'submissions.grade');
       
       // Mark as late
-      await submission.markAsLate(penalty, userId);
+      await submission.markAsLate(penalty, user._id);
       
-      logger.info(`Submission marked as late: ${submissionId} by user: ${userId}`);
+      logger.info(`Submission marked as late: ${submissionId} by user: ${user._id}`);
       
       return submission;
     } catch (error) {
@@ -439,7 +439,7 @@ class SubmissionService {
   /**
    * Check plagiarism
    */
-  async checkPlagiarism(submissionId, plagiarismData, userId) {
+  async checkPlagiarism(submissionId, plagiarismData, user) {
     try {
       const submission = await Submission.findById(submissionId);
       if (!submission) {
@@ -451,19 +451,16 @@ class SubmissionService {
         throw createError(403, 'Students cannot check plagiarism');
       }
       
-      const assignment = await Assignment.findById(submission.assignment);
-      if (assignment.faculty.toString() !== user._id.toString()) {
-        throw createError(403, 'Access denied');
-      }
+      await this.assertAssignmentStaff(submission.assignment, user, 'submissions.grade');
       
       // Check plagiarism
       await submission.checkPlagiarism(
         plagiarismData.similarityScore,
         plagiarismData.reportUrl,
-        userId
+        user._id
       );
       
-      logger.info(`Plagiarism check completed: ${submissionId} by user: ${userId}`);
+      logger.info(`Plagiarism check completed: ${submissionId} by user: ${user._id}`);
       
       return submission;
     } catch (error) {
@@ -475,7 +472,7 @@ class SubmissionService {
   /**
    * Verify submission
    */
-  async verifySubmission(submissionId, notes, userId) {
+  async verifySubmission(submissionId, notes, user) {
     try {
       const submission = await Submission.findById(submissionId);
       if (!submission) {
@@ -488,16 +485,13 @@ class SubmissionService {
       }
       
       if (user.role === 'faculty') {
-        const assignment = await Assignment.findById(submission.assignment);
-        if (assignment.faculty.toString() !== user._id.toString()) {
-          throw createError(403, 'Access denied');
-        }
+        await this.assertAssignmentStaff(submission.assignment, user, 'submissions.grade');
       }
       
       // Verify submission
-      await submission.verifySubmission(userId, notes);
+      await submission.verifySubmission(user._id, notes);
       
-      logger.info(`Submission verified: ${submissionId} by user: ${userId}`);
+      logger.info(`Submission verified: ${submissionId} by user: ${user._id}`);
       
       return submission;
     } catch (error) {
@@ -522,8 +516,8 @@ class SubmissionService {
         throw createError(403, 'Students cannot view all submissions for an assignment');
       }
       
-      if (user.role === 'faculty' && assignment.faculty.toString() !== user._id.toString()) {
-        throw createError(403, 'Access denied');
+      if (user.role === 'faculty') {
+        await this.assertAssignmentStaff(assignment, user, 'submissions.view');
       }
       
       const submissions = await Submission.findByAssignment(assignmentId)
@@ -736,7 +730,7 @@ class SubmissionService {
   /**
    * Bulk operations on submissions
    */
-  async bulkOperation(operationData, userId) {
+  async bulkOperation(operationData, user) {
     try {
       const { operation, submissionIds, data } = operationData;
       
@@ -759,34 +753,34 @@ class SubmissionService {
             continue;
           }
           
-          // Check faculty permissions
+          // Check faculty and course staff permissions
           if (user.role === 'faculty') {
-            const assignment = await Assignment.findById(submission.assignment);
-            if (assignment.faculty.toString() !== user._id.toString()) {
-              results.failed.push({ id: submissionId, error: 'Access denied' });
-              continue;
-            }
+            await this.assertAssignmentStaff(
+              submission.assignment,
+              user,
+              operation === 'delete' ? 'assignments.manage' : 'submissions.grade'
+            );
           }
           
           // Perform operation
           switch (operation) {
             case 'grade':
-              await submission.gradeSubmission(data, userId);
+              await submission.gradeSubmission(data, user._id);
               break;
             case 'return':
-              await submission.returnForRevision(data.feedback, userId);
+              await submission.returnForRevision(data.feedback, user._id);
               break;
             case 'markLate':
-              await submission.markAsLate(data.penalty, userId);
+              await submission.markAsLate(data.penalty, user._id);
               break;
             case 'checkPlagiarism':
-              await submission.checkPlagiarism(data.similarityScore, data.reportUrl, userId);
+              await submission.checkPlagiarism(data.similarityScore, data.reportUrl, user._id);
               break;
             case 'verify':
-              await submission.verifySubmission(userId, data.notes);
+              await submission.verifySubmission(user._id, data.notes);
               break;
             case 'delete':
-              await this.deleteSubmission(submissionId, userId);
+              await this.deleteSubmission(submissionId, user);
               break;
             default:
               throw new Error(`Unknown operation: ${operation}`);
@@ -798,7 +792,7 @@ class SubmissionService {
         }
       }
       
-      logger.info(`Bulk operation completed: ${operation} on ${results.success.length} submissions by user: ${userId}`);
+      logger.info(`Bulk operation completed: ${operation} on ${results.success.length} submissions by user: ${user._id}`);
       
       return results;
     } catch (error) {
@@ -0,0 +1,418 @@
+const crypto = require('crypto');
+const User = require('../models/user.model');
+const sessionService = require('./session.service');
+const { getAuthConfig } = require('../config/auth.config');
+const { generateToken, verifyToken } = require('../utils/jwt');
+const totp = require('../utils/totp');
+const createError = require('../utils/createError');
+const logger = require('../utils/logger');
+
+const CHALLENGE_PURPOSES = {
+  LOGIN: 'two_factor_login',
+  SETUP: 'two_factor_setup'
+};
+
+const TWO_FACTOR_FIELDS = [
+  '+twoFactor.secret',
+  '+twoFactor.pendingSecret',
+  '+twoFactor.recoveryCodes',
+  '+twoFactor.lastUsedCounter',
+  '+twoFactor.challengeId',
+  '+twoFactor.challengeFailures'
+].join(' ');
+
+/**
+ * Two-Factor Authentication Service Class
+ */
+class TwoFactorService {
+  /**
+   * Whether users with this role may enroll
+   * @param {string} role - User role
+   * @returns {boolean} Allowed status
+   */
+  isAllowedForRole(role) {
+    const { allowedRoles, requiredRoles } = getAuthConfig().twoFactor;
+    return allowedRoles.includes(role) || requiredRoles.includes(role);
+  }
+
+  /**
+   * Whether users with this role must use two-factor authentication
+   * @param {string} role - User role
+   * @returns {boolean} Required status
+   */
+  isRequiredForRole(role) {
+    return getAuthConfig().twoFactor.requiredRoles.includes(role);
+  }
+
+  /**
+   * Load a user with the hidden two-factor fields
+   * @param {string} userId - User ID
+   * @returns {Promise<Object>} User document
+   */
+  async findUserWithSecrets(userId) {
+    const user = await User.findById(userId).select(TWO_FACTOR_FIELDS);
+    if (!user) {
+      throw createError(404, 'User not found');
+    }
+    return user;
+  }
+
+  /**
+   * Issue a short-lived, single-use token for the second login step
+   * @param {Object} user - User document
+   * @param {string} purpose - One of CHALLENGE_PURPOSES
+   * @param {Object} [options] - Options
+   * @param {string} [options.method] - How the first step was passed ('password' or 'sso')
+   * @returns {Promise<string>} Challenge token
+   */
+  async createChallenge(user, purpose, options = {}) {
+    const { challengeExpiresIn } = getAuthConfig().twoFactor;
+    const challengeId = crypto.randomUUID();
+
+    await User.updateOne(
+      { _id: user._id },
+      { $set: { 'twoFactor.challengeId': challengeId, 'twoFactor.challengeFailures': 0 } }
+    );
+
+    return generateToken(
+      { userId: user._id, purpose, challengeId, method: options.method || 'password' },
+      process.env.JWT_SECRET,
+      challengeExpiresIn
+    );
+  }
+
+  /**
+   * How the first login step of a challenge was passed, for completeLogin
+   * @param {string} token - Challenge token, already checked by resolveChallenge
+   * @returns {string} 'password' or 'sso'
+   */
+  getLoginMethod(token) {
+    try {
+      return verifyToken(token).method || 'password';
+    } catch (error) {
+      return 'password';
+    }
+  }
+
+  /**
+   * Resolve a challenge token to its user
+   * @param {string} token - Challenge token
+   * @param {string} purpose - Expected purpose
+   * @returns {Promise<Object>} User document with two-factor fields
+   */
+  async resolveChallenge(token, purpose) {
+    let decoded;
+    try {
+      decoded = verifyToken(token);
+    } catch (error) {
+      throw createError(401, 'Two-factor token is invalid or has expired');
+    }
+
+    if (decoded.purpose !== purpose) {
+      throw createError(401, 'Two-factor token is invalid or has expired');
+    }
+
+    const user = await this.findUserWithSecrets(decoded.userId);
+    if (!user.isActive || !user.twoFactor.challengeId || user.twoFactor.challengeId !== decoded.challengeId) {
+      throw createError(401, 'Two-factor token is invalid or has expired');
+    }
+
+    return user;
+  }
+
+  /**
+   * Check a TOTP code against the user's secret, rejecting replays
+   * @param {Object} user - User document with two-factor fields
+   * @param {string} code - TOTP code
+   * @param {string} secret - Secret to verify against (defaults to the active secret)
+   * @returns {boolean} Valid status
+   */
+  checkCode(user, code, secret = user.twoFactor.secret) {
+    if (!secret) return false;
+
+    const counter = totp.verifyCode(secret, code);
+    if (counter === null) return false;
+
+    if (user.twoFactor.lastUsedCounter !== undefined && counter <= user.twoFactor.lastUsedCounter) {
+      return false;
+    }
+
+    user.twoFactor.lastUsedCounter = counter;
+    return true;
+  }
+
+  /**
+   * Consume a recovery code if it matches
+   * @param {Object} user - User document with two-factor fields
+   * @param {string} recoveryCode - Recovery code
+   * @returns {boolean} Valid status
+   */
+  useRecoveryCode(user, recoveryCode) {
+    const hash = User.hashToken(String(recoveryCode || '').trim().toLowerCase());
+    const codes = user.twoFactor.recoveryCodes || [];
+    const index = codes.indexOf(hash);
+    if (index === -1) return false;
+
+    codes.splice(index, 1);
+    user.twoFactor.recoveryCodes = codes;
+    return true;
+  }
+
+  /**
+   * Generate a fresh set of recovery codes on the user
+   * @param {Object} user - User document
+   * @returns {Array<string>} Plain recovery codes (shown once)
+   */
+  issueRecoveryCodes(user) {
+    const { recoveryCodeCount } = getAuthConfig().twoFactor;
+    const codes = Array.from({ length: recoveryCodeCount }, () => {
+      const raw = crypto.randomBytes(5).toString('hex');
+      return `${raw.slice(0, 5)}-${raw.slice(5)}`;
+    });
+
+    user.twoFactor.recoveryCodes = codes.map(code => User.hashToken(code));
+    return codes;
+  }
+
+  /**
+   * Start enrollment: generate a pending secret and otpauth URI
+   * @param {string} userId - User ID
+   * @returns {Promise<Object>} Secret and otpauth URI
+   */
+  async beginEnrollment(userId) {
+    try {
+      const user = await this.findUserWithSecrets(userId);
+
+      if (!this.isAllowedForRole(user.role)) {
+        throw createError(403, 'Two-factor authentication is not available for this role');
+      }
+      if (user.twoFactor.enabled) {
+        throw createError(400, 'Two-factor authentication is already enabled');
+      }
+
+      const { issuer } = getAuthConfig().twoFactor;
+      const secret = totp.generateSecret();
+
+      user.twoFactor.pendingSecret = secret;
+      await user.save();
+
+      logger.info(`Two-factor enrollment started for user: ${user.email}`);
+      return {
+        secret,
+        otpauthUri: totp.buildOtpauthUri({ secret, accountName: user.email, issuer })
+      };
+    } catch (error) {
+      logger.error('Error starting two-factor enrollment:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Confirm enrollment with a code from the authenticator app
+   * @param {string} userId - User ID
+   * @param {string} code - TOTP code
+   * @param {Object} context - Request context ({ ipAddress, userAgent })
+   * @returns {Promise<Object>} Recovery codes (shown once)
+   */
+  async confirmEnrollment(userId, code, context = {}) {
+    try {
+      const user = await this.findUserWithSecrets(userId);
+
+      if (user.twoFactor.enabled) {
+        throw createError(400, 'Two-factor authentication is already enabled');
+      }
+      if (!user.twoFactor.pendingSecret) {
+        throw createError(400, 'Two-factor enrollment has not been started');
+      }
+      if (!this.checkCode(user, code, user.twoFactor.pendingSecret)) {
+        throw createError(400, 'Invalid two-factor code');
+      }
+
+      user.twoFactor.secret = user.twoFactor.pendingSecret;
+      user.twoFactor.pendingSecret = undefined;
+      user.twoFactor.enabled = true;
+      user.twoFactor.enabledAt = new Date();
+      user.twoFactor.challengeId = undefined;
+      const recoveryCodes = this.issueRecoveryCodes(user);
+      user.recordAuditEntry('two_factor_enabled', context.ipAddress, context.userAgent);
+      await user.save();
+
+      logger.info(`Two-factor authentication enabled for user: ${user.email}`);
+      return { user, recoveryCodes };
+    } catch (error) {
+      logger.error('Error confirming two-factor enrollment:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Complete the second login step with a TOTP or recovery code
+   * @param {string} token - Login challenge token
+   * @param {Object} credentials - { code } or { recoveryCode }
+   * @param {Object} context - Request context ({ ipAddress, userAgent })
+   * @returns {Promise<Object>} Verified user document
+   */
+  async verifyLoginChallenge(token, { code, recoveryCode } = {}, context = {}) {
+    try {
+      const user = await this.resolveChallenge(token, CHALLENGE_PURPOSES.LOGIN);
+      const { maxChallengeAttempts } = getAuthConfig().twoFactor;
+
+      if (user.twoFactor.challengeFailures >= maxChallengeAttempts) {
+        throw createError(401, 'Too many invalid codes; sign in again');
+      }
+
+      let verified = false;
+      let action = 'two_factor_verified';
+      if (code) {
+        verified = this.checkCode(user, code);
+      } else if (recoveryCode) {
+        verified = this.useRecoveryCode(user, recoveryCode);
+        action = 'two_factor_recovery_code_used';
+      }
+
+      if (!verified) {
+        user.twoFactor.challengeFailures += 1;
+        user.recordAuditEntry('two_factor_failed', context.ipAddress, context.userAgent);
+        await user.save();
+        throw createError(401, 'Invalid two-factor code');
+      }
+
+      // Challenge tokens are single use
+      user.twoFactor.challengeId = undefined;
+      user.twoFactor.challengeFailures = 0;
+      user.recordAuditEntry(
+        action,
+        context.ipAddress,
+        context.userAgent,
+        action === 'two_factor_recovery_code_used' ? `${user.twoFactor.recoveryCodes.length} recovery codes left` : null
+      );
+      await user.save();
+
+      return user;
+    } catch (error) {
+      logger.error('Error verifying two-factor login:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Disable two-factor authentication for the current user
+   * @param {string} userId - User ID
+   * @param {string} password - Current password
+   * @param {string} code - TOTP code
+   * @param {Object} context - Request context ({ ipAddress, userAgent })
+   * @returns {Promise<boolean>} Success status
+   */
+  async disable(userId, password, code, context = {}) {
+    try {
+      const user = await User.findById(userId).select(`+password ${TWO_FACTOR_FIELDS}`);
+      if (!user) {
+        throw createError(404, 'User not found');
+      }
+      if (!user.twoFactor.enabled) {
+        throw createError(400, 'Two-factor authentication is not enabled');
+      }
+      if (this.isRequiredForRole(user.role)) {
+        throw createError(403, 'Two-factor authentication is required for your role');
+      }
+      if (!(await user.comparePassword(password))) {
+        throw createError(400, 'Current password is incorrect');
+      }
+      if (!this.checkCode(user, code)) {
+        throw createError(400, 'Invalid two-factor code');
+      }
+
+      this.clear(user);
+      user.recordAuditEntry('two_factor_disabled', context.ipAddress, context.userAgent);
+      await user.save();
+
+      logger.info(`Two-factor authentication disabled for user: ${user.email}`);
+      return true;
+    } catch (error) {
+      logger.error('Error disabling two-factor authentication:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Replace the recovery codes of the current user
+   * @param {string} userId - User ID
+   * @param {string} code - TOTP code
+   * @param {Object} context - Request context ({ ipAddress, userAgent })
+   * @returns {Promise<Array<string>>} New recovery codes (shown once)
+   */
+  async regenerateRecoveryCodes(userId, code, context = {}) {
+    try {
+      const user = await this.findUserWithSecrets(userId);
+      if (!user.twoFactor.enabled) {
+        throw createError(400, 'Two-factor authentication is not enabled');
+      }
+      if (!this.checkCode(user, code)) {
+        throw createError(400, 'Invalid two-factor code');
+      }
+
+      const recoveryCodes = this.issueRecoveryCodes(user);
+      user.recordAuditEntry('two_factor_recovery_codes_regenerated', context.ipAddress, context.userAgent);
+      await user.save();
+
+      logger.info(`Recovery codes regenerated for user: ${user.email}`);
+      return recoveryCodes;
+    } catch (error) {
+      logger.error('Error regenerating recovery codes:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Admin reset for a user who lost their authenticator and recovery codes.
+   * Signs the user out everywhere; they enroll again at next login.
+   * @param {string} targetUserId - User to reset
+   * @param {string} adminUserId - Admin performing the reset
+   * @param {Object} context - Request context ({ ipAddress, userAgent })
+   * @returns {Promise<boolean>} Success status
+   */
+  async adminReset(targetUserId, adminUserId, context = {}) {
+    try {
+      const adminUser = await User.findById(adminUserId);
+      if (!adminUser || adminUser.role !== 'admin') {
+        throw createError(403, 'Only admin users can reset two-factor authentication');
+      }
+
+      const user = await this.findUserWithSecrets(targetUserId);
+      if (!user.twoFactor.enabled && !user.twoFactor.pendingSecret) {
+        throw createError(400, 'Two-factor authentication is not enabled for this user');
+      }
+
+      this.clear(user);
+      user.recordAuditEntry('two_factor_reset', context.ipAddress, context.userAgent, `Reset by admin ${adminUser.email}`);
+      await user.save();
+      await sessionService.revokeAllSessions(user._id, 'user_revoked');
+
+      logger.info(`Two-factor authentication reset by admin ${adminUser.email} for user ${user.email}`);
+      return true;
+    } catch (error) {
+      logger.error('Error resetting two-factor authentication:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Remove all two-factor state from a user document
+   * @param {Object} user - User document
+   */
+  clear(user) {
+    user.twoFactor.enabled = false;
+    user.twoFactor.enabledAt = null;
+    user.twoFactor.secret = undefined;
+    user.twoFactor.pendingSecret = undefined;
+    user.twoFactor.recoveryCodes = [];
+    user.twoFactor.lastUsedCounter = undefined;
+    user.twoFactor.challengeId = undefined;
+    user.twoFactor.challengeFailures = 0;
+  }
+}
+
+const twoFactorService = new TwoFactorService();
+twoFactorService.CHALLENGE_PURPOSES = CHALLENGE_PURPOSES;
+
+module.exports = twoFactorService;
@@ -1,7 +1,21 @@
 const User = require('../models/user.model');
-const { generateToken, generateRefreshToken } = require('../utils/jwt');
+const mailService = require('./mail.service');
+const sessionService = require('./session.service');
+const twoFactorService = require('./twoFactor.service');
+const loginProtectionService = require('./loginProtection.service');
+const permissionService = require('./permission.service');
+const passwordPolicyService = require('./passwordPolicy.service');
+const createError = require('../utils/createError');
 const logger = require('../utils/logger');
 
+// Fields a user can change on their own profile; passwords, avatars, two-factor
+// and sign-in state change only through their own flows
+const PROFILE_FIELDS = ['firstName', 'lastName', 'email', 'phone', 'department'];
+
+// Admins can also correct the role and institutional IDs of an account;
+// isActive goes through setActive, with the activate/deactivate checks
+const ADMIN_FIELDS = [...PROFILE_FIELDS, 'role', 'studentId', 'facultyId'];
+
 /**
  * User Service Class
  */
@@ -19,6 +33,8 @@ class UserService {
         throw new Error('User with this email already exists');
       }
 
+      await passwordPolicyService.assertAcceptable(userData.password, userData);
+
       // Create user
       const user = new User(userData);
       await user.save();
@@ -54,9 +70,11 @@ class UserService {
           const user = new User(generatedData);
           await user.save();
 
-          // Remove password from response
+          // Remove the password hash from the response; the temporary password
+          // is returned once so it can be handed to the user
           const userResponse = user.toObject();
           delete userResponse.password;
+          userResponse.temporaryPassword = generatedData.password;
 
           created.push(userResponse);
           logger.info(`Bulk user created: ${user.email}`);
@@ -86,144 +104,201 @@ class UserService {
   }
 
   /**
-   * Generate email and phone number for a user
+   * Generate email, phone number and a temporary password for a user
    * @param {Object} userData - User data with firstName, lastName, role
-   * @returns {Object} User data with generated email and phone
+   * @returns {Object} User data with generated email, phone and password
    */
   async generateUserCredentials(userData) {
-    const { firstName, lastName, role } = userData;
-    
-    // Generate base email: firstname.lastname@smartcampus.com
-    const baseEmail = `${firstName.toLowerCase()}.${lastName.toLowerCase()}`;
-    
+    const { firstName, lastName } = userData;
+
+    const email = await this.generateUniqueEmail(firstName, lastName);
+
+    // Generate phone number: 98 + 8 random digits
+    const phone = `98${Math.floor(Math.random() * 90000000) + 10000000}`;
+
+    return {
+      ...userData,
+      email,
+      phone,
+      password: passwordPolicyService.generatePassword(userData.role),
+      // Temporary passwords are replaced at the first login
+      mustChangePassword: true,
+      isActive: true
+    };
+  }
+
+  /**
+   * Generate an unused campus email address: firstname.lastname@smartcampus.com,
+   * with a 3-digit suffix if that is taken
+   * @param {string} firstName - First name
+   * @param {string} lastName - Last name
+   * @returns {Promise<string>} Email address
+   */
+  async generateUniqueEmail(firstName, lastName) {
+    const baseEmail = `${firstName.toLowerCase()}.${lastName.toLowerCase()}`.replace(/\s+/g, '');
+
     // Find a unique email by adding a 3-digit number if needed
     let email = `${baseEmail}@smartcampus.com`;
     let counter = 1;
-    
+
     while (counter <= 999) {
       const existingUser = await User.findByEmail(email);
       if (!existingUser) {
-        break;
+        return email;
       }
-      
+
       // Add 3-digit number to make it unique
       const suffix = counter.toString().padStart(3, '0');
       email = `${baseEmail}${suffix}@smartcampus.com`;
       counter++;
     }
-    
-    if (counter > 999) {
-      throw new Error('Unable to generate unique email after 999 attempts');
-    }
-    
-    // Generate phone number: 98 + 8 random digits
-    const phone = `98${Math.floor(Math.random() * 90000000) + 10000000}`;
-    
-    // Generate password: FirstName@123
-    const password = `${firstName}@123`;
-    
-    return {
-      ...userData,
-      email,
-      phone,
-      password,
-      isActive: true
-    };
+
+    throw new Error('Unable to generate unique email after 999 attempts');
   }
 
   /**
    * Authenticate user login
    * @param {string} email - User email
    * @param {string} password - User password
-   * @returns {Promise<Object>} User with tokens
+   * @param {Object} context - Request context ({ ipAddress, userAgent })
+   * @returns {Promise<Object>} User with tokens, or a two-factor challenge token
    */
-  async authenticateUser(email, password) {
+  async authenticateUser(email, password, context = {}) {
     try {
+      // Blocked addresses are rejected before any password check
+      await loginProtectionService.assertIpAllowed(context.ipAddress);
+
       // Find user with password
       const user = await User.findByEmail(email).select('+password');
       if (!user) {
+        await loginProtectionService.recordFailure(null, context);
         throw new Error('Invalid credentials');
       }
 
-      // Check if user is active
-      if (!user.isActive) {
-        throw new Error('Account is deactivated');
-      }
+      // Locked accounts and accounts in a delay period cannot try again yet
+      loginProtectionService.assertAccountAllowed(user);
 
       // Verify password
       const isPasswordValid = await user.comparePassword(password);
       if (!isPasswordValid) {
+        await loginProtectionService.recordFailure(user, context);
         throw new Error('Invalid credentials');
       }
 
-      // Update last login
-      user.lastLogin = new Date();
-      await user.save();
+      await loginProtectionService.recordSuccess(user);
 
-      // Generate tokens
-      const tokenPayload = {
-        userId: user._id,
-        email: user.email,
-        role: user.role
+      // Check if user is active
+      if (!user.isActive) {
+        throw new Error('Account is deactivated');
+      }
+
+      // Password is correct; a second factor may still be needed
+      const challenge = await this.requestSecondFactor(user);
+      if (challenge) {
+        return challenge;
+      }
+
+      return await this.completeLogin(user, context);
+    } catch (error) {
+      logger.error('Error authenticating user:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Issue the second login step if the user has two-factor authentication
+   * enabled, or must enroll in it because of their role
+   * @param {Object} user - User document
+   * @param {Object} [options] - Options
+   * @param {string} [options.method] - 'password' (default) or 'sso', carried to completeLogin
+   * @returns {Promise<Object|null>} Challenge result, or null when no second factor is needed
+   */
+  async requestSecondFactor(user, options = {}) {
+    if (user.twoFactor && user.twoFactor.enabled) {
+      logger.info(`Two-factor challenge issued for user: ${user.email}`);
+      return {
+        twoFactorRequired: true,
+        twoFactorToken: await twoFactorService.createChallenge(user, twoFactorService.CHALLENGE_PURPOSES.LOGIN, options)
       };
+    }
 
-      const accessToken = generateToken(tokenPayload);
-      const refreshToken = generateRefreshToken(tokenPayload);
+    if (twoFactorService.isRequiredForRole(user.role)) {
+      logger.info(`Two-factor enrollment required for user: ${user.email}`);
+      return {
+        twoFactorSetupRequired: true,
+        twoFactorToken: await twoFactorService.createChallenge(user, twoFactorService.CHALLENGE_PURPOSES.SETUP, options)
+      };
+    }
 
-      // Save refresh token
-      user.refreshToken = refreshToken;
-      await user.save();
+    return null;
+  }
 
-      // Remove sensitive data from response
-      const userResponse = user.toObject();
-      delete userResponse.password;
-      delete userResponse.refreshToken;
+  /**
+   * Finish a login once every factor has been checked: record it and start a
+   * session. Users with a temporary or expired password get a password change
+   * token instead and must set a new password first.
+   * @param {Object} user - User document
+   * @param {Object} context - Request context ({ ipAddress, userAgent })
+   * @param {Object} [options] - Options
+   * @param {string} [options.method] - 'password' (default) or 'sso'; SSO logins skip the password checks
+   * @returns {Promise<Object>} User with tokens, or a password change token
+   */
+  async completeLogin(user, context = {}, options = {}) {
+    try {
+      const changeReason = options.method === 'sso' ? null : passwordPolicyService.getChangeReason(user);
+      if (changeReason) {
+        logger.info(`Password change required (${changeReason}) for user: ${user.email}`);
+        return {
+          passwordChangeRequired: true,
+          reason: changeReason,
+          passwordChangeToken: passwordPolicyService.createChangeToken(user)
+        };
+      }
+
+      // Update last login
+      await user.updateLastLogin(context.ipAddress, context.userAgent);
+
+      // Start a session for this device
+      const { accessToken, refreshToken } = await sessionService.createSession(user, context);
 
       logger.info(`User logged in: ${user.email}`);
       return {
-        user: userResponse,
+        user: this.toSafeObject(user),
         accessToken,
         refreshToken
       };
     } catch (error) {
-      logger.error('Error authenticating user:', error);
+      logger.error('Error completing login:', error);
       throw error;
     }
   }
 
   /**
-   * Refresh access token
-   * @param {string} refreshToken - Refresh token
-   * @returns {Promise<Object>} New access token
+   * Convert a user document to a plain object without secrets
+   * @param {Object} user - User document
+   * @returns {Object} User object
    */
-  async refreshAccessToken(refreshToken) {
-    try {
-      const { verifyRefreshToken } = require('../utils/jwt');
-      const decoded = verifyRefreshToken(refreshToken);
-
-      const user = await User.findById(decoded.userId);
-      if (!user || !user.isActive || user.refreshToken !== refreshToken) {
-        throw new Error('Invalid refresh token');
-      }
-
-      const tokenPayload = {
-        userId: user._id,
-        email: user.email,
-        role: user.role
+  toSafeObject(user) {
+    const userResponse = user.toObject();
+    delete userResponse.password;
+    if (userResponse.twoFactor) {
+      userResponse.twoFactor = {
+        enabled: userResponse.twoFactor.enabled,
+        enabledAt: userResponse.twoFactor.enabledAt
       };
+    }
+    return userResponse;
+  }
 
-      const newAccessToken = generateToken(tokenPayload);
-      const newRefreshToken = generateRefreshToken(tokenPayload);
-
-      // Update refresh token
-      user.refreshToken = newRefreshToken;
-      await user.save();
-
-      logger.info(`Token refreshed for user: ${user.email}`);
-      return {
-        accessToken: newAccessToken,
-        refreshToken: newRefreshToken
-      };
+  /**
+   * Refresh access token, rotating the session's refresh token
+   * @param {string} refreshToken - Refresh token
+   * @param {Object} context - Request context ({ ipAddress, userAgent })
+   * @returns {Promise<Object>} New access and refresh tokens
+   */
+  async refreshAccessToken(refreshToken, context = {}) {
+    try {
+      return await sessionService.rotateRefreshToken(refreshToken, context);
     } catch (error) {
       logger.error('Error refreshing token:', error);
       throw error;
@@ -237,7 +312,7 @@ class UserService {
    */
   async getUserById(userId) {
     try {
-      const user = await User.findById(userId).select('-password -refreshToken');
+      const user = await User.findById(userId).select('-password');
       if (!user) {
         throw new Error('User not found');
       }
@@ -279,7 +354,7 @@ class UserService {
       // Execute query
       const skip = (page - 1) * limit;
       const users = await User.find(query)
-        .select('-password -refreshToken')
+        .select('-password')
         .sort(sort)
         .skip(skip)
         .limit(limit);
@@ -302,19 +377,46 @@ class UserService {
     }
   }
 
+  /**
+   * Reject an update that touches fields the actor cannot change this way
+   * @param {Object} updateData - Update data
+   * @param {Object} [actor] - Requesting user
+   * @throws {Error} 400 naming the rejected fields
+   */
+  assertUpdatableFields(updateData, actor = null) {
+    const fields = actor && actor.role === 'admin' ? ADMIN_FIELDS : PROFILE_FIELDS;
+    const rejected = Object.keys(updateData || {}).filter(field => !fields.includes(field));
+    if (rejected.length > 0) {
+      throw createError(400, `These fields cannot be changed here: ${rejected.join(', ')}`);
+    }
+  }
+
   /**
    * Update user
    * @param {string} userId - User ID
    * @param {Object} updateData - Update data
+   * @param {Object} [actor] - Requesting user; admins can also set the role and IDs
    * @returns {Promise<Object>} Updated user
    */
-  async updateUser(userId, updateData) {
+  async updateUser(userId, updateData, actor = null) {
     try {
+      this.assertUpdatableFields(updateData, actor);
+
       const user = await User.findById(userId);
       if (!user) {
         throw new Error('User not found');
       }
 
+      if (updateData.role !== undefined && updateData.role !== user.role) {
+        // An admin demoting themselves could leave nobody able to undo it
+        if (user._id.toString() === actor._id.toString()) {
+          throw createError(400, 'Admins cannot change their own role');
+        }
+        if (updateData.role === 'admin' && !await permissionService.hasPermission(actor, 'users.create_admin')) {
+          throw createError(403, 'You do not have permission to grant the admin role');
+        }
+      }
+
       // Check if email is being updated and if it already exists
       if (updateData.email && updateData.email !== user.email) {
         const existingUser = await User.findByEmail(updateData.email);
@@ -330,7 +432,6 @@ class UserService {
       // Remove sensitive data from response
       const userResponse = user.toObject();
       delete userResponse.password;
-      delete userResponse.refreshToken;
 
       logger.info(`User updated: ${user.email}`);
       return userResponse;
@@ -381,8 +482,11 @@ class UserService {
         throw new Error('Current password is incorrect');
       }
 
+      await passwordPolicyService.assertAcceptable(newPassword, user);
+
       // Update password
       user.password = newPassword;
+      user.mustChangePassword = false;
       await user.save();
 
       logger.info(`Password changed for user: ${user.email}`);
@@ -394,19 +498,193 @@ class UserService {
   }
 
   /**
-   * Logout user (invalidate refresh token)
+   * Start the forgot-password flow by emailing a reset link.
+   * Unknown or inactive accounts are ignored so callers cannot probe for emails.
+   * @param {string} email - Account email
+   * @returns {Promise<boolean>} Whether an email was sent
+   */
+  async requestPasswordReset(email) {
+    try {
+      const user = await User.findByEmail(email);
+      if (!user || !user.isActive) {
+        logger.info(`Password reset requested for unknown or inactive email: ${email}`);
+        return false;
+      }
+
+      const token = user.generatePasswordResetToken();
+      await user.save();
+
+      await mailService.sendPasswordReset(user, token);
+
+      logger.info(`Password reset email sent to: ${user.email}`);
+      return true;
+    } catch (error) {
+      logger.error('Error requesting password reset:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Complete the forgot-password flow with the emailed token
+   * @param {string} token - Password reset token from the email link
+   * @param {string} newPassword - New password
+   * @param {Object} context - Request context ({ ipAddress, userAgent })
+   * @returns {Promise<boolean>} Success status
+   */
+  async resetPasswordWithToken(token, newPassword, context = {}) {
+    try {
+      const user = await User.findByValidToken('passwordResetToken', 'passwordResetExpires', token);
+      if (!user) {
+        throw createError(400, 'Password reset token is invalid or has expired');
+      }
+
+      await passwordPolicyService.assertAcceptable(newPassword, user);
+
+      user.password = newPassword;
+      user.mustChangePassword = false;
+      user.passwordResetToken = null;
+      user.passwordResetExpires = null;
+      // The reset link was delivered to this address, so it is verified
+      user.isEmailVerified = true;
+      user.recordAuditEntry('password_reset', context.ipAddress, context.userAgent, 'Password reset via email link');
+      await user.save();
+
+      // Sign out every device
+      await sessionService.revokeAllSessions(user._id, 'password_reset');
+
+      try {
+        await mailService.sendPasswordChanged(user);
+      } catch (mailError) {
+        logger.error(`Failed to send password changed notice to ${user.email}:`, mailError);
+      }
+
+      logger.info(`Password reset via token for user: ${user.email}`);
+      return true;
+    } catch (error) {
+      logger.error('Error resetting password with token:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Set a new password with the token issued at login for a temporary or
+   * expired password, then finish the login
+   * @param {string} token - Password change token from the login response
+   * @param {string} newPassword - New password
+   * @param {Object} context - Request context ({ ipAddress, userAgent })
+   * @returns {Promise<Object>} User with tokens
+   */
+  async changeExpiredPassword(token, newPassword, context = {}) {
+    try {
+      const user = await passwordPolicyService.resolveChangeToken(token);
+
+      await passwordPolicyService.assertAcceptable(newPassword, user);
+
+      user.password = newPassword;
+      user.mustChangePassword = false;
+      user.recordAuditEntry('password_change', context.ipAddress, context.userAgent, 'Password changed at login');
+      await user.save();
+
+      logger.info(`Expired password replaced for user: ${user.email}`);
+      return await this.completeLogin(user, context);
+    } catch (error) {
+      logger.error('Error changing expired password:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Generate a fresh verification token and email it to the user
    * @param {string} userId - User ID
+   * @returns {Promise<boolean>} Whether an email was sent
+   */
+  async sendVerificationEmail(userId) {
+    try {
+      const user = await User.findById(userId);
+      if (!user) {
+        throw createError(404, 'User not found');
+      }
+      if (user.isEmailVerified) {
+        return false;
+      }
+
+      const token = user.generateEmailVerificationToken();
+      await user.save();
+
+      await mailService.sendEmailVerification(user, token);
+
+      logger.info(`Verification email sent to: ${user.email}`);
+      return true;
+    } catch (error) {
+      logger.error('Error sending verification email:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Resend the verification email by address.
+   * Unknown or already verified accounts are ignored so callers cannot probe for emails.
+   * @param {string} email - Account email
+   * @returns {Promise<boolean>} Whether an email was sent
+   */
+  async resendVerificationEmail(email) {
+    try {
+      const user = await User.findByEmail(email);
+      if (!user || !user.isActive || user.isEmailVerified) {
+        logger.info(`Verification resend skipped for: ${email}`);
+        return false;
+      }
+
+      return await this.sendVerificationEmail(user._id);
+    } catch (error) {
+      logger.error('Error resending verification email:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Verify an email address with the emailed token
+   * @param {string} token - Email verification token
+   * @returns {Promise<Object>} Verified user
+   */
+  async verifyEmailToken(token) {
+    try {
+      const user = await User.findByValidToken('emailVerificationToken', 'emailVerificationExpires', token);
+      if (!user) {
+        throw createError(400, 'Verification token is invalid or has expired');
+      }
+
+      await user.verifyEmail();
+
+      const userResponse = user.toObject();
+      delete userResponse.password;
+
+      logger.info(`Email verified for user: ${user.email}`);
+      return userResponse;
+    } catch (error) {
+      logger.error('Error verifying email:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Logout user (revoke the session the request was made from)
+   * @param {string} userId - User ID
+   * @param {string} sessionId - Session ID of the access token; all sessions are revoked when absent
    * @returns {Promise<boolean>} Success status
    */
-  async logoutUser(userId) {
+  async logoutUser(userId, sessionId = null) {
     try {
       const user = await User.findById(userId);
       if (!user) {
         throw new Error('User not found');
       }
 
-      user.refreshToken = null;
-      await user.save();
+      if (sessionId) {
+        await sessionService.revokeSession(userId, sessionId, 'logout');
+      } else {
+        await sessionService.revokeAllSessions(userId, 'logout');
+      }
 
       logger.info(`User logged out: ${user.email}`);
       return true;
@@ -423,7 +701,7 @@ class UserService {
    */
   async getUsersByRole(role) {
     try {
-      const users = await User.findByRole(role).select('-password -refreshToken');
+      const users = await User.findByRole(role).select('-password');
       return users;
     } catch (error) {
       logger.error('Error getting users by role:', error);
@@ -493,8 +771,12 @@ class UserService {
         throw new Error('Target user not found');
       }
 
-      // Update password
+      await passwordPolicyService.assertAcceptable(newPassword, targetUser);
+
+      // The admin knows this password, so the user has to replace it at the next login
       targetUser.password = newPassword;
+      targetUser.mustChangePassword = true;
+      targetUser.recordAuditEntry('password_reset', null, null, `Password reset by admin ${adminUser.email}`);
       await targetUser.save();
 
       // Log the action
@@ -503,7 +785,6 @@ class UserService {
       // Return success response without sensitive data
       const userResponse = targetUser.toObject();
       delete userResponse.password;
-      delete userResponse.refreshToken;
 
       return {
         success: true,
@@ -517,21 +798,18 @@ class UserService {
   }
 
   /**
-   * Deactivate user (admin only)
+   * Deactivate user (requires users.deactivate)
    * @param {string} userId - User ID to deactivate
-   * @param {string} adminUserId - Admin user ID performing the deactivation
+   * @param {Object|string} actor - Requesting user or API key principal (`req.user`), or a user ID
    * @returns {Promise<Object>} Success status and user info
    */
-  async deactivateUser(userId, adminUserId) {
+  async deactivateUser(userId, actor) {
     try {
-      // Verify admin user exists and is admin
-      const adminUser = await User.findById(adminUserId);
+      // Verify acting user exists
+      const adminUser = await permissionService.resolveActor(actor);
       if (!adminUser) {
         throw new Error('Admin user not found');
       }
-      if (adminUser.role !== 'admin') {
-        throw new Error('Only admin users can deactivate users');
-      }
 
       // Find target user
       const targetUser = await User.findById(userId);
@@ -539,8 +817,13 @@ class UserService {
         throw new Error('Target user not found');
       }
 
+      const allowed = await permissionService.hasPermission(adminUser, 'users.deactivate', { department: targetUser.department });
+      if (!allowed) {
+        throw createError(403, 'You do not have permission to deactivate this user');
+      }
+
       // Prevent admin from deactivating themselves
-      if (targetUser._id.toString() === adminUserId) {
+      if (targetUser._id.toString() === adminUser._id.toString()) {
         throw new Error('Admin cannot deactivate their own account');
       }
 
@@ -552,6 +835,7 @@ class UserService {
       // Deactivate user
       targetUser.isActive = false;
       await targetUser.save();
+      await sessionService.revokeAllSessions(targetUser._id, 'account_deactivated');
 
       // Log the action
       logger.info(`User deactivated by admin ${adminUser.email}: ${targetUser.email}`);
@@ -559,7 +843,6 @@ class UserService {
       // Return success response without sensitive data
       const userResponse = targetUser.toObject();
       delete userResponse.password;
-      delete userResponse.refreshToken;
 
       return {
         success: true,
@@ -573,21 +856,18 @@ class UserService {
   }
 
   /**
-   * Activate user (admin only)
+   * Activate user (requires users.deactivate)
    * @param {string} userId - User ID to activate
-   * @param {string} adminUserId - Admin user ID performing the activation
+   * @param {Object|string} actor - Requesting user or API key principal (`req.user`), or a user ID
    * @returns {Promise<Object>} Success status and user info
    */
-  async activateUser(userId, adminUserId) {
+  async activateUser(userId, actor) {
     try {
-      // Verify admin user exists and is admin
-      const adminUser = await User.findById(adminUserId);
+      // Verify acting user exists
+      const adminUser = await permissionService.resolveActor(actor);
       if (!adminUser) {
         throw new Error('Admin user not found');
       }
-      if (adminUser.role !== 'admin') {
-        throw new Error('Only admin users can activate users');
-      }
 
       // Find target user
       const targetUser = await User.findById(userId);
@@ -595,6 +875,16 @@ class UserService {
         throw new Error('Target user not found');
       }
 
+      const allowed = await permissionService.hasPermission(adminUser, 'users.deactivate', { department: targetUser.department });
+      if (!allowed) {
+        throw createError(403, 'You do not have permission to activate this user');
+      }
+
+      // A department-scoped grant does not reach admin accounts, whatever their department
+      if (targetUser.role === 'admin' && !await permissionService.hasPermission(adminUser, 'users.deactivate')) {
+        throw createError(403, 'Only institution-wide user managers can activate admin accounts');
+      }
+
       // Activate user
       targetUser.isActive = true;
       await targetUser.save();
@@ -605,7 +895,6 @@ class UserService {
       // Return success response without sensitive data
       const userResponse = targetUser.toObject();
       delete userResponse.password;
-      delete userResponse.refreshToken;
 
       return {
         success: true,
@@ -617,6 +906,19 @@ class UserService {
       throw error;
     }
   }
+
+  /**
+   * Activate or deactivate a user with the checks of activateUser and deactivateUser
+   * @param {string} userId - User ID
+   * @param {boolean|string} isActive - Target status
+   * @param {Object|string} actor - Requesting user or API key principal (`req.user`), or a user ID
+   * @returns {Promise<Object>} Success status and user info
+   */
+  async setActive(userId, isActive, actor) {
+    return String(isActive) === 'true'
+      ? this.activateUser(userId, actor)
+      : this.deactivateUser(userId, actor);
+  }
 }
 
 module.exports = new UserService(); 
\ No newline at end of file
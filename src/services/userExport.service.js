@@ -0,0 +1,267 @@
+const { once } = require('events');
+const mongoose = require('mongoose');
+const ExcelJS = require('exceljs');
+const User = require('../models/user.model');
+const Department = require('../models/department.model');
+const { formatRow } = require('../utils/csv');
+const createError = require('../utils/createError');
+const logger = require('../utils/logger');
+
+const EXPORT_COLUMNS = {
+  id: { header: 'ID', width: 26, value: user => user._id.toString() },
+  identifier: { header: 'Identifier', width: 22, value: user => user.identifier },
+  firstName: { header: 'First Name', width: 18, value: user => user.firstName },
+  lastName: { header: 'Last Name', width: 18, value: user => user.lastName },
+  email: { header: 'Email', width: 32, value: user => user.email },
+  role: { header: 'Role', width: 10, value: user => user.role },
+  studentId: { header: 'Student ID', width: 14, value: user => user.studentId },
+  facultyId: { header: 'Faculty ID', width: 14, value: user => user.facultyId },
+  department: { header: 'Department', width: 28, value: user => (user.department ? user.department.name : null) },
+  departmentCode: { header: 'Department Code', width: 16, value: user => (user.department ? user.department.code : null) },
+  phone: { header: 'Phone', width: 16, value: user => user.phone },
+  isActive: { header: 'Active', width: 8, value: user => user.isActive },
+  isEmailVerified: { header: 'Email Verified', width: 14, value: user => user.isEmailVerified },
+  lastLogin: { header: 'Last Login', width: 22, value: user => user.lastLogin },
+  createdAt: { header: 'Created At', width: 22, value: user => user.createdAt }
+};
+
+const DEFAULT_COLUMNS = ['identifier', 'firstName', 'lastName', 'email', 'role', 'department', 'isActive', 'createdAt'];
+
+// Fields the export reads from each user; `identifier` is derived from role and the ID fields
+const EXPORT_FIELDS = 'firstName lastName email role studentId facultyId department phone isActive isEmailVerified lastLogin createdAt';
+
+const STATUS_FILTERS = {
+  active: true,
+  inactive: false,
+  all: undefined
+};
+
+/**
+ * User Export Service Class
+ *
+ * Streams users matching the list filters as CSV, XLSX or JSON. Users are
+ * read through a cursor and written as they arrive, so memory use does not
+ * grow with the size of the collection.
+ */
+class UserExportService {
+  /**
+   * Resolve the requested columns
+   * @param {string|Array} [columns] - Comma-separated column keys
+   * @returns {Array} Column keys
+   */
+  resolveColumns(columns) {
+    if (!columns || columns.length === 0) return DEFAULT_COLUMNS;
+
+    const keys = (Array.isArray(columns) ? columns : String(columns).split(','))
+      .map(key => key.trim())
+      .filter(Boolean);
+
+    const unknown = keys.filter(key => !EXPORT_COLUMNS[key]);
+    if (unknown.length > 0) {
+      throw createError(400, `Unknown export columns: ${unknown.join(', ')}`);
+    }
+
+    return [...new Set(keys)];
+  }
+
+  /**
+   * Resolve a department filter given as an ID, code or name
+   * @param {string} [department] - Department ID, code or name
+   * @returns {Promise<Object|null>} Department ID, or null when not filtering
+   */
+  async resolveDepartment(department) {
+    if (!department) return null;
+
+    const query = mongoose.isValidObjectId(department)
+      ? { _id: department }
+      : { $or: [{ code: department.toUpperCase() }, { name: department }] };
+
+    const match = await Department.findOne(query).select('_id').lean();
+    if (!match) {
+      throw createError(404, 'Department not found');
+    }
+    return match._id;
+  }
+
+  /**
+   * Build the user query for the export filters
+   * @param {Object} filters - { role, department, status }
+   * @returns {Promise<Object>} MongoDB query
+   */
+  async buildQuery(filters = {}) {
+    const { role, department, status = 'active' } = filters;
+
+    const query = {};
+    if (role) query.role = role;
+
+    const departmentId = await this.resolveDepartment(department);
+    if (departmentId) query.department = departmentId;
+
+    const isActive = STATUS_FILTERS[status];
+    if (isActive !== undefined) query.isActive = isActive;
+
+    return query;
+  }
+
+  /**
+   * Open a cursor over the users to export
+   * @param {Object} query - MongoDB query
+   * @returns {Object} Mongoose query cursor
+   */
+  createCursor(query) {
+    return User.find(query)
+      .select(EXPORT_FIELDS)
+      .populate('department', 'name code')
+      .sort({ lastName: 1, firstName: 1, _id: 1 })
+      .cursor();
+  }
+
+  /**
+   * Write a chunk, waiting for the client to drain if the buffer is full.
+   * A client that disconnects never drains, so closing ends the wait too.
+   * @param {Object} stream - Writable stream
+   * @param {string} chunk - Data to write
+   * @returns {Promise<boolean>} False once the stream is closed
+   */
+  async write(stream, chunk) {
+    if (stream.destroyed) return false;
+    if (stream.write(chunk)) return true;
+
+    const controller = new AbortController();
+    try {
+      return await Promise.race([
+        once(stream, 'drain', { signal: controller.signal }).then(() => true),
+        once(stream, 'close', { signal: controller.signal }).then(() => false)
+      ]);
+    } finally {
+      controller.abort();
+    }
+  }
+
+  /**
+   * Pass each exported user to a handler until the cursor is exhausted, the
+   * handler returns false or the stream is closed. The cursor is closed in
+   * every case.
+   * @param {Object} stream - Writable stream (the HTTP response)
+   * @param {Object} query - MongoDB query
+   * @param {Function} handle - Called with each user and the count so far
+   * @returns {Promise<number>} Number of users handled
+   */
+  async forEachUser(stream, query, handle) {
+    const cursor = this.createCursor(query);
+    let count = 0;
+
+    try {
+      for await (const user of cursor) {
+        if (stream.destroyed || await handle(user, count) === false) break;
+        count += 1;
+      }
+    } finally {
+      await cursor.close();
+    }
+
+    return count;
+  }
+
+  /**
+   * Stream users as CSV
+   * @param {Object} stream - Writable stream (the HTTP response)
+   * @param {Object} query - MongoDB query
+   * @param {Array} columns - Column keys
+   * @returns {Promise<number>} Number of users written
+   */
+  async writeCsv(stream, query, columns) {
+    if (!await this.write(stream, formatRow(columns.map(key => EXPORT_COLUMNS[key].header)))) return 0;
+
+    const count = await this.forEachUser(stream, query, user => this.write(
+      stream,
+      formatRow(columns.map(key => EXPORT_COLUMNS[key].value(user)))
+    ));
+
+    if (!stream.destroyed) stream.end();
+    return count;
+  }
+
+  /**
+   * Stream users as an XLSX workbook
+   * @param {Object} stream - Writable stream (the HTTP response)
+   * @param {Object} query - MongoDB query
+   * @param {Array} columns - Column keys
+   * @returns {Promise<number>} Number of users written
+   */
+  async writeXlsx(stream, query, columns) {
+    const workbook = new ExcelJS.stream.xlsx.WorkbookWriter({ stream, useStyles: true });
+    const worksheet = workbook.addWorksheet('Users');
+    worksheet.columns = columns.map(key => ({
+      header: EXPORT_COLUMNS[key].header,
+      key,
+      width: EXPORT_COLUMNS[key].width
+    }));
+    worksheet.getRow(1).font = { bold: true };
+
+    const count = await this.forEachUser(stream, query, user => {
+      const row = {};
+      columns.forEach(key => {
+        const value = EXPORT_COLUMNS[key].value(user);
+        row[key] = value === undefined ? null : value;
+      });
+      worksheet.addRow(row).commit();
+    });
+
+    if (!stream.destroyed) {
+      worksheet.commit();
+      await workbook.commit();
+    }
+    return count;
+  }
+
+  /**
+   * Stream users as a JSON response envelope
+   * @param {Object} stream - Writable stream (the HTTP response)
+   * @param {Object} query - MongoDB query
+   * @param {Array} columns - Column keys
+   * @returns {Promise<number>} Number of users written
+   */
+  async writeJson(stream, query, columns) {
+    const opening = `{"success":true,"message":"Users exported successfully","timestamp":"${new Date().toISOString()}","data":[`;
+    if (!await this.write(stream, opening)) return 0;
+
+    const count = await this.forEachUser(stream, query, (user, written) => {
+      const record = {};
+      columns.forEach(key => {
+        const value = EXPORT_COLUMNS[key].value(user);
+        record[key] = value === undefined ? null : value;
+      });
+      return this.write(stream, `${written > 0 ? ',' : ''}${JSON.stringify(record)}`);
+    });
+
+    if (!stream.destroyed) stream.end(']}');
+    return count;
+  }
+
+  /**
+   * Stream an export in the requested format
+   * @param {Object} stream - Writable stream (the HTTP response)
+   * @param {string} format - csv, xlsx or json
+   * @param {Object} query - MongoDB query from buildQuery
+   * @param {Array} columns - Column keys from resolveColumns
+   * @returns {Promise<number>} Number of users written
+   */
+  async exportUsers(stream, format, query, columns) {
+    const writers = {
+      csv: this.writeCsv,
+      xlsx: this.writeXlsx,
+      json: this.writeJson
+    };
+
+    const count = await writers[format].call(this, stream, query, columns);
+    if (stream.destroyed && !stream.writableFinished) {
+      logger.warn(`User export (${format}) stopped after ${count} users: the client disconnected`);
+    } else {
+      logger.info(`Exported ${count} users as ${format}`);
+    }
+    return count;
+  }
+}
+
+module.exports = new UserExportService();
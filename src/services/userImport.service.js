@@ -0,0 +1,360 @@
+const path = require('path');
+const ExcelJS = require('exceljs');
+const User = require('../models/user.model');
+const Department = require('../models/department.model');
+const userService = require('./user.service');
+const passwordPolicyService = require('./passwordPolicy.service');
+const { parseCsv, formatRow } = require('../utils/csv');
+const createError = require('../utils/createError');
+const logger = require('../utils/logger');
+
+const MAX_IMPORT_ROWS = 1000;
+
+const IMPORTABLE_ROLES = ['student', 'faculty'];
+
+// Accepted header spellings, compared lower-case with spaces, dashes and underscores removed
+const HEADER_FIELDS = {
+  firstname: 'firstName',
+  lastname: 'lastName',
+  email: 'email',
+  emailaddress: 'email',
+  role: 'role',
+  studentid: 'studentId',
+  facultyid: 'facultyId',
+  department: 'department',
+  departmentcode: 'department',
+  phone: 'phone',
+  phonenumber: 'phone'
+};
+
+const REQUIRED_HEADERS = ['firstName', 'lastName'];
+
+const NAME_PATTERN = /^[a-zA-Z\s]+$/;
+const EMAIL_PATTERN = /^\w+([.-]?\w+)*@\w+([.-]?\w+)*(\.\w{2,3})+$/;
+const ID_PATTERN = /^[A-Z0-9]{5,20}$/;
+const PHONE_PATTERN = /^[\+]?[1-9][\d]{0,15}$/;
+
+const CREDENTIAL_COLUMNS = [
+  { header: 'Row', key: 'row', width: 6 },
+  { header: 'Status', key: 'status', width: 10 },
+  { header: 'Identifier', key: 'identifier', width: 22 },
+  { header: 'First Name', key: 'firstName', width: 18 },
+  { header: 'Last Name', key: 'lastName', width: 18 },
+  { header: 'Email', key: 'email', width: 32 },
+  { header: 'Role', key: 'role', width: 10 },
+  { header: 'Temporary Password', key: 'temporaryPassword', width: 20 },
+  { header: 'Error', key: 'error', width: 40 }
+];
+
+/**
+ * User Import Service Class
+ *
+ * Creates students and faculty from an uploaded CSV or XLSX sheet. Every row
+ * is validated up front (including duplicates within the file and against
+ * existing users); a dry run only returns that report, a commit creates the
+ * users and produces a credentials sheet with their temporary passwords.
+ */
+class UserImportService {
+  /**
+   * Read the uploaded file into header-mapped rows
+   * @param {Object} file - Multer file ({ originalname, buffer })
+   * @returns {Promise<Array>} Rows ({ row, values })
+   */
+  async parseFile(file) {
+    const extension = path.extname(file.originalname).toLowerCase();
+    const table = extension === '.xlsx'
+      ? await this.readWorkbook(file.buffer)
+      : parseCsv(file.buffer.toString('utf8'));
+
+    if (table.length < 2) {
+      throw createError(400, 'The file has no data rows');
+    }
+
+    const [headerRow, ...dataRows] = table;
+    const fields = headerRow.map(header => HEADER_FIELDS[String(header).toLowerCase().replace(/[\s_-]/g, '')] || null);
+
+    const missing = REQUIRED_HEADERS.filter(field => !fields.includes(field));
+    if (missing.length > 0) {
+      throw createError(400, `Missing required columns: ${missing.join(', ')}`);
+    }
+
+    if (dataRows.length > MAX_IMPORT_ROWS) {
+      throw createError(400, `A file may contain at most ${MAX_IMPORT_ROWS} users`);
+    }
+
+    return dataRows.map((cells, index) => {
+      const values = {};
+      fields.forEach((field, column) => {
+        if (field && cells[column] !== undefined) {
+          values[field] = String(cells[column]).trim();
+        }
+      });
+      // Spreadsheet row numbers: the header is row 1
+      return { row: index + 2, values };
+    });
+  }
+
+  /**
+   * Read the first worksheet of an XLSX workbook as rows of cell text
+   * @param {Buffer} buffer - Workbook contents
+   * @returns {Promise<Array<Array<string>>>} Rows
+   */
+  async readWorkbook(buffer) {
+    const workbook = new ExcelJS.Workbook();
+    try {
+      await workbook.xlsx.load(buffer);
+    } catch (error) {
+      throw createError(400, 'The file is not a valid XLSX workbook');
+    }
+
+    const worksheet = workbook.worksheets[0];
+    if (!worksheet) return [];
+
+    const rows = [];
+    const columnCount = worksheet.columnCount;
+    worksheet.eachRow(row => {
+      const cells = [];
+      for (let column = 1; column <= columnCount; column++) {
+        cells.push(row.getCell(column).text);
+      }
+      if (cells.some(cell => cell.trim() !== '')) {
+        rows.push(cells);
+      }
+    });
+    return rows;
+  }
+
+  /**
+   * Validate parsed rows and build the import report
+   * @param {Array} rows - Rows from parseFile
+   * @param {Object} options - { role } default role for rows without one
+   * @returns {Promise<Object>} Report ({ summary, rows })
+   */
+  async validateRows(rows, options = {}) {
+    const entries = rows.map(({ row, values }) => ({
+      row,
+      data: {
+        firstName: values.firstName || '',
+        lastName: values.lastName || '',
+        email: values.email ? values.email.toLowerCase() : null,
+        role: (values.role || options.role || '').toLowerCase(),
+        studentId: values.studentId ? values.studentId.toUpperCase() : null,
+        facultyId: values.facultyId ? values.facultyId.toUpperCase() : null,
+        department: values.department ? values.department.toUpperCase() : null,
+        phone: values.phone || null
+      },
+      errors: []
+    }));
+
+    const existing = await this.findExisting(entries);
+    const firstRowByValue = { email: new Map(), studentId: new Map(), facultyId: new Map() };
+
+    for (const entry of entries) {
+      const { data } = entry;
+      const addError = (field, message) => entry.errors.push({ field, message });
+
+      ['firstName', 'lastName'].forEach(field => {
+        const label = field === 'firstName' ? 'First name' : 'Last name';
+        if (!data[field]) {
+          addError(field, `${label} is required`);
+        } else if (data[field].length < 2 || data[field].length > 50) {
+          addError(field, `${label} must be between 2 and 50 characters`);
+        } else if (!NAME_PATTERN.test(data[field])) {
+          addError(field, `${label} can only contain letters and spaces`);
+        }
+      });
+
+      if (!IMPORTABLE_ROLES.includes(data.role)) {
+        addError('role', 'Role must be student or faculty');
+      }
+
+      if (data.email && !EMAIL_PATTERN.test(data.email)) {
+        addError('email', 'Invalid email address');
+      }
+
+      if (data.studentId && data.role !== 'student') {
+        addError('studentId', 'Student ID is only allowed for students');
+      }
+      if (data.facultyId && data.role !== 'faculty') {
+        addError('facultyId', 'Faculty ID is only allowed for faculty');
+      }
+
+      ['studentId', 'facultyId'].forEach(field => {
+        if (data[field] && !ID_PATTERN.test(data[field])) {
+          addError(field, `${field === 'studentId' ? 'Student' : 'Faculty'} ID must be 5-20 uppercase letters and numbers`);
+        }
+      });
+
+      if (data.phone && !PHONE_PATTERN.test(data.phone)) {
+        addError('phone', 'Invalid phone number');
+      }
+
+      if (data.department) {
+        const department = existing.departments.get(data.department);
+        if (department) {
+          entry.departmentId = department._id;
+        } else {
+          addError('department', `Unknown department code "${data.department}"`);
+        }
+      }
+
+      ['email', 'studentId', 'facultyId'].forEach(field => {
+        const value = data[field];
+        if (!value) return;
+
+        if (firstRowByValue[field].has(value)) {
+          addError(field, `Duplicate ${field} (also on row ${firstRowByValue[field].get(value)})`);
+        } else {
+          firstRowByValue[field].set(value, entry.row);
+        }
+
+        if (existing[field].has(value)) {
+          addError(field, `A user with this ${field} already exists`);
+        }
+      });
+
+      entry.status = entry.errors.length === 0 ? 'valid' : 'invalid';
+    }
+
+    const valid = entries.filter(entry => entry.status === 'valid').length;
+    return {
+      summary: {
+        total: entries.length,
+        valid,
+        invalid: entries.length - valid
+      },
+      rows: entries
+    };
+  }
+
+  /**
+   * Look up existing users and departments referenced by the rows in bulk
+   * @param {Array} entries - Normalized rows
+   * @returns {Promise<Object>} Sets of taken emails/IDs and departments by code
+   */
+  async findExisting(entries) {
+    const collect = field => [...new Set(entries.map(entry => entry.data[field]).filter(Boolean))];
+
+    const [usersByEmail, usersByStudentId, usersByFacultyId, departments] = await Promise.all([
+      User.find({ email: { $in: collect('email') } }).select('email').lean(),
+      User.find({ studentId: { $in: collect('studentId') } }).select('studentId').lean(),
+      User.find({ facultyId: { $in: collect('facultyId') } }).select('facultyId').lean(),
+      Department.find({ code: { $in: collect('department') } }).select('code name').lean()
+    ]);
+
+    return {
+      email: new Set(usersByEmail.map(user => user.email)),
+      studentId: new Set(usersByStudentId.map(user => user.studentId)),
+      facultyId: new Set(usersByFacultyId.map(user => user.facultyId)),
+      departments: new Map(departments.map(department => [department.code, department]))
+    };
+  }
+
+  /**
+   * Validate an uploaded sheet and, unless it is a dry run, create the users
+   * @param {Object} file - Multer file ({ originalname, buffer })
+   * @param {Object} options - { dryRun, role }
+   * @param {Object} adminUser - User performing the import
+   * @returns {Promise<Object>} Report, plus credentials when committed
+   */
+  async importUsers(file, options = {}, adminUser = {}) {
+    try {
+      const rows = await this.parseFile(file);
+      const report = await this.validateRows(rows, options);
+
+      if (options.dryRun) {
+        return { dryRun: true, ...report };
+      }
+
+      if (report.summary.invalid > 0) {
+        const error = createError(400, 'The file has validation errors; no users were created');
+        error.report = report;
+        throw error;
+      }
+
+      const credentials = [];
+      for (const entry of report.rows) {
+        credentials.push(await this.createUser(entry));
+      }
+
+      const created = credentials.filter(item => item.status === 'created').length;
+      logger.info(`User import by ${adminUser.email}: ${created} created, ${credentials.length - created} failed`);
+
+      return {
+        dryRun: false,
+        summary: {
+          total: credentials.length,
+          created,
+          failed: credentials.length - created
+        },
+        credentials
+      };
+    } catch (error) {
+      logger.error('Error importing users:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Create one validated row
+   * @param {Object} entry - Validated row
+   * @returns {Promise<Object>} Credentials sheet row
+   */
+  async createUser(entry) {
+    const { data } = entry;
+    const result = {
+      row: entry.row,
+      firstName: data.firstName,
+      lastName: data.lastName,
+      role: data.role
+    };
+
+    try {
+      const temporaryPassword = passwordPolicyService.generatePassword(data.role);
+      const user = new User({
+        firstName: data.firstName,
+        lastName: data.lastName,
+        email: data.email || await userService.generateUniqueEmail(data.firstName, data.lastName),
+        password: temporaryPassword,
+        role: data.role,
+        studentId: data.studentId || undefined,
+        facultyId: data.facultyId || undefined,
+        department: entry.departmentId,
+        phone: data.phone || undefined,
+        mustChangePassword: true,
+        isActive: true
+      });
+      await user.save();
+
+      return { ...result, status: 'created', identifier: user.identifier, email: user.email, temporaryPassword };
+    } catch (error) {
+      // Rows are checked up front, so this only happens if a conflicting user appeared meanwhile
+      logger.error(`Error creating imported user on row ${entry.row}:`, error);
+      return { ...result, status: 'failed', email: data.email, error: error.message };
+    }
+  }
+
+  /**
+   * Build the credentials sheet handed back after a committed import
+   * @param {Array} credentials - Credentials rows from importUsers
+   * @param {string} format - csv or xlsx
+   * @returns {Promise<Buffer>} File contents
+   */
+  async buildCredentialsSheet(credentials, format) {
+    if (format === 'csv') {
+      const lines = [formatRow(CREDENTIAL_COLUMNS.map(column => column.header))];
+      credentials.forEach(item => lines.push(formatRow(CREDENTIAL_COLUMNS.map(column => item[column.key]))));
+      return Buffer.from(lines.join(''), 'utf8');
+    }
+
+    const workbook = new ExcelJS.Workbook();
+    const worksheet = workbook.addWorksheet('Credentials');
+    worksheet.columns = CREDENTIAL_COLUMNS;
+    worksheet.getRow(1).font = { bold: true };
+    credentials.forEach(item => worksheet.addRow(item));
+
+    return Buffer.from(await workbook.xlsx.writeBuffer());
+  }
+}
+
+module.exports = new UserImportService();
@@ -0,0 +1,366 @@
+const Course = require('../models/course.model');
+const User = require('../models/user.model');
+const WaitlistEntry = require('../models/waitlistEntry.model');
+const courseStaffService = require('./courseStaff.service');
+const sectionService = require('./section.service');
+const mailService = require('./mail.service');
+const { getWaitlistConfig } = require('../config/waitlist.config');
+const createError = require('../utils/createError');
+const logger = require('../utils/logger');
+
+const HOUR_MS = 60 * 60 * 1000;
+
+// Open entries as of `now`; offers past their expiry count as closed even
+// before the sweep has marked them expired
+const openAt = now => ({ $or: [{ status: 'waiting' }, { status: 'offered', offerExpiresAt: { $gt: now } }] });
+
+const isDuplicateKey = error => error && error.code === 11000;
+
+/**
+ * Waitlist Service Class
+ *
+ * Keeps the seat count of a course (its `students` roster and
+ * `currentEnrollment`) and the queue of students waiting for a seat. A freed
+ * seat is offered to the student who has waited longest and held for them
+ * for the configured claim window; seats held by open offers are not
+ * available to anyone else. Offers are expired, and the next students
+ * promoted, whenever a seat or the waitlist of a course changes, and by a
+ * periodic sweep (see startSweep); reads never write.
+ */
+class WaitlistService {
+  constructor() {
+    this.sweepTimer = null;
+    this.sweeping = false;
+  }
+
+  /**
+   * Number of seats held by unexpired offers
+   * @param {string} courseId - Course ID
+   * @returns {Promise<number>} Held seats
+   */
+  async countHeldSeats(courseId) {
+    return WaitlistEntry.countDocuments({ course: courseId, status: 'offered', offerExpiresAt: { $gt: new Date() } });
+  }
+
+  /**
+   * Close the unclaimed offers of a course whose claim window has passed
+   * @param {string} courseId - Course ID
+   * @param {Date} [now] - Current time
+   */
+  async expireOffers(courseId, now = new Date()) {
+    await WaitlistEntry.updateMany(
+      { course: courseId, status: 'offered', offerExpiresAt: { $lte: now } },
+      { status: 'expired', closedAt: now }
+    );
+  }
+
+  /**
+   * Expire unclaimed offers and offer the free seats of a course to the
+   * next students in line. Each entry is claimed with a conditional update,
+   * so concurrent promotions never offer the same entry twice; a claim that
+   * would hold more seats than are free is handed back to the queue.
+   * @param {string} courseId - Course ID
+   * @returns {Promise<Array>} Entries promoted to an offer
+   */
+  async promote(courseId) {
+    try {
+      const now = new Date();
+      await this.expireOffers(courseId, now);
+
+      const course = await Course.findById(courseId).select('code name title status maxStudents currentEnrollment');
+      if (!course || course.status !== 'active') return [];
+
+      const freeSeats = course.maxStudents - course.currentEnrollment - await this.countHeldSeats(courseId);
+      if (freeSeats <= 0) return [];
+
+      const { claimWindowHours } = getWaitlistConfig();
+      const offerExpiresAt = new Date(now.getTime() + claimWindowHours * HOUR_MS);
+      const promoted = [];
+      for (let seat = 0; seat < freeSeats; seat++) {
+        const entry = await WaitlistEntry.findOneAndUpdate(
+          { course: courseId, status: 'waiting' },
+          { $set: { status: 'offered', offeredAt: now, offerExpiresAt } },
+          { sort: { createdAt: 1 }, new: true }
+        );
+        if (!entry) break;
+
+        // Another promotion may have offered the same seat meanwhile; the
+        // entry keeps its place and the next promotion or sweep retries
+        const current = await Course.findById(courseId).select('maxStudents currentEnrollment').lean();
+        if (current.currentEnrollment + await this.countHeldSeats(courseId) > current.maxStudents) {
+          await WaitlistEntry.updateOne(
+            { _id: entry._id, status: 'offered' },
+            { $set: { status: 'waiting' }, $unset: { offeredAt: 1, offerExpiresAt: 1 } }
+          );
+          break;
+        }
+        promoted.push(entry);
+
+        const student = await User.findById(entry.student).select('firstName email');
+        if (student) {
+          try {
+            await mailService.sendWaitlistOffer(student, course, entry.offerExpiresAt);
+          } catch (mailError) {
+            logger.error(`Failed to send waitlist offer to ${student.email}:`, mailError);
+          }
+        }
+        logger.info(`Seat in course ${course.code} offered to student ${entry.student} until ${entry.offerExpiresAt.toISOString()}`);
+      }
+
+      return promoted;
+    } catch (error) {
+      logger.error('Error promoting waitlist:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Promote every course with an expired offer or a waiting student, so
+   * seats move down the line even when nobody touches the course
+   * @returns {Promise<number>} Number of offers made
+   */
+  async sweep() {
+    if (this.sweeping) return 0;
+    this.sweeping = true;
+
+    try {
+      const courseIds = await WaitlistEntry.distinct('course', {
+        $or: [{ status: 'waiting' }, { status: 'offered', offerExpiresAt: { $lte: new Date() } }]
+      });
+
+      let offered = 0;
+      for (const courseId of courseIds) {
+        try {
+          offered += (await this.promote(courseId)).length;
+        } catch (error) {
+          logger.error(`Waitlist sweep failed for course ${courseId}:`, error);
+        }
+      }
+      return offered;
+    } finally {
+      this.sweeping = false;
+    }
+  }
+
+  /**
+   * Run the sweep every `sweepIntervalMinutes` (see waitlist.config)
+   */
+  startSweep() {
+    const { sweepIntervalMinutes } = getWaitlistConfig();
+    if (this.sweepTimer || sweepIntervalMinutes <= 0) return;
+
+    this.sweepTimer = setInterval(() => {
+      this.sweep().catch(error => logger.error('Error sweeping waitlists:', error));
+    }, sweepIntervalMinutes * 60 * 1000);
+    // The sweep alone does not keep the process alive
+    this.sweepTimer.unref();
+  }
+
+  /**
+   * Stop the periodic sweep
+   */
+  stopSweep() {
+    clearInterval(this.sweepTimer);
+    this.sweepTimer = null;
+  }
+
+  /**
+   * Give a student a seat in a course. Free seats go to waitlisted students
+   * first; a student holding an offer takes the seat held for them.
+   * @param {Object} course - Course document
+   * @param {string} studentId - Student user ID
+   * @returns {Promise<Object|null>} Updated course, or null if no seat is free for the student
+   */
+  async takeSeat(course, studentId) {
+    try {
+      await this.promote(course._id);
+
+      const offer = await WaitlistEntry.findOne({ course: course._id, student: studentId, status: 'offered' });
+      const heldForOthers = await this.countHeldSeats(course._id) - (offer ? 1 : 0);
+
+      const updated = await Course.findOneAndUpdate(
+        {
+          _id: course._id,
+          students: { $ne: studentId },
+          $expr: { $lt: [{ $add: ['$currentEnrollment', heldForOthers] }, '$maxStudents'] }
+        },
+        { $push: { students: studentId }, $inc: { currentEnrollment: 1 } },
+        { new: true }
+      );
+      if (!updated) return null;
+
+      // A seat taken by a waitlisted student closes their entry
+      await WaitlistEntry.updateMany(
+        { course: course._id, student: studentId, open: true },
+        { status: 'enrolled', closedAt: new Date() }
+      );
+
+      return updated;
+    } catch (error) {
+      logger.error('Error taking course seat:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Give back a student's seat in a course and promote the next student in line
+   * @param {string} courseId - Course ID
+   * @param {string} studentId - Student user ID
+   * @returns {Promise<Object|null>} Updated course, or null if the student held no seat
+   */
+  async releaseSeat(courseId, studentId) {
+    try {
+      const updated = await Course.findOneAndUpdate(
+        { _id: courseId, students: studentId, currentEnrollment: { $gt: 0 } },
+        { $pull: { students: studentId }, $inc: { currentEnrollment: -1 } },
+        { new: true }
+      );
+      if (updated) {
+        await this.promote(courseId);
+      }
+      return updated;
+    } catch (error) {
+      logger.error('Error releasing course seat:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Put a student at the end of the waitlist of a course
+   * @param {Object} course - Course document
+   * @param {string} studentId - Student user ID
+   * @returns {Promise<Object>} Waitlist position
+   */
+  async joinWaitlist(course, studentId) {
+    try {
+      // A lapsed offer no longer keeps the student on the list
+      await this.expireOffers(course._id);
+
+      // The unique index on open entries turns a double submit into a 409
+      try {
+        await WaitlistEntry.create({ course: course._id, student: studentId });
+      } catch (error) {
+        if (isDuplicateKey(error)) {
+          throw createError(409, `Student is already on the waitlist for ${course.code}`);
+        }
+        throw error;
+      }
+      logger.info(`Student ${studentId} joined the waitlist for course ${course.code}`);
+
+      // A seat may have freed up in the meantime
+      await this.promote(course._id);
+      return this.getPosition(course._id, studentId);
+    } catch (error) {
+      logger.error('Error joining waitlist:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Take a student off the waitlist of a course. A seat they were offered
+   * passes to the next student in line.
+   * @param {string} courseId - Course ID
+   * @param {string} studentId - Student user ID
+   */
+  async leaveWaitlist(courseId, studentId) {
+    try {
+      const now = new Date();
+      // Returns the entry as it was, so a held offer can be passed on
+      const entry = await WaitlistEntry.findOneAndUpdate(
+        { course: courseId, student: studentId, ...openAt(now) },
+        { status: 'withdrawn', closedAt: now }
+      );
+      if (!entry) {
+        throw createError(404, 'Student is not on the waitlist for this course');
+      }
+
+      if (entry.status === 'offered') {
+        await this.promote(courseId);
+      }
+      logger.info(`Student ${studentId} left the waitlist for course ${courseId}`);
+    } catch (error) {
+      logger.error('Error leaving waitlist:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * A student's place on the waitlist of a course
+   * @param {string} courseId - Course ID
+   * @param {string} studentId - Student user ID
+   * @returns {Promise<Object|null>} { status, position, waiting, offerExpiresAt, joinedAt }, or null if not on the waitlist
+   */
+  async getPosition(courseId, studentId) {
+    try {
+      const entry = await WaitlistEntry.findOne({ course: courseId, student: studentId, ...openAt(new Date()) });
+      if (!entry) return null;
+
+      const waiting = await WaitlistEntry.countDocuments({ course: courseId, status: 'waiting' });
+      const position = entry.status === 'waiting'
+        ? await WaitlistEntry.countDocuments({ course: courseId, status: 'waiting', createdAt: { $lt: entry.createdAt } }) + 1
+        : null;
+
+      return {
+        status: entry.status,
+        position,
+        waiting,
+        offerExpiresAt: entry.offerExpiresAt || null,
+        joinedAt: entry.createdAt
+      };
+    } catch (error) {
+      logger.error('Error getting waitlist position:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * The waitlist of a course in order, for the course's teaching staff and
+   * holders of courses.manage for its department
+   * @param {string} courseId - Course ID
+   * @param {Object} user - Requesting user
+   * @returns {Promise<Object>} { course, offered, waiting }
+   */
+  async getWaitlist(courseId, user) {
+    try {
+      const course = await Course.findById(courseId).select('code name title faculty department maxStudents currentEnrollment');
+      if (!course) {
+        throw createError(404, 'Course not found');
+      }
+
+      const scope = await sectionService.getTeachingScope(course, user._id);
+      if (!scope) {
+        // Course staff whose role includes roster.view, and course managers
+        const allowed = await courseStaffService.hasCapability(course._id, user, 'roster.view');
+        if (!allowed) {
+          throw createError(403, 'Only the course\'s teaching staff or course managers can view its waitlist');
+        }
+      }
+
+      const entries = await WaitlistEntry.find({ course: course._id, ...openAt(new Date()) })
+        .populate('student', 'firstName lastName email studentId')
+        .sort({ createdAt: 1 })
+        .lean();
+
+      const waiting = entries
+        .filter(entry => entry.status === 'waiting')
+        .map((entry, index) => ({ ...entry, position: index + 1 }));
+
+      return {
+        course: {
+          _id: course._id,
+          code: course.code,
+          name: course.name || course.title,
+          maxStudents: course.maxStudents,
+          currentEnrollment: course.currentEnrollment
+        },
+        offered: entries.filter(entry => entry.status === 'offered'),
+        waiting
+      };
+    } catch (error) {
+      logger.error('Error getting waitlist:', error);
+      throw error;
+    }
+  }
+}
+
+module.exports = new WaitlistService();
@@ -0,0 +1,184 @@
+const request = require('supertest');
+const mongoose = require('mongoose');
+const { MongoMemoryServer } = require('mongodb-memory-server');
+const app = require('../../server');
+const User = require('../models/user.model');
+const AuditLog = require('../models/auditLog.model');
+
+let mongoServer;
+
+beforeAll(async () => {
+  mongoServer = await MongoMemoryServer.create();
+  const mongoUri = mongoServer.getUri();
+  await mongoose.connect(mongoUri);
+});
+
+afterAll(async () => {
+  await mongoose.disconnect();
+  await mongoServer.stop();
+});
+
+beforeEach(async () => {
+  await User.collection.deleteMany({});
+  // The model refuses deletes, so clear the collection directly
+  await AuditLog.collection.deleteMany({});
+});
+
+describe('Audit log', () => {
+  let admin;
+  let student;
+  let adminToken;
+  let studentToken;
+
+  beforeEach(async () => {
+    admin = await User.create({
+      firstName: 'Admin',
+      lastName: 'User',
+      email: 'admin@test.com',
+      password: 'AdminPass123',
+      role: 'admin',
+      isActive: true
+    });
+
+    student = await User.create({
+      firstName: 'Student',
+      lastName: 'User',
+      email: 'student@test.com',
+      password: 'Password123',
+      role: 'student',
+      studentId: 'STU001',
+      isActive: true
+    });
+
+    const adminLogin = await request(app)
+      .post('/api/v1/auth/login')
+      .set('User-Agent', 'audit-test')
+      .send({ email: 'admin@test.com', password: 'AdminPass123' });
+    adminToken = adminLogin.body.data.accessToken;
+
+    const studentLogin = await request(app)
+      .post('/api/v1/auth/login')
+      .send({ email: 'student@test.com', password: 'Password123' });
+    studentToken = studentLogin.body.data.accessToken;
+  });
+
+  test('should record who changed a record with a diff of the changed fields', async () => {
+    await request(app)
+      .put(`/api/v1/users/${student._id}`)
+      .set('Authorization', `Bearer ${adminToken}`)
+      .set('User-Agent', 'audit-test')
+      .send({ firstName: 'Renamed' })
+      .expect(200);
+
+    const entry = await AuditLog.findOne({ entityType: 'User', entityId: student._id, action: 'update' });
+
+    expect(entry.actor.user.toString()).toBe(admin._id.toString());
+    expect(entry.actor.email).toBe('admin@test.com');
+    expect(entry.userAgent).toBe('audit-test');
+    expect(entry.changes.map(change => change.toObject())).toEqual([
+      { path: 'firstName', before: 'Student', after: 'Renamed' }
+    ]);
+  });
+
+  test('should record creates, deletes and domain events with secrets redacted', async () => {
+    const created = await AuditLog.findOne({ entityId: student._id, action: 'create' });
+    const password = created.changes.find(change => change.path === 'password');
+    expect(password.after).toBe('[REDACTED]');
+
+    const login = await AuditLog.findOne({ entityId: admin._id, action: 'login' });
+    expect(login.userAgent).toBe('audit-test');
+
+    await request(app)
+      .delete(`/api/v1/users/${student._id}`)
+      .set('Authorization', `Bearer ${adminToken}`)
+      .expect(200);
+
+    const deleted = await AuditLog.findOne({ entityId: student._id, action: 'delete' });
+    expect(deleted.actor.email).toBe('admin@test.com');
+    expect(deleted.changes.find(change => change.path === 'email').before).toBe('student@test.com');
+  });
+
+  test('should filter entries for admins and refuse other users', async () => {
+    await request(app)
+      .put(`/api/v1/users/${student._id}`)
+      .set('Authorization', `Bearer ${adminToken}`)
+      .send({ lastName: 'Changed' });
+
+    const response = await request(app)
+      .get('/api/v1/audit-logs')
+      .query({ entityId: student._id.toString(), action: 'update', actor: 'admin@test.com' })
+      .set('Authorization', `Bearer ${adminToken}`);
+
+    expect(response.status).toBe(200);
+    expect(response.body.data).toHaveLength(1);
+    expect(response.body.data[0].changes[0].path).toBe('lastName');
+
+    const forbidden = await request(app)
+      .get('/api/v1/audit-logs')
+      .set('Authorization', `Bearer ${studentToken}`);
+
+    expect(forbidden.status).toBe(403);
+  });
+
+  test('should export entries as CSV', async () => {
+    const response = await request(app)
+      .get('/api/v1/audit-logs/export')
+      .query({ format: 'csv', entityId: admin._id.toString(), action: 'login' })
+      .set('Authorization', `Bearer ${adminToken}`);
+
+    expect(response.status).toBe(200);
+    expect(response.headers['content-disposition']).toMatch(/audit-log-.*\.csv/);
+
+    const lines = response.text.trim().split('\r\n');
+    expect(lines[0]).toBe('Timestamp,Action,Entity Type,Entity ID,Actor,Actor Role,Impersonated By,IP Address,User Agent,Changes');
+    expect(lines).toHaveLength(2);
+    expect(lines[1]).toContain(',login,User,');
+  });
+
+  test('should export bulk entries, which have no entity ID', async () => {
+    await AuditLog.create({
+      action: 'bulk_update',
+      entityType: 'User',
+      details: { matched: 150, modified: 150, fields: ['phone'] }
+    });
+
+    const response = await request(app)
+      .get('/api/v1/audit-logs/export')
+      .query({ format: 'csv', action: 'bulk_update' })
+      .set('Authorization', `Bearer ${adminToken}`);
+
+    expect(response.status).toBe(200);
+    const lines = response.text.trim().split('\r\n');
+    expect(lines).toHaveLength(2);
+    expect(lines[1]).toContain(',bulk_update,User,,');
+  });
+
+  test('should itemize small multi-document writes and summarise large ones', async () => {
+    await User.updateMany({ role: 'student' }, { $set: { phone: '5550100' } });
+
+    const itemized = await AuditLog.find({ entityType: 'User', action: 'update', entityId: student._id });
+    expect(itemized).toHaveLength(1);
+    expect(itemized[0].changes.map(change => change.path)).toEqual(['phone']);
+
+    await User.insertMany(Array.from({ length: 100 }, (_, i) => ({
+      firstName: 'Bulk',
+      lastName: `User${i}`,
+      email: `bulk${i}@test.com`,
+      password: 'Password123',
+      role: 'student'
+    })));
+    expect(await AuditLog.countDocuments({ entityType: 'User', action: 'create' })).toBe(102);
+
+    await User.updateMany({ role: 'student' }, { $set: { phone: '5550101' } });
+    expect(await AuditLog.countDocuments({ entityType: 'User', action: 'update' })).toBe(1);
+
+    const bulk = await AuditLog.findOne({ entityType: 'User', action: 'bulk_update' });
+    expect(bulk.entityId).toBeNull();
+    expect(bulk.details).toMatchObject({ matched: 101, modified: 101, fields: ['phone'] });
+  });
+
+  test('should not allow entries to be modified or deleted', async () => {
+    await expect(AuditLog.updateMany({}, { action: 'tampered' })).rejects.toThrow('Audit log entries cannot be modified or deleted');
+    await expect(AuditLog.deleteMany({})).rejects.toThrow('Audit log entries cannot be modified or deleted');
+  });
+});
@@ -0,0 +1,141 @@
+const request = require('supertest');
+const mongoose = require('mongoose');
+const { MongoMemoryServer } = require('mongodb-memory-server');
+const app = require('../../server');
+const User = require('../models/user.model');
+const Session = require('../models/session.model');
+
+let mongoServer;
+
+beforeAll(async () => {
+  mongoServer = await MongoMemoryServer.create();
+  const mongoUri = mongoServer.getUri();
+  await mongoose.connect(mongoUri);
+});
+
+afterAll(async () => {
+  await mongoose.disconnect();
+  await mongoServer.stop();
+});
+
+beforeEach(async () => {
+  await User.deleteMany({});
+  await Session.deleteMany({});
+});
+
+describe('Auth Sessions', () => {
+  const login = (userAgent) => request(app)
+    .post('/api/v1/auth/login')
+    .set('User-Agent', userAgent)
+    .send({
+      email: 'student@test.com',
+      password: 'StudentPass123'
+    });
+
+  beforeEach(async () => {
+    await User.create({
+      firstName: 'Student',
+      lastName: 'User',
+      email: 'student@test.com',
+      password: 'StudentPass123',
+      role: 'student',
+      isActive: true
+    });
+  });
+
+  test('should keep separate sessions per device', async () => {
+    const laptop = await login('Laptop Browser');
+    const phone = await login('Phone App');
+
+    const laptopRefresh = await request(app)
+      .post('/api/v1/auth/refresh')
+      .send({ refreshToken: laptop.body.data.refreshToken });
+
+    expect(laptopRefresh.status).toBe(200);
+
+    const response = await request(app)
+      .get('/api/v1/auth/sessions')
+      .set('Authorization', `Bearer ${phone.body.data.accessToken}`);
+
+    expect(response.status).toBe(200);
+    expect(response.body.data).toHaveLength(2);
+    expect(response.body.data.filter(session => session.current)).toHaveLength(1);
+  });
+
+  test('should rotate refresh tokens and revoke the session on reuse', async () => {
+    const loginResponse = await login('Laptop Browser');
+    const firstRefreshToken = loginResponse.body.data.refreshToken;
+
+    const rotated = await request(app)
+      .post('/api/v1/auth/refresh')
+      .send({ refreshToken: firstRefreshToken });
+
+    expect(rotated.status).toBe(200);
+    expect(rotated.body.data.refreshToken).not.toBe(firstRefreshToken);
+
+    // Replaying the old token revokes the whole session
+    const replay = await request(app)
+      .post('/api/v1/auth/refresh')
+      .send({ refreshToken: firstRefreshToken });
+
+    expect(replay.status).toBe(401);
+
+    const afterReuse = await request(app)
+      .post('/api/v1/auth/refresh')
+      .send({ refreshToken: rotated.body.data.refreshToken });
+
+    expect(afterReuse.status).toBe(401);
+
+    const session = await Session.findOne({});
+    expect(session.revokedReason).toBe('reuse_detected');
+  });
+
+  test('should revoke another device session', async () => {
+    const laptop = await login('Laptop Browser');
+    const phone = await login('Phone App');
+
+    const sessions = await request(app)
+      .get('/api/v1/auth/sessions')
+      .set('Authorization', `Bearer ${laptop.body.data.accessToken}`);
+
+    const phoneSession = sessions.body.data.find(session => !session.current);
+
+    const response = await request(app)
+      .delete(`/api/v1/auth/sessions/${phoneSession.id}`)
+      .set('Authorization', `Bearer ${laptop.body.data.accessToken}`);
+
+    expect(response.status).toBe(200);
+
+    const phoneProfile = await request(app)
+      .get('/api/v1/auth/profile')
+      .set('Authorization', `Bearer ${phone.body.data.accessToken}`);
+
+    expect(phoneProfile.status).toBe(401);
+
+    const laptopProfile = await request(app)
+      .get('/api/v1/auth/profile')
+      .set('Authorization', `Bearer ${laptop.body.data.accessToken}`);
+
+    expect(laptopProfile.status).toBe(200);
+  });
+
+  test('should only log out the current device', async () => {
+    const laptop = await login('Laptop Browser');
+    const phone = await login('Phone App');
+
+    await request(app)
+      .post('/api/v1/auth/logout')
+      .set('Authorization', `Bearer ${laptop.body.data.accessToken}`);
+
+    const laptopRefresh = await request(app)
+      .post('/api/v1/auth/refresh')
+      .send({ refreshToken: laptop.body.data.refreshToken });
+
+    const phoneRefresh = await request(app)
+      .post('/api/v1/auth/refresh')
+      .send({ refreshToken: phone.body.data.refreshToken });
+
+    expect(laptopRefresh.status).toBe(401);
+    expect(phoneRefresh.status).toBe(200);
+  });
+});
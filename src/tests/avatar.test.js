@@ -0,0 +1,146 @@
+const request = require('supertest');
+const mongoose = require('mongoose');
+const { MongoMemoryServer } = require('mongodb-memory-server');
+const app = require('../../server');
+const User = require('../models/user.model');
+
+let mongoServer;
+
+beforeAll(async () => {
+  mongoServer = await MongoMemoryServer.create();
+  const mongoUri = mongoServer.getUri();
+  await mongoose.connect(mongoUri);
+});
+
+afterAll(async () => {
+  await mongoose.disconnect();
+  await mongoServer.stop();
+});
+
+beforeEach(async () => {
+  await User.deleteMany({});
+});
+
+const login = async (email, password) => {
+  const response = await request(app)
+    .post('/api/v1/auth/login')
+    .send({ email, password });
+  return response.body.data.accessToken;
+};
+
+describe('Avatars', () => {
+  let admin;
+  let student;
+  let adminToken;
+  let studentToken;
+
+  beforeEach(async () => {
+    admin = await User.create({
+      firstName: 'Admin',
+      lastName: 'User',
+      email: 'admin@test.com',
+      password: 'AdminPass123',
+      role: 'admin',
+      isActive: true
+    });
+
+    student = await User.create({
+      firstName: 'Student',
+      lastName: 'User',
+      email: 'student@test.com',
+      password: 'Password123',
+      role: 'student',
+      studentId: 'STU001',
+      isActive: true
+    });
+
+    adminToken = await login('admin@test.com', 'AdminPass123');
+    studentToken = await login('student@test.com', 'Password123');
+  });
+
+  test('should require an image in the avatar field', async () => {
+    const response = await request(app)
+      .put('/api/v1/auth/profile/avatar')
+      .set('Authorization', `Bearer ${studentToken}`);
+
+    expect(response.status).toBe(400);
+    expect(response.body.message).toBe('An image file is required in the "avatar" field');
+  });
+
+  test('should reject files that only look like images', async () => {
+    const response = await request(app)
+      .put('/api/v1/auth/profile/avatar')
+      .set('Authorization', `Bearer ${studentToken}`)
+      .attach('avatar', Buffer.from('<script>alert(1)</script>'), { filename: 'me.png', contentType: 'image/png' });
+
+    expect(response.status).toBe(400);
+    expect(response.body.message).toBe('The uploaded file is not a JPEG, PNG, GIF or WebP image');
+
+    const user = await User.findById(student._id);
+    expect(user.avatar).toBeNull();
+  });
+
+  test('should not let the avatar be set through the profile update', async () => {
+    await request(app)
+      .put('/api/v1/auth/profile')
+      .set('Authorization', `Bearer ${studentToken}`)
+      .send({ firstName: 'Renamed', avatar: 'https://example.com/unmoderated.png' })
+      .expect(400);
+
+    const user = await User.findById(student._id);
+    expect(user.firstName).not.toBe('Renamed');
+    expect(user.avatar).toBeNull();
+  });
+
+  test('should let moderators remove an avatar with a reason', async () => {
+    await User.updateOne({ _id: student._id }, { avatar: 'https://example.com/old-avatar.png' });
+
+    await request(app)
+      .patch(`/api/v1/users/${student._id}/avatar`)
+      .set('Authorization', `Bearer ${studentToken}`)
+      .send({ decision: 'remove', reason: 'Not a photo of the student' })
+      .expect(403);
+
+    const withoutReason = await request(app)
+      .patch(`/api/v1/users/${student._id}/avatar`)
+      .set('Authorization', `Bearer ${adminToken}`)
+      .send({ decision: 'remove' });
+    expect(withoutReason.status).toBe(400);
+
+    const removed = await request(app)
+      .patch(`/api/v1/users/${student._id}/avatar`)
+      .set('Authorization', `Bearer ${adminToken}`)
+      .send({ decision: 'remove', reason: 'Not a photo of the student' });
+    expect(removed.status).toBe(200);
+    expect(removed.body.data.avatar).toBeNull();
+
+    const user = await User.findById(student._id);
+    const entry = user.auditTrail.find(item => item.action === 'avatar_removed');
+    expect(entry.details).toBe(`Removed by ${admin.email}: Not a photo of the student`);
+  });
+
+  test('should list avatars awaiting approval', async () => {
+    const uploadedAt = new Date();
+    await User.updateOne({ _id: student._id }, {
+      pendingAvatar: {
+        publicId: 'smart-campus/avatars/pending',
+        variants: { large: 'https://example.com/l.png', medium: 'https://example.com/m.png', small: 'https://example.com/s.png' },
+        uploadedAt
+      }
+    });
+
+    const response = await request(app)
+      .get('/api/v1/users/avatars?status=pending')
+      .set('Authorization', `Bearer ${adminToken}`)
+      .expect(200);
+
+    expect(response.body.data).toHaveLength(1);
+    expect(response.body.data[0].email).toBe('student@test.com');
+
+    const approveMissing = await request(app)
+      .patch(`/api/v1/users/${admin._id}/avatar`)
+      .set('Authorization', `Bearer ${adminToken}`)
+      .send({ decision: 'approve' });
+    expect(approveMissing.status).toBe(404);
+  });
+});
@@ -0,0 +1,243 @@
+const request = require('supertest');
+const mongoose = require('mongoose');
+const { MongoMemoryServer } = require('mongodb-memory-server');
+const app = require('../../server');
+const User = require('../models/user.model');
+const Course = require('../models/course.model');
+const Section = require('../models/section.model');
+const Enrollment = require('../models/enrollment.model');
+const Assignment = require('../models/assignment.model');
+const Event = require('../models/event.model');
+const CalendarFeed = require('../models/calendarFeed.model');
+const { buildTimezone } = require('../utils/ical');
+
+let mongoServer;
+
+beforeAll(async () => {
+  mongoServer = await MongoMemoryServer.create();
+  const mongoUri = mongoServer.getUri();
+  await mongoose.connect(mongoUri);
+});
+
+afterAll(async () => {
+  await mongoose.disconnect();
+  await mongoServer.stop();
+});
+
+beforeEach(async () => {
+  await User.deleteMany({});
+  await Course.deleteMany({});
+  await Section.deleteMany({});
+  await Enrollment.deleteMany({});
+  await Assignment.deleteMany({});
+  await Event.deleteMany({});
+  await CalendarFeed.deleteMany({});
+});
+
+const login = async (email, password) => {
+  const response = await request(app)
+    .post('/api/v1/auth/login')
+    .send({ email, password });
+  return response.body.data.accessToken;
+};
+
+// Unfold folded lines so assertions can match whole properties
+const readFeed = async (url) => {
+  const path = new URL(url).pathname;
+  const response = await request(app).get(path).expect(200);
+  expect(response.headers['content-type']).toMatch(/^text\/calendar/);
+  return response.text.replace(/\r\n /g, '');
+};
+
+describe('Calendar feeds', () => {
+  let admin;
+  let faculty;
+  let sectionFaculty;
+  let student;
+  let course;
+  let section;
+  let adminToken;
+  let facultyToken;
+  let sectionFacultyToken;
+  let studentToken;
+
+  beforeEach(async () => {
+    admin = await User.create({
+      firstName: 'Admin',
+      lastName: 'User',
+      email: 'admin@test.com',
+      password: 'AdminPass123',
+      role: 'admin',
+      isActive: true
+    });
+
+    [faculty, sectionFaculty] = await Promise.all(['faculty', 'section'].map(name => User.create({
+      firstName: name,
+      lastName: 'Member',
+      email: `${name}@test.com`,
+      password: 'Password123',
+      role: 'faculty',
+      isActive: true
+    })));
+
+    student = await User.create({
+      firstName: 'Jane',
+      lastName: 'Smith',
+      email: 'student@test.com',
+      password: 'Password123',
+      role: 'student',
+      studentId: 'STU001',
+      isActive: true
+    });
+
+    course = await Course.create({
+      name: 'Algorithms',
+      code: 'CS201',
+      faculty: faculty._id,
+      department: new mongoose.Types.ObjectId(),
+      program: new mongoose.Types.ObjectId(),
+      semester: 1,
+      year: 2024,
+      creditHours: 3,
+      maxStudents: 30,
+      status: 'active',
+      // Term starts on a Tuesday
+      startDate: new Date('2024-09-03'),
+      endDate: new Date('2024-12-13'),
+      location: { building: 'Science Hall', room: '101' },
+      schedule: [{ day: 'Monday', startTime: '09:00', endTime: '10:30', type: 'Lecture' }],
+      createdBy: admin._id
+    });
+
+    section = await Section.create({
+      course: course._id,
+      code: 'A',
+      faculty: sectionFaculty._id,
+      maxStudents: 30,
+      location: { building: 'Lab Block', room: '2' },
+      schedule: [{ day: 'Thursday', startTime: '14:00', endTime: '16:00', type: 'Lab' }],
+      createdBy: admin._id
+    });
+
+    await Enrollment.create({
+      student: student._id,
+      program: course.program,
+      semester: 1,
+      academicYear: '2024-2025',
+      courses: [course._id],
+      sections: [{ course: course._id, section: section._id }],
+      status: 'active',
+      createdBy: admin._id
+    });
+
+    const dueDate = new Date(Date.now() + 7 * 24 * 60 * 60 * 1000);
+    await Assignment.create({
+      title: 'Sorting Homework',
+      description: 'Implement merge sort',
+      course: course._id,
+      faculty: faculty._id,
+      dueDate,
+      extendedDueDate: new Date(dueDate.getTime() + 24 * 60 * 60 * 1000),
+      totalPoints: 100,
+      status: 'published',
+      isVisible: true,
+      createdBy: faculty._id
+    });
+
+    const eventDate = new Date(Date.now() + 3 * 24 * 60 * 60 * 1000);
+    await Event.create({
+      title: 'Career Fair',
+      description: 'Meet employers on campus',
+      eventType: 'other',
+      category: 'public',
+      startDate: eventDate,
+      endDate: eventDate,
+      startTime: '10:00',
+      endTime: '15:00',
+      location: { venue: 'Main Hall' },
+      organizer: admin._id,
+      status: 'published',
+      attendees: [{ user: student._id, status: 'registered' }]
+    });
+
+    adminToken = await login('admin@test.com', 'AdminPass123');
+    facultyToken = await login('faculty@test.com', 'Password123');
+    sectionFacultyToken = await login('section@test.com', 'Password123');
+    studentToken = await login('student@test.com', 'Password123');
+  });
+
+  const createFeed = (token) => request(app)
+    .post('/api/v1/calendar/feed')
+    .set('Authorization', `Bearer ${token}`)
+    .expect(201);
+
+  test('should publish a student timetable behind a secret URL', async () => {
+    const created = await createFeed(studentToken);
+    expect(created.body.data.url).toMatch(/\/api\/v1\/calendar\/feeds\/[\w-]+\.ics$/);
+    expect(created.body.data.webcalUrl).toMatch(/^webcal:/);
+
+    const calendar = await readFeed(created.body.data.url);
+    expect(calendar).toContain('BEGIN:VCALENDAR');
+    expect(calendar).toContain('SUMMARY:CS201 Lecture: Algorithms');
+    expect(calendar).toContain('DTSTART;TZID=UTC:20240909T090000');
+    expect(calendar).toContain('BEGIN:VTIMEZONE\r\nTZID:UTC\r\nBEGIN:STANDARD');
+    expect(calendar).toContain('RRULE:FREQ=WEEKLY;BYDAY=MO;UNTIL=20241213T235959Z');
+    expect(calendar).toContain('SUMMARY:CS201 (section A) Lab: Algorithms');
+    expect(calendar).toContain('RRULE:FREQ=WEEKLY;BYDAY=TH;UNTIL=20241213T235959Z');
+    expect(calendar).toContain('LOCATION:Lab Block - 2');
+    expect(calendar).toContain('SUMMARY:CS201 Due: Sorting Homework');
+    expect(calendar).toContain('SUMMARY:CS201 Extended deadline: Sorting Homework');
+    expect(calendar).toContain('SUMMARY:Career Fair');
+
+    const status = await request(app)
+      .get('/api/v1/calendar/feed')
+      .set('Authorization', `Bearer ${studentToken}`)
+      .expect(200);
+    expect(status.body.data.active).toBe(true);
+    expect(status.body.data.lastAccessedAt).not.toBeNull();
+  });
+
+  test('should describe daylight saving changes of the calendar time zone', () => {
+    const timezone = buildTimezone('America/New_York', 2025, 2025).join('\n');
+    expect(timezone).toContain('TZID:America/New_York');
+    expect(timezone).toContain('BEGIN:DAYLIGHT\nDTSTART:20250309T020000\nTZOFFSETFROM:-0500\nTZOFFSETTO:-0400');
+    expect(timezone).toContain('BEGIN:STANDARD\nDTSTART:20251102T020000\nTZOFFSETFROM:-0400\nTZOFFSETTO:-0500');
+  });
+
+  test('should publish the teaching timetable of faculty', async () => {
+    const coordinator = await readFeed((await createFeed(facultyToken)).body.data.url);
+    expect(coordinator).toContain('SUMMARY:CS201 Lecture: Algorithms');
+    expect(coordinator).toContain('SUMMARY:CS201 Due: Sorting Homework');
+    expect(coordinator).not.toContain('Career Fair');
+
+    const sectionTeacher = await readFeed((await createFeed(sectionFacultyToken)).body.data.url);
+    expect(sectionTeacher).toContain('SUMMARY:CS201 (section A) Lab: Algorithms');
+    expect(sectionTeacher).not.toContain('SUMMARY:CS201 Lecture');
+  });
+
+  test('should revoke feed URLs', async () => {
+    const first = await createFeed(studentToken);
+    const second = await createFeed(studentToken);
+
+    // Creating a new URL revokes the previous one
+    await request(app).get(new URL(first.body.data.url).pathname).expect(404);
+    await readFeed(second.body.data.url);
+
+    await request(app)
+      .delete('/api/v1/calendar/feed')
+      .set('Authorization', `Bearer ${studentToken}`)
+      .expect(200);
+    await request(app).get(new URL(second.body.data.url).pathname).expect(404);
+
+    const third = await createFeed(studentToken);
+    await request(app)
+      .delete(`/api/v1/calendar/feeds/${student._id}`)
+      .set('Authorization', `Bearer ${facultyToken}`)
+      .expect(403);
+    await request(app)
+      .delete(`/api/v1/calendar/feeds/${student._id}`)
+      .set('Authorization', `Bearer ${adminToken}`)
+      .expect(200);
+    await request(app).get(new URL(third.body.data.url).pathname).expect(404);
+  });
+});
@@ -0,0 +1,329 @@
+const request = require('supertest');
+const mongoose = require('mongoose');
+const { MongoMemoryServer } = require('mongodb-memory-server');
+const app = require('../../server');
+const User = require('../models/user.model');
+const Course = require('../models/course.model');
+const AttendanceSession = require('../models/attendanceSession.model');
+const CourseGrade = require('../models/courseGrade.model');
+const Assignment = require('../models/assignment.model');
+const Submission = require('../models/submission.model');
+const Enrollment = require('../models/enrollment.model');
+const Section = require('../models/section.model');
+const courseGradeService = require('../services/courseGrade.service');
+const totp = require('../utils/totp');
+const { zonedTime } = require('../utils/timezone');
+const { getCalendarConfig } = require('../config/calendar.config');
+
+let mongoServer;
+
+beforeAll(async () => {
+  mongoServer = await MongoMemoryServer.create();
+  const mongoUri = mongoServer.getUri();
+  await mongoose.connect(mongoUri);
+});
+
+afterAll(async () => {
+  await mongoose.disconnect();
+  await mongoServer.stop();
+});
+
+beforeEach(async () => {
+  await User.deleteMany({});
+  await Course.deleteMany({});
+  await AttendanceSession.deleteMany({});
+  await CourseGrade.deleteMany({});
+  await Assignment.deleteMany({});
+  await Submission.deleteMany({});
+  await Enrollment.deleteMany({});
+  await Section.deleteMany({});
+});
+
+const MINUTE_MS = 60 * 1000;
+
+const login = async (email, password) => {
+  const response = await request(app)
+    .post('/api/v1/auth/login')
+    .send({ email, password });
+  return response.body.data.accessToken;
+};
+
+describe('Course attendance', () => {
+  let admin;
+  let faculty;
+  let students;
+  let outsider;
+  let course;
+  let facultyToken;
+  let studentTokens;
+  let outsiderToken;
+
+  beforeEach(async () => {
+    admin = await User.create({
+      firstName: 'Admin',
+      lastName: 'User',
+      email: 'admin@test.com',
+      password: 'AdminPass123',
+      role: 'admin',
+      isActive: true
+    });
+
+    faculty = await User.create({
+      firstName: 'Faculty',
+      lastName: 'Member',
+      email: 'faculty@test.com',
+      password: 'Password123',
+      role: 'faculty',
+      isActive: true
+    });
+
+    students = [];
+    for (let i = 0; i < 2; i++) {
+      students.push(await User.create({
+        firstName: 'Student',
+        lastName: `Number${i}`,
+        email: `student${i}@test.com`,
+        password: 'Password123',
+        role: 'student',
+        isActive: true
+      }));
+    }
+
+    outsider = await User.create({
+      firstName: 'Outside',
+      lastName: 'Student',
+      email: 'outsider@test.com',
+      password: 'Password123',
+      role: 'student',
+      isActive: true
+    });
+
+    // Three weeks of Monday lectures and Wednesday labs
+    course = await Course.create({
+      name: 'Operating Systems',
+      code: 'CS350',
+      faculty: faculty._id,
+      department: new mongoose.Types.ObjectId(),
+      program: new mongoose.Types.ObjectId(),
+      semester: 1,
+      year: 2025,
+      creditHours: 3,
+      maxStudents: 30,
+      startDate: new Date('2025-09-01'),
+      endDate: new Date('2025-09-21'),
+      schedule: [
+        { day: 'Monday', startTime: '09:00', endTime: '10:00', type: 'Lecture' },
+        { day: 'Wednesday', startTime: '14:00', endTime: '16:00', type: 'Lab' }
+      ],
+      students: students.map(student => student._id),
+      currentEnrollment: 2,
+      createdBy: admin._id
+    });
+
+    facultyToken = await login('faculty@test.com', 'Password123');
+    studentTokens = [
+      await login('student0@test.com', 'Password123'),
+      await login('student1@test.com', 'Password123')
+    ];
+    outsiderToken = await login('outsider@test.com', 'Password123');
+  });
+
+  const attendance = (method, token, path = '') => request(app)[method](`/api/v1/courses/${course._id}/attendance${path}`)
+    .set('Authorization', `Bearer ${token}`);
+
+  const pastSession = (startedMinutesAgo) => AttendanceSession.create({
+    course: course._id,
+    startsAt: new Date(Date.now() - startedMinutesAgo * MINUTE_MS),
+    endsAt: new Date(Date.now() - (startedMinutesAgo - 60) * MINUTE_MS),
+    createdBy: faculty._id
+  });
+
+  test('should generate sessions from the course schedule once', async () => {
+    const response = await attendance('post', facultyToken, '/sessions').send({}).expect(201);
+    expect(response.body.data).toEqual({ created: 6, existing: 0 });
+
+    const again = await attendance('post', facultyToken, '/sessions').send({}).expect(201);
+    expect(again.body.data).toEqual({ created: 0, existing: 6 });
+
+    const sessions = await attendance('get', facultyToken, '/sessions').expect(200);
+    expect(sessions.body.data).toHaveLength(6);
+    expect(new Date(sessions.body.data[0].startsAt).getTime())
+      .toBe(zonedTime(new Date('2025-09-01'), '09:00', getCalendarConfig().timezone).getTime());
+    expect(sessions.body.data[1].type).toBe('Lab');
+
+    // Students cannot schedule or list sessions
+    await attendance('post', studentTokens[0], '/sessions').send({}).expect(403);
+    await attendance('get', studentTokens[0], '/sessions').expect(403);
+  });
+
+  test('should compute percentages from roll call and flag low attendance', async () => {
+    const first = await pastSession(3 * 24 * 60);
+    const second = await pastSession(2 * 24 * 60);
+    await pastSession(24 * 60);
+
+    await attendance('put', facultyToken, `/sessions/${first._id}/records`)
+      .send({ records: [{ student: students[0]._id, status: 'present' }, { student: students[1]._id, status: 'absent' }] })
+      .expect(200);
+    await attendance('put', facultyToken, `/sessions/${second._id}/records`)
+      .send({ records: [{ student: students[0]._id, status: 'late' }, { student: students[1]._id, status: 'excused' }] })
+      .expect(200);
+
+    // Only enrolled students can be marked
+    await attendance('put', facultyToken, `/sessions/${second._id}/records`)
+      .send({ records: [{ student: outsider._id, status: 'present' }] })
+      .expect(400);
+
+    // The third session has no records yet, so it does not count
+    const report = await attendance('get', facultyToken).expect(200);
+    const [good, poor] = report.body.data.students;
+    expect(report.body.data.sessions).toBe(2);
+    expect(good).toMatchObject({ present: 1, late: 1, percentage: 100, lowAttendance: false });
+    expect(poor).toMatchObject({ absent: 1, excused: 1, percentage: 0, lowAttendance: true });
+    expect(report.body.data.summary.flagged).toBe(1);
+
+    const flagged = await attendance('get', facultyToken).query({ lowOnly: true }).expect(200);
+    expect(flagged.body.data.students).toHaveLength(1);
+
+    const own = await attendance('get', studentTokens[1], '/me').expect(200);
+    expect(own.body.data).toMatchObject({ percentage: 0, lowAttendance: true });
+    expect(own.body.data.history).toHaveLength(2);
+    await attendance('get', studentTokens[1]).expect(403);
+  });
+
+  test('should count only their own section\'s students in the report of section faculty', async () => {
+    const sectionFaculty = await User.create({
+      firstName: 'Section',
+      lastName: 'Teacher',
+      email: 'section@test.com',
+      password: 'Password123',
+      role: 'faculty',
+      isActive: true
+    });
+    const section = await Section.create({
+      course: course._id,
+      code: 'A',
+      faculty: sectionFaculty._id,
+      maxStudents: 30,
+      createdBy: admin._id
+    });
+    await Enrollment.collection.insertOne({
+      student: students[0]._id,
+      sections: [{ course: course._id, section: section._id }],
+      enrolledAt: new Date()
+    });
+
+    const report = await attendance('get', await login('section@test.com', 'Password123')).expect(200);
+    expect(report.body.data.students).toHaveLength(1);
+    expect(report.body.data.summary.students).toBe(1);
+  });
+
+  test('should check students in with the rotating code', async () => {
+    const session = await pastSession(20);
+
+    const opened = await attendance('post', facultyToken, `/sessions/${session._id}/check-in`)
+      .send({ minutes: 5 })
+      .expect(201);
+    expect(opened.body.data.code).toMatch(/^\d{6}$/);
+    expect(JSON.parse(opened.body.data.qrPayload).session).toBe(session._id.toString());
+
+    const stored = await AttendanceSession.findById(session._id).select('+checkIn.secret');
+    const code = totp.generateCode(stored.checkIn.secret, { stepSeconds: 30 });
+    const wrong = code === '000000' ? '111111' : '000000';
+
+    await attendance('post', studentTokens[0], '/check-in').send({ code: wrong }).expect(400);
+    await attendance('post', outsiderToken, '/check-in').send({ code }).expect(403);
+    await attendance('post', studentTokens[1], '/check-in').send({ code, sessionId: session._id }).expect(200);
+
+    // More than ten minutes after the start counts as late
+    const response = await attendance('post', studentTokens[0], '/check-in').send({ code }).expect(200);
+    expect(response.body.data.status).toBe('late');
+
+    // After check-in closes the code no longer works
+    await attendance('delete', facultyToken, `/sessions/${session._id}/check-in`).expect(200);
+    await attendance('get', facultyToken, `/sessions/${session._id}/check-in`).expect(409);
+    await attendance('post', studentTokens[0], '/check-in').send({ code }).expect(400);
+
+    const checked = await AttendanceSession.findById(session._id);
+    expect(checked.records).toHaveLength(2);
+    expect(checked.records.every(record => record.method === 'check_in')).toBe(true);
+  });
+
+  test('should feed attendance into course grades', async () => {
+    const sessions = [];
+    for (let i = 4; i > 0; i--) {
+      sessions.push(await pastSession(i * 24 * 60));
+    }
+    for (const [i, session] of sessions.entries()) {
+      await attendance('put', facultyToken, `/sessions/${session._id}/records`)
+        .send({ records: [{ student: students[0]._id, status: i === 0 ? 'absent' : 'present' }] })
+        .expect(200);
+    }
+
+    const response = await request(app)
+      .post('/api/v1/course-grades')
+      .set('Authorization', `Bearer ${facultyToken}`)
+      .send({
+        student: students[0]._id,
+        course: course._id,
+        semester: 1,
+        academicYear: '2025-2026',
+        finalGrade: 'B',
+        numericalGrade: 85,
+        credits: 3
+      })
+      .expect(201);
+
+    expect(response.body.data.attendance).toBe(75);
+  });
+
+  test('should weigh recorded attendance and existing participation in auto-calculated grades', async () => {
+    const sessions = [];
+    for (let i = 4; i > 0; i--) {
+      sessions.push(await pastSession(i * 24 * 60));
+    }
+    for (const [i, session] of sessions.entries()) {
+      await attendance('put', facultyToken, `/sessions/${session._id}/records`)
+        .send({ records: [{ student: students[0]._id, status: i === 0 ? 'absent' : 'present' }] })
+        .expect(200);
+    }
+
+    // Only the fields the calculation reads
+    const { insertedId: assignmentId } = await Assignment.collection.insertOne({
+      course: course._id,
+      title: 'Kernel Project',
+      status: 'completed',
+      weight: 80,
+      totalPoints: 100
+    });
+    await Submission.collection.insertOne({ assignment: assignmentId, student: students[0]._id, status: 'graded', numericalScore: 90 });
+    await Enrollment.collection.insertOne({
+      student: students[0]._id,
+      program: course.program,
+      semester: 1,
+      academicYear: '2025-2026',
+      status: 'active'
+    });
+    await CourseGrade.create({
+      student: students[0]._id,
+      course: course._id,
+      faculty: faculty._id,
+      semester: 1,
+      academicYear: '2025-2026',
+      finalGrade: 'B',
+      numericalGrade: 85,
+      gradePoints: 3.0,
+      credits: 3,
+      participation: 50,
+      submittedBy: faculty._id
+    });
+
+    const [grade] = await courseGradeService.autoCalculateGrades(course._id, faculty._id, 1, '2025-2026');
+
+    // (90% of 80 + 75% attendance of 10 + 50% participation of 10) / 100; without
+    // participation it would be (72 + 7.5) / 90 = 88.3 (B+)
+    expect(grade.attendance).toBe(75);
+    expect(grade.participation).toBe(50);
+    expect(grade.numericalGrade).toBeCloseTo(84.5);
+    expect(grade.finalGrade).toBe('B');
+  });
+});
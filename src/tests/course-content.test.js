@@ -0,0 +1,212 @@
+const request = require('supertest');
+const mongoose = require('mongoose');
+const { MongoMemoryServer } = require('mongodb-memory-server');
+const app = require('../../server');
+const User = require('../models/user.model');
+const Course = require('../models/course.model');
+const CourseModule = require('../models/courseModule.model');
+const CourseMaterial = require('../models/courseMaterial.model');
+const MaterialView = require('../models/materialView.model');
+
+let mongoServer;
+
+beforeAll(async () => {
+  mongoServer = await MongoMemoryServer.create();
+  const mongoUri = mongoServer.getUri();
+  await mongoose.connect(mongoUri);
+});
+
+afterAll(async () => {
+  await mongoose.disconnect();
+  await mongoServer.stop();
+});
+
+beforeEach(async () => {
+  await User.deleteMany({});
+  await Course.deleteMany({});
+  await CourseModule.deleteMany({});
+  await CourseMaterial.deleteMany({});
+  await MaterialView.deleteMany({});
+});
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const login = async (email, password) => {
+  const response = await request(app)
+    .post('/api/v1/auth/login')
+    .send({ email, password });
+  return response.body.data.accessToken;
+};
+
+describe('Course content', () => {
+  let admin;
+  let faculty;
+  let assistant;
+  let student;
+  let outsider;
+  let course;
+  let facultyToken;
+  let assistantToken;
+  let studentToken;
+  let outsiderToken;
+
+  beforeEach(async () => {
+    admin = await User.create({
+      firstName: 'Admin',
+      lastName: 'User',
+      email: 'admin@test.com',
+      password: 'AdminPass123',
+      role: 'admin',
+      isActive: true
+    });
+
+    [faculty, assistant] = await Promise.all(['faculty', 'assistant'].map(name => User.create({
+      firstName: name,
+      lastName: 'Member',
+      email: `${name}@test.com`,
+      password: 'Password123',
+      role: 'faculty',
+      isActive: true
+    })));
+
+    [student, outsider] = await Promise.all(['student', 'outsider'].map(name => User.create({
+      firstName: name,
+      lastName: 'Student',
+      email: `${name}@test.com`,
+      password: 'Password123',
+      role: 'student',
+      isActive: true
+    })));
+
+    course = await Course.create({
+      name: 'Computer Networks',
+      code: 'CS330',
+      faculty: faculty._id,
+      staff: [{ user: assistant._id, role: 'teaching_assistant', addedBy: faculty._id }],
+      department: new mongoose.Types.ObjectId(),
+      program: new mongoose.Types.ObjectId(),
+      semester: 1,
+      year: 2025,
+      creditHours: 3,
+      maxStudents: 30,
+      students: [student._id],
+      currentEnrollment: 1,
+      createdBy: admin._id
+    });
+
+    facultyToken = await login('faculty@test.com', 'Password123');
+    assistantToken = await login('assistant@test.com', 'Password123');
+    studentToken = await login('student@test.com', 'Password123');
+    outsiderToken = await login('outsider@test.com', 'Password123');
+  });
+
+  const api = (method, path, token) => request(app)[method](`/api/v1/courses/${course._id}${path}`)
+    .set('Authorization', `Bearer ${token}`);
+
+  const createModule = async (body) => {
+    const response = await api('post', '/modules', facultyToken).send(body).expect(201);
+    return response.body.data;
+  };
+
+  const createMaterial = async (body) => {
+    const response = await api('post', '/materials', assistantToken)
+      .send({ fileUrl: 'https://files.example.com/notes.pdf', fileType: 'pdf', ...body })
+      .expect(201);
+    return response.body.data;
+  };
+
+  test('should show students published content and what is unlocked', async () => {
+    const week1 = await createModule({ title: 'Week 1: Layers', week: 1, status: 'published' });
+    const week2 = await createModule({
+      title: 'Week 2: Routing',
+      week: 2,
+      status: 'published',
+      releaseAt: new Date(Date.now() + 7 * DAY_MS).toISOString()
+    });
+    await createModule({ title: 'Week 3: Drafting', week: 3 });
+
+    const slides = await createMaterial({ module: week1._id, title: 'Slides', status: 'published' });
+    await createMaterial({ module: week1._id, title: 'Lab sheet', status: 'published' });
+    await createMaterial({ module: week1._id, title: 'Answers' });
+    const routing = await createMaterial({ module: week2._id, title: 'Routing notes', status: 'published' });
+
+    const response = await api('get', '/outline', studentToken).expect(200);
+    const { modules, summary } = response.body.data;
+
+    expect(modules.map(entry => entry.title)).toEqual(['Week 1: Layers', 'Week 2: Routing']);
+    expect(modules[0].materials.map(material => material.title)).toEqual(['Slides', 'Lab sheet']);
+    expect(modules[0].materials[0].file.fileUrl).toBe('https://files.example.com/notes.pdf');
+    expect(modules[1].unlocked).toBe(false);
+    expect(modules[1].materials[0].file).toBeNull();
+    expect(summary).toMatchObject({ modules: 2, materials: 3, unlocked: 2, viewed: 0 });
+
+    await api('get', `/materials/${routing._id}`, studentToken).expect(403);
+
+    // Opening a material is tracked
+    await api('get', `/materials/${slides._id}`, studentToken).expect(200);
+    await api('get', `/materials/${slides._id}`, studentToken).expect(200);
+    const after = await api('get', '/outline', studentToken).expect(200);
+    expect(after.body.data.modules[0].materials[0].viewed).toBe(true);
+    expect(after.body.data.summary.viewed).toBe(1);
+
+    const views = await api('get', `/materials/${slides._id}/views`, facultyToken).expect(200);
+    expect(views.body.data.viewed).toHaveLength(1);
+    expect(views.body.data.viewed[0].count).toBe(2);
+
+    // Course staff see drafts
+    const staffOutline = await api('get', '/outline', assistantToken).expect(200);
+    expect(staffOutline.body.data.modules).toHaveLength(3);
+    expect(staffOutline.body.data.summary.materials).toBe(4);
+
+    // Students outside the course see nothing
+    await api('get', '/outline', outsiderToken).expect(403);
+  });
+
+  test('should keep previous versions when a file is replaced', async () => {
+    const week1 = await createModule({ title: 'Week 1', status: 'published' });
+    const slides = await createMaterial({ module: week1._id, title: 'Slides', status: 'published' });
+
+    await api('get', `/materials/${slides._id}`, studentToken).expect(200);
+
+    const replaced = await api('post', `/materials/${slides._id}/versions`, assistantToken)
+      .send({ fileUrl: 'https://files.example.com/notes-v2.pdf', fileType: 'pdf', note: 'Fixed the diagrams' })
+      .expect(201);
+    expect(replaced.body.data.versions.map(version => version.version)).toEqual([1, 2]);
+
+    const opened = await api('get', `/materials/${slides._id}`, studentToken).expect(200);
+    expect(opened.body.data.file.fileUrl).toBe('https://files.example.com/notes-v2.pdf');
+    expect(opened.body.data.versions).toBeUndefined();
+
+    // The latest open was of the new file
+    const view = await MaterialView.findOne({ material: slides._id, student: student._id });
+    expect(view.version).toBe(2);
+    expect(view.count).toBe(2);
+  });
+
+  test('should order, move and delete content', async () => {
+    const week1 = await createModule({ title: 'Week 1', status: 'published' });
+    const week2 = await createModule({ title: 'Week 2', status: 'published' });
+    expect([week1.position, week2.position]).toEqual([0, 1]);
+
+    const first = await createMaterial({ module: week1._id, title: 'First', status: 'published' });
+    const second = await createMaterial({ module: week1._id, title: 'Second', status: 'published' });
+
+    await api('put', `/materials/${second._id}`, assistantToken).send({ position: 0 }).expect(200);
+    await api('put', `/materials/${first._id}`, assistantToken).send({ position: 1 }).expect(200);
+    await api('put', `/modules/${week2._id}`, facultyToken).send({ position: 0 }).expect(200);
+    await api('put', `/modules/${week1._id}`, facultyToken).send({ position: 1 }).expect(200);
+
+    const outline = await api('get', '/outline', studentToken).expect(200);
+    expect(outline.body.data.modules.map(entry => entry.title)).toEqual(['Week 2', 'Week 1']);
+    expect(outline.body.data.modules[1].materials.map(material => material.title)).toEqual(['Second', 'First']);
+
+    // A module holding materials cannot be deleted until they are moved out
+    await api('delete', `/modules/${week1._id}`, facultyToken).expect(409);
+    await api('put', `/materials/${first._id}`, assistantToken).send({ module: week2._id }).expect(200);
+    await api('delete', `/materials/${second._id}`, assistantToken).expect(200);
+    await api('delete', `/modules/${week1._id}`, facultyToken).expect(200);
+
+    // Students cannot edit content
+    await api('post', '/modules', studentToken).send({ title: 'Week 9' }).expect(403);
+  });
+});
@@ -0,0 +1,223 @@
+const request = require('supertest');
+const mongoose = require('mongoose');
+const { MongoMemoryServer } = require('mongodb-memory-server');
+const app = require('../../server');
+const User = require('../models/user.model');
+const Course = require('../models/course.model');
+const EvaluationForm = require('../models/evaluationForm.model');
+const EvaluationResponse = require('../models/evaluationResponse.model');
+const EvaluationReceipt = require('../models/evaluationReceipt.model');
+
+let mongoServer;
+
+beforeAll(async () => {
+  mongoServer = await MongoMemoryServer.create();
+  const mongoUri = mongoServer.getUri();
+  await mongoose.connect(mongoUri);
+});
+
+afterAll(async () => {
+  await mongoose.disconnect();
+  await mongoServer.stop();
+});
+
+beforeEach(async () => {
+  await User.deleteMany({});
+  await Course.deleteMany({});
+  await EvaluationForm.deleteMany({});
+  await EvaluationResponse.deleteMany({});
+  await EvaluationReceipt.deleteMany({});
+});
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const STUDENTS = 6;
+
+const login = async (email, password) => {
+  const response = await request(app)
+    .post('/api/v1/auth/login')
+    .send({ email, password });
+  return response.body.data.accessToken;
+};
+
+describe('Course evaluations', () => {
+  let admin;
+  let faculty;
+  let students;
+  let outsider;
+  let course;
+  let adminToken;
+  let facultyToken;
+  let studentTokens;
+  let outsiderToken;
+
+  beforeEach(async () => {
+    admin = await User.create({
+      firstName: 'Admin',
+      lastName: 'User',
+      email: 'admin@test.com',
+      password: 'AdminPass123',
+      role: 'admin',
+      isActive: true
+    });
+
+    faculty = await User.create({
+      firstName: 'Faculty',
+      lastName: 'Member',
+      email: 'faculty@test.com',
+      password: 'Password123',
+      role: 'faculty',
+      isActive: true
+    });
+
+    students = [];
+    for (let i = 0; i < STUDENTS; i++) {
+      students.push(await User.create({
+        firstName: 'Student',
+        lastName: `Number${i}`,
+        email: `student${i}@test.com`,
+        password: 'Password123',
+        role: 'student',
+        isActive: true
+      }));
+    }
+
+    outsider = await User.create({
+      firstName: 'Outside',
+      lastName: 'Student',
+      email: 'outsider@test.com',
+      password: 'Password123',
+      role: 'student',
+      isActive: true
+    });
+
+    // The course ends in a week, so the default window is already open
+    course = await Course.create({
+      name: 'Databases',
+      code: 'CS340',
+      faculty: faculty._id,
+      department: new mongoose.Types.ObjectId(),
+      program: new mongoose.Types.ObjectId(),
+      semester: 1,
+      year: 2025,
+      creditHours: 3,
+      maxStudents: 30,
+      startDate: new Date(Date.now() - 100 * DAY_MS),
+      endDate: new Date(Date.now() + 7 * DAY_MS),
+      students: students.map(student => student._id),
+      currentEnrollment: STUDENTS,
+      createdBy: admin._id
+    });
+
+    adminToken = await login('admin@test.com', 'AdminPass123');
+    facultyToken = await login('faculty@test.com', 'Password123');
+    studentTokens = [];
+    for (let i = 0; i < STUDENTS; i++) {
+      studentTokens.push(await login(`student${i}@test.com`, 'Password123'));
+    }
+    outsiderToken = await login('outsider@test.com', 'Password123');
+  });
+
+  const evaluation = (method, token, path = '') => request(app)[method](`/api/v1/courses/${course._id}/evaluation${path}`)
+    .set('Authorization', `Bearer ${token}`);
+
+  const publishForm = async () => {
+    const response = await evaluation('put', adminToken)
+      .send({
+        questions: [
+          { prompt: 'The lectures were clear', type: 'likert' },
+          { prompt: 'Any other comments?', type: 'text', required: false }
+        ],
+        status: 'published'
+      })
+      .expect(200);
+    return response.body.data;
+  };
+
+  const answer = (token, form, rating, text) => evaluation('post', token, '/responses')
+    .send({
+      answers: [
+        { question: form.questions[0]._id, rating },
+        ...(text ? [{ question: form.questions[1]._id, text }] : [])
+      ]
+    });
+
+  // Close the evaluation window so the report becomes available
+  const close = () => EvaluationForm.updateOne(
+    { course: course._id },
+    { opensAt: new Date(Date.now() - 10 * DAY_MS), closesAt: new Date(Date.now() - DAY_MS) }
+  );
+
+  test('should let course managers set up a form in a window around the end of term', async () => {
+    // Faculty cannot write the evaluation of their own course
+    await evaluation('put', facultyToken).send({ status: 'published' }).expect(403);
+
+    const form = await publishForm();
+    expect(form.open).toBe(true);
+    expect(new Date(form.closesAt).getTime()).toBe(course.endDate.getTime() + 14 * DAY_MS);
+
+    const seen = await evaluation('get', studentTokens[0]).expect(200);
+    expect(seen.body.data.questions).toHaveLength(2);
+    expect(seen.body.data.submitted).toBe(false);
+    expect(seen.body.data.responses).toBeUndefined();
+  });
+
+  test('should take one anonymous response per enrolled student', async () => {
+    const form = await publishForm();
+
+    await answer(studentTokens[0], form, 4, 'Great labs').expect(201);
+    await answer(studentTokens[0], form, 5).expect(409);
+    await answer(outsiderToken, form, 1).expect(403);
+    await evaluation('post', studentTokens[1], '/responses')
+      .send({ answers: [{ question: form.questions[1]._id, text: 'Skipped the rating' }] })
+      .expect(400);
+
+    const seen = await evaluation('get', studentTokens[0]).expect(200);
+    expect(seen.body.data.submitted).toBe(true);
+
+    // The response carries nothing that points to the student
+    const stored = await EvaluationResponse.findOne({ form: form._id }).lean();
+    expect(Object.keys(stored).sort()).toEqual(['_id', 'answers', 'form', 'submittedOn']);
+    expect(mongoose.isValidObjectId(stored._id)).toBe(false);
+
+    // Questions are fixed once responses are in
+    await evaluation('put', adminToken)
+      .send({ questions: [{ prompt: 'Something else', type: 'likert' }] })
+      .expect(409);
+  });
+
+  test('should hide reports with too few responses', async () => {
+    const form = await publishForm();
+    await answer(studentTokens[0], form, 5, 'Clear').expect(201);
+    await answer(studentTokens[1], form, 4).expect(201);
+
+    // Reports wait for the evaluation to close
+    await evaluation('get', facultyToken, '/report').expect(409);
+
+    await close();
+    const response = await evaluation('get', facultyToken, '/report').expect(200);
+    expect(response.body.data).toMatchObject({ responses: 2, enrolled: STUDENTS, minResponses: 5, suppressed: true });
+    expect(response.body.data.questions).toHaveLength(0);
+
+    // Students cannot read reports
+    await evaluation('get', studentTokens[0], '/report').expect(403);
+  });
+
+  test('should aggregate reports that meet the threshold', async () => {
+    const form = await publishForm();
+    const ratings = [5, 4, 4, 3, 5];
+    for (let i = 0; i < ratings.length; i++) {
+      await answer(studentTokens[i], form, ratings[i], i < 2 ? `Comment ${i}` : null).expect(201);
+    }
+
+    await close();
+    const response = await evaluation('get', adminToken, '/report').expect(200);
+    const [likert, text] = response.body.data.questions;
+
+    expect(response.body.data.suppressed).toBe(false);
+    expect(likert.mean).toBe(4.2);
+    expect(likert.distribution).toEqual({ 1: 0, 2: 0, 3: 1, 4: 2, 5: 2 });
+    // Only two students left a comment, too few to show
+    expect(text).toMatchObject({ answered: 2, suppressed: true });
+    expect(text.comments).toBeUndefined();
+  });
+});
@@ -0,0 +1,269 @@
+const request = require('supertest');
+const mongoose = require('mongoose');
+const { MongoMemoryServer } = require('mongodb-memory-server');
+const app = require('../../server');
+const User = require('../models/user.model');
+const Course = require('../models/course.model');
+const CourseGrade = require('../models/courseGrade.model');
+const Enrollment = require('../models/enrollment.model');
+const Department = require('../models/department.model');
+
+let mongoServer;
+
+beforeAll(async () => {
+  mongoServer = await MongoMemoryServer.create();
+  const mongoUri = mongoServer.getUri();
+  await mongoose.connect(mongoUri);
+});
+
+afterAll(async () => {
+  await mongoose.disconnect();
+  await mongoServer.stop();
+});
+
+beforeEach(async () => {
+  await User.deleteMany({});
+  await Course.deleteMany({});
+  await CourseGrade.deleteMany({});
+  await Enrollment.deleteMany({});
+  await Department.deleteMany({});
+});
+
+const login = async (email, password) => {
+  const response = await request(app)
+    .post('/api/v1/auth/login')
+    .send({ email, password });
+  return response.body.data.accessToken;
+};
+
+describe('Course prerequisites', () => {
+  let admin;
+  let advisor;
+  let faculty;
+  let student;
+  let courses;
+  let target;
+  let enrollment;
+  let adminToken;
+  let advisorToken;
+  let facultyToken;
+  let studentToken;
+
+  beforeEach(async () => {
+    const department = await Department.create({
+      name: 'Computer Science',
+      code: 'CS',
+      description: 'Computer Science Department'
+    });
+    const programId = new mongoose.Types.ObjectId();
+
+    admin = await User.create({
+      firstName: 'Admin',
+      lastName: 'User',
+      email: 'admin@test.com',
+      password: 'AdminPass123',
+      role: 'admin',
+      isActive: true
+    });
+
+    [advisor, faculty] = await Promise.all(['advisor', 'faculty'].map(name => User.create({
+      firstName: name,
+      lastName: 'Member',
+      email: `${name}@test.com`,
+      password: 'Password123',
+      role: 'faculty',
+      department: department._id,
+      isActive: true
+    })));
+
+    student = await User.create({
+      firstName: 'Jane',
+      lastName: 'Smith',
+      email: 'student@test.com',
+      password: 'Password123',
+      role: 'student',
+      studentId: 'STU001',
+      isActive: true
+    });
+
+    const courseFields = {
+      faculty: faculty._id,
+      department: department._id,
+      program: programId,
+      semester: 1,
+      year: 2024,
+      creditHours: 3,
+      maxStudents: 30,
+      status: 'active',
+      createdBy: admin._id
+    };
+
+    courses = {};
+    for (const code of ['CS150', 'CS201', 'MATH101', 'MATH110']) {
+      courses[code] = await Course.create({ ...courseFields, name: code, code });
+    }
+
+    target = await Course.create({
+      ...courseFields,
+      name: 'Operating Systems',
+      code: 'CS301',
+      prerequisites: [
+        { course: courses.CS201._id, grade: 'C' },
+        { course: courses.MATH101._id, grade: 'B', group: 'math' },
+        { course: courses.MATH110._id, grade: 'Pass', group: 'math' },
+        { course: courses.CS150._id, grade: 'C', isRequired: false }
+      ]
+    });
+
+    const grade = (course, finalGrade, status = 'final') => CourseGrade.create({
+      student: student._id,
+      course: course._id,
+      faculty: faculty._id,
+      semester: 1,
+      academicYear: '2023-2024',
+      finalGrade,
+      numericalGrade: 75,
+      gradePoints: CourseGrade.getGradePoints(finalGrade),
+      credits: 3,
+      status,
+      submittedBy: faculty._id
+    });
+    await grade(courses.CS201, 'D');
+    await grade(courses.MATH101, 'B+');
+    // Grades that are not final yet do not count
+    await grade(courses.CS150, 'A', 'submitted');
+
+    enrollment = await Enrollment.create({
+      student: student._id,
+      program: programId,
+      semester: 3,
+      academicYear: '2024-2025',
+      advisor: advisor._id,
+      status: 'active',
+      createdBy: admin._id
+    });
+
+    adminToken = await login('admin@test.com', 'AdminPass123');
+    advisorToken = await login('advisor@test.com', 'Password123');
+    facultyToken = await login('faculty@test.com', 'Password123');
+    studentToken = await login('student@test.com', 'Password123');
+  });
+
+  test('should explain which prerequisites are missing', async () => {
+    const response = await request(app)
+      .get(`/api/v1/enrollments/${enrollment._id}/prerequisites/${target._id}`)
+      .set('Authorization', `Bearer ${studentToken}`)
+      .expect(200);
+
+    const result = response.body.data;
+    expect(result.canEnroll).toBe(false);
+    expect(result.missingPrerequisites).toHaveLength(1);
+    expect(result.missingPrerequisites[0].options[0]).toMatchObject({ minimumGrade: 'C', grade: 'D', met: false });
+    expect(result.satisfiedPrerequisites[0].group).toBe('math');
+    expect(result.recommendedPrerequisites[0].options[0].course.code).toBe('CS150');
+    expect(result.message).toBe('Missing prerequisites for CS301: CS201 with C or better (final grade D)');
+
+    const added = await request(app)
+      .post(`/api/v1/enrollments/${enrollment._id}/courses`)
+      .set('Authorization', `Bearer ${adminToken}`)
+      .send({ courseId: target._id.toString(), lastModifiedBy: admin._id.toString() });
+    expect(added.status).toBe(400);
+    expect(added.body.message).toBe(result.message);
+    expect(added.body.error.missingPrerequisites).toHaveLength(1);
+  });
+
+  test('should let the advisor waive missing prerequisites', async () => {
+    await request(app)
+      .post(`/api/v1/enrollments/${enrollment._id}/prerequisite-waivers`)
+      .set('Authorization', `Bearer ${facultyToken}`)
+      .send({ courseId: target._id.toString(), reason: 'Equivalent course taken abroad' })
+      .expect(403);
+
+    const waived = await request(app)
+      .post(`/api/v1/enrollments/${enrollment._id}/prerequisite-waivers`)
+      .set('Authorization', `Bearer ${advisorToken}`)
+      .send({ courseId: target._id.toString(), reason: 'Equivalent course taken abroad' });
+    expect(waived.status).toBe(201);
+
+    const stored = await Enrollment.findById(enrollment._id);
+    const waiver = stored.getPrerequisiteWaiver(target._id);
+    expect(waiver.reason).toBe('Equivalent course taken abroad');
+    expect(waiver.waivedBy.toString()).toBe(advisor._id.toString());
+    expect(waiver.prerequisites.map(id => id.toString())).toEqual([courses.CS201._id.toString()]);
+    expect(stored.auditTrail.map(entry => entry.action)).toContain('prerequisite_waived');
+
+    await request(app)
+      .post(`/api/v1/enrollments/${enrollment._id}/courses`)
+      .set('Authorization', `Bearer ${adminToken}`)
+      .send({ courseId: target._id.toString(), lastModifiedBy: admin._id.toString() })
+      .expect(200);
+  });
+
+  test('should count a grade from an earlier offering after a rollover', async () => {
+    await CourseGrade.updateOne({ student: student._id, course: courses.CS201._id }, { finalGrade: 'C+', gradePoints: 2.3 });
+
+    const rollover = async course => {
+      const response = await request(app)
+        .post(`/api/v1/courses/${course._id}/rollover`)
+        .set('Authorization', `Bearer ${adminToken}`)
+        .send({ year: 2025, semester: 1, startDate: new Date('2025-01-06').toISOString() })
+        .expect(201);
+      return response.body.data.course._id;
+    };
+    const nextCS201 = await rollover(courses.CS201);
+    const nextTarget = await rollover(target);
+
+    // The new term's CS301 names the new CS201 offering, which the student has not taken
+    await Course.updateOne({ _id: nextTarget }, {
+      status: 'active',
+      'prerequisites.0.course': nextCS201
+    });
+
+    const check = await request(app)
+      .get(`/api/v1/enrollments/${enrollment._id}/prerequisites/${nextTarget}`)
+      .set('Authorization', `Bearer ${adminToken}`)
+      .expect(200);
+    expect(check.body.data.missingPrerequisites).toHaveLength(0);
+    expect(check.body.data.satisfiedPrerequisites[0].options[0]).toMatchObject({ course: { code: 'CS201' }, met: true, grade: 'C+' });
+
+    await request(app)
+      .post(`/api/v1/enrollments/${enrollment._id}/courses`)
+      .set('Authorization', `Bearer ${adminToken}`)
+      .send({ courseId: nextTarget, lastModifiedBy: admin._id.toString() })
+      .expect(200);
+  });
+
+  test('should accept any grade in a group of alternatives', async () => {
+    await CourseGrade.updateOne({ student: student._id, course: courses.CS201._id }, { finalGrade: 'C+', gradePoints: 2.3 });
+    await CourseGrade.deleteOne({ student: student._id, course: courses.MATH101._id });
+
+    const withoutMath = await request(app)
+      .get(`/api/v1/enrollments/${enrollment._id}/prerequisites/${target._id}`)
+      .set('Authorization', `Bearer ${adminToken}`)
+      .expect(200);
+    expect(withoutMath.body.data.message).toBe(
+      'Missing prerequisites for CS301: one of MATH101 with B or better or MATH110 with a passing grade'
+    );
+
+    await CourseGrade.create({
+      student: student._id,
+      course: courses.MATH110._id,
+      faculty: faculty._id,
+      semester: 1,
+      academicYear: '2023-2024',
+      finalGrade: 'P',
+      numericalGrade: 70,
+      gradePoints: 0,
+      credits: 3,
+      gradingMethod: 'pass_fail',
+      status: 'final',
+      submittedBy: faculty._id
+    });
+
+    await request(app)
+      .post(`/api/v1/enrollments/${enrollment._id}/courses`)
+      .set('Authorization', `Bearer ${adminToken}`)
+      .send({ courseId: target._id.toString(), lastModifiedBy: admin._id.toString() })
+      .expect(200);
+  });
+});
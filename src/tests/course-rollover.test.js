@@ -0,0 +1,317 @@
+const request = require('supertest');
+const mongoose = require('mongoose');
+const { MongoMemoryServer } = require('mongodb-memory-server');
+const app = require('../../server');
+const User = require('../models/user.model');
+const Course = require('../models/course.model');
+const Section = require('../models/section.model');
+const Assignment = require('../models/assignment.model');
+const CourseModule = require('../models/courseModule.model');
+const CourseMaterial = require('../models/courseMaterial.model');
+const dropCourseCodeIndex = require('../migrations/dropCourseCodeIndex');
+
+let mongoServer;
+
+beforeAll(async () => {
+  mongoServer = await MongoMemoryServer.create();
+  const mongoUri = mongoServer.getUri();
+  await mongoose.connect(mongoUri);
+});
+
+afterAll(async () => {
+  await mongoose.disconnect();
+  await mongoServer.stop();
+});
+
+beforeEach(async () => {
+  await User.deleteMany({});
+  await Course.deleteMany({});
+  await Section.deleteMany({});
+  await Assignment.deleteMany({});
+  await CourseModule.deleteMany({});
+  await CourseMaterial.deleteMany({});
+});
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const login = async (email, password) => {
+  const response = await request(app)
+    .post('/api/v1/auth/login')
+    .send({ email, password });
+  return response.body.data.accessToken;
+};
+
+describe('Course rollover', () => {
+  let admin;
+  let faculty;
+  let otherFaculty;
+  let course;
+  let section;
+  let department;
+  let program;
+  let adminToken;
+  let facultyToken;
+  let otherFacultyToken;
+
+  // Term of the source course started a week ago
+  const sourceStart = new Date(Date.now() - 7 * DAY_MS);
+
+  beforeEach(async () => {
+    admin = await User.create({
+      firstName: 'Admin',
+      lastName: 'User',
+      email: 'admin@test.com',
+      password: 'AdminPass123',
+      role: 'admin',
+      isActive: true
+    });
+
+    [faculty, otherFaculty] = await Promise.all(['faculty', 'other'].map(name => User.create({
+      firstName: name,
+      lastName: 'Member',
+      email: `${name}@test.com`,
+      password: 'Password123',
+      role: 'faculty',
+      isActive: true
+    })));
+
+    department = new mongoose.Types.ObjectId();
+    program = new mongoose.Types.ObjectId();
+
+    course = await Course.create({
+      name: 'Algorithms',
+      code: 'CS201',
+      faculty: faculty._id,
+      department,
+      program,
+      semester: 1,
+      year: 2025,
+      creditHours: 3,
+      maxStudents: 30,
+      status: 'active',
+      startDate: sourceStart,
+      endDate: new Date(sourceStart.getTime() + 100 * DAY_MS),
+      syllabus: { gradingPolicy: { assignments: 40, midterm: 20, final: 40 } },
+      location: { building: 'Science Hall', room: '101' },
+      schedule: [{ day: 'Monday', startTime: '09:00', endTime: '10:30', type: 'Lecture' }],
+      createdBy: admin._id
+    });
+
+    section = await Section.create({
+      course: course._id,
+      code: 'A',
+      faculty: otherFaculty._id,
+      maxStudents: 30,
+      location: { building: 'Lab Block', room: '2' },
+      schedule: [{ day: 'Thursday', startTime: '14:00', endTime: '16:00', type: 'Lab' }],
+      createdBy: admin._id
+    });
+
+    await Assignment.create([
+      {
+        title: 'Sorting Homework',
+        description: 'Implement merge sort',
+        course: course._id,
+        faculty: faculty._id,
+        dueDate: new Date(Date.now() + 30 * DAY_MS),
+        totalPoints: 100,
+        status: 'published',
+        isVisible: true,
+        createdBy: faculty._id
+      },
+      {
+        title: 'Lab Report',
+        description: 'Write up the first lab',
+        course: course._id,
+        section: section._id,
+        faculty: otherFaculty._id,
+        dueDate: new Date(Date.now() + 2 * DAY_MS),
+        totalPoints: 20,
+        status: 'published',
+        isVisible: true,
+        createdBy: otherFaculty._id
+      }
+    ]);
+
+    adminToken = await login('admin@test.com', 'AdminPass123');
+    facultyToken = await login('faculty@test.com', 'Password123');
+    otherFacultyToken = await login('other@test.com', 'Password123');
+  });
+
+  const rollover = (token, body, status) => request(app)
+    .post(`/api/v1/courses/${course._id}/rollover`)
+    .set('Authorization', `Bearer ${token}`)
+    .send(body)
+    .expect(status);
+
+  test('should copy a course into a new term with shifted draft assignments', async () => {
+    const startDate = new Date(sourceStart.getTime() + 182 * DAY_MS);
+    const response = await rollover(facultyToken, { year: 2025, semester: 2, startDate: startDate.toISOString() }, 201);
+
+    const report = response.body.data;
+    expect(report.copied.schedule).toBe(1);
+    expect(report.copied.sections).toHaveLength(1);
+    expect(report.copied.assignments).toHaveLength(2);
+    expect(report.copied.assignments[0].shiftedByDays).toBe(182);
+    expect(report.skipped).toHaveLength(0);
+
+    const copy = await Course.findById(report.course._id);
+    expect(copy.code).toBe('CS201');
+    expect(copy.year).toBe(2025);
+    expect(copy.semester).toBe(2);
+    expect(copy.status).toBe('draft');
+    expect(copy.syllabus.gradingPolicy.assignments).toBe(40);
+    expect(copy.endDate.getTime()).toBe(course.endDate.getTime() + 182 * DAY_MS);
+
+    const copiedSection = await Section.findOne({ course: copy._id });
+    expect(copiedSection.faculty.toString()).toBe(otherFaculty._id.toString());
+
+    const assignments = await Assignment.find({ course: copy._id }).sort({ dueDate: 1 });
+    expect(assignments.map(assignment => assignment.status)).toEqual(['draft', 'draft']);
+    expect(assignments.every(assignment => assignment.isVisible === false)).toBe(true);
+    expect(assignments[0].section.toString()).toBe(copiedSection._id.toString());
+
+    // The same course cannot be rolled into the same term twice
+    await rollover(facultyToken, { year: 2025, semester: 2, startDate: startDate.toISOString() }, 409);
+  });
+
+  test('should copy modules and the current material files as drafts', async () => {
+    const courseModule = await CourseModule.create({
+      course: course._id,
+      title: 'Week 1: Arrays',
+      week: 1,
+      position: 1,
+      status: 'published',
+      releaseAt: new Date(sourceStart.getTime() + 7 * DAY_MS),
+      createdBy: faculty._id
+    });
+    await CourseMaterial.create({
+      course: course._id,
+      module: courseModule._id,
+      title: 'Lecture Slides',
+      status: 'published',
+      releaseAt: new Date(sourceStart.getTime() + 8 * DAY_MS),
+      versions: [
+        { version: 1, fileUrl: '/uploads/slides-v1.pdf', fileName: 'slides-v1.pdf', uploadedBy: faculty._id },
+        { version: 2, fileUrl: '/uploads/slides-v2.pdf', fileName: 'slides-v2.pdf', uploadedBy: faculty._id }
+      ],
+      createdBy: faculty._id
+    });
+
+    const startDate = new Date(sourceStart.getTime() + 182 * DAY_MS);
+    const response = await rollover(facultyToken, { year: 2025, semester: 2, startDate: startDate.toISOString() }, 201);
+
+    const report = response.body.data;
+    expect(report.copied.modules.map(entry => entry.title)).toEqual(['Week 1: Arrays']);
+    expect(report.copied.materials.map(entry => entry.title)).toEqual(['Lecture Slides']);
+
+    const copiedModule = await CourseModule.findOne({ course: report.course._id });
+    expect(copiedModule.status).toBe('draft');
+    expect(copiedModule.releaseAt.getTime()).toBe(courseModule.releaseAt.getTime() + 182 * DAY_MS);
+
+    const copiedMaterial = await CourseMaterial.findOne({ course: report.course._id });
+    expect(copiedMaterial.status).toBe('draft');
+    expect(copiedMaterial.module.toString()).toBe(copiedModule._id.toString());
+    expect(copiedMaterial.releaseAt.getTime()).toBe(sourceStart.getTime() + 190 * DAY_MS);
+    expect(copiedMaterial.versions).toHaveLength(1);
+    expect(copiedMaterial.versions[0]).toMatchObject({ version: 1, fileName: 'slides-v2.pdf' });
+  });
+
+  test('should drop the old index on code alone once', async () => {
+    await Course.collection.createIndex({ code: 1 }, { name: 'code_1' });
+
+    expect(await dropCourseCodeIndex(mongoose.connection.db)).toBe(true);
+    const indexes = await Course.collection.indexes();
+    expect(indexes.map(index => index.name)).not.toContain('code_1');
+
+    expect(await dropCourseCodeIndex(mongoose.connection.db)).toBe(false);
+  });
+
+  test('should report what was skipped', async () => {
+    // Another course already holds the lecture slot in the new term
+    await Course.create({
+      name: 'Data Structures',
+      code: 'CS202',
+      faculty: faculty._id,
+      department,
+      program,
+      semester: 2,
+      year: 2025,
+      creditHours: 3,
+      maxStudents: 30,
+      status: 'active',
+      schedule: [{ day: 'Monday', startTime: '10:00', endTime: '11:00', type: 'Lecture' }],
+      createdBy: admin._id
+    });
+
+    // A start ten days earlier moves the lab report's due date into the past
+    const startDate = new Date(sourceStart.getTime() - 10 * DAY_MS);
+    const response = await rollover(facultyToken, { year: 2025, semester: 2, startDate: startDate.toISOString() }, 201);
+
+    const report = response.body.data;
+    expect(report.copied.schedule).toBe(0);
+    expect(report.copied.assignments.map(assignment => assignment.title)).toEqual(['Sorting Homework']);
+    expect(report.skipped.map(entry => entry.type).sort()).toEqual(['assignment', 'schedule']);
+    expect(report.skipped.find(entry => entry.type === 'assignment').label).toBe('Lab Report');
+  });
+
+  test('should only let the course faculty and course managers roll it over', async () => {
+    const body = { year: 2026, semester: 1, startDate: new Date(Date.now() + 200 * DAY_MS).toISOString() };
+    await rollover(otherFacultyToken, body, 403);
+
+    await request(app)
+      .post(`/api/v1/courses/${course._id}/rollover`)
+      .set('Authorization', `Bearer ${facultyToken}`)
+      .send({ year: 2026, semester: 1 })
+      .expect(400);
+
+    await rollover(adminToken, body, 201);
+  });
+
+  test('should roll a whole department over', async () => {
+    await Course.create({
+      name: 'Compilers',
+      code: 'CS301',
+      faculty: otherFaculty._id,
+      department,
+      program,
+      semester: 1,
+      year: 2025,
+      creditHours: 3,
+      maxStudents: 30,
+      status: 'active',
+      createdBy: admin._id
+    });
+    const body = {
+      department: department.toString(),
+      fromYear: 2025,
+      fromSemester: 1,
+      year: 2026,
+      semester: 1,
+      startDate: new Date(sourceStart.getTime() + 364 * DAY_MS).toISOString()
+    };
+
+    await request(app)
+      .post('/api/v1/courses/rollover')
+      .set('Authorization', `Bearer ${facultyToken}`)
+      .send(body)
+      .expect(403);
+
+    const response = await request(app)
+      .post('/api/v1/courses/rollover')
+      .set('Authorization', `Bearer ${adminToken}`)
+      .send(body)
+      .expect(201);
+
+    expect(response.body.data.summary).toMatchObject({ found: 2, created: 2, skipped: 0, sections: 1 });
+    expect(await Course.countDocuments({ year: 2026, semester: 1 })).toBe(2);
+
+    // Running it again skips courses already in the target term
+    const again = await request(app)
+      .post('/api/v1/courses/rollover')
+      .set('Authorization', `Bearer ${adminToken}`)
+      .send(body)
+      .expect(201);
+    expect(again.body.data.summary).toMatchObject({ found: 2, created: 0, skipped: 2 });
+  });
+});
@@ -0,0 +1,251 @@
+const request = require('supertest');
+const mongoose = require('mongoose');
+const { MongoMemoryServer } = require('mongodb-memory-server');
+const app = require('../../server');
+const User = require('../models/user.model');
+const Course = require('../models/course.model');
+const Section = require('../models/section.model');
+const Enrollment = require('../models/enrollment.model');
+const Department = require('../models/department.model');
+const CourseGrade = require('../models/courseGrade.model');
+
+let mongoServer;
+
+beforeAll(async () => {
+  mongoServer = await MongoMemoryServer.create();
+  const mongoUri = mongoServer.getUri();
+  await mongoose.connect(mongoUri);
+});
+
+afterAll(async () => {
+  await mongoose.disconnect();
+  await mongoServer.stop();
+});
+
+beforeEach(async () => {
+  await User.deleteMany({});
+  await Course.deleteMany({});
+  await Section.deleteMany({});
+  await Enrollment.deleteMany({});
+  await Department.deleteMany({});
+  await CourseGrade.deleteMany({});
+});
+
+const login = async (email, password) => {
+  const response = await request(app)
+    .post('/api/v1/auth/login')
+    .send({ email, password });
+  return response.body.data.accessToken;
+};
+
+describe('Course sections', () => {
+  let admin;
+  let coordinator;
+  let sectionFaculty;
+  let students;
+  let course;
+  let adminToken;
+  let coordinatorToken;
+  let sectionFacultyToken;
+
+  beforeEach(async () => {
+    const department = await Department.create({
+      name: 'Computer Science',
+      code: 'CS',
+      description: 'Computer Science Department'
+    });
+
+    admin = await User.create({
+      firstName: 'Admin',
+      lastName: 'User',
+      email: 'admin@test.com',
+      password: 'AdminPass123',
+      role: 'admin',
+      isActive: true
+    });
+
+    coordinator = await User.create({
+      firstName: 'Course',
+      lastName: 'Coordinator',
+      email: 'coordinator@test.com',
+      password: 'Password123',
+      role: 'faculty',
+      department: department._id,
+      isActive: true
+    });
+
+    sectionFaculty = await User.create({
+      firstName: 'Section',
+      lastName: 'Faculty',
+      email: 'section@test.com',
+      password: 'Password123',
+      role: 'faculty',
+      department: department._id,
+      isActive: true
+    });
+
+    students = await Promise.all([1, 2].map(n => User.create({
+      firstName: 'Student',
+      lastName: `Number${n}`,
+      email: `student${n}@test.com`,
+      password: 'Password123',
+      role: 'student',
+      studentId: `STU00${n}`,
+      isActive: true
+    })));
+
+    course = await Course.create({
+      name: 'Introduction to Computer Science',
+      code: 'CS101',
+      faculty: coordinator._id,
+      department: department._id,
+      program: new mongoose.Types.ObjectId(),
+      semester: 1,
+      year: 2024,
+      creditHours: 3,
+      maxStudents: 100,
+      status: 'active',
+      createdBy: admin._id
+    });
+
+    adminToken = await login('admin@test.com', 'AdminPass123');
+    coordinatorToken = await login('coordinator@test.com', 'Password123');
+    sectionFacultyToken = await login('section@test.com', 'Password123');
+  });
+
+  const createEnrollment = (student) => Enrollment.create({
+    student: student._id,
+    program: course.program,
+    semester: 1,
+    academicYear: '2024-2025',
+    status: 'active',
+    createdBy: admin._id
+  });
+
+  test('should create sections with unique codes per course', async () => {
+    const created = await request(app)
+      .post(`/api/v1/courses/${course._id}/sections`)
+      .set('Authorization', `Bearer ${adminToken}`)
+      .send({
+        code: '001',
+        faculty: sectionFaculty._id.toString(),
+        maxStudents: 30,
+        location: { building: 'Science Hall', room: '101' },
+        schedule: [{ day: 'Monday', startTime: '09:00', endTime: '10:30' }]
+      });
+    expect(created.status).toBe(201);
+    expect(created.body.data.faculty.email).toBe('section@test.com');
+
+    const duplicate = await request(app)
+      .post(`/api/v1/courses/${course._id}/sections`)
+      .set('Authorization', `Bearer ${adminToken}`)
+      .send({ code: '001', faculty: coordinator._id.toString(), maxStudents: 30 });
+    expect(duplicate.status).toBe(409);
+
+    await request(app)
+      .post(`/api/v1/courses/${course._id}/sections`)
+      .set('Authorization', `Bearer ${sectionFacultyToken}`)
+      .send({ code: '002', faculty: sectionFaculty._id.toString(), maxStudents: 30 })
+      .expect(403);
+
+    const list = await request(app)
+      .get(`/api/v1/courses/${course._id}/sections`)
+      .set('Authorization', `Bearer ${sectionFacultyToken}`)
+      .expect(200);
+    expect(list.body.data).toHaveLength(1);
+  });
+
+  test('should require a section and stop at its capacity', async () => {
+    const section = await Section.create({
+      course: course._id,
+      code: 'A',
+      faculty: sectionFaculty._id,
+      maxStudents: 1,
+      createdBy: admin._id
+    });
+    const [first, second] = await Promise.all(students.map(createEnrollment));
+
+    const withoutSection = await request(app)
+      .post(`/api/v1/enrollments/${first._id}/courses`)
+      .set('Authorization', `Bearer ${adminToken}`)
+      .send({ courseId: course._id.toString(), lastModifiedBy: admin._id.toString() });
+    expect(withoutSection.status).toBe(400);
+    expect(withoutSection.body.message).toBe('This course is taught in sections; a sectionId is required');
+
+    await request(app)
+      .post(`/api/v1/enrollments/${first._id}/courses`)
+      .set('Authorization', `Bearer ${adminToken}`)
+      .send({ courseId: course._id.toString(), sectionId: section._id.toString(), lastModifiedBy: admin._id.toString() })
+      .expect(200);
+
+    const full = await request(app)
+      .post(`/api/v1/enrollments/${second._id}/courses`)
+      .set('Authorization', `Bearer ${adminToken}`)
+      .send({ courseId: course._id.toString(), sectionId: section._id.toString(), lastModifiedBy: admin._id.toString() });
+    expect(full.status).toBe(409);
+    expect(full.body.message).toBe('Section A is full');
+
+    const stored = await Enrollment.findById(first._id);
+    expect(stored.getSection(course._id).toString()).toBe(section._id.toString());
+    expect((await Section.findById(section._id)).currentEnrollment).toBe(1);
+
+    await request(app)
+      .delete(`/api/v1/courses/${course._id}/sections/${section._id}`)
+      .set('Authorization', `Bearer ${adminToken}`)
+      .expect(409);
+  });
+
+  test('should roll grades up across sections', async () => {
+    const [sectionA, sectionB] = await Promise.all(['A', 'B'].map(code => Section.create({
+      course: course._id,
+      code,
+      faculty: code === 'A' ? sectionFaculty._id : coordinator._id,
+      maxStudents: 20,
+      currentEnrollment: 1,
+      createdBy: admin._id
+    })));
+
+    const grade = (student, section, finalGrade, gradePoints) => CourseGrade.create({
+      student: student._id,
+      course: course._id,
+      section: section._id,
+      faculty: section.faculty,
+      semester: 1,
+      academicYear: '2024-2025',
+      finalGrade,
+      numericalGrade: gradePoints * 25,
+      gradePoints,
+      credits: 3,
+      submittedBy: section.faculty
+    });
+    await grade(students[0], sectionA, 'A', 4);
+    await grade(students[1], sectionB, 'B', 3);
+
+    const response = await request(app)
+      .get(`/api/v1/courses/${course._id}/roll-up`)
+      .set('Authorization', `Bearer ${coordinatorToken}`)
+      .expect(200);
+
+    const { sections, totals } = response.body.data;
+    expect(sections.map(section => section.code)).toEqual(['A', 'B']);
+    expect(sections[0].grades.distribution).toEqual({ A: 1 });
+    expect(totals.maxStudents).toBe(40);
+    expect(totals.currentEnrollment).toBe(2);
+    expect(totals.grades.count).toBe(2);
+    expect(totals.grades.averageGradePoints).toBe(3.5);
+
+    const outsider = await User.create({
+      firstName: 'Other',
+      lastName: 'Faculty',
+      email: 'other@test.com',
+      password: 'Password123',
+      role: 'faculty',
+      isActive: true
+    });
+    const outsiderToken = await login(outsider.email, 'Password123');
+    await request(app)
+      .get(`/api/v1/courses/${course._id}/roll-up`)
+      .set('Authorization', `Bearer ${outsiderToken}`)
+      .expect(403);
+  });
+});
@@ -0,0 +1,232 @@
+const request = require('supertest');
+const mongoose = require('mongoose');
+const { MongoMemoryServer } = require('mongodb-memory-server');
+const app = require('../../server');
+const User = require('../models/user.model');
+const Course = require('../models/course.model');
+const Assignment = require('../models/assignment.model');
+const Submission = require('../models/submission.model');
+
+let mongoServer;
+
+beforeAll(async () => {
+  mongoServer = await MongoMemoryServer.create();
+  const mongoUri = mongoServer.getUri();
+  await mongoose.connect(mongoUri);
+});
+
+afterAll(async () => {
+  await mongoose.disconnect();
+  await mongoServer.stop();
+});
+
+beforeEach(async () => {
+  await User.deleteMany({});
+  await Course.deleteMany({});
+  await Assignment.deleteMany({});
+  await Submission.deleteMany({});
+});
+
+const login = async (email, password) => {
+  const response = await request(app)
+    .post('/api/v1/auth/login')
+    .send({ email, password });
+  return response.body.data.accessToken;
+};
+
+describe('Course staff', () => {
+  let admin;
+  let lead;
+  let assistant;
+  let coInstructor;
+  let grader;
+  let student;
+  let course;
+  let submission;
+  let leadToken;
+  let assistantToken;
+  let coInstructorToken;
+  let graderToken;
+
+  beforeEach(async () => {
+    admin = await User.create({
+      firstName: 'Admin',
+      lastName: 'User',
+      email: 'admin@test.com',
+      password: 'AdminPass123',
+      role: 'admin',
+      isActive: true
+    });
+
+    [lead, assistant, coInstructor, grader] = await Promise.all(['lead', 'assistant', 'co', 'grader'].map(name => User.create({
+      firstName: name,
+      lastName: 'Member',
+      email: `${name}@test.com`,
+      password: 'Password123',
+      role: 'faculty',
+      isActive: true
+    })));
+
+    student = await User.create({
+      firstName: 'Student',
+      lastName: 'User',
+      email: 'student@test.com',
+      password: 'Password123',
+      role: 'student',
+      isActive: true
+    });
+
+    course = await Course.create({
+      name: 'Operating Systems',
+      code: 'CS310',
+      faculty: lead._id,
+      department: new mongoose.Types.ObjectId(),
+      program: new mongoose.Types.ObjectId(),
+      semester: 1,
+      year: 2025,
+      creditHours: 3,
+      maxStudents: 30,
+      students: [student._id],
+      currentEnrollment: 1,
+      createdBy: admin._id
+    });
+
+    const assignment = await Assignment.create({
+      title: 'Scheduler',
+      description: 'Implement a round-robin scheduler',
+      course: course._id,
+      faculty: lead._id,
+      dueDate: new Date(Date.now() + 7 * 24 * 60 * 60 * 1000),
+      totalPoints: 100,
+      status: 'published',
+      isVisible: true,
+      createdBy: lead._id
+    });
+
+    submission = await Submission.create({
+      assignment: assignment._id,
+      student: student._id,
+      createdBy: student._id
+    });
+
+    leadToken = await login('lead@test.com', 'Password123');
+    assistantToken = await login('assistant@test.com', 'Password123');
+    coInstructorToken = await login('co@test.com', 'Password123');
+    graderToken = await login('grader@test.com', 'Password123');
+  });
+
+  const addStaff = (token, body, status) => request(app)
+    .post(`/api/v1/courses/${course._id}/staff`)
+    .set('Authorization', `Bearer ${token}`)
+    .send(body)
+    .expect(status);
+
+  test('should let the course faculty add staff and report their capabilities', async () => {
+    await addStaff(leadToken, { userId: assistant._id.toString(), role: 'teaching_assistant' }, 201);
+    await addStaff(leadToken, { userId: assistant._id.toString(), role: 'grader' }, 409);
+    await addStaff(leadToken, { userId: student._id.toString(), role: 'grader' }, 400);
+    await addStaff(leadToken, { userId: lead._id.toString(), role: 'co_instructor' }, 400);
+
+    const response = await request(app)
+      .get(`/api/v1/courses/${course._id}/staff`)
+      .set('Authorization', `Bearer ${assistantToken}`)
+      .expect(200);
+
+    expect(response.body.data.staff).toHaveLength(1);
+    expect(response.body.data.staff[0].role).toBe('teaching_assistant');
+    expect(response.body.data.capabilities).toEqual(expect.arrayContaining(['submissions.grade', 'roster.view']));
+    expect(response.body.data.capabilities).not.toContain('course.edit');
+
+    // Staff cannot manage the staff themselves
+    await addStaff(assistantToken, { userId: grader._id.toString(), role: 'grader' }, 403);
+  });
+
+  test('should let a teaching assistant grade but not edit or delete the course', async () => {
+    await addStaff(leadToken, { userId: assistant._id.toString(), role: 'teaching_assistant' }, 201);
+
+    await request(app)
+      .post(`/api/v1/submissions/${submission._id}/grade`)
+      .set('Authorization', `Bearer ${assistantToken}`)
+      .send({ grade: 'A', numericalScore: 92 })
+      .expect(200);
+
+    const graded = await Submission.findById(submission._id);
+    expect(graded.status).toBe('graded');
+    expect(graded.reviewedBy.toString()).toBe(assistant._id.toString());
+
+    await request(app)
+      .put(`/api/v1/courses/${course._id}`)
+      .set('Authorization', `Bearer ${assistantToken}`)
+      .send({ description: 'Changed by the assistant' })
+      .expect(403);
+
+    await request(app)
+      .delete(`/api/v1/courses/${course._id}`)
+      .set('Authorization', `Bearer ${assistantToken}`)
+      .expect(403);
+
+    // Faculty outside the course staff still cannot grade
+    await request(app)
+      .post(`/api/v1/submissions/${submission._id}/grade`)
+      .set('Authorization', `Bearer ${graderToken}`)
+      .send({ grade: 'B', numericalScore: 80 })
+      .expect(403);
+  });
+
+  test('should let a co-instructor edit the course but not reassign it', async () => {
+    await addStaff(leadToken, { userId: coInstructor._id.toString(), role: 'co_instructor' }, 201);
+
+    await request(app)
+      .put(`/api/v1/courses/${course._id}`)
+      .set('Authorization', `Bearer ${coInstructorToken}`)
+      .send({ description: 'Updated by the co-instructor' })
+      .expect(200);
+
+    await request(app)
+      .put(`/api/v1/courses/${course._id}`)
+      .set('Authorization', `Bearer ${coInstructorToken}`)
+      .send({ faculty: coInstructor._id.toString() })
+      .expect(403);
+
+    const updated = await Course.findById(course._id);
+    expect(updated.description).toBe('Updated by the co-instructor');
+    expect(updated.faculty.toString()).toBe(lead._id.toString());
+  });
+
+  test('should limit the roster to staff roles that include it', async () => {
+    await addStaff(leadToken, { userId: assistant._id.toString(), role: 'teaching_assistant' }, 201);
+    await addStaff(leadToken, { userId: grader._id.toString(), role: 'grader' }, 201);
+
+    await request(app)
+      .get(`/api/v1/courses/${course._id}/waitlist`)
+      .set('Authorization', `Bearer ${assistantToken}`)
+      .expect(200);
+
+    await request(app)
+      .get(`/api/v1/courses/${course._id}/waitlist`)
+      .set('Authorization', `Bearer ${graderToken}`)
+      .expect(403);
+
+    // Promoting the grader widens what they can do
+    await request(app)
+      .put(`/api/v1/courses/${course._id}/staff/${grader._id}`)
+      .set('Authorization', `Bearer ${leadToken}`)
+      .send({ role: 'teaching_assistant' })
+      .expect(200);
+
+    await request(app)
+      .get(`/api/v1/courses/${course._id}/waitlist`)
+      .set('Authorization', `Bearer ${graderToken}`)
+      .expect(200);
+
+    await request(app)
+      .delete(`/api/v1/courses/${course._id}/staff/${grader._id}`)
+      .set('Authorization', `Bearer ${leadToken}`)
+      .expect(200);
+
+    await request(app)
+      .get(`/api/v1/courses/${course._id}/waitlist`)
+      .set('Authorization', `Bearer ${graderToken}`)
+      .expect(403);
+  });
+});
@@ -0,0 +1,285 @@
+const request = require('supertest');
+const mongoose = require('mongoose');
+const { MongoMemoryServer } = require('mongodb-memory-server');
+const app = require('../../server');
+const User = require('../models/user.model');
+const Course = require('../models/course.model');
+const Enrollment = require('../models/enrollment.model');
+const WaitlistEntry = require('../models/waitlistEntry.model');
+const waitlistService = require('../services/waitlist.service');
+const closeDuplicateWaitlistEntries = require('../migrations/closeDuplicateWaitlistEntries');
+
+let mongoServer;
+
+beforeAll(async () => {
+  mongoServer = await MongoMemoryServer.create();
+  const mongoUri = mongoServer.getUri();
+  await mongoose.connect(mongoUri);
+});
+
+afterAll(async () => {
+  await mongoose.disconnect();
+  await mongoServer.stop();
+});
+
+beforeEach(async () => {
+  await User.deleteMany({});
+  await Course.deleteMany({});
+  await Enrollment.deleteMany({});
+  await WaitlistEntry.deleteMany({});
+});
+
+const login = async (email, password) => {
+  const response = await request(app)
+    .post('/api/v1/auth/login')
+    .send({ email, password });
+  return response.body.data.accessToken;
+};
+
+describe('Course waitlists', () => {
+  let admin;
+  let faculty;
+  let students;
+  let course;
+  let adminToken;
+  let facultyToken;
+  let studentTokens;
+
+  beforeEach(async () => {
+    process.env.WAITLIST_CLAIM_WINDOW_HOURS = '24';
+
+    admin = await User.create({
+      firstName: 'Admin',
+      lastName: 'User',
+      email: 'admin@test.com',
+      password: 'AdminPass123',
+      role: 'admin',
+      isActive: true
+    });
+
+    faculty = await User.create({
+      firstName: 'John',
+      lastName: 'Doe',
+      email: 'faculty@test.com',
+      password: 'Password123',
+      role: 'faculty',
+      isActive: true
+    });
+
+    students = await Promise.all([1, 2, 3].map(n => User.create({
+      firstName: 'Student',
+      lastName: `Number${n}`,
+      email: `student${n}@test.com`,
+      password: 'Password123',
+      role: 'student',
+      studentId: `STU00${n}`,
+      isActive: true
+    })));
+
+    course = await Course.create({
+      name: 'Introduction to Computer Science',
+      code: 'CS101',
+      faculty: faculty._id,
+      department: new mongoose.Types.ObjectId(),
+      program: new mongoose.Types.ObjectId(),
+      semester: 1,
+      year: 2024,
+      creditHours: 3,
+      maxStudents: 1,
+      status: 'active',
+      createdBy: admin._id
+    });
+
+    adminToken = await login('admin@test.com', 'AdminPass123');
+    facultyToken = await login('faculty@test.com', 'Password123');
+    studentTokens = await Promise.all(students.map(student => login(student.email, 'Password123')));
+  });
+
+  afterEach(() => {
+    delete process.env.WAITLIST_CLAIM_WINDOW_HOURS;
+  });
+
+  const enroll = (student) => request(app)
+    .post(`/api/v1/courses/${course._id}/enroll`)
+    .set('Authorization', `Bearer ${adminToken}`)
+    .send({ studentId: student._id.toString() });
+
+  const enrollmentStatus = (index) => request(app)
+    .get(`/api/v1/courses/${course._id}/enrollment-status`)
+    .set('Authorization', `Bearer ${studentTokens[index]}`)
+    .expect(200);
+
+  test('should waitlist students once the course is full', async () => {
+    await enroll(students[0]).expect(200);
+
+    const second = await enroll(students[1]);
+    expect(second.status).toBe(202);
+    expect(second.body.data).toMatchObject({ status: 'waiting', position: 1 });
+
+    const third = await enroll(students[2]);
+    expect(third.body.data).toMatchObject({ status: 'waiting', position: 2, waiting: 2 });
+
+    await enroll(students[1]).expect(409);
+
+    const status = await enrollmentStatus(2);
+    expect(status.body.data.isEnrolled).toBe(false);
+    expect(status.body.data.waitlist).toMatchObject({ status: 'waiting', position: 2 });
+
+    const stored = await Course.findById(course._id);
+    expect(stored.currentEnrollment).toBe(1);
+    expect(stored.isStudentEnrolled(students[0]._id)).toBe(true);
+  });
+
+  test('should offer a freed seat to the next student for the claim window', async () => {
+    await enroll(students[0]).expect(200);
+    await enroll(students[1]).expect(202);
+    await enroll(students[2]).expect(202);
+
+    await request(app)
+      .post(`/api/v1/courses/${course._id}/remove-student`)
+      .set('Authorization', `Bearer ${adminToken}`)
+      .send({ studentId: students[0]._id.toString() })
+      .expect(200);
+
+    const offered = await enrollmentStatus(1);
+    const { waitlist } = offered.body.data;
+    expect(waitlist.status).toBe('offered');
+    const hoursLeft = (new Date(waitlist.offerExpiresAt) - Date.now()) / 3600000;
+    expect(hoursLeft).toBeGreaterThan(23.9);
+    expect(hoursLeft).toBeLessThanOrEqual(24);
+    expect((await enrollmentStatus(2)).body.data.waitlist.position).toBe(1);
+
+    // The held seat is not available to anyone else
+    const enrollment = await Enrollment.create({
+      student: students[2]._id,
+      program: course.program,
+      semester: 1,
+      academicYear: '2024-2025',
+      status: 'active',
+      createdBy: admin._id
+    });
+    const blocked = await request(app)
+      .post(`/api/v1/enrollments/${enrollment._id}/courses`)
+      .set('Authorization', `Bearer ${adminToken}`)
+      .send({ courseId: course._id.toString(), lastModifiedBy: admin._id.toString() });
+    expect(blocked.status).toBe(409);
+    expect(blocked.body.message).toBe('Course CS101 is full');
+
+    await enroll(students[1]).expect(200);
+    const entry = await WaitlistEntry.findOne({ course: course._id, student: students[1]._id });
+    expect(entry.status).toBe('enrolled');
+    expect((await enrollmentStatus(1)).body.data.isEnrolled).toBe(true);
+  });
+
+  test('should never offer more seats than are free when promotions race', async () => {
+    await WaitlistEntry.init();
+    await enroll(students[0]).expect(200);
+    await enroll(students[1]).expect(202);
+
+    // A double submit leaves one entry
+    const joined = await Promise.all([enroll(students[2]), enroll(students[2])]);
+    expect(joined.map(response => response.status).sort()).toEqual([202, 409]);
+    expect(await WaitlistEntry.countDocuments({ student: students[2]._id })).toBe(1);
+
+    await Course.updateOne({ _id: course._id }, { $pull: { students: students[0]._id }, $inc: { currentEnrollment: -1 } });
+    await Promise.all([waitlistService.promote(course._id), waitlistService.promote(course._id), waitlistService.sweep()]);
+
+    const offered = await WaitlistEntry.find({ course: course._id, status: 'offered' });
+    expect(offered.length).toBeLessThanOrEqual(1);
+
+    await waitlistService.sweep();
+    const settled = await WaitlistEntry.find({ course: course._id, status: 'offered' });
+    expect(settled.map(entry => entry.student.toString())).toEqual([students[1]._id.toString()]);
+  });
+
+  test('should pass expired and withdrawn offers down the line', async () => {
+    await enroll(students[0]).expect(200);
+    await enroll(students[1]).expect(202);
+    await enroll(students[2]).expect(202);
+
+    await request(app)
+      .post(`/api/v1/courses/${course._id}/remove-student`)
+      .set('Authorization', `Bearer ${adminToken}`)
+      .send({ studentId: students[0]._id.toString() })
+      .expect(200);
+
+    await WaitlistEntry.updateOne(
+      { course: course._id, student: students[1]._id },
+      { offerExpiresAt: new Date(Date.now() - 1000) }
+    );
+
+    // Reading the waitlist hides the lapsed offer but changes nothing
+    const before = await request(app)
+      .get(`/api/v1/courses/${course._id}/waitlist`)
+      .set('Authorization', `Bearer ${facultyToken}`)
+      .expect(200);
+    expect(before.body.data.offered).toHaveLength(0);
+    expect((await WaitlistEntry.findOne({ student: students[1]._id })).status).toBe('offered');
+
+    expect(await waitlistService.sweep()).toBe(1);
+
+    const list = await request(app)
+      .get(`/api/v1/courses/${course._id}/waitlist`)
+      .set('Authorization', `Bearer ${facultyToken}`)
+      .expect(200);
+    expect(list.body.data.offered.map(entry => entry.student.email)).toEqual(['student3@test.com']);
+    expect(list.body.data.waiting).toHaveLength(0);
+    expect((await WaitlistEntry.findOne({ student: students[1]._id })).status).toBe('expired');
+
+    await request(app)
+      .delete(`/api/v1/courses/${course._id}/waitlist`)
+      .set('Authorization', `Bearer ${studentTokens[2]}`)
+      .expect(200);
+    await request(app)
+      .delete(`/api/v1/courses/${course._id}/waitlist`)
+      .set('Authorization', `Bearer ${studentTokens[2]}`)
+      .expect(404);
+
+    // With nobody left in line the seat is open again
+    await enroll(students[1]).expect(200);
+
+    const outsider = await User.create({
+      firstName: 'Other',
+      lastName: 'Faculty',
+      email: 'other@test.com',
+      password: 'Password123',
+      role: 'faculty',
+      isActive: true
+    });
+    await request(app)
+      .get(`/api/v1/courses/${course._id}/waitlist`)
+      .set('Authorization', `Bearer ${await login(outsider.email, 'Password123')}`)
+      .expect(403);
+  });
+
+  test('should close duplicate open entries written before the open flag', async () => {
+    const now = Date.now();
+    const entry = (student, status, minutesAgo) => ({
+      course: course._id,
+      student: student._id,
+      status,
+      createdAt: new Date(now - minutesAgo * 60 * 1000)
+    });
+    await WaitlistEntry.collection.insertMany([
+      entry(students[0], 'waiting', 30),
+      entry(students[0], 'waiting', 20),
+      entry(students[1], 'waiting', 30),
+      entry(students[1], 'offered', 10),
+      entry(students[2], 'expired', 40),
+      entry(students[2], 'waiting', 5)
+    ]);
+
+    expect(await closeDuplicateWaitlistEntries()).toEqual({ backfilled: 6, closed: 2 });
+
+    const open = await WaitlistEntry.find({ open: true });
+    const kept = new Map(open.map(item => [item.student.toString(), item]));
+    expect(open).toHaveLength(3);
+    expect(kept.get(students[0]._id.toString()).createdAt.getTime()).toBe(now - 30 * 60 * 1000);
+    expect(kept.get(students[1]._id.toString()).status).toBe('offered');
+    expect(kept.get(students[2]._id.toString()).status).toBe('waiting');
+    expect(await WaitlistEntry.countDocuments({ status: 'withdrawn', open: false })).toBe(2);
+
+    // The index now refuses a second open entry
+    await expect(WaitlistEntry.create({ course: course._id, student: students[0]._id })).rejects.toThrow(/duplicate key/);
+  });
+});
@@ -0,0 +1,182 @@
+const request = require('supertest');
+const mongoose = require('mongoose');
+const { MongoMemoryServer } = require('mongodb-memory-server');
+const app = require('../../server');
+const User = require('../models/user.model');
+const { getMailTransport } = require('../config/mail.config');
+
+let mongoServer;
+
+beforeAll(async () => {
+  mongoServer = await MongoMemoryServer.create();
+  const mongoUri = mongoServer.getUri();
+  await mongoose.connect(mongoUri);
+});
+
+afterAll(async () => {
+  await mongoose.disconnect();
+  await mongoServer.stop();
+});
+
+beforeEach(async () => {
+  await User.deleteMany({});
+  getMailTransport().clear();
+});
+
+// Pull the token out of the link in the most recent email
+const lastTokenFromOutbox = (pathPrefix) => {
+  const { messages } = getMailTransport();
+  const message = messages[messages.length - 1];
+  const match = message.text.match(new RegExp(`${pathPrefix}/([a-f0-9]{64})`));
+  return match && match[1];
+};
+
+describe('Email Delivery', () => {
+  let student;
+
+  beforeEach(async () => {
+    student = await User.create({
+      firstName: 'Student',
+      lastName: 'User',
+      email: 'student@test.com',
+      password: 'StudentPass123',
+      role: 'student',
+      isActive: true
+    });
+  });
+
+  describe('POST /api/v1/auth/forgot-password', () => {
+    test('should email a reset link and accept the token', async () => {
+      const response = await request(app)
+        .post('/api/v1/auth/forgot-password')
+        .send({ email: 'student@test.com' });
+
+      expect(response.status).toBe(200);
+      expect(getMailTransport().messages).toHaveLength(1);
+      expect(getMailTransport().messages[0].to).toBe('student@test.com');
+
+      const token = lastTokenFromOutbox('reset-password');
+      expect(token).toBeTruthy();
+
+      // Only the hash is stored
+      const stored = await User.findById(student._id);
+      expect(stored.passwordResetToken).not.toBe(token);
+
+      const resetResponse = await request(app)
+        .post(`/api/v1/auth/reset-password/${token}`)
+        .send({ newPassword: 'NewPass123', confirmPassword: 'NewPass123' });
+
+      expect(resetResponse.status).toBe(200);
+
+      const loginResponse = await request(app)
+        .post('/api/v1/auth/login')
+        .send({ email: 'student@test.com', password: 'NewPass123' });
+
+      expect(loginResponse.status).toBe(200);
+    });
+
+    test('should not reuse a reset token', async () => {
+      await request(app)
+        .post('/api/v1/auth/forgot-password')
+        .send({ email: 'student@test.com' });
+
+      const token = lastTokenFromOutbox('reset-password');
+
+      await request(app)
+        .post(`/api/v1/auth/reset-password/${token}`)
+        .send({ newPassword: 'NewPass123', confirmPassword: 'NewPass123' });
+
+      const response = await request(app)
+        .post(`/api/v1/auth/reset-password/${token}`)
+        .send({ newPassword: 'OtherPass123', confirmPassword: 'OtherPass123' });
+
+      expect(response.status).toBe(400);
+    });
+
+    test('should not reveal unknown emails', async () => {
+      const response = await request(app)
+        .post('/api/v1/auth/forgot-password')
+        .send({ email: 'nobody@test.com' });
+
+      expect(response.status).toBe(200);
+      expect(getMailTransport().messages).toHaveLength(0);
+    });
+
+    test('should answer the same when the reset email cannot be sent', async () => {
+      const send = jest.spyOn(getMailTransport(), 'send').mockRejectedValueOnce(new Error('SMTP unavailable'));
+
+      const known = await request(app)
+        .post('/api/v1/auth/forgot-password')
+        .send({ email: 'student@test.com' });
+      const unknown = await request(app)
+        .post('/api/v1/auth/forgot-password')
+        .send({ email: 'nobody@test.com' });
+
+      expect(send).toHaveBeenCalledTimes(1);
+      expect(known.status).toBe(200);
+      expect(known.body).toEqual(unknown.body);
+      send.mockRestore();
+    });
+  });
+
+  describe('Email verification', () => {
+    test('should send a verification email on registration and verify it', async () => {
+      const registerResponse = await request(app)
+        .post('/api/v1/auth/register')
+        .send({
+          firstName: 'New',
+          lastName: 'Student',
+          email: 'new.student@test.com',
+          password: 'NewStudent123',
+          role: 'student'
+        });
+
+      expect(registerResponse.status).toBe(201);
+
+      const token = lastTokenFromOutbox('verify-email');
+      expect(token).toBeTruthy();
+
+      const response = await request(app)
+        .get(`/api/v1/auth/verify-email/${token}`);
+
+      expect(response.status).toBe(200);
+
+      const user = await User.findByEmail('new.student@test.com');
+      expect(user.isEmailVerified).toBe(true);
+      expect(user.emailVerificationToken).toBeNull();
+    });
+
+    test('should resend verification for unverified accounts', async () => {
+      const response = await request(app)
+        .post('/api/v1/auth/resend-verification')
+        .send({ email: 'student@test.com' });
+
+      expect(response.status).toBe(200);
+      expect(getMailTransport().messages).toHaveLength(1);
+      expect(getMailTransport().messages[0].template).toBe('emailVerification');
+    });
+
+    test('should answer the same when the verification email cannot be sent', async () => {
+      const send = jest.spyOn(getMailTransport(), 'send').mockRejectedValueOnce(new Error('SMTP unavailable'));
+
+      const known = await request(app)
+        .post('/api/v1/auth/resend-verification')
+        .send({ email: 'student@test.com' });
+      const unknown = await request(app)
+        .post('/api/v1/auth/resend-verification')
+        .send({ email: 'nobody@test.com' });
+
+      expect(send).toHaveBeenCalledTimes(1);
+      expect(known.status).toBe(200);
+      expect(known.body).toEqual(unknown.body);
+      send.mockRestore();
+    });
+
+    test('should reject an invalid verification token', async () => {
+      const response = await request(app)
+        .get(`/api/v1/auth/verify-email/${'a'.repeat(64)}`);
+
+      expect(response.status).toBe(400);
+    });
+  });
+});
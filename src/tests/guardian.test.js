@@ -0,0 +1,200 @@
+const request = require('supertest');
+const mongoose = require('mongoose');
+const { MongoMemoryServer } = require('mongodb-memory-server');
+const app = require('../../server');
+const User = require('../models/user.model');
+const GuardianLink = require('../models/guardianLink.model');
+const CourseGrade = require('../models/courseGrade.model');
+const Notice = require('../models/notice.model');
+
+let mongoServer;
+
+beforeAll(async () => {
+  mongoServer = await MongoMemoryServer.create();
+  const mongoUri = mongoServer.getUri();
+  await mongoose.connect(mongoUri);
+});
+
+afterAll(async () => {
+  await mongoose.disconnect();
+  await mongoServer.stop();
+});
+
+beforeEach(async () => {
+  await User.deleteMany({});
+  await GuardianLink.deleteMany({});
+  await CourseGrade.deleteMany({});
+  await Notice.deleteMany({});
+});
+
+const login = async (email, password) => {
+  const response = await request(app)
+    .post('/api/v1/auth/login')
+    .send({ email, password });
+  return response.body.data.accessToken;
+};
+
+describe('Guardian accounts', () => {
+  let admin;
+  let student;
+  let guardian;
+  let adminToken;
+  let studentToken;
+  let guardianToken;
+
+  beforeEach(async () => {
+    admin = await User.create({
+      firstName: 'Admin',
+      lastName: 'User',
+      email: 'admin@test.com',
+      password: 'AdminPass123',
+      role: 'admin',
+      isActive: true
+    });
+
+    student = await User.create({
+      firstName: 'Student',
+      lastName: 'User',
+      email: 'student@test.com',
+      password: 'Password123',
+      role: 'student',
+      studentId: 'STU001',
+      isActive: true
+    });
+
+    guardian = await User.create({
+      firstName: 'Parent',
+      lastName: 'User',
+      email: 'parent@test.com',
+      password: 'Password123',
+      role: 'guardian',
+      isActive: true
+    });
+
+    await CourseGrade.create([
+      {
+        student: student._id,
+        course: new mongoose.Types.ObjectId(),
+        faculty: admin._id,
+        semester: 1,
+        academicYear: '2024-2025',
+        finalGrade: 'B+',
+        numericalGrade: 84,
+        gradePoints: 3.3,
+        credits: 3,
+        status: 'final',
+        submittedBy: admin._id
+      },
+      {
+        student: student._id,
+        course: new mongoose.Types.ObjectId(),
+        faculty: admin._id,
+        semester: 1,
+        academicYear: '2024-2025',
+        finalGrade: 'C',
+        numericalGrade: 70,
+        gradePoints: 2,
+        credits: 3,
+        status: 'submitted',
+        submittedBy: admin._id
+      }
+    ]);
+
+    adminToken = await login('admin@test.com', 'AdminPass123');
+    studentToken = await login('student@test.com', 'Password123');
+    guardianToken = await login('parent@test.com', 'Password123');
+  });
+
+  const linkGuardian = (body = {}) => request(app)
+    .post('/api/v1/guardians/links')
+    .set('Authorization', `Bearer ${adminToken}`)
+    .send({ guardianId: guardian._id, studentId: student._id, ...body });
+
+  test('should only share records once the student has consented', async () => {
+    const created = await linkGuardian({ relationship: 'parent' });
+    expect(created.status).toBe(201);
+    expect(created.body.data.status).toBe('pending');
+
+    const beforeConsent = await request(app)
+      .get(`/api/v1/guardians/students/${student._id}/grades`)
+      .set('Authorization', `Bearer ${guardianToken}`);
+    expect(beforeConsent.status).toBe(403);
+
+    await request(app)
+      .patch(`/api/v1/guardians/links/${created.body.data._id}/consent`)
+      .set('Authorization', `Bearer ${studentToken}`)
+      .send({ granted: true })
+      .expect(200);
+
+    const grades = await request(app)
+      .get(`/api/v1/guardians/students/${student._id}/grades`)
+      .set('Authorization', `Bearer ${guardianToken}`);
+    expect(grades.status).toBe(200);
+    // Grades still under review are not shown
+    expect(grades.body.data).toHaveLength(1);
+    expect(grades.body.data[0].finalGrade).toBe('B+');
+
+    // Withdrawing consent cuts off access immediately
+    await request(app)
+      .patch(`/api/v1/guardians/links/${created.body.data._id}/consent`)
+      .set('Authorization', `Bearer ${studentToken}`)
+      .send({ granted: false })
+      .expect(200);
+
+    await request(app)
+      .get(`/api/v1/guardians/students/${student._id}/enrollments`)
+      .set('Authorization', `Bearer ${guardianToken}`)
+      .expect(403);
+  });
+
+  test('should let an admin record consent when linking', async () => {
+    const created = await linkGuardian({ consentGiven: true, consentNote: 'Signed form CF-031' });
+
+    expect(created.body.data.status).toBe('active');
+    expect(created.body.data.consent.method).toBe('admin');
+
+    const students = await request(app)
+      .get('/api/v1/guardians/students')
+      .set('Authorization', `Bearer ${guardianToken}`)
+      .expect(200);
+    expect(students.body.data[0].studentId).toBe('STU001');
+  });
+
+  test('should never give guardians write access', async () => {
+    const { body } = await linkGuardian({ consentGiven: true });
+
+    const consent = await request(app)
+      .patch(`/api/v1/guardians/links/${body.data._id}/consent`)
+      .set('Authorization', `Bearer ${guardianToken}`)
+      .send({ granted: true });
+    expect(consent.status).toBe(403);
+    expect(consent.body.message).toBe('Guardian accounts are read-only');
+
+    const update = await request(app)
+      .put(`/api/v1/users/${guardian._id}`)
+      .set('Authorization', `Bearer ${guardianToken}`)
+      .send({ firstName: 'Changed' });
+    expect(update.status).toBe(403);
+
+    // Their own account is still theirs to manage
+    await request(app)
+      .post('/api/v1/auth/logout')
+      .set('Authorization', `Bearer ${guardianToken}`)
+      .expect(200);
+  });
+
+  test('should show guardians the notices addressed to them', async () => {
+    const author = { id: admin._id, name: 'Admin User', email: admin.email, role: 'admin' };
+    await Notice.create([
+      { title: 'Parent evening', content: 'Parent evening is on Friday.', type: 'event', category: 'all', author, status: 'published', targetAudience: { roles: ['guardian'] } },
+      { title: 'Lab safety', content: 'Wear goggles in the lab.', type: 'announcement', category: 'all', author, status: 'published', targetAudience: { roles: ['student'] } }
+    ]);
+
+    const response = await request(app)
+      .get('/api/v1/guardians/notices')
+      .set('Authorization', `Bearer ${guardianToken}`)
+      .expect(200);
+
+    expect(response.body.data.map(notice => notice.title)).toEqual(['Parent evening']);
+  });
+});
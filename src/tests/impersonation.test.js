@@ -0,0 +1,146 @@
+const request = require('supertest');
+const mongoose = require('mongoose');
+const { MongoMemoryServer } = require('mongodb-memory-server');
+const app = require('../../server');
+const User = require('../models/user.model');
+const AuditLog = require('../models/auditLog.model');
+
+let mongoServer;
+
+beforeAll(async () => {
+  mongoServer = await MongoMemoryServer.create();
+  const mongoUri = mongoServer.getUri();
+  await mongoose.connect(mongoUri);
+});
+
+afterAll(async () => {
+  await mongoose.disconnect();
+  await mongoServer.stop();
+});
+
+beforeEach(async () => {
+  await User.deleteMany({});
+  await AuditLog.collection.deleteMany({});
+});
+
+describe('Impersonation', () => {
+  let admin;
+  let student;
+  let adminToken;
+  let studentToken;
+
+  const impersonate = (userId, token = adminToken) => request(app)
+    .post(`/api/v1/users/${userId}/impersonate`)
+    .set('Authorization', `Bearer ${token}`)
+    .send({ reason: 'Debugging the student dashboard' });
+
+  beforeEach(async () => {
+    admin = await User.create({
+      firstName: 'Admin',
+      lastName: 'User',
+      email: 'admin@test.com',
+      password: 'AdminPass123',
+      role: 'admin',
+      isActive: true
+    });
+
+    student = await User.create({
+      firstName: 'Student',
+      lastName: 'User',
+      email: 'student@test.com',
+      password: 'Password123',
+      role: 'student',
+      studentId: 'STU001',
+      isActive: true
+    });
+
+    const adminLogin = await request(app)
+      .post('/api/v1/auth/login')
+      .send({ email: 'admin@test.com', password: 'AdminPass123' });
+    adminToken = adminLogin.body.data.accessToken;
+
+    const studentLogin = await request(app)
+      .post('/api/v1/auth/login')
+      .send({ email: 'student@test.com', password: 'Password123' });
+    studentToken = studentLogin.body.data.accessToken;
+  });
+
+  test('should act as the user and flag the impersonation in the profile', async () => {
+    const response = await impersonate(student._id);
+
+    expect(response.status).toBe(201);
+    expect(response.body.data.user.email).toBe('student@test.com');
+    expect(response.body.data.refreshToken).toBeUndefined();
+
+    const profile = await request(app)
+      .get('/api/v1/auth/profile')
+      .set('Authorization', `Bearer ${response.body.data.accessToken}`);
+
+    expect(profile.status).toBe(200);
+    expect(profile.body.data.email).toBe('student@test.com');
+    expect(profile.body.data.impersonation.active).toBe(true);
+    expect(profile.body.data.impersonation.impersonator.email).toBe('admin@test.com');
+
+    const ownProfile = await request(app)
+      .get('/api/v1/auth/profile')
+      .set('Authorization', `Bearer ${studentToken}`);
+
+    expect(ownProfile.body.data.impersonation).toBeNull();
+  });
+
+  test('should block write requests while impersonating', async () => {
+    const { body } = await impersonate(student._id);
+
+    const response = await request(app)
+      .put('/api/v1/auth/profile')
+      .set('Authorization', `Bearer ${body.data.accessToken}`)
+      .send({ firstName: 'Hacked' });
+
+    expect(response.status).toBe(403);
+    expect(response.body.message).toBe('This action is not allowed while impersonating a user');
+
+    const unchanged = await User.findById(student._id);
+    expect(unchanged.firstName).toBe('Student');
+  });
+
+  test('should end the impersonation and record start and stop in the audit log', async () => {
+    const { body } = await impersonate(student._id);
+    const token = body.data.accessToken;
+
+    await request(app)
+      .post('/api/v1/auth/impersonation/stop')
+      .set('Authorization', `Bearer ${token}`)
+      .expect(200);
+
+    const afterStop = await request(app)
+      .get('/api/v1/auth/profile')
+      .set('Authorization', `Bearer ${token}`);
+
+    expect(afterStop.status).toBe(401);
+
+    const entries = await AuditLog.find({ entityId: student._id, action: /^impersonation_/ }).sort({ createdAt: 1, _id: 1 });
+    expect(entries.map(entry => entry.action)).toEqual(['impersonation_started', 'impersonation_ended']);
+    expect(entries[0].actor.email).toBe('admin@test.com');
+    expect(entries[0].details.reason).toBe('Debugging the student dashboard');
+    expect(entries[1].actor.email).toBe('student@test.com');
+    expect(entries[1].actor.impersonatedBy.email).toBe('admin@test.com');
+  });
+
+  test('should only let permitted users impersonate non-admin accounts', async () => {
+    const asStudent = await impersonate(admin._id, studentToken);
+    expect(asStudent.status).toBe(403);
+
+    const otherAdmin = await User.create({
+      firstName: 'Other',
+      lastName: 'Admin',
+      email: 'other-admin@test.com',
+      password: 'AdminPass123',
+      role: 'admin',
+      isActive: true
+    });
+
+    const response = await impersonate(otherAdmin._id);
+    expect(response.status).toBe(403);
+    expect(response.body.message).toBe('Administrators cannot be impersonated');
+  });
+});
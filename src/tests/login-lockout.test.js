@@ -0,0 +1,151 @@
+const request = require('supertest');
+const mongoose = require('mongoose');
+const { MongoMemoryServer } = require('mongodb-memory-server');
+const app = require('../../server');
+const User = require('../models/user.model');
+const LoginThrottle = require('../models/loginThrottle.model');
+
+let mongoServer;
+
+// Settings the tests override, restored so they do not leak into other suites
+const ORIGINAL_ENV = {
+  LOGIN_BASE_DELAY_SECONDS: process.env.LOGIN_BASE_DELAY_SECONDS,
+  LOGIN_IP_MAX_ATTEMPTS: process.env.LOGIN_IP_MAX_ATTEMPTS
+};
+
+const restoreEnv = () => {
+  Object.entries(ORIGINAL_ENV).forEach(([name, value]) => {
+    if (value === undefined) {
+      delete process.env[name];
+    } else {
+      process.env[name] = value;
+    }
+  });
+};
+
+beforeAll(async () => {
+  mongoServer = await MongoMemoryServer.create();
+  const mongoUri = mongoServer.getUri();
+  await mongoose.connect(mongoUri);
+});
+
+afterAll(async () => {
+  restoreEnv();
+  await mongoose.disconnect();
+  await mongoServer.stop();
+});
+
+beforeEach(async () => {
+  await User.deleteMany({});
+  await LoginThrottle.deleteMany({});
+});
+
+describe('Login Lockout', () => {
+  let student;
+
+  const attempt = (password, email = 'student@test.com') => request(app)
+    .post('/api/v1/auth/login')
+    .send({ email, password });
+
+  beforeEach(async () => {
+    await User.create({
+      firstName: 'Admin',
+      lastName: 'User',
+      email: 'admin@test.com',
+      password: 'AdminPass123',
+      role: 'admin',
+      isActive: true
+    });
+
+    student = await User.create({
+      firstName: 'Student',
+      lastName: 'User',
+      email: 'student@test.com',
+      password: 'StudentPass123',
+      role: 'student',
+      isActive: true
+    });
+  });
+
+  afterEach(restoreEnv);
+
+  test('should delay attempts progressively after repeated failures', async () => {
+    await attempt('WrongPass1');
+    await attempt('WrongPass2');
+    await attempt('WrongPass3');
+
+    const response = await attempt('StudentPass123');
+
+    expect(response.status).toBe(429);
+    expect(response.headers['retry-after']).toBeDefined();
+  });
+
+  test('should lock the account and record audit entries', async () => {
+    process.env.LOGIN_BASE_DELAY_SECONDS = '0';
+
+    for (let i = 0; i < 5; i++) {
+      await attempt(`WrongPass${i}`);
+    }
+
+    const response = await attempt('StudentPass123');
+    expect(response.status).toBe(423);
+
+    const user = await User.findById(student._id);
+    const actions = user.auditTrail.map(entry => entry.action);
+    expect(actions.filter(action => action === 'login_failed')).toHaveLength(5);
+    expect(actions).toContain('account_locked');
+  });
+
+  test('should count every one of several parallel failures', async () => {
+    process.env.LOGIN_BASE_DELAY_SECONDS = '0';
+
+    const responses = await Promise.all(
+      Array.from({ length: 8 }, (_, i) => attempt(`WrongPass${i}`))
+    );
+    const checked = responses.filter(response => response.status === 401).length;
+
+    const user = await User.findById(student._id);
+    expect(user.failedLoginAttempts).toBe(checked);
+    expect(user.isLocked).toBe(true);
+    expect(user.auditTrail.filter(entry => entry.action === 'account_locked')).toHaveLength(1);
+  });
+
+  test('should reset the counter after a successful login', async () => {
+    await attempt('WrongPass1');
+    await attempt('StudentPass123');
+
+    const user = await User.findById(student._id);
+    expect(user.failedLoginAttempts).toBe(0);
+  });
+
+  test('should block an IP address after failures across accounts', async () => {
+    process.env.LOGIN_BASE_DELAY_SECONDS = '0';
+    process.env.LOGIN_IP_MAX_ATTEMPTS = '3';
+
+    await attempt('WrongPass1', 'unknown1@test.com');
+    await attempt('WrongPass2', 'unknown2@test.com');
+    await attempt('WrongPass3', 'unknown3@test.com');
+
+    const response = await attempt('StudentPass123');
+    expect(response.status).toBe(429);
+  });
+
+  test('should let an admin unlock the account', async () => {
+    process.env.LOGIN_BASE_DELAY_SECONDS = '0';
+
+    for (let i = 0; i < 5; i++) {
+      await attempt(`WrongPass${i}`);
+    }
+
+    const adminLogin = await attempt('AdminPass123', 'admin@test.com');
+
+    const unlock = await request(app)
+      .patch(`/api/v1/users/${student._id}/unlock`)
+      .set('Authorization', `Bearer ${adminLogin.body.data.accessToken}`);
+
+    expect(unlock.status).toBe(200);
+
+    const response = await attempt('StudentPass123');
+    expect(response.status).toBe(200);
+  });
+});
@@ -0,0 +1,243 @@
+const http = require('http');
+const crypto = require('crypto');
+const jwt = require('jsonwebtoken');
+const request = require('supertest');
+const mongoose = require('mongoose');
+const { MongoMemoryServer } = require('mongodb-memory-server');
+const app = require('../../server');
+const User = require('../models/user.model');
+const Department = require('../models/department.model');
+const { generateSecret, generateCode } = require('../utils/totp');
+
+let mongoServer;
+
+/**
+ * Minimal OpenID provider: discovery, JWKS and a token endpoint that checks
+ * PKCE. Tests "sign in" at the provider by calling `approve`, which returns
+ * the code the provider would redirect back with.
+ */
+const createMockIdp = () => {
+  const { publicKey, privateKey } = crypto.generateKeyPairSync('rsa', { modulusLength: 2048 });
+  const jwk = { ...publicKey.export({ format: 'jwk' }), kid: 'test-key', use: 'sig', alg: 'RS256' };
+  const codes = new Map();
+  const idp = { issuer: null };
+
+  const server = http.createServer((req, res) => {
+    const url = new URL(req.url, idp.issuer);
+    const json = (status, body) => {
+      res.writeHead(status, { 'Content-Type': 'application/json' });
+      res.end(JSON.stringify(body));
+    };
+
+    if (url.pathname === '/.well-known/openid-configuration') {
+      return json(200, {
+        issuer: idp.issuer,
+        authorization_endpoint: `${idp.issuer}/authorize`,
+        token_endpoint: `${idp.issuer}/token`,
+        jwks_uri: `${idp.issuer}/jwks`,
+        id_token_signing_alg_values_supported: ['RS256']
+      });
+    }
+    if (url.pathname === '/jwks') {
+      return json(200, { keys: [jwk] });
+    }
+    if (url.pathname === '/token' && req.method === 'POST') {
+      let body = '';
+      req.on('data', chunk => { body += chunk; });
+      req.on('end', () => {
+        const params = new URLSearchParams(body);
+        const grant = codes.get(params.get('code'));
+        codes.delete(params.get('code'));
+
+        const challenge = crypto.createHash('sha256').update(params.get('code_verifier') || '').digest('base64url');
+        if (!grant || grant.codeChallenge !== challenge || params.get('client_id') !== 'smart-campus') {
+          return json(400, { error: 'invalid_grant' });
+        }
+
+        const idToken = jwt.sign({ ...grant.claims, nonce: grant.nonce }, privateKey, {
+          algorithm: 'RS256',
+          keyid: 'test-key',
+          issuer: idp.issuer,
+          audience: 'smart-campus',
+          expiresIn: '5m'
+        });
+        return json(200, { access_token: 'opaque', token_type: 'Bearer', id_token: idToken });
+      });
+      return undefined;
+    }
+    return json(404, { error: 'not_found' });
+  });
+
+  idp.start = () => new Promise(resolve => {
+    server.listen(0, '127.0.0.1', () => {
+      idp.issuer = `http://127.0.0.1:${server.address().port}`;
+      resolve();
+    });
+  });
+  idp.stop = () => new Promise(resolve => server.close(resolve));
+  idp.approve = (authorizationUrl, claims) => {
+    const params = new URL(authorizationUrl).searchParams;
+    const code = crypto.randomBytes(16).toString('hex');
+    codes.set(code, { claims, nonce: params.get('nonce'), codeChallenge: params.get('code_challenge') });
+    return { code, state: params.get('state') };
+  };
+
+  return idp;
+};
+
+const idp = createMockIdp();
+
+beforeAll(async () => {
+  mongoServer = await MongoMemoryServer.create();
+  const mongoUri = mongoServer.getUri();
+  await mongoose.connect(mongoUri);
+
+  await idp.start();
+  process.env.OIDC_ISSUER = idp.issuer;
+  process.env.OIDC_CLIENT_ID = 'smart-campus';
+  process.env.OIDC_REDIRECT_URI = 'http://localhost:3000/sso/callback';
+  process.env.OIDC_ROLE_MAP = JSON.stringify({ 'campus-students': 'student', 'campus-staff': 'faculty', 'campus-admins': 'admin' });
+});
+
+afterAll(async () => {
+  ['OIDC_ISSUER', 'OIDC_CLIENT_ID', 'OIDC_REDIRECT_URI', 'OIDC_ROLE_MAP'].forEach(name => delete process.env[name]);
+  await idp.stop();
+  await mongoose.disconnect();
+  await mongoServer.stop();
+});
+
+beforeEach(async () => {
+  await User.deleteMany({});
+  await Department.deleteMany({});
+});
+
+describe('OpenID Connect single sign-on', () => {
+  const signIn = async (claims) => {
+    const start = await request(app).post('/api/v1/auth/sso/login').expect(200);
+    const { authorizationUrl } = start.body.data;
+
+    expect(new URL(authorizationUrl).searchParams.get('code_challenge_method')).toBe('S256');
+
+    const { code, state } = idp.approve(authorizationUrl, claims);
+    return request(app).post('/api/v1/auth/sso/callback').send({ code, state });
+  };
+
+  test('should provision a new user from the IdP claims', async () => {
+    const department = await Department.create({ name: 'Computer Science', code: 'CS' });
+
+    const response = await signIn({
+      sub: 'idp-user-1',
+      email: 'Jane.Doe@Campus.edu',
+      email_verified: true,
+      given_name: 'Jane',
+      family_name: 'Doe',
+      groups: ['library', 'campus-students'],
+      department: 'CS',
+      student_id: 'stu2024001'
+    });
+
+    expect(response.status).toBe(200);
+    expect(response.body.data.accessToken).toBeDefined();
+
+    const user = await User.findOne({ email: 'jane.doe@campus.edu' });
+    expect(user.role).toBe('student');
+    expect(user.studentId).toBe('STU2024001');
+    expect(user.department.toString()).toBe(department._id.toString());
+    expect(user.identities[0].subject).toBe('idp-user-1');
+
+    // The second sign-in finds the same account
+    const again = await signIn({ sub: 'idp-user-1', email: 'jane.doe@campus.edu', groups: ['campus-students'] });
+    expect(again.status).toBe(200);
+    expect(await User.countDocuments()).toBe(1);
+  });
+
+  test('should never provision administrators or users without a mapped role', async () => {
+    const admin = await signIn({ sub: 'idp-admin', email: 'boss@campus.edu', groups: ['campus-admins'] });
+    expect(admin.status).toBe(403);
+
+    const unknown = await signIn({ sub: 'idp-guest', email: 'guest@campus.edu', groups: ['visitors'] });
+    expect(unknown.status).toBe(403);
+    expect(await User.countDocuments()).toBe(0);
+  });
+
+  test('should reject a replayed or unknown state', async () => {
+    const start = await request(app).post('/api/v1/auth/sso/login');
+    const { code, state } = idp.approve(start.body.data.authorizationUrl, { sub: 'idp-user-2', email: 'a@campus.edu', groups: ['campus-staff'] });
+
+    await request(app).post('/api/v1/auth/sso/callback').send({ code, state }).expect(200);
+
+    const replay = await request(app).post('/api/v1/auth/sso/callback').send({ code, state });
+    expect(replay.status).toBe(400);
+  });
+
+  test('should require existing local accounts to be linked before SSO sign-in', async () => {
+    await User.create({
+      firstName: 'Local',
+      lastName: 'Faculty',
+      email: 'local@campus.edu',
+      password: 'Password123',
+      role: 'faculty',
+      isActive: true
+    });
+
+    const blocked = await signIn({ sub: 'idp-local', email: 'local@campus.edu', email_verified: true, groups: ['campus-staff'] });
+    expect(blocked.status).toBe(409);
+
+    const login = await request(app)
+      .post('/api/v1/auth/login')
+      .send({ email: 'local@campus.edu', password: 'Password123' });
+    const token = login.body.data.accessToken;
+
+    const link = await request(app)
+      .post('/api/v1/auth/sso/link')
+      .set('Authorization', `Bearer ${token}`)
+      .expect(200);
+
+    const { code, state } = idp.approve(link.body.data.authorizationUrl, { sub: 'idp-local', email: 'local@campus.edu' });
+    const linked = await request(app).get('/api/v1/auth/sso/callback').query({ code, state });
+    expect(linked.status).toBe(200);
+    expect(linked.body.message).toBe('Single sign-on linked to your account');
+
+    const viaSso = await signIn({ sub: 'idp-local', email: 'local@campus.edu', groups: ['campus-staff'] });
+    expect(viaSso.status).toBe(200);
+    expect(viaSso.body.data.user.email).toBe('local@campus.edu');
+  });
+
+  test('should refuse locked accounts and ask for the second factor', async () => {
+    const claims = { sub: 'idp-faculty', email: 'prof@campus.edu', groups: ['campus-staff'] };
+    expect((await signIn(claims)).status).toBe(200);
+
+    const secret = generateSecret();
+    await User.updateOne({ email: 'prof@campus.edu' }, {
+      'twoFactor.enabled': true,
+      'twoFactor.secret': secret,
+      // A temporary password would force a change after a password login, not after SSO
+      mustChangePassword: true,
+      lockUntil: new Date(Date.now() + 60 * 60 * 1000)
+    });
+
+    const locked = await signIn(claims);
+    expect(locked.status).toBe(423);
+
+    await User.updateOne({ email: 'prof@campus.edu' }, { lockUntil: null });
+
+    const challenged = await signIn(claims);
+    expect(challenged.body.message).toBe('Two-factor authentication required');
+    expect(challenged.body.data.accessToken).toBeUndefined();
+
+    const verified = await request(app)
+      .post('/api/v1/auth/2fa/verify')
+      .send({ twoFactorToken: challenged.body.data.twoFactorToken, code: generateCode(secret) })
+      .expect(200);
+    expect(verified.body.message).toBe('Login successful');
+    expect(verified.body.data.accessToken).toBeDefined();
+
+    process.env.OIDC_TRUST_PROVIDER_2FA = 'true';
+    try {
+      const trusted = await signIn(claims);
+      expect(trusted.body.data.accessToken).toBeDefined();
+    } finally {
+      delete process.env.OIDC_TRUST_PROVIDER_2FA;
+    }
+  });
+});
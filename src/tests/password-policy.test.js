@@ -0,0 +1,166 @@
+const request = require('supertest');
+const mongoose = require('mongoose');
+const { MongoMemoryServer } = require('mongodb-memory-server');
+const app = require('../../server');
+const User = require('../models/user.model');
+
+let mongoServer;
+
+beforeAll(async () => {
+  mongoServer = await MongoMemoryServer.create();
+  const mongoUri = mongoServer.getUri();
+  await mongoose.connect(mongoUri);
+});
+
+afterAll(async () => {
+  await mongoose.disconnect();
+  await mongoServer.stop();
+});
+
+beforeEach(async () => {
+  await User.deleteMany({});
+});
+
+describe('Password policy', () => {
+  let admin;
+  let student;
+  let adminToken;
+  let studentToken;
+
+  const changePassword = (currentPassword, newPassword, token = studentToken) => request(app)
+    .post('/api/v1/auth/change-password')
+    .set('Authorization', `Bearer ${token}`)
+    .send({ currentPassword, newPassword, confirmPassword: newPassword });
+
+  beforeEach(async () => {
+    admin = await User.create({
+      firstName: 'Admin',
+      lastName: 'User',
+      email: 'admin@test.com',
+      password: 'AdminPass123',
+      role: 'admin',
+      isActive: true
+    });
+
+    student = await User.create({
+      firstName: 'Student',
+      lastName: 'User',
+      email: 'student@test.com',
+      password: 'Password123',
+      role: 'student',
+      studentId: 'STU001',
+      isActive: true
+    });
+
+    const adminLogin = await request(app)
+      .post('/api/v1/auth/login')
+      .send({ email: 'admin@test.com', password: 'AdminPass123' });
+    adminToken = adminLogin.body.data.accessToken;
+
+    const studentLogin = await request(app)
+      .post('/api/v1/auth/login')
+      .send({ email: 'student@test.com', password: 'Password123' });
+    studentToken = studentLogin.body.data.accessToken;
+  });
+
+  test('should reject passwords that break the role policy', async () => {
+    const common = await changePassword('Password123', 'Welcome123');
+    expect(common.status).toBe(400);
+    expect(common.body.error.violations).toContain('is too common');
+
+    const short = await changePassword('Password123', 'Ab1cdef');
+    expect(short.status).toBe(400);
+    expect(short.body.error.violations).toContain('must be at least 8 characters long');
+
+    const adminShort = await changePassword('AdminPass123', 'Str0ngButShort', adminToken);
+    expect(adminShort.status).toBe(400);
+    expect(adminShort.body.error.violations).toEqual(expect.arrayContaining(['must contain a symbol']));
+  });
+
+  test('should not allow recent passwords to be reused', async () => {
+    await changePassword('Password123', 'Quartz7Lantern').expect(200);
+
+    const reused = await changePassword('Quartz7Lantern', 'Password123');
+    expect(reused.status).toBe(400);
+    expect(reused.body.message).toMatch(/last 5 passwords/);
+
+    const user = await User.findById(student._id).select('+passwordHistory');
+    expect(user.passwordHistory).toHaveLength(1);
+  });
+
+  test('should not set passwords through a user update', async () => {
+    await changePassword('Password123', 'Quartz7Lantern').expect(200);
+
+    await request(app)
+      .put(`/api/v1/users/${student._id}`)
+      .set('Authorization', `Bearer ${studentToken}`)
+      .send({ password: 'abc', passwordHistory: [] })
+      .expect(400);
+
+    const user = await User.findById(student._id).select('+password +passwordHistory');
+    expect(await user.comparePassword('Quartz7Lantern')).toBe(true);
+    expect(user.passwordHistory).toHaveLength(1);
+  });
+
+  test('should require a new password after an admin reset', async () => {
+    await request(app)
+      .post('/api/v1/auth/reset-password')
+      .set('Authorization', `Bearer ${adminToken}`)
+      .send({ userId: student._id, newPassword: 'Temporary9Pass', confirmPassword: 'Temporary9Pass' })
+      .expect(200);
+
+    const login = await request(app)
+      .post('/api/v1/auth/login')
+      .send({ email: 'student@test.com', password: 'Temporary9Pass' });
+
+    expect(login.status).toBe(200);
+    expect(login.body.message).toBe('Password change required');
+    expect(login.body.data.reason).toBe('reset');
+    expect(login.body.data.accessToken).toBeUndefined();
+
+    const changed = await request(app)
+      .post('/api/v1/auth/expired-password')
+      .send({
+        passwordChangeToken: login.body.data.passwordChangeToken,
+        newPassword: 'Harbor5Meadow',
+        confirmPassword: 'Harbor5Meadow'
+      });
+
+    expect(changed.status).toBe(200);
+    expect(changed.body.data.accessToken).toBeDefined();
+
+    // The token only works once
+    const again = await request(app)
+      .post('/api/v1/auth/expired-password')
+      .send({
+        passwordChangeToken: login.body.data.passwordChangeToken,
+        newPassword: 'Willow4Canyon',
+        confirmPassword: 'Willow4Canyon'
+      });
+    expect(again.status).toBe(401);
+  });
+
+  test('should require a password change once the password has expired', async () => {
+    await User.updateOne(
+      { _id: admin._id },
+      { lastPasswordChanged: new Date(Date.now() - 91 * 24 * 60 * 60 * 1000) }
+    );
+
+    const login = await request(app)
+      .post('/api/v1/auth/login')
+      .send({ email: 'admin@test.com', password: 'AdminPass123' });
+
+    expect(login.body.message).toBe('Password change required');
+    expect(login.body.data.reason).toBe('expired');
+  });
+
+  test('should describe the policy for a role', async () => {
+    const response = await request(app)
+      .get('/api/v1/auth/password-policy')
+      .query({ role: 'admin' });
+
+    expect(response.status).toBe(200);
+    expect(response.body.data.policy.minLength).toBe(12);
+    expect(response.body.data.rules).toContain('At least one symbol');
+  });
+});
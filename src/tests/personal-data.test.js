@@ -0,0 +1,230 @@
+const request = require('supertest');
+const mongoose = require('mongoose');
+const { MongoMemoryServer } = require('mongodb-memory-server');
+const app = require('../../server');
+const User = require('../models/user.model');
+const Notice = require('../models/notice.model');
+const CourseGrade = require('../models/courseGrade.model');
+const Session = require('../models/session.model');
+const AuditLog = require('../models/auditLog.model');
+
+let mongoServer;
+
+beforeAll(async () => {
+  mongoServer = await MongoMemoryServer.create();
+  const mongoUri = mongoServer.getUri();
+  await mongoose.connect(mongoUri);
+});
+
+afterAll(async () => {
+  await mongoose.disconnect();
+  await mongoServer.stop();
+});
+
+beforeEach(async () => {
+  await User.deleteMany({});
+  await Notice.deleteMany({});
+  await CourseGrade.deleteMany({});
+  await Session.deleteMany({});
+  await AuditLog.collection.deleteMany({});
+});
+
+// Collect a binary response body into a Buffer
+const binaryParser = (res, callback) => {
+  const chunks = [];
+  res.on('data', chunk => chunks.push(chunk));
+  res.on('end', () => callback(null, Buffer.concat(chunks)));
+};
+
+describe('Personal data export and erasure', () => {
+  let adminToken;
+  let student;
+  let grade;
+  let notice;
+
+  beforeEach(async () => {
+    const admin = await User.create({
+      firstName: 'Admin',
+      lastName: 'User',
+      email: 'admin@test.com',
+      password: 'AdminPass123',
+      role: 'admin',
+      isActive: true
+    });
+
+    student = await User.create({
+      firstName: 'Sita',
+      lastName: 'Sharma',
+      email: 'sita@test.com',
+      password: 'Password123',
+      role: 'student',
+      studentId: 'STU100',
+      phone: '9800000000',
+      address: { city: 'Pokhara' },
+      isActive: true
+    });
+
+    grade = await CourseGrade.create({
+      student: student._id,
+      course: new mongoose.Types.ObjectId(),
+      faculty: admin._id,
+      semester: 2,
+      academicYear: '2023-2024',
+      finalGrade: 'A-',
+      numericalGrade: 88,
+      gradePoints: 3.7,
+      credits: 3,
+      submittedBy: admin._id
+    });
+
+    notice = await Notice.create({
+      title: 'Library hours',
+      content: 'The library is open until midnight during exams.',
+      type: 'announcement',
+      category: 'all',
+      author: { id: admin._id, name: 'Admin User', email: admin.email, role: 'admin' },
+      status: 'published',
+      publishDate: new Date(),
+      engagement: {
+        comments: [{ userId: student._id, userName: 'Sita Sharma', content: 'Call me on 9800000000 if it changes' }]
+      }
+    });
+
+    const adminLogin = await request(app)
+      .post('/api/v1/auth/login')
+      .send({ email: 'admin@test.com', password: 'AdminPass123' });
+    adminToken = adminLogin.body.data.accessToken;
+  });
+
+  test('should export everything held about a user as JSON', async () => {
+    const response = await request(app)
+      .get(`/api/v1/users/${student._id}/personal-data`)
+      .set('Authorization', `Bearer ${adminToken}`);
+
+    expect(response.status).toBe(200);
+    const { sections } = response.body.data;
+    expect(sections.account[0].email).toBe('sita@test.com');
+    expect(sections.account[0].password).toBeUndefined();
+    expect(sections.grades[0].finalGrade).toBe('A-');
+    expect(sections.notices[0].comments[0].content).toBe('Call me on 9800000000 if it changes');
+
+    const logged = await AuditLog.findOne({ entityId: student._id, action: 'personal_data_exported' });
+    expect(logged.actor.email).toBe('admin@test.com');
+  });
+
+  test('should export a ZIP with one file per section', async () => {
+    const response = await request(app)
+      .get(`/api/v1/users/${student._id}/personal-data`)
+      .query({ format: 'zip' })
+      .set('Authorization', `Bearer ${adminToken}`)
+      .buffer(true)
+      .parse(binaryParser);
+
+    expect(response.status).toBe(200);
+    expect(response.headers['content-type']).toContain('application/zip');
+    expect(response.body.slice(0, 2).toString()).toBe('PK');
+    expect(response.body.includes(Buffer.from('manifest.json'))).toBe(true);
+    expect(response.body.includes(Buffer.from('grades.json'))).toBe(true);
+  });
+
+  test('should pseudonymise the user and keep academic records', async () => {
+    const studentLogin = await request(app)
+      .post('/api/v1/auth/login')
+      .send({ email: 'sita@test.com', password: 'Password123' });
+    expect(studentLogin.status).toBe(200);
+
+    const response = await request(app)
+      .post(`/api/v1/users/${student._id}/personal-data/erase`)
+      .set('Authorization', `Bearer ${adminToken}`)
+      .send({ reason: 'Erasure request REQ-117' });
+
+    expect(response.status).toBe(200);
+    expect(response.body.data.erased.noticeComments).toBe(1);
+
+    const erased = await User.findById(student._id);
+    expect(erased.firstName).toBe('Erased');
+    expect(erased.email).toBe(`erased-${student._id}@erased.example.com`);
+    expect(erased.phone).toBeUndefined();
+    expect(erased.address).toBeUndefined();
+    expect(erased.studentId).toBe('STU100');
+    expect(erased.isActive).toBe(false);
+    expect(erased.erasedAt).toBeInstanceOf(Date);
+
+    const kept = await CourseGrade.findById(grade._id);
+    expect(kept.finalGrade).toBe('A-');
+    expect(kept.student.toString()).toBe(student._id.toString());
+
+    const updatedNotice = await Notice.findById(notice._id);
+    expect(updatedNotice.engagement.comments[0].content).toBe('[removed]');
+    expect(updatedNotice.engagement.comments[0].userName).toBe('Erased User');
+
+    const sessions = await Session.find({ user: student._id });
+    expect(sessions.every(session => session.revokedAt)).toBe(true);
+
+    // The audit log records what changed without keeping the erased values
+    const entries = await AuditLog.find({ entityId: { $in: [student._id, notice._id] }, action: 'update' });
+    expect(entries.length).toBeGreaterThan(0);
+    expect(JSON.stringify(entries)).not.toContain('sita@test.com');
+    expect(JSON.stringify(entries)).not.toContain('9800000000');
+
+    const again = await request(app)
+      .post(`/api/v1/users/${student._id}/personal-data/erase`)
+      .set('Authorization', `Bearer ${adminToken}`)
+      .send({ reason: 'Erasure request REQ-117' });
+    expect(again.status).toBe(409);
+  });
+
+  test('should pseudonymise audit log entries about and by the user', async () => {
+    const studentLogin = await request(app)
+      .post('/api/v1/auth/login')
+      .set('User-Agent', 'sita-laptop')
+      .send({ email: 'sita@test.com', password: 'Password123' });
+
+    await request(app)
+      .put('/api/v1/auth/profile')
+      .set('Authorization', `Bearer ${studentLogin.body.data.accessToken}`)
+      .set('User-Agent', 'sita-laptop')
+      .send({ phone: '9811111111' })
+      .expect(200);
+
+    const own = await AuditLog.findOne({ 'actor.user': student._id, entityId: student._id, action: 'update' });
+    expect(own.actor.email).toBe('sita@test.com');
+
+    const response = await request(app)
+      .post(`/api/v1/users/${student._id}/personal-data/erase`)
+      .set('Authorization', `Bearer ${adminToken}`)
+      .send({ reason: 'Erasure request REQ-118' })
+      .expect(200);
+    expect(response.body.data.erased.auditLogEntries).toBeGreaterThan(0);
+
+    const entries = await AuditLog.find({ $or: [{ entityId: student._id }, { 'actor.user': student._id }] });
+    const logged = JSON.stringify(entries);
+    ['sita@test.com', 'Sharma', '9800000000', '9811111111', 'sita-laptop'].forEach(value => {
+      expect(logged).not.toContain(value);
+    });
+
+    const rewritten = await AuditLog.findById(own._id);
+    expect(rewritten.actor.email).toBe(`erased-${student._id}@erased.example.com`);
+    expect(rewritten.changes.find(change => change.path === 'phone').toObject())
+      .toEqual({ path: 'phone', before: '[REDACTED]', after: '[REDACTED]' });
+
+    const created = await AuditLog.findOne({ entityId: student._id, action: 'create' });
+    expect(created.changes.find(change => change.path === 'email').before).toBeNull();
+
+    // The log stays closed to ordinary writes
+    await expect(AuditLog.updateMany({ entityId: student._id }, { action: 'tampered' }))
+      .rejects.toThrow('Audit log entries cannot be modified or deleted');
+  });
+
+  test('should require the users.personal_data permission', async () => {
+    const studentLogin = await request(app)
+      .post('/api/v1/auth/login')
+      .send({ email: 'sita@test.com', password: 'Password123' });
+
+    const response = await request(app)
+      .get(`/api/v1/users/${student._id}/personal-data`)
+      .set('Authorization', `Bearer ${studentLogin.body.data.accessToken}`);
+
+    expect(response.status).toBe(403);
+  });
+});
@@ -0,0 +1,284 @@
+const request = require('supertest');
+const mongoose = require('mongoose');
+const { MongoMemoryServer } = require('mongodb-memory-server');
+const app = require('../../server');
+const User = require('../models/user.model');
+const Role = require('../models/role.model');
+const RoleAssignment = require('../models/roleAssignment.model');
+const Department = require('../models/department.model');
+const Course = require('../models/course.model');
+const CourseGrade = require('../models/courseGrade.model');
+
+let mongoServer;
+
+beforeAll(async () => {
+  mongoServer = await MongoMemoryServer.create();
+  const mongoUri = mongoServer.getUri();
+  await mongoose.connect(mongoUri);
+});
+
+afterAll(async () => {
+  await mongoose.disconnect();
+  await mongoServer.stop();
+});
+
+beforeEach(async () => {
+  await User.deleteMany({});
+  await Role.deleteMany({});
+  await RoleAssignment.deleteMany({});
+  await Department.deleteMany({});
+  await Course.deleteMany({});
+  await CourseGrade.deleteMany({});
+});
+
+describe('Permission-based RBAC', () => {
+  let admin;
+  let head;
+  let computing;
+  let physics;
+  let headRole;
+
+  const login = async (email, password) => {
+    const response = await request(app)
+      .post('/api/v1/auth/login')
+      .send({ email, password });
+    return response.body.data.accessToken;
+  };
+
+  const createUser = (email, role, department) => User.create({
+    firstName: 'Test',
+    lastName: 'User',
+    email,
+    password: 'Password123',
+    role,
+    department,
+    isActive: true
+  });
+
+  beforeEach(async () => {
+    admin = await User.create({
+      firstName: 'Admin',
+      lastName: 'User',
+      email: 'admin@test.com',
+      password: 'AdminPass123',
+      role: 'admin',
+      isActive: true
+    });
+
+    computing = await Department.create({ name: 'Computing', code: 'COMP', createdBy: admin._id });
+    physics = await Department.create({ name: 'Physics', code: 'PHYS', createdBy: admin._id });
+
+    head = await createUser('head@test.com', 'faculty', computing._id);
+
+    headRole = await Role.create({
+      name: 'department_head',
+      displayName: 'Department Head',
+      permissions: ['users.deactivate', 'grades.approve']
+    });
+  });
+
+  const assignHeadRole = async (departmentId) => {
+    const adminToken = await login('admin@test.com', 'AdminPass123');
+    return request(app)
+      .post(`/api/v1/users/${head._id}/roles`)
+      .set('Authorization', `Bearer ${adminToken}`)
+      .send({ roleId: headRole._id, departmentId });
+  };
+
+  test('should let an admin assign a department-scoped role', async () => {
+    const response = await assignHeadRole(computing._id);
+
+    expect(response.status).toBe(201);
+    expect(response.body.data.department.name).toBe('Computing');
+
+    const headToken = await login('head@test.com', 'Password123');
+    const permissions = await request(app)
+      .get('/api/v1/auth/permissions')
+      .set('Authorization', `Bearer ${headToken}`);
+
+    expect(permissions.status).toBe(200);
+    expect(permissions.body.data).toEqual(expect.arrayContaining([
+      expect.objectContaining({ permission: 'grades.approve', department: computing._id.toString() })
+    ]));
+
+    const updatedHead = await User.findById(head._id);
+    expect(updatedHead.auditTrail.map(entry => entry.action)).toContain('role_assigned');
+  });
+
+  test('should limit a scoped role to its own department', async () => {
+    await assignHeadRole(computing._id);
+    const ownStudent = await createUser('own@test.com', 'student', computing._id);
+    const otherStudent = await createUser('other@test.com', 'student', physics._id);
+
+    const headToken = await login('head@test.com', 'Password123');
+
+    const allowed = await request(app)
+      .patch(`/api/v1/users/${ownStudent._id}/deactivate`)
+      .set('Authorization', `Bearer ${headToken}`);
+
+    expect(allowed.status).toBe(200);
+
+    const denied = await request(app)
+      .patch(`/api/v1/users/${otherStudent._id}/deactivate`)
+      .set('Authorization', `Bearer ${headToken}`);
+
+    expect(denied.status).toBe(403);
+  });
+
+  test('should not let a scoped role switch admin accounts on or off', async () => {
+    await assignHeadRole(computing._id);
+    const departmentAdmin = await createUser('dept.admin@test.com', 'admin', computing._id);
+
+    const headToken = await login('head@test.com', 'Password123');
+
+    const deactivate = await request(app)
+      .patch(`/api/v1/users/${departmentAdmin._id}/toggle-status`)
+      .set('Authorization', `Bearer ${headToken}`)
+      .send({ isActive: false });
+
+    expect(deactivate.status).toBe(400);
+    expect(deactivate.body.message).toBe('Cannot deactivate admin accounts');
+
+    await User.updateOne({ _id: departmentAdmin._id }, { isActive: false });
+    const activate = await request(app)
+      .patch(`/api/v1/users/${departmentAdmin._id}/toggle-status`)
+      .set('Authorization', `Bearer ${headToken}`)
+      .send({ isActive: true });
+
+    expect(activate.status).toBe(403);
+    expect((await User.findById(departmentAdmin._id)).isActive).toBe(false);
+  });
+
+  test('should let admins change roles and IDs but reject other fields', async () => {
+    const student = await createUser('student@test.com', 'student', computing._id);
+    const adminToken = await login('admin@test.com', 'AdminPass123');
+
+    const changed = await request(app)
+      .put(`/api/v1/users/${student._id}`)
+      .set('Authorization', `Bearer ${adminToken}`)
+      .send({ role: 'faculty', facultyId: 'fac100' });
+
+    expect(changed.status).toBe(200);
+    const updated = await User.findById(student._id);
+    expect(updated.role).toBe('faculty');
+    expect(updated.facultyId).toBe('FAC100');
+
+    const ownRole = await request(app)
+      .put(`/api/v1/users/${admin._id}`)
+      .set('Authorization', `Bearer ${adminToken}`)
+      .send({ role: 'faculty' });
+
+    expect(ownRole.status).toBe(400);
+
+    const bulk = await request(app)
+      .patch('/api/v1/users/bulk-update')
+      .set('Authorization', `Bearer ${adminToken}`)
+      .send({ userIds: [student._id], updateData: { phone: '5550100', loginAttempts: 0 } });
+
+    expect(bulk.status).toBe(400);
+    expect(bulk.body.message).toBe('These fields cannot be changed here: loginAttempts');
+    expect((await User.findById(student._id)).phone).not.toBe('5550100');
+
+    // Users cannot change their own role
+    const promotedToken = await login('student@test.com', 'Password123');
+    const selfPromotion = await request(app)
+      .put(`/api/v1/users/${student._id}`)
+      .set('Authorization', `Bearer ${promotedToken}`)
+      .send({ role: 'admin' });
+
+    expect(selfPromotion.status).toBe(400);
+    expect((await User.findById(student._id)).role).toBe('faculty');
+  });
+
+  test('should apply the deactivation checks to isActive in user updates', async () => {
+    const student = await createUser('student@test.com', 'student', computing._id);
+    const otherAdmin = await createUser('other.admin@test.com', 'admin', computing._id);
+    const adminToken = await login('admin@test.com', 'AdminPass123');
+
+    const self = await request(app)
+      .put(`/api/v1/users/${admin._id}`)
+      .set('Authorization', `Bearer ${adminToken}`)
+      .send({ isActive: false });
+
+    expect(self.status).toBe(400);
+    expect(self.body.message).toBe('Admin cannot deactivate their own account');
+
+    const bulk = await request(app)
+      .patch('/api/v1/users/bulk-update')
+      .set('Authorization', `Bearer ${adminToken}`)
+      .send({ userIds: [student._id, otherAdmin._id], updateData: { isActive: false } });
+
+    expect(bulk.status).toBe(200);
+    expect(bulk.body.data.updated).toHaveLength(1);
+    expect(bulk.body.data.errors).toEqual([{ userId: otherAdmin._id.toString(), error: 'Cannot deactivate admin accounts' }]);
+    expect((await User.findById(student._id)).isActive).toBe(false);
+    expect((await User.findById(otherAdmin._id)).isActive).toBe(true);
+  });
+
+  test('should require grades.approve to approve a submitted grade', async () => {
+    const student = await createUser('student@test.com', 'student', computing._id);
+    const course = await Course.create({
+      name: 'Algorithms',
+      code: 'CS301',
+      faculty: head._id,
+      department: computing._id,
+      program: new mongoose.Types.ObjectId(),
+      semester: 3,
+      year: 2024,
+      creditHours: 3,
+      maxStudents: 30
+    });
+    const grade = await CourseGrade.create({
+      student: student._id,
+      course: course._id,
+      faculty: head._id,
+      semester: 3,
+      academicYear: '2024-2025',
+      finalGrade: 'A',
+      numericalGrade: 95,
+      gradePoints: 4,
+      credits: 3,
+      status: 'submitted',
+      submittedBy: head._id
+    });
+
+    let headToken = await login('head@test.com', 'Password123');
+    const denied = await request(app)
+      .post(`/api/v1/course-grades/${grade._id}/approve`)
+      .set('Authorization', `Bearer ${headToken}`);
+
+    expect(denied.status).toBe(403);
+
+    await assignHeadRole(computing._id);
+    headToken = await login('head@test.com', 'Password123');
+
+    const approved = await request(app)
+      .post(`/api/v1/course-grades/${grade._id}/approve`)
+      .set('Authorization', `Bearer ${headToken}`);
+
+    expect(approved.status).toBe(200);
+    expect(approved.body.data.status).toBe('approved');
+  });
+
+  test('should reject roles with unknown permissions', async () => {
+    const adminToken = await login('admin@test.com', 'AdminPass123');
+
+    const response = await request(app)
+      .post('/api/v1/roles')
+      .set('Authorization', `Bearer ${adminToken}`)
+      .send({ name: 'registrar', displayName: 'Registrar', permissions: ['grades.delete_everything'] });
+
+    expect(response.status).toBe(400);
+  });
+
+  test('should not delete a role that is still assigned', async () => {
+    await assignHeadRole(null);
+    const adminToken = await login('admin@test.com', 'AdminPass123');
+
+    const response = await request(app)
+      .delete(`/api/v1/roles/${headRole._id}`)
+      .set('Authorization', `Bearer ${adminToken}`);
+
+    expect(response.status).toBe(409);
+  });
+});
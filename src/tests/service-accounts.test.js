@@ -0,0 +1,194 @@
+const request = require('supertest');
+const mongoose = require('mongoose');
+const { MongoMemoryServer } = require('mongodb-memory-server');
+const app = require('../../server');
+const User = require('../models/user.model');
+const ServiceAccount = require('../models/serviceAccount.model');
+const ApiKey = require('../models/apiKey.model');
+const AuditLog = require('../models/auditLog.model');
+const Department = require('../models/department.model');
+
+let mongoServer;
+
+beforeAll(async () => {
+  mongoServer = await MongoMemoryServer.create();
+  const mongoUri = mongoServer.getUri();
+  await mongoose.connect(mongoUri);
+});
+
+afterAll(async () => {
+  await mongoose.disconnect();
+  await mongoServer.stop();
+});
+
+beforeEach(async () => {
+  await User.deleteMany({});
+  await ServiceAccount.deleteMany({});
+  await ApiKey.deleteMany({});
+  await AuditLog.collection.deleteMany({});
+  await Department.deleteMany({});
+});
+
+describe('Service accounts and API keys', () => {
+  let adminToken;
+  let account;
+
+  const createKey = (body) => request(app)
+    .post(`/api/v1/service-accounts/${account._id}/keys`)
+    .set('Authorization', `Bearer ${adminToken}`)
+    .send(body);
+
+  beforeEach(async () => {
+    await User.create({
+      firstName: 'Admin',
+      lastName: 'User',
+      email: 'admin@test.com',
+      password: 'AdminPass123',
+      role: 'admin',
+      isActive: true
+    });
+
+    const adminLogin = await request(app)
+      .post('/api/v1/auth/login')
+      .send({ email: 'admin@test.com', password: 'AdminPass123' });
+    adminToken = adminLogin.body.data.accessToken;
+
+    const response = await request(app)
+      .post('/api/v1/service-accounts')
+      .set('Authorization', `Bearer ${adminToken}`)
+      .send({ name: 'sis-sync', description: 'Nightly student information sync' });
+    account = response.body.data;
+  });
+
+  test('should authenticate with a key and limit it to its scopes', async () => {
+    const created = await createKey({ name: 'Production', scopes: ['audit.read'] });
+
+    expect(created.status).toBe(201);
+    const { key } = created.body.data;
+    expect(key).toMatch(/^sck_[0-9a-f]{8}_/);
+    expect(created.body.data.apiKey.keyHash).toBeUndefined();
+
+    const stored = await ApiKey.findById(created.body.data.apiKey._id).select('+keyHash');
+    expect(stored.keyHash).not.toBe(key);
+
+    const allowed = await request(app)
+      .get('/api/v1/audit-logs')
+      .set('Authorization', `Bearer ${key}`);
+    expect(allowed.status).toBe(200);
+
+    const viaHeader = await request(app)
+      .get('/api/v1/audit-logs')
+      .set('X-API-Key', key);
+    expect(viaHeader.status).toBe(200);
+
+    const outOfScope = await request(app)
+      .get('/api/v1/roles')
+      .set('X-API-Key', key);
+    expect(outOfScope.status).toBe(403);
+
+    const used = await ApiKey.findById(created.body.data.apiKey._id);
+    expect(used.lastUsedAt).toBeInstanceOf(Date);
+  });
+
+  test('should attribute writes to the service account in the audit log', async () => {
+    const { body } = await createKey({ name: 'Provisioning', scopes: ['users.create_admin'] });
+
+    await request(app)
+      .post('/api/v1/users/admin')
+      .set('X-API-Key', body.data.key)
+      .send({ firstName: 'New', lastName: 'Admin', email: 'new-admin@test.com', password: 'Adm1n$ecurePass' })
+      .expect(201);
+
+    const created = await User.findOne({ email: 'new-admin@test.com' });
+    const entry = await AuditLog.findOne({ entityId: created._id, action: 'create' });
+    expect(entry.actor.email).toBe('service:sis-sync');
+    expect(entry.actor.serviceAccount.toString()).toBe(account._id.toString());
+  });
+
+  test('should let scoped keys through role-restricted routes and user management', async () => {
+    const department = await Department.create({ name: 'Physics', code: 'PHY', description: 'Physics Department' });
+    const student = await User.create({
+      firstName: 'Student',
+      lastName: 'User',
+      email: 'student@test.com',
+      password: 'Password123',
+      role: 'student',
+      isActive: true
+    });
+
+    const { body } = await createKey({ name: 'Registry', scopes: ['enrollments.manage', 'users.deactivate'] });
+    const scoped = await createKey({ name: 'Physics only', scopes: ['enrollments.manage'], department: department._id });
+    const other = await createKey({ name: 'Audit', scopes: ['audit.read'] });
+
+    await request(app).get('/api/v1/enrollments').set('X-API-Key', body.data.key).expect(200);
+    await request(app).get('/api/v1/enrollments').set('X-API-Key', other.body.data.key).expect(403);
+    // Role-restricted routes have no department to check a scoped key against
+    await request(app).get('/api/v1/enrollments').set('X-API-Key', scoped.body.data.key).expect(403);
+
+    const deactivated = await request(app)
+      .patch(`/api/v1/users/${student._id}/deactivate`)
+      .set('X-API-Key', body.data.key)
+      .expect(200);
+    expect(deactivated.body.data.isActive).toBe(false);
+
+    await request(app)
+      .patch(`/api/v1/users/${student._id}/activate`)
+      .set('X-API-Key', other.body.data.key)
+      .expect(403);
+  });
+
+  test('should reject scopes that cannot be delegated', async () => {
+    const response = await createKey({ name: 'Too broad', scopes: ['users.*'] });
+
+    expect(response.status).toBe(400);
+    expect(response.body.message).toBe('Scope users.* cannot be given to an API key');
+  });
+
+  test('should keep the old key working during the rotation grace period', async () => {
+    const { body } = await createKey({ name: 'Production', scopes: ['audit.read'] });
+    const oldKey = body.data.key;
+
+    const rotated = await request(app)
+      .post(`/api/v1/service-accounts/${account._id}/keys/${body.data.apiKey._id}/rotate`)
+      .set('Authorization', `Bearer ${adminToken}`)
+      .send({ gracePeriodHours: 1 });
+
+    expect(rotated.status).toBe(201);
+    expect(rotated.body.data.apiKey.scopes).toEqual(['audit.read']);
+
+    await request(app).get('/api/v1/audit-logs').set('X-API-Key', oldKey).expect(200);
+    await request(app).get('/api/v1/audit-logs').set('X-API-Key', rotated.body.data.key).expect(200);
+
+    await request(app)
+      .delete(`/api/v1/service-accounts/${account._id}/keys/${body.data.apiKey._id}`)
+      .set('Authorization', `Bearer ${adminToken}`)
+      .expect(200);
+
+    const revoked = await request(app).get('/api/v1/audit-logs').set('X-API-Key', oldKey);
+    expect(revoked.status).toBe(401);
+    expect(revoked.body.message).toBe('Invalid or expired API key');
+  });
+
+  test('should still accept the deprecated x-admin-token for admin creation', async () => {
+    process.env.ADMIN_TOKEN = 'legacy-secret';
+
+    try {
+      const response = await request(app)
+        .post('/api/v1/users/admin')
+        .set('x-admin-token', 'legacy-secret')
+        .send({ firstName: 'Legacy', lastName: 'Admin', email: 'legacy@test.com', password: 'Adm1n$ecurePass' });
+
+      expect(response.status).toBe(201);
+      expect(response.headers.deprecation).toBe('true');
+
+      const wrong = await request(app)
+        .post('/api/v1/users/admin')
+        .set('x-admin-token', 'wrong-secret')
+        .send({ firstName: 'Legacy', lastName: 'Admin', email: 'other@test.com', password: 'Adm1n$ecurePass' });
+
+      expect(wrong.status).toBe(401);
+    } finally {
+      delete process.env.ADMIN_TOKEN;
+    }
+  });
+});
@@ -35,4 +35,6 @@ process.env.NODE_ENV = 'test';
 process.env.JWT_SECRET = 'test-jwt-secret';
 process.env.JWT_EXPIRES_IN = '1h';
 process.env.JWT_REFRESH_SECRET = 'test-refresh-secret';
-process.env.JWT_REFRESH_EXPIRES_IN = '7d'; 
\ No newline at end of file
+process.env.JWT_REFRESH_EXPIRES_IN = '7d';
+process.env.MAIL_TRANSPORT = 'file';
+process.env.MAIL_OUTBOX_DIR = require('path').join(require('os').tmpdir(), 'smart-campus-mail-outbox');
\ No newline at end of file
@@ -0,0 +1,217 @@
+const request = require('supertest');
+const mongoose = require('mongoose');
+const { MongoMemoryServer } = require('mongodb-memory-server');
+const app = require('../../server');
+const User = require('../models/user.model');
+const Course = require('../models/course.model');
+const Enrollment = require('../models/enrollment.model');
+const Department = require('../models/department.model');
+const AuditLog = require('../models/auditLog.model');
+
+let mongoServer;
+
+beforeAll(async () => {
+  mongoServer = await MongoMemoryServer.create();
+  const mongoUri = mongoServer.getUri();
+  await mongoose.connect(mongoUri);
+});
+
+afterAll(async () => {
+  await mongoose.disconnect();
+  await mongoServer.stop();
+});
+
+beforeEach(async () => {
+  await User.deleteMany({});
+  await Course.deleteMany({});
+  await Enrollment.deleteMany({});
+  await Department.deleteMany({});
+  await AuditLog.deleteMany({});
+});
+
+const login = async (email, password) => {
+  const response = await request(app)
+    .post('/api/v1/auth/login')
+    .send({ email, password });
+  return response.body.data.accessToken;
+};
+
+describe('Timetable clashes', () => {
+  let admin;
+  let faculty;
+  let student;
+  let department;
+  let programId;
+  let algorithms;
+  let databases;
+  let adminToken;
+  let facultyToken;
+
+  const mondayMorning = [{ day: 'Monday', startTime: '09:00', endTime: '10:30', type: 'Lecture' }];
+
+  beforeEach(async () => {
+    department = await Department.create({
+      name: 'Computer Science',
+      code: 'CS',
+      description: 'Computer Science Department'
+    });
+    programId = new mongoose.Types.ObjectId();
+
+    admin = await User.create({
+      firstName: 'Admin',
+      lastName: 'User',
+      email: 'admin@test.com',
+      password: 'AdminPass123',
+      role: 'admin',
+      isActive: true
+    });
+
+    faculty = await User.create({
+      firstName: 'John',
+      lastName: 'Doe',
+      email: 'faculty@test.com',
+      password: 'Password123',
+      role: 'faculty',
+      department: department._id,
+      isActive: true
+    });
+
+    student = await User.create({
+      firstName: 'Jane',
+      lastName: 'Smith',
+      email: 'student@test.com',
+      password: 'Password123',
+      role: 'student',
+      studentId: 'STU001',
+      isActive: true
+    });
+
+    const courseFields = {
+      department: department._id,
+      program: programId,
+      semester: 1,
+      year: 2024,
+      creditHours: 3,
+      maxStudents: 30,
+      status: 'active',
+      createdBy: admin._id
+    };
+
+    algorithms = await Course.create({
+      ...courseFields,
+      name: 'Algorithms',
+      code: 'CS201',
+      faculty: faculty._id,
+      location: { building: 'Science Hall', room: '101' },
+      schedule: mondayMorning
+    });
+
+    const otherFaculty = await User.create({
+      firstName: 'Other',
+      lastName: 'Faculty',
+      email: 'other@test.com',
+      password: 'Password123',
+      role: 'faculty',
+      department: department._id,
+      isActive: true
+    });
+
+    databases = await Course.create({
+      ...courseFields,
+      name: 'Databases',
+      code: 'CS202',
+      faculty: otherFaculty._id,
+      location: { building: 'Science Hall', room: '202' },
+      schedule: [{ day: 'Monday', startTime: '10:00', endTime: '11:30', type: 'Lecture' }]
+    });
+
+    adminToken = await login('admin@test.com', 'AdminPass123');
+    facultyToken = await login('faculty@test.com', 'Password123');
+  });
+
+  test('should report student clashes on enrollment and let admins override them', async () => {
+    const enrollment = await Enrollment.create({
+      student: student._id,
+      program: programId,
+      semester: 1,
+      academicYear: '2024-2025',
+      courses: [algorithms._id],
+      status: 'active',
+      createdBy: admin._id
+    });
+
+    const clash = await request(app)
+      .post(`/api/v1/enrollments/${enrollment._id}/courses`)
+      .set('Authorization', `Bearer ${facultyToken}`)
+      .send({ courseId: databases._id.toString(), lastModifiedBy: faculty._id.toString() });
+
+    expect(clash.status).toBe(409);
+    expect(clash.body.error.conflicts).toHaveLength(1);
+    expect(clash.body.error.conflicts[0]).toMatchObject({
+      type: 'student',
+      resource: student._id.toString(),
+      day: 'Monday',
+      meeting: { course: { code: 'CS202' }, startTime: '10:00', endTime: '11:30' },
+      conflictsWith: { course: { code: 'CS201' }, startTime: '09:00', endTime: '10:30' }
+    });
+
+    await request(app)
+      .post(`/api/v1/enrollments/${enrollment._id}/courses`)
+      .set('Authorization', `Bearer ${facultyToken}`)
+      .send({ courseId: databases._id.toString(), lastModifiedBy: faculty._id.toString(), clashOverrideReason: 'Approved by the program chair' })
+      .expect(403);
+
+    await request(app)
+      .post(`/api/v1/enrollments/${enrollment._id}/courses`)
+      .set('Authorization', `Bearer ${adminToken}`)
+      .send({ courseId: databases._id.toString(), lastModifiedBy: admin._id.toString(), clashOverrideReason: 'Approved by the program chair' })
+      .expect(200);
+
+    const stored = await Enrollment.findById(enrollment._id);
+    expect(stored.courses.map(id => id.toString())).toContain(databases._id.toString());
+
+    const entry = await AuditLog.findOne({ action: 'timetable_clash_overridden', entityId: enrollment._id });
+    expect(entry.details.reason).toBe('Approved by the program chair');
+    expect(entry.details.conflicts).toHaveLength(1);
+  });
+
+  test('should not double-book a room or a faculty member', async () => {
+    const newCourse = {
+      title: 'Operating Systems',
+      code: 'CS301',
+      description: 'Processes, memory and file systems',
+      faculty: faculty._id.toString(),
+      department: department._id.toString(),
+      program: programId.toString(),
+      creditHours: 3,
+      semester: 1,
+      year: 2024,
+      maxStudents: 30,
+      location: { building: 'Science Hall', room: '101' },
+      schedule: [{ day: 'Monday', startTime: '10:00', endTime: '11:00', type: 'Lecture' }]
+    };
+
+    const clash = await request(app)
+      .post('/api/v1/courses')
+      .set('Authorization', `Bearer ${adminToken}`)
+      .send(newCourse);
+
+    expect(clash.status).toBe(409);
+    expect(clash.body.conflicts.map(conflict => conflict.type).sort()).toEqual(['faculty', 'room']);
+    expect(await Course.exists({ code: 'CS301' })).toBeNull();
+
+    // Back-to-back meetings do not clash
+    await request(app)
+      .post('/api/v1/courses')
+      .set('Authorization', `Bearer ${adminToken}`)
+      .send({ ...newCourse, schedule: [{ day: 'Monday', startTime: '10:30', endTime: '11:30', type: 'Lecture' }] })
+      .expect(201);
+
+    const moved = await request(app)
+      .put(`/api/v1/courses/${databases._id}`)
+      .set('Authorization', `Bearer ${adminToken}`)
+      .send({ creditHours: 3, semester: 1, location: { building: 'Science Hall', room: '101' } });
+    expect(moved.status).toBe(409);
+    expect(moved.body.error.conflicts.every(conflict => conflict.type === 'room')).toBe(true);
+  });
+});
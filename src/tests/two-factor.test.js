@@ -0,0 +1,198 @@
+const request = require('supertest');
+const mongoose = require('mongoose');
+const { MongoMemoryServer } = require('mongodb-memory-server');
+const app = require('../../server');
+const User = require('../models/user.model');
+const { generateCode } = require('../utils/totp');
+
+let mongoServer;
+
+beforeAll(async () => {
+  mongoServer = await MongoMemoryServer.create();
+  const mongoUri = mongoServer.getUri();
+  await mongoose.connect(mongoUri);
+});
+
+afterAll(async () => {
+  await mongoose.disconnect();
+  await mongoServer.stop();
+});
+
+beforeEach(async () => {
+  await User.deleteMany({});
+});
+
+// Each accepted code must belong to a later time step than the previous one
+const codeForStep = (secret, step) => generateCode(secret, { timestamp: Date.now() + step * 30000 });
+
+describe('Two-Factor Authentication', () => {
+  const login = (email, password) => request(app)
+    .post('/api/v1/auth/login')
+    .send({ email, password });
+
+  const enroll = async (accessToken) => {
+    const setup = await request(app)
+      .post('/api/v1/auth/2fa/setup')
+      .set('Authorization', `Bearer ${accessToken}`);
+
+    const { secret } = setup.body.data;
+    const enable = await request(app)
+      .post('/api/v1/auth/2fa/enable')
+      .set('Authorization', `Bearer ${accessToken}`)
+      .send({ code: codeForStep(secret, 0) });
+
+    return { setup, enable, secret };
+  };
+
+  beforeEach(async () => {
+    await User.create({
+      firstName: 'Admin',
+      lastName: 'User',
+      email: 'admin@test.com',
+      password: 'AdminPass123',
+      role: 'admin',
+      isActive: true
+    });
+
+    await User.create({
+      firstName: 'Faculty',
+      lastName: 'User',
+      email: 'faculty@test.com',
+      password: 'FacultyPass123',
+      role: 'faculty',
+      isActive: true
+    });
+  });
+
+  afterEach(() => {
+    delete process.env.TWO_FACTOR_REQUIRED_ROLES;
+  });
+
+  test('should enroll and require a code at the next login', async () => {
+    const loginResponse = await login('faculty@test.com', 'FacultyPass123');
+    const { setup, enable, secret } = await enroll(loginResponse.body.data.accessToken);
+
+    expect(setup.status).toBe(200);
+    expect(setup.body.data.otpauthUri).toMatch(/^otpauth:\/\/totp\//);
+    expect(enable.status).toBe(200);
+    expect(enable.body.data.recoveryCodes).toHaveLength(10);
+
+    const secondLogin = await login('faculty@test.com', 'FacultyPass123');
+    expect(secondLogin.status).toBe(200);
+    expect(secondLogin.body.data.twoFactorRequired).toBe(true);
+    expect(secondLogin.body.data.accessToken).toBeUndefined();
+
+    const verify = await request(app)
+      .post('/api/v1/auth/2fa/verify')
+      .send({
+        twoFactorToken: secondLogin.body.data.twoFactorToken,
+        code: codeForStep(secret, 1)
+      });
+
+    expect(verify.status).toBe(200);
+    expect(verify.body.data.accessToken).toBeDefined();
+
+    const user = await User.findByEmail('faculty@test.com');
+    const actions = user.auditTrail.map(entry => entry.action);
+    expect(actions).toEqual(expect.arrayContaining(['two_factor_enabled', 'two_factor_verified']));
+  });
+
+  test('should reject the challenge token as an access token', async () => {
+    const loginResponse = await login('faculty@test.com', 'FacultyPass123');
+    await enroll(loginResponse.body.data.accessToken);
+
+    const secondLogin = await login('faculty@test.com', 'FacultyPass123');
+
+    const response = await request(app)
+      .get('/api/v1/auth/profile')
+      .set('Authorization', `Bearer ${secondLogin.body.data.twoFactorToken}`);
+
+    expect(response.status).toBe(401);
+  });
+
+  test('should accept a recovery code only once', async () => {
+    const loginResponse = await login('faculty@test.com', 'FacultyPass123');
+    const { enable } = await enroll(loginResponse.body.data.accessToken);
+    const [recoveryCode] = enable.body.data.recoveryCodes;
+
+    const first = await login('faculty@test.com', 'FacultyPass123');
+    const firstVerify = await request(app)
+      .post('/api/v1/auth/2fa/verify')
+      .send({ twoFactorToken: first.body.data.twoFactorToken, recoveryCode });
+
+    expect(firstVerify.status).toBe(200);
+
+    const second = await login('faculty@test.com', 'FacultyPass123');
+    const secondVerify = await request(app)
+      .post('/api/v1/auth/2fa/verify')
+      .send({ twoFactorToken: second.body.data.twoFactorToken, recoveryCode });
+
+    expect(secondVerify.status).toBe(401);
+  });
+
+  test('should force enrollment for required roles', async () => {
+    process.env.TWO_FACTOR_REQUIRED_ROLES = 'admin';
+
+    const loginResponse = await login('admin@test.com', 'AdminPass123');
+    expect(loginResponse.body.data.twoFactorSetupRequired).toBe(true);
+
+    const { twoFactorToken } = loginResponse.body.data;
+
+    const setup = await request(app)
+      .post('/api/v1/auth/2fa/setup')
+      .send({ twoFactorToken });
+
+    const enable = await request(app)
+      .post('/api/v1/auth/2fa/enable')
+      .send({ twoFactorToken, code: codeForStep(setup.body.data.secret, 0) });
+
+    expect(enable.status).toBe(200);
+    expect(enable.body.data.accessToken).toBeDefined();
+
+    const disable = await request(app)
+      .post('/api/v1/auth/2fa/disable')
+      .set('Authorization', `Bearer ${enable.body.data.accessToken}`)
+      .send({ password: 'AdminPass123', code: codeForStep(setup.body.data.secret, 1) });
+
+    expect(disable.status).toBe(403);
+  });
+
+  test('should reject two-factor settings in a profile update', async () => {
+    const loginResponse = await login('faculty@test.com', 'FacultyPass123');
+    const accessToken = loginResponse.body.data.accessToken;
+    await enroll(accessToken);
+    const faculty = await User.findByEmail('faculty@test.com');
+
+    const response = await request(app)
+      .put(`/api/v1/users/${faculty._id}`)
+      .set('Authorization', `Bearer ${accessToken}`)
+      .send({ firstName: 'Renamed', twoFactor: { enabled: false } });
+
+    expect(response.status).toBe(400);
+
+    const updated = await User.findById(faculty._id);
+    expect(updated.firstName).toBe('Faculty');
+    expect(updated.twoFactor.enabled).toBe(true);
+  });
+
+  test('should allow an admin to reset two-factor authentication', async () => {
+    const facultyLogin = await login('faculty@test.com', 'FacultyPass123');
+    await enroll(facultyLogin.body.data.accessToken);
+
+    const adminLogin = await login('admin@test.com', 'AdminPass123');
+    const faculty = await User.findByEmail('faculty@test.com');
+
+    const response = await request(app)
+      .post(`/api/v1/users/${faculty._id}/2fa/reset`)
+      .set('Authorization', `Bearer ${adminLogin.body.data.accessToken}`);
+
+    expect(response.status).toBe(200);
+
+    const relogin = await login('faculty@test.com', 'FacultyPass123');
+    expect(relogin.body.data.accessToken).toBeDefined();
+
+    const updated = await User.findById(faculty._id);
+    expect(updated.twoFactor.enabled).toBe(false);
+    expect(updated.auditTrail.map(entry => entry.action)).toContain('two_factor_reset');
+  });
+});
@@ -0,0 +1,167 @@
+const { Writable } = require('stream');
+const request = require('supertest');
+const mongoose = require('mongoose');
+const ExcelJS = require('exceljs');
+const { MongoMemoryServer } = require('mongodb-memory-server');
+const app = require('../../server');
+const User = require('../models/user.model');
+const Department = require('../models/department.model');
+const userExportService = require('../services/userExport.service');
+
+let mongoServer;
+
+beforeAll(async () => {
+  mongoServer = await MongoMemoryServer.create();
+  const mongoUri = mongoServer.getUri();
+  await mongoose.connect(mongoUri);
+});
+
+afterAll(async () => {
+  await mongoose.disconnect();
+  await mongoServer.stop();
+});
+
+beforeEach(async () => {
+  await User.deleteMany({});
+  await Department.deleteMany({});
+});
+
+// Collect a binary response body into a Buffer
+const binaryParser = (res, callback) => {
+  const chunks = [];
+  res.on('data', chunk => chunks.push(chunk));
+  res.on('end', () => callback(null, Buffer.concat(chunks)));
+};
+
+describe('GET /api/v1/users/export', () => {
+  let accessToken;
+
+  beforeEach(async () => {
+    const admin = await User.create({
+      firstName: 'Admin',
+      lastName: 'User',
+      email: 'admin@test.com',
+      password: 'AdminPass123',
+      role: 'admin',
+      isActive: true
+    });
+
+    const computing = await Department.create({ name: 'Computing', code: 'COMP', createdBy: admin._id });
+
+    await User.create({
+      firstName: 'Alice',
+      lastName: 'Anders',
+      email: 'alice@test.com',
+      password: 'Password123',
+      role: 'student',
+      studentId: 'STU001',
+      department: computing._id,
+      isActive: true
+    });
+
+    await User.create({
+      firstName: 'Bob',
+      lastName: 'Brown',
+      email: 'bob@test.com',
+      password: 'Password123',
+      role: 'student',
+      studentId: 'STU002',
+      isActive: false
+    });
+
+    const loginResponse = await request(app)
+      .post('/api/v1/auth/login')
+      .send({ email: 'admin@test.com', password: 'AdminPass123' });
+
+    accessToken = loginResponse.body.data.accessToken;
+  });
+
+  test('should stream CSV with the selected columns and filters', async () => {
+    const response = await request(app)
+      .get('/api/v1/users/export')
+      .query({ format: 'csv', role: 'student', columns: 'identifier,email,department' })
+      .set('Authorization', `Bearer ${accessToken}`);
+
+    expect(response.status).toBe(200);
+    expect(response.headers['content-type']).toMatch(/text\/csv/);
+    expect(response.headers['content-disposition']).toMatch(/attachment; filename="users-.*\.csv"/);
+
+    const lines = response.text.trim().split('\r\n');
+    expect(lines).toEqual([
+      'Identifier,Email,Department',
+      'STU001,alice@test.com,Computing'
+    ]);
+  });
+
+  test('should include inactive users when status is all', async () => {
+    const response = await request(app)
+      .get('/api/v1/users/export')
+      .query({ format: 'csv', role: 'student', status: 'all', columns: 'email' })
+      .set('Authorization', `Bearer ${accessToken}`);
+
+    expect(response.text.trim().split('\r\n')).toEqual(['Email', 'alice@test.com', 'bob@test.com']);
+  });
+
+  test('should filter by department code', async () => {
+    const response = await request(app)
+      .get('/api/v1/users/export')
+      .query({ format: 'json', department: 'COMP', columns: 'email,departmentCode' })
+      .set('Authorization', `Bearer ${accessToken}`);
+
+    expect(response.status).toBe(200);
+    expect(response.body.data).toEqual([{ email: 'alice@test.com', departmentCode: 'COMP' }]);
+  });
+
+  test('should stream a readable XLSX workbook', async () => {
+    const response = await request(app)
+      .get('/api/v1/users/export')
+      .query({ format: 'xlsx', role: 'student', columns: 'identifier,firstName' })
+      .set('Authorization', `Bearer ${accessToken}`)
+      .buffer(true)
+      .parse(binaryParser);
+
+    expect(response.status).toBe(200);
+
+    const workbook = new ExcelJS.Workbook();
+    await workbook.xlsx.load(response.body);
+    const worksheet = workbook.getWorksheet('Users');
+
+    expect(worksheet.getRow(1).values.slice(1)).toEqual(['Identifier', 'First Name']);
+    expect(worksheet.getRow(2).values.slice(1)).toEqual(['STU001', 'Alice']);
+  });
+
+  test('should reject unknown columns', async () => {
+    const response = await request(app)
+      .get('/api/v1/users/export')
+      .query({ format: 'csv', columns: 'email,password' })
+      .set('Authorization', `Bearer ${accessToken}`);
+
+    expect(response.status).toBe(400);
+    expect(response.body.message).toBe('Unknown export columns: password');
+  });
+
+  test('should stop and close the cursor when the client disconnects mid-export', async () => {
+    const createCursor = userExportService.createCursor.bind(userExportService);
+    let cursor;
+    const spy = jest.spyOn(userExportService, 'createCursor').mockImplementation(query => {
+      cursor = createCursor(query);
+      jest.spyOn(cursor, 'close');
+      return cursor;
+    });
+
+    // A client that reads the header and one row, then goes away with the buffer full
+    let writes = 0;
+    const stream = new Writable({
+      highWaterMark: 1,
+      write(chunk, encoding, callback) {
+        writes += 1;
+        if (writes < 3) callback(); else stream.destroy();
+      }
+    });
+
+    await expect(userExportService.exportUsers(stream, 'csv', {}, ['email'])).resolves.toBe(1);
+    expect(cursor.close).toHaveBeenCalled();
+    expect(writes).toBe(3);
+    spy.mockRestore();
+  });
+});
@@ -0,0 +1,147 @@
+const request = require('supertest');
+const mongoose = require('mongoose');
+const ExcelJS = require('exceljs');
+const { MongoMemoryServer } = require('mongodb-memory-server');
+const app = require('../../server');
+const User = require('../models/user.model');
+const Department = require('../models/department.model');
+
+let mongoServer;
+
+beforeAll(async () => {
+  mongoServer = await MongoMemoryServer.create();
+  const mongoUri = mongoServer.getUri();
+  await mongoose.connect(mongoUri);
+});
+
+afterAll(async () => {
+  await mongoose.disconnect();
+  await mongoServer.stop();
+});
+
+beforeEach(async () => {
+  await User.deleteMany({});
+  await Department.deleteMany({});
+});
+
+// Collect a binary response body into a Buffer
+const binaryParser = (res, callback) => {
+  const chunks = [];
+  res.on('data', chunk => chunks.push(chunk));
+  res.on('end', () => callback(null, Buffer.concat(chunks)));
+};
+
+describe('POST /api/v1/users/import', () => {
+  let accessToken;
+
+  const upload = (csv, query = {}) => request(app)
+    .post('/api/v1/users/import')
+    .query(query)
+    .set('Authorization', `Bearer ${accessToken}`)
+    .attach('file', Buffer.from(csv), 'users.csv');
+
+  beforeEach(async () => {
+    const admin = await User.create({
+      firstName: 'Admin',
+      lastName: 'User',
+      email: 'admin@test.com',
+      password: 'AdminPass123',
+      role: 'admin',
+      isActive: true
+    });
+
+    await Department.create({ name: 'Computing', code: 'COMP', createdBy: admin._id });
+
+    await User.create({
+      firstName: 'Existing',
+      lastName: 'Student',
+      email: 'existing@test.com',
+      password: 'Password123',
+      role: 'student',
+      studentId: 'STU100',
+      isActive: true
+    });
+
+    const loginResponse = await request(app)
+      .post('/api/v1/auth/login')
+      .send({ email: 'admin@test.com', password: 'AdminPass123' });
+
+    accessToken = loginResponse.body.data.accessToken;
+  });
+
+  test('should report per-row errors in a dry run without creating users', async () => {
+    const csv = [
+      'First Name,Last Name,Email,Student ID,Department',
+      'Alice,Anders,alice@test.com,STU001,COMP',
+      'Bob,Brown,alice@test.com,STU100,COMP',
+      'Carol,Chen,carol@test.com,STU003,NOPE'
+    ].join('\n');
+
+    const response = await upload(csv, { role: 'student' });
+
+    expect(response.status).toBe(200);
+    expect(response.body.data.dryRun).toBe(true);
+    expect(response.body.data.summary).toEqual({ total: 3, valid: 1, invalid: 2 });
+
+    const [alice, bob, carol] = response.body.data.rows;
+    expect(alice.status).toBe('valid');
+    expect(bob.errors.map(error => error.field)).toEqual(expect.arrayContaining(['email', 'studentId']));
+    expect(bob.errors.map(error => error.message)).toContain('Duplicate email (also on row 2)');
+    expect(carol.errors).toEqual([{ field: 'department', message: 'Unknown department code "NOPE"' }]);
+
+    expect(await User.countDocuments()).toBe(2);
+  });
+
+  test('should refuse to commit a file with errors', async () => {
+    const csv = 'First Name,Last Name,Role\nAlice,Anders,admin\n';
+
+    const response = await upload(csv, { dryRun: 'false' });
+
+    expect(response.status).toBe(400);
+    expect(response.body.error.summary.invalid).toBe(1);
+    expect(await User.countDocuments()).toBe(2);
+  });
+
+  test('should create users and return a credentials sheet on commit', async () => {
+    const csv = [
+      'First Name,Last Name,Email,Student ID,Department',
+      'Alice,Anders,alice@test.com,STU001,COMP',
+      'Bob,Brown,,STU002,'
+    ].join('\n');
+
+    const response = await upload(csv, { role: 'student', dryRun: 'false' })
+      .buffer(true)
+      .parse(binaryParser);
+
+    expect(response.status).toBe(201);
+    expect(response.headers['content-disposition']).toMatch(/user-import-credentials-.*\.xlsx/);
+    expect(response.headers['x-import-created']).toBe('2');
+
+    const workbook = new ExcelJS.Workbook();
+    await workbook.xlsx.load(response.body);
+    const worksheet = workbook.getWorksheet('Credentials');
+    const alice = worksheet.getRow(2);
+    const bob = worksheet.getRow(3);
+
+    expect(alice.getCell(2).text).toBe('created');
+    expect(alice.getCell(3).text).toBe('STU001');
+    expect(bob.getCell(6).text).toBe('bob.brown@smartcampus.com');
+
+    const loginResponse = await request(app)
+      .post('/api/v1/auth/login')
+      .send({ email: 'alice@test.com', password: alice.getCell(8).text });
+
+    expect(loginResponse.status).toBe(200);
+
+    const created = await User.findByEmail('alice@test.com');
+    const department = await Department.findOne({ code: 'COMP' });
+    expect(created.department.toString()).toBe(department._id.toString());
+  });
+
+  test('should reject files without the required columns', async () => {
+    const response = await upload('Email\nalice@test.com\n');
+
+    expect(response.status).toBe(400);
+    expect(response.body.message).toBe('Missing required columns: firstName, lastName');
+  });
+});
@@ -0,0 +1,95 @@
+/**
+ * CSV helpers (RFC 4180)
+ */
+
+// Leading characters that make spreadsheet applications evaluate a cell as a formula
+const FORMULA_PREFIXES = ['=', '+', '-', '@', '\t', '\r'];
+
+/**
+ * Format a single value as a CSV field
+ * @param {*} value - Cell value
+ * @returns {string} Escaped field
+ */
+const formatField = (value) => {
+  if (value === null || value === undefined) return '';
+
+  let text = value instanceof Date ? value.toISOString() : String(value);
+
+  if (typeof value === 'string' && FORMULA_PREFIXES.includes(text.charAt(0))) {
+    text = `'${text}`;
+  }
+
+  if (/[",\r\n]/.test(text)) {
+    return `"${text.replace(/"/g, '""')}"`;
+  }
+  return text;
+};
+
+/**
+ * Format a row of values as a CSV line (including the line break)
+ * @param {Array} values - Cell values
+ * @returns {string} CSV line
+ */
+const formatRow = (values) => `${values.map(formatField).join(',')}\r\n`;
+
+/**
+ * Parse CSV text into rows of fields. Handles quoted fields, escaped quotes,
+ * line breaks inside quotes, CRLF/LF line endings and a leading BOM. Blank
+ * lines are skipped.
+ * @param {string} text - CSV text
+ * @returns {Array<Array<string>>} Rows
+ */
+const parseCsv = (text) => {
+  const rows = [];
+  let row = [];
+  let field = '';
+  let inQuotes = false;
+
+  const input = text.charCodeAt(0) === 0xfeff ? text.slice(1) : text;
+
+  const endRow = () => {
+    row.push(field);
+    if (row.some(value => value.trim() !== '')) {
+      rows.push(row);
+    }
+    row = [];
+    field = '';
+  };
+
+  for (let i = 0; i < input.length; i++) {
+    const char = input[i];
+
+    if (inQuotes) {
+      if (char === '"' && input[i + 1] === '"') {
+        field += '"';
+        i++;
+      } else if (char === '"') {
+        inQuotes = false;
+      } else {
+        field += char;
+      }
+    } else if (char === '"') {
+      inQuotes = true;
+    } else if (char === ',') {
+      row.push(field);
+      field = '';
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && input[i + 1] === '\n') i++;
+      endRow();
+    } else {
+      field += char;
+    }
+  }
+
+  if (field !== '' || row.length > 0) {
+    endRow();
+  }
+
+  return rows;
+};
+
+module.exports = {
+  formatField,
+  formatRow,
+  parseCsv
+};
@@ -0,0 +1,236 @@
+/**
+ * iCalendar helpers (RFC 5545)
+ */
+
+const { getOffset } = require('./timezone');
+
+const WEEKDAYS = ['Sunday', 'Monday', 'Tuesday', 'Wednesday', 'Thursday', 'Friday', 'Saturday'];
+
+const pad = (value) => String(value).padStart(2, '0');
+
+const MINUTE_MS = 60 * 1000;
+const WEEK_MS = 7 * 24 * 60 * MINUTE_MS;
+
+/**
+ * Escape a text value
+ * @param {*} value - Text
+ * @returns {string} Escaped text
+ */
+const escapeText = (value = '') => String(value)
+  .replace(/\\/g, '\\\\')
+  .replace(/;/g, '\\;')
+  .replace(/,/g, '\\,')
+  .replace(/\r?\n/g, '\\n');
+
+/**
+ * Fold a content line into lines of at most 75 octets
+ * @param {string} line - Content line
+ * @returns {string} Folded line (without the final line break)
+ */
+const foldLine = (line) => {
+  const parts = [];
+  let current = '';
+  let octets = 0;
+  for (const char of line) {
+    const size = Buffer.byteLength(char);
+    // Continuation lines start with a space, which counts towards their 75 octets
+    if (octets + size > (parts.length === 0 ? 75 : 74)) {
+      parts.push(current);
+      current = '';
+      octets = 0;
+    }
+    current += char;
+    octets += size;
+  }
+  parts.push(current);
+  return parts.join('\r\n ');
+};
+
+/**
+ * Format an instant as a UTC date-time, e.g. 20240902T090000Z
+ * @param {Date} date - Instant
+ * @returns {string} Date-time
+ */
+const formatUtc = (date) => `${date.getUTCFullYear()}${pad(date.getUTCMonth() + 1)}${pad(date.getUTCDate())}` +
+  `T${pad(date.getUTCHours())}${pad(date.getUTCMinutes())}${pad(date.getUTCSeconds())}Z`;
+
+/**
+ * Format a calendar day and wall-clock time, e.g. 20240902T090000
+ * @param {Date} day - Day (its UTC date is used)
+ * @param {string} time - Time in HH:MM format
+ * @returns {string} Local date-time
+ */
+const formatLocal = (day, time) => {
+  const [hours, minutes] = time.split(':').map(Number);
+  return `${day.getUTCFullYear()}${pad(day.getUTCMonth() + 1)}${pad(day.getUTCDate())}T${pad(hours)}${pad(minutes)}00`;
+};
+
+/**
+ * First day on or after a date that falls on a weekday
+ * @param {Date} from - Start date (its UTC date is used)
+ * @param {string} weekday - Monday ... Sunday
+ * @returns {Date} Matching day at 00:00 UTC
+ */
+const nextWeekday = (from, weekday) => {
+  const day = new Date(Date.UTC(from.getUTCFullYear(), from.getUTCMonth(), from.getUTCDate()));
+  const offset = (WEEKDAYS.indexOf(weekday) - day.getUTCDay() + 7) % 7;
+  day.setUTCDate(day.getUTCDate() + offset);
+  return day;
+};
+
+/**
+ * Two-letter RRULE code of a weekday
+ * @param {string} weekday - Monday ... Sunday
+ * @returns {string} MO ... SU
+ */
+const weekdayCode = (weekday) => weekday.slice(0, 2).toUpperCase();
+
+/**
+ * Format a UTC offset, e.g. +0530
+ * @param {number} offset - Offset in milliseconds
+ * @returns {string} Offset
+ */
+const formatOffset = (offset) => {
+  const minutes = Math.round(Math.abs(offset) / MINUTE_MS);
+  return `${offset < 0 ? '-' : '+'}${pad(Math.floor(minutes / 60))}${pad(minutes % 60)}`;
+};
+
+/**
+ * Offset changes of a time zone between two instants. Offsets are sampled
+ * weekly, then each change is narrowed down to the minute.
+ * @param {string} timezone - IANA time zone name
+ * @param {number} from - Start in milliseconds
+ * @param {number} to - End in milliseconds
+ * @returns {Array} { at, from, to } with offsets in milliseconds
+ */
+const findTransitions = (timezone, from, to) => {
+  const transitions = [];
+  let previous = from;
+  let previousOffset = getOffset(from, timezone);
+
+  for (let time = from + WEEK_MS; time < to + WEEK_MS; time += WEEK_MS) {
+    const offset = getOffset(time, timezone);
+    if (offset !== previousOffset) {
+      let low = previous;
+      let high = time;
+      while (high - low > MINUTE_MS) {
+        const middle = low + Math.floor((high - low) / 2 / MINUTE_MS) * MINUTE_MS;
+        if (getOffset(middle, timezone) === previousOffset) low = middle; else high = middle;
+      }
+      transitions.push({ at: high, from: previousOffset, to: offset });
+    }
+    previous = time;
+    previousOffset = offset;
+  }
+  return transitions;
+};
+
+/**
+ * VTIMEZONE component describing a time zone over whole calendar years, so
+ * clients that do not know the TZID still place wall-clock times correctly
+ * @param {string} timezone - IANA time zone name
+ * @param {number} firstYear - First year covered
+ * @param {number} lastYear - Last year covered
+ * @returns {Array} Content lines
+ */
+const buildTimezone = (timezone, firstYear, lastYear) => {
+  const start = Date.UTC(firstYear, 0, 1);
+  const initial = getOffset(start, timezone);
+  const transitions = findTransitions(timezone, start, Date.UTC(lastYear + 1, 0, 1));
+  const standardOffset = Math.min(initial, ...transitions.map(transition => transition.to));
+
+  // The first observance covers everything before the first change in range
+  const observances = [
+    { onset: formatUtc(new Date(start)).slice(0, -1), from: initial, to: initial },
+    ...transitions.map(transition => ({
+      // DTSTART is the wall-clock time of the change before it happens
+      onset: formatUtc(new Date(transition.at + transition.from)).slice(0, -1),
+      from: transition.from,
+      to: transition.to
+    }))
+  ];
+
+  const lines = ['BEGIN:VTIMEZONE', `TZID:${timezone}`];
+  observances.forEach(observance => {
+    const kind = observance.to > standardOffset ? 'DAYLIGHT' : 'STANDARD';
+    lines.push(
+      `BEGIN:${kind}`,
+      `DTSTART:${observance.onset}`,
+      `TZOFFSETFROM:${formatOffset(observance.from)}`,
+      `TZOFFSETTO:${formatOffset(observance.to)}`,
+      `END:${kind}`
+    );
+  });
+  lines.push('END:VTIMEZONE');
+  return lines;
+};
+
+/**
+ * Format one date-time property for an event
+ * @param {string} name - DTSTART or DTEND
+ * @param {Object} value - { date } for an instant, or { day, time } for wall-clock time in the calendar time zone
+ * @param {string} timezone - IANA time zone of wall-clock times
+ * @returns {string} Content line
+ */
+const formatDateProperty = (name, value, timezone) => (value.date
+  ? `${name}:${formatUtc(value.date)}`
+  : `${name};TZID=${timezone}:${formatLocal(value.day, value.time)}`);
+
+/**
+ * Build a calendar. Wall-clock times refer to a VTIMEZONE for the calendar
+ * time zone, covering the years of those times and the year after, so
+ * weekly meetings repeating into the next year keep their offsets.
+ * @param {Object} options - Calendar options
+ * @param {string} options.name - Calendar name shown by calendar apps
+ * @param {string} options.timezone - IANA time zone of wall-clock times
+ * @param {Array} options.events - { uid, summary, start, end, rrule, description, location, status }
+ * @returns {string} iCalendar text
+ */
+const buildCalendar = ({ name, timezone, events }) => {
+  const stamp = formatUtc(new Date());
+  const lines = [
+    'BEGIN:VCALENDAR',
+    'VERSION:2.0',
+    'PRODID:-//Smart Campus//Timetable//EN',
+    'CALSCALE:GREGORIAN',
+    'METHOD:PUBLISH',
+    `X-WR-CALNAME:${escapeText(name)}`,
+    `X-WR-TIMEZONE:${timezone}`
+  ];
+
+  const wallClockYears = events
+    .flatMap(event => [event.start, event.end])
+    .filter(value => !value.date)
+    .map(value => value.day.getUTCFullYear());
+  if (wallClockYears.length > 0) {
+    lines.push(...buildTimezone(timezone, Math.min(...wallClockYears), Math.max(...wallClockYears) + 1));
+  }
+
+  events.forEach(event => {
+    lines.push(
+      'BEGIN:VEVENT',
+      `UID:${event.uid}`,
+      `DTSTAMP:${stamp}`,
+      formatDateProperty('DTSTART', event.start, timezone),
+      formatDateProperty('DTEND', event.end, timezone),
+      `SUMMARY:${escapeText(event.summary)}`
+    );
+    if (event.rrule) lines.push(`RRULE:${event.rrule}`);
+    if (event.location) lines.push(`LOCATION:${escapeText(event.location)}`);
+    if (event.description) lines.push(`DESCRIPTION:${escapeText(event.description)}`);
+    if (event.status) lines.push(`STATUS:${event.status}`);
+    lines.push('END:VEVENT');
+  });
+
+  lines.push('END:VCALENDAR');
+  return `${lines.map(foldLine).join('\r\n')}\r\n`;
+};
+
+module.exports = {
+  escapeText,
+  formatUtc,
+  buildTimezone,
+  nextWeekday,
+  weekdayCode,
+  buildCalendar
+};
@@ -0,0 +1,104 @@
+/**
+ * Email templates. Each template receives a data object and returns
+ * { subject, text, html }.
+ */
+
+const escapeHtml = (value = '') => String(value)
+  .replace(/&/g, '&amp;')
+  .replace(/</g, '&lt;')
+  .replace(/>/g, '&gt;')
+  .replace(/"/g, '&quot;')
+  .replace(/'/g, '&#39;');
+
+const layout = (title, body) => `<!DOCTYPE html>
+<html>
+  <body style="font-family: Arial, sans-serif; color: #222; line-height: 1.5;">
+    <h2 style="color: #1a4d8f;">${escapeHtml(title)}</h2>
+    ${body}
+    <p style="color: #888; font-size: 12px;">Smart Campus &middot; This is an automated message, please do not reply.</p>
+  </body>
+</html>`;
+
+const templates = {
+  passwordReset: ({ firstName, resetUrl, expiresInMinutes }) => ({
+    subject: 'Reset your Smart Campus password',
+    text: [
+      `Hi ${firstName},`,
+      '',
+      'We received a request to reset your Smart Campus password.',
+      `Open the link below to choose a new password (valid for ${expiresInMinutes} minutes):`,
+      resetUrl,
+      '',
+      'If you did not request this, you can ignore this email.'
+    ].join('\n'),
+    html: layout('Reset your password', `
+    <p>Hi ${escapeHtml(firstName)},</p>
+    <p>We received a request to reset your Smart Campus password.</p>
+    <p><a href="${escapeHtml(resetUrl)}">Choose a new password</a> (valid for ${expiresInMinutes} minutes).</p>
+    <p>If you did not request this, you can ignore this email.</p>`)
+  }),
+
+  passwordChanged: ({ firstName }) => ({
+    subject: 'Your Smart Campus password was changed',
+    text: [
+      `Hi ${firstName},`,
+      '',
+      'The password for your Smart Campus account was just changed.',
+      'If this was not you, contact the campus administration immediately.'
+    ].join('\n'),
+    html: layout('Password changed', `
+    <p>Hi ${escapeHtml(firstName)},</p>
+    <p>The password for your Smart Campus account was just changed.</p>
+    <p>If this was not you, contact the campus administration immediately.</p>`)
+  }),
+
+  emailVerification: ({ firstName, verifyUrl, expiresInHours }) => ({
+    subject: 'Verify your Smart Campus email address',
+    text: [
+      `Hi ${firstName},`,
+      '',
+      'Please confirm your email address by opening the link below',
+      `(valid for ${expiresInHours} hours):`,
+      verifyUrl
+    ].join('\n'),
+    html: layout('Verify your email', `
+    <p>Hi ${escapeHtml(firstName)},</p>
+    <p>Please confirm your email address.</p>
+    <p><a href="${escapeHtml(verifyUrl)}">Verify email</a> (valid for ${expiresInHours} hours).</p>`)
+  }),
+
+  waitlistSeatOffered: ({ firstName, courseCode, courseName, claimUrl, expiresAt }) => ({
+    subject: `A seat in ${courseCode} is available`,
+    text: [
+      `Hi ${firstName},`,
+      '',
+      `A seat in ${courseCode} ${courseName} has opened up and is being held for you.`,
+      `Enroll before ${expiresAt} to claim it; after that it is offered to the next student on the waitlist:`,
+      claimUrl
+    ].join('\n'),
+    html: layout('A seat is available', `
+    <p>Hi ${escapeHtml(firstName)},</p>
+    <p>A seat in ${escapeHtml(courseCode)} ${escapeHtml(courseName)} has opened up and is being held for you.</p>
+    <p><a href="${escapeHtml(claimUrl)}">Enroll now</a> before ${escapeHtml(expiresAt)} to claim it; after that it is offered to the next student on the waitlist.</p>`)
+  })
+};
+
+/**
+ * Render a named template
+ * @param {string} name - Template name
+ * @param {Object} data - Template data
+ * @returns {Object} Rendered { subject, text, html }
+ */
+const renderTemplate = (name, data = {}) => {
+  const template = templates[name];
+  if (!template) {
+    throw new Error(`Unknown email template: ${name}`);
+  }
+  return template(data);
+};
+
+module.exports = {
+  templates,
+  renderTemplate,
+  escapeHtml
+};
@@ -0,0 +1,44 @@
+const crypto = require('crypto');
+
+// Look-alike characters (0/O, 1/l/I) are left out so printed passwords can be typed reliably
+const CHARACTER_SETS = {
+  upper: 'ABCDEFGHJKLMNPQRSTUVWXYZ',
+  lower: 'abcdefghijkmnopqrstuvwxyz',
+  digit: '23456789',
+  symbol: '!@#$%*?'
+};
+
+/**
+ * Pick a random character from a string
+ * @param {string} characters - Characters to choose from
+ * @returns {string} Character
+ */
+const pickCharacter = (characters) => characters[crypto.randomInt(characters.length)];
+
+/**
+ * Generate a random temporary password containing at least one upper-case
+ * letter, lower-case letter, digit and symbol
+ * @param {number} [length=12] - Password length (minimum 8)
+ * @returns {string} Password
+ */
+const generateTemporaryPassword = (length = 12) => {
+  const sets = Object.values(CHARACTER_SETS);
+  const all = sets.join('');
+
+  const characters = sets.map(pickCharacter);
+  while (characters.length < Math.max(length, 8)) {
+    characters.push(pickCharacter(all));
+  }
+
+  // Fisher-Yates shuffle so the guaranteed characters are not always first
+  for (let i = characters.length - 1; i > 0; i--) {
+    const j = crypto.randomInt(i + 1);
+    [characters[i], characters[j]] = [characters[j], characters[i]];
+  }
+
+  return characters.join('');
+};
+
+module.exports = {
+  generateTemporaryPassword
+};
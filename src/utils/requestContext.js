@@ -0,0 +1,63 @@
+const { AsyncLocalStorage, AsyncResource } = require('async_hooks');
+
+/**
+ * Per-request context (actor, IP address, user agent) available anywhere in
+ * the call chain of a request, so model hooks can attribute writes without
+ * every service passing the request through.
+ */
+const storage = new AsyncLocalStorage();
+
+/**
+ * Run a function with a fresh request context
+ * @param {Object} context - Initial context ({ ipAddress, userAgent, method, path })
+ * @param {Function} fn - Function to run
+ * @returns {*} Return value of fn
+ */
+const runWithContext = (context, fn) => storage.run({ actor: null, ...context }, fn);
+
+/**
+ * Get the context of the current request
+ * @returns {Object|null} Context, or null outside a request
+ */
+const getContext = () => storage.getStore() || null;
+
+/**
+ * Record the authenticated user on the current request context
+ * @param {Object} user - Authenticated user, or a service account principal
+ * @param {Object} [impersonator] - Admin acting as the user, when impersonating
+ */
+const setActor = (user, impersonator = null) => {
+  const context = storage.getStore();
+  if (context && user && user.isServiceAccount) {
+    context.actor = {
+      user: null,
+      email: user.email,
+      role: user.role,
+      serviceAccount: user._id,
+      apiKey: user.apiKey,
+      impersonatedBy: null
+    };
+  } else if (context && user) {
+    context.actor = {
+      user: user._id,
+      email: user.email,
+      role: user.role,
+      impersonatedBy: impersonator ? { user: impersonator._id, email: impersonator.email } : null
+    };
+  }
+};
+
+/**
+ * Wrap a middleware whose callback fires from stream events (e.g. multer),
+ * which would otherwise continue the request outside its context
+ * @param {Function} middleware - Express middleware
+ * @returns {Function} Middleware that calls next in the caller's context
+ */
+const bindContext = (middleware) => (req, res, next) => middleware(req, res, AsyncResource.bind(next));
+
+module.exports = {
+  runWithContext,
+  getContext,
+  setActor,
+  bindContext
+};
@@ -0,0 +1,49 @@
+/**
+ * Time zone helpers built on Intl, for turning campus wall-clock times
+ * into instants
+ */
+
+/**
+ * Offset of a time zone from UTC at an instant
+ * @param {number} timestamp - Time in milliseconds
+ * @param {string} timezone - IANA time zone name
+ * @returns {number} Offset in milliseconds (positive east of UTC)
+ */
+const getOffset = (timestamp, timezone) => {
+  const parts = new Intl.DateTimeFormat('en-US', {
+    timeZone: timezone,
+    hourCycle: 'h23',
+    year: 'numeric',
+    month: '2-digit',
+    day: '2-digit',
+    hour: '2-digit',
+    minute: '2-digit',
+    second: '2-digit'
+  }).formatToParts(new Date(timestamp));
+  const value = (type) => Number(parts.find(part => part.type === type).value);
+
+  const local = Date.UTC(value('year'), value('month') - 1, value('day'), value('hour'), value('minute'), value('second'));
+  return local - Math.floor(timestamp / 1000) * 1000;
+};
+
+/**
+ * Instant of a wall-clock time on a day in a time zone
+ * @param {Date} day - Day (its UTC date is used)
+ * @param {string} time - Time in HH:MM format
+ * @param {string} timezone - IANA time zone name
+ * @returns {Date} Instant
+ */
+const zonedTime = (day, time, timezone) => {
+  const [hours, minutes] = time.split(':').map(Number);
+  const wallClock = Date.UTC(day.getUTCFullYear(), day.getUTCMonth(), day.getUTCDate(), hours, minutes);
+
+  const offset = getOffset(wallClock, timezone);
+  // Across a daylight saving change the offset at the result differs
+  const corrected = getOffset(wallClock - offset, timezone);
+  return new Date(wallClock - corrected);
+};
+
+module.exports = {
+  getOffset,
+  zonedTime
+};
@@ -0,0 +1,173 @@
+const crypto = require('crypto');
+
+/**
+ * RFC 6238 TOTP helpers (HMAC-SHA1, 6 digits, 30 second step), compatible
+ * with Google Authenticator, Authy and similar apps.
+ */
+
+const BASE32_ALPHABET = 'ABCDEFGHIJKLMNOPQRSTUVWXYZ234567';
+const DEFAULT_STEP_SECONDS = 30;
+const DEFAULT_DIGITS = 6;
+
+/**
+ * Encode a buffer as RFC 4648 base32 (no padding)
+ * @param {Buffer} buffer - Bytes to encode
+ * @returns {string} Base32 string
+ */
+const base32Encode = (buffer) => {
+  let bits = 0;
+  let value = 0;
+  let output = '';
+
+  for (const byte of buffer) {
+    value = (value << 8) | byte;
+    bits += 8;
+
+    while (bits >= 5) {
+      output += BASE32_ALPHABET[(value >>> (bits - 5)) & 31];
+      bits -= 5;
+    }
+  }
+
+  if (bits > 0) {
+    output += BASE32_ALPHABET[(value << (5 - bits)) & 31];
+  }
+
+  return output;
+};
+
+/**
+ * Decode an RFC 4648 base32 string
+ * @param {string} input - Base32 string (case and padding insensitive)
+ * @returns {Buffer} Decoded bytes
+ */
+const base32Decode = (input) => {
+  const cleaned = input.toUpperCase().replace(/=+$/, '').replace(/\s/g, '');
+  let bits = 0;
+  let value = 0;
+  const bytes = [];
+
+  for (const char of cleaned) {
+    const index = BASE32_ALPHABET.indexOf(char);
+    if (index === -1) {
+      throw new Error('Invalid base32 character');
+    }
+
+    value = (value << 5) | index;
+    bits += 5;
+
+    if (bits >= 8) {
+      bytes.push((value >>> (bits - 8)) & 255);
+      bits -= 8;
+    }
+  }
+
+  return Buffer.from(bytes);
+};
+
+/**
+ * Generate a random base32 secret
+ * @param {number} size - Secret size in bytes
+ * @returns {string} Base32 secret
+ */
+const generateSecret = (size = 20) => base32Encode(crypto.randomBytes(size));
+
+/**
+ * Compute the HOTP value for a counter
+ * @param {string} secret - Base32 secret
+ * @param {number} counter - Counter value
+ * @param {number} digits - Number of digits
+ * @returns {string} Zero-padded code
+ */
+const hotp = (secret, counter, digits = DEFAULT_DIGITS) => {
+  const counterBuffer = Buffer.alloc(8);
+  counterBuffer.writeBigUInt64BE(BigInt(counter));
+
+  const hmac = crypto.createHmac('sha1', base32Decode(secret)).update(counterBuffer).digest();
+  const offset = hmac[hmac.length - 1] & 0xf;
+  const binary = ((hmac[offset] & 0x7f) << 24) |
+    (hmac[offset + 1] << 16) |
+    (hmac[offset + 2] << 8) |
+    hmac[offset + 3];
+
+  return (binary % 10 ** digits).toString().padStart(digits, '0');
+};
+
+/**
+ * Compute the TOTP counter for a point in time
+ * @param {number} timestamp - Time in milliseconds
+ * @param {number} stepSeconds - Step size in seconds
+ * @returns {number} Counter
+ */
+const getCounter = (timestamp = Date.now(), stepSeconds = DEFAULT_STEP_SECONDS) =>
+  Math.floor(timestamp / 1000 / stepSeconds);
+
+/**
+ * Generate the current TOTP code
+ * @param {string} secret - Base32 secret
+ * @param {Object} options - { timestamp, stepSeconds, digits }
+ * @returns {string} Code
+ */
+const generateCode = (secret, options = {}) => {
+  const { timestamp = Date.now(), stepSeconds = DEFAULT_STEP_SECONDS, digits = DEFAULT_DIGITS } = options;
+  return hotp(secret, getCounter(timestamp, stepSeconds), digits);
+};
+
+/**
+ * Verify a TOTP code, allowing for clock drift
+ * @param {string} secret - Base32 secret
+ * @param {string} code - Code to check
+ * @param {Object} options - { timestamp, stepSeconds, digits, window }
+ * @returns {number|null} Matched counter, or null when the code is invalid
+ */
+const verifyCode = (secret, code, options = {}) => {
+  const {
+    timestamp = Date.now(),
+    stepSeconds = DEFAULT_STEP_SECONDS,
+    digits = DEFAULT_DIGITS,
+    window = 1
+  } = options;
+
+  const normalized = String(code || '').replace(/\s/g, '');
+  if (!new RegExp(`^\\d{${digits}}$`).test(normalized)) {
+    return null;
+  }
+
+  const current = getCounter(timestamp, stepSeconds);
+  for (let offset = -window; offset <= window; offset++) {
+    const candidate = hotp(secret, current + offset, digits);
+    if (crypto.timingSafeEqual(Buffer.from(candidate), Buffer.from(normalized))) {
+      return current + offset;
+    }
+  }
+
+  return null;
+};
+
+/**
+ * Build an otpauth:// URI for authenticator apps
+ * @param {Object} options - { secret, accountName, issuer }
+ * @returns {string} otpauth URI
+ */
+const buildOtpauthUri = ({ secret, accountName, issuer }) => {
+  const label = encodeURIComponent(`${issuer}:${accountName}`);
+  const params = new URLSearchParams({
+    secret,
+    issuer,
+    algorithm: 'SHA1',
+    digits: String(DEFAULT_DIGITS),
+    period: String(DEFAULT_STEP_SECONDS)
+  });
+  return `otpauth://totp/${label}?${params.toString()}`;
+};
+
+module.exports = {
+  base32Encode,
+  base32Decode,
+  generateSecret,
+  hotp,
+  getCounter,
+  generateCode,
+  verifyCode,
+  buildOtpauthUri
+};
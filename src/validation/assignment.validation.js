@@ -38,6 +38,11 @@ const validateAssignmentCreation = [
     .isMongoId()
     .withMessage('Course ID must be a valid MongoDB ObjectId'),
   
+  body('section')
+    .optional({ nullable: true })
+    .isMongoId()
+    .withMessage('Section ID must be a valid MongoDB ObjectId'),
+  
   body('faculty')
     .isMongoId()
     .withMessage('Faculty ID must be a valid MongoDB ObjectId'),
@@ -166,6 +171,11 @@ const validateAssignmentUpdate = [
     .isLength({ max: 200 })
     .withMessage('Title cannot exceed 200 characters'),
   
+  body('section')
+    .not()
+    .exists()
+    .withMessage('The section of an assignment cannot be changed'),
+  
   body('description')
     .optional()
     .trim()
@@ -0,0 +1,103 @@
+const { query, param, validationResult } = require('express-validator');
+const { ResponseHandler } = require('../utils/responseHandler');
+
+/**
+ * Validation result handler
+ */
+const handleValidationErrors = (req, res, next) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    const formattedErrors = errors.array().map(error => ({
+      field: error.path,
+      message: error.msg,
+      value: error.value
+    }));
+    return ResponseHandler.validationError(res, formattedErrors);
+  }
+  next();
+};
+
+const filterRules = [
+  query('actor')
+    .optional()
+    .trim()
+    .isLength({ min: 1, max: 100 })
+    .withMessage('Actor must be a user ID or email address'),
+
+  query('entityType')
+    .optional()
+    .trim()
+    .matches(/^[A-Za-z]+$/)
+    .withMessage('Entity type must be a model name (e.g. User, CourseGrade)'),
+
+  query('entityId')
+    .optional()
+    .isMongoId()
+    .withMessage('Entity ID must be a valid ID'),
+
+  query('action')
+    .optional()
+    .trim()
+    .matches(/^[a-z_]+(,[a-z_]+)*$/)
+    .withMessage('Action must be an action name or a comma-separated list of them'),
+
+  query('from')
+    .optional()
+    .isISO8601()
+    .withMessage('From must be a valid date'),
+
+  query('to')
+    .optional()
+    .isISO8601()
+    .withMessage('To must be a valid date')
+];
+
+/**
+ * Audit log list validation
+ */
+const validateAuditLogQuery = [
+  ...filterRules,
+
+  query('page')
+    .optional()
+    .isInt({ min: 1 })
+    .withMessage('Page must be a positive integer'),
+
+  query('limit')
+    .optional()
+    .isInt({ min: 1, max: 100 })
+    .withMessage('Limit must be between 1 and 100'),
+
+  handleValidationErrors
+];
+
+/**
+ * Audit log export validation
+ */
+const validateAuditLogExport = [
+  ...filterRules,
+
+  query('format')
+    .optional()
+    .isIn(['json', 'csv', 'xlsx'])
+    .withMessage('Format must be json, csv, or xlsx'),
+
+  handleValidationErrors
+];
+
+/**
+ * Audit log entry ID validation
+ */
+const validateAuditLogId = [
+  param('entryId')
+    .isMongoId()
+    .withMessage('Invalid audit log entry ID'),
+
+  handleValidationErrors
+];
+
+module.exports = {
+  validateAuditLogQuery,
+  validateAuditLogExport,
+  validateAuditLogId
+};
@@ -1,5 +1,8 @@
 const { body, param, query, validationResult } = require('express-validator');
 const { ResponseHandler } = require('../utils/responseHandler');
+const { COURSE_STAFF_ROLES } = require('../config/courseStaff.config');
+const { QUESTION_TYPES } = require('../config/evaluation.config');
+const { ATTENDANCE_STATUSES } = require('../config/attendance.config');
 
 /**
  * Validation result handler
@@ -17,6 +20,66 @@ const handleValidationErrors = (req, res, next) => {
   next();
 };
 
+/**
+ * Reason given by an admin to proceed despite timetable clashes
+ */
+const clashOverrideRule = () => body('clashOverrideReason')
+  .optional()
+  .trim()
+  .isLength({ min: 5, max: 500 })
+  .withMessage('Clash override reason must be between 5 and 500 characters');
+
+/**
+ * Prerequisites: required course, minimum grade, and an optional group of alternatives
+ */
+const prerequisiteRules = () => [
+  body('prerequisites')
+    .optional()
+    .isArray()
+    .withMessage('Prerequisites must be an array'),
+
+  body('prerequisites.*.course')
+    .isMongoId()
+    .withMessage('Invalid prerequisite course ID format'),
+
+  body('prerequisites.*.grade')
+    .optional()
+    .isIn(['A', 'B', 'C', 'D', 'Pass'])
+    .withMessage('Minimum grade must be A, B, C, D or Pass'),
+
+  body('prerequisites.*.isRequired')
+    .optional()
+    .isBoolean()
+    .withMessage('isRequired must be a boolean value'),
+
+  body('prerequisites.*.group')
+    .optional()
+    .trim()
+    .isLength({ min: 1, max: 30 })
+    .withMessage('Prerequisite group must be between 1 and 30 characters')
+];
+
+/**
+ * Term dates: first and last day of teaching
+ */
+const termDateRules = () => [
+  body('startDate')
+    .optional()
+    .isISO8601()
+    .withMessage('Start date must be a valid date'),
+
+  body('endDate')
+    .optional()
+    .isISO8601()
+    .withMessage('End date must be a valid date')
+    .custom((value, { req }) => {
+      if (req.body.startDate && new Date(value) < new Date(req.body.startDate)) {
+        throw new Error('End date must not be before the start date');
+      }
+      return true;
+    })
+];
+
 /**
  * Course creation validation
  */
@@ -108,15 +171,11 @@ const validateCourseCreation = [
     .isLength({ max: 30 })
     .withMessage('Each tag cannot exceed 30 characters'),
   
-  body('prerequisites')
-    .optional()
-    .isArray()
-    .withMessage('Prerequisites must be an array'),
+  ...prerequisiteRules(),
   
-  body('prerequisites.*')
-    .optional()
-    .isMongoId()
-    .withMessage('Invalid prerequisite course ID format'),
+  ...termDateRules(),
+  
+  clashOverrideRule(),
   
   handleValidationErrors
 ];
@@ -192,6 +251,12 @@ const validateCourseUpdate = [
     .isBoolean()
     .withMessage('isPublished must be a boolean value'),
   
+  ...prerequisiteRules(),
+  
+  ...termDateRules(),
+  
+  clashOverrideRule(),
+  
   handleValidationErrors
 ];
 
@@ -203,38 +268,201 @@ const validateCourseEnrollment = [
     .isMongoId()
     .withMessage('Invalid student ID format'),
   
+  clashOverrideRule(),
+  
   handleValidationErrors
 ];
 
 /**
- * Course material validation
+ * Rules shared by course content: position, draft/published state and release date
  */
-const validateCourseMaterial = [
-  body('title')
-    .trim()
-    .notEmpty()
-    .withMessage('Material title is required')
-    .isLength({ max: 100 })
-    .withMessage('Material title cannot exceed 100 characters'),
-  
-  body('description')
+const contentRules = () => [
+  body('position')
     .optional()
-    .trim()
-    .isLength({ max: 500 })
-    .withMessage('Material description cannot exceed 500 characters'),
-  
+    .isInt({ min: 0 })
+    .withMessage('Position must be a non-negative integer')
+    .toInt(),
+
+  body('status')
+    .optional()
+    .isIn(['draft', 'published'])
+    .withMessage('Status must be draft or published'),
+
+  body('releaseAt')
+    .optional({ nullable: true })
+    .isISO8601()
+    .withMessage('Release date must be a valid date')
+    .toDate()
+];
+
+/**
+ * Rules for one uploaded material file
+ */
+const materialFileRules = () => [
   body('fileUrl')
     .trim()
     .notEmpty()
     .withMessage('File URL is required')
     .isURL()
     .withMessage('File URL must be a valid URL'),
-  
+
+  body('fileName')
+    .optional()
+    .trim()
+    .isLength({ max: 255 })
+    .withMessage('File name cannot exceed 255 characters'),
+
   body('fileType')
     .optional()
     .isIn(['pdf', 'doc', 'docx', 'ppt', 'pptx', 'video', 'image', 'other'])
     .withMessage('Invalid file type'),
-  
+
+  body('fileSize')
+    .optional()
+    .isInt({ min: 0 })
+    .withMessage('File size cannot be negative')
+    .toInt(),
+
+  body('note')
+    .optional()
+    .trim()
+    .isLength({ max: 500 })
+    .withMessage('Version note cannot exceed 500 characters')
+];
+
+/**
+ * Course module validation rules
+ * @param {boolean} required - Whether the title is required
+ */
+const moduleRules = (required) => [
+  (required ? body('title') : body('title').optional())
+    .trim()
+    .notEmpty()
+    .withMessage('Module title is required')
+    .isLength({ max: 100 })
+    .withMessage('Module title cannot exceed 100 characters'),
+
+  body('description')
+    .optional()
+    .trim()
+    .isLength({ max: 1000 })
+    .withMessage('Module description cannot exceed 1000 characters'),
+
+  body('week')
+    .optional()
+    .isInt({ min: 1, max: 52 })
+    .withMessage('Week must be between 1 and 52')
+    .toInt(),
+
+  ...contentRules()
+];
+
+/**
+ * Course material validation rules
+ * @param {boolean} required - Whether the module and title are required
+ */
+const materialRules = (required) => {
+  const field = (name) => (required ? body(name) : body(name).optional());
+
+  return [
+    field('module')
+      .isMongoId()
+      .withMessage('Invalid module ID format'),
+
+    field('title')
+      .trim()
+      .notEmpty()
+      .withMessage('Material title is required')
+      .isLength({ max: 100 })
+      .withMessage('Material title cannot exceed 100 characters'),
+
+    body('description')
+      .optional()
+      .trim()
+      .isLength({ max: 500 })
+      .withMessage('Material description cannot exceed 500 characters'),
+
+    ...contentRules()
+  ];
+};
+
+/**
+ * Course module creation validation
+ */
+const validateCourseModule = [
+  ...moduleRules(true),
+
+  handleValidationErrors
+];
+
+/**
+ * Course module update validation
+ */
+const validateCourseModuleUpdate = [
+  param('moduleId')
+    .isMongoId()
+    .withMessage('Invalid module ID format'),
+
+  ...moduleRules(false),
+
+  handleValidationErrors
+];
+
+/**
+ * Module ID parameter validation
+ */
+const validateModuleId = [
+  param('moduleId')
+    .isMongoId()
+    .withMessage('Invalid module ID format'),
+
+  handleValidationErrors
+];
+
+/**
+ * Course material validation
+ */
+const validateCourseMaterial = [
+  ...materialRules(true),
+  ...materialFileRules(),
+
+  handleValidationErrors
+];
+
+/**
+ * Course material update validation
+ */
+const validateCourseMaterialUpdate = [
+  param('materialId')
+    .isMongoId()
+    .withMessage('Invalid material ID format'),
+
+  ...materialRules(false),
+
+  handleValidationErrors
+];
+
+/**
+ * Course material file replacement validation
+ */
+const validateMaterialVersion = [
+  param('materialId')
+    .isMongoId()
+    .withMessage('Invalid material ID format'),
+
+  ...materialFileRules(),
+
+  handleValidationErrors
+];
+
+/**
+ * Material ID parameter validation
+ */
+const validateMaterialId = [
+  param('materialId')
+    .isMongoId()
+    .withMessage('Invalid material ID format'),
+
   handleValidationErrors
 ];
 
@@ -380,15 +608,475 @@ const validateCourseQuery = [
   handleValidationErrors
 ];
 
+const DAYS = ['Monday', 'Tuesday', 'Wednesday', 'Thursday', 'Friday', 'Saturday', 'Sunday'];
+const TIME_PATTERN = /^([0-1]?[0-9]|2[0-3]):[0-5][0-9]$/;
+
+// Rules shared by section creation and update; `required` makes code, faculty and capacity mandatory
+const sectionRules = (required) => {
+  const field = (name) => (required ? body(name) : body(name).optional());
+
+  return [
+    field('code')
+      .trim()
+      .matches(/^[A-Za-z0-9]{1,4}$/)
+      .withMessage('Section code must be 1-4 letters or numbers'),
+
+    field('faculty')
+      .isMongoId()
+      .withMessage('Invalid faculty ID format'),
+
+    field('maxStudents')
+      .isInt({ min: 1, max: 500 })
+      .withMessage('Maximum students must be between 1 and 500')
+      .toInt(),
+
+    body('location.building')
+      .optional()
+      .trim()
+      .isLength({ max: 50 })
+      .withMessage('Building cannot exceed 50 characters'),
+
+    body('location.room')
+      .optional()
+      .trim()
+      .isLength({ max: 20 })
+      .withMessage('Room cannot exceed 20 characters'),
+
+    body('schedule')
+      .optional()
+      .isArray()
+      .withMessage('Schedule must be an array'),
+
+    body('schedule.*.day')
+      .isIn(DAYS)
+      .withMessage('Invalid day of week'),
+
+    body('schedule.*.startTime')
+      .matches(TIME_PATTERN)
+      .withMessage('Start time must be in HH:MM format'),
+
+    body('schedule.*.endTime')
+      .matches(TIME_PATTERN)
+      .withMessage('End time must be in HH:MM format'),
+
+    body('schedule.*.type')
+      .optional()
+      .isIn(['Lecture', 'Lab', 'Tutorial', 'Discussion'])
+      .withMessage('Session type must be Lecture, Lab, Tutorial, or Discussion'),
+
+    clashOverrideRule()
+  ];
+};
+
+/**
+ * Section creation validation
+ */
+const validateSectionCreation = [
+  ...sectionRules(true),
+
+  handleValidationErrors
+];
+
+/**
+ * Section update validation
+ */
+const validateSectionUpdate = [
+  param('sectionId')
+    .isMongoId()
+    .withMessage('Invalid section ID format'),
+
+  ...sectionRules(false),
+
+  body('status')
+    .optional()
+    .isIn(['active', 'cancelled'])
+    .withMessage('Status must be active or cancelled'),
+
+  handleValidationErrors
+];
+
+/**
+ * Section ID parameter validation
+ */
+const validateSectionId = [
+  param('sectionId')
+    .isMongoId()
+    .withMessage('Invalid section ID format'),
+
+  handleValidationErrors
+];
+
+/**
+ * Course roll-up query validation
+ */
+const validateCourseRollupQuery = [
+  query('semester')
+    .optional()
+    .isInt({ min: 1, max: 12 })
+    .withMessage('Semester must be between 1 and 12'),
+
+  query('academicYear')
+    .optional()
+    .matches(/^\d{4}-\d{4}$/)
+    .withMessage('Academic year must be in format YYYY-YYYY'),
+
+  handleValidationErrors
+];
+
+/**
+ * Target term of a course rollover
+ */
+const rolloverTargetRules = () => [
+  body('year')
+    .isInt({ min: 2020, max: 2030 })
+    .withMessage('Year must be between 2020 and 2030'),
+
+  body('semester')
+    .isInt({ min: 1, max: 12 })
+    .withMessage('Semester must be a number between 1 and 12'),
+
+  body('startDate')
+    .notEmpty()
+    .withMessage('Start date of the new term is required')
+    .bail()
+    .isISO8601()
+    .withMessage('Start date must be a valid date'),
+
+  ...termDateRules().slice(1)
+];
+
+/**
+ * Single course rollover validation
+ */
+const validateCourseRollover = [
+  ...rolloverTargetRules(),
+
+  handleValidationErrors
+];
+
+/**
+ * Department or program rollover validation
+ */
+const validateBulkCourseRollover = [
+  ...rolloverTargetRules(),
+
+  body('department')
+    .optional()
+    .isMongoId()
+    .withMessage('Invalid department ID format'),
+
+  body('program')
+    .optional()
+    .isMongoId()
+    .withMessage('Invalid program ID format')
+    .custom((value, { req }) => {
+      if (req.body.department) {
+        throw new Error('Roll over either a department or a program, not both');
+      }
+      return true;
+    }),
+
+  body()
+    .custom((value) => {
+      if (!value.department && !value.program) {
+        throw new Error('A department or program is required');
+      }
+      return true;
+    }),
+
+  body('fromYear')
+    .isInt({ min: 2020, max: 2030 })
+    .withMessage('Source year must be between 2020 and 2030'),
+
+  body('fromSemester')
+    .isInt({ min: 1, max: 12 })
+    .withMessage('Source semester must be a number between 1 and 12'),
+
+  handleValidationErrors
+];
+
+/**
+ * Course staff role validation
+ */
+const staffRoleRule = () => body('role')
+  .isIn(Object.keys(COURSE_STAFF_ROLES))
+  .withMessage(`Role must be one of: ${Object.keys(COURSE_STAFF_ROLES).join(', ')}`);
+
+/**
+ * Course staff addition validation
+ */
+const validateCourseStaff = [
+  body('userId')
+    .isMongoId()
+    .withMessage('Invalid user ID format'),
+
+  staffRoleRule(),
+
+  handleValidationErrors
+];
+
+/**
+ * Course staff role change validation
+ */
+const validateCourseStaffUpdate = [
+  staffRoleRule(),
+
+  handleValidationErrors
+];
+
+/**
+ * Course evaluation form validation
+ */
+const validateEvaluationForm = [
+  body('title')
+    .optional()
+    .trim()
+    .notEmpty()
+    .withMessage('Title cannot be empty')
+    .isLength({ max: 150 })
+    .withMessage('Title cannot exceed 150 characters'),
+
+  body('instructions')
+    .optional()
+    .trim()
+    .isLength({ max: 1000 })
+    .withMessage('Instructions cannot exceed 1000 characters'),
+
+  body('questions')
+    .optional()
+    .isArray({ min: 1, max: 50 })
+    .withMessage('Questions must be an array of 1 to 50 questions'),
+
+  body('questions.*.prompt')
+    .trim()
+    .notEmpty()
+    .withMessage('Question prompt is required')
+    .isLength({ max: 300 })
+    .withMessage('Question prompt cannot exceed 300 characters'),
+
+  body('questions.*.type')
+    .isIn(QUESTION_TYPES)
+    .withMessage(`Question type must be one of: ${QUESTION_TYPES.join(', ')}`),
+
+  body('questions.*.required')
+    .optional()
+    .isBoolean()
+    .withMessage('Required must be true or false')
+    .toBoolean(),
+
+  body('opensAt')
+    .optional()
+    .isISO8601()
+    .withMessage('Opening date must be a valid date')
+    .toDate(),
+
+  body('closesAt')
+    .optional()
+    .isISO8601()
+    .withMessage('Closing date must be a valid date')
+    .toDate(),
+
+  body('status')
+    .optional()
+    .isIn(['draft', 'published'])
+    .withMessage('Status must be draft or published'),
+
+  handleValidationErrors
+];
+
+/**
+ * Course evaluation response validation
+ */
+const validateEvaluationResponse = [
+  body('answers')
+    .isArray({ min: 1 })
+    .withMessage('Answers must be a non-empty array'),
+
+  body('answers.*.question')
+    .isMongoId()
+    .withMessage('Invalid question ID format'),
+
+  body('answers.*.rating')
+    .optional({ nullable: true })
+    .isInt({ min: 1, max: 5 })
+    .withMessage('Rating must be between 1 and 5')
+    .toInt(),
+
+  body('answers.*.text')
+    .optional()
+    .isString()
+    .isLength({ max: 2000 })
+    .withMessage('Answers cannot exceed 2000 characters'),
+
+  handleValidationErrors
+];
+
+/**
+ * Attendance session generation validation
+ */
+const validateAttendanceGeneration = [
+  body('from')
+    .optional()
+    .isISO8601()
+    .withMessage('From must be a valid date')
+    .toDate(),
+
+  body('to')
+    .optional()
+    .isISO8601()
+    .withMessage('To must be a valid date')
+    .toDate(),
+
+  handleValidationErrors
+];
+
+/**
+ * Attendance session query validation
+ */
+const validateAttendanceSessionQuery = [
+  query('from')
+    .optional()
+    .isISO8601()
+    .withMessage('From must be a valid date')
+    .toDate(),
+
+  query('to')
+    .optional()
+    .isISO8601()
+    .withMessage('To must be a valid date')
+    .toDate(),
+
+  query('section')
+    .optional()
+    .isMongoId()
+    .withMessage('Invalid section ID format'),
+
+  handleValidationErrors
+];
+
+/**
+ * Attendance session ID parameter validation
+ */
+const validateAttendanceSessionId = [
+  param('sessionId')
+    .isMongoId()
+    .withMessage('Invalid session ID format'),
+
+  handleValidationErrors
+];
+
+/**
+ * Attendance session status validation
+ */
+const validateAttendanceSessionUpdate = [
+  body('status')
+    .isIn(['scheduled', 'cancelled'])
+    .withMessage('Status must be scheduled or cancelled'),
+
+  handleValidationErrors
+];
+
+/**
+ * Roll call validation
+ */
+const validateAttendanceRecords = [
+  body('records')
+    .isArray({ min: 1, max: 500 })
+    .withMessage('Records must be an array of 1 to 500 entries'),
+
+  body('records.*.student')
+    .isMongoId()
+    .withMessage('Invalid student ID format'),
+
+  body('records.*.status')
+    .isIn(ATTENDANCE_STATUSES)
+    .withMessage(`Status must be one of: ${ATTENDANCE_STATUSES.join(', ')}`),
+
+  body('records.*.note')
+    .optional()
+    .trim()
+    .isLength({ max: 200 })
+    .withMessage('Note cannot exceed 200 characters'),
+
+  handleValidationErrors
+];
+
+/**
+ * Check-in window validation
+ */
+const validateCheckInWindow = [
+  body('minutes')
+    .optional()
+    .isInt({ min: 1, max: 240 })
+    .withMessage('Minutes must be between 1 and 240')
+    .toInt(),
+
+  handleValidationErrors
+];
+
+/**
+ * Student check-in validation
+ */
+const validateCheckIn = [
+  body('code')
+    .trim()
+    .matches(/^\d{6}$/)
+    .withMessage('Code must be 6 digits'),
+
+  body('sessionId')
+    .optional()
+    .isMongoId()
+    .withMessage('Invalid session ID format'),
+
+  handleValidationErrors
+];
+
+/**
+ * Attendance report query validation
+ */
+const validateAttendanceReportQuery = [
+  query('lowOnly')
+    .optional()
+    .isBoolean()
+    .withMessage('lowOnly must be true or false')
+    .toBoolean(),
+
+  handleValidationErrors
+];
+
 module.exports = {
   validateCourseCreation,
   validateCourseUpdate,
   validateCourseEnrollment,
   validateCourseMaterial,
+  validateCourseMaterialUpdate,
+  validateMaterialVersion,
+  validateMaterialId,
+  validateCourseModule,
+  validateCourseModuleUpdate,
+  validateModuleId,
   validateCourseAssignment,
   validateAssignmentSubmission,
   validateAssignmentGrading,
   validateCourseId,
   validateCourseQuery,
+  validateSectionCreation,
+  validateSectionUpdate,
+  validateSectionId,
+  validateCourseRollupQuery,
+  validateCourseRollover,
+  validateBulkCourseRollover,
+  validateCourseStaff,
+  validateCourseStaffUpdate,
+  validateEvaluationForm,
+  validateEvaluationResponse,
+  validateAttendanceGeneration,
+  validateAttendanceSessionQuery,
+  validateAttendanceSessionId,
+  validateAttendanceSessionUpdate,
+  validateAttendanceRecords,
+  validateCheckInWindow,
+  validateCheckIn,
+  validateAttendanceReportQuery,
   handleValidationErrors
 }; 
\ No newline at end of file
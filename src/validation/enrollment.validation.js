@@ -564,6 +564,21 @@ const validateCourseEnrollment = (req, res, next) => {
         'string.pattern.base': 'Invalid course ID format',
         'any.required': 'Course ID is required'
       }),
+    sectionId: Joi.string()
+      .pattern(/^[0-9a-fA-F]{24}$/)
+      .optional()
+      .messages({
+        'string.pattern.base': 'Invalid section ID format'
+      }),
+    clashOverrideReason: Joi.string()
+      .trim()
+      .min(5)
+      .max(500)
+      .optional()
+      .messages({
+        'string.min': 'Clash override reason must be at least 5 characters',
+        'string.max': 'Clash override reason cannot exceed 500 characters'
+      }),
     lastModifiedBy: Joi.string()
       .pattern(/^[0-9a-fA-F]{24}$/)
       .required()
@@ -583,6 +598,73 @@ const validateCourseEnrollment = (req, res, next) => {
   next();
 };
 
+/**
+ * Validation schema for changing a student's section
+ */
+const validateSectionChange = (req, res, next) => {
+  const schema = Joi.object({
+    sectionId: Joi.string()
+      .pattern(/^[0-9a-fA-F]{24}$/)
+      .required()
+      .messages({
+        'string.pattern.base': 'Invalid section ID format',
+        'any.required': 'Section ID is required'
+      }),
+    clashOverrideReason: Joi.string()
+      .trim()
+      .min(5)
+      .max(500)
+      .optional()
+      .messages({
+        'string.min': 'Clash override reason must be at least 5 characters',
+        'string.max': 'Clash override reason cannot exceed 500 characters'
+      })
+  });
+
+  const { error } = schema.validate(req.body);
+  if (error) {
+    return res.status(400).json({
+      success: false,
+      error: error.details[0].message
+    });
+  }
+  next();
+};
+
+/**
+ * Validation schema for waiving the prerequisites of a course
+ */
+const validatePrerequisiteWaiver = (req, res, next) => {
+  const schema = Joi.object({
+    courseId: Joi.string()
+      .pattern(/^[0-9a-fA-F]{24}$/)
+      .required()
+      .messages({
+        'string.pattern.base': 'Invalid course ID format',
+        'any.required': 'Course ID is required'
+      }),
+    reason: Joi.string()
+      .trim()
+      .min(5)
+      .max(400)
+      .required()
+      .messages({
+        'string.min': 'Waiver reason must be at least 5 characters',
+        'string.max': 'Waiver reason cannot exceed 400 characters',
+        'any.required': 'Waiver reason is required'
+      })
+  });
+
+  const { error } = schema.validate(req.body);
+  if (error) {
+    return res.status(400).json({
+      success: false,
+      error: error.details[0].message
+    });
+  }
+  next();
+};
+
 /**
  * Validation schema for enrollment status update
  */
@@ -768,6 +850,8 @@ module.exports = {
   validateEnrollmentId,
   validateEnrollmentQuery,
   validateCourseEnrollment,
+  validateSectionChange,
+  validatePrerequisiteWaiver,
   validateEnrollmentStatusUpdate,
   validateGPAUpdate,
   validateDocumentUpload,
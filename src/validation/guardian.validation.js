@@ -0,0 +1,125 @@
+const { body, param, query, validationResult } = require('express-validator');
+const { ResponseHandler } = require('../utils/responseHandler');
+
+/**
+ * Validation result handler
+ */
+const handleValidationErrors = (req, res, next) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    const formattedErrors = errors.array().map(error => ({
+      field: error.path,
+      message: error.msg,
+      value: error.value
+    }));
+    return ResponseHandler.validationError(res, formattedErrors);
+  }
+  next();
+};
+
+const consentNoteRule = () => body('consentNote')
+  .optional()
+  .trim()
+  .isLength({ max: 500 })
+  .withMessage('Consent note cannot exceed 500 characters');
+
+/**
+ * Guardian link creation validation
+ */
+const validateGuardianLinkCreation = [
+  body('guardianId')
+    .isMongoId()
+    .withMessage('Invalid guardian ID format'),
+
+  body('studentId')
+    .isMongoId()
+    .withMessage('Invalid student ID format'),
+
+  body('relationship')
+    .optional()
+    .isIn(['parent', 'legal_guardian', 'sponsor', 'other'])
+    .withMessage('Relationship must be parent, legal_guardian, sponsor, or other'),
+
+  body('consentGiven')
+    .optional()
+    .isBoolean()
+    .withMessage('consentGiven must be a boolean')
+    .toBoolean(),
+
+  consentNoteRule(),
+
+  handleValidationErrors
+];
+
+/**
+ * Guardian link query validation
+ */
+const validateGuardianLinkQuery = [
+  query('guardian')
+    .optional()
+    .isMongoId()
+    .withMessage('Invalid guardian ID format'),
+
+  query('student')
+    .optional()
+    .isMongoId()
+    .withMessage('Invalid student ID format'),
+
+  query('status')
+    .optional()
+    .isIn(['pending', 'active', 'revoked'])
+    .withMessage('Status must be pending, active, or revoked'),
+
+  handleValidationErrors
+];
+
+/**
+ * Guardian consent validation
+ */
+const validateGuardianConsent = [
+  param('linkId')
+    .isMongoId()
+    .withMessage('Invalid guardian link ID format'),
+
+  body('granted')
+    .isBoolean()
+    .withMessage('granted must be a boolean')
+    .toBoolean(),
+
+  body('note')
+    .optional()
+    .trim()
+    .isLength({ max: 500 })
+    .withMessage('Note cannot exceed 500 characters'),
+
+  handleValidationErrors
+];
+
+/**
+ * Linked student parameter validation
+ */
+const validateLinkedStudentId = [
+  param('studentId')
+    .isMongoId()
+    .withMessage('Invalid student ID format'),
+
+  query('semester')
+    .optional()
+    .isInt({ min: 1, max: 12 })
+    .withMessage('Semester must be between 1 and 12')
+    .toInt(),
+
+  query('academicYear')
+    .optional()
+    .matches(/^\d{4}-\d{4}$/)
+    .withMessage('Academic year must be in format YYYY-YYYY'),
+
+  handleValidationErrors
+];
+
+module.exports = {
+  validateGuardianLinkCreation,
+  validateGuardianLinkQuery,
+  validateGuardianConsent,
+  validateLinkedStudentId
+};
@@ -119,7 +119,7 @@ const validateNotice = [
   
   body('targetAudience.roles.*')
     .optional()
-    .isIn(['admin', 'faculty', 'staff', 'student'])
+    .isIn(['admin', 'faculty', 'staff', 'student', 'guardian'])
     .withMessage('Invalid role in target audience'),
   
   body('targetAudience.specificUsers')
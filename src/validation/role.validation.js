@@ -0,0 +1,158 @@
+const { body, param, validationResult } = require('express-validator');
+const { ResponseHandler } = require('../utils/responseHandler');
+const { isKnownPermission } = require('../config/permissions.config');
+
+/**
+ * Validation result handler
+ */
+const handleValidationErrors = (req, res, next) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    const formattedErrors = errors.array().map(error => ({
+      field: error.path,
+      message: error.msg,
+      value: error.value
+    }));
+    return ResponseHandler.validationError(res, formattedErrors);
+  }
+  next();
+};
+
+const permissionsRule = (optional) => {
+  const chain = body('permissions');
+  return (optional ? chain.optional() : chain)
+    .isArray()
+    .withMessage('Permissions must be an array')
+    .custom(permissions => permissions.every(permission => typeof permission === 'string' && isKnownPermission(permission)))
+    .withMessage('Permissions contain unknown entries');
+};
+
+/**
+ * Role creation validation
+ */
+const validateRoleCreation = [
+  body('name')
+    .trim()
+    .toLowerCase()
+    .matches(/^[a-z][a-z0-9_]*$/)
+    .withMessage('Role name may only contain lowercase letters, numbers and underscores')
+    .isLength({ max: 50 })
+    .withMessage('Role name cannot exceed 50 characters'),
+
+  body('displayName')
+    .trim()
+    .isLength({ min: 2, max: 100 })
+    .withMessage('Display name must be between 2 and 100 characters'),
+
+  body('description')
+    .optional()
+    .trim()
+    .isLength({ max: 500 })
+    .withMessage('Description cannot exceed 500 characters'),
+
+  permissionsRule(false),
+
+  handleValidationErrors
+];
+
+/**
+ * Role update validation
+ */
+const validateRoleUpdate = [
+  param('roleId')
+    .isMongoId()
+    .withMessage('Invalid role ID format'),
+
+  body('name')
+    .optional()
+    .trim()
+    .toLowerCase()
+    .matches(/^[a-z][a-z0-9_]*$/)
+    .withMessage('Role name may only contain lowercase letters, numbers and underscores')
+    .isLength({ max: 50 })
+    .withMessage('Role name cannot exceed 50 characters'),
+
+  body('displayName')
+    .optional()
+    .trim()
+    .isLength({ min: 2, max: 100 })
+    .withMessage('Display name must be between 2 and 100 characters'),
+
+  body('description')
+    .optional()
+    .trim()
+    .isLength({ max: 500 })
+    .withMessage('Description cannot exceed 500 characters'),
+
+  permissionsRule(true),
+
+  handleValidationErrors
+];
+
+/**
+ * Role ID parameter validation
+ */
+const validateRoleId = [
+  param('roleId')
+    .isMongoId()
+    .withMessage('Invalid role ID format'),
+
+  handleValidationErrors
+];
+
+/**
+ * Role assignment validation
+ */
+const validateRoleAssignment = [
+  param('userId')
+    .isMongoId()
+    .withMessage('Invalid user ID format'),
+
+  body('roleId')
+    .isMongoId()
+    .withMessage('Invalid role ID format'),
+
+  body('departmentId')
+    .optional({ nullable: true })
+    .isMongoId()
+    .withMessage('Invalid department ID format'),
+
+  body('expiresAt')
+    .optional({ nullable: true })
+    .isISO8601()
+    .withMessage('Expiry must be a valid date')
+    .custom(value => new Date(value) > new Date())
+    .withMessage('Expiry must be in the future'),
+
+  body('notes')
+    .optional()
+    .trim()
+    .isLength({ max: 500 })
+    .withMessage('Notes cannot exceed 500 characters'),
+
+  handleValidationErrors
+];
+
+/**
+ * Role assignment ID parameter validation
+ */
+const validateAssignmentId = [
+  param('userId')
+    .isMongoId()
+    .withMessage('Invalid user ID format'),
+
+  param('assignmentId')
+    .isMongoId()
+    .withMessage('Invalid assignment ID format'),
+
+  handleValidationErrors
+];
+
+module.exports = {
+  validateRoleCreation,
+  validateRoleUpdate,
+  validateRoleId,
+  validateRoleAssignment,
+  validateAssignmentId,
+  handleValidationErrors
+};
@@ -0,0 +1,145 @@
+const { body, param, validationResult } = require('express-validator');
+const { ResponseHandler } = require('../utils/responseHandler');
+const { isKnownPermission } = require('../config/permissions.config');
+
+/**
+ * Validation result handler
+ */
+const handleValidationErrors = (req, res, next) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    const formattedErrors = errors.array().map(error => ({
+      field: error.path,
+      message: error.msg,
+      value: error.value
+    }));
+    return ResponseHandler.validationError(res, formattedErrors);
+  }
+  next();
+};
+
+const accountIdRule = () => param('accountId')
+  .isMongoId()
+  .withMessage('Invalid service account ID format');
+
+const keyIdRule = () => param('keyId')
+  .isMongoId()
+  .withMessage('Invalid API key ID format');
+
+const expiresInDaysRule = () => body('expiresInDays')
+  .optional()
+  .isInt({ min: 1 })
+  .withMessage('Expiry must be a whole number of days')
+  .toInt();
+
+/**
+ * Service account creation validation
+ */
+const validateServiceAccountCreation = [
+  body('name')
+    .trim()
+    .toLowerCase()
+    .matches(/^[a-z][a-z0-9_-]*$/)
+    .withMessage('Name may only contain lowercase letters, numbers, hyphens and underscores')
+    .isLength({ max: 50 })
+    .withMessage('Name cannot exceed 50 characters'),
+
+  body('description')
+    .optional()
+    .trim()
+    .isLength({ max: 500 })
+    .withMessage('Description cannot exceed 500 characters'),
+
+  handleValidationErrors
+];
+
+/**
+ * Service account update validation
+ */
+const validateServiceAccountUpdate = [
+  accountIdRule(),
+
+  body('description')
+    .optional()
+    .trim()
+    .isLength({ max: 500 })
+    .withMessage('Description cannot exceed 500 characters'),
+
+  body('isActive')
+    .optional()
+    .isBoolean()
+    .withMessage('isActive must be a boolean')
+    .toBoolean(),
+
+  handleValidationErrors
+];
+
+/**
+ * Service account ID parameter validation
+ */
+const validateServiceAccountId = [
+  accountIdRule(),
+  handleValidationErrors
+];
+
+/**
+ * API key creation validation
+ */
+const validateApiKeyCreation = [
+  accountIdRule(),
+
+  body('name')
+    .trim()
+    .isLength({ min: 2, max: 100 })
+    .withMessage('Key name must be between 2 and 100 characters'),
+
+  body('scopes')
+    .isArray({ min: 1 })
+    .withMessage('At least one scope is required')
+    .custom(scopes => scopes.every(scope => typeof scope === 'string' && isKnownPermission(scope)))
+    .withMessage('Scopes contain unknown permissions'),
+
+  body('department')
+    .optional({ nullable: true })
+    .isMongoId()
+    .withMessage('Invalid department ID format'),
+
+  expiresInDaysRule(),
+
+  handleValidationErrors
+];
+
+/**
+ * API key rotation validation
+ */
+const validateApiKeyRotation = [
+  accountIdRule(),
+  keyIdRule(),
+  expiresInDaysRule(),
+
+  body('gracePeriodHours')
+    .optional()
+    .isInt({ min: 0, max: 168 })
+    .withMessage('Grace period must be between 0 and 168 hours')
+    .toInt(),
+
+  handleValidationErrors
+];
+
+/**
+ * API key ID parameter validation
+ */
+const validateApiKeyId = [
+  accountIdRule(),
+  keyIdRule(),
+  handleValidationErrors
+];
+
+module.exports = {
+  validateServiceAccountCreation,
+  validateServiceAccountUpdate,
+  validateServiceAccountId,
+  validateApiKeyCreation,
+  validateApiKeyRotation,
+  validateApiKeyId
+};
@@ -1,4 +1,4 @@
-const { body, param, query, validationResult } = require('express-validator');
+const { body, check, param, query, validationResult } = require('express-validator');
 const { ResponseHandler } = require('../utils/responseHandler');
 
 /**
@@ -55,8 +55,8 @@ const validateUserRegistration = [
   
   body('role')
     .optional()
-    .isIn(['admin', 'faculty', 'student'])
-    .withMessage('Role must be admin, faculty, or student'),
+    .isIn(['admin', 'faculty', 'student', 'guardian'])
+    .withMessage('Role must be admin, faculty, student, or guardian'),
   
   body('studentId')
     .optional()
@@ -197,14 +197,144 @@ const validateUserId = [
   handleValidationErrors
 ];
 
+/**
+ * User export validation
+ */
+const validateUserExport = [
+  query('format')
+    .optional()
+    .isIn(['json', 'csv', 'xlsx'])
+    .withMessage('Format must be json, csv, or xlsx'),
+
+  query('role')
+    .optional()
+    .isIn(['admin', 'faculty', 'student', 'guardian'])
+    .withMessage('Role must be admin, faculty, student, or guardian'),
+
+  query('department')
+    .optional()
+    .trim()
+    .isLength({ min: 1, max: 100 })
+    .withMessage('Department must be between 1 and 100 characters'),
+
+  query('status')
+    .optional()
+    .isIn(['active', 'inactive', 'all'])
+    .withMessage('Status must be active, inactive, or all'),
+
+  query('columns')
+    .optional()
+    .isString()
+    .withMessage('Columns must be a comma-separated list'),
+
+  handleValidationErrors
+];
+
+/**
+ * Impersonation start validation
+ */
+const validateImpersonation = [
+  body('reason')
+    .trim()
+    .isLength({ min: 5, max: 500 })
+    .withMessage('Reason must be between 5 and 500 characters'),
+
+  handleValidationErrors
+];
+
+/**
+ * Personal data export validation
+ */
+const validatePersonalDataExport = [
+  query('format')
+    .optional()
+    .isIn(['json', 'zip'])
+    .withMessage('Format must be json or zip'),
+
+  handleValidationErrors
+];
+
+/**
+ * Personal data erasure validation
+ */
+const validatePersonalDataErasure = [
+  body('reason')
+    .trim()
+    .isLength({ min: 5, max: 500 })
+    .withMessage('Reason must be between 5 and 500 characters'),
+
+  handleValidationErrors
+];
+
+/**
+ * Avatar moderation queue validation
+ */
+const validateAvatarQuery = [
+  query('status')
+    .optional()
+    .isIn(['pending', 'active'])
+    .withMessage('Status must be pending or active'),
+
+  query('page')
+    .optional()
+    .isInt({ min: 1 })
+    .withMessage('Page must be a positive integer'),
+
+  query('limit')
+    .optional()
+    .isInt({ min: 1, max: 100 })
+    .withMessage('Limit must be between 1 and 100'),
+
+  handleValidationErrors
+];
+
+/**
+ * Avatar moderation decision validation
+ */
+const validateAvatarModeration = [
+  body('decision')
+    .isIn(['approve', 'reject', 'remove'])
+    .withMessage('Decision must be approve, reject, or remove'),
+
+  body('reason')
+    .if(body('decision').isIn(['reject', 'remove']))
+    .trim()
+    .isLength({ min: 5, max: 500 })
+    .withMessage('Reason must be between 5 and 500 characters'),
+
+  handleValidationErrors
+];
+
+/**
+ * User spreadsheet import validation
+ */
+const validateUserImport = [
+  query('dryRun')
+    .optional()
+    .isBoolean()
+    .withMessage('dryRun must be a boolean value'),
+
+  query('role')
+    .optional()
+    .isIn(['student', 'faculty'])
+    .withMessage('Role must be student or faculty'),
+
+  query('credentialsFormat')
+    .optional()
+    .isIn(['csv', 'xlsx'])
+    .withMessage('Credentials format must be csv or xlsx'),
+
+  handleValidationErrors
+];
+
 /**
  * User query validation
  */
 const validateUserQuery = [
   query('role')
     .optional()
-    .isIn(['admin', 'faculty', 'student'])
-    .withMessage('Role must be admin, faculty, or student'),
+    .isIn(['admin', 'faculty', 'student', 'guardian'])
+    .withMessage('Role must be admin, faculty, student, or guardian'),
   
   query('department')
     .optional()
@@ -266,6 +396,102 @@ const validateForgotPassword = [
   handleValidationErrors
 ];
 
+/**
+ * Two-factor code validation (enable, recovery code regeneration)
+ */
+const validateTwoFactorCode = [
+  body('code')
+    .trim()
+    .matches(/^\d{6}$/)
+    .withMessage('Code must be 6 digits'),
+
+  handleValidationErrors
+];
+
+/**
+ * Two-factor login step validation
+ */
+const validateTwoFactorVerify = [
+  body('twoFactorToken')
+    .notEmpty()
+    .withMessage('Two-factor token is required'),
+
+  body('code')
+    .optional()
+    .trim()
+    .matches(/^\d{6}$/)
+    .withMessage('Code must be 6 digits'),
+
+  body('recoveryCode')
+    .optional()
+    .trim()
+    .matches(/^[a-fA-F0-9]{5}-[a-fA-F0-9]{5}$/)
+    .withMessage('Invalid recovery code format'),
+
+  body()
+    .custom((value) => {
+      if (!value.code && !value.recoveryCode) {
+        throw new Error('Either code or recoveryCode is required');
+      }
+      return true;
+    }),
+
+  handleValidationErrors
+];
+
+/**
+ * Two-factor disable validation
+ */
+const validateTwoFactorDisable = [
+  body('password')
+    .notEmpty()
+    .withMessage('Current password is required'),
+
+  body('code')
+    .trim()
+    .matches(/^\d{6}$/)
+    .withMessage('Code must be 6 digits'),
+
+  handleValidationErrors
+];
+
+/**
+ * Session ID parameter validation
+ */
+const validateSessionId = [
+  param('sessionId')
+    .isMongoId()
+    .withMessage('Invalid session ID format'),
+
+  handleValidationErrors
+];
+
+/**
+ * Password reset with emailed token validation
+ */
+const validateTokenPasswordReset = [
+  param('token')
+    .isHexadecimal()
+    .isLength({ min: 64, max: 64 })
+    .withMessage('Invalid reset token'),
+
+  body('newPassword')
+    .isLength({ min: 6 })
+    .withMessage('New password must be at least 6 characters long')
+    .matches(/^(?=.*[a-z])(?=.*[A-Z])(?=.*\d)/)
+    .withMessage('New password must contain at least one uppercase letter, one lowercase letter, and one number'),
+
+  body('confirmPassword')
+    .custom((value, { req }) => {
+      if (value !== req.body.newPassword) {
+        throw new Error('Password confirmation does not match password');
+      }
+      return true;
+    }),
+
+  handleValidationErrors
+];
+
 /**
  * Admin reset password validation
  */
@@ -291,6 +517,58 @@ const validateResetPassword = [
   handleValidationErrors
 ];
 
+/**
+ * Expired or temporary password change validation (the policy itself is checked by the service)
+ */
+const validateExpiredPasswordChange = [
+  body('passwordChangeToken')
+    .notEmpty()
+    .withMessage('Password change token is required'),
+
+  body('newPassword')
+    .notEmpty()
+    .withMessage('New password is required'),
+
+  body('confirmPassword')
+    .custom((value, { req }) => {
+      if (value !== req.body.newPassword) {
+        throw new Error('Password confirmation does not match password');
+      }
+      return true;
+    }),
+
+  handleValidationErrors
+];
+
+/**
+ * Single sign-on callback validation (code and state in the query or body)
+ */
+const validateSsoCallback = [
+  check('code')
+    .isString()
+    .notEmpty()
+    .withMessage('Authorization code is required'),
+
+  check('state')
+    .isString()
+    .notEmpty()
+    .withMessage('State is required'),
+
+  handleValidationErrors
+];
+
+/**
+ * Password policy query validation
+ */
+const validatePasswordPolicyQuery = [
+  query('role')
+    .optional()
+    .isIn(['admin', 'faculty', 'student', 'guardian'])
+    .withMessage('Role must be admin, faculty, student, or guardian'),
+
+  handleValidationErrors
+];
+
 /**
  * Admin registration validation (stricter than regular user registration)
  */
@@ -380,8 +658,8 @@ const validateBulkUserCreation = [
     .withMessage('Last name can only contain letters and spaces'),
   
   body('users.*.role')
-    .isIn(['admin', 'faculty', 'student'])
-    .withMessage('Role must be admin, faculty, or student'),
+    .isIn(['admin', 'faculty', 'student', 'guardian'])
+    .withMessage('Role must be admin, faculty, student, or guardian'),
   
   body('users.*.department')
     .optional()
@@ -415,9 +693,24 @@ module.exports = {
   validatePasswordChange,
   validateUserId,
   validateUserQuery,
+  validateUserExport,
+  validateUserImport,
+  validateImpersonation,
+  validatePersonalDataExport,
+  validatePersonalDataErasure,
+  validateAvatarQuery,
+  validateAvatarModeration,
   validateRefreshToken,
   validateForgotPassword,
   validateResetPassword,
+  validateTokenPasswordReset,
+  validateExpiredPasswordChange,
+  validatePasswordPolicyQuery,
+  validateSsoCallback,
+  validateSessionId,
+  validateTwoFactorCode,
+  validateTwoFactorVerify,
+  validateTwoFactorDisable,
   validateAdminRegistration,
   validateStudentId,
   validateBulkUserCreation,